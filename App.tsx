@@ -7,7 +7,7 @@ import SpectatorDashboard from './components/SpectatorDashboard';
 import ConfigurationWarning from './components/ConfigurationWarning';
 import { AuthProvider, useAuth } from './context/AuthContext';
 import { ConfigurationProvider } from './context/ConfigurationContext';
-import { ToastProvider } from './context/ToastContext';
+import { ToastProvider, useToast } from './context/ToastContext';
 import { ToastContainer } from './components/Toast';
 import { LoginPage } from './pages/LoginPage';
 import RegisterPage from './pages/RegisterPage';
@@ -23,8 +23,11 @@ import { ProvidersPage } from './pages/config/ProvidersPage';
 import { CredentialsPage } from './pages/config/CredentialsPage';
 import { AnalyticsPage } from './pages/analytics/AnalyticsPage';
 import { BotDeepDivePage } from './pages/analytics/BotDeepDivePage';
+import { BacktestsPage } from './pages/analytics/BacktestsPage';
+import { ExperimentsPage } from './pages/analytics/ExperimentsPage';
 import { AppMode } from './types';
 import { isAppConfigured } from './config';
+import { subscribeToBudgetAlerts, subscribeToRiskAlerts } from './services/stateService';
 
 // Admin Route Wrapper - Only accessible by admins
 const AdminRoute: React.FC<{ children: React.ReactNode }> = ({ children }) => {
@@ -120,6 +123,7 @@ const AppLayout: React.FC<{ children: React.ReactNode }> = ({ children }) => {
   const [mode, setMode] = useState<AppMode>('spectator');
   const [isPaused, setIsPaused] = useState(false);
   const [isBroadcasting, setIsBroadcasting] = useState(false);
+  const { showToast } = useToast();
 
   useEffect(() => {
     const params = new URLSearchParams(window.location.search);
@@ -128,6 +132,24 @@ const AppLayout: React.FC<{ children: React.ReactNode }> = ({ children }) => {
     }
   }, []);
 
+  // LLM budget alerts from the trading engine
+  useEffect(() => {
+    return subscribeToBudgetAlerts((alert) => {
+      if (alert.type === 'budget_warning') {
+        showToast(`⚠️ ${alert.percent}% of ${alert.message}`, 'warning', 10000);
+      } else {
+        showToast(`🛑 ${alert.message} - paused ${alert.pausedBots.join(', ')}`, 'error', 15000);
+      }
+    });
+  }, [showToast]);
+
+  // Risk limit halts and kill-switch pauses from the trading engine
+  useEffect(() => {
+    return subscribeToRiskAlerts((alert) => {
+      showToast(`${alert.paused ? '🛑' : '🛡️'} ${alert.message}`, alert.paused ? 'error' : 'warning', 15000);
+    });
+  }, [showToast]);
+
   return (
     <div className="bg-gray-900 text-gray-100 min-h-screen font-sans overflow-x-hidden">
       <Header 
@@ -230,6 +252,26 @@ const AuthenticatedApp: React.FC = () => {
             <BotDeepDivePage />
           </AppLayout>
         } />
+        <Route path="/analytics/backtests" element={
+          <AppLayout>
+            <BacktestsPage />
+          </AppLayout>
+        } />
+        <Route path="/analytics/backtests/:backtestId" element={
+          <AppLayout>
+            <BacktestsPage />
+          </AppLayout>
+        } />
+        <Route path="/analytics/experiments" element={
+          <AppLayout>
+            <ExperimentsPage />
+          </AppLayout>
+        } />
+        <Route path="/analytics/experiments/:experimentId" element={
+          <AppLayout>
+            <ExperimentsPage />
+          </AppLayout>
+        } />
 
         {/* Leaderboard Route */}
         <Route path="/leaderboard" element={
@@ -2,13 +2,26 @@
 
 import React from 'react';
 import { SerializableBotState } from '../types';
+import useLiveThoughts from '../hooks/useLiveThoughts';
 
 interface BotThoughtsTickerProps {
   bots: SerializableBotState[];
 }
 
 const BotThoughtsTicker: React.FC<BotThoughtsTickerProps> = ({ bots }) => {
+  // Turns in progress are shown live; other bots show their last decisions
+  const liveThoughts = useLiveThoughts(bots.map(bot => bot.id));
+
   const thoughts = bots.map(bot => {
+    const live = liveThoughts[bot.id];
+    if (live) {
+      const step = live.iteration ? ` (step ${live.iteration})` : '';
+      const thoughtText = live.status === 'tool'
+        ? `🔧 Running ${live.tool}${step}...`
+        : `🧠 Thinking${step}... ${live.text.replace(/\s+/g, ' ').trim().slice(-160)}`;
+      return { name: bot.name, thought: thoughtText, id: bot.id, isLive: true };
+    }
+
     const latestLog = bot.botLogs[0];
     let thoughtText = "Awaiting decision...";
     if (latestLog) {
@@ -18,7 +31,7 @@ const BotThoughtsTicker: React.FC<BotThoughtsTickerProps> = ({ bots }) => {
         thoughtText = "HOLDING: No profitable opportunities identified.";
       }
     }
-    return { name: bot.name, thought: thoughtText, id: bot.id };
+    return { name: bot.name, thought: thoughtText, id: bot.id, isLive: false };
   });
 
   const botTextColorMap: { [key: string]: string } = {
@@ -37,7 +50,7 @@ const BotThoughtsTicker: React.FC<BotThoughtsTickerProps> = ({ bots }) => {
         {thoughts.concat(thoughts).map((thought, index) => (
           <div key={`${thought.id}-${index}`} className="flex items-center mx-6">
             <span className={`font-bold mr-2 ${botTextColorMap[thought.name] || 'text-gray-300'}`}>{thought.name}:</span>
-            <span className="text-gray-300 text-sm">{thought.thought}</span>
+            <span className={`text-sm ${thought.isLive ? 'text-green-300 italic' : 'text-gray-300'}`}>{thought.thought}</span>
           </div>
         ))}
       </div>
@@ -0,0 +1,225 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { useConfiguration, BotVersion } from '../context/ConfigurationContext';
+import { useToast } from '../context/ToastContext';
+import { diffLines } from '../utils/textDiff';
+
+interface BotVersionHistoryProps {
+  botId: string;
+  // Refetches the history when the bot is saved or rolled back
+  currentVersion: number | null | undefined;
+}
+
+const SOURCE_LABELS: Record<BotVersion['source'], string> = {
+  initial: 'Created',
+  edit: 'Edited',
+  rollback: 'Restored',
+};
+
+const formatTurnInterval = (ms: number | null) => (ms ? `${ms / 60000} min` : 'Global setting');
+
+/**
+ * Version history of a bot's prompt and configuration: a diff between any two
+ * versions and one-click restore of an earlier one (saved as a new version).
+ */
+const BotVersionHistory: React.FC<BotVersionHistoryProps> = ({ botId, currentVersion }) => {
+  const { providers, fetchBotVersions, rollbackBotVersion } = useConfiguration();
+  const { showToast, confirm } = useToast();
+  const [versions, setVersions] = useState<BotVersion[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [baseVersion, setBaseVersion] = useState<number | null>(null);
+  const [compareVersion, setCompareVersion] = useState<number | null>(null);
+  const [restoring, setRestoring] = useState<number | null>(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setIsLoading(true);
+    fetchBotVersions(botId)
+      .then(result => {
+        if (cancelled) return;
+        setVersions(result);
+        // Default to what the latest change did: previous version -> current version
+        setCompareVersion(result[0]?.version ?? null);
+        setBaseVersion(result[1]?.version ?? result[0]?.version ?? null);
+        setError('');
+      })
+      .catch(err => {
+        if (!cancelled) setError(err.message || 'Failed to load version history');
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [botId, currentVersion, fetchBotVersions]);
+
+  const base = versions.find(v => v.version === baseVersion);
+  const compare = versions.find(v => v.version === compareVersion);
+
+  const promptDiff = useMemo(
+    () => (base && compare ? diffLines(base.prompt, compare.prompt) : []),
+    [base, compare]
+  );
+
+  const getProviderName = (id: number) => providers.find(p => p.id === id)?.name || `Provider #${id}`;
+  const formatProviderList = (json: string | null) => {
+    try {
+      const ids: number[] = json ? JSON.parse(json) : [];
+      return ids.length > 0 ? ids.map(getProviderName).join(', ') : 'None';
+    } catch {
+      return json || 'None';
+    }
+  };
+
+  // Configuration fields that differ between the two versions
+  const configChanges = base && compare ? [
+    { label: 'Provider', before: getProviderName(base.provider_id), after: getProviderName(compare.provider_id) },
+    { label: 'Model overrides', before: base.config_json || 'None', after: compare.config_json || 'None' },
+    { label: 'Fallback providers', before: formatProviderList(base.fallback_provider_ids), after: formatProviderList(compare.fallback_provider_ids) },
+    { label: 'Risk limits', before: base.risk_limits_json || 'Global limits only', after: compare.risk_limits_json || 'Global limits only' },
+    { label: 'Turn interval', before: formatTurnInterval(base.turn_interval_ms), after: formatTurnInterval(compare.turn_interval_ms) },
+  ].filter(change => change.before !== change.after) : [];
+
+  const handleRestore = async (version: BotVersion) => {
+    const confirmed = await confirm({
+      title: `Restore Version ${version.version}`,
+      message: `Make version ${version.version}'s prompt and configuration current again? It is saved as a new version and the running bot picks it up immediately. Unsaved edits on this page will be discarded.`,
+      confirmText: 'Restore',
+      cancelText: 'Cancel',
+      type: 'warning',
+    });
+    if (!confirmed) return;
+
+    try {
+      setRestoring(version.version);
+      await rollbackBotVersion(botId, version.version);
+      showToast(`Restored version ${version.version}`, 'success');
+    } catch (err) {
+      showToast(err instanceof Error ? err.message : 'Failed to restore version', 'error');
+    } finally {
+      setRestoring(null);
+    }
+  };
+
+  if (isLoading && versions.length === 0) {
+    return <div className="text-gray-400 text-sm">Loading version history...</div>;
+  }
+
+  if (error) {
+    return <div className="text-red-400 text-sm">{error}</div>;
+  }
+
+  const versionOptions = versions.map(v => (
+    <option key={v.version} value={v.version}>
+      v{v.version}{v.version === currentVersion ? ' (current)' : ''}
+    </option>
+  ));
+
+  return (
+    <div className="space-y-4">
+      {/* Versions */}
+      <div className="overflow-x-auto max-h-64 overflow-y-auto">
+        <table className="w-full">
+          <thead>
+            <tr className="text-left text-xs text-gray-400 border-b border-gray-700">
+              <th className="pb-2 font-medium">Version</th>
+              <th className="pb-2 font-medium">Change</th>
+              <th className="pb-2 font-medium">Saved</th>
+              <th className="pb-2 font-medium">Decisions</th>
+              <th className="pb-2"></th>
+            </tr>
+          </thead>
+          <tbody className="text-sm">
+            {versions.map(version => (
+              <tr key={version.id} className="border-b border-gray-700">
+                <td className="py-2 font-medium text-white">
+                  v{version.version}
+                  {version.version === currentVersion && (
+                    <span className="ml-2 px-2 py-0.5 rounded-full text-xs bg-green-500/20 text-green-400">Current</span>
+                  )}
+                </td>
+                <td className="py-2 text-gray-300">
+                  {SOURCE_LABELS[version.source]}
+                  {version.restored_from && ` from v${version.restored_from}`}
+                </td>
+                <td className="py-2 text-gray-400">{new Date(version.created_at).toLocaleString()}</td>
+                <td className="py-2 text-gray-300">{version.decision_count}</td>
+                <td className="py-2 text-right">
+                  {version.version !== currentVersion && (
+                    <button
+                      type="button"
+                      onClick={() => handleRestore(version)}
+                      disabled={restoring !== null}
+                      className="px-3 py-1 text-xs rounded bg-indigo-600 hover:bg-indigo-700 text-white transition-colors disabled:opacity-50"
+                    >
+                      {restoring === version.version ? 'Restoring...' : 'Restore'}
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {/* Diff */}
+      {versions.length > 1 && (
+        <div className="space-y-3">
+          <div className="flex flex-wrap items-center gap-2 text-sm text-gray-300">
+            <span>Compare</span>
+            <select
+              value={baseVersion ?? ''}
+              onChange={(e) => setBaseVersion(parseInt(e.target.value))}
+              className="px-2 py-1 bg-gray-700 border border-gray-600 rounded text-white"
+            >
+              {versionOptions}
+            </select>
+            <span>with</span>
+            <select
+              value={compareVersion ?? ''}
+              onChange={(e) => setCompareVersion(parseInt(e.target.value))}
+              className="px-2 py-1 bg-gray-700 border border-gray-600 rounded text-white"
+            >
+              {versionOptions}
+            </select>
+          </div>
+
+          {configChanges.length > 0 && (
+            <div className="bg-gray-900 rounded p-3 space-y-1 text-xs">
+              {configChanges.map(change => (
+                <div key={change.label} className="font-mono break-all">
+                  <span className="text-gray-400">{change.label}: </span>
+                  <span className="text-red-400 line-through">{change.before}</span>
+                  <span className="text-gray-500"> → </span>
+                  <span className="text-green-400">{change.after}</span>
+                </div>
+              ))}
+            </div>
+          )}
+
+          <div className="bg-gray-900 rounded p-3 text-xs font-mono max-h-96 overflow-y-auto">
+            {promptDiff.every(line => line.type === 'same') ? (
+              <div className="text-gray-500">Prompts are identical</div>
+            ) : (
+              promptDiff.map((line, index) => (
+                <div
+                  key={index}
+                  className={`whitespace-pre-wrap ${
+                    line.type === 'added' ? 'bg-green-500/10 text-green-400' :
+                    line.type === 'removed' ? 'bg-red-500/10 text-red-400' :
+                    'text-gray-400'
+                  }`}
+                >
+                  {line.type === 'added' ? '+ ' : line.type === 'removed' ? '- ' : '  '}{line.text}
+                </div>
+              ))
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BotVersionHistory;
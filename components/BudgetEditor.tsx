@@ -0,0 +1,334 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { useToast } from '../context/ToastContext';
+
+type LimitField = 'daily_tokens' | 'daily_usd' | 'monthly_tokens' | 'monthly_usd';
+
+interface BudgetStatus {
+  period: 'daily' | 'monthly';
+  metric: 'tokens' | 'usd';
+  limit: number;
+  used: number;
+  percent: number;
+  resets_at: string;
+}
+
+export interface LlmBudget {
+  id: number;
+  user_id: string;
+  bot_id: string | null;
+  bot_name?: string | null;
+  daily_tokens: number | null;
+  daily_usd: number | null;
+  monthly_tokens: number | null;
+  monthly_usd: number | null;
+  set_by_admin: boolean;
+  status: BudgetStatus[];
+}
+
+interface BudgetOverview {
+  budgets: LlmBudget[];
+  bots: { id: string; name: string }[];
+}
+
+interface BudgetEditorProps {
+  // Budgets endpoint: GET lists, PUT saves, DELETE `${endpoint}/${id}` removes
+  endpoint: string;
+  // Admin override: saved budgets are locked against the user's own edits
+  adminMode?: boolean;
+}
+
+const LIMIT_FIELDS: { field: LimitField; label: string; step: string }[] = [
+  { field: 'daily_tokens', label: 'Daily Tokens', step: '1000' },
+  { field: 'daily_usd', label: 'Daily USD', step: '0.01' },
+  { field: 'monthly_tokens', label: 'Monthly Tokens', step: '1000' },
+  { field: 'monthly_usd', label: 'Monthly USD', step: '0.01' },
+];
+
+const USER_SCOPE = '__user__';
+
+const formatAmount = (metric: BudgetStatus['metric'], value: number) =>
+  metric === 'usd' ? `$${value.toFixed(value > 0 && value < 1 ? 4 : 2)}` : Math.round(value).toLocaleString();
+
+const BudgetRow: React.FC<{
+  budget: Partial<LlmBudget> & { bot_id: string | null };
+  title: string;
+  adminMode: boolean;
+  onSave: (botId: string | null, limits: Record<LimitField, string>, locked: boolean) => Promise<void>;
+  onRemove: (() => Promise<void>) | null;
+}> = ({ budget, title, adminMode, onSave, onRemove }) => {
+  const [limits, setLimits] = useState<Record<LimitField, string>>(() => {
+    const initial = {} as Record<LimitField, string>;
+    LIMIT_FIELDS.forEach(({ field }) => {
+      initial[field] = budget[field] === null || budget[field] === undefined ? '' : String(budget[field]);
+    });
+    return initial;
+  });
+  const [locked, setLocked] = useState(budget.id ? Boolean(budget.set_by_admin) : true);
+  const [isSaving, setIsSaving] = useState(false);
+  const isReadOnly = !adminMode && Boolean(budget.set_by_admin);
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    try {
+      await onSave(budget.bot_id, limits, locked);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="bg-gray-900 border border-gray-700 rounded-lg p-4 space-y-4">
+      <div className="flex items-center justify-between gap-2">
+        <h4 className="text-white font-semibold">{title}</h4>
+        {budget.set_by_admin && (
+          <span className="text-xs px-2 py-1 rounded-full bg-yellow-500/10 text-yellow-400 border border-yellow-500/30">
+            Set by admin
+          </span>
+        )}
+      </div>
+
+      <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+        {LIMIT_FIELDS.map(({ field, label, step }) => (
+          <div key={field}>
+            <label className="block text-xs font-medium text-gray-400 mb-1">{label}</label>
+            <input
+              type="number"
+              min="0"
+              step={step}
+              value={limits[field]}
+              onChange={(e) => setLimits({ ...limits, [field]: e.target.value })}
+              disabled={isReadOnly || isSaving}
+              placeholder="No limit"
+              className="w-full px-3 py-2 bg-gray-700 border border-gray-600 rounded-lg text-white text-sm placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-indigo-500 disabled:text-gray-400 disabled:cursor-not-allowed"
+            />
+          </div>
+        ))}
+      </div>
+
+      {budget.status && budget.status.length > 0 && (
+        <div className="space-y-2">
+          {budget.status.map(entry => (
+            <div key={`${entry.period}-${entry.metric}`}>
+              <div className="flex justify-between text-xs text-gray-400 mb-1">
+                <span className="capitalize">{entry.period} {entry.metric === 'usd' ? 'USD' : 'tokens'}</span>
+                <span>
+                  {formatAmount(entry.metric, entry.used)} / {formatAmount(entry.metric, entry.limit)} ({entry.percent}%)
+                  {' · '}resets {new Date(entry.resets_at).toLocaleString()}
+                </span>
+              </div>
+              <div className="h-2 bg-gray-700 rounded-full overflow-hidden">
+                <div
+                  className={`h-full ${entry.percent >= 100 ? 'bg-red-500' : entry.percent >= 80 ? 'bg-yellow-500' : 'bg-green-500'}`}
+                  style={{ width: `${Math.min(entry.percent, 100)}%` }}
+                />
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {isReadOnly ? (
+        <p className="text-xs text-gray-500">This budget was set by an administrator and can't be changed here.</p>
+      ) : (
+        <div className="flex flex-wrap items-center justify-end gap-3">
+          {adminMode && (
+            <label className="flex items-center gap-2 text-xs text-gray-400 mr-auto">
+              <input type="checkbox" checked={locked} onChange={(e) => setLocked(e.target.checked)} />
+              Lock (user can't change it)
+            </label>
+          )}
+          {onRemove && (
+            <button
+              onClick={onRemove}
+              disabled={isSaving}
+              className="px-3 py-1 text-xs rounded bg-red-500/10 text-red-400 border border-red-500/30 hover:bg-red-500/20 transition-colors disabled:opacity-50"
+            >
+              Remove
+            </button>
+          )}
+          <button
+            onClick={handleSave}
+            disabled={isSaving}
+            className="px-3 py-1 text-xs rounded bg-indigo-600 hover:bg-indigo-700 text-white transition-colors disabled:opacity-50"
+          >
+            {isSaving ? 'Saving...' : 'Save'}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Daily/monthly LLM token and dollar budgets for a user and their bots.
+ * Bots covered by an exhausted budget are paused by the trading engine.
+ */
+const BudgetEditor: React.FC<BudgetEditorProps> = ({ endpoint, adminMode = false }) => {
+  const { token } = useAuth();
+  const { showToast, confirm } = useToast();
+  const [overview, setOverview] = useState<BudgetOverview>({ budgets: [], bots: [] });
+  const [newScopes, setNewScopes] = useState<string[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const fetchBudgets = useCallback(async () => {
+    try {
+      const response = await fetch(endpoint, {
+        headers: { 'Authorization': `Bearer ${token}` },
+      });
+
+      if (!response.ok) {
+        throw new Error('Failed to fetch budgets');
+      }
+
+      setOverview(await response.json());
+      setError('');
+    } catch (err: any) {
+      setError(err.message || 'Failed to load budgets');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [endpoint, token]);
+
+  useEffect(() => {
+    setIsLoading(true);
+    setNewScopes([]);
+    fetchBudgets();
+  }, [fetchBudgets]);
+
+  const handleSave = async (botId: string | null, limits: Record<LimitField, string>, locked: boolean) => {
+    const body: Record<string, any> = { bot_id: botId };
+    LIMIT_FIELDS.forEach(({ field }) => {
+      body[field] = limits[field] === '' ? null : Number(limits[field]);
+    });
+    if (adminMode) {
+      body.locked = locked;
+    }
+
+    try {
+      const response = await fetch(endpoint, {
+        method: 'PUT',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(body),
+      });
+
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.details?.[0]?.message || error.error || 'Failed to save budget');
+      }
+
+      showToast('Budget saved', 'success');
+      setNewScopes(scopes => scopes.filter(scope => scope !== (botId || USER_SCOPE)));
+      fetchBudgets();
+    } catch (err: any) {
+      showToast(err.message || 'Failed to save budget', 'error');
+    }
+  };
+
+  const handleRemove = async (budget: LlmBudget) => {
+    const confirmed = await confirm({
+      title: 'Remove Budget',
+      message: `Remove the budget for ${budget.bot_id ? budget.bot_name || budget.bot_id : 'all bots'}? Its bots will no longer be limited by it.`,
+      confirmText: 'Remove',
+      cancelText: 'Cancel',
+      type: 'warning',
+    });
+
+    if (!confirmed) {
+      return;
+    }
+
+    try {
+      const response = await fetch(`${endpoint}/${budget.id}`, {
+        method: 'DELETE',
+        headers: { 'Authorization': `Bearer ${token}` },
+      });
+
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to remove budget');
+      }
+
+      showToast('Budget removed', 'success');
+      fetchBudgets();
+    } catch (err: any) {
+      showToast(err.message || 'Failed to remove budget', 'error');
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <div className="p-8 text-center">
+        <div className="inline-block animate-spin rounded-full h-8 w-8 border-b-2 border-indigo-500"></div>
+        <p className="text-gray-400 mt-4">Loading budgets...</p>
+      </div>
+    );
+  }
+
+  const botNames = new Map(overview.bots.map(bot => [bot.id, bot.name]));
+  const usedScopes = new Set([...overview.budgets.map(b => b.bot_id || USER_SCOPE), ...newScopes]);
+  const availableScopes = [
+    ...(usedScopes.has(USER_SCOPE) ? [] : [{ id: USER_SCOPE, name: 'All bots (user-wide)' }]),
+    ...overview.bots.filter(bot => !usedScopes.has(bot.id)),
+  ];
+  const titleFor = (botId: string | null, botName?: string | null) =>
+    botId ? `🤖 ${botName || botNames.get(botId) || botId}` : '👤 All bots (user-wide)';
+
+  return (
+    <div className="space-y-4">
+      {error && (
+        <div className="bg-red-500/10 border border-red-500/50 text-red-400 px-4 py-3 rounded-lg text-sm">
+          {error}
+        </div>
+      )}
+
+      {overview.budgets.length === 0 && newScopes.length === 0 && (
+        <p className="text-gray-400 text-sm">No budgets set - LLM spend is unlimited.</p>
+      )}
+
+      {overview.budgets.map(budget => (
+        <BudgetRow
+          key={`${budget.id}-${budget.set_by_admin}-${LIMIT_FIELDS.map(({ field }) => budget[field]).join('-')}`}
+          budget={budget}
+          title={titleFor(budget.bot_id, budget.bot_name)}
+          adminMode={adminMode}
+          onSave={handleSave}
+          onRemove={() => handleRemove(budget)}
+        />
+      ))}
+
+      {newScopes.map(scope => {
+        const botId = scope === USER_SCOPE ? null : scope;
+        return (
+          <BudgetRow
+            key={`new-${scope}`}
+            budget={{ bot_id: botId }}
+            title={titleFor(botId)}
+            adminMode={adminMode}
+            onSave={handleSave}
+            onRemove={null}
+          />
+        );
+      })}
+
+      {availableScopes.length > 0 && (
+        <select
+          value=""
+          onChange={(e) => e.target.value && setNewScopes([...newScopes, e.target.value])}
+          className="w-full px-4 py-2 bg-gray-700 border border-gray-600 rounded-lg text-white text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500"
+        >
+          <option value="">+ Add budget for...</option>
+          {availableScopes.map(scope => (
+            <option key={scope.id} value={scope.id}>{scope.name}</option>
+          ))}
+        </select>
+      )}
+    </div>
+  );
+};
+
+export default BudgetEditor;
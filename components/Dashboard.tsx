@@ -39,7 +39,7 @@ const Dashboard: React.FC<DashboardProps> = ({ isPaused, onBroadcastingChange })
   const renderModalContent = () => {
     if (!selectedBot || !modalContent) return null;
     switch (modalContent) {
-        case 'positions': return <PositionsTable positions={selectedBot.portfolio.positions} markets={markets} mode="broadcast" onManualClose={(positionId) => manualClosePosition(selectedBot.id, positionId)} />;
+        case 'positions': return <PositionsTable positions={selectedBot.portfolio.positions} pendingOrders={selectedBot.pendingOrders} markets={markets} mode="broadcast" onManualClose={(positionId) => manualClosePosition(selectedBot.id, positionId)} />;
         case 'history': return <OrderHistory orders={selectedBot.orders} />;
         case 'log': return <BotStatus botLogs={selectedBot.botLogs} isLoading={selectedBot.isLoading} />;
         case 'learning': return <LearningHistory botId={selectedBot.id} botName={selectedBot.name} />;
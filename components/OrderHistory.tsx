@@ -51,6 +51,8 @@ const OrderHistory: React.FC<OrderHistoryProps> = ({ orders }) => {
                 <th scope="col" className="px-2 py-1.5 text-right">Entry</th>
                 <th scope="col" className="px-2 py-1.5 text-right">Size</th>
                 <th scope="col" className="px-2 py-1.5 text-right">Fee</th>
+                <th scope="col" className="px-2 py-1.5 text-right">Slip</th>
+                <th scope="col" className="px-2 py-1.5 text-right">Funding</th>
                 <th scope="col" className="px-2 py-1.5 text-right">PnL</th>
                 <th scope="col" className="px-2 py-1.5 text-right">Time</th>
               </tr>
@@ -61,10 +63,33 @@ const OrderHistory: React.FC<OrderHistoryProps> = ({ orders }) => {
                   <td className="px-2 py-1.5 font-medium text-white">{order.symbol}</td>
                   <td className={`px-2 py-1.5 font-bold flex items-center gap-1 ${order.type === OrderType.LONG ? 'text-green-400' : 'text-red-400'}`}>
                     {order.type === OrderType.LONG ? <LongArrowIcon /> : <ShortArrowIcon />}
+                    {order.closeReason && (
+                      <span
+                        className={`px-1 rounded text-[10px] ${order.closeReason === 'TP' ? 'bg-green-900/50 text-green-300' : 'bg-red-900/50 text-red-300'}`}
+                        title={`Closed by ${order.closeReason === 'SL' ? 'stop-loss' : order.closeReason === 'TP' ? 'take-profit' : order.closeReason === 'TRAIL' ? 'trailing stop' : 'liquidation'}`}
+                      >
+                        {order.closeReason === 'LIQUIDATION' ? 'LIQ' : order.closeReason}
+                      </span>
+                    )}
+                    {order.partial && (
+                      <span
+                        className="px-1 rounded text-[10px] bg-gray-700 text-gray-300"
+                        title={order.exitPrice ? 'Partial close' : 'Added to an open position'}
+                      >
+                        {order.exitPrice ? 'PART' : 'ADD'}
+                      </span>
+                    )}
                   </td>
                   <td className="px-2 py-1.5 text-right">{(order.entryPrice ?? 0).toFixed(4)}</td>
                   <td className="px-2 py-1.5 text-right">${(order.size ?? 0).toLocaleString()}</td>
                   <td className="px-2 py-1.5 text-right text-gray-400">${(order.fee ?? 0).toFixed(4)}</td>
+                  <td className="px-2 py-1.5 text-right text-gray-400">${(order.slippage ?? 0).toFixed(4)}</td>
+                  <td
+                    className={`px-2 py-1.5 text-right ${(order.funding ?? 0) < 0 ? 'text-green-400' : 'text-gray-400'}`}
+                    title={(order.funding ?? 0) < 0 ? 'Funding received' : 'Funding paid'}
+                  >
+                    ${Math.abs(order.funding ?? 0).toFixed(4)}
+                  </td>
                   <td className={`px-2 py-1.5 font-medium text-right ${getPnlColor(order.pnl ?? 0)}`}>
                     {(order.pnl ?? 0).toFixed(2)}
                   </td>
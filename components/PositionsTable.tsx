@@ -1,6 +1,6 @@
 // components/PositionsTable.tsx
 import React from 'react';
-import { Position, OrderType, AppMode, Market } from '../types';
+import { Position, PendingOrder, OrderType, AppMode, Market } from '../types';
 import { useToast } from '../context/ToastContext';
 import { LongArrowIcon } from './icons/LongArrowIcon';
 import { ShortArrowIcon } from './icons/ShortArrowIcon';
@@ -9,10 +9,11 @@ interface PositionsTableProps {
   positions: Position[];
   mode: AppMode;
   markets: Market[];
+  pendingOrders?: PendingOrder[];
   onManualClose?: (positionId: string) => void;
 }
 
-const PositionsTable: React.FC<PositionsTableProps> = ({ positions, mode, markets, onManualClose }) => {
+const PositionsTable: React.FC<PositionsTableProps> = ({ positions, mode, markets, pendingOrders = [], onManualClose }) => {
   const { confirm } = useToast();
   
   const getPnlColor = (value: number) => {
@@ -91,6 +92,40 @@ const PositionsTable: React.FC<PositionsTableProps> = ({ positions, mode, market
             </tbody>
           </table>
         )}
+        {pendingOrders.length > 0 && (
+          <div className="mt-4">
+            <h3 className="text-sm font-semibold text-gray-400 mb-2">Pending Orders</h3>
+            <table className="w-full text-left">
+              <thead className="text-gray-400 uppercase bg-gray-900/50">
+                <tr>
+                  <th scope="col" className="px-2 py-1.5">Symbol</th>
+                  <th scope="col" className="px-2 py-1.5">Order</th>
+                  <th scope="col" className="px-2 py-1.5 text-right">Size</th>
+                  <th scope="col" className="px-2 py-1.5 text-right">Price</th>
+                  <th scope="col" className="px-2 py-1.5 text-right">SL / TP</th>
+                  <th scope="col" className="px-2 py-1.5 text-right">Expires</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-700">
+                {pendingOrders.map((order) => (
+                  <tr key={order.id} className="hover:bg-gray-700/30">
+                    <td className="px-2 py-1.5 font-medium text-white">{order.symbol}</td>
+                    <td className={`px-2 py-1.5 font-bold ${order.side === OrderType.LONG ? 'text-green-400' : 'text-red-400'}`}>
+                      {order.orderType} {order.side}
+                    </td>
+                    <td className="px-2 py-1.5 text-right">${(order.size ?? 0).toLocaleString()} <span className="text-gray-500">({order.leverage}x)</span></td>
+                    <td className="px-2 py-1.5 text-right">{(order.price ?? 0).toFixed(4)}</td>
+                    <td className="px-2 py-1.5 text-right text-gray-400">
+                      {order.stopLoss ? order.stopLoss.toFixed(4) : '-'} / {order.takeProfit ? order.takeProfit.toFixed(4) : '-'}
+                      {order.trailingStopPct ? <span className="text-gray-500"> (trail {order.trailingStopPct}%)</span> : null}
+                    </td>
+                    <td className="px-2 py-1.5 text-right text-gray-400">{order.expiresAt ? new Date(order.expiresAt).toLocaleTimeString() : 'GTC'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
       </div>
     </div>
   );
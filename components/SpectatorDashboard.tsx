@@ -54,7 +54,7 @@ const SpectatorDashboard: React.FC = () => {
     if (!selectedBot || !modalContent) return null;
     switch (modalContent) {
         // FIX: Added the required 'mode' prop to the PositionsTable component. In the SpectatorDashboard, the mode is always 'spectator'.
-        case 'positions': return <PositionsTable positions={selectedBot.portfolio.positions} markets={arenaState!.marketData} mode="spectator" />;
+        case 'positions': return <PositionsTable positions={selectedBot.portfolio.positions} pendingOrders={selectedBot.pendingOrders} markets={arenaState!.marketData} mode="spectator" />;
         case 'history': return <OrderHistory orders={selectedBot.orders} />;
         case 'log': return <BotStatus botLogs={selectedBot.botLogs} isLoading={false} />; // Spectators don't see loading state
         // Fix: Passed the entire 'bot' object to InfoPane instead of just the 'prompt'.
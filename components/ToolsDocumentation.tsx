@@ -148,7 +148,7 @@ const ToolsDocumentation: React.FC<ToolsDocumentationProps> = ({ onClose, mode =
                         <div className="mt-3 bg-gray-900 border border-gray-700 rounded p-3">
                           <div className="text-xs text-gray-400 mb-2">Example Usage:</div>
                           <code className="text-xs text-green-400 block">
-                            {`{\n  "action": "ANALYZE",\n  "tool": "rsi",\n  "parameters": {\n    "symbol": "BTCUSDT",\n    "period": 14\n  }\n}`}
+                            {`{\n  "action": "ANALYZE",\n  "tool": "rsi",\n  "parameters": {\n    "symbol": "BTCUSDT",\n    "period": 14,\n    "interval": "1h",\n    "lookback": 200\n  }\n}`}
                           </code>
                         </div>
                       )}
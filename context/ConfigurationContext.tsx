@@ -28,14 +28,37 @@ export interface Bot {
   is_active: boolean;
   is_paused: boolean;
   avatar_image?: string | null; // Base64 encoded image
+  turn_interval_ms?: number | null; // null means use the global turn_interval_ms
+  config_json?: string | null; // Model overrides: { model, temperature, maxTokens, topP, systemPrompt }
+  fallback_provider_ids?: string | null; // JSON array of provider IDs tried in order when provider_id fails
+  risk_limits_json?: string | null; // Per-bot risk limits: { maxExposureMultiple, maxPositions, maxSymbolMarginPct, maxCorrelatedExposureMultiple, dailyLossLimitPct, maxDrawdownPct }
+  current_version?: number | null; // Latest entry in the bot's version history
   created_at: string;
   updated_at: string;
 }
 
+// Immutable snapshot of a bot's prompt and configuration, recorded whenever one of them changes
+export interface BotVersion {
+  id: number;
+  bot_id: string;
+  version: number;
+  prompt: string;
+  provider_id: number;
+  config_json: string | null;
+  fallback_provider_ids: string | null;
+  risk_limits_json: string | null;
+  turn_interval_ms: number | null;
+  source: 'initial' | 'edit' | 'rollback';
+  restored_from: number | null; // Version a rollback copied
+  created_by: string | null;
+  created_at: string;
+  decision_count: number;
+}
+
 export interface LLMProvider {
   id: number;
   name: string;
-  provider_type: 'openai' | 'anthropic' | 'gemini' | 'grok' | 'local' | 'custom';
+  provider_type: 'openai' | 'anthropic' | 'gemini' | 'grok' | 'local' | 'custom' | 'mock';
   api_endpoint: string;
   model_name: string | null;
   api_key_encrypted: string | null;
@@ -61,6 +84,28 @@ export interface SystemSettings {
   paper_bot_initial_balance: number;
   live_bot_initial_balance: number;
   turn_interval_ms: number;
+  max_concurrent_turns: number;
+  turn_overlap_policy: 'skip' | 'queue';
+  llm_max_retries: number;
+  llm_retry_base_delay_ms: number;
+  llm_circuit_failure_threshold: number;
+  llm_circuit_cooldown_ms: number;
+  llm_budget_warning_pct: number;
+  risk_max_exposure_multiple: number;
+  risk_max_positions: number;
+  risk_max_symbol_margin_pct: number;
+  risk_max_correlated_exposure_multiple: number;
+  risk_correlation_threshold: number;
+  risk_daily_loss_limit_pct: number;
+  risk_max_drawdown_pct: number;
+  paper_taker_fee_rate: number;
+  paper_maker_fee_rate: number;
+  paper_slippage_bps: number;
+  paper_slippage_impact_bps: number;
+  paper_max_slippage_bps: number;
+  paper_funding_enabled: boolean;
+  pending_order_default_expiry_minutes: number;
+  max_pending_orders_per_bot: number;
   refresh_interval_ms: number;
   minimum_trade_size_usd: number;
   symbol_cooldown_ms: number;
@@ -91,6 +136,8 @@ interface ConfigurationContextType {
   deleteBot: (botId: string) => Promise<void>;
   pauseBot: (botId: string, paused: boolean) => Promise<Bot>;
   resetBot: (botId: string) => Promise<void>;
+  fetchBotVersions: (botId: string) => Promise<BotVersion[]>;
+  rollbackBotVersion: (botId: string, version: number) => Promise<Bot>;
 
   // Provider operations
   fetchProviders: () => Promise<void>;
@@ -317,6 +364,38 @@ export const ConfigurationProvider: React.FC<{ children: React.ReactNode }> = ({
     }
   }, [fetchBots, token]);
 
+  const fetchBotVersions = useCallback(async (botId: string) => {
+    const response = await fetch(`${API_BASE}/bots/${botId}/versions`, {
+      headers: getAuthHeaders(),
+    });
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(errorData.error || 'Failed to fetch bot versions');
+    }
+    const data = await response.json();
+    return data.versions as BotVersion[];
+  }, [token]);
+
+  const rollbackBotVersion = useCallback(async (botId: string, version: number) => {
+    try {
+      setError(null);
+      const response = await fetch(`${API_BASE}/bots/${botId}/versions/${version}/rollback`, {
+        method: 'POST',
+        headers: getAuthHeaders(),
+      });
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to restore version');
+      }
+      const updatedBot = await response.json();
+      setBots(prev => prev.map(b => b.id === botId ? updatedBot : b));
+      return updatedBot;
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Unknown error');
+      throw err;
+    }
+  }, [token]);
+
   // ============================================================================
   // PROVIDER OPERATIONS
   // ============================================================================
@@ -612,6 +691,8 @@ export const ConfigurationProvider: React.FC<{ children: React.ReactNode }> = ({
     deleteBot,
     pauseBot,
     resetBot,
+    fetchBotVersions,
+    rollbackBotVersion,
     fetchProviders,
     createProvider,
     updateProvider,
@@ -0,0 +1,83 @@
+// hooks/useLiveThoughts.ts
+// Live view of the turns bots are taking right now, from their WebSocket channels
+import { useState, useEffect } from 'react';
+import { BotThought } from '../types';
+import { subscribeToBotThoughts } from '../services/stateService';
+
+const MAX_TEXT_CHARS = 400; // Only the tail of the streamed response is kept
+
+export interface LiveThought {
+    status: 'thinking' | 'tool';
+    turnId: number;
+    iteration: number | null;
+    text: string;
+    tool: string | null;
+    updatedAt: number;
+}
+
+const reduceThought = (current: LiveThought | undefined, thought: BotThought): LiveThought | undefined => {
+    // Ignore stragglers from a turn that has already been replaced
+    if (current && thought.turnId < current.turnId) {
+        return current;
+    }
+
+    const base: LiveThought = current && current.turnId === thought.turnId
+        ? current
+        : { status: 'thinking', turnId: thought.turnId, iteration: null, text: '', tool: null, updatedAt: thought.timestamp };
+
+    switch (thought.event) {
+        case 'turn_start':
+            return { ...base, status: 'thinking', updatedAt: thought.timestamp };
+        case 'thinking_start':
+            // A new LLM call (or a retry) - start its text afresh
+            return { ...base, status: 'thinking', iteration: thought.iteration ?? null, text: '', tool: null, updatedAt: thought.timestamp };
+        case 'thinking_delta':
+            return { ...base, status: 'thinking', text: (base.text + (thought.text || '')).slice(-MAX_TEXT_CHARS), updatedAt: thought.timestamp };
+        case 'tool_call':
+            return { ...base, status: 'tool', iteration: thought.iteration ?? base.iteration, tool: thought.tool || null, updatedAt: thought.timestamp };
+        case 'thinking_end':
+        case 'tool_result':
+            return { ...base, updatedAt: thought.timestamp };
+        case 'turn_end':
+            return undefined;
+        default:
+            return base;
+    }
+};
+
+/**
+ * Track the bots' in-progress turns. Bots that aren't mid-turn have no entry,
+ * so callers can fall back to the last completed decisions.
+ */
+const useLiveThoughts = (botIds: string[]): Record<string, LiveThought> => {
+    const [thoughts, setThoughts] = useState<Record<string, LiveThought>>({});
+    const botIdsKey = [...botIds].sort().join(',');
+
+    useEffect(() => {
+        if (!botIdsKey) {
+            return;
+        }
+
+        const unsubscribe = subscribeToBotThoughts(botIdsKey.split(','), (thought) => {
+            setThoughts(previous => {
+                const next = { ...previous };
+                const updated = reduceThought(previous[thought.botId], thought);
+                if (updated) {
+                    next[thought.botId] = updated;
+                } else {
+                    delete next[thought.botId];
+                }
+                return next;
+            });
+        });
+
+        return () => {
+            unsubscribe();
+            setThoughts({});
+        };
+    }, [botIdsKey]);
+
+    return thoughts;
+};
+
+export default useLiveThoughts;
@@ -1,7 +1,11 @@
 import React, { useState } from 'react';
 import { useAuth } from '../context/AuthContext';
+import BudgetEditor from '../components/BudgetEditor';
+import { getApiBaseUrl } from '../utils/apiConfig';
 
-type TabType = 'profile' | 'security';
+const API_BASE_URL = getApiBaseUrl();
+
+type TabType = 'profile' | 'security' | 'budgets';
 
 const AccountSettingsPage: React.FC = () => {
   const { user, changePassword } = useAuth();
@@ -87,6 +91,16 @@ const AccountSettingsPage: React.FC = () => {
           >
             Security
           </button>
+          <button
+            onClick={() => setActiveTab('budgets')}
+            className={`pb-4 font-medium transition-colors relative ${
+              activeTab === 'budgets'
+                ? 'text-white border-b-2 border-indigo-500'
+                : 'text-gray-400 hover:text-gray-300'
+            }`}
+          >
+            LLM Budgets
+          </button>
         </div>
       </div>
 
@@ -226,6 +240,17 @@ const AccountSettingsPage: React.FC = () => {
             </div>
           </form>
         )}
+
+        {activeTab === 'budgets' && (
+          <div className="space-y-4">
+            <p className="text-sm text-gray-400">
+              Cap how many tokens or dollars your bots spend on AI calls per day or month (UTC), across all
+              your bots or per bot. You'll get a warning as a budget runs low, and bots it covers are paused
+              automatically once it runs out.
+            </p>
+            <BudgetEditor endpoint={`${API_BASE_URL}/api/v2/budgets`} />
+          </div>
+        )}
       </div>
     </div>
   );
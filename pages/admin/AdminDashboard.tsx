@@ -35,6 +35,27 @@ interface SystemStats {
   }>;
 }
 
+interface LlmUsage {
+  totals: {
+    calls: number;
+    input_tokens: number;
+    output_tokens: number;
+    cost_usd: number;
+    estimated_calls: number;
+  };
+  bots: Array<{
+    bot_id: string;
+    bot_name: string | null;
+    calls: number;
+    input_tokens: number;
+    output_tokens: number;
+    cost_usd: number;
+    realized_pnl: number;
+    net_pnl_after_llm: number;
+    cost_to_pnl_ratio: number | null;
+  }>;
+}
+
 interface OrphanedBot {
   id: string;
   name: string;
@@ -48,6 +69,7 @@ const AdminDashboard: React.FC = () => {
   const { token } = useAuth();
   const { showToast, confirm } = useToast();
   const [stats, setStats] = useState<SystemStats | null>(null);
+  const [llmUsage, setLlmUsage] = useState<LlmUsage | null>(null);
   const [orphanedBots, setOrphanedBots] = useState<OrphanedBot[]>([]);
   const [showOrphanedBots, setShowOrphanedBots] = useState(false);
   const [isLoading, setIsLoading] = useState(true);
@@ -55,7 +77,11 @@ const AdminDashboard: React.FC = () => {
 
   useEffect(() => {
     fetchStats();
-    const interval = setInterval(fetchStats, 30000);
+    fetchLlmUsage();
+    const interval = setInterval(() => {
+      fetchStats();
+      fetchLlmUsage();
+    }, 30000);
     return () => clearInterval(interval);
   }, []);
 
@@ -81,6 +107,25 @@ const AdminDashboard: React.FC = () => {
     }
   };
 
+  // LLM spend across all users (last 30 days); the dashboard still works without it
+  const fetchLlmUsage = async () => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/v2/analytics/usage?scope=all&timeRange=30d`, {
+        headers: {
+          'Authorization': `Bearer ${token}`,
+        },
+      });
+
+      if (!response.ok) {
+        throw new Error('Failed to fetch LLM usage');
+      }
+
+      setLlmUsage(await response.json());
+    } catch (err: any) {
+      console.error('Failed to load LLM usage:', err);
+    }
+  };
+
   const fetchOrphanedBots = async () => {
     try {
       const response = await fetch(`${API_BASE_URL}/api/admin/orphaned-bots`, {
@@ -239,6 +284,76 @@ const AdminDashboard: React.FC = () => {
         </div>
       </div>
 
+      {/* LLM Spend (30d) */}
+      {llmUsage && (
+        <div>
+          <h2 className="text-xl font-bold text-white mb-4">LLM Spend (30d)</h2>
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-3 sm:gap-4 mb-4">
+            <div className="bg-gray-800 border border-gray-700 rounded-lg p-4">
+              <h3 className="text-sm font-medium text-gray-400 mb-2">Total Cost</h3>
+              <div className="text-3xl font-bold text-yellow-400">${llmUsage.totals.cost_usd.toFixed(2)}</div>
+            </div>
+            <div className="bg-gray-800 border border-gray-700 rounded-lg p-4">
+              <h3 className="text-sm font-medium text-gray-400 mb-2">LLM Calls</h3>
+              <div className="text-3xl font-bold text-white mb-1">{llmUsage.totals.calls}</div>
+              {llmUsage.totals.estimated_calls > 0 && (
+                <div className="text-sm text-gray-400">{llmUsage.totals.estimated_calls} with estimated tokens</div>
+              )}
+            </div>
+            <div className="bg-gray-800 border border-gray-700 rounded-lg p-4">
+              <h3 className="text-sm font-medium text-gray-400 mb-2">Tokens</h3>
+              <div className="text-3xl font-bold text-white mb-1">
+                {((llmUsage.totals.input_tokens + llmUsage.totals.output_tokens) / 1000).toFixed(1)}k
+              </div>
+              <div className="text-sm text-gray-400">
+                {(llmUsage.totals.input_tokens / 1000).toFixed(1)}k in • {(llmUsage.totals.output_tokens / 1000).toFixed(1)}k out
+              </div>
+            </div>
+          </div>
+
+          <div className="bg-gray-800 border border-gray-700 rounded-lg overflow-x-auto">
+            {llmUsage.bots.length === 0 ? (
+              <div className="p-6 text-center text-gray-500">No LLM calls recorded</div>
+            ) : (
+              <table className="w-full">
+                <thead className="border-b border-gray-700">
+                  <tr>
+                    <th className="text-left py-2 px-4 text-gray-400 font-medium">Bot</th>
+                    <th className="text-right py-2 px-4 text-gray-400 font-medium">Calls</th>
+                    <th className="text-right py-2 px-4 text-gray-400 font-medium">Tokens</th>
+                    <th className="text-right py-2 px-4 text-gray-400 font-medium">LLM Cost</th>
+                    <th className="text-right py-2 px-4 text-gray-400 font-medium">Realized PnL</th>
+                    <th className="text-right py-2 px-4 text-gray-400 font-medium">Net after LLM</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-700">
+                  {llmUsage.bots.slice(0, 10).map((bot) => (
+                    <tr key={bot.bot_id} className="hover:bg-gray-750">
+                      <td className="py-2 px-4 text-white">
+                        <Link to={`/analytics/bot/${bot.bot_id}`} className="hover:text-blue-400">
+                          {bot.bot_name || bot.bot_id}
+                        </Link>
+                      </td>
+                      <td className="py-2 px-4 text-right text-gray-300">{bot.calls}</td>
+                      <td className="py-2 px-4 text-right text-gray-300">
+                        {((bot.input_tokens + bot.output_tokens) / 1000).toFixed(1)}k
+                      </td>
+                      <td className="py-2 px-4 text-right text-yellow-400">${bot.cost_usd.toFixed(4)}</td>
+                      <td className={`py-2 px-4 text-right ${bot.realized_pnl >= 0 ? 'text-green-400' : 'text-red-400'}`}>
+                        ${bot.realized_pnl.toFixed(2)}
+                      </td>
+                      <td className={`py-2 px-4 text-right ${bot.net_pnl_after_llm >= 0 ? 'text-green-400' : 'text-red-400'}`}>
+                        ${bot.net_pnl_after_llm.toFixed(2)}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        </div>
+      )}
+
       {/* Recent Activity */}
       <div>
         <h2 className="text-xl font-bold text-white mb-4">Recent Activity</h2>
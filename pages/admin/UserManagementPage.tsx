@@ -2,6 +2,8 @@ import React, { useState, useEffect } from 'react';
 import { useAuth } from '../../context/AuthContext';
 import { useToast } from '../../context/ToastContext';
 import { getApiBaseUrl } from '../../utils/apiConfig';
+import Modal from '../../components/Modal';
+import BudgetEditor from '../../components/BudgetEditor';
 
 const API_BASE_URL = getApiBaseUrl();
 
@@ -40,6 +42,9 @@ const UserManagementPage: React.FC = () => {
   const [roleFilter, setRoleFilter] = useState('');
   const [statusFilter, setStatusFilter] = useState('');
 
+  // User whose LLM budgets are being edited
+  const [budgetUser, setBudgetUser] = useState<User | null>(null);
+
   useEffect(() => {
     fetchUsers();
   }, [pagination.page, search, roleFilter, statusFilter]);
@@ -309,6 +314,12 @@ const UserManagementPage: React.FC = () => {
                       </td>
                       <td className="px-4 py-3 text-right">
                         <div className="flex justify-end gap-2">
+                          <button
+                            onClick={() => setBudgetUser(user)}
+                            className="px-3 py-1 text-xs rounded bg-indigo-500/10 text-indigo-400 border border-indigo-500/30 hover:bg-indigo-500/20 transition-colors"
+                          >
+                            Budgets
+                          </button>
                           <button
                             onClick={() => handleStatusToggle(user.id, user.is_active)}
                             className={`px-3 py-1 text-xs rounded ${
@@ -364,6 +375,21 @@ const UserManagementPage: React.FC = () => {
           </>
         )}
       </div>
+
+      {/* LLM Budget Override */}
+      <Modal isOpen={budgetUser !== null} onClose={() => setBudgetUser(null)}>
+        {budgetUser && (
+          <div className="p-6 space-y-4">
+            <div>
+              <h2 className="text-xl font-bold text-white">LLM Budgets: {budgetUser.username}</h2>
+              <p className="text-gray-400 text-sm mt-1">
+                Locked budgets override the user's own and can't be changed from their account settings.
+              </p>
+            </div>
+            <BudgetEditor endpoint={`${API_BASE_URL}/api/v2/budgets/users/${budgetUser.id}`} adminMode />
+          </div>
+        )}
+      </Modal>
     </div>
   );
 };
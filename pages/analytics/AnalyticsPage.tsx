@@ -230,7 +230,21 @@ export const AnalyticsPage: React.FC = () => {
       </div>
 
       {/* Quick Navigation */}
-      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-5 gap-4">
+        <Link
+          to="/analytics/backtests"
+          className="bg-gray-800 rounded-lg p-6 hover:bg-gray-700 transition-colors border border-gray-700"
+        >
+          <h3 className="font-semibold text-white mb-2">Backtests</h3>
+          <p className="text-sm text-gray-400">Replay history through a bot's prompt</p>
+        </Link>
+        <Link
+          to="/analytics/experiments"
+          className="bg-gray-800 rounded-lg p-6 hover:bg-gray-700 transition-colors border border-gray-700"
+        >
+          <h3 className="font-semibold text-white mb-2">Prompt Experiments</h3>
+          <p className="text-sm text-gray-400">A/B test prompts and models live</p>
+        </Link>
         <Link
           to="/analytics/compare"
           className="bg-gray-800 rounded-lg p-6 hover:bg-gray-700 transition-colors border border-gray-700"
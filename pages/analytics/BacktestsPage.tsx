@@ -0,0 +1,536 @@
+// pages/analytics/BacktestsPage.tsx
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link, useParams, useNavigate, useSearchParams } from 'react-router-dom';
+import { StatCard } from '../../components/analytics/StatCard';
+import { TimeSeriesChart } from '../../components/charts/TimeSeriesChart';
+import { useToast } from '../../context/ToastContext';
+import axios from 'axios';
+import { getApiBaseUrl } from '../../utils/apiConfig';
+
+const API_BASE_URL = getApiBaseUrl();
+
+const INTERVALS = ['5m', '15m', '30m', '1h', '2h', '4h', '6h', '12h', '1d'];
+
+type BacktestStatus = 'queued' | 'running' | 'completed' | 'failed' | 'cancelled';
+
+interface BotOption {
+  id: string;
+  name: string;
+}
+
+interface BacktestMetrics {
+  sharpe_ratio?: number;
+  sortino_ratio?: number;
+  max_drawdown?: number;
+  volatility?: number;
+  average_return?: number;
+  initial_balance: number;
+  final_value: number;
+  total_pnl: number;
+  total_return_pct: number;
+  trade_count: number;
+  win_rate: number;
+  profit_factor: number | null;
+  total_fees: number;
+  total_slippage?: number;
+  total_funding?: number;
+  decisions: number;
+  ai_errors: number;
+}
+
+interface BacktestTrade {
+  symbol: string;
+  type: 'LONG' | 'SHORT';
+  entry_price: number;
+  exit_price: number;
+  size: number;
+  leverage: number;
+  pnl: number;
+  fee: number;
+  opened_at: number;
+  closed_at: number;
+  close_reason: string | null;
+  partial?: boolean;
+}
+
+interface Backtest {
+  id: string;
+  bot_id: string;
+  bot_name: string;
+  status: BacktestStatus;
+  progress: number;
+  error: string | null;
+  created_at: string;
+  config: {
+    interval: string;
+    start_time: number;
+    end_time: number;
+    steps: number;
+    symbols: string[];
+    initial_balance: number;
+    prompt_overridden: boolean;
+  };
+  metrics: BacktestMetrics | null;
+  equity_curve?: { time: number; value: number }[];
+  trades?: BacktestTrade[];
+}
+
+const statusClasses: Record<BacktestStatus, string> = {
+  queued: 'bg-gray-500/20 text-gray-300',
+  running: 'bg-blue-500/20 text-blue-400',
+  completed: 'bg-green-500/20 text-green-400',
+  failed: 'bg-red-500/20 text-red-400',
+  cancelled: 'bg-yellow-500/20 text-yellow-400'
+};
+
+// datetime-local inputs want "YYYY-MM-DDTHH:mm" in local time
+const toLocalInput = (date: Date) => {
+  const offset = date.getTimezoneOffset() * 60000;
+  return new Date(date.getTime() - offset).toISOString().slice(0, 16);
+};
+
+export const BacktestsPage: React.FC = () => {
+  const { backtestId } = useParams<{ backtestId: string }>();
+  const [searchParams] = useSearchParams();
+  const navigate = useNavigate();
+  const { showToast, confirm } = useToast();
+
+  const [bots, setBots] = useState<BotOption[]>([]);
+  const [backtests, setBacktests] = useState<Backtest[]>([]);
+  const [selected, setSelected] = useState<Backtest | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+
+  const [form, setForm] = useState({
+    bot_id: searchParams.get('bot') || '',
+    start_time: toLocalInput(new Date(Date.now() - 2 * 24 * 60 * 60 * 1000)),
+    end_time: toLocalInput(new Date(Date.now() - 60 * 60 * 1000)),
+    interval: '1h',
+    initial_balance: '10000',
+    symbols: '',
+    prompt: ''
+  });
+
+  const fetchBacktests = useCallback(async () => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/api/v2/backtests`);
+      setBacktests(response.data);
+    } catch (error) {
+      console.error('Failed to fetch backtests:', error);
+    }
+  }, []);
+
+  const fetchSelected = useCallback(async () => {
+    if (!backtestId) {
+      setSelected(null);
+      return;
+    }
+    try {
+      const response = await axios.get(`${API_BASE_URL}/api/v2/backtests/${backtestId}`);
+      setSelected(response.data);
+    } catch (error) {
+      console.error('Failed to fetch backtest:', error);
+      setSelected(null);
+    }
+  }, [backtestId]);
+
+  useEffect(() => {
+    const load = async () => {
+      setLoading(true);
+      try {
+        const botsResponse = await axios.get(`${API_BASE_URL}/api/v2/bots`);
+        setBots(botsResponse.data);
+        setForm(prev => ({ ...prev, bot_id: prev.bot_id || botsResponse.data[0]?.id || '' }));
+      } catch (error) {
+        console.error('Failed to fetch bots:', error);
+      }
+      await fetchBacktests();
+      setLoading(false);
+    };
+    load();
+  }, [fetchBacktests]);
+
+  useEffect(() => {
+    fetchSelected();
+  }, [fetchSelected]);
+
+  // Poll while anything is still queued or running
+  const hasActiveJobs = backtests.some(b => b.status === 'queued' || b.status === 'running');
+  useEffect(() => {
+    if (!hasActiveJobs) return;
+    const timer = setInterval(() => {
+      fetchBacktests();
+      fetchSelected();
+    }, 3000);
+    return () => clearInterval(timer);
+  }, [hasActiveJobs, fetchBacktests, fetchSelected]);
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setSubmitting(true);
+    try {
+      const symbols = form.symbols.split(',').map(s => s.trim().toUpperCase()).filter(Boolean);
+      const response = await axios.post(`${API_BASE_URL}/api/v2/backtests`, {
+        bot_id: form.bot_id,
+        start_time: new Date(form.start_time).toISOString(),
+        end_time: new Date(form.end_time).toISOString(),
+        interval: form.interval,
+        initial_balance: parseFloat(form.initial_balance),
+        ...(symbols.length > 0 && { symbols }),
+        ...(form.prompt.trim() && { prompt: form.prompt })
+      });
+      showToast('Backtest queued', 'success');
+      await fetchBacktests();
+      navigate(`/analytics/backtests/${response.data.id}`);
+    } catch (error: any) {
+      showToast(error.response?.data?.error || error.response?.data?.errors?.[0]?.msg || 'Failed to start backtest', 'error');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleCancel = async (id: string) => {
+    try {
+      await axios.post(`${API_BASE_URL}/api/v2/backtests/${id}/cancel`);
+      showToast('Cancellation requested', 'info');
+      fetchBacktests();
+    } catch (error: any) {
+      showToast(error.response?.data?.error || 'Failed to cancel backtest', 'error');
+    }
+  };
+
+  const handleDelete = async (id: string) => {
+    const confirmed = await confirm({
+      title: 'Delete Backtest',
+      message: 'Are you sure you want to delete this backtest and its results?',
+      confirmText: 'Delete',
+      cancelText: 'Cancel',
+      type: 'danger',
+    });
+    if (!confirmed) return;
+
+    try {
+      await axios.delete(`${API_BASE_URL}/api/v2/backtests/${id}`);
+      showToast('Backtest deleted', 'success');
+      if (id === backtestId) {
+        navigate('/analytics/backtests');
+      }
+      fetchBacktests();
+    } catch (error: any) {
+      showToast(error.response?.data?.error || 'Failed to delete backtest', 'error');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center min-h-[60vh]">
+        <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-indigo-400"></div>
+      </div>
+    );
+  }
+
+  const metrics = selected?.metrics;
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center gap-3">
+        <Link to="/analytics" className="text-gray-400 hover:text-white transition-colors">
+          <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+          </svg>
+        </Link>
+        <div>
+          <h1 className="text-3xl font-bold text-white">Backtests</h1>
+          <p className="text-gray-400 mt-1">Replay historical candles through a bot's prompt and AI provider</p>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        {/* New Backtest */}
+        <form onSubmit={handleSubmit} className="bg-gray-800 rounded-lg p-6 space-y-4 lg:col-span-1">
+          <h2 className="text-xl font-semibold text-white">New Backtest</h2>
+          <div>
+            <label className="block text-sm font-medium text-gray-400 mb-1">Bot</label>
+            <select
+              value={form.bot_id}
+              onChange={(e) => setForm({ ...form, bot_id: e.target.value })}
+              className="w-full px-3 py-2 bg-gray-700 border border-gray-600 rounded-lg text-white"
+              required
+            >
+              {bots.map(bot => (
+                <option key={bot.id} value={bot.id}>{bot.name}</option>
+              ))}
+            </select>
+          </div>
+          <div className="grid grid-cols-2 gap-3">
+            <div>
+              <label className="block text-sm font-medium text-gray-400 mb-1">Start</label>
+              <input
+                type="datetime-local"
+                value={form.start_time}
+                onChange={(e) => setForm({ ...form, start_time: e.target.value })}
+                className="w-full px-3 py-2 bg-gray-700 border border-gray-600 rounded-lg text-white text-sm"
+                required
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-400 mb-1">End</label>
+              <input
+                type="datetime-local"
+                value={form.end_time}
+                onChange={(e) => setForm({ ...form, end_time: e.target.value })}
+                className="w-full px-3 py-2 bg-gray-700 border border-gray-600 rounded-lg text-white text-sm"
+                required
+              />
+            </div>
+          </div>
+          <div className="grid grid-cols-2 gap-3">
+            <div>
+              <label className="block text-sm font-medium text-gray-400 mb-1">Candle Interval</label>
+              <select
+                value={form.interval}
+                onChange={(e) => setForm({ ...form, interval: e.target.value })}
+                className="w-full px-3 py-2 bg-gray-700 border border-gray-600 rounded-lg text-white"
+              >
+                {INTERVALS.map(interval => (
+                  <option key={interval} value={interval}>{interval}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-400 mb-1">Initial Balance</label>
+              <input
+                type="number"
+                min={100}
+                value={form.initial_balance}
+                onChange={(e) => setForm({ ...form, initial_balance: e.target.value })}
+                className="w-full px-3 py-2 bg-gray-700 border border-gray-600 rounded-lg text-white"
+              />
+            </div>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-400 mb-1">Symbols (optional)</label>
+            <input
+              type="text"
+              value={form.symbols}
+              onChange={(e) => setForm({ ...form, symbols: e.target.value })}
+              placeholder="Defaults to the bot's trading symbols"
+              className="w-full px-3 py-2 bg-gray-700 border border-gray-600 rounded-lg text-white placeholder-gray-500"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-400 mb-1">Prompt Override (optional)</label>
+            <textarea
+              value={form.prompt}
+              onChange={(e) => setForm({ ...form, prompt: e.target.value })}
+              placeholder="Leave empty to use the bot's saved prompt"
+              rows={4}
+              className="w-full px-3 py-2 bg-gray-700 border border-gray-600 rounded-lg text-white font-mono text-xs placeholder-gray-500"
+            />
+          </div>
+          <p className="text-xs text-gray-500">
+            Each candle is one AI call. Sandbox tools and decision history are not available during backtests.
+          </p>
+          <button
+            type="submit"
+            disabled={submitting || !form.bot_id}
+            className="w-full px-4 py-2 bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50 text-white font-medium rounded-lg transition-colors"
+          >
+            {submitting ? 'Queuing...' : 'Run Backtest'}
+          </button>
+        </form>
+
+        {/* Job List */}
+        <div className="bg-gray-800 rounded-lg p-6 lg:col-span-2">
+          <h2 className="text-xl font-semibold text-white mb-4">History</h2>
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead>
+                <tr className="text-left text-sm text-gray-400 border-b border-gray-700">
+                  <th className="pb-3 font-medium">Bot</th>
+                  <th className="pb-3 font-medium">Range</th>
+                  <th className="pb-3 font-medium">Status</th>
+                  <th className="pb-3 font-medium">Return</th>
+                  <th className="pb-3 font-medium"></th>
+                </tr>
+              </thead>
+              <tbody className="text-sm">
+                {backtests.length === 0 ? (
+                  <tr>
+                    <td colSpan={5} className="py-8 text-center text-gray-400">
+                      No backtests yet
+                    </td>
+                  </tr>
+                ) : (
+                  backtests.map((bt) => (
+                    <tr
+                      key={bt.id}
+                      className={`border-b border-gray-700 hover:bg-gray-700/50 ${bt.id === backtestId ? 'bg-gray-700/50' : ''}`}
+                    >
+                      <td className="py-3">
+                        <Link to={`/analytics/backtests/${bt.id}`} className="font-medium text-white hover:text-indigo-400">
+                          {bt.bot_name}
+                        </Link>
+                        {bt.config.prompt_overridden && (
+                          <span className="ml-2 text-xs text-indigo-400">custom prompt</span>
+                        )}
+                      </td>
+                      <td className="py-3 text-gray-400">
+                        {new Date(bt.config.start_time).toLocaleDateString()} – {new Date(bt.config.end_time).toLocaleDateString()} · {bt.config.interval}
+                      </td>
+                      <td className="py-3">
+                        <span className={`px-2 py-1 rounded text-xs font-medium ${statusClasses[bt.status]}`}>
+                          {bt.status === 'running' ? `running ${Math.round(bt.progress * 100)}%` : bt.status}
+                        </span>
+                      </td>
+                      <td className={`py-3 font-medium ${(bt.metrics?.total_return_pct ?? 0) >= 0 ? 'text-green-400' : 'text-red-400'}`}>
+                        {bt.metrics ? `${bt.metrics.total_return_pct.toFixed(2)}%` : '-'}
+                      </td>
+                      <td className="py-3 text-right">
+                        {bt.status === 'queued' || bt.status === 'running' ? (
+                          <button onClick={() => handleCancel(bt.id)} className="text-yellow-400 hover:text-yellow-300 text-xs">
+                            Cancel
+                          </button>
+                        ) : (
+                          <button onClick={() => handleDelete(bt.id)} className="text-red-400 hover:text-red-300 text-xs">
+                            Delete
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                  ))
+                )}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </div>
+
+      {/* Selected Backtest Results */}
+      {selected && (
+        <div className="space-y-6">
+          <div className="flex items-center gap-3">
+            <h2 className="text-2xl font-bold text-white">{selected.bot_name}</h2>
+            <span className={`px-3 py-1 rounded-full text-xs font-medium ${statusClasses[selected.status]}`}>
+              {selected.status}
+            </span>
+            <span className="text-gray-400 text-sm">
+              {selected.config.symbols.join(', ')} · {selected.config.steps} × {selected.config.interval}
+            </span>
+          </div>
+
+          {selected.error && (
+            <div className="bg-red-900/30 border border-red-700 rounded-lg p-4 text-red-300 text-sm">
+              {selected.error}
+            </div>
+          )}
+
+          {metrics && (
+            <>
+              <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
+                <StatCard
+                  title="Total Return"
+                  value={`$${metrics.total_pnl.toFixed(2)}`}
+                  change={metrics.total_return_pct}
+                  valueColor={metrics.total_pnl >= 0 ? 'text-green-400' : 'text-red-400'}
+                />
+                <StatCard
+                  title="Sharpe Ratio"
+                  value={(metrics.sharpe_ratio ?? 0).toFixed(2)}
+                  valueColor={(metrics.sharpe_ratio ?? 0) >= 1 ? 'text-green-400' : (metrics.sharpe_ratio ?? 0) >= 0 ? 'text-yellow-400' : 'text-red-400'}
+                />
+                <StatCard
+                  title="Sortino Ratio"
+                  value={(metrics.sortino_ratio ?? 0).toFixed(2)}
+                />
+                <StatCard
+                  title="Max Drawdown"
+                  value={`${(metrics.max_drawdown ?? 0).toFixed(2)}%`}
+                  valueColor="text-yellow-400"
+                />
+              </div>
+              <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
+                <StatCard
+                  title="Trades"
+                  value={metrics.trade_count}
+                />
+                <StatCard
+                  title="Win Rate"
+                  value={`${metrics.win_rate.toFixed(1)}%`}
+                  valueColor={metrics.win_rate >= 50 ? 'text-green-400' : 'text-yellow-400'}
+                />
+                <StatCard
+                  title="Profit Factor"
+                  value={metrics.profit_factor === null ? '∞' : metrics.profit_factor.toFixed(2)}
+                />
+                <StatCard
+                  title="AI Errors"
+                  value={`${metrics.ai_errors} / ${metrics.decisions}`}
+                  valueColor={metrics.ai_errors > 0 ? 'text-red-400' : 'text-white'}
+                />
+              </div>
+            </>
+          )}
+
+          {selected.equity_curve && selected.equity_curve.length > 0 && (
+            <TimeSeriesChart
+              title="Equity Curve"
+              series={[{
+                name: 'Portfolio Value',
+                data: selected.equity_curve,
+                color: '#6366f1'
+              }]}
+              height={300}
+              valueFormatter={(val) => `$${val.toFixed(2)}`}
+            />
+          )}
+
+          {selected.trades && selected.trades.length > 0 && (
+            <div className="bg-gray-800 rounded-lg p-6">
+              <h2 className="text-xl font-semibold text-white mb-4">Trades</h2>
+              <div className="overflow-x-auto">
+                <table className="w-full">
+                  <thead>
+                    <tr className="text-left text-sm text-gray-400 border-b border-gray-700">
+                      <th className="pb-3 font-medium">Symbol</th>
+                      <th className="pb-3 font-medium">Type</th>
+                      <th className="pb-3 font-medium">Entry</th>
+                      <th className="pb-3 font-medium">Exit</th>
+                      <th className="pb-3 font-medium">Margin</th>
+                      <th className="pb-3 font-medium">P&L</th>
+                      <th className="pb-3 font-medium">Reason</th>
+                      <th className="pb-3 font-medium">Closed</th>
+                    </tr>
+                  </thead>
+                  <tbody className="text-sm">
+                    {selected.trades.map((trade, index) => (
+                      <tr key={index} className="border-b border-gray-700 hover:bg-gray-700/50">
+                        <td className="py-3 font-medium text-white">{trade.symbol}</td>
+                        <td className="py-3">
+                          <span className={`px-2 py-1 rounded text-xs font-medium ${
+                            trade.type === 'LONG' ? 'bg-green-500/20 text-green-400' : 'bg-red-500/20 text-red-400'
+                          }`}>
+                            {trade.type} {trade.leverage}x
+                          </span>
+                        </td>
+                        <td className="py-3 text-gray-300">${trade.entry_price.toFixed(4)}</td>
+                        <td className="py-3 text-gray-300">${trade.exit_price.toFixed(4)}</td>
+                        <td className="py-3 text-gray-300">${trade.size.toFixed(2)}</td>
+                        <td className={`py-3 font-medium ${trade.pnl >= 0 ? 'text-green-400' : 'text-red-400'}`}>
+                          ${trade.pnl.toFixed(2)}
+                        </td>
+                        <td className="py-3 text-gray-400">{trade.close_reason || 'Bot'}</td>
+                        <td className="py-3 text-gray-400">{new Date(trade.closed_at).toLocaleString()}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
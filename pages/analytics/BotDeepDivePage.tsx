@@ -5,6 +5,7 @@ import { StatCard } from '../../components/analytics/StatCard';
 import { TimeSeriesChart } from '../../components/charts/TimeSeriesChart';
 import { BarChart } from '../../components/charts/BarChart';
 import axios from 'axios';
+import { useAuth } from '../../context/AuthContext';
 import { getApiBaseUrl } from '../../utils/apiConfig';
 
 const API_BASE_URL = getApiBaseUrl();
@@ -48,11 +49,66 @@ interface PerformanceData {
   drawdownHistory: { time: number; value: number }[];
 }
 
+interface UsageRow {
+  calls: number;
+  input_tokens: number;
+  output_tokens: number;
+  cost_usd: number;
+  estimated_calls: number;
+}
+
+interface BotUsage {
+  totals: UsageRow & {
+    realized_pnl: number;
+    net_pnl_after_llm: number;
+    cost_to_pnl_ratio: number | null;
+  };
+  by_purpose: (UsageRow & { purpose: 'decision' | 'sandbox' | 'summary' | 'backtest' })[];
+  models: (UsageRow & { model: string })[];
+  daily: (UsageRow & { day: string })[];
+}
+
+interface VersionStats {
+  version_id: number | null;
+  version: number | null; // null = activity from before versioning
+  source: 'initial' | 'edit' | 'rollback' | null;
+  restored_from: number | null;
+  created_at: string | null;
+  decisions: number;
+  successful_decisions: number;
+  closed_trades: number;
+  winning_trades: number;
+  win_rate: number;
+  realized_pnl: number;
+  cost_usd: number;
+  net_pnl_after_llm: number;
+}
+
+interface BotVersionAnalytics {
+  current_version: number | null;
+  versions: VersionStats[];
+}
+
+const formatTokens = (tokens: number) =>
+  tokens >= 1_000_000 ? `${(tokens / 1_000_000).toFixed(2)}M` : tokens >= 1000 ? `${(tokens / 1000).toFixed(1)}k` : tokens.toString();
+
+const formatCost = (cost: number) => `$${cost < 1 ? cost.toFixed(4) : cost.toFixed(2)}`;
+
+const PURPOSE_LABELS: Record<string, string> = {
+  decision: 'Trading decisions',
+  sandbox: 'Sandbox analysis',
+  summary: 'History summaries',
+  backtest: 'Backtests',
+};
+
 export const BotDeepDivePage: React.FC = () => {
   const { botId } = useParams<{ botId: string }>();
+  const { token } = useAuth();
   const [bot, setBot] = useState<BotDetails | null>(null);
   const [performance, setPerformance] = useState<PerformanceData | null>(null);
   const [trades, setTrades] = useState<Trade[]>([]);
+  const [usage, setUsage] = useState<BotUsage | null>(null);
+  const [versionStats, setVersionStats] = useState<BotVersionAnalytics | null>(null);
   const [loading, setLoading] = useState(true);
   const [timeRange, setTimeRange] = useState<'24h' | '7d' | '30d' | 'all'>('7d');
 
@@ -62,6 +118,45 @@ export const BotDeepDivePage: React.FC = () => {
     }
   }, [botId, timeRange]);
 
+  useEffect(() => {
+    if (botId && token) {
+      fetchUsage();
+      fetchVersionStats();
+    }
+  }, [botId, timeRange, token]);
+
+  // LLM usage is optional - the page still renders without it
+  const fetchUsage = async () => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/api/v2/analytics/usage/${botId}`, {
+        params: { timeRange },
+        headers: {
+          'Authorization': `Bearer ${token}`
+        }
+      });
+      setUsage(response.data);
+    } catch (error) {
+      console.error('Failed to fetch LLM usage:', error);
+      setUsage(null);
+    }
+  };
+
+  // Performance split by prompt version is optional too
+  const fetchVersionStats = async () => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/api/v2/analytics/versions/${botId}`, {
+        params: { timeRange },
+        headers: {
+          'Authorization': `Bearer ${token}`
+        }
+      });
+      setVersionStats(response.data);
+    } catch (error) {
+      console.error('Failed to fetch version analytics:', error);
+      setVersionStats(null);
+    }
+  };
+
   const fetchBotData = async () => {
     try {
       setLoading(true);
@@ -226,6 +321,154 @@ export const BotDeepDivePage: React.FC = () => {
         />
       </div>
 
+      {/* LLM Usage & Cost */}
+      {usage && (
+        <div className="bg-gray-800 rounded-lg p-6 space-y-4">
+          <div className="flex items-baseline justify-between">
+            <h2 className="text-xl font-semibold text-white">LLM Usage &amp; Cost</h2>
+            {usage.totals.estimated_calls > 0 && (
+              <span className="text-xs text-gray-500">
+                {usage.totals.estimated_calls} of {usage.totals.calls} calls estimated (provider reported no usage)
+              </span>
+            )}
+          </div>
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
+            <StatCard
+              title="LLM Cost"
+              value={formatCost(usage.totals.cost_usd)}
+              valueColor="text-yellow-400"
+            />
+            <StatCard
+              title="Tokens (in / out)"
+              value={`${formatTokens(usage.totals.input_tokens)} / ${formatTokens(usage.totals.output_tokens)}`}
+            />
+            <StatCard
+              title="Net P&L after LLM"
+              value={`$${usage.totals.net_pnl_after_llm.toFixed(2)}`}
+              valueColor={usage.totals.net_pnl_after_llm >= 0 ? 'text-green-400' : 'text-red-400'}
+            />
+            <StatCard
+              title="LLM Cost / Realized Profit"
+              value={usage.totals.cost_to_pnl_ratio !== null ? `${(usage.totals.cost_to_pnl_ratio * 100).toFixed(1)}%` : 'N/A'}
+              valueColor={usage.totals.cost_to_pnl_ratio !== null && usage.totals.cost_to_pnl_ratio < 0.25 ? 'text-green-400' : 'text-red-400'}
+            />
+          </div>
+          {usage.daily.length > 1 && (
+            <TimeSeriesChart
+              title="Daily LLM Cost"
+              series={[{
+                name: 'Cost',
+                data: usage.daily.map(d => ({ time: d.day, value: d.cost_usd })),
+                color: '#f59e0b'
+              }]}
+              height={200}
+              valueFormatter={(val) => formatCost(val)}
+            />
+          )}
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead>
+                <tr className="text-left text-sm text-gray-400 border-b border-gray-700">
+                  <th className="pb-3 font-medium">Model / Purpose</th>
+                  <th className="pb-3 font-medium">Calls</th>
+                  <th className="pb-3 font-medium">Input Tokens</th>
+                  <th className="pb-3 font-medium">Output Tokens</th>
+                  <th className="pb-3 font-medium">Cost</th>
+                </tr>
+              </thead>
+              <tbody className="text-sm">
+                {[
+                  ...usage.models.map(row => ({ key: `model-${row.model}`, label: row.model, row })),
+                  ...usage.by_purpose.map(row => ({ key: `purpose-${row.purpose}`, label: PURPOSE_LABELS[row.purpose] || row.purpose, row })),
+                ].map(({ key, label, row }) => (
+                  <tr key={key} className="border-b border-gray-700">
+                    <td className="py-2 font-medium text-white">{label}</td>
+                    <td className="py-2 text-gray-300">{row.calls}</td>
+                    <td className="py-2 text-gray-300">{formatTokens(row.input_tokens)}</td>
+                    <td className="py-2 text-gray-300">{formatTokens(row.output_tokens)}</td>
+                    <td className="py-2 text-yellow-400">{formatCost(row.cost_usd)}</td>
+                  </tr>
+                ))}
+                {usage.totals.calls === 0 && (
+                  <tr>
+                    <td colSpan={5} className="py-6 text-center text-gray-400">
+                      No LLM calls recorded for this time period
+                    </td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      {/* Performance by Prompt Version */}
+      {versionStats && versionStats.versions.length > 0 && (
+        <div className="bg-gray-800 rounded-lg p-6 space-y-4">
+          <div className="flex items-baseline justify-between">
+            <h2 className="text-xl font-semibold text-white">Performance by Prompt Version</h2>
+            <span className="text-xs text-gray-500">Trades count towards the version that opened the position</span>
+          </div>
+          {versionStats.versions.filter(v => v.closed_trades > 0).length > 1 && (
+            <BarChart
+              title="Realized P&L by Version"
+              data={versionStats.versions
+                .filter(v => v.closed_trades > 0)
+                .reverse()
+                .map(v => ({
+                  label: v.version !== null ? `v${v.version}` : 'Before versioning',
+                  value: v.realized_pnl,
+                  color: v.realized_pnl >= 0 ? '#10b981' : '#ef4444'
+                }))}
+              valueFormatter={(val) => `$${val.toFixed(2)}`}
+            />
+          )}
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead>
+                <tr className="text-left text-sm text-gray-400 border-b border-gray-700">
+                  <th className="pb-3 font-medium">Version</th>
+                  <th className="pb-3 font-medium">Decisions</th>
+                  <th className="pb-3 font-medium">Closed Trades</th>
+                  <th className="pb-3 font-medium">Win Rate</th>
+                  <th className="pb-3 font-medium">Realized P&L</th>
+                  <th className="pb-3 font-medium">LLM Cost</th>
+                  <th className="pb-3 font-medium">Net P&L</th>
+                </tr>
+              </thead>
+              <tbody className="text-sm">
+                {versionStats.versions.map((row) => (
+                  <tr key={row.version_id ?? 'unversioned'} className="border-b border-gray-700">
+                    <td className="py-2 font-medium text-white">
+                      {row.version !== null ? `v${row.version}` : 'Before versioning'}
+                      {row.version !== null && row.version === versionStats.current_version && (
+                        <span className="ml-2 px-2 py-0.5 rounded-full text-xs bg-green-500/20 text-green-400">Current</span>
+                      )}
+                      {row.created_at && (
+                        <div className="text-xs text-gray-500 font-normal">
+                          {new Date(row.created_at).toLocaleDateString()}
+                          {row.restored_from && ` · restored from v${row.restored_from}`}
+                        </div>
+                      )}
+                    </td>
+                    <td className="py-2 text-gray-300">{row.decisions}</td>
+                    <td className="py-2 text-gray-300">{row.closed_trades}</td>
+                    <td className="py-2 text-gray-300">{row.closed_trades > 0 ? `${row.win_rate.toFixed(1)}%` : '-'}</td>
+                    <td className={`py-2 font-medium ${row.realized_pnl >= 0 ? 'text-green-400' : 'text-red-400'}`}>
+                      ${row.realized_pnl.toFixed(2)}
+                    </td>
+                    <td className="py-2 text-yellow-400">{formatCost(row.cost_usd)}</td>
+                    <td className={`py-2 font-medium ${row.net_pnl_after_llm >= 0 ? 'text-green-400' : 'text-red-400'}`}>
+                      ${row.net_pnl_after_llm.toFixed(2)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
       {/* Trade Distribution */}
       <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
         <BarChart
@@ -331,6 +574,18 @@ export const BotDeepDivePage: React.FC = () => {
           >
             Edit Configuration
           </Link>
+          <Link
+            to={`/analytics/backtests?bot=${bot.id}`}
+            className="px-4 py-2 bg-gray-700 hover:bg-gray-600 text-white font-medium rounded-lg transition-colors"
+          >
+            Run Backtest
+          </Link>
+          <Link
+            to={`/analytics/experiments?bot=${bot.id}`}
+            className="px-4 py-2 bg-gray-700 hover:bg-gray-600 text-white font-medium rounded-lg transition-colors"
+          >
+            A/B Test Prompt
+          </Link>
         </div>
       </div>
     </div>
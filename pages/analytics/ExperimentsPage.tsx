@@ -0,0 +1,532 @@
+// pages/analytics/ExperimentsPage.tsx
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link, useParams, useNavigate, useSearchParams } from 'react-router-dom';
+import { TimeSeriesChart } from '../../components/charts/TimeSeriesChart';
+import { useToast } from '../../context/ToastContext';
+import axios from 'axios';
+import { getApiBaseUrl } from '../../utils/apiConfig';
+
+const API_BASE_URL = getApiBaseUrl();
+
+const MAX_VARIANTS = 6;
+
+type ExperimentStatus = 'running' | 'stopped';
+type ComparedMetric = 'total_return' | 'sharpe_ratio' | 'max_drawdown';
+
+interface BotOption {
+  id: string;
+  name: string;
+  prompt: string;
+  provider_id: number;
+}
+
+interface ProviderOption {
+  id: number;
+  name: string;
+}
+
+interface MetricComparison {
+  difference: number;
+  ci_low: number;
+  ci_high: number;
+  p_value: number;
+  significant: boolean;
+}
+
+interface ExperimentVariant {
+  bot_id: string;
+  label: string;
+  position: number;
+  bot_name: string;
+  prompt: string;
+  provider_name: string;
+  config_json: string | null;
+  is_paused: number;
+  total_return_pct?: number | null;
+  metrics?: {
+    sharpe_ratio: number;
+    max_drawdown: number;
+    volatility: number;
+  } | null;
+  comparison?: Record<ComparedMetric, MetricComparison> | null;
+  equity_curve?: { time: number; value: number }[];
+}
+
+interface Experiment {
+  id: string;
+  name: string;
+  source_bot_id: string | null;
+  source_bot_name: string | null;
+  status: ExperimentStatus;
+  created_at: string;
+  stopped_at: string | null;
+  variant_count?: number;
+  significance_level?: number;
+  results?: {
+    periods: number;
+    period_ms: number;
+    min_periods: number;
+    enough_data: boolean;
+  };
+  variants?: ExperimentVariant[];
+}
+
+interface VariantForm {
+  label: string;
+  prompt: string;
+  provider_id: string;
+  config_json: string;
+}
+
+const statusClasses: Record<ExperimentStatus, string> = {
+  running: 'bg-blue-500/20 text-blue-400',
+  stopped: 'bg-gray-500/20 text-gray-300'
+};
+
+// Higher is better for return and Sharpe, lower for drawdown
+const COMPARED_METRICS: { key: ComparedMetric; label: string; unit: string; higherIsBetter: boolean }[] = [
+  { key: 'total_return', label: 'Return', unit: '%', higherIsBetter: true },
+  { key: 'sharpe_ratio', label: 'Sharpe', unit: '', higherIsBetter: true },
+  { key: 'max_drawdown', label: 'Max DD', unit: '%', higherIsBetter: false }
+];
+
+const formatPValue = (p: number) => (p < 0.001 ? '<0.001' : p.toFixed(3));
+const formatSigned = (value: number, decimals: number) => `${value >= 0 ? '+' : ''}${value.toFixed(decimals)}`;
+
+const emptyVariant = (label: string, prompt = ''): VariantForm => ({ label, prompt, provider_id: '', config_json: '' });
+
+export const ExperimentsPage: React.FC = () => {
+  const { experimentId } = useParams<{ experimentId: string }>();
+  const [searchParams] = useSearchParams();
+  const navigate = useNavigate();
+  const { showToast, confirm } = useToast();
+
+  const [bots, setBots] = useState<BotOption[]>([]);
+  const [providers, setProviders] = useState<ProviderOption[]>([]);
+  const [experiments, setExperiments] = useState<Experiment[]>([]);
+  const [selected, setSelected] = useState<Experiment | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+
+  const [sourceBotId, setSourceBotId] = useState(searchParams.get('bot') || '');
+  const [name, setName] = useState('');
+  const [variants, setVariants] = useState<VariantForm[]>([emptyVariant('Control'), emptyVariant('B')]);
+
+  const sourceBot = bots.find(bot => bot.id === sourceBotId);
+
+  const fetchExperiments = useCallback(async () => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/api/v2/experiments`);
+      setExperiments(response.data);
+    } catch (error) {
+      console.error('Failed to fetch experiments:', error);
+    }
+  }, []);
+
+  const fetchSelected = useCallback(async () => {
+    if (!experimentId) {
+      setSelected(null);
+      return;
+    }
+    try {
+      const response = await axios.get(`${API_BASE_URL}/api/v2/experiments/${experimentId}`);
+      setSelected(response.data);
+    } catch (error) {
+      console.error('Failed to fetch experiment:', error);
+      setSelected(null);
+    }
+  }, [experimentId]);
+
+  useEffect(() => {
+    const load = async () => {
+      setLoading(true);
+      try {
+        const [botsResponse, providersResponse] = await Promise.all([
+          axios.get(`${API_BASE_URL}/api/v2/bots`),
+          axios.get(`${API_BASE_URL}/api/v2/providers`)
+        ]);
+        setBots(botsResponse.data);
+        setProviders(providersResponse.data);
+        setSourceBotId(prev => prev || botsResponse.data[0]?.id || '');
+      } catch (error) {
+        console.error('Failed to fetch bots and providers:', error);
+      }
+      await fetchExperiments();
+      setLoading(false);
+    };
+    load();
+  }, [fetchExperiments]);
+
+  useEffect(() => {
+    fetchSelected();
+  }, [fetchSelected]);
+
+  // Results grow with every portfolio snapshot while the experiment runs
+  useEffect(() => {
+    if (selected?.status !== 'running') return;
+    const timer = setInterval(fetchSelected, 30000);
+    return () => clearInterval(timer);
+  }, [selected?.status, fetchSelected]);
+
+  // Challengers start from the source bot's prompt so they can be edited, not retyped
+  useEffect(() => {
+    if (!sourceBot) return;
+    setVariants(prev => prev.map((variant, index) => (index === 0 ? variant : { ...variant, prompt: sourceBot.prompt })));
+  }, [sourceBot]);
+
+  const updateVariant = (index: number, changes: Partial<VariantForm>) => {
+    setVariants(prev => prev.map((variant, i) => (i === index ? { ...variant, ...changes } : variant)));
+  };
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!sourceBot) return;
+    setSubmitting(true);
+    try {
+      const response = await axios.post(`${API_BASE_URL}/api/v2/bots/${sourceBot.id}/clone`, {
+        ...(name.trim() && { experiment_name: name.trim() }),
+        variants: variants.map(variant => ({
+          label: variant.label.trim(),
+          ...(variant.prompt.trim() && variant.prompt !== sourceBot.prompt && { prompt: variant.prompt }),
+          ...(variant.provider_id && { provider_id: parseInt(variant.provider_id) }),
+          ...(variant.config_json.trim() && { config_json: variant.config_json.trim() })
+        }))
+      });
+      showToast('Experiment started', 'success');
+      await fetchExperiments();
+      navigate(`/analytics/experiments/${response.data.experiment.id}`);
+    } catch (error: any) {
+      showToast(error.response?.data?.error === 'Validation failed'
+        ? error.response.data.details?.[0]?.message
+        : error.response?.data?.error || 'Failed to start experiment', 'error');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleStop = async (id: string) => {
+    const confirmed = await confirm({
+      title: 'Stop Experiment',
+      message: 'Stop this experiment? Its variant bots are paused and the results stay available.',
+      confirmText: 'Stop',
+      cancelText: 'Cancel',
+      type: 'warning',
+    });
+    if (!confirmed) return;
+
+    try {
+      await axios.post(`${API_BASE_URL}/api/v2/experiments/${id}/stop`);
+      showToast('Experiment stopped', 'success');
+      fetchExperiments();
+      if (id === experimentId) {
+        fetchSelected();
+      }
+    } catch (error: any) {
+      showToast(error.response?.data?.error || 'Failed to stop experiment', 'error');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center min-h-[60vh]">
+        <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-indigo-400"></div>
+      </div>
+    );
+  }
+
+  const results = selected?.results;
+  const significancePct = Math.round((1 - (selected?.significance_level ?? 0.05)) * 100);
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center gap-3">
+        <Link to="/analytics" className="text-gray-400 hover:text-white transition-colors">
+          <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+          </svg>
+        </Link>
+        <div>
+          <h1 className="text-3xl font-bold text-white">Prompt Experiments</h1>
+          <p className="text-gray-400 mt-1">A/B test prompts and models with paper bots trading the same markets on the same schedule</p>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        {/* New Experiment */}
+        <form onSubmit={handleSubmit} className="bg-gray-800 rounded-lg p-6 space-y-4 lg:col-span-1">
+          <h2 className="text-xl font-semibold text-white">New Experiment</h2>
+          <div>
+            <label className="block text-sm font-medium text-gray-400 mb-1">Source Bot</label>
+            <select
+              value={sourceBotId}
+              onChange={(e) => setSourceBotId(e.target.value)}
+              className="w-full px-3 py-2 bg-gray-700 border border-gray-600 rounded-lg text-white"
+              required
+            >
+              {bots.map(bot => (
+                <option key={bot.id} value={bot.id}>{bot.name}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-400 mb-1">Name (optional)</label>
+            <input
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder={sourceBot ? `${sourceBot.name} A/B test` : ''}
+              maxLength={100}
+              className="w-full px-3 py-2 bg-gray-700 border border-gray-600 rounded-lg text-white placeholder-gray-500"
+            />
+          </div>
+
+          {variants.map((variant, index) => (
+            <div key={index} className="border border-gray-700 rounded-lg p-3 space-y-2">
+              <div className="flex items-center gap-2">
+                <input
+                  type="text"
+                  value={variant.label}
+                  onChange={(e) => updateVariant(index, { label: e.target.value })}
+                  maxLength={40}
+                  className="flex-1 px-2 py-1 bg-gray-700 border border-gray-600 rounded text-white text-sm"
+                  required
+                />
+                {index === 0 ? (
+                  <span className="text-xs text-gray-400">baseline</span>
+                ) : variants.length > 2 && (
+                  <button
+                    type="button"
+                    onClick={() => setVariants(prev => prev.filter((_, i) => i !== index))}
+                    className="text-red-400 hover:text-red-300 text-xs"
+                  >
+                    Remove
+                  </button>
+                )}
+              </div>
+              <textarea
+                value={variant.prompt}
+                onChange={(e) => updateVariant(index, { prompt: e.target.value })}
+                placeholder="Source bot's prompt"
+                rows={3}
+                className="w-full px-2 py-1 bg-gray-700 border border-gray-600 rounded text-white font-mono text-xs placeholder-gray-500"
+              />
+              <div className="grid grid-cols-2 gap-2">
+                <select
+                  value={variant.provider_id}
+                  onChange={(e) => updateVariant(index, { provider_id: e.target.value })}
+                  className="px-2 py-1 bg-gray-700 border border-gray-600 rounded text-white text-xs"
+                >
+                  <option value="">Source's provider</option>
+                  {providers.map(provider => (
+                    <option key={provider.id} value={provider.id}>{provider.name}</option>
+                  ))}
+                </select>
+                <input
+                  type="text"
+                  value={variant.config_json}
+                  onChange={(e) => updateVariant(index, { config_json: e.target.value })}
+                  placeholder='{"temperature": 0.2}'
+                  className="px-2 py-1 bg-gray-700 border border-gray-600 rounded text-white font-mono text-xs placeholder-gray-500"
+                />
+              </div>
+            </div>
+          ))}
+
+          {variants.length < MAX_VARIANTS && (
+            <button
+              type="button"
+              onClick={() => setVariants(prev => [...prev, emptyVariant(String.fromCharCode(65 + prev.length), sourceBot?.prompt)])}
+              className="w-full px-4 py-2 border border-dashed border-gray-600 hover:border-gray-500 text-gray-300 text-sm rounded-lg transition-colors"
+            >
+              + Add Variant
+            </button>
+          )}
+          <p className="text-xs text-gray-500">
+            Each variant is a new paper bot with the source's turn interval and risk limits. Every round all variants
+            decide and fill on the same market snapshot.
+          </p>
+          <button
+            type="submit"
+            disabled={submitting || !sourceBot}
+            className="w-full px-4 py-2 bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50 text-white font-medium rounded-lg transition-colors"
+          >
+            {submitting ? 'Starting...' : 'Start Experiment'}
+          </button>
+        </form>
+
+        {/* Experiment List */}
+        <div className="bg-gray-800 rounded-lg p-6 lg:col-span-2">
+          <h2 className="text-xl font-semibold text-white mb-4">Experiments</h2>
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead>
+                <tr className="text-left text-sm text-gray-400 border-b border-gray-700">
+                  <th className="pb-3 font-medium">Name</th>
+                  <th className="pb-3 font-medium">Source</th>
+                  <th className="pb-3 font-medium">Variants</th>
+                  <th className="pb-3 font-medium">Status</th>
+                  <th className="pb-3 font-medium">Started</th>
+                  <th className="pb-3 font-medium"></th>
+                </tr>
+              </thead>
+              <tbody className="text-sm">
+                {experiments.length === 0 ? (
+                  <tr>
+                    <td colSpan={6} className="py-8 text-center text-gray-400">
+                      No experiments yet
+                    </td>
+                  </tr>
+                ) : (
+                  experiments.map((experiment) => (
+                    <tr
+                      key={experiment.id}
+                      className={`border-b border-gray-700 hover:bg-gray-700/50 ${experiment.id === experimentId ? 'bg-gray-700/50' : ''}`}
+                    >
+                      <td className="py-3">
+                        <Link to={`/analytics/experiments/${experiment.id}`} className="font-medium text-white hover:text-indigo-400">
+                          {experiment.name}
+                        </Link>
+                      </td>
+                      <td className="py-3 text-gray-400">{experiment.source_bot_name || '-'}</td>
+                      <td className="py-3 text-gray-300">{experiment.variant_count}</td>
+                      <td className="py-3">
+                        <span className={`px-2 py-1 rounded text-xs font-medium ${statusClasses[experiment.status]}`}>
+                          {experiment.status}
+                        </span>
+                      </td>
+                      <td className="py-3 text-gray-400">{new Date(experiment.created_at).toLocaleString()}</td>
+                      <td className="py-3 text-right">
+                        {experiment.status === 'running' && (
+                          <button onClick={() => handleStop(experiment.id)} className="text-yellow-400 hover:text-yellow-300 text-xs">
+                            Stop
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                  ))
+                )}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </div>
+
+      {/* Selected Experiment Results */}
+      {selected && selected.variants && results && (
+        <div className="space-y-6">
+          <div className="flex flex-wrap items-center gap-3">
+            <h2 className="text-2xl font-bold text-white">{selected.name}</h2>
+            <span className={`px-3 py-1 rounded-full text-xs font-medium ${statusClasses[selected.status]}`}>
+              {selected.status}
+            </span>
+            <span className="text-gray-400 text-sm">
+              {results.periods} periods × {Math.round(results.period_ms / 60000)} min
+            </span>
+          </div>
+
+          {!results.enough_data && (
+            <div className="bg-yellow-900/30 border border-yellow-700 rounded-lg p-4 text-yellow-300 text-sm">
+              {results.periods} of the {results.min_periods} paired periods needed before a difference can be called significant.
+              Keep the experiment running.
+            </div>
+          )}
+
+          <div className="bg-gray-800 rounded-lg p-6">
+            <h2 className="text-xl font-semibold text-white mb-1">Variants vs Baseline</h2>
+            <p className="text-xs text-gray-400 mb-4">
+              Differences from the baseline with {significancePct}% confidence intervals (paired block bootstrap).
+              Lower drawdown is better.
+            </p>
+            <div className="overflow-x-auto">
+              <table className="w-full">
+                <thead>
+                  <tr className="text-left text-sm text-gray-400 border-b border-gray-700">
+                    <th className="pb-3 font-medium">Variant</th>
+                    <th className="pb-3 font-medium">Provider</th>
+                    <th className="pb-3 font-medium">Return</th>
+                    <th className="pb-3 font-medium">Sharpe</th>
+                    <th className="pb-3 font-medium">Max DD</th>
+                    {COMPARED_METRICS.map(metric => (
+                      <th key={metric.key} className="pb-3 font-medium">Δ {metric.label}</th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody className="text-sm">
+                  {selected.variants.map((variant) => (
+                    <tr key={variant.bot_id} className="border-b border-gray-700 align-top">
+                      <td className="py-3">
+                        <Link to={`/analytics/bot/${variant.bot_id}`} className="font-medium text-white hover:text-indigo-400">
+                          {variant.label}
+                        </Link>
+                        {variant.position === 0 && (
+                          <span className="ml-2 px-2 py-0.5 rounded-full text-xs bg-gray-500/20 text-gray-300">baseline</span>
+                        )}
+                        {variant.config_json && (
+                          <div className="text-xs text-gray-500 font-mono mt-1">{variant.config_json}</div>
+                        )}
+                      </td>
+                      <td className="py-3 text-gray-300">{variant.provider_name}</td>
+                      <td className={`py-3 font-medium ${(variant.total_return_pct ?? 0) >= 0 ? 'text-green-400' : 'text-red-400'}`}>
+                        {variant.total_return_pct != null ? `${variant.total_return_pct.toFixed(2)}%` : '-'}
+                      </td>
+                      <td className="py-3 text-gray-300">{variant.metrics ? variant.metrics.sharpe_ratio.toFixed(2) : '-'}</td>
+                      <td className="py-3 text-yellow-400">{variant.metrics ? `${variant.metrics.max_drawdown.toFixed(2)}%` : '-'}</td>
+                      {COMPARED_METRICS.map(metric => {
+                        const comparison = variant.comparison?.[metric.key];
+                        if (!comparison) {
+                          return <td key={metric.key} className="py-3 text-gray-500">-</td>;
+                        }
+                        const decimals = metric.unit ? 2 : 3;
+                        const better = metric.higherIsBetter ? comparison.difference > 0 : comparison.difference < 0;
+                        return (
+                          <td key={metric.key} className="py-3">
+                            <div className={comparison.significant ? (better ? 'text-green-400 font-medium' : 'text-red-400 font-medium') : 'text-gray-300'}>
+                              {formatSigned(comparison.difference, decimals)}{metric.unit}
+                              {comparison.significant && (
+                                <span className={`ml-2 px-1.5 py-0.5 rounded text-xs ${better ? 'bg-green-500/20' : 'bg-red-500/20'}`}>
+                                  significant
+                                </span>
+                              )}
+                            </div>
+                            <div className="text-xs text-gray-500">
+                              [{formatSigned(comparison.ci_low, decimals)}, {formatSigned(comparison.ci_high, decimals)}] · p={formatPValue(comparison.p_value)}
+                            </div>
+                          </td>
+                        );
+                      })}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+
+          {results.periods > 0 && (
+            <TimeSeriesChart
+              title="Portfolio Value"
+              series={selected.variants.map(variant => ({
+                name: variant.label,
+                data: variant.equity_curve || []
+              }))}
+              height={300}
+              valueFormatter={(val) => `$${val.toFixed(2)}`}
+            />
+          )}
+
+          <div className="bg-gray-800 rounded-lg p-6">
+            <h2 className="text-xl font-semibold text-white mb-4">Prompts</h2>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              {selected.variants.map((variant) => (
+                <div key={variant.bot_id}>
+                  <div className="text-sm font-medium text-white mb-1">{variant.label}</div>
+                  <pre className="bg-gray-900 rounded p-3 text-xs text-gray-300 whitespace-pre-wrap max-h-48 overflow-y-auto">{variant.prompt}</pre>
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
@@ -9,12 +9,26 @@ import { useNavigate, useParams } from 'react-router-dom';
 import { useConfiguration, Bot } from '../../context/ConfigurationContext';
 import { useToast } from '../../context/ToastContext';
 import { TextInput } from '../../components/forms/TextInput';
+import { TextArea } from '../../components/forms/TextArea';
 import { SelectDropdown, SelectOption } from '../../components/forms/SelectDropdown';
 import { PromptEditor } from '../../components/forms/PromptEditor';
 import { SymbolSelector } from '../../components/SymbolSelector';
 import ToolsDocumentation from '../../components/ToolsDocumentation';
+import BotVersionHistory from '../../components/BotVersionHistory';
 import { BOT_TEMPLATES, BotTemplate } from '../../utils/botTemplates';
 
+// Per-bot risk limits (bots.risk_limits_json); the stricter of these and the global limits applies
+const RISK_LIMIT_FIELDS = [
+  { key: 'maxExposureMultiple', label: 'Max Total Exposure (x equity)', max: 1000, integer: false, helperText: 'Total position notional (margin x leverage) as a multiple of equity' },
+  { key: 'maxPositions', label: 'Max Open Positions', max: 1000, integer: true, helperText: 'Concurrent positions the bot may hold' },
+  { key: 'maxSymbolMarginPct', label: 'Max Margin per Symbol (%)', max: 100, integer: false, helperText: 'Margin in any one symbol as a percent of equity' },
+  { key: 'maxCorrelatedExposureMultiple', label: 'Max Correlated Exposure (x equity)', max: 1000, integer: false, helperText: 'Same-direction notional across correlated symbols' },
+  { key: 'dailyLossLimitPct', label: 'Daily Loss Limit (%)', max: 100, integer: false, helperText: 'No new positions for the rest of the UTC day once hit' },
+  { key: 'maxDrawdownPct', label: 'Max Drawdown Kill-Switch (%)', max: 100, integer: false, helperText: 'Pauses the bot at this drawdown from peak equity' },
+] as const;
+
+type RiskLimitKey = typeof RISK_LIMIT_FIELDS[number]['key'];
+
 export const BotEditorPage: React.FC = () => {
   const { botId } = useParams<{ botId: string }>();
   const navigate = useNavigate();
@@ -33,6 +47,15 @@ export const BotEditorPage: React.FC = () => {
     trading_mode: 'paper' as 'paper' | 'real',
     avatar_image: null as string | null,
     trading_symbols: null as string[] | null, // null means use global settings
+    turn_interval_minutes: '', // empty means use the global turn interval
+    // Model overrides (empty means use the provider's defaults)
+    model_name: '',
+    temperature: '',
+    max_tokens: '',
+    top_p: '',
+    system_prompt: '',
+    fallback_provider_ids: [] as number[], // Tried in order when the primary provider fails
+    risk_limits: {} as Partial<Record<RiskLimitKey, string>>, // Empty means only the global limits apply
   });
 
   const [errors, setErrors] = useState<Record<string, string>>({});
@@ -44,6 +67,26 @@ export const BotEditorPage: React.FC = () => {
   // Load existing bot data in edit mode
   useEffect(() => {
     if (isEditMode && existingBot) {
+      let modelConfig: Record<string, any> = {};
+      try {
+        modelConfig = existingBot.config_json ? JSON.parse(existingBot.config_json) : {};
+      } catch {
+        modelConfig = {};
+      }
+      const toField = (value: unknown) => (value === undefined || value === null ? '' : String(value));
+      let fallbackProviderIds: number[] = [];
+      try {
+        fallbackProviderIds = existingBot.fallback_provider_ids ? JSON.parse(existingBot.fallback_provider_ids) : [];
+      } catch {
+        fallbackProviderIds = [];
+      }
+      let riskLimits: Record<string, any> = {};
+      try {
+        riskLimits = existingBot.risk_limits_json ? JSON.parse(existingBot.risk_limits_json) : {};
+      } catch {
+        riskLimits = {};
+      }
+
       setFormData({
         id: existingBot.id,
         name: existingBot.name,
@@ -53,6 +96,14 @@ export const BotEditorPage: React.FC = () => {
         avatar_image: existingBot.avatar_image || null,
         trading_symbols: (existingBot as any).trading_symbols ? 
           JSON.parse((existingBot as any).trading_symbols) : null,
+        turn_interval_minutes: existingBot.turn_interval_ms ? String(existingBot.turn_interval_ms / 60000) : '',
+        model_name: toField(modelConfig.model),
+        temperature: toField(modelConfig.temperature),
+        max_tokens: toField(modelConfig.maxTokens),
+        top_p: toField(modelConfig.topP),
+        system_prompt: toField(modelConfig.systemPrompt),
+        fallback_provider_ids: fallbackProviderIds,
+        risk_limits: Object.fromEntries(RISK_LIMIT_FIELDS.map(({ key }) => [key, toField(riskLimits[key])])),
       });
       setAvatarPreview(existingBot.avatar_image || null);
     }
@@ -133,6 +184,51 @@ export const BotEditorPage: React.FC = () => {
       newErrors.provider_id = 'AI provider is required';
     }
 
+    if (formData.turn_interval_minutes !== '') {
+      const minutes = parseFloat(formData.turn_interval_minutes);
+      if (isNaN(minutes) || minutes * 60000 < 10000 || minutes > 1440) {
+        newErrors.turn_interval_minutes = 'Turn interval must be between 0.17 and 1440 minutes';
+      }
+    }
+
+    if (formData.temperature !== '') {
+      const temperature = parseFloat(formData.temperature);
+      if (isNaN(temperature) || temperature < 0 || temperature > 2) {
+        newErrors.temperature = 'Temperature must be between 0 and 2';
+      }
+    }
+
+    if (formData.max_tokens !== '') {
+      const maxTokens = Number(formData.max_tokens);
+      if (!Number.isInteger(maxTokens) || maxTokens < 1 || maxTokens > 200000) {
+        newErrors.max_tokens = 'Max tokens must be a whole number between 1 and 200000';
+      }
+    }
+
+    if (formData.top_p !== '') {
+      const topP = parseFloat(formData.top_p);
+      if (isNaN(topP) || topP < 0 || topP > 1) {
+        newErrors.top_p = 'Top P must be between 0 and 1';
+      }
+    }
+
+    if (formData.model_name.length > 100) {
+      newErrors.model_name = 'Model name must be 100 characters or less';
+    }
+
+    if (formData.system_prompt.length > 10000) {
+      newErrors.system_prompt = 'System prompt must be 10,000 characters or less';
+    }
+
+    RISK_LIMIT_FIELDS.forEach(({ key, label, max, integer }) => {
+      const value = formData.risk_limits[key];
+      if (value === undefined || value === '') return;
+      const limit = Number(value);
+      if (isNaN(limit) || limit < 0 || limit > max || (integer && !Number.isInteger(limit))) {
+        newErrors[`risk_${key}`] = `${label} must be ${integer ? 'a whole number' : 'a number'} between 0 and ${max}`;
+      }
+    });
+
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
   };
@@ -146,6 +242,32 @@ export const BotEditorPage: React.FC = () => {
     try {
       setSaving(true);
 
+      // null = use the global turn interval
+      const turnIntervalMs = formData.turn_interval_minutes !== ''
+        ? Math.round(parseFloat(formData.turn_interval_minutes) * 60000)
+        : null;
+
+      // Model overrides - only fields that were filled in (null = provider defaults)
+      const modelConfig: Record<string, string | number> = {};
+      if (formData.model_name.trim()) modelConfig.model = formData.model_name.trim();
+      if (formData.temperature !== '') modelConfig.temperature = parseFloat(formData.temperature);
+      if (formData.max_tokens !== '') modelConfig.maxTokens = parseInt(formData.max_tokens);
+      if (formData.top_p !== '') modelConfig.topP = parseFloat(formData.top_p);
+      if (formData.system_prompt.trim()) modelConfig.systemPrompt = formData.system_prompt.trim();
+      const configJson = Object.keys(modelConfig).length > 0 ? JSON.stringify(modelConfig) : null;
+
+      // Fallback chain without the primary provider (null = no failover)
+      const fallbackIds = formData.fallback_provider_ids.filter(id => id !== parseInt(formData.provider_id));
+      const fallbackProviderIds = fallbackIds.length > 0 ? fallbackIds : null;
+
+      // Risk limits - only fields that were filled in (null = global limits only)
+      const riskLimits: Record<string, number> = {};
+      RISK_LIMIT_FIELDS.forEach(({ key }) => {
+        const value = formData.risk_limits[key];
+        if (value !== undefined && value !== '') riskLimits[key] = Number(value);
+      });
+      const riskLimitsJson = Object.keys(riskLimits).length > 0 ? JSON.stringify(riskLimits) : null;
+
       if (isEditMode) {
         // Build updates object, omitting null values
         const updates: any = {
@@ -167,6 +289,11 @@ export const BotEditorPage: React.FC = () => {
           updates.trading_symbols = null; // Use global settings
         }
         
+        updates.turn_interval_ms = turnIntervalMs;
+        updates.config_json = configJson;
+        updates.fallback_provider_ids = fallbackProviderIds;
+        updates.risk_limits_json = riskLimitsJson;
+        
         await updateBot(botId!, updates);
       } else {
         // Build creation object, omitting null values
@@ -190,6 +317,11 @@ export const BotEditorPage: React.FC = () => {
           botData.trading_symbols = null; // Use global settings
         }
         
+        botData.turn_interval_ms = turnIntervalMs;
+        botData.config_json = configJson;
+        botData.fallback_provider_ids = fallbackProviderIds;
+        botData.risk_limits_json = riskLimitsJson;
+        
         await createBot(botData);
       }
 
@@ -211,6 +343,22 @@ export const BotEditorPage: React.FC = () => {
       label: `${p.name} (${p.provider_type})`,
     }));
 
+  // Providers that can still be added to the fallback chain
+  const fallbackOptions = providerOptions.filter(
+    option => option.value !== parseInt(formData.provider_id) && !formData.fallback_provider_ids.includes(option.value as number)
+  );
+
+  const getProviderLabel = (id: number) =>
+    providerOptions.find(option => option.value === id)?.label || `Provider #${id} (inactive)`;
+
+  const moveFallback = (index: number, direction: -1 | 1) => {
+    const ids = [...formData.fallback_provider_ids];
+    const target = index + direction;
+    if (target < 0 || target >= ids.length) return;
+    [ids[index], ids[target]] = [ids[target], ids[index]];
+    setFormData({ ...formData, fallback_provider_ids: ids });
+  };
+
   const tradingModeOptions: SelectOption[] = [
     { value: 'paper', label: 'Paper Trading (Simulated)' },
     { value: 'real', label: 'Live Trading (Real Money)' },
@@ -410,6 +558,16 @@ export const BotEditorPage: React.FC = () => {
               Select which cryptocurrency pairs this bot is allowed to trade. Custom symbols override global settings.
             </p>
           </div>
+
+          <TextInput
+            label="Turn Interval (minutes)"
+            type="number"
+            value={formData.turn_interval_minutes}
+            onChange={(value) => setFormData({ ...formData, turn_interval_minutes: value })}
+            placeholder="Use global setting"
+            error={errors.turn_interval_minutes}
+            helperText="How often this bot makes trading decisions. Leave empty to use the global turn interval."
+          />
         </div>
 
         {/* AI Configuration */}
@@ -450,6 +608,166 @@ export const BotEditorPage: React.FC = () => {
               </div>
             </div>
           )}
+
+          {/* Fallback Providers */}
+          {providerOptions.length > 1 && (
+            <div className="space-y-3">
+              <div>
+                <h3 className="text-lg font-medium text-gray-200">Fallback Providers</h3>
+                <p className="text-xs text-gray-400 mt-1">
+                  Tried in order when the primary provider keeps failing (timeouts, rate limits, outages).
+                </p>
+              </div>
+
+              {formData.fallback_provider_ids.length > 0 && (
+                <ol className="space-y-2">
+                  {formData.fallback_provider_ids.map((id, index) => (
+                    <li
+                      key={id}
+                      className="flex items-center justify-between gap-3 px-3 py-2 bg-gray-800 border border-gray-700 rounded-lg"
+                    >
+                      <span className="text-sm text-gray-200">
+                        <span className="text-gray-500 mr-2">{index + 1}.</span>
+                        {getProviderLabel(id)}
+                      </span>
+                      <div className="flex items-center gap-1">
+                        <button
+                          type="button"
+                          onClick={() => moveFallback(index, -1)}
+                          disabled={index === 0}
+                          className="px-2 py-1 text-xs text-gray-300 hover:text-white disabled:opacity-30"
+                          title="Move up"
+                        >
+                          ↑
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => moveFallback(index, 1)}
+                          disabled={index === formData.fallback_provider_ids.length - 1}
+                          className="px-2 py-1 text-xs text-gray-300 hover:text-white disabled:opacity-30"
+                          title="Move down"
+                        >
+                          ↓
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => setFormData({
+                            ...formData,
+                            fallback_provider_ids: formData.fallback_provider_ids.filter(fallbackId => fallbackId !== id),
+                          })}
+                          className="px-2 py-1 text-xs text-red-400 hover:text-red-300"
+                          title="Remove"
+                        >
+                          ✕
+                        </button>
+                      </div>
+                    </li>
+                  ))}
+                </ol>
+              )}
+
+              {fallbackOptions.length > 0 && formData.fallback_provider_ids.length < 5 && (
+                <SelectDropdown
+                  label="Add Fallback Provider"
+                  value=""
+                  onChange={(value) => setFormData({
+                    ...formData,
+                    fallback_provider_ids: [...formData.fallback_provider_ids, parseInt(value)],
+                  })}
+                  options={fallbackOptions}
+                  placeholder="Select a provider to add..."
+                />
+              )}
+            </div>
+          )}
+
+          {/* Model Overrides */}
+          <div className="space-y-4">
+            <div>
+              <h3 className="text-lg font-medium text-gray-200">Model Overrides</h3>
+              <p className="text-xs text-gray-400 mt-1">
+                Optional. Leave a field empty to use the provider's default.
+              </p>
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <TextInput
+                label="Model Name"
+                value={formData.model_name}
+                onChange={(value) => setFormData({ ...formData, model_name: value })}
+                placeholder="Provider's model"
+                error={errors.model_name}
+                helperText="Use a different model from the same provider"
+              />
+
+              <TextInput
+                label="Temperature"
+                type="number"
+                value={formData.temperature}
+                onChange={(value) => setFormData({ ...formData, temperature: value })}
+                placeholder="Default"
+                error={errors.temperature}
+                helperText="0-2. Lower is more deterministic"
+              />
+
+              <TextInput
+                label="Max Tokens"
+                type="number"
+                value={formData.max_tokens}
+                onChange={(value) => setFormData({ ...formData, max_tokens: value })}
+                placeholder="Default"
+                error={errors.max_tokens}
+                helperText="Maximum length of each response"
+              />
+
+              <TextInput
+                label="Top P"
+                type="number"
+                value={formData.top_p}
+                onChange={(value) => setFormData({ ...formData, top_p: value })}
+                placeholder="Default"
+                error={errors.top_p}
+                helperText="0-1. Nucleus sampling cutoff"
+              />
+            </div>
+
+            <TextArea
+              label="System Prompt"
+              value={formData.system_prompt}
+              onChange={(value) => setFormData({ ...formData, system_prompt: value })}
+              placeholder="Optional instructions sent as the model's system message"
+              error={errors.system_prompt}
+              rows={4}
+              maxLength={10000}
+            />
+          </div>
+        </div>
+
+        {/* Risk Limits */}
+        <div className="space-y-4">
+          <div>
+            <h2 className="text-xl font-semibold text-gray-100 border-b border-gray-700 pb-2">
+              Risk Limits
+            </h2>
+            <p className="text-gray-400 text-sm mt-2">
+              Optional hard limits checked before every trade. Leave a field empty to use only the global limit; where both are set, the stricter one applies. Closing positions is never blocked.
+            </p>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            {RISK_LIMIT_FIELDS.map(({ key, label, helperText }) => (
+              <TextInput
+                key={key}
+                label={label}
+                type="number"
+                value={formData.risk_limits[key] || ''}
+                onChange={(value) => setFormData({ ...formData, risk_limits: { ...formData.risk_limits, [key]: value } })}
+                placeholder="Global limit"
+                error={errors[`risk_${key}`]}
+                helperText={helperText}
+              />
+            ))}
+          </div>
         </div>
 
         {/* Trading Prompt */}
@@ -552,6 +870,22 @@ export const BotEditorPage: React.FC = () => {
           />
         </div>
 
+        {/* Version History */}
+        {isEditMode && existingBot && (
+          <div className="space-y-4">
+            <div>
+              <h2 className="text-xl font-semibold text-gray-100 border-b border-gray-700 pb-2">
+                Version History
+              </h2>
+              <p className="text-gray-400 text-sm mt-2">
+                Every change to the prompt, provider, model overrides, fallbacks, risk limits or turn interval is saved as a new version, and each decision records the version that made it.
+              </p>
+            </div>
+
+            <BotVersionHistory botId={existingBot.id} currentVersion={existingBot.current_version} />
+          </div>
+        )}
+
         {/* Actions */}
         <div className="flex items-center justify-between pt-4 border-t border-gray-700">
           <button
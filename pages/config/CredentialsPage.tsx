@@ -44,6 +44,8 @@ export const CredentialsPage: React.FC = () => {
   // Exchange options
   const exchangeOptions: SelectOption[] = [
     { value: 'asterdex', label: 'Asterdex' },
+    { value: 'simulated', label: 'Simulated Exchange (no real funds)' },
+    { value: 'simulated_server', label: 'Local Simulated Exchange Server' },
     { value: 'binance', label: 'Binance' },
     { value: 'coinbase', label: 'Coinbase' },
     { value: 'kraken', label: 'Kraken' },
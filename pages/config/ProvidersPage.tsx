@@ -42,6 +42,7 @@ export const ProvidersPage: React.FC = () => {
     { value: 'anthropic', label: 'Anthropic Claude' },
     { value: 'local', label: 'Local (Ollama)' },
     { value: 'custom', label: 'Custom API' },
+    { value: 'mock', label: 'Mock (Offline Testing)' },
   ];
 
   // Open modal for create/edit
@@ -346,7 +347,7 @@ export const ProvidersPage: React.FC = () => {
                 label="API Endpoint"
                 value={formData.api_endpoint}
                 onChange={(value) => setFormData({ ...formData, api_endpoint: value })}
-                placeholder="https://api.example.com/v1/chat/completions"
+                placeholder={formData.provider_type === 'mock' ? 'mock://local' : 'https://api.example.com/v1/chat/completions'}
                 error={errors.api_endpoint}
                 required
                 type="url"
@@ -372,9 +373,13 @@ export const ProvidersPage: React.FC = () => {
                 label="Configuration JSON"
                 value={formData.config_json}
                 onChange={(value) => setFormData({ ...formData, config_json: value })}
-                placeholder='{"temperature": 0.7, "max_tokens": 1000}'
+                placeholder={formData.provider_type === 'mock'
+                  ? '{"mode": "rules", "seed": 1, "analyzeIterations": 1, "malformedRate": 0}'
+                  : '{"temperature": 0.7, "max_tokens": 1000}'}
                 error={errors.config_json}
-                helperText="Optional: Additional configuration as JSON"
+                helperText={formData.provider_type === 'mock'
+                  ? 'Mock behaviour: "rules" (trend-following) or "script" with a "script" array of responses'
+                  : 'Optional: Additional configuration as JSON'}
                 rows={3}
               />
 
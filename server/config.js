@@ -5,6 +5,12 @@
 
 require('dotenv').config();
 
+// Required after dotenv so the DATABASE_* settings from .env apply
+const { DATABASE_CLIENT, DATABASE_PATH, checkDriver, getDb } = require('./database/connection');
+
+// A misconfigured storage backend stops the server here, not at its first query
+checkDriver();
+
 /**
  * Configuration validation and loading
  * 
@@ -52,57 +58,51 @@ function validateConfig() {
  * but now retrieves encrypted credentials from the database.
  * 
  * @param {string} botId - The bot identifier (e.g., 'bot_degen')
- * @returns {Promise<{apiKey: string, apiSecret: string}>}
+ * @returns {Promise<{apiKey: string, apiSecret: string, exchange: string}>}
  */
 async function getApiKeysForBot(botId) {
-  const Database = require('better-sqlite3');
   const { decrypt } = require('./utils/encryption');
-  const path = require('path');
   
-  const dbPath = path.join(__dirname, '..', 'data', 'arena.db');
-  const db = new Database(dbPath);
+  const db = getDb();
+  
+  // Get the wallet for this bot (exchange selects the adapter used to trade)
+  const wallet = db.prepare(`
+    SELECT exchange, api_key_encrypted, api_secret_encrypted 
+    FROM wallets 
+    WHERE bot_id = ? AND is_active = 1
+    LIMIT 1
+  `).get(botId);
   
-  try {
-    // Get the wallet for this bot (assuming 'asterdex' exchange for now)
-    const wallet = db.prepare(`
-      SELECT api_key_encrypted, api_secret_encrypted 
-      FROM wallets 
-      WHERE bot_id = ? AND is_active = 1
-      LIMIT 1
-    `).get(botId);
+  if (!wallet) {
+    // Fallback to environment variables if no wallet in database
+    console.warn(`No wallet found in database for ${botId}, checking environment variables...`);
     
-    if (!wallet) {
-      // Fallback to environment variables if no wallet in database
-      console.warn(`No wallet found in database for ${botId}, checking environment variables...`);
-      
-      // Map bot IDs to environment variable prefixes
-      const envPrefixMap = {
-        'bot_degen': 'DEGEN_LIVE',
-        'bot_monkey': 'ESCAPED_MONKEY',
-        'bot_astrologer': 'ASTROLOGER',
-        'bot_chronospeculator': 'CHRONOSPECULATOR'
+    // Map bot IDs to environment variable prefixes
+    const envPrefixMap = {
+      'bot_degen': 'DEGEN_LIVE',
+      'bot_monkey': 'ESCAPED_MONKEY',
+      'bot_astrologer': 'ASTROLOGER',
+      'bot_chronospeculator': 'CHRONOSPECULATOR'
+    };
+    
+    const prefix = envPrefixMap[botId];
+    if (prefix && process.env[`${prefix}_API_KEY`] && process.env[`${prefix}_SECRET`]) {
+      return {
+        apiKey: process.env[`${prefix}_API_KEY`],
+        apiSecret: process.env[`${prefix}_SECRET`],
+        exchange: 'asterdex'
       };
-      
-      const prefix = envPrefixMap[botId];
-      if (prefix && process.env[`${prefix}_API_KEY`] && process.env[`${prefix}_SECRET`]) {
-        return {
-          apiKey: process.env[`${prefix}_API_KEY`],
-          apiSecret: process.env[`${prefix}_SECRET`]
-        };
-      }
-      
-      throw new Error(`No API key configuration found for botId: ${botId}. Please configure via /config/credentials`);
     }
     
-    // Decrypt the credentials
-    const apiKey = decrypt(wallet.api_key_encrypted);
-    const apiSecret = decrypt(wallet.api_secret_encrypted);
-    
-    return { apiKey, apiSecret };
-    
-  } finally {
-    db.close();
+    throw new Error(`No API key configuration found for botId: ${botId}. Please configure via /config/credentials`);
   }
+  
+  // Decrypt the credentials
+  const apiKey = decrypt(wallet.api_key_encrypted);
+  const apiSecret = decrypt(wallet.api_secret_encrypted);
+  
+  return { apiKey, apiSecret, exchange: wallet.exchange };
+  
 }
 
 // Configuration object
@@ -110,7 +110,11 @@ const config = {
   port: parseInt(process.env.PORT || '3001', 10),
   wsPort: parseInt(process.env.WS_PORT || '3002', 10),
   nodeEnv: process.env.NODE_ENV || 'development',
-  databasePath: process.env.DATABASE_PATH || './data/arena.db',
+  databaseClient: DATABASE_CLIENT,
+  databasePath: DATABASE_PATH,
+  
+  // Exchange the arena's prices and candles come from (each bot trades on its wallet's exchange)
+  marketDataExchange: process.env.MARKET_DATA_EXCHANGE,
   
   // API Keys (only accessed through getApiKeysForBot for multi-wallet)
   geminiApiKey: process.env.GEMINI_API_KEY,
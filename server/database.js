@@ -3,24 +3,12 @@
  * SPDX-License-Identifier: MIT
  */
 
-const Database = require('better-sqlite3');
 const path = require('path');
 const fs = require('fs');
+const { getDb, closeDb } = require('./database/connection');
 
-// Get database path from environment or use default
-const DATABASE_PATH = process.env.DATABASE_PATH || path.join(__dirname, '..', 'data', 'arena.db');
-
-// Ensure the database directory exists
-const dbDir = path.dirname(DATABASE_PATH);
-if (!fs.existsSync(dbDir)) {
-  fs.mkdirSync(dbDir, { recursive: true });
-}
-
-// Initialize database connection
-const db = new Database(DATABASE_PATH);
-
-// Enable JSON1 extension (should be compiled in by default in modern builds)
-db.pragma('journal_mode = WAL'); // Use Write-Ahead Logging for better concurrency
+// Shared database connection (WAL mode, see database/connection.js)
+const db = getDb();
 
 /**
  * Initialize the database schema
@@ -121,7 +109,7 @@ function initializeArenaState(defaultState) {
  * Close the database connection
  */
 function closeDatabase() {
-  db.close();
+  closeDb();
 }
 
 // Initialize schema on module load
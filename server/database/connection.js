@@ -0,0 +1,96 @@
+/**
+ * @license
+ * SPDX-License-Identifier: MIT
+ *
+ * Shared Database Connection
+ * The server uses one connection for everything (routes, services, the bot
+ * manager), opened on first use. DATABASE_CLIENT selects the storage backend:
+ * 'sqlite' (default, the DATABASE_PATH file) or 'postgres' (DATABASE_URL).
+ * Both drivers expose the better-sqlite3 API (prepare().get/all/run, exec,
+ * transaction, pragma) plus `dialect`, and cache statements by SQL text.
+ * Scripts that only need the settings can require this module without opening
+ * the database; checkDriver tells them (and the server, at config load) whether
+ * the selected backend can be opened at all.
+ */
+
+const path = require('path');
+const { SQLITE, POSTGRES } = require('./sqlDialect');
+
+// Get database settings from environment or use defaults
+const DATABASE_CLIENT = (process.env.DATABASE_CLIENT || SQLITE).toLowerCase();
+const DATABASE_PATH = process.env.DATABASE_PATH || path.join(__dirname, '..', '..', 'data', 'arena.db');
+const DATABASE_URL = process.env.DATABASE_URL || null;
+
+const DRIVERS = {
+  [SQLITE]: () => require('./drivers/sqlite').open({ path: DATABASE_PATH }),
+  [POSTGRES]: () => {
+    if (!DATABASE_URL) {
+      throw new Error('DATABASE_URL must be set when DATABASE_CLIENT=postgres');
+    }
+    return require('./drivers/postgres').open({ url: DATABASE_URL });
+  }
+};
+
+let db = null;
+
+/**
+ * Fail fast on a backend that can't be opened: an unknown DATABASE_CLIENT, or
+ * PostgreSQL without DATABASE_URL or the pg-native package
+ */
+function checkDriver() {
+  if (!DRIVERS[DATABASE_CLIENT]) {
+    throw new Error(`Unknown DATABASE_CLIENT "${DATABASE_CLIENT}" (expected ${Object.keys(DRIVERS).join(' or ')})`);
+  }
+  
+  if (DATABASE_CLIENT === POSTGRES) {
+    if (!DATABASE_URL) {
+      throw new Error('DATABASE_URL must be set when DATABASE_CLIENT=postgres');
+    }
+    require('./drivers/postgres').loadClient();
+  }
+}
+
+/**
+ * Get the shared connection, opening it on first use
+ * @returns {Object} better-sqlite3 connection, or the PostgreSQL driver's equivalent
+ */
+function getDb() {
+  if (db && db.open) {
+    return db;
+  }
+  
+  checkDriver();
+  db = DRIVERS[DATABASE_CLIENT]();
+  return db;
+}
+
+/**
+ * Run a function in a transaction on the shared connection
+ * Everything it writes commits together, or rolls back if it throws. Nested
+ * calls run as savepoints inside the outer transaction.
+ * @param {Function} fn - Synchronous function doing the writes
+ * @returns {*} fn's return value
+ */
+function transaction(fn) {
+  return getDb().transaction(fn)();
+}
+
+/**
+ * Close the shared connection (it reopens on next use)
+ */
+function closeDb() {
+  if (db && db.open) {
+    db.close();
+  }
+  db = null;
+}
+
+module.exports = {
+  DATABASE_CLIENT,
+  DATABASE_PATH,
+  DATABASE_URL,
+  checkDriver,
+  getDb,
+  transaction,
+  closeDb
+};
@@ -0,0 +1,57 @@
+/**
+ * @license
+ * SPDX-License-Identifier: MIT
+ *
+ * SQLite Storage Driver
+ * A better-sqlite3 connection in WAL mode with foreign keys on. Its prepare()
+ * caches statements by SQL text, so hot queries (portfolio updates, auth
+ * checks) are compiled once.
+ */
+
+const Database = require('better-sqlite3');
+const path = require('path');
+const fs = require('fs');
+const { SQLITE } = require('../sqlDialect');
+
+const STATEMENT_CACHE_SIZE = 500; // Oldest statements are dropped beyond this (queries built from filters vary)
+const BUSY_TIMEOUT_MS = 5000; // Wait this long for another process's write lock (e.g. a script) before failing
+
+/**
+ * Open a SQLite database
+ * @param {Object} options
+ * @param {string} options.path - Database file (its directory is created if missing)
+ * @returns {Database} better-sqlite3 connection with a `dialect` property
+ */
+function open({ path: databasePath }) {
+  const dbDir = path.dirname(databasePath);
+  if (!fs.existsSync(dbDir)) {
+    fs.mkdirSync(dbDir, { recursive: true });
+  }
+  
+  const db = new Database(databasePath);
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+  db.pragma(`busy_timeout = ${BUSY_TIMEOUT_MS}`);
+  db.dialect = SQLITE;
+  
+  const prepareStatement = db.prepare.bind(db);
+  const statements = new Map();
+  db.prepare = (sql) => {
+    let statement = statements.get(sql);
+    if (!statement) {
+      statement = prepareStatement(sql);
+      if (statements.size >= STATEMENT_CACHE_SIZE) {
+        statements.delete(statements.keys().next().value);
+      }
+      statements.set(sql, statement);
+    }
+    return statement;
+  };
+  
+  return db;
+}
+
+module.exports = {
+  STATEMENT_CACHE_SIZE,
+  open
+};
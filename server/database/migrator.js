@@ -0,0 +1,327 @@
+/**
+ * @license
+ * SPDX-License-Identifier: MIT
+ *
+ * Migrations
+ * Schema changes are numbered SQL files in server/migrations (NNN_description.sql),
+ * applied in version order and recorded in the migrations table with a SHA-256
+ * checksum of the script that ran. A migration is reversible when it has a
+ * paired NNN_description.down.sql. Scripts are written for SQLite; on PostgreSQL
+ * a migration uses its migrations/postgres/ version when there is one (table
+ * rebuilds SQLite needs but PostgreSQL can do with ALTER TABLE), otherwise the
+ * shared file translated by sqlDialect.toPostgres.
+ *
+ * The server refuses to start unless the database is current: nothing pending,
+ * no applied script changed since it ran, and no applied migration this code
+ * doesn't have.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { getDb } = require('./connection');
+const { POSTGRES, toPostgres } = require('./sqlDialect');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const POSTGRES_MIGRATIONS_DIR = path.join(MIGRATIONS_DIR, 'postgres');
+const MIGRATION_FILE = /^(\d+)_[\w-]+\.sql$/; // Up scripts; the paired down script is NNN_description.down.sql
+
+/**
+ * Path of a migration script for the connection's dialect, or null if there is none
+ */
+function resolveScript(db, file) {
+  if (db.dialect === POSTGRES) {
+    const postgresPath = path.join(POSTGRES_MIGRATIONS_DIR, file);
+    if (fs.existsSync(postgresPath)) {
+      return postgresPath;
+    }
+  }
+  const sharedPath = path.join(MIGRATIONS_DIR, file);
+  return fs.existsSync(sharedPath) ? sharedPath : null;
+}
+
+/**
+ * Checksum of a script (line endings normalized so Windows checkouts match)
+ */
+function checksum(sql) {
+  return crypto.createHash('sha256').update(sql.replace(/\r\n/g, '\n')).digest('hex');
+}
+
+/**
+ * Migrations on disk, in version order
+ * @param {Object} db - Connection (decides which dialect's scripts are used)
+ * @returns {Array<{version: string, name: string, upPath: string, downPath: string|null, checksum: string}>}
+ */
+function discoverMigrations(db = getDb()) {
+  const migrations = fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => MIGRATION_FILE.test(file))
+    .sort()
+    .map(file => {
+      const upPath = resolveScript(db, file);
+      return {
+        version: file.match(MIGRATION_FILE)[1],
+        name: file,
+        upPath,
+        downPath: resolveScript(db, file.replace(/\.sql$/, '.down.sql')),
+        checksum: checksum(fs.readFileSync(upPath, 'utf8'))
+      };
+    });
+  
+  migrations.forEach((migration, index) => {
+    if (index > 0 && migration.version === migrations[index - 1].version) {
+      throw new Error(`Migrations ${migrations[index - 1].name} and ${migration.name} share version ${migration.version}`);
+    }
+  });
+  
+  return migrations;
+}
+
+/**
+ * Create the migrations table, upgrading one from before versions and checksums were recorded
+ */
+function ensureMigrationsTable(db, migrations) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS migrations (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT UNIQUE NOT NULL,
+      version TEXT,
+      checksum TEXT,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+  
+  try {
+    db.prepare('SELECT version, checksum FROM migrations LIMIT 1').all();
+  } catch (error) {
+    db.exec('ALTER TABLE migrations ADD COLUMN version TEXT');
+    db.exec('ALTER TABLE migrations ADD COLUMN checksum TEXT');
+  }
+  
+  // Migrations applied by the old runner are trusted as they are on disk now
+  const unrecorded = db.prepare('SELECT name FROM migrations WHERE checksum IS NULL').all();
+  let recorded = 0;
+  for (const { name } of unrecorded) {
+    const migration = migrations.find(m => m.name === name);
+    if (migration) {
+      db.prepare('UPDATE migrations SET version = ?, checksum = ? WHERE name = ?').run(migration.version, migration.checksum, name);
+      recorded++;
+    }
+  }
+  if (recorded > 0) {
+    console.log(`✓ Recorded checksums for ${recorded} previously applied migration(s)`);
+  }
+}
+
+/**
+ * Compare the migration files with what the database has applied
+ * @param {Object} db - Connection
+ * @returns {{applied: Array, pending: Array, modified: Array, unknown: Array<string>}}
+ *   applied/pending/modified hold migrations from discoverMigrations (applied in the
+ *   order they ran, with appliedAt); unknown lists applied names with no file
+ */
+function getMigrationStatus(db = getDb()) {
+  const migrations = discoverMigrations(db);
+  ensureMigrationsTable(db, migrations);
+  
+  const rows = db.prepare('SELECT name, checksum, applied_at FROM migrations ORDER BY id').all();
+  const rowsByName = new Map(rows.map(row => [row.name, row]));
+  
+  return {
+    applied: rows
+      .map(row => {
+        const migration = migrations.find(m => m.name === row.name);
+        return migration ? { ...migration, appliedAt: row.applied_at } : null;
+      })
+      .filter(Boolean),
+    pending: migrations.filter(m => !rowsByName.has(m.name)),
+    modified: migrations.filter(m => rowsByName.has(m.name) && rowsByName.get(m.name).checksum !== m.checksum),
+    unknown: rows.filter(row => !migrations.some(m => m.name === row.name)).map(row => row.name)
+  };
+}
+
+/**
+ * Human-readable problems in a migration status (empty when the database is current)
+ * @returns {Array<string>}
+ */
+function describeMigrationProblems(status) {
+  const problems = [];
+  if (status.pending.length > 0) {
+    problems.push(`Pending: ${status.pending.map(m => m.name).join(', ')}`);
+  }
+  if (status.modified.length > 0) {
+    problems.push(`Changed since they were applied: ${status.modified.map(m => m.name).join(', ')}`);
+  }
+  if (status.unknown.length > 0) {
+    problems.push(`Applied but missing from this codebase: ${status.unknown.join(', ')}`);
+  }
+  return problems;
+}
+
+/**
+ * Refuse to migrate when applied scripts no longer match the database
+ */
+function assertAppliedIntact(status) {
+  const problems = describeMigrationProblems({ ...status, pending: [] });
+  if (problems.length > 0) {
+    throw new Error(`Applied migrations don't match the migration files. ${problems.join('. ')}`);
+  }
+}
+
+/**
+ * Run a script in a transaction together with its bookkeeping write
+ * Table rebuilds (e.g. migration 005) ask for foreign keys to be disabled
+ * temporarily; the pragma is a no-op inside a transaction, so it is applied
+ * around it instead (PostgreSQL has no such scripts; its driver ignores it).
+ */
+function runScript(db, scriptPath, record) {
+  const sql = fs.readFileSync(scriptPath, 'utf8');
+  const disablesForeignKeys = /PRAGMA\s+foreign_keys\s*=\s*OFF/i.test(sql);
+  
+  if (disablesForeignKeys) {
+    db.pragma('foreign_keys = OFF');
+  }
+  try {
+    db.transaction(() => {
+      db.exec(sql.replace(/PRAGMA\s+foreign_keys\s*=\s*(ON|OFF);?/gi, ''));
+      record();
+    })();
+  } finally {
+    if (disablesForeignKeys) {
+      db.pragma('foreign_keys = ON');
+    }
+  }
+}
+
+/**
+ * Print a script as it would run on the connection's dialect
+ */
+function printScript(db, scriptPath) {
+  const sql = fs.readFileSync(scriptPath, 'utf8');
+  const text = db.dialect === POSTGRES ? toPostgres(sql) : sql;
+  console.log(`   (${path.relative(MIGRATIONS_DIR, scriptPath)})`);
+  console.log(text.trim().split('\n').map(line => `   | ${line}`).join('\n'));
+}
+
+/**
+ * Move PostgreSQL id sequences past rows inserted with explicit ids
+ * (e.g. the default providers seeded by 002), which SQLite handles implicitly
+ */
+function syncSequences(db) {
+  const columns = db.prepare(`
+    SELECT table_name, column_name FROM information_schema.columns
+    WHERE table_schema = current_schema() AND column_default LIKE 'nextval(%'
+  `).all();
+  
+  for (const { table_name: table, column_name: column } of columns) {
+    db.exec(`
+      SELECT setval(pg_get_serial_sequence('${table}', '${column}'),
+        COALESCE((SELECT MAX(${column}) FROM ${table}), 0) + 1, false)
+    `);
+  }
+}
+
+/**
+ * Apply all pending migrations in version order, each in its own transaction
+ * @param {Object} options
+ * @param {boolean} options.dryRun - Print the scripts instead of running them
+ * @param {Object} options.db - Connection (defaults to the shared one)
+ * @returns {Array} Migrations applied (or that would be)
+ */
+function migrate({ dryRun = false, db = getDb() } = {}) {
+  const status = getMigrationStatus(db);
+  assertAppliedIntact(status);
+  console.log(`✓ Found ${status.applied.length} previously applied migrations`);
+  
+  if (status.pending.length === 0) {
+    console.log('\n✅ All migrations already applied - database is up to date!');
+    return [];
+  }
+  
+  for (const migration of status.pending) {
+    if (dryRun) {
+      console.log(`\n📝 Would apply: ${migration.name}`);
+      printScript(db, migration.upPath);
+      continue;
+    }
+    
+    console.log(`\n📝 Running migration: ${migration.name}`);
+    try {
+      runScript(db, migration.upPath, () => {
+        db.prepare('INSERT INTO migrations (name, version, checksum) VALUES (?, ?, ?)')
+          .run(migration.name, migration.version, migration.checksum);
+      });
+    } catch (error) {
+      console.error(`❌ Failed to apply ${migration.name}: ${error.message}`);
+      throw error;
+    }
+    console.log(`✓ Successfully applied ${migration.name}`);
+  }
+  
+  if (dryRun) {
+    console.log(`\n🔍 Dry run: ${status.pending.length} migration(s) would be applied, nothing was changed`);
+    return status.pending;
+  }
+  
+  if (db.dialect === POSTGRES) {
+    syncSequences(db);
+  }
+  console.log(`\n✅ Successfully applied ${status.pending.length} migration(s)!`);
+  return status.pending;
+}
+
+/**
+ * Revert the most recently applied migrations with their down scripts, newest first
+ * @param {Object} options
+ * @param {number} options.steps - How many migrations to revert
+ * @param {boolean} options.dryRun - Print the scripts instead of running them
+ * @param {Object} options.db - Connection (defaults to the shared one)
+ * @returns {Array} Migrations reverted (or that would be)
+ */
+function rollback({ steps = 1, dryRun = false, db = getDb() } = {}) {
+  const status = getMigrationStatus(db);
+  assertAppliedIntact(status);
+  
+  const targets = status.applied.slice(-steps).reverse();
+  if (targets.length === 0) {
+    console.log('✅ No applied migrations to roll back');
+    return [];
+  }
+  
+  const irreversible = targets.filter(m => !m.downPath);
+  if (irreversible.length > 0) {
+    throw new Error(`Can't roll back ${irreversible.map(m => m.name).join(', ')}: no down script`);
+  }
+  
+  for (const migration of targets) {
+    if (dryRun) {
+      console.log(`\n📝 Would roll back: ${migration.name}`);
+      printScript(db, migration.downPath);
+      continue;
+    }
+    
+    console.log(`\n⏪ Rolling back: ${migration.name}`);
+    try {
+      runScript(db, migration.downPath, () => {
+        db.prepare('DELETE FROM migrations WHERE name = ?').run(migration.name);
+      });
+    } catch (error) {
+      console.error(`❌ Failed to roll back ${migration.name}: ${error.message}`);
+      throw error;
+    }
+    console.log(`✓ Rolled back ${migration.name}`);
+  }
+  
+  console.log(dryRun
+    ? `\n🔍 Dry run: ${targets.length} migration(s) would be rolled back, nothing was changed`
+    : `\n✅ Rolled back ${targets.length} migration(s)`);
+  return targets;
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  discoverMigrations,
+  getMigrationStatus,
+  describeMigrationProblems,
+  migrate,
+  rollback
+};
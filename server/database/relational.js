@@ -3,9 +3,8 @@
  * SPDX-License-Identifier: MIT
  */
 
-const Database = require('better-sqlite3');
-const path = require('path');
-const fs = require('fs');
+const { getDb, transaction, closeDb } = require('./connection');
+const { POSTGRES } = require('./sqlDialect');
 
 /**
  * Relational Database Operations
@@ -14,19 +13,8 @@ const fs = require('fs');
  * It complements the existing database.js file which handles the legacy JSON blob.
  */
 
-// Get database path from environment or use default
-const DATABASE_PATH = process.env.DATABASE_PATH || path.join(__dirname, '..', '..', 'data', 'arena.db');
-
-// Ensure the database directory exists
-const dbDir = path.dirname(DATABASE_PATH);
-if (!fs.existsSync(dbDir)) {
-  fs.mkdirSync(dbDir, { recursive: true });
-}
-
-// Initialize database connection
-const db = new Database(DATABASE_PATH);
-db.pragma('journal_mode = WAL');
-db.pragma('foreign_keys = ON');
+// Shared database connection
+const db = getDb();
 
 // ============================================================================
 // BOT OPERATIONS
@@ -38,7 +26,8 @@ db.pragma('foreign_keys = ON');
  */
 function getBots(filters = {}) {
   let query = `
-    SELECT b.*, lp.name as provider_name, lp.provider_type
+    SELECT b.*, lp.name as provider_name, lp.provider_type,
+      (SELECT MAX(v.version) FROM bot_versions v WHERE v.bot_id = b.id) as current_version
     FROM bots b
     JOIN llm_providers lp ON b.provider_id = lp.id
     WHERE 1=1
@@ -79,7 +68,8 @@ function getBots(filters = {}) {
  */
 function getBot(botId, userId = null) {
   let query = `
-    SELECT b.*, lp.name as provider_name, lp.provider_type
+    SELECT b.*, lp.name as provider_name, lp.provider_type,
+      (SELECT MAX(v.version) FROM bot_versions v WHERE v.bot_id = b.id) as current_version
     FROM bots b
     JOIN llm_providers lp ON b.provider_id = lp.id
     WHERE b.id = ?
@@ -102,33 +92,42 @@ function getBot(botId, userId = null) {
  */
 function createBot(botData) {
   const stmt = db.prepare(`
-    INSERT INTO bots (id, user_id, name, prompt, provider_id, trading_mode, is_active, is_paused, avatar_image)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    INSERT INTO bots (id, user_id, name, prompt, provider_id, trading_mode, is_active, is_paused, avatar_image, turn_interval_ms, config_json, fallback_provider_ids, risk_limits_json)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
   `);
   
-  stmt.run(
-    botData.id,
-    botData.user_id, // CRITICAL: Must provide user_id
-    botData.name,
-    botData.prompt,
-    botData.provider_id,
-    botData.trading_mode,
-    botData.is_active !== undefined ? (botData.is_active ? 1 : 0) : 1,
-    botData.is_paused !== undefined ? (botData.is_paused ? 1 : 0) : 0,
-    botData.avatar_image || null
-  );
+  transaction(() => {
+    stmt.run(
+      botData.id,
+      botData.user_id, // CRITICAL: Must provide user_id
+      botData.name,
+      botData.prompt,
+      botData.provider_id,
+      botData.trading_mode,
+      botData.is_active !== undefined ? (botData.is_active ? 1 : 0) : 1,
+      botData.is_paused !== undefined ? (botData.is_paused ? 1 : 0) : 0,
+      botData.avatar_image || null,
+      botData.turn_interval_ms || null,
+      botData.config_json || null,
+      botData.fallback_provider_ids || null,
+      botData.risk_limits_json || null
+    );
+    recordBotVersion(botData.id, { source: 'initial', created_by: botData.user_id });
+  });
   
   return getBot(botData.id);
 }
 
 /**
  * Update a bot
+ * A change to the prompt or configuration is recorded as a new version.
  * @param {string} botId - Bot ID
  * @param {Object} updates - Fields to update
  * @param {string} userId - User ID (for ownership verification)
+ * @param {Object} version - Passed to recordBotVersion (created_by, source, restored_from)
  */
-function updateBot(botId, updates, userId = null) {
-  const allowedFields = ['name', 'prompt', 'provider_id', 'trading_mode', 'is_active', 'is_paused', 'avatar_image'];
+function updateBot(botId, updates, userId = null, version = {}) {
+  const allowedFields = ['name', 'prompt', 'provider_id', 'trading_mode', 'is_active', 'is_paused', 'avatar_image', 'turn_interval_ms', 'config_json', 'fallback_provider_ids', 'risk_limits_json'];
   const setters = [];
   const params = [];
   
@@ -158,7 +157,10 @@ function updateBot(botId, updates, userId = null) {
     params.push(userId);
   }
   
-  db.prepare(query).run(...params);
+  transaction(() => {
+    db.prepare(query).run(...params);
+    recordBotVersion(botId, { source: 'edit', ...version });
+  });
   
   return getBot(botId, userId);
 }
@@ -198,6 +200,169 @@ function toggleBotPause(botId, isPaused, userId = null) {
   return db.prepare(query).run(...params);
 }
 
+// ============================================================================
+// BOT VERSION OPERATIONS
+// ============================================================================
+
+// Bot fields captured by each version (name, avatar, trading mode and pause state are not)
+const VERSIONED_BOT_FIELDS = ['prompt', 'provider_id', 'config_json', 'fallback_provider_ids', 'risk_limits_json', 'turn_interval_ms'];
+
+/**
+ * Record the bot's current prompt and configuration as a new version, unless it matches the latest one
+ * @param {string} botId - Bot ID
+ * @param {Object} options - source ('initial', 'edit' or 'rollback'), restored_from (version number), created_by (user ID)
+ * @returns {Object|null} The new version, or null if nothing versioned changed
+ */
+function recordBotVersion(botId, options = {}) {
+  const bot = db.prepare('SELECT * FROM bots WHERE id = ?').get(botId);
+  if (!bot) {
+    return null;
+  }
+  
+  const latest = db.prepare('SELECT * FROM bot_versions WHERE bot_id = ? ORDER BY version DESC LIMIT 1').get(botId);
+  if (latest && VERSIONED_BOT_FIELDS.every(field => latest[field] === bot[field])) {
+    return null;
+  }
+  
+  const version = latest ? latest.version + 1 : 1;
+  db.prepare(`
+    INSERT INTO bot_versions (user_id, bot_id, version, prompt, provider_id, config_json, fallback_provider_ids, risk_limits_json, turn_interval_ms, source, restored_from, created_by)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    bot.user_id,
+    botId,
+    version,
+    ...VERSIONED_BOT_FIELDS.map(field => bot[field]),
+    options.source || 'edit',
+    options.restored_from || null,
+    options.created_by || null
+  );
+  
+  return getBotVersion(botId, version);
+}
+
+/**
+ * Get a bot's versions, newest first, with how many decisions each produced
+ * @param {string} botId - Bot ID
+ * @param {string} userId - User ID (for ownership verification)
+ */
+function getBotVersions(botId, userId = null) {
+  let query = `
+    SELECT v.*, (SELECT COUNT(*) FROM bot_decisions d WHERE d.bot_version_id = v.id) as decision_count
+    FROM bot_versions v
+    WHERE v.bot_id = ?
+  `;
+  const params = [botId];
+  
+  if (userId) {
+    query += ' AND v.user_id = ?';
+    params.push(userId);
+  }
+  
+  query += ' ORDER BY v.version DESC';
+  
+  return db.prepare(query).all(...params);
+}
+
+/**
+ * Get one version of a bot
+ * @param {string} botId - Bot ID
+ * @param {number} version - Version number
+ * @param {string} userId - User ID (for ownership verification)
+ */
+function getBotVersion(botId, version, userId = null) {
+  let query = 'SELECT * FROM bot_versions WHERE bot_id = ? AND version = ?';
+  const params = [botId, version];
+  
+  if (userId) {
+    query += ' AND user_id = ?';
+    params.push(userId);
+  }
+  
+  return db.prepare(query).get(...params);
+}
+
+/**
+ * Make an earlier version's prompt and configuration current again
+ * The restored configuration becomes a new version, so history is never rewritten.
+ * @param {string} botId - Bot ID
+ * @param {number} version - Version number to restore
+ * @param {string} userId - User ID (for ownership verification)
+ * @param {string} createdBy - User making the change
+ * @returns {Object|null} Updated bot, or null if the version doesn't exist
+ */
+function rollbackBotVersion(botId, version, userId = null, createdBy = null) {
+  const target = getBotVersion(botId, version, userId);
+  if (!target) {
+    return null;
+  }
+  
+  const updates = Object.fromEntries(VERSIONED_BOT_FIELDS.map(field => [field, target[field]]));
+  return updateBot(botId, updates, userId, { source: 'rollback', restored_from: target.version, created_by: createdBy });
+}
+
+/**
+ * Decisions, closed trades and LLM cost per version of a bot
+ * Trades count towards the version that opened their position.
+ * @param {string} botId - Bot ID
+ * @param {Object} filters - start_date (ISO)
+ * @returns {Array<Object>} One row per bot_version_id (null for activity from before versioning)
+ */
+function getBotVersionStats(botId, filters = {}) {
+  const since = (column) => (filters.start_date ? ` AND ${column} >= ?` : '');
+  const params = filters.start_date ? [botId, filters.start_date] : [botId];
+  
+  const decisions = db.prepare(`
+    SELECT bot_version_id,
+      COUNT(*) as decisions,
+      COALESCE(SUM(CASE WHEN execution_success = 1 THEN 1 ELSE 0 END), 0) as successful_decisions
+    FROM bot_decisions
+    WHERE bot_id = ?${since('timestamp')}
+    GROUP BY bot_version_id
+  `).all(...params);
+  
+  const trades = db.prepare(`
+    SELECT p.bot_version_id,
+      COUNT(*) as closed_trades,
+      COALESCE(SUM(CASE WHEN t.pnl > 0 THEN 1 ELSE 0 END), 0) as winning_trades,
+      COALESCE(SUM(t.pnl), 0) as realized_pnl
+    FROM trades t
+    LEFT JOIN positions p ON p.id = t.position_id
+    WHERE t.bot_id = ? AND t.action = 'CLOSE'${since('t.executed_at')}
+    GROUP BY p.bot_version_id
+  `).all(...params);
+  
+  const usage = db.prepare(`
+    SELECT d.bot_version_id, COALESCE(SUM(u.cost_usd), 0) as cost_usd
+    FROM llm_usage u
+    JOIN bot_decisions d ON d.id = u.decision_id
+    WHERE u.bot_id = ?${since('u.created_at')}
+    GROUP BY d.bot_version_id
+  `).all(...params);
+  
+  const rows = new Map();
+  const rowFor = (versionId) => {
+    if (!rows.has(versionId)) {
+      rows.set(versionId, {
+        bot_version_id: versionId,
+        decisions: 0,
+        successful_decisions: 0,
+        closed_trades: 0,
+        winning_trades: 0,
+        realized_pnl: 0,
+        cost_usd: 0
+      });
+    }
+    return rows.get(versionId);
+  };
+  
+  for (const row of [...decisions, ...trades, ...usage]) {
+    Object.assign(rowFor(row.bot_version_id), row);
+  }
+  
+  return [...rows.values()];
+}
+
 // ============================================================================
 // LLM PROVIDER OPERATIONS
 // ============================================================================
@@ -552,14 +717,15 @@ function getPositions(botId, status = 'open', userId = null) {
  */
 function createPosition(positionData) {
   const stmt = db.prepare(`
-    INSERT INTO positions (id, user_id, bot_id, symbol, position_type, entry_price, size, leverage, liquidation_price, stop_loss, take_profit, unrealized_pnl, status)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    INSERT INTO positions (id, user_id, bot_id, bot_version_id, symbol, position_type, entry_price, size, leverage, liquidation_price, stop_loss, take_profit, trailing_stop_pct, trailing_peak_price, unrealized_pnl, status)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
   `);
   
   return stmt.run(
     positionData.id,
     positionData.user_id, // CRITICAL: Must provide user_id
     positionData.bot_id,
+    positionData.bot_version_id || null,
     positionData.symbol,
     positionData.position_type,
     positionData.entry_price,
@@ -568,6 +734,8 @@ function createPosition(positionData) {
     positionData.liquidation_price || null,
     positionData.stop_loss || null,
     positionData.take_profit || null,
+    positionData.trailing_stop_pct || null,
+    positionData.trailing_peak_price || null,
     positionData.unrealized_pnl || 0,
     positionData.status || 'open'
   );
@@ -580,7 +748,7 @@ function createPosition(positionData) {
  * @param {string} userId - User ID (for ownership verification)
  */
 function updatePosition(positionId, updates, userId = null) {
-  const allowedFields = ['unrealized_pnl', 'stop_loss', 'take_profit', 'status', 'closed_at'];
+  const allowedFields = ['entry_price', 'size', 'liquidation_price', 'unrealized_pnl', 'stop_loss', 'take_profit', 'status', 'closed_at', 'funding_paid', 'last_funding_at', 'trailing_stop_pct', 'trailing_peak_price'];
   const setters = [];
   const params = [];
   
@@ -624,6 +792,94 @@ function closePosition(positionId, userId = null) {
   return db.prepare(query).run(...params);
 }
 
+// ============================================================================
+// PENDING ORDER OPERATIONS
+// ============================================================================
+
+/**
+ * Get a bot's resting LIMIT/STOP entry orders
+ * @param {string} botId - Bot ID
+ * @param {string} status - Order status
+ * @param {string} userId - User ID (for ownership verification)
+ */
+function getPendingOrders(botId, status = 'open', userId = null) {
+  let query = 'SELECT * FROM pending_orders WHERE bot_id = ? AND status = ?';
+  const params = [botId, status];
+  
+  if (userId) {
+    query += ' AND user_id = ?';
+    params.push(userId);
+  }
+  
+  query += ' ORDER BY created_at ASC';
+  
+  return db.prepare(query).all(...params);
+}
+
+/**
+ * Create a pending order
+ * @param {Object} orderData - Order data including user_id
+ */
+function createPendingOrder(orderData) {
+  const stmt = db.prepare(`
+    INSERT INTO pending_orders (id, user_id, bot_id, symbol, side, order_type, price, size, leverage, stop_loss, take_profit, trailing_stop_pct, status, exchange_order_id, expires_at, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+  
+  return stmt.run(
+    orderData.id,
+    orderData.user_id,
+    orderData.bot_id,
+    orderData.symbol,
+    orderData.side,
+    orderData.order_type,
+    orderData.price,
+    orderData.size,
+    orderData.leverage,
+    orderData.stop_loss || null,
+    orderData.take_profit || null,
+    orderData.trailing_stop_pct || null,
+    orderData.status || 'open',
+    orderData.exchange_order_id || null,
+    orderData.expires_at || null,
+    orderData.created_at || new Date().toISOString()
+  );
+}
+
+/**
+ * Update a pending order
+ * @param {string} orderId - Order ID
+ * @param {Object} updates - Fields to update
+ * @param {string} userId - User ID (for ownership verification)
+ */
+function updatePendingOrder(orderId, updates, userId = null) {
+  const allowedFields = ['status', 'exchange_order_id', 'position_id', 'reason', 'resolved_at'];
+  const setters = [];
+  const params = [];
+  
+  for (const field of allowedFields) {
+    if (updates[field] !== undefined) {
+      setters.push(`${field} = ?`);
+      params.push(updates[field]);
+    }
+  }
+  
+  if (setters.length === 0) {
+    return;
+  }
+  
+  params.push(orderId);
+  
+  let query = `UPDATE pending_orders SET ${setters.join(', ')} WHERE id = ?`;
+  
+  if (userId) {
+    query += ' AND user_id = ?';
+    params.push(userId);
+  }
+  
+  db.prepare(query).run(...params);
+}
+
 // ============================================================================
 // TRADE OPERATIONS
 // ============================================================================
@@ -677,14 +933,39 @@ function getTrades(botId, filters = {}) {
   return db.prepare(query).all(...params);
 }
 
+/**
+ * Totals over all of a bot's trades
+ * @param {string} botId - Bot ID
+ * @param {string} userId - User ID (for ownership verification)
+ * @returns {{pnl: number, close_count: number, win_count: number}} Summed PnL, and the number of (winning) CLOSE fills
+ */
+function getTradeTotals(botId, userId = null) {
+  let query = `
+    SELECT
+      COALESCE(SUM(pnl), 0) as pnl,
+      COALESCE(SUM(CASE WHEN action = 'CLOSE' THEN 1 ELSE 0 END), 0) as close_count,
+      COALESCE(SUM(CASE WHEN action = 'CLOSE' AND pnl > 0 THEN 1 ELSE 0 END), 0) as win_count
+    FROM trades
+    WHERE bot_id = ?
+  `;
+  const params = [botId];
+  
+  if (userId) {
+    query += ' AND user_id = ?';
+    params.push(userId);
+  }
+  
+  return db.prepare(query).get(...params);
+}
+
 /**
  * Create a trade
  * @param {Object} tradeData - Trade data including user_id
  */
 function createTrade(tradeData) {
   const stmt = db.prepare(`
-    INSERT INTO trades (id, user_id, bot_id, position_id, symbol, trade_type, action, entry_price, exit_price, size, leverage, pnl, fee, executed_at)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    INSERT INTO trades (id, user_id, bot_id, position_id, symbol, trade_type, action, entry_price, exit_price, size, leverage, pnl, fee, slippage, funding, close_reason, executed_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
   `);
   
   return stmt.run(
@@ -701,6 +982,9 @@ function createTrade(tradeData) {
     tradeData.leverage,
     tradeData.pnl,
     tradeData.fee,
+    tradeData.slippage || 0,
+    tradeData.funding || 0,
+    tradeData.close_reason || null,
     tradeData.executed_at || new Date().toISOString()
   );
 }
@@ -715,16 +999,18 @@ function createTrade(tradeData) {
  */
 function createDecision(decisionData) {
   const stmt = db.prepare(`
-    INSERT INTO bot_decisions (user_id, bot_id, prompt_sent, decisions_json, notes_json, execution_success, timestamp)
-    VALUES (?, ?, ?, ?, ?, ?, ?)
+    INSERT INTO bot_decisions (user_id, bot_id, bot_version_id, prompt_sent, decisions_json, notes_json, tool_invocations_json, execution_success, timestamp)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
   `);
   
   return stmt.run(
     decisionData.user_id, // CRITICAL: Must provide user_id
     decisionData.bot_id,
+    decisionData.bot_version_id || null,
     decisionData.prompt_sent,
     JSON.stringify(decisionData.decisions),
     JSON.stringify(decisionData.notes || []),
+    decisionData.tool_invocations ? JSON.stringify(decisionData.tool_invocations) : null,
     decisionData.execution_success ? 1 : 0,
     decisionData.timestamp || new Date().toISOString()
   );
@@ -751,6 +1037,228 @@ function getBotDecisions(botId, limit = 50, userId = null) {
   return db.prepare(query).all(...params);
 }
 
+// ============================================================================
+// LLM USAGE OPERATIONS
+// ============================================================================
+
+const USAGE_GROUPS = {
+  bot: { select: 'u.bot_id, b.name AS bot_name', groupBy: 'u.bot_id' },
+  user: { select: 'u.user_id, usr.username', groupBy: 'u.user_id' },
+  model: { select: 'u.model', groupBy: 'u.model' },
+  purpose: { select: 'u.purpose', groupBy: 'u.purpose' },
+  day: { select: 'substr(u.created_at, 1, 10) AS day', groupBy: 'day' }
+};
+
+/**
+ * Record the LLM calls made for a decision (or a history summary or backtest step)
+ * @param {Object} context - user_id, bot_id, decision_id (null for summaries and backtests) and timestamp
+ * @param {Array<Object>} records - Usage records from llmUsage.createUsageRecord
+ */
+function recordLlmUsage(context, records) {
+  if (!records || records.length === 0) {
+    return;
+  }
+  
+  const stmt = db.prepare(`
+    INSERT INTO llm_usage (user_id, bot_id, decision_id, provider_id, model, purpose, input_tokens, output_tokens, estimated, cost_usd, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+  const createdAt = context.timestamp || new Date().toISOString();
+  
+  db.transaction(() => {
+    for (const record of records) {
+      stmt.run(
+        context.user_id || null,
+        context.bot_id,
+        context.decision_id || null,
+        record.providerId || null,
+        record.model,
+        record.purpose,
+        record.inputTokens,
+        record.outputTokens,
+        record.estimated ? 1 : 0,
+        record.costUsd,
+        createdAt
+      );
+    }
+  })();
+}
+
+/**
+ * Aggregate LLM usage
+ * @param {string} groupBy - 'bot', 'user', 'model', 'purpose' or 'day'
+ * @param {Object} filters - user_id, bot_id, start_date (ISO)
+ */
+function getLlmUsage(groupBy, filters = {}) {
+  const group = USAGE_GROUPS[groupBy];
+  if (!group) {
+    throw new Error(`Unknown usage grouping: ${groupBy}`);
+  }
+  
+  let query = `
+    SELECT ${group.select},
+      COUNT(*) AS calls,
+      SUM(u.input_tokens) AS input_tokens,
+      SUM(u.output_tokens) AS output_tokens,
+      SUM(u.cost_usd) AS cost_usd,
+      SUM(u.estimated) AS estimated_calls
+    FROM llm_usage u
+    LEFT JOIN bots b ON b.id = u.bot_id
+    LEFT JOIN users usr ON usr.id = u.user_id
+    WHERE 1=1
+  `;
+  const params = [];
+  
+  if (filters.user_id) {
+    query += ' AND u.user_id = ?';
+    params.push(filters.user_id);
+  }
+  
+  if (filters.bot_id) {
+    query += ' AND u.bot_id = ?';
+    params.push(filters.bot_id);
+  }
+  
+  if (filters.start_date) {
+    query += ' AND u.created_at >= ?';
+    params.push(filters.start_date);
+  }
+  
+  query += ` GROUP BY ${group.groupBy}`;
+  query += groupBy === 'day' ? ' ORDER BY day ASC' : ' ORDER BY cost_usd DESC';
+  
+  return db.prepare(query).all(...params);
+}
+
+/**
+ * Usage totals for a bot's most recent decisions
+ * @param {string} botId - Bot ID
+ * @param {number} limit - Max number of decisions to return
+ * @param {string} userId - User ID (for ownership verification)
+ */
+function getDecisionUsage(botId, limit = 50, userId = null) {
+  let query = `
+    SELECT d.id AS decision_id, d.timestamp,
+      COUNT(u.id) AS calls,
+      SUM(u.input_tokens) AS input_tokens,
+      SUM(u.output_tokens) AS output_tokens,
+      SUM(u.cost_usd) AS cost_usd,
+      GROUP_CONCAT(DISTINCT u.model) AS models
+    FROM bot_decisions d
+    JOIN llm_usage u ON u.decision_id = d.id
+    WHERE d.bot_id = ?
+  `;
+  const params = [botId];
+  
+  if (userId) {
+    query += ' AND d.user_id = ?';
+    params.push(userId);
+  }
+  
+  query += ' GROUP BY d.id ORDER BY d.timestamp DESC LIMIT ?';
+  params.push(limit);
+  
+  return db.prepare(query).all(...params);
+}
+
+/**
+ * Tokens and dollars spent on LLM calls since a point in time
+ * @param {Object} filters - user_id, bot_id, start_date (ISO)
+ * @returns {{tokens: number, cost_usd: number}}
+ */
+function getLlmSpend(filters = {}) {
+  let query = `
+    SELECT COALESCE(SUM(input_tokens + output_tokens), 0) AS tokens,
+      COALESCE(SUM(cost_usd), 0) AS cost_usd
+    FROM llm_usage
+    WHERE 1=1
+  `;
+  const params = [];
+  
+  if (filters.user_id) {
+    query += ' AND user_id = ?';
+    params.push(filters.user_id);
+  }
+  
+  if (filters.bot_id) {
+    query += ' AND bot_id = ?';
+    params.push(filters.bot_id);
+  }
+  
+  if (filters.start_date) {
+    query += ' AND created_at >= ?';
+    params.push(filters.start_date);
+  }
+  
+  return db.prepare(query).get(...params);
+}
+
+// ============================================================================
+// LLM BUDGET OPERATIONS
+// ============================================================================
+
+const BUDGET_LIMIT_FIELDS = ['daily_tokens', 'daily_usd', 'monthly_tokens', 'monthly_usd'];
+
+/**
+ * Get a user's budgets (user-wide first, then per bot)
+ */
+function getLlmBudgets(userId) {
+  return db.prepare(`
+    SELECT lb.*, b.name AS bot_name
+    FROM llm_budgets lb
+    LEFT JOIN bots b ON b.id = lb.bot_id
+    WHERE lb.user_id = ?
+    ORDER BY lb.bot_id IS NOT NULL, b.name
+  `).all(userId);
+}
+
+/**
+ * Get the budget for a user (botId null) or one of their bots
+ */
+function getLlmBudget(userId, botId = null) {
+  return db.prepare(`
+    SELECT * FROM llm_budgets WHERE user_id = ? AND IFNULL(bot_id, '') = IFNULL(?, '')
+  `).get(userId, botId);
+}
+
+/**
+ * Get budget by ID
+ */
+function getLlmBudgetById(id) {
+  return db.prepare('SELECT * FROM llm_budgets WHERE id = ?').get(id);
+}
+
+/**
+ * Create or replace the budget for a user (botId null) or one of their bots
+ * @param {Object} budget - user_id, bot_id, daily_tokens, daily_usd, monthly_tokens, monthly_usd (null = no limit), set_by_admin
+ */
+function upsertLlmBudget(budget) {
+  const limits = BUDGET_LIMIT_FIELDS.map(field => (budget[field] === undefined ? null : budget[field]));
+  const existing = getLlmBudget(budget.user_id, budget.bot_id || null);
+  
+  if (existing) {
+    db.prepare(`
+      UPDATE llm_budgets
+      SET daily_tokens = ?, daily_usd = ?, monthly_tokens = ?, monthly_usd = ?, set_by_admin = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(...limits, budget.set_by_admin ? 1 : 0, existing.id);
+    return getLlmBudgetById(existing.id);
+  }
+  
+  const result = db.prepare(`
+    INSERT INTO llm_budgets (user_id, bot_id, daily_tokens, daily_usd, monthly_tokens, monthly_usd, set_by_admin)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(budget.user_id, budget.bot_id || null, ...limits, budget.set_by_admin ? 1 : 0);
+  return getLlmBudgetById(result.lastInsertRowid);
+}
+
+/**
+ * Delete budget
+ */
+function deleteLlmBudget(id) {
+  return db.prepare('DELETE FROM llm_budgets WHERE id = ?').run(id);
+}
+
 // ============================================================================
 // MARKET DATA OPERATIONS
 // ============================================================================
@@ -780,10 +1288,376 @@ function getLatestMarketData() {
   return db.prepare(`
     SELECT DISTINCT symbol, price, price_24h_change, volume_24h
     FROM market_data
-    WHERE timestamp = (SELECT MAX(timestamp) FROM market_data)
+    WHERE interval IS NULL
+      AND timestamp = (SELECT MAX(timestamp) FROM market_data WHERE interval IS NULL)
   `).all();
 }
 
+/**
+ * Insert or update OHLCV candles for a symbol/interval
+ * Candles are { openTime, open, high, low, close, volume }; an existing candle with the
+ * same open time is replaced so the still-forming candle stays current
+ */
+function upsertCandles(symbol, interval, candles) {
+  const stmt = db.prepare(`
+    INSERT INTO market_data
+      (symbol, interval, open_time, open, high, low, close, volume, price, price_24h_change, volume_24h, timestamp)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NULL, ?)
+    ON CONFLICT (symbol, interval, open_time) WHERE interval IS NOT NULL DO UPDATE SET
+      open = excluded.open,
+      high = excluded.high,
+      low = excluded.low,
+      close = excluded.close,
+      volume = excluded.volume,
+      price = excluded.price,
+      price_24h_change = excluded.price_24h_change,
+      timestamp = excluded.timestamp
+  `);
+  
+  const insertMany = db.transaction((rows) => {
+    for (const candle of rows) {
+      const change = candle.open ? ((candle.close - candle.open) / candle.open) * 100 : 0;
+      stmt.run(
+        symbol,
+        interval,
+        candle.openTime,
+        candle.open,
+        candle.high,
+        candle.low,
+        candle.close,
+        candle.volume,
+        candle.close,
+        change,
+        new Date(candle.openTime).toISOString()
+      );
+    }
+  });
+  
+  insertMany(candles);
+  return candles.length;
+}
+
+/**
+ * Get the most recent candles for a symbol/interval, oldest first
+ */
+function getCandles(symbol, interval, limit = 100) {
+  const rows = db.prepare(`
+    SELECT open_time, open, high, low, close, volume
+    FROM market_data
+    WHERE symbol = ? AND interval = ?
+    ORDER BY open_time DESC
+    LIMIT ?
+  `).all(symbol, interval, limit);
+  
+  return rows.reverse().map(row => ({
+    openTime: row.open_time,
+    open: row.open,
+    high: row.high,
+    low: row.low,
+    close: row.close,
+    volume: row.volume
+  }));
+}
+
+/**
+ * Get candles whose open time falls within [startTime, endTime], oldest first
+ */
+function getCandlesInRange(symbol, interval, startTime, endTime) {
+  return db.prepare(`
+    SELECT open_time, open, high, low, close, volume
+    FROM market_data
+    WHERE symbol = ? AND interval = ? AND open_time >= ? AND open_time <= ?
+    ORDER BY open_time ASC
+  `).all(symbol, interval, startTime, endTime).map(row => ({
+    openTime: row.open_time,
+    open: row.open,
+    high: row.high,
+    low: row.low,
+    close: row.close,
+    volume: row.volume
+  }));
+}
+
+// ============================================================================
+// BACKTEST OPERATIONS
+// ============================================================================
+
+/**
+ * Create a backtest job record
+ * @param {Object} backtestData - Backtest data including user_id, bot_id and config
+ */
+function createBacktest(backtestData) {
+  db.prepare(`
+    INSERT INTO backtests (id, user_id, bot_id, status, config_json)
+    VALUES (?, ?, ?, ?, ?)
+  `).run(
+    backtestData.id,
+    backtestData.user_id,
+    backtestData.bot_id,
+    backtestData.status || 'queued',
+    JSON.stringify(backtestData.config)
+  );
+  
+  return getBacktest(backtestData.id);
+}
+
+/**
+ * Get a single backtest with parsed results
+ * @param {string} backtestId - Backtest ID
+ * @param {string} userId - User ID (optional, for ownership verification)
+ */
+function getBacktest(backtestId, userId = null) {
+  let query = `
+    SELECT bt.*, b.name as bot_name
+    FROM backtests bt
+    JOIN bots b ON bt.bot_id = b.id
+    WHERE bt.id = ?
+  `;
+  const params = [backtestId];
+  
+  if (userId) {
+    query += ' AND bt.user_id = ?';
+    params.push(userId);
+  }
+  
+  const row = db.prepare(query).get(...params);
+  if (!row) {
+    return null;
+  }
+  
+  const { config_json, equity_curve_json, trades_json, metrics_json, ...rest } = row;
+  return {
+    ...rest,
+    config: JSON.parse(config_json),
+    equity_curve: equity_curve_json ? JSON.parse(equity_curve_json) : [],
+    trades: trades_json ? JSON.parse(trades_json) : [],
+    metrics: metrics_json ? JSON.parse(metrics_json) : null
+  };
+}
+
+/**
+ * List backtests without their (large) result payloads
+ * @param {Object} filters - Optional filters (user_id, bot_id, status)
+ */
+function getBacktests(filters = {}) {
+  let query = `
+    SELECT bt.id, bt.user_id, bt.bot_id, bt.status, bt.config_json, bt.progress, bt.metrics_json,
+           bt.error, bt.created_at, bt.started_at, bt.completed_at, b.name as bot_name
+    FROM backtests bt
+    JOIN bots b ON bt.bot_id = b.id
+    WHERE 1=1
+  `;
+  const params = [];
+  
+  if (filters.user_id) {
+    query += ' AND bt.user_id = ?';
+    params.push(filters.user_id);
+  }
+  
+  if (filters.bot_id) {
+    query += ' AND bt.bot_id = ?';
+    params.push(filters.bot_id);
+  }
+  
+  if (filters.status) {
+    query += ' AND bt.status = ?';
+    params.push(filters.status);
+  }
+  
+  query += ' ORDER BY bt.created_at DESC';
+  
+  return db.prepare(query).all(...params).map(({ config_json, metrics_json, ...rest }) => ({
+    ...rest,
+    config: JSON.parse(config_json),
+    metrics: metrics_json ? JSON.parse(metrics_json) : null
+  }));
+}
+
+/**
+ * Update a backtest's status, progress or results
+ * @param {string} backtestId - Backtest ID
+ * @param {Object} updates - Fields to update; equity_curve, trades and metrics are serialised
+ */
+function updateBacktest(backtestId, updates) {
+  const columns = {
+    status: updates.status,
+    progress: updates.progress,
+    error: updates.error,
+    started_at: updates.started_at,
+    completed_at: updates.completed_at,
+    equity_curve_json: updates.equity_curve !== undefined ? JSON.stringify(updates.equity_curve) : undefined,
+    trades_json: updates.trades !== undefined ? JSON.stringify(updates.trades) : undefined,
+    metrics_json: updates.metrics !== undefined ? JSON.stringify(updates.metrics) : undefined
+  };
+  
+  const setters = [];
+  const params = [];
+  
+  for (const [column, value] of Object.entries(columns)) {
+    if (value !== undefined) {
+      setters.push(`${column} = ?`);
+      params.push(value);
+    }
+  }
+  
+  if (setters.length === 0) {
+    return;
+  }
+  
+  params.push(backtestId);
+  db.prepare(`UPDATE backtests SET ${setters.join(', ')} WHERE id = ?`).run(...params);
+}
+
+/**
+ * Delete a backtest
+ * @param {string} backtestId - Backtest ID
+ * @param {string} userId - User ID (for ownership verification)
+ */
+function deleteBacktest(backtestId, userId = null) {
+  let query = 'DELETE FROM backtests WHERE id = ?';
+  const params = [backtestId];
+  
+  if (userId) {
+    query += ' AND user_id = ?';
+    params.push(userId);
+  }
+  
+  return db.prepare(query).run(...params);
+}
+
+// ============================================================================
+// EXPERIMENT OPERATIONS
+// ============================================================================
+
+/**
+ * Create an experiment together with its variant bots
+ * @param {Object} experimentData - id, user_id, name, source_bot_id
+ * @param {Array<{label: string, bot: Object}>} variants - Baseline first; `bot` is passed to createBot
+ */
+function createExperiment(experimentData, variants) {
+  transaction(() => {
+    db.prepare(`
+      INSERT INTO experiments (id, user_id, name, source_bot_id)
+      VALUES (?, ?, ?, ?)
+    `).run(
+      experimentData.id,
+      experimentData.user_id,
+      experimentData.name,
+      experimentData.source_bot_id || null
+    );
+    
+    const insertVariant = db.prepare(`
+      INSERT INTO experiment_variants (experiment_id, bot_id, label, position)
+      VALUES (?, ?, ?, ?)
+    `);
+    variants.forEach((variant, position) => {
+      createBot(variant.bot);
+      insertVariant.run(experimentData.id, variant.bot.id, variant.label, position);
+    });
+  });
+  
+  return getExperiment(experimentData.id);
+}
+
+/**
+ * Get an experiment with its variants (baseline first)
+ * @param {string} experimentId - Experiment ID
+ * @param {string} userId - User ID (optional, for ownership verification)
+ */
+function getExperiment(experimentId, userId = null) {
+  let query = `
+    SELECT e.*, sb.name as source_bot_name
+    FROM experiments e
+    LEFT JOIN bots sb ON e.source_bot_id = sb.id
+    WHERE e.id = ?
+  `;
+  const params = [experimentId];
+  
+  if (userId) {
+    query += ' AND e.user_id = ?';
+    params.push(userId);
+  }
+  
+  const experiment = db.prepare(query).get(...params);
+  if (!experiment) {
+    return null;
+  }
+  
+  const variants = db.prepare(`
+    SELECT ev.bot_id, ev.label, ev.position, b.name as bot_name, b.prompt, b.provider_id,
+      b.config_json, b.turn_interval_ms, b.is_paused, b.is_active, lp.name as provider_name
+    FROM experiment_variants ev
+    JOIN bots b ON ev.bot_id = b.id
+    JOIN llm_providers lp ON b.provider_id = lp.id
+    WHERE ev.experiment_id = ?
+    ORDER BY ev.position
+  `).all(experimentId);
+  
+  return { ...experiment, variants };
+}
+
+/**
+ * List experiments without their variants
+ * @param {Object} filters - Optional filters (user_id, status)
+ */
+function getExperiments(filters = {}) {
+  let query = `
+    SELECT e.*, sb.name as source_bot_name,
+      (SELECT COUNT(*) FROM experiment_variants ev WHERE ev.experiment_id = e.id) as variant_count
+    FROM experiments e
+    LEFT JOIN bots sb ON e.source_bot_id = sb.id
+    WHERE 1=1
+  `;
+  const params = [];
+  
+  if (filters.user_id) {
+    query += ' AND e.user_id = ?';
+    params.push(filters.user_id);
+  }
+  
+  if (filters.status) {
+    query += ' AND e.status = ?';
+    params.push(filters.status);
+  }
+  
+  query += ' ORDER BY e.created_at DESC';
+  
+  return db.prepare(query).all(...params);
+}
+
+/**
+ * Portfolio values of an experiment's variants while it ran
+ * @param {Object} experiment - Experiment from getExperiment
+ * @returns {Array<Array<{timestamp, total_value}>>} Per variant (baseline first), oldest first
+ */
+function getExperimentEquity(experiment) {
+  const stmt = db.prepare(`
+    SELECT timestamp, total_value FROM bot_state_snapshots
+    WHERE bot_id = ? AND timestamp >= ?${experiment.stopped_at ? ' AND timestamp <= ?' : ''}
+    ORDER BY timestamp ASC
+  `);
+  const range = experiment.stopped_at ? [experiment.created_at, experiment.stopped_at] : [experiment.created_at];
+  
+  return experiment.variants.map(variant => stmt.all(variant.bot_id, ...range));
+}
+
+/**
+ * Stop a running experiment (its variant bots keep their history)
+ * @param {string} experimentId - Experiment ID
+ * @param {string} userId - User ID (for ownership verification)
+ */
+function stopExperiment(experimentId, userId = null) {
+  let query = `UPDATE experiments SET status = 'stopped', stopped_at = CURRENT_TIMESTAMP WHERE id = ? AND status = 'running'`;
+  const params = [experimentId];
+  
+  if (userId) {
+    query += ' AND user_id = ?';
+    params.push(userId);
+  }
+  
+  return db.prepare(query).run(...params);
+}
+
 // ============================================================================
 // SYSTEM SETTINGS OPERATIONS
 // ============================================================================
@@ -925,7 +1799,7 @@ function getAuditLogs(filters = {}) {
  * Close the database connection
  */
 function closeDatabase() {
-  db.close();
+  closeDb();
 }
 
 /**
@@ -933,7 +1807,9 @@ function closeDatabase() {
  */
 function hasRelationalSchema() {
   try {
-    const result = db.prepare("SELECT name FROM sqlite_master WHERE type='table' AND name='bots'").get();
+    const result = db.dialect === POSTGRES
+      ? db.prepare("SELECT table_name AS name FROM information_schema.tables WHERE table_schema = current_schema() AND table_name = 'bots'").get()
+      : db.prepare("SELECT name FROM sqlite_master WHERE type='table' AND name='bots'").get();
     return !!result;
   } catch (error) {
     return false;
@@ -953,6 +1829,12 @@ module.exports = {
   updateBot,
   deleteBot,
   toggleBotPause,
+  // Bot version operations
+  recordBotVersion,
+  getBotVersions,
+  getBotVersion,
+  rollbackBotVersion,
+  getBotVersionStats,
   // Provider operations
   getProviders,
   getProvider,
@@ -973,15 +1855,46 @@ module.exports = {
   createPosition,
   updatePosition,
   closePosition,
+  // Pending order operations
+  getPendingOrders,
+  createPendingOrder,
+  updatePendingOrder,
   // Trade operations
   getTrades,
+  getTradeTotals,
   createTrade,
   // Decision operations
   createDecision,
   getBotDecisions,
+  // LLM usage operations
+  recordLlmUsage,
+  getLlmUsage,
+  getDecisionUsage,
+  getLlmSpend,
+  // LLM budget operations
+  getLlmBudgets,
+  getLlmBudget,
+  getLlmBudgetById,
+  upsertLlmBudget,
+  deleteLlmBudget,
   // Market data operations
   insertMarketData,
   getLatestMarketData,
+  upsertCandles,
+  getCandles,
+  getCandlesInRange,
+  // Backtest operations
+  createBacktest,
+  getBacktest,
+  getBacktests,
+  updateBacktest,
+  deleteBacktest,
+  // Experiment operations
+  createExperiment,
+  getExperiment,
+  getExperiments,
+  getExperimentEquity,
+  stopExperiment,
   // Settings operations
   getSettings,
   getSetting,
@@ -993,6 +1906,7 @@ module.exports = {
   closeDatabase,
   hasRelationalSchema,
   // Direct database access for custom queries
-  prepare: (sql) => db.prepare(sql)
+  prepare: (sql) => db.prepare(sql),
+  transaction
 };
 
@@ -0,0 +1,173 @@
+/**
+ * @license
+ * SPDX-License-Identifier: MIT
+ *
+ * SQL Dialect Translation
+ * Queries and migrations are written for SQLite. When the PostgreSQL backend is
+ * selected they pass through toPostgres(), which rewrites the SQLite-isms this
+ * codebase uses: ? placeholders, camelCase aliases (PostgreSQL folds unquoted
+ * names to lowercase), datetime()/strftime(), IFNULL, GROUP_CONCAT, case-insensitive
+ * LIKE, INSERT OR IGNORE, and the column types used in CREATE/ALTER TABLE.
+ * Anything else has to be written portably (e.g. ON CONFLICT ... DO UPDATE
+ * instead of INSERT OR REPLACE).
+ */
+
+const SQLITE = 'sqlite';
+const POSTGRES = 'postgres';
+
+// Rewrites that span string literals, applied to the whole text first
+const FUNCTION_REWRITES = [
+  [/strftime\(\s*'%s'\s*,\s*'now'\s*\)/gi, 'EXTRACT(EPOCH FROM CURRENT_TIMESTAMP)'],
+  [/strftime\(\s*'%s'\s*,\s*([\w.]+)\s*\)/gi, 'EXTRACT(EPOCH FROM $1)'],
+  [/strftime\(\s*'%Y-%m-%d %H'\s*,\s*([\w.]+)\s*\)/gi, "to_char($1, 'YYYY-MM-DD HH24')"],
+  [/strftime\(\s*'%Y-%m-%d'\s*,\s*([\w.]+)\s*\)/gi, "to_char($1, 'YYYY-MM-DD')"],
+  [/datetime\(\s*'now'\s*,\s*'([+-])\s*(\d+)\s+(\w+?)s?'\s*\)/gi, "(CURRENT_TIMESTAMP $1 INTERVAL '$2 $3')"],
+  [/datetime\(\s*'now'\s*\)/gi, 'CURRENT_TIMESTAMP']
+];
+
+// Column types in CREATE TABLE / ALTER TABLE (SQLite integers are 64-bit)
+const TYPE_REWRITES = [
+  [/\bINTEGER\s+PRIMARY\s+KEY\s+AUTOINCREMENT\b/gi, 'BIGSERIAL PRIMARY KEY'],
+  [/\bINTEGER\b/gi, 'BIGINT'],
+  [/\bREAL\b/gi, 'DOUBLE PRECISION'],
+  [/\bDATETIME\b/gi, 'TIMESTAMP'],
+  [/\bBOOLEAN\b/gi, 'SMALLINT'] // The code reads and writes 0/1
+];
+
+/**
+ * Split SQL into code and quoted/comment pieces so rewrites only touch code
+ * @returns {Array<{text: string, code: boolean}>}
+ */
+function tokenize(sql) {
+  const pieces = [];
+  let code = '';
+  let i = 0;
+  
+  while (i < sql.length) {
+    const ch = sql[i];
+    let end = -1;
+    
+    if (ch === "'" || ch === '"') {
+      end = i + 1;
+      while (end < sql.length) {
+        if (sql[end] === ch && sql[end + 1] === ch) {
+          end += 2;
+        } else if (sql[end] === ch) {
+          break;
+        } else {
+          end++;
+        }
+      }
+      end++;
+    } else if (ch === '-' && sql[i + 1] === '-') {
+      end = sql.indexOf('\n', i);
+      end = end === -1 ? sql.length : end;
+    }
+    
+    if (end === -1) {
+      code += ch;
+      i++;
+      continue;
+    }
+    if (code) {
+      pieces.push({ text: code, code: true });
+      code = '';
+    }
+    pieces.push({ text: sql.slice(i, end), code: false });
+    i = end;
+  }
+  if (code) {
+    pieces.push({ text: code, code: true });
+  }
+  
+  return pieces;
+}
+
+/**
+ * Split tokenized SQL into statements on semicolons outside quotes
+ */
+function splitStatements(pieces) {
+  const statements = [[]];
+  
+  for (const piece of pieces) {
+    if (!piece.code) {
+      statements[statements.length - 1].push(piece);
+      continue;
+    }
+    const parts = piece.text.split(';');
+    parts.forEach((part, index) => {
+      if (index > 0) {
+        statements.push([]);
+      }
+      if (part) {
+        statements[statements.length - 1].push({ text: part, code: true });
+      }
+    });
+  }
+  
+  return statements;
+}
+
+/**
+ * Translate one statement's pieces, numbering placeholders from `param`
+ * @returns {{text: string, param: number}}
+ */
+function translateStatement(pieces, param) {
+  const codeText = pieces.filter(p => p.code).map(p => p.text).join(' ');
+  const isDdl = /^\s*(CREATE|ALTER)\s+TABLE\b/i.test(codeText);
+  const ignoresConflicts = /^\s*INSERT\s+OR\s+IGNORE\b/i.test(codeText);
+  let text = '';
+  
+  for (const piece of pieces) {
+    if (!piece.code) {
+      text += piece.text;
+      continue;
+    }
+    let part = piece.text
+      .replace(/\?/g, () => `$${++param}`)
+      .replace(/\bINSERT\s+OR\s+IGNORE\s+INTO\b/gi, 'INSERT INTO')
+      .replace(/\bIFNULL\s*\(/gi, 'COALESCE(')
+      .replace(/\bGROUP_CONCAT\s*\(\s*(DISTINCT\s+)?([^()]+?)\s*\)/gi, "STRING_AGG($1$2, ',')")
+      .replace(/\b(NOT\s+)?LIKE\b/gi, (match, not) => `${not || ''}ILIKE`)
+      .replace(/\b(AS\s+)([a-z]\w*)\b/gi, (match, as, alias) => (/[a-z][A-Z]/.test(alias) ? `${as}"${alias}"` : match));
+    if (isDdl) {
+      for (const [pattern, replacement] of TYPE_REWRITES) {
+        part = part.replace(pattern, replacement);
+      }
+    }
+    text += part;
+  }
+  
+  if (ignoresConflicts) {
+    text = text.replace(/\s*$/, match => ` ON CONFLICT DO NOTHING${match}`);
+  }
+  
+  return { text, param };
+}
+
+/**
+ * Translate SQLite SQL (a query or a whole migration script) to PostgreSQL
+ * @param {string} sql
+ * @returns {string}
+ */
+function toPostgres(sql) {
+  let rewritten = sql;
+  for (const [pattern, replacement] of FUNCTION_REWRITES) {
+    rewritten = rewritten.replace(pattern, replacement);
+  }
+  
+  let param = 0;
+  return splitStatements(tokenize(rewritten))
+    .map(pieces => {
+      const result = translateStatement(pieces, param);
+      param = result.param;
+      return result.text;
+    })
+    .join(';');
+}
+
+module.exports = {
+  SQLITE,
+  POSTGRES,
+  toPostgres
+};
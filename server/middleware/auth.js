@@ -4,6 +4,7 @@
  */
 
 const jwt = require('jsonwebtoken');
+const { getDb } = require('../database/connection');
 
 /**
  * Authentication Middleware
@@ -143,42 +144,35 @@ function requireOwnership(resourceType, idParam = 'id', userIdField = 'user_id')
     }
     
     try {
-      const Database = require('better-sqlite3');
-      const path = require('path');
-      const dbPath = path.join(__dirname, '..', '..', 'data', 'arena.db');
-      const db = new Database(dbPath, { readonly: true });
+      const db = getDb();
       
-      try {
-        // Map resource types to table names
-        const tableMap = {
-          'bot': 'bots',
-          'provider': 'llm_providers',
-          'wallet': 'wallets',
-          'position': 'positions',
-          'trade': 'trades'
-        };
-        
-        const tableName = tableMap[resourceType] || resourceType;
-        
-        // Query to check ownership
-        const query = `SELECT ${userIdField} FROM ${tableName} WHERE id = ?`;
-        const resource = db.prepare(query).get(resourceId);
-        
-        if (!resource) {
-          return res.status(404).json({ error: `${resourceType} not found` });
-        }
-        
-        if (resource[userIdField] !== req.user.userId) {
-          return res.status(403).json({ 
-            error: 'Access denied',
-            message: 'You do not have permission to access this resource'
-          });
-        }
-        
-        next();
-      } finally {
-        db.close();
+      // Map resource types to table names
+      const tableMap = {
+        'bot': 'bots',
+        'provider': 'llm_providers',
+        'wallet': 'wallets',
+        'position': 'positions',
+        'trade': 'trades'
+      };
+      
+      const tableName = tableMap[resourceType] || resourceType;
+      
+      // Query to check ownership
+      const query = `SELECT ${userIdField} FROM ${tableName} WHERE id = ?`;
+      const resource = db.prepare(query).get(resourceId);
+      
+      if (!resource) {
+        return res.status(404).json({ error: `${resourceType} not found` });
       }
+      
+      if (resource[userIdField] !== req.user.userId) {
+        return res.status(403).json({ 
+          error: 'Access denied',
+          message: 'You do not have permission to access this resource'
+        });
+      }
+      
+      next();
     } catch (error) {
       console.error('Error checking resource ownership:', error);
       res.status(500).json({ error: 'Internal server error' });
@@ -0,0 +1,5 @@
+-- Migration: 006_leaderboard.down.sql
+-- Description: Reverts 006_leaderboard.sql (drops the leaderboard and performance history tables)
+
+DROP TABLE IF EXISTS bot_performance_history;
+DROP TABLE IF EXISTS leaderboard;
@@ -0,0 +1,5 @@
+-- Migration: 007_add_bot_trading_symbols.down.sql
+-- Description: Reverts 007_add_bot_trading_symbols.sql (bots trade the global symbol list again)
+
+DROP INDEX IF EXISTS idx_bots_trading_symbols;
+ALTER TABLE bots DROP COLUMN trading_symbols;
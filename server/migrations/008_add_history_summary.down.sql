@@ -0,0 +1,5 @@
+-- Migration: 008_add_history_summary.down.sql
+-- Description: Reverts 008_add_history_summary.sql (stored history summaries are lost)
+
+DROP INDEX IF EXISTS idx_bots_has_summary;
+ALTER TABLE bots DROP COLUMN history_summary;
@@ -0,0 +1,4 @@
+-- Migration: 009_add_trade_close_reason.down.sql
+-- Description: Reverts 009_add_trade_close_reason.sql
+
+ALTER TABLE trades DROP COLUMN close_reason;
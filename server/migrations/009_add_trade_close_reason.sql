@@ -0,0 +1,7 @@
+-- Migration: 009_add_trade_close_reason.sql
+-- Description: Record why a position was closed (stop-loss, take-profit, liquidation)
+-- Date: 2025-11-10
+
+-- Add close_reason column to trades table
+-- NULL means the close was requested by the bot or manually by the user
+ALTER TABLE trades ADD COLUMN close_reason TEXT DEFAULT NULL;
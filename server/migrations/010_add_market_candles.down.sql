@@ -0,0 +1,13 @@
+-- Migration: 010_add_market_candles.down.sql
+-- Description: Reverts 010_add_market_candles.sql (deletes stored candles, keeps price snapshots)
+
+DROP INDEX IF EXISTS idx_market_candles;
+DELETE FROM market_data WHERE interval IS NOT NULL;
+
+ALTER TABLE market_data DROP COLUMN volume;
+ALTER TABLE market_data DROP COLUMN close;
+ALTER TABLE market_data DROP COLUMN low;
+ALTER TABLE market_data DROP COLUMN high;
+ALTER TABLE market_data DROP COLUMN open;
+ALTER TABLE market_data DROP COLUMN open_time;
+ALTER TABLE market_data DROP COLUMN interval;
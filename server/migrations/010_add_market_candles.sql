@@ -0,0 +1,17 @@
+-- Migration: 010_add_market_candles.sql
+-- Description: Extend market_data to store OHLCV klines per symbol/interval for sandbox indicators
+-- Date: 2025-11-11
+
+-- Candle columns. Ticker rows written by insertMarketData leave these NULL.
+-- For candle rows, price mirrors close and price_24h_change holds the candle's own % change.
+ALTER TABLE market_data ADD COLUMN interval TEXT DEFAULT NULL;
+ALTER TABLE market_data ADD COLUMN open_time INTEGER DEFAULT NULL;
+ALTER TABLE market_data ADD COLUMN open REAL DEFAULT NULL;
+ALTER TABLE market_data ADD COLUMN high REAL DEFAULT NULL;
+ALTER TABLE market_data ADD COLUMN low REAL DEFAULT NULL;
+ALTER TABLE market_data ADD COLUMN close REAL DEFAULT NULL;
+ALTER TABLE market_data ADD COLUMN volume REAL DEFAULT NULL;
+
+-- One row per candle; re-fetching the still-open candle overwrites it
+CREATE UNIQUE INDEX IF NOT EXISTS idx_market_candles ON market_data(symbol, interval, open_time)
+  WHERE interval IS NOT NULL;
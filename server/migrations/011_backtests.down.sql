@@ -0,0 +1,4 @@
+-- Migration: 011_backtests.down.sql
+-- Description: Reverts 011_backtests.sql (deletes all backtest runs)
+
+DROP TABLE IF EXISTS backtests;
@@ -0,0 +1,25 @@
+-- Migration: 011_backtests.sql
+-- Description: Store backtest jobs and their results (equity curve, trades, risk metrics)
+-- Date: 2025-11-12
+
+CREATE TABLE IF NOT EXISTS backtests (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    bot_id TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'queued' CHECK(status IN ('queued', 'running', 'completed', 'failed', 'cancelled')),
+    config_json TEXT NOT NULL,           -- Run parameters plus the prompt/provider snapshot used
+    progress REAL DEFAULT 0,             -- 0-1, fraction of simulated steps completed
+    equity_curve_json TEXT,              -- [{ time, value }]
+    trades_json TEXT,                    -- Closed and force-closed trades
+    metrics_json TEXT,                   -- Same shape as /api/analytics/risk-metrics plus trade stats
+    error TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    started_at DATETIME,
+    completed_at DATETIME,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (bot_id) REFERENCES bots(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_backtests_user ON backtests(user_id);
+CREATE INDEX IF NOT EXISTS idx_backtests_bot ON backtests(bot_id);
+CREATE INDEX IF NOT EXISTS idx_backtests_status ON backtests(status);
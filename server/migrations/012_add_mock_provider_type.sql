@@ -0,0 +1,35 @@
+-- Migration: 012_add_mock_provider_type.sql
+-- Description: Allow the built-in 'mock' provider type (deterministic, offline responses)
+-- Date: 2025-11-13
+
+-- SQLite can't alter a CHECK constraint, so the table is rebuilt.
+-- Foreign keys are disabled so bots.provider_id references survive the swap.
+PRAGMA foreign_keys = OFF;
+
+CREATE TABLE IF NOT EXISTS llm_providers_new (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id TEXT,
+  name TEXT NOT NULL,
+  provider_type TEXT NOT NULL CHECK (provider_type IN ('openai', 'anthropic', 'gemini', 'grok', 'local', 'custom', 'mock')),
+  api_endpoint TEXT NOT NULL,
+  model_name TEXT,
+  api_key_encrypted TEXT,
+  config_json TEXT,
+  is_active BOOLEAN DEFAULT 1,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+INSERT INTO llm_providers_new (id, user_id, name, provider_type, api_endpoint, model_name, api_key_encrypted, config_json, is_active, created_at, updated_at)
+SELECT id, user_id, name, provider_type, api_endpoint, model_name, api_key_encrypted, config_json, is_active, created_at, updated_at
+FROM llm_providers;
+
+DROP TABLE llm_providers;
+ALTER TABLE llm_providers_new RENAME TO llm_providers;
+
+CREATE INDEX IF NOT EXISTS idx_providers_user ON llm_providers(user_id);
+CREATE INDEX IF NOT EXISTS idx_providers_active ON llm_providers(is_active);
+CREATE INDEX IF NOT EXISTS idx_providers_type ON llm_providers(provider_type);
+
+PRAGMA foreign_keys = ON;
@@ -0,0 +1,4 @@
+-- Migration: 013_add_decision_tool_invocations.down.sql
+-- Description: Reverts 013_add_decision_tool_invocations.sql
+
+ALTER TABLE bot_decisions DROP COLUMN tool_invocations_json;
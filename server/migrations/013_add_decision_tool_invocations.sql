@@ -0,0 +1,7 @@
+-- Migration: 013_add_decision_tool_invocations.sql
+-- Description: Store the sandbox tool invocations made during each decision cycle
+-- Date: 2025-11-14
+
+-- JSON array of { index, tool, parameters, status, result|error, durationMs, cpuMs, timestamp }
+-- NULL for decisions made without the multi-step sandbox
+ALTER TABLE bot_decisions ADD COLUMN tool_invocations_json TEXT DEFAULT NULL;
@@ -0,0 +1,6 @@
+-- Migration: 014_turn_scheduling.down.sql
+-- Description: Reverts 014_turn_scheduling.sql (bots use the global turn interval again)
+
+ALTER TABLE bots DROP COLUMN turn_interval_ms;
+
+DELETE FROM system_settings WHERE key IN ('max_concurrent_turns', 'turn_overlap_policy');
@@ -0,0 +1,11 @@
+-- Migration: 014_turn_scheduling.sql
+-- Description: Per-bot turn intervals and turn scheduler settings
+-- Date: 2025-11-15
+
+-- NULL means the bot uses the global turn_interval_ms setting
+ALTER TABLE bots ADD COLUMN turn_interval_ms INTEGER DEFAULT NULL;
+
+-- Turn scheduler settings
+INSERT OR IGNORE INTO system_settings (key, value, data_type, description) VALUES
+  ('max_concurrent_turns', '2', 'number', 'Maximum bot trading turns running at the same time'),
+  ('turn_overlap_policy', 'skip', 'string', 'When a bot''s turn comes due while its previous turn is still running: skip or queue');
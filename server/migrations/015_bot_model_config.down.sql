@@ -0,0 +1,4 @@
+-- Migration: 015_bot_model_config.down.sql
+-- Description: Reverts 015_bot_model_config.sql (per-bot model parameters are lost)
+
+ALTER TABLE bots DROP COLUMN config_json;
@@ -0,0 +1,6 @@
+-- Migration: 015_bot_model_config.sql
+-- Description: Per-bot model overrides (model name, temperature, max tokens, top_p, system prompt)
+-- Date: 2025-11-16
+
+-- JSON object; NULL means the bot uses its provider's model and defaults
+ALTER TABLE bots ADD COLUMN config_json TEXT DEFAULT NULL;
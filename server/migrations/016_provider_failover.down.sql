@@ -0,0 +1,11 @@
+-- Migration: 016_provider_failover.down.sql
+-- Description: Reverts 016_provider_failover.sql
+
+ALTER TABLE bots DROP COLUMN fallback_provider_ids;
+
+DELETE FROM system_settings WHERE key IN (
+  'llm_max_retries',
+  'llm_retry_base_delay_ms',
+  'llm_circuit_failure_threshold',
+  'llm_circuit_cooldown_ms'
+);
@@ -0,0 +1,13 @@
+-- Migration: 016_provider_failover.sql
+-- Description: Per-bot fallback providers and LLM retry / circuit breaker settings
+-- Date: 2025-11-17
+
+-- JSON array of provider IDs tried in order when the bot's own provider fails
+ALTER TABLE bots ADD COLUMN fallback_provider_ids TEXT DEFAULT NULL;
+
+-- LLM retry and circuit breaker settings
+INSERT OR IGNORE INTO system_settings (key, value, data_type, description) VALUES
+  ('llm_max_retries', '2', 'number', 'Retries per provider for timeouts, rate limits and 5xx errors before failing over'),
+  ('llm_retry_base_delay_ms', '1000', 'number', 'Base delay for exponential backoff between LLM retries (ms, with jitter)'),
+  ('llm_circuit_failure_threshold', '5', 'number', 'Consecutive failures before a provider is skipped by all bots'),
+  ('llm_circuit_cooldown_ms', '120000', 'number', 'How long a failing provider is skipped before it is tried again (ms)');
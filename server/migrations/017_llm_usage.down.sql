@@ -0,0 +1,4 @@
+-- Migration: 017_llm_usage.down.sql
+-- Description: Reverts 017_llm_usage.sql (deletes recorded LLM usage)
+
+DROP TABLE IF EXISTS llm_usage;
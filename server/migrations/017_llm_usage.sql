@@ -0,0 +1,26 @@
+-- Migration: 017_llm_usage.sql
+-- Description: Token usage and cost of every LLM call, per bot and per decision
+-- Date: 2025-11-18
+
+CREATE TABLE IF NOT EXISTS llm_usage (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id TEXT,
+    bot_id TEXT NOT NULL,
+    decision_id INTEGER,                 -- bot_decisions row the call was made for (NULL for history summaries and backtests)
+    provider_id INTEGER,
+    model TEXT NOT NULL,
+    purpose TEXT NOT NULL CHECK(purpose IN ('decision', 'sandbox', 'summary', 'backtest')),
+    input_tokens INTEGER NOT NULL DEFAULT 0,
+    output_tokens INTEGER NOT NULL DEFAULT 0,
+    estimated BOOLEAN NOT NULL DEFAULT 0, -- 1 when the provider didn't report usage and tokens were estimated
+    cost_usd REAL NOT NULL DEFAULT 0,    -- From the price table (0 for unknown models)
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (bot_id) REFERENCES bots(id) ON DELETE CASCADE,
+    FOREIGN KEY (decision_id) REFERENCES bot_decisions(id) ON DELETE SET NULL,
+    FOREIGN KEY (provider_id) REFERENCES llm_providers(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_llm_usage_user ON llm_usage(user_id);
+CREATE INDEX IF NOT EXISTS idx_llm_usage_bot ON llm_usage(bot_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_llm_usage_decision ON llm_usage(decision_id);
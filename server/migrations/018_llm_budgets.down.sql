@@ -0,0 +1,7 @@
+-- Migration: 018_llm_budgets.down.sql
+-- Description: Reverts 018_llm_budgets.sql (deletes all budgets)
+
+DROP INDEX IF EXISTS idx_llm_usage_user_created;
+DROP TABLE IF EXISTS llm_budgets;
+
+DELETE FROM system_settings WHERE key = 'llm_budget_warning_pct';
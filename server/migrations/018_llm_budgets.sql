@@ -0,0 +1,27 @@
+-- Migration: 018_llm_budgets.sql
+-- Description: Daily/monthly LLM token and dollar budgets per user and per bot
+-- Date: 2025-11-19
+
+CREATE TABLE IF NOT EXISTS llm_budgets (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id TEXT NOT NULL,
+    bot_id TEXT,                         -- NULL = budget covers all of the user's bots
+    daily_tokens INTEGER,                -- NULL = no limit
+    daily_usd REAL,
+    monthly_tokens INTEGER,
+    monthly_usd REAL,
+    set_by_admin BOOLEAN NOT NULL DEFAULT 0, -- Admin overrides can't be changed by the user
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (bot_id) REFERENCES bots(id) ON DELETE CASCADE
+);
+
+-- One user-wide budget and one budget per bot
+CREATE UNIQUE INDEX IF NOT EXISTS idx_llm_budgets_scope ON llm_budgets(user_id, IFNULL(bot_id, ''));
+
+-- Spend lookups for budget checks
+CREATE INDEX IF NOT EXISTS idx_llm_usage_user_created ON llm_usage(user_id, created_at);
+
+INSERT OR IGNORE INTO system_settings (key, value, data_type, description) VALUES
+  ('llm_budget_warning_pct', '80', 'number', 'Percent of an LLM budget at which the owner is warned (bots pause at 100%)');
@@ -0,0 +1,14 @@
+-- Migration: 019_risk_limits.down.sql
+-- Description: Reverts 019_risk_limits.sql (per-bot risk limits are lost)
+
+ALTER TABLE bots DROP COLUMN risk_limits_json;
+
+DELETE FROM system_settings WHERE key IN (
+  'risk_max_exposure_multiple',
+  'risk_max_positions',
+  'risk_max_symbol_margin_pct',
+  'risk_max_correlated_exposure_multiple',
+  'risk_correlation_threshold',
+  'risk_daily_loss_limit_pct',
+  'risk_max_drawdown_pct'
+);
@@ -0,0 +1,16 @@
+-- Migration: 019_risk_limits.sql
+-- Description: Portfolio risk limits (global settings and per-bot overrides)
+-- Date: 2025-11-20
+
+-- JSON object of per-bot risk limits; NULL means only the global limits apply
+ALTER TABLE bots ADD COLUMN risk_limits_json TEXT DEFAULT NULL;
+
+-- Global risk limits applied to every bot (0 = no limit)
+INSERT OR IGNORE INTO system_settings (key, value, data_type, description) VALUES
+  ('risk_max_exposure_multiple', '0', 'number', 'Max total position notional (margin x leverage) as a multiple of bot equity (0 = no limit)'),
+  ('risk_max_positions', '0', 'number', 'Max concurrent open positions per bot (0 = no limit)'),
+  ('risk_max_symbol_margin_pct', '0', 'number', 'Max margin in a single symbol as a percent of bot equity (0 = no limit)'),
+  ('risk_max_correlated_exposure_multiple', '0', 'number', 'Max same-direction notional across correlated symbols as a multiple of bot equity (0 = no limit)'),
+  ('risk_correlation_threshold', '0.7', 'number', 'Return correlation at which two symbols count as correlated for the correlated exposure limit'),
+  ('risk_daily_loss_limit_pct', '0', 'number', 'Percent of equity a bot may lose in a UTC day before it stops opening positions until the next day (0 = no limit)'),
+  ('risk_max_drawdown_pct', '0', 'number', 'Percent drawdown from peak equity at which a bot is paused by the kill-switch (0 = no limit)');
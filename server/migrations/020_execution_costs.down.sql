@@ -0,0 +1,16 @@
+-- Migration: 020_execution_costs.down.sql
+-- Description: Reverts 020_execution_costs.sql (recorded slippage and funding are lost)
+
+ALTER TABLE trades DROP COLUMN slippage;
+ALTER TABLE trades DROP COLUMN funding;
+ALTER TABLE positions DROP COLUMN funding_paid;
+ALTER TABLE positions DROP COLUMN last_funding_at;
+
+DELETE FROM system_settings WHERE key IN (
+  'paper_taker_fee_rate',
+  'paper_maker_fee_rate',
+  'paper_slippage_bps',
+  'paper_slippage_impact_bps',
+  'paper_max_slippage_bps',
+  'paper_funding_enabled'
+);
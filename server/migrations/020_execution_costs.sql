@@ -0,0 +1,21 @@
+-- Migration: 020_execution_costs.sql
+-- Description: Paper trading execution cost model (fees on notional, slippage, funding)
+-- Date: 2025-11-21
+
+-- Itemised costs per fill: fee is the exchange fee, slippage is the cost of the
+-- fill price versus the market price (already included in the fill price), and
+-- funding is the funding paid over the position's life (negative = received)
+ALTER TABLE trades ADD COLUMN slippage REAL NOT NULL DEFAULT 0;
+ALTER TABLE trades ADD COLUMN funding REAL NOT NULL DEFAULT 0;
+
+-- Running funding total for open positions, and the last funding time settled
+ALTER TABLE positions ADD COLUMN funding_paid REAL NOT NULL DEFAULT 0;
+ALTER TABLE positions ADD COLUMN last_funding_at TIMESTAMP DEFAULT NULL;
+
+INSERT OR IGNORE INTO system_settings (key, value, data_type, description) VALUES
+  ('paper_taker_fee_rate', '0.0005', 'number', 'Paper trading fee for market (taker) fills, as a fraction of notional'),
+  ('paper_maker_fee_rate', '0.0002', 'number', 'Paper trading fee for resting (maker) fills, as a fraction of notional'),
+  ('paper_slippage_bps', '2', 'number', 'Paper trading slippage on every market fill, in basis points'),
+  ('paper_slippage_impact_bps', '10', 'number', 'Extra paper trading slippage in basis points at $100k notional, scaling with the square root of order size'),
+  ('paper_max_slippage_bps', '100', 'number', 'Cap on paper trading slippage per fill, in basis points'),
+  ('paper_funding_enabled', 'true', 'boolean', 'Charge paper positions the exchange funding rate at each funding time');
@@ -0,0 +1,9 @@
+-- Migration: 021_pending_orders.down.sql
+-- Description: Reverts 021_pending_orders.sql (deletes resting orders and trailing stops)
+
+DROP TABLE IF EXISTS pending_orders;
+
+ALTER TABLE positions DROP COLUMN trailing_stop_pct;
+ALTER TABLE positions DROP COLUMN trailing_peak_price;
+
+DELETE FROM system_settings WHERE key IN ('pending_order_default_expiry_minutes', 'max_pending_orders_per_bot');
@@ -0,0 +1,38 @@
+-- Migration: 021_pending_orders.sql
+-- Description: Resting LIMIT and STOP entry orders placed by bots, and trailing stops on positions
+-- Date: 2025-11-22
+
+CREATE TABLE IF NOT EXISTS pending_orders (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    bot_id TEXT NOT NULL,
+    symbol TEXT NOT NULL,
+    side TEXT NOT NULL CHECK (side IN ('LONG', 'SHORT')),
+    order_type TEXT NOT NULL CHECK (order_type IN ('LIMIT', 'STOP')),
+    price REAL NOT NULL,                 -- Limit price, or the trigger price of a STOP
+    size REAL NOT NULL,                  -- Margin in USD
+    leverage INTEGER NOT NULL,
+    stop_loss REAL,                      -- Applied to the position once the order fills
+    take_profit REAL,
+    trailing_stop_pct REAL,
+    status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'filled', 'cancelled', 'expired', 'rejected')),
+    exchange_order_id TEXT,              -- Real trading only
+    position_id TEXT,                    -- Position opened by the fill
+    reason TEXT,                         -- Why the order was cancelled, expired or rejected
+    expires_at TIMESTAMP,                -- NULL = good until cancelled
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    resolved_at TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (bot_id) REFERENCES bots(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_pending_orders_bot_status ON pending_orders(bot_id, status);
+
+-- Trailing stop distance (% below the best price for a LONG, above for a SHORT)
+-- and the best price seen since the position opened
+ALTER TABLE positions ADD COLUMN trailing_stop_pct REAL DEFAULT NULL;
+ALTER TABLE positions ADD COLUMN trailing_peak_price REAL DEFAULT NULL;
+
+INSERT OR IGNORE INTO system_settings (key, value, data_type, description) VALUES
+  ('pending_order_default_expiry_minutes', '240', 'number', 'Minutes a bot''s LIMIT or STOP order rests before it expires when the bot sets no expiry'),
+  ('max_pending_orders_per_bot', '5', 'number', 'Most LIMIT and STOP orders a bot can have resting at once');
@@ -0,0 +1,10 @@
+-- Migration: 022_bot_versions.down.sql
+-- Description: Reverts 022_bot_versions.sql (deletes version history; bots keep their current configuration)
+
+DROP INDEX IF EXISTS idx_decisions_bot_version;
+DROP INDEX IF EXISTS idx_positions_bot_version;
+
+ALTER TABLE bot_decisions DROP COLUMN bot_version_id;
+ALTER TABLE positions DROP COLUMN bot_version_id;
+
+DROP TABLE IF EXISTS bot_versions;
@@ -0,0 +1,35 @@
+-- Migration: 022_bot_versions.sql
+-- Description: Immutable versions of each bot's prompt and configuration, linked to the decisions and positions they produced
+-- Date: 2025-11-23
+
+CREATE TABLE IF NOT EXISTS bot_versions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id TEXT,
+    bot_id TEXT NOT NULL,
+    version INTEGER NOT NULL,            -- 1, 2, 3... per bot; the highest is the bot's current configuration
+    prompt TEXT NOT NULL,
+    provider_id INTEGER NOT NULL,
+    config_json TEXT,
+    fallback_provider_ids TEXT,
+    risk_limits_json TEXT,
+    turn_interval_ms INTEGER,
+    source TEXT NOT NULL CHECK (source IN ('initial', 'edit', 'rollback')),
+    restored_from INTEGER,               -- Version number a rollback copied
+    created_by TEXT,                     -- User who made the change (an admin may edit someone else's bot)
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (bot_id, version),
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (bot_id) REFERENCES bots(id) ON DELETE CASCADE
+);
+
+-- Existing bots start at version 1 with their current configuration
+INSERT INTO bot_versions (user_id, bot_id, version, prompt, provider_id, config_json, fallback_provider_ids, risk_limits_json, turn_interval_ms, source)
+SELECT user_id, id, 1, prompt, provider_id, config_json, fallback_provider_ids, risk_limits_json, turn_interval_ms, 'initial'
+FROM bots;
+
+-- Version that produced each decision, and that opened each position (NULL = before versioning)
+ALTER TABLE bot_decisions ADD COLUMN bot_version_id INTEGER DEFAULT NULL;
+ALTER TABLE positions ADD COLUMN bot_version_id INTEGER DEFAULT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_decisions_bot_version ON bot_decisions(bot_version_id);
+CREATE INDEX IF NOT EXISTS idx_positions_bot_version ON positions(bot_version_id);
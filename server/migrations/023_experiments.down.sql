@@ -0,0 +1,8 @@
+-- Migration: 023_experiments.down.sql
+-- Description: Reverts 023_experiments.sql (deletes experiments; their variant bots are kept as ordinary paper bots)
+
+DROP INDEX IF EXISTS idx_experiment_variants_experiment;
+DROP INDEX IF EXISTS idx_experiments_user;
+
+DROP TABLE IF EXISTS experiment_variants;
+DROP TABLE IF EXISTS experiments;
@@ -0,0 +1,29 @@
+-- Migration: 023_experiments.sql
+-- Description: A/B prompt experiments - paper bot variants cloned from one bot that trade on the same schedule and market snapshots
+-- Date: 2025-11-24
+
+CREATE TABLE IF NOT EXISTS experiments (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    name TEXT NOT NULL,
+    source_bot_id TEXT,                  -- Bot the variants were cloned from
+    status TEXT NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'stopped')),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    stopped_at TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (source_bot_id) REFERENCES bots(id) ON DELETE SET NULL
+);
+
+CREATE TABLE IF NOT EXISTS experiment_variants (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    experiment_id TEXT NOT NULL,
+    bot_id TEXT NOT NULL UNIQUE,         -- A bot belongs to at most one experiment
+    label TEXT NOT NULL,
+    position INTEGER NOT NULL,           -- 0 is the baseline the other variants are compared with
+    UNIQUE (experiment_id, position),
+    FOREIGN KEY (experiment_id) REFERENCES experiments(id) ON DELETE CASCADE,
+    FOREIGN KEY (bot_id) REFERENCES bots(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_experiments_user ON experiments(user_id);
+CREATE INDEX IF NOT EXISTS idx_experiment_variants_experiment ON experiment_variants(experiment_id);
@@ -0,0 +1,67 @@
+-- Migration: 004_multi_tenant_users.sql (PostgreSQL)
+-- Description: Adds user management tables for multi-tenant SaaS architecture
+-- The SQLite version rebuilds users and audit_log; PostgreSQL alters them in place
+-- to the same end state.
+
+-- Users table
+ALTER TABLE users ADD COLUMN IF NOT EXISTS recovery_phrase_hash TEXT;
+UPDATE users SET recovery_phrase_hash = password_hash WHERE recovery_phrase_hash IS NULL;
+ALTER TABLE users ALTER COLUMN recovery_phrase_hash SET NOT NULL;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+ALTER TABLE users ALTER COLUMN role DROP NOT NULL;
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_role_check;
+ALTER TABLE users ADD CONSTRAINT users_role_check CHECK (role IN ('user', 'admin', 'moderator'));
+
+CREATE INDEX IF NOT EXISTS idx_users_username ON users(username);
+CREATE INDEX IF NOT EXISTS idx_users_active ON users(is_active);
+CREATE INDEX IF NOT EXISTS idx_users_role ON users(role);
+
+-- User sessions table (for refresh tokens)
+CREATE TABLE IF NOT EXISTS user_sessions (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    refresh_token TEXT NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    ip_address TEXT,
+    user_agent TEXT,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_sessions_user ON user_sessions(user_id);
+CREATE INDEX IF NOT EXISTS idx_sessions_token ON user_sessions(refresh_token);
+CREATE INDEX IF NOT EXISTS idx_sessions_expires ON user_sessions(expires_at);
+
+-- User profiles table (extended info)
+CREATE TABLE IF NOT EXISTS user_profiles (
+    user_id TEXT PRIMARY KEY,
+    display_name TEXT,
+    bio TEXT,
+    avatar_url TEXT,
+    country TEXT,
+    timezone TEXT,
+    preferences TEXT, -- JSON for UI preferences
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Enhanced audit log columns
+DROP INDEX IF EXISTS idx_audit_event_type;
+DROP INDEX IF EXISTS idx_audit_timestamp;
+DROP INDEX IF EXISTS idx_audit_entity;
+ALTER TABLE audit_log RENAME COLUMN event_type TO action;
+ALTER TABLE audit_log RENAME COLUMN entity_type TO resource_type;
+ALTER TABLE audit_log ALTER COLUMN resource_type DROP NOT NULL;
+ALTER TABLE audit_log RENAME COLUMN entity_id TO resource_id;
+ALTER TABLE audit_log RENAME COLUMN details_json TO details;
+ALTER TABLE audit_log RENAME COLUMN timestamp TO created_at;
+ALTER TABLE audit_log ADD COLUMN IF NOT EXISTS user_agent TEXT;
+UPDATE audit_log SET user_id = NULL WHERE user_id NOT IN (SELECT id FROM users);
+ALTER TABLE audit_log ADD CONSTRAINT audit_log_user_id_fkey
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_audit_user ON audit_log(user_id);
+CREATE INDEX IF NOT EXISTS idx_audit_created ON audit_log(created_at);
+CREATE INDEX IF NOT EXISTS idx_audit_action ON audit_log(action);
+CREATE INDEX IF NOT EXISTS idx_audit_resource ON audit_log(resource_type, resource_id);
@@ -0,0 +1,27 @@
+-- Migration: 005_add_user_foreign_keys.sql (PostgreSQL)
+-- Description: Adds user_id columns to all user-specific tables for multi-tenancy
+-- PostgreSQL can add a column with its foreign key directly, so nothing is rebuilt.
+-- user_id values will be NULL until the assign_to_admin script is run.
+
+ALTER TABLE bots ADD COLUMN IF NOT EXISTS user_id TEXT REFERENCES users(id) ON DELETE CASCADE;
+CREATE INDEX IF NOT EXISTS idx_bots_user ON bots(user_id);
+
+-- Provider names are only unique per user now
+ALTER TABLE llm_providers ADD COLUMN IF NOT EXISTS user_id TEXT REFERENCES users(id) ON DELETE CASCADE;
+ALTER TABLE llm_providers DROP CONSTRAINT IF EXISTS llm_providers_name_key;
+CREATE INDEX IF NOT EXISTS idx_providers_user ON llm_providers(user_id);
+
+ALTER TABLE wallets ADD COLUMN IF NOT EXISTS user_id TEXT REFERENCES users(id) ON DELETE CASCADE;
+CREATE INDEX IF NOT EXISTS idx_wallets_user ON wallets(user_id);
+
+ALTER TABLE bot_state_snapshots ADD COLUMN IF NOT EXISTS user_id TEXT REFERENCES users(id) ON DELETE CASCADE;
+CREATE INDEX IF NOT EXISTS idx_snapshots_user ON bot_state_snapshots(user_id);
+
+ALTER TABLE bot_decisions ADD COLUMN IF NOT EXISTS user_id TEXT REFERENCES users(id) ON DELETE CASCADE;
+CREATE INDEX IF NOT EXISTS idx_decisions_user ON bot_decisions(user_id);
+
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS user_id TEXT REFERENCES users(id) ON DELETE CASCADE;
+CREATE INDEX IF NOT EXISTS idx_trades_user ON trades(user_id);
+
+ALTER TABLE positions ADD COLUMN IF NOT EXISTS user_id TEXT REFERENCES users(id) ON DELETE CASCADE;
+CREATE INDEX IF NOT EXISTS idx_positions_user ON positions(user_id);
@@ -0,0 +1,6 @@
+-- Migration: 012_add_mock_provider_type.down.sql (PostgreSQL)
+-- Description: Reverts 012_add_mock_provider_type.sql (fails while any 'mock' provider exists; delete those first)
+
+ALTER TABLE llm_providers DROP CONSTRAINT IF EXISTS llm_providers_provider_type_check;
+ALTER TABLE llm_providers ADD CONSTRAINT llm_providers_provider_type_check
+  CHECK (provider_type IN ('openai', 'anthropic', 'gemini', 'grok', 'local', 'custom'));
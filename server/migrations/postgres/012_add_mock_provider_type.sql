@@ -0,0 +1,7 @@
+-- Migration: 012_add_mock_provider_type.sql (PostgreSQL)
+-- Description: Allow the built-in 'mock' provider type (deterministic, offline responses)
+-- PostgreSQL can replace the CHECK constraint without rebuilding the table.
+
+ALTER TABLE llm_providers DROP CONSTRAINT IF EXISTS llm_providers_provider_type_check;
+ALTER TABLE llm_providers ADD CONSTRAINT llm_providers_provider_type_check
+  CHECK (provider_type IN ('openai', 'anthropic', 'gemini', 'grok', 'local', 'custom', 'mock'));
@@ -8,21 +8,18 @@
 const express = require('express');
 const router = express.Router();
 const { authenticateToken, requireRole } = require('../middleware/auth');
-const Database = require('better-sqlite3');
-const path = require('path');
+const { getDb, transaction } = require('../database/connection');
 
 // All admin routes require authentication and admin role
 router.use(authenticateToken);
 router.use(requireRole('admin'));
 
-const DB_PATH = process.env.DATABASE_PATH || path.join(__dirname, '..', '..', 'data', 'arena.db');
-
 /**
  * GET /api/admin/users
  * Get all users with pagination and search
  */
 router.get('/users', (req, res) => {
-  const db = new Database(DB_PATH);
+  const db = getDb();
   
   try {
     const { search = '', page = 1, limit = 50, role = '', status = '' } = req.query;
@@ -68,8 +65,6 @@ router.get('/users', (req, res) => {
   } catch (error) {
     console.error('Error fetching users:', error);
     res.status(500).json({ error: 'Failed to fetch users' });
-  } finally {
-    db.close();
   }
 });
 
@@ -78,7 +73,7 @@ router.get('/users', (req, res) => {
  * Get system-wide statistics
  */
 router.get('/stats', (req, res) => {
-  const db = new Database(DB_PATH);
+  const db = getDb();
   
   try {
     const stats = {};
@@ -137,8 +132,6 @@ router.get('/stats', (req, res) => {
   } catch (error) {
     console.error('Error fetching admin stats:', error);
     res.status(500).json({ error: 'Failed to fetch system statistics' });
-  } finally {
-    db.close();
   }
 });
 
@@ -147,7 +140,7 @@ router.get('/stats', (req, res) => {
  * Get audit log with pagination and filtering
  */
 router.get('/audit-log', (req, res) => {
-  const db = new Database(DB_PATH);
+  const db = getDb();
   
   try {
     const { 
@@ -205,8 +198,6 @@ router.get('/audit-log', (req, res) => {
   } catch (error) {
     console.error('Error fetching audit log:', error);
     res.status(500).json({ error: 'Failed to fetch audit log' });
-  } finally {
-    db.close();
   }
 });
 
@@ -215,7 +206,7 @@ router.get('/audit-log', (req, res) => {
  * Get all bots across all users
  */
 router.get('/bots', (req, res) => {
-  const db = new Database(DB_PATH);
+  const db = getDb();
   
   try {
     const { user_id = '', page = 1, limit = 50 } = req.query;
@@ -258,8 +249,6 @@ router.get('/bots', (req, res) => {
   } catch (error) {
     console.error('Error fetching bots:', error);
     res.status(500).json({ error: 'Failed to fetch bots' });
-  } finally {
-    db.close();
   }
 });
 
@@ -268,7 +257,7 @@ router.get('/bots', (req, res) => {
  * Update user role
  */
 router.put('/users/:id/role', (req, res) => {
-  const db = new Database(DB_PATH);
+  const db = getDb();
   
   try {
     const { id } = req.params;
@@ -300,8 +289,6 @@ router.put('/users/:id/role', (req, res) => {
   } catch (error) {
     console.error('Error updating user role:', error);
     res.status(500).json({ error: 'Failed to update user role' });
-  } finally {
-    db.close();
   }
 });
 
@@ -310,7 +297,7 @@ router.put('/users/:id/role', (req, res) => {
  * Update user status (active/inactive)
  */
 router.put('/users/:id/status', (req, res) => {
-  const db = new Database(DB_PATH);
+  const db = getDb();
   
   try {
     const { id } = req.params;
@@ -350,8 +337,6 @@ router.put('/users/:id/status', (req, res) => {
   } catch (error) {
     console.error('Error updating user status:', error);
     res.status(500).json({ error: 'Failed to update user status' });
-  } finally {
-    db.close();
   }
 });
 
@@ -360,8 +345,7 @@ router.put('/users/:id/status', (req, res) => {
  * Delete a user (WARNING: Cascades to all user data)
  */
 router.delete('/users/:id', (req, res) => {
-  const db = new Database(DB_PATH);
-  db.pragma('foreign_keys = ON'); // CRITICAL: Enable foreign key constraints
+  const db = getDb();
   
   try {
     const { id } = req.params;
@@ -371,45 +355,38 @@ router.delete('/users/:id', (req, res) => {
       return res.status(400).json({ error: 'Cannot delete your own account' });
     }
 
-    // Begin transaction
-    db.exec('BEGIN TRANSACTION');
-
-    // Delete all user data (manual deletes to ensure complete cleanup)
-    db.prepare('DELETE FROM user_sessions WHERE user_id = ?').run(id);
-    db.prepare('DELETE FROM user_profiles WHERE user_id = ?').run(id);
-    db.prepare('DELETE FROM leaderboard WHERE user_id = ?').run(id);
-    db.prepare('DELETE FROM bot_performance_history WHERE user_id = ?').run(id);
-    db.prepare('DELETE FROM bots WHERE user_id = ?').run(id);
-    db.prepare('DELETE FROM llm_providers WHERE user_id = ?').run(id);
-    db.prepare('DELETE FROM wallets WHERE user_id = ?').run(id);
-    db.prepare('DELETE FROM bot_state_snapshots WHERE user_id = ?').run(id);
-    db.prepare('DELETE FROM bot_decisions WHERE user_id = ?').run(id);
-    db.prepare('DELETE FROM trades WHERE user_id = ?').run(id);
-    db.prepare('DELETE FROM positions WHERE user_id = ?').run(id);
-    
-    // Log the action before deleting the user
-    db.prepare(`
-      INSERT INTO audit_log (user_id, action, details)
-      VALUES (?, ?, ?)
-    `).run(req.user.userId, 'user.deleted', JSON.stringify({ target_user: id }));
-
-    // Finally delete the user
-    const result = db.prepare('DELETE FROM users WHERE id = ?').run(id);
-
-    if (result.changes === 0) {
-      db.exec('ROLLBACK');
+    if (!db.prepare('SELECT id FROM users WHERE id = ?').get(id)) {
       return res.status(404).json({ error: 'User not found' });
     }
 
-    db.exec('COMMIT');
+    transaction(() => {
+      // Delete all user data (manual deletes to ensure complete cleanup)
+      db.prepare('DELETE FROM user_sessions WHERE user_id = ?').run(id);
+      db.prepare('DELETE FROM user_profiles WHERE user_id = ?').run(id);
+      db.prepare('DELETE FROM leaderboard WHERE user_id = ?').run(id);
+      db.prepare('DELETE FROM bot_performance_history WHERE user_id = ?').run(id);
+      db.prepare('DELETE FROM bots WHERE user_id = ?').run(id);
+      db.prepare('DELETE FROM llm_providers WHERE user_id = ?').run(id);
+      db.prepare('DELETE FROM wallets WHERE user_id = ?').run(id);
+      db.prepare('DELETE FROM bot_state_snapshots WHERE user_id = ?').run(id);
+      db.prepare('DELETE FROM bot_decisions WHERE user_id = ?').run(id);
+      db.prepare('DELETE FROM trades WHERE user_id = ?').run(id);
+      db.prepare('DELETE FROM positions WHERE user_id = ?').run(id);
+      
+      // Log the action before deleting the user
+      db.prepare(`
+        INSERT INTO audit_log (user_id, action, details)
+        VALUES (?, ?, ?)
+      `).run(req.user.userId, 'user.deleted', JSON.stringify({ target_user: id }));
+
+      // Finally delete the user
+      db.prepare('DELETE FROM users WHERE id = ?').run(id);
+    });
 
     res.json({ message: 'User and all associated data deleted successfully' });
   } catch (error) {
-    db.exec('ROLLBACK');
     console.error('Error deleting user:', error);
     res.status(500).json({ error: 'Failed to delete user' });
-  } finally {
-    db.close();
   }
 });
 
@@ -418,8 +395,7 @@ router.delete('/users/:id', (req, res) => {
  * Get all bots with no user_id (orphaned bots)
  */
 router.get('/orphaned-bots', (req, res) => {
-  const db = new Database(DB_PATH);
-  db.pragma('foreign_keys = ON');
+  const db = getDb();
   
   try {
     const bots = db.prepare(`
@@ -440,8 +416,6 @@ router.get('/orphaned-bots', (req, res) => {
   } catch (error) {
     console.error('Error fetching orphaned bots:', error);
     res.status(500).json({ error: 'Failed to fetch orphaned bots' });
-  } finally {
-    db.close();
   }
 });
 
@@ -450,8 +424,7 @@ router.get('/orphaned-bots', (req, res) => {
  * Delete all orphaned bots and their associated data
  */
 router.delete('/orphaned-bots', (req, res) => {
-  const db = new Database(DB_PATH);
-  db.pragma('foreign_keys = ON');
+  const db = getDb();
   
   try {
     // Get list of orphaned bot IDs first
@@ -463,33 +436,30 @@ router.delete('/orphaned-bots', (req, res) => {
 
     const botIds = orphanedBots.map(b => b.id);
 
-    // Begin transaction
-    db.exec('BEGIN TRANSACTION');
-
-    // Delete all data associated with orphaned bots
-    for (const botId of botIds) {
-      db.prepare('DELETE FROM leaderboard WHERE bot_id = ?').run(botId);
-      db.prepare('DELETE FROM bot_performance_history WHERE bot_id = ?').run(botId);
-      db.prepare('DELETE FROM wallets WHERE bot_id = ?').run(botId);
-      db.prepare('DELETE FROM bot_state_snapshots WHERE bot_id = ?').run(botId);
-      db.prepare('DELETE FROM bot_decisions WHERE bot_id = ?').run(botId);
-      db.prepare('DELETE FROM trades WHERE bot_id = ?').run(botId);
-      db.prepare('DELETE FROM positions WHERE bot_id = ?').run(botId);
-    }
-
-    // Delete the orphaned bots themselves
-    db.prepare('DELETE FROM bots WHERE user_id IS NULL').run();
-
-    // Log the action
-    db.prepare(`
-      INSERT INTO audit_log (user_id, action, details)
-      VALUES (?, ?, ?)
-    `).run(req.user.userId, 'orphaned_bots.cleanup', JSON.stringify({ 
-      deleted_count: botIds.length,
-      bot_ids: botIds 
-    }));
-
-    db.exec('COMMIT');
+    transaction(() => {
+      // Delete all data associated with orphaned bots
+      for (const botId of botIds) {
+        db.prepare('DELETE FROM leaderboard WHERE bot_id = ?').run(botId);
+        db.prepare('DELETE FROM bot_performance_history WHERE bot_id = ?').run(botId);
+        db.prepare('DELETE FROM wallets WHERE bot_id = ?').run(botId);
+        db.prepare('DELETE FROM bot_state_snapshots WHERE bot_id = ?').run(botId);
+        db.prepare('DELETE FROM bot_decisions WHERE bot_id = ?').run(botId);
+        db.prepare('DELETE FROM trades WHERE bot_id = ?').run(botId);
+        db.prepare('DELETE FROM positions WHERE bot_id = ?').run(botId);
+      }
+
+      // Delete the orphaned bots themselves
+      db.prepare('DELETE FROM bots WHERE user_id IS NULL').run();
+
+      // Log the action
+      db.prepare(`
+        INSERT INTO audit_log (user_id, action, details)
+        VALUES (?, ?, ?)
+      `).run(req.user.userId, 'orphaned_bots.cleanup', JSON.stringify({ 
+        deleted_count: botIds.length,
+        bot_ids: botIds 
+      }));
+    });
 
     res.json({ 
       message: `Successfully deleted ${botIds.length} orphaned bot(s) and their data`,
@@ -497,11 +467,40 @@ router.delete('/orphaned-bots', (req, res) => {
       deletedBotIds: botIds
     });
   } catch (error) {
-    db.exec('ROLLBACK');
     console.error('Error deleting orphaned bots:', error);
     res.status(500).json({ error: 'Failed to delete orphaned bots' });
-  } finally {
-    db.close();
+  }
+});
+
+/**
+ * GET /api/admin/reconciliation
+ * Latest state reconciliation report (from startup, or the last manual run)
+ */
+router.get('/reconciliation', (req, res) => {
+  const botManager = req.app.locals.botManager;
+  if (!botManager) {
+    return res.status(503).json({ error: 'Bot manager not available' });
+  }
+  
+  res.json({ report: botManager.reconciliationReport });
+});
+
+/**
+ * POST /api/admin/reconciliation
+ * Reconcile every running bot against the database and exchanges now (reports drift, changes nothing)
+ */
+router.post('/reconciliation', async (req, res) => {
+  const botManager = req.app.locals.botManager;
+  if (!botManager) {
+    return res.status(503).json({ error: 'Bot manager not available' });
+  }
+  
+  try {
+    const report = await botManager.reconcileAll();
+    res.json({ report });
+  } catch (error) {
+    console.error('Error reconciling bot state:', error);
+    res.status(500).json({ error: 'Failed to reconcile bot state' });
   }
 });
 
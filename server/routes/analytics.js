@@ -8,6 +8,7 @@ const { query, param } = require('express-validator');
 const { validateRequest } = require('../middleware/validation');
 const { authenticateToken } = require('../middleware/auth');
 const db = require('../database/relational');
+const { calculateRiskMetrics } = require('../utils/riskMetrics');
 
 const router = express.Router();
 
@@ -462,55 +463,12 @@ router.get('/risk-metrics',
         });
       }
       
-      // Calculate returns
-      const returns = [];
-      for (let i = 1; i < snapshots.length; i++) {
-        const prevValue = snapshots[i - 1].total_value;
-        const currValue = snapshots[i].total_value;
-        const returnPct = ((currValue - prevValue) / prevValue) * 100;
-        returns.push(returnPct);
-      }
-      
-      // Calculate max drawdown
-      let maxDrawdown = 0;
-      let peak = snapshots[0].total_value;
-      
-      for (const snapshot of snapshots) {
-        if (snapshot.total_value > peak) {
-          peak = snapshot.total_value;
-        }
-        const drawdown = ((peak - snapshot.total_value) / peak) * 100;
-        if (drawdown > maxDrawdown) {
-          maxDrawdown = drawdown;
-        }
-      }
-      
-      // Calculate average return and standard deviation
-      const avgReturn = returns.reduce((sum, r) => sum + r, 0) / returns.length;
-      const variance = returns.reduce((sum, r) => sum + Math.pow(r - avgReturn, 2), 0) / returns.length;
-      const stdDev = Math.sqrt(variance);
-      
-      // Sharpe ratio (assuming risk-free rate of 0 for simplicity)
-      const sharpeRatio = stdDev !== 0 ? avgReturn / stdDev : 0;
-      
-      // Sortino ratio (only considers downside deviation)
-      const downsideReturns = returns.filter(r => r < 0);
-      const downsideVariance = downsideReturns.length > 0
-        ? downsideReturns.reduce((sum, r) => sum + Math.pow(r, 2), 0) / downsideReturns.length
-        : 0;
-      const downsideStdDev = Math.sqrt(downsideVariance);
-      const sortinoRatio = downsideStdDev !== 0 ? avgReturn / downsideStdDev : 0;
+      const metrics = calculateRiskMetrics(snapshots.map(s => s.total_value));
       
       res.json({
         bot_id: req.query.bot_id,
         bot_name: bot.name,
-        metrics: {
-          sharpe_ratio: parseFloat(sharpeRatio.toFixed(2)),
-          sortino_ratio: parseFloat(sortinoRatio.toFixed(2)),
-          max_drawdown: parseFloat(maxDrawdown.toFixed(2)),
-          volatility: parseFloat(stdDev.toFixed(2)),
-          average_return: parseFloat(avgReturn.toFixed(2))
-        }
+        metrics
       });
     } catch (error) {
       console.error('Error calculating risk metrics:', error);
@@ -756,5 +714,204 @@ router.get('/aggregate/summary',
   }
 );
 
+/**
+ * Start of a time range window (null = all time)
+ */
+function getRangeStart(timeRange) {
+  const hours = { '24h': 24, '7d': 7 * 24, '30d': 30 * 24 }[timeRange];
+  return hours ? new Date(Date.now() - hours * 60 * 60 * 1000) : null;
+}
+
+/**
+ * Round the numeric columns of a usage aggregate row
+ */
+function formatUsageRow(row) {
+  return {
+    ...row,
+    input_tokens: row.input_tokens || 0,
+    output_tokens: row.output_tokens || 0,
+    cost_usd: parseFloat((row.cost_usd || 0).toFixed(6)),
+    estimated_calls: row.estimated_calls || 0
+  };
+}
+
+/**
+ * Totals across usage aggregate rows
+ */
+function sumUsageRows(rows) {
+  return formatUsageRow(rows.reduce((sum, row) => ({
+    calls: sum.calls + row.calls,
+    input_tokens: sum.input_tokens + (row.input_tokens || 0),
+    output_tokens: sum.output_tokens + (row.output_tokens || 0),
+    cost_usd: sum.cost_usd + (row.cost_usd || 0),
+    estimated_calls: sum.estimated_calls + (row.estimated_calls || 0)
+  }), { calls: 0, input_tokens: 0, output_tokens: 0, cost_usd: 0, estimated_calls: 0 }));
+}
+
+/**
+ * Realized PnL of a bot's closed trades since a date
+ */
+function getRealizedPnl(botId, startDate, userId) {
+  const closedTrades = db.getTrades(botId, {
+    action: 'CLOSE',
+    start_date: startDate ? startDate.toISOString() : undefined,
+    user_id: userId
+  });
+  return closedTrades.reduce((sum, trade) => sum + (trade.pnl || 0), 0);
+}
+
+/**
+ * Compare a bot's LLM spend with its realized PnL
+ */
+function withPnl(usage, realizedPnl) {
+  return {
+    ...usage,
+    realized_pnl: parseFloat(realizedPnl.toFixed(2)),
+    net_pnl_after_llm: parseFloat((realizedPnl - usage.cost_usd).toFixed(2)),
+    // Share of realized profit spent on LLM calls (null when the bot hasn't made money)
+    cost_to_pnl_ratio: realizedPnl > 0 ? parseFloat((usage.cost_usd / realizedPnl).toFixed(6)) : null
+  };
+}
+
+/**
+ * GET /api/analytics/usage - LLM token usage and cost per bot, model and day
+ * Admins can pass scope=all to see every user's usage.
+ */
+router.get('/usage',
+  query('timeRange').optional().isIn(['24h', '7d', '30d', 'all']).withMessage('Invalid time range'),
+  query('scope').optional().isIn(['mine', 'all']).withMessage('Scope must be mine or all'),
+  validateRequest,
+  (req, res) => {
+    try {
+      const scope = req.query.scope || 'mine';
+      if (scope === 'all' && req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Admin access required for all-user usage' });
+      }
+      
+      const userId = scope === 'all' ? null : req.user.userId;
+      const startDate = getRangeStart(req.query.timeRange || '30d');
+      const filters = {
+        user_id: userId,
+        start_date: startDate ? startDate.toISOString() : undefined
+      };
+      
+      const bots = db.getLlmUsage('bot', filters).map(row =>
+        withPnl(formatUsageRow(row), getRealizedPnl(row.bot_id, startDate, userId))
+      );
+      
+      res.json({
+        scope,
+        timeRange: req.query.timeRange || '30d',
+        totals: sumUsageRows(bots),
+        bots,
+        models: db.getLlmUsage('model', filters).map(formatUsageRow),
+        daily: db.getLlmUsage('day', filters).map(formatUsageRow),
+        ...(scope === 'all' ? { users: db.getLlmUsage('user', filters).map(formatUsageRow) } : {})
+      });
+    } catch (error) {
+      console.error('Error fetching LLM usage:', error);
+      res.status(500).json({ error: 'Failed to fetch LLM usage', message: error.message });
+    }
+  }
+);
+
+/**
+ * GET /api/analytics/usage/:botId - LLM token usage and cost for one bot
+ */
+router.get('/usage/:botId',
+  param('botId').notEmpty().withMessage('Bot ID is required'),
+  query('timeRange').optional().isIn(['24h', '7d', '30d', 'all']).withMessage('Invalid time range'),
+  query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1 and 200'),
+  validateRequest,
+  (req, res) => {
+    try {
+      const userId = req.user.role === 'admin' ? null : req.user.userId;
+      const bot = db.getBot(req.params.botId, userId);
+      if (!bot) {
+        return res.status(404).json({ error: 'Bot not found' });
+      }
+      
+      const startDate = getRangeStart(req.query.timeRange || '30d');
+      const filters = {
+        bot_id: bot.id,
+        start_date: startDate ? startDate.toISOString() : undefined
+      };
+      
+      const byPurpose = db.getLlmUsage('purpose', filters).map(formatUsageRow);
+      
+      res.json({
+        bot_id: bot.id,
+        timeRange: req.query.timeRange || '30d',
+        totals: withPnl(sumUsageRows(byPurpose), getRealizedPnl(bot.id, startDate, userId)),
+        by_purpose: byPurpose,
+        models: db.getLlmUsage('model', filters).map(formatUsageRow),
+        daily: db.getLlmUsage('day', filters).map(formatUsageRow),
+        recent_decisions: db.getDecisionUsage(bot.id, parseInt(req.query.limit) || 20, userId).map(formatUsageRow)
+      });
+    } catch (error) {
+      console.error('Error fetching bot LLM usage:', error);
+      res.status(500).json({ error: 'Failed to fetch bot LLM usage', message: error.message });
+    }
+  }
+);
+
+/**
+ * GET /api/analytics/versions/:botId - Decisions, trades, P&L and LLM cost per version of a bot's prompt
+ * Trades count towards the version that opened the position; activity from before
+ * versioning is reported with version null.
+ */
+router.get('/versions/:botId',
+  param('botId').notEmpty().withMessage('Bot ID is required'),
+  query('timeRange').optional().isIn(['24h', '7d', '30d', 'all']).withMessage('Invalid time range'),
+  validateRequest,
+  (req, res) => {
+    try {
+      const userId = req.user.role === 'admin' ? null : req.user.userId;
+      const bot = db.getBot(req.params.botId, userId);
+      if (!bot) {
+        return res.status(404).json({ error: 'Bot not found' });
+      }
+      
+      const startDate = getRangeStart(req.query.timeRange || 'all');
+      const stats = db.getBotVersionStats(bot.id, {
+        start_date: startDate ? startDate.toISOString() : undefined
+      });
+      const statsByVersion = new Map(stats.map(row => [row.bot_version_id, row]));
+      
+      const toRow = (version, row) => ({
+        version_id: version ? version.id : null,
+        version: version ? version.version : null,
+        source: version ? version.source : null,
+        restored_from: version ? version.restored_from : null,
+        created_at: version ? version.created_at : null,
+        decisions: row.decisions,
+        successful_decisions: row.successful_decisions,
+        closed_trades: row.closed_trades,
+        winning_trades: row.winning_trades,
+        win_rate: row.closed_trades > 0 ? parseFloat((row.winning_trades / row.closed_trades * 100).toFixed(2)) : 0,
+        realized_pnl: parseFloat(row.realized_pnl.toFixed(2)),
+        cost_usd: parseFloat(row.cost_usd.toFixed(6)),
+        net_pnl_after_llm: parseFloat((row.realized_pnl - row.cost_usd).toFixed(2))
+      });
+      const empty = { decisions: 0, successful_decisions: 0, closed_trades: 0, winning_trades: 0, realized_pnl: 0, cost_usd: 0 };
+      
+      const versions = db.getBotVersions(bot.id).map(version => toRow(version, statsByVersion.get(version.id) || empty));
+      if (statsByVersion.has(null)) {
+        versions.push(toRow(null, statsByVersion.get(null)));
+      }
+      
+      res.json({
+        bot_id: bot.id,
+        timeRange: req.query.timeRange || 'all',
+        current_version: bot.current_version,
+        versions
+      });
+    } catch (error) {
+      console.error('Error fetching version analytics:', error);
+      res.status(500).json({ error: 'Failed to fetch version analytics', message: error.message });
+    }
+  }
+);
+
 module.exports = router;
 
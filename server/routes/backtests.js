@@ -0,0 +1,205 @@
+/**
+ * @license
+ * SPDX-License-Identifier: MIT
+ */
+
+const express = require('express');
+const { body, query, param } = require('express-validator');
+const { validateRequest } = require('../middleware/validation');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { createAuditLog } = require('../database/relational');
+const db = require('../database/relational');
+const backtestService = require('../services/backtestService');
+const candleService = require('../services/candleService');
+
+const router = express.Router();
+
+// All backtest routes require authentication
+router.use(authenticateToken);
+
+/**
+ * GET /api/backtests - List backtests (without equity curve / trades)
+ * Query params: bot_id, status
+ * MULTI-TENANT: Returns only backtests owned by authenticated user (unless admin)
+ */
+router.get('/',
+  query('bot_id').optional().trim().notEmpty().withMessage('Bot ID cannot be empty'),
+  query('status').optional().isIn(['queued', 'running', 'completed', 'failed', 'cancelled']).withMessage('Invalid status'),
+  validateRequest,
+  (req, res) => {
+    try {
+      const filters = {};
+      
+      if (req.user.role !== 'admin') {
+        filters.user_id = req.user.userId;
+      }
+      
+      if (req.query.bot_id) {
+        filters.bot_id = req.query.bot_id;
+      }
+      
+      if (req.query.status) {
+        filters.status = req.query.status;
+      }
+      
+      res.json(db.getBacktests(filters));
+    } catch (error) {
+      console.error('Error fetching backtests:', error);
+      res.status(500).json({ error: 'Failed to fetch backtests', message: error.message });
+    }
+  }
+);
+
+/**
+ * GET /api/backtests/:id - Get a backtest with its full results
+ */
+router.get('/:id',
+  param('id').notEmpty().withMessage('Backtest ID is required'),
+  validateRequest,
+  (req, res) => {
+    try {
+      const userId = req.user.role === 'admin' ? null : req.user.userId;
+      const backtest = db.getBacktest(req.params.id, userId);
+      
+      if (!backtest) {
+        return res.status(404).json({ error: 'Backtest not found or access denied' });
+      }
+      
+      res.json(backtest);
+    } catch (error) {
+      console.error('Error fetching backtest:', error);
+      res.status(500).json({ error: 'Failed to fetch backtest', message: error.message });
+    }
+  }
+);
+
+/**
+ * POST /api/backtests - Queue a backtest for a bot
+ * Body: bot_id, start_time, end_time, interval?, initial_balance?, symbols?, prompt?
+ * `prompt` lets an unsaved edit be tested without changing the live bot
+ */
+router.post('/',
+  requireRole('user'),
+  body('bot_id').notEmpty().withMessage('Bot ID is required'),
+  body('start_time').isISO8601().withMessage('Invalid start time'),
+  body('end_time').isISO8601().withMessage('Invalid end time'),
+  body('interval').optional().isIn(Object.keys(candleService.INTERVAL_MS)).withMessage('Invalid interval'),
+  body('initial_balance').optional().isFloat({ min: 100, max: 10000000 }).withMessage('Initial balance must be between 100 and 10,000,000'),
+  body('symbols').optional().isArray().withMessage('Symbols must be an array'),
+  body('symbols.*').optional().isString().trim().notEmpty().withMessage('Invalid symbol'),
+  body('prompt').optional().isString().isLength({ min: 10 }).withMessage('Prompt must be at least 10 characters'),
+  validateRequest,
+  (req, res) => {
+    try {
+      const userId = req.user.role === 'admin' ? null : req.user.userId;
+      const bot = db.getBot(req.body.bot_id, userId);
+      
+      if (!bot) {
+        return res.status(404).json({ error: 'Bot not found or access denied' });
+      }
+      
+      let backtest;
+      try {
+        backtest = backtestService.createBacktest(bot, {
+          start_time: req.body.start_time,
+          end_time: req.body.end_time,
+          interval: req.body.interval,
+          initial_balance: req.body.initial_balance ? parseFloat(req.body.initial_balance) : undefined,
+          symbols: req.body.symbols,
+          prompt: req.body.prompt
+        });
+      } catch (validationError) {
+        return res.status(400).json({ error: validationError.message });
+      }
+      
+      createAuditLog({
+        event_type: 'backtest_created',
+        entity_type: 'backtest',
+        entity_id: backtest.id,
+        user_id: req.user.userId,
+        details: {
+          bot_id: bot.id,
+          interval: backtest.config.interval,
+          steps: backtest.config.steps,
+          symbols: backtest.config.symbols
+        },
+        ip_address: req.ip
+      });
+      
+      res.status(202).json(backtest);
+    } catch (error) {
+      console.error('Error creating backtest:', error);
+      res.status(500).json({ error: 'Failed to create backtest', message: error.message });
+    }
+  }
+);
+
+/**
+ * POST /api/backtests/:id/cancel - Cancel a queued or running backtest
+ */
+router.post('/:id/cancel',
+  requireRole('user'),
+  param('id').notEmpty().withMessage('Backtest ID is required'),
+  validateRequest,
+  (req, res) => {
+    try {
+      const userId = req.user.role === 'admin' ? null : req.user.userId;
+      const backtest = db.getBacktest(req.params.id, userId);
+      
+      if (!backtest) {
+        return res.status(404).json({ error: 'Backtest not found or access denied' });
+      }
+      
+      if (backtest.status !== 'queued' && backtest.status !== 'running') {
+        return res.status(400).json({ error: `Backtest is already ${backtest.status}` });
+      }
+      
+      backtestService.cancelBacktest(req.params.id);
+      res.json({ success: true, message: 'Cancellation requested' });
+    } catch (error) {
+      console.error('Error cancelling backtest:', error);
+      res.status(500).json({ error: 'Failed to cancel backtest', message: error.message });
+    }
+  }
+);
+
+/**
+ * DELETE /api/backtests/:id - Delete a finished backtest
+ */
+router.delete('/:id',
+  requireRole('user'),
+  param('id').notEmpty().withMessage('Backtest ID is required'),
+  validateRequest,
+  (req, res) => {
+    try {
+      const userId = req.user.role === 'admin' ? null : req.user.userId;
+      const backtest = db.getBacktest(req.params.id, userId);
+      
+      if (!backtest) {
+        return res.status(404).json({ error: 'Backtest not found or access denied' });
+      }
+      
+      if (backtest.status === 'queued' || backtest.status === 'running') {
+        return res.status(400).json({ error: 'Cancel the backtest before deleting it' });
+      }
+      
+      db.deleteBacktest(req.params.id, userId);
+      
+      createAuditLog({
+        event_type: 'backtest_deleted',
+        entity_type: 'backtest',
+        entity_id: req.params.id,
+        user_id: req.user.userId,
+        details: { bot_id: backtest.bot_id },
+        ip_address: req.ip
+      });
+      
+      res.json({ success: true, message: 'Backtest deleted successfully' });
+    } catch (error) {
+      console.error('Error deleting backtest:', error);
+      res.status(500).json({ error: 'Failed to delete backtest', message: error.message });
+    }
+  }
+);
+
+module.exports = router;
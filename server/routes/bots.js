@@ -4,14 +4,71 @@
  */
 
 const express = require('express');
+const crypto = require('crypto');
 const { body, query, param } = require('express-validator');
 const { validateRequest } = require('../middleware/validation');
 const { authenticateToken, requireRole, optionalAuth } = require('../middleware/auth');
 const { createAuditLog } = require('../database/relational');
+const { validateModelConfig, validateRiskLimits } = require('../utils/validation');
 const db = require('../database/relational');
 
 const router = express.Router();
 
+/**
+ * config_json must be a JSON object of model overrides (or null to clear them)
+ */
+const modelConfigValidator = (field = 'config_json') => body(field).optional({ nullable: true })
+  .isJSON().withMessage('config_json must be valid JSON')
+  .custom((value) => {
+    const result = validateModelConfig(JSON.parse(value));
+    if (!result.valid) {
+      throw new Error(result.errors.join('; '));
+    }
+    return true;
+  });
+
+/**
+ * risk_limits_json must be a JSON object of risk limits (or null for the global limits only)
+ */
+const riskLimitsValidator = () => body('risk_limits_json').optional({ nullable: true })
+  .isJSON().withMessage('risk_limits_json must be valid JSON')
+  .custom((value) => {
+    const result = validateRiskLimits(JSON.parse(value));
+    if (!result.valid) {
+      throw new Error(result.errors.join('; '));
+    }
+    return true;
+  });
+
+const MAX_FALLBACK_PROVIDERS = 5;
+
+/**
+ * fallback_provider_ids: ordered provider IDs tried when the bot's own provider fails (null clears them)
+ */
+const fallbackProvidersValidators = () => [
+  body('fallback_provider_ids').optional({ nullable: true })
+    .isArray({ max: MAX_FALLBACK_PROVIDERS }).withMessage(`fallback_provider_ids must be an array of at most ${MAX_FALLBACK_PROVIDERS} provider IDs`),
+  body('fallback_provider_ids.*').isInt({ min: 1 }).withMessage('Fallback provider IDs must be positive integers')
+];
+
+/**
+ * Check the user can use every fallback provider and serialize the list for storage
+ * @returns {{error: string}|{value: string|null}}
+ */
+function serializeFallbackProviders(providerIds, userId) {
+  if (!providerIds || providerIds.length === 0) {
+    return { value: null };
+  }
+  
+  const ids = providerIds.map(id => parseInt(id));
+  for (const id of ids) {
+    if (!db.getProvider(id, userId)) {
+      return { error: `Fallback provider ${id} not found or access denied` };
+    }
+  }
+  return { value: JSON.stringify([...new Set(ids)]) };
+}
+
 /**
  * GET /api/bots - List all bots
  * Query params: active, trading_mode, provider_id
@@ -121,6 +178,10 @@ router.post('/',
   body('is_active').optional().isBoolean().withMessage('is_active must be boolean'),
   body('is_paused').optional().isBoolean().withMessage('is_paused must be boolean'),
   body('avatar_image').optional().isString().withMessage('avatar_image must be a string'),
+  body('turn_interval_ms').optional({ nullable: true }).isInt({ min: 10000, max: 86400000 }).withMessage('turn_interval_ms must be between 10000 and 86400000 (or null for the global interval)'),
+  modelConfigValidator(),
+  riskLimitsValidator(),
+  ...fallbackProvidersValidators(),
   validateRequest,
   (req, res) => {
     try {
@@ -137,6 +198,11 @@ router.post('/',
         return res.status(400).json({ error: 'Provider not found or access denied' });
       }
       
+      const fallbacks = serializeFallbackProviders(req.body.fallback_provider_ids, userId);
+      if (fallbacks.error) {
+        return res.status(400).json({ error: fallbacks.error });
+      }
+      
       const bot = db.createBot({
         id: req.body.id,
         user_id: req.user.userId, // CRITICAL: Set user_id from authenticated user
@@ -146,7 +212,11 @@ router.post('/',
         trading_mode: req.body.trading_mode,
         is_active: req.body.is_active !== undefined ? req.body.is_active : true,
         is_paused: req.body.is_paused !== undefined ? req.body.is_paused : false,
-        avatar_image: req.body.avatar_image || null
+        avatar_image: req.body.avatar_image || null,
+        turn_interval_ms: req.body.turn_interval_ms || null,
+        config_json: req.body.config_json || null,
+        fallback_provider_ids: fallbacks.value,
+        risk_limits_json: req.body.risk_limits_json || null
       });
       
       // Create audit log
@@ -181,6 +251,10 @@ router.put('/:id',
   body('is_active').optional().isBoolean().withMessage('is_active must be boolean'),
   body('is_paused').optional().isBoolean().withMessage('is_paused must be boolean'),
   body('avatar_image').optional().isString().withMessage('avatar_image must be a string'),
+  body('turn_interval_ms').optional({ nullable: true }).isInt({ min: 10000, max: 86400000 }).withMessage('turn_interval_ms must be between 10000 and 86400000 (or null for the global interval)'),
+  modelConfigValidator(),
+  riskLimitsValidator(),
+  ...fallbackProvidersValidators(),
   validateRequest,
   async (req, res) => {
     try {
@@ -198,7 +272,16 @@ router.put('/:id',
         }
       }
       
-      const updatedBot = db.updateBot(req.params.id, req.body, userId);
+      const updates = { ...req.body };
+      if (req.body.fallback_provider_ids !== undefined) {
+        const fallbacks = serializeFallbackProviders(req.body.fallback_provider_ids, userId);
+        if (fallbacks.error) {
+          return res.status(400).json({ error: fallbacks.error });
+        }
+        updates.fallback_provider_ids = fallbacks.value;
+      }
+      
+      const updatedBot = db.updateBot(req.params.id, updates, userId, { created_by: req.user.userId });
       
       // Create audit log
       createAuditLog({
@@ -265,18 +348,111 @@ router.delete('/:id',
   }
 );
 
+const MAX_EXPERIMENT_VARIANTS = 6;
+
+/**
+ * Clone a bot into the paper variants of an A/B experiment
+ * Each variant overrides the source's prompt, provider and/or model settings; the
+ * first is the baseline the others are compared with. All variants share the
+ * source's turn interval and risk limits, and start together.
+ */
+async function cloneIntoExperiment(req, res, sourceBot) {
+  const userId = req.user.role === 'admin' ? null : req.user.userId;
+  const experimentId = `exp_${crypto.randomBytes(8).toString('hex')}`;
+  
+  // Fallback providers the user can't use are dropped
+  const fallbackIds = JSON.parse(sourceBot.fallback_provider_ids || '[]').filter(id => db.getProvider(id, userId));
+  
+  const variants = req.body.variants.map((variant, index) => ({
+    label: variant.label,
+    bot: {
+      id: `${experimentId}_v${index + 1}`,
+      name: `${sourceBot.name} [${variant.label}]`.slice(0, 100),
+      prompt: variant.prompt || sourceBot.prompt,
+      provider_id: variant.provider_id ? parseInt(variant.provider_id) : sourceBot.provider_id,
+      trading_mode: 'paper', // Experiments only ever paper trade
+      avatar_image: sourceBot.avatar_image,
+      turn_interval_ms: sourceBot.turn_interval_ms || null,
+      config_json: variant.config_json !== undefined ? variant.config_json : (sourceBot.config_json || null),
+      fallback_provider_ids: fallbackIds.length > 0 ? JSON.stringify(fallbackIds) : null,
+      risk_limits_json: sourceBot.risk_limits_json || null,
+      user_id: req.user.userId
+    }
+  }));
+  
+  // Variants that would trade identically can't show a difference
+  const seen = new Map();
+  for (const { label, bot } of variants) {
+    const signature = JSON.stringify([bot.prompt, bot.provider_id, bot.config_json]);
+    if (variants.filter(variant => variant.label === label).length > 1) {
+      return res.status(400).json({ error: `Variant label "${label}" is used more than once` });
+    }
+    if (seen.has(signature)) {
+      return res.status(400).json({ error: `Variants "${seen.get(signature)}" and "${label}" have the same prompt, provider and model settings` });
+    }
+    seen.set(signature, label);
+    
+    if (!db.getProvider(bot.provider_id, userId)) {
+      return res.status(400).json({ error: `Provider for variant "${label}" not found or access denied` });
+    }
+  }
+  
+  const experiment = db.createExperiment({
+    id: experimentId,
+    user_id: req.user.userId,
+    name: req.body.experiment_name || `${sourceBot.name} A/B test`,
+    source_bot_id: sourceBot.id
+  }, variants);
+  
+  createAuditLog({
+    event_type: 'experiment_created',
+    entity_type: 'experiment',
+    entity_id: experimentId,
+    user_id: req.user.userId,
+    details: {
+      source_bot_id: sourceBot.id,
+      source_bot_name: sourceBot.name,
+      variants: variants.map(({ label, bot }) => ({ label, bot_id: bot.id }))
+    },
+    ip_address: req.ip
+  });
+  
+  // Start the variants now rather than at the next restart
+  if (req.app.locals.botManager) {
+    try {
+      await req.app.locals.botManager.loadBots({ botIds: variants.map(({ bot }) => bot.id) });
+    } catch (loadError) {
+      console.warn(`⚠️ Failed to load experiment variants:`, loadError.message);
+    }
+  }
+  
+  res.status(201).json({
+    success: true,
+    message: `Experiment created with ${variants.length} variants`,
+    experiment
+  });
+}
+
 /**
  * POST /api/bots/:id/clone - Clone a bot
- * Creates a copy of an existing bot for the current user
+ * Creates a copy of an existing bot for the current user, or with `variants`
+ * (and optionally `experiment_name`) the paper variants of an A/B experiment:
+ * [{ label, prompt?, provider_id?, config_json? }, ...], baseline first
  */
 router.post('/:id/clone',
   authenticateToken,
   requireRole('user'),
   param('id').notEmpty().withMessage('Bot ID is required'),
-  body('new_id').notEmpty().withMessage('New bot ID is required'),
-  body('new_name').notEmpty().withMessage('New bot name is required'),
+  body('new_id').if(body('variants').not().exists()).notEmpty().withMessage('New bot ID is required'),
+  body('new_name').if(body('variants').not().exists()).notEmpty().withMessage('New bot name is required'),
+  body('experiment_name').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Experiment name must be 1-100 characters'),
+  body('variants').optional().isArray({ min: 2, max: MAX_EXPERIMENT_VARIANTS }).withMessage(`variants must list 2-${MAX_EXPERIMENT_VARIANTS} variants`),
+  body('variants.*.label').trim().isLength({ min: 1, max: 40 }).withMessage('Each variant needs a label of 1-40 characters'),
+  body('variants.*.prompt').optional().trim().isLength({ min: 10, max: 10000 }).withMessage('Variant prompts must be 10-10000 characters'),
+  body('variants.*.provider_id').optional().isInt({ min: 1 }).withMessage('Valid provider required'),
+  modelConfigValidator('variants.*.config_json'),
   validateRequest,
-  (req, res) => {
+  async (req, res) => {
     try {
       const { new_id, new_name } = req.body;
       const sourceBotId = req.params.id;
@@ -287,6 +463,10 @@ router.post('/:id/clone',
         return res.status(404).json({ error: 'Source bot not found' });
       }
       
+      if (req.body.variants) {
+        return await cloneIntoExperiment(req, res, sourceBot);
+      }
+      
       // Check if new_id is already taken
       const existing = db.getBot(new_id, null);
       if (existing) {
@@ -302,6 +482,10 @@ router.post('/:id/clone',
         trading_mode: 'paper', // Always start as paper for safety
         avatar_image: sourceBot.avatar_image,
         trading_symbols: sourceBot.trading_symbols || null,
+        turn_interval_ms: sourceBot.turn_interval_ms || null,
+        config_json: sourceBot.config_json || null,
+        fallback_provider_ids: sourceBot.fallback_provider_ids || null,
+        risk_limits_json: sourceBot.risk_limits_json || null,
         user_id: req.user.userId,
       };
       
@@ -609,7 +793,8 @@ router.get('/:id/decisions',
       const parsedDecisions = decisions.map(d => ({
         ...d,
         decisions_json: JSON.parse(d.decisions_json),
-        notes_json: JSON.parse(d.notes_json)
+        notes_json: JSON.parse(d.notes_json),
+        tool_invocations_json: d.tool_invocations_json ? JSON.parse(d.tool_invocations_json) : null
       }));
 
       // Get total count for pagination
@@ -641,6 +826,123 @@ router.get('/:id/decisions',
   }
 );
 
+/**
+ * GET /api/bots/:id/versions - Get every version of the bot's prompt and configuration (newest first)
+ */
+router.get('/:id/versions',
+  authenticateToken,
+  requireRole('user'),
+  param('id').notEmpty().withMessage('Bot ID is required'),
+  validateRequest,
+  (req, res) => {
+    try {
+      const userId = req.user.role === 'admin' ? null : req.user.userId;
+      const bot = db.getBot(req.params.id, userId);
+      if (!bot) {
+        return res.status(404).json({ error: 'Bot not found or access denied' });
+      }
+      
+      res.json({
+        bot_id: bot.id,
+        current_version: bot.current_version,
+        versions: db.getBotVersions(bot.id)
+      });
+    } catch (error) {
+      console.error('Error fetching bot versions:', error);
+      res.status(500).json({ error: 'Failed to fetch bot versions', message: error.message });
+    }
+  }
+);
+
+/**
+ * GET /api/bots/:id/versions/:version - Get one version of the bot's prompt and configuration
+ */
+router.get('/:id/versions/:version',
+  authenticateToken,
+  requireRole('user'),
+  param('id').notEmpty().withMessage('Bot ID is required'),
+  param('version').isInt({ min: 1 }).withMessage('Version must be a positive integer'),
+  validateRequest,
+  (req, res) => {
+    try {
+      const userId = req.user.role === 'admin' ? null : req.user.userId;
+      const bot = db.getBot(req.params.id, userId);
+      if (!bot) {
+        return res.status(404).json({ error: 'Bot not found or access denied' });
+      }
+      
+      const version = db.getBotVersion(bot.id, parseInt(req.params.version));
+      if (!version) {
+        return res.status(404).json({ error: 'Version not found' });
+      }
+      
+      res.json(version);
+    } catch (error) {
+      console.error('Error fetching bot version:', error);
+      res.status(500).json({ error: 'Failed to fetch bot version', message: error.message });
+    }
+  }
+);
+
+/**
+ * POST /api/bots/:id/versions/:version/rollback - Make an earlier version current again
+ * The restored prompt and configuration are saved as a new version and hot-reloaded.
+ */
+router.post('/:id/versions/:version/rollback',
+  authenticateToken,
+  requireRole('user'),
+  param('id').notEmpty().withMessage('Bot ID is required'),
+  param('version').isInt({ min: 1 }).withMessage('Version must be a positive integer'),
+  validateRequest,
+  async (req, res) => {
+    try {
+      const userId = req.user.role === 'admin' ? null : req.user.userId;
+      const bot = db.getBot(req.params.id, userId);
+      if (!bot) {
+        return res.status(404).json({ error: 'Bot not found or access denied' });
+      }
+      
+      const version = parseInt(req.params.version);
+      if (version === bot.current_version) {
+        return res.status(400).json({ error: `Version ${version} is already the current version` });
+      }
+      
+      // The version's provider may have been deleted or deactivated since
+      const target = db.getBotVersion(bot.id, version);
+      if (!target) {
+        return res.status(404).json({ error: 'Version not found' });
+      }
+      if (!db.getProvider(target.provider_id, userId)) {
+        return res.status(400).json({ error: `Version ${version} uses a provider that no longer exists` });
+      }
+      
+      const updatedBot = db.rollbackBotVersion(bot.id, version, userId, req.user.userId);
+      
+      createAuditLog({
+        event_type: 'bot_version_restored',
+        entity_type: 'bot',
+        entity_id: bot.id,
+        user_id: req.user.userId,
+        details: { restored_version: version, previous_version: bot.current_version, new_version: updatedBot.current_version },
+        ip_address: req.ip
+      });
+      
+      if (req.app.locals.botManager) {
+        try {
+          await req.app.locals.botManager.reloadBotConfig(bot.id);
+        } catch (reloadError) {
+          console.warn(`⚠️ Failed to hot-reload bot config:`, reloadError.message);
+        }
+      }
+      
+      res.json(updatedBot);
+    } catch (error) {
+      console.error('Error rolling back bot version:', error);
+      res.status(500).json({ error: 'Failed to roll back bot version', message: error.message });
+    }
+  }
+);
+
 /**
  * POST /api/bots/:id/force-summarize - Force generate learning history summary
  */
@@ -673,76 +975,76 @@ router.post('/:id/force-summarize',
       }
       
       // Force summarization by temporarily setting a low threshold
-      const Database = require('better-sqlite3');
-      const dbPath = require('path').join(__dirname, '..', '..', 'data', 'arena.db');
-      const database = new Database(dbPath);
-      database.pragma('foreign_keys = ON');
+      const database = require('../database/connection').getDb();
+      
+      // Get all decisions
+      // Handle both user_id being set or NULL (for legacy data)
+      const decisions = database.prepare(`
+        SELECT id, bot_id, prompt_sent, decisions_json, notes_json, execution_success, timestamp
+        FROM bot_decisions
+        WHERE bot_id = ? AND (user_id = ? OR (user_id IS NULL AND ? IS NULL))
+        ORDER BY timestamp DESC
+        LIMIT 100
+      `).all(bot.id, bot.user_id, bot.user_id);
+      
+      if (decisions.length < 5) {
+        return res.status(400).json({ 
+          error: 'Not enough trading history', 
+          message: 'Bot needs at least 5 trading decisions before summarization can be performed' 
+        });
+      }
       
-      try {
-        // Get all decisions
-        // Handle both user_id being set or NULL (for legacy data)
-        const decisions = database.prepare(`
-          SELECT id, bot_id, prompt_sent, decisions_json, notes_json, execution_success, timestamp
-          FROM bot_decisions
-          WHERE bot_id = ? AND (user_id = ? OR (user_id IS NULL AND ? IS NULL))
-          ORDER BY timestamp DESC
-          LIMIT 100
-        `).all(bot.id, bot.user_id, bot.user_id);
-        
-        if (decisions.length < 5) {
-          return res.status(400).json({ 
-            error: 'Not enough trading history', 
-            message: 'Bot needs at least 5 trading decisions before summarization can be performed' 
-          });
-        }
+      // Get provider config
+      const provider = database.prepare(`
+        SELECT * FROM llm_providers WHERE id = ?
+      `).get(bot.provider_id);
+      
+      if (!provider) {
+        return res.status(500).json({ error: 'Bot provider not found' });
+      }
+      
+      // Import summarizer
+      const { manageHistorySize } = require('../services/historySummarizer');
+      
+      // Force summarization with threshold of 0 to always trigger
+      const result = await manageHistorySize(
+        bot,
+        decisions.reverse(), // Oldest first
+        provider,
+        0, // Force summarization regardless of token count
+        5, // Keep last 5 decisions (ignored when forceAll = true)
+        true // forceAll: summarize ALL decisions, not just some
+      );
+      
+      if (result.needsSummarization && result.summary) {
+        // Save to database
+        database.prepare(`
+          UPDATE bots 
+          SET history_summary = ?
+          WHERE id = ? AND user_id = ?
+        `).run(result.summary, bot.id, bot.user_id);
         
-        // Get provider config
-        const provider = database.prepare(`
-          SELECT * FROM llm_providers WHERE id = ?
-        `).get(bot.provider_id);
+        console.log(`✅ Generated summary for ${bot.name}: ${result.summarizedCount} decisions compressed`);
         
-        if (!provider) {
-          return res.status(500).json({ error: 'Bot provider not found' });
+        if (result.usage) {
+          await botManager.recordLlmUsage(botState, [result.usage]);
         }
         
-        // Import summarizer
-        const { manageHistorySize } = require('../services/historySummarizer');
-        
-        // Force summarization with threshold of 0 to always trigger
-        const result = await manageHistorySize(
-          bot,
-          decisions.reverse(), // Oldest first
-          provider,
-          0, // Force summarization regardless of token count
-          5, // Keep last 5 decisions (ignored when forceAll = true)
-          true // forceAll: summarize ALL decisions, not just some
-        );
-        
-        if (result.needsSummarization && result.summary) {
-          // Save to database
-          database.prepare(`
-            UPDATE bots 
-            SET history_summary = ?
-            WHERE id = ? AND user_id = ?
-          `).run(result.summary, bot.id, bot.user_id);
-          
-          console.log(`✅ Generated summary for ${bot.name}: ${result.summarizedCount} decisions compressed`);
-          
-          res.json({
-            success: true,
-            message: `Successfully generated learning summary from ${result.summarizedCount} decisions`,
-            summary: JSON.parse(result.summary)
-          });
-        } else {
-          res.json({
-            success: false,
-            message: 'Summarization was not needed or failed'
-          });
-        }
-      } finally {
-        database.close();
+        res.json({
+          success: true,
+          message: `Successfully generated learning summary from ${result.summarizedCount} decisions`,
+          summary: JSON.parse(result.summary)
+        });
+      } else {
+        res.json({
+          success: false,
+          message: 'Summarization was not needed or failed'
+        });
       }
     } catch (error) {
+      if (error.code === 'BUDGET_EXCEEDED') {
+        return res.status(429).json({ error: 'LLM budget exhausted', message: error.message });
+      }
       console.error('Error forcing summarization:', error);
       res.status(500).json({ error: 'Failed to generate summary', message: error.message });
     }
@@ -0,0 +1,283 @@
+/**
+ * @license
+ * SPDX-License-Identifier: MIT
+ */
+
+const express = require('express');
+const { body, param } = require('express-validator');
+const { validateRequest } = require('../middleware/validation');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { createAuditLog } = require('../database/relational');
+const db = require('../database/relational');
+const { BUDGET_LIMITS, evaluateBudget } = require('../services/budgetService');
+
+const router = express.Router();
+
+// All budget routes require authentication
+router.use(authenticateToken);
+
+/**
+ * Validators for a budget body: bot_id (omitted/null = user-wide) and the four limits (null = no limit)
+ */
+function budgetValidators() {
+  return [
+    body('bot_id').optional({ nullable: true }).isString().trim().notEmpty().withMessage('Bot ID cannot be empty'),
+    body('daily_tokens').optional({ nullable: true }).isInt({ min: 0 }).withMessage('Daily token limit must be a non-negative integer'),
+    body('monthly_tokens').optional({ nullable: true }).isInt({ min: 0 }).withMessage('Monthly token limit must be a non-negative integer'),
+    body('daily_usd').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Daily USD limit must be a non-negative number'),
+    body('monthly_usd').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Monthly USD limit must be a non-negative number')
+  ];
+}
+
+/**
+ * Limits from a request body (missing values mean no limit)
+ */
+function readLimits(reqBody) {
+  const limits = {};
+  for (const { field, metric } of BUDGET_LIMITS) {
+    const value = reqBody[field];
+    limits[field] = value === undefined || value === null || value === ''
+      ? null
+      : (metric === 'tokens' ? parseInt(value) : parseFloat(value));
+  }
+  return limits;
+}
+
+/**
+ * Budget row with its current spend
+ */
+function formatBudget(budget) {
+  return {
+    ...budget,
+    set_by_admin: Boolean(budget.set_by_admin),
+    status: evaluateBudget(budget).map(entry => ({
+      period: entry.period,
+      metric: entry.metric,
+      limit: entry.limit,
+      used: entry.metric === 'usd' ? parseFloat(entry.used.toFixed(6)) : entry.used,
+      percent: Number.isFinite(entry.ratio) ? Math.round(entry.ratio * 1000) / 10 : 100,
+      resets_at: entry.resetsAt
+    }))
+  };
+}
+
+/**
+ * A user's budgets and the bots they can be set on
+ */
+function getBudgetOverview(userId) {
+  return {
+    budgets: db.getLlmBudgets(userId).map(formatBudget),
+    bots: db.getBots({ user_id: userId }).map(bot => ({ id: bot.id, name: bot.name }))
+  };
+}
+
+/**
+ * Let the trading engine warn again for a changed budget
+ */
+function resetBudgetNotices(req, budgetId) {
+  if (req.app.locals.botManager) {
+    req.app.locals.botManager.resetBudgetNotices(budgetId);
+  }
+}
+
+/**
+ * GET /api/budgets - Get your LLM budgets with current spend
+ */
+router.get('/',
+  requireRole('user'),
+  (req, res) => {
+    try {
+      res.json(getBudgetOverview(req.user.userId));
+    } catch (error) {
+      console.error('Error fetching budgets:', error);
+      res.status(500).json({ error: 'Failed to fetch budgets', message: error.message });
+    }
+  }
+);
+
+/**
+ * PUT /api/budgets - Set your user-wide budget, or a bot's budget
+ * Body: bot_id?, daily_tokens?, daily_usd?, monthly_tokens?, monthly_usd?
+ * Budgets set by an administrator can't be changed here
+ */
+router.put('/',
+  requireRole('user'),
+  ...budgetValidators(),
+  validateRequest,
+  (req, res) => {
+    try {
+      const userId = req.user.userId;
+      const botId = req.body.bot_id || null;
+      
+      if (botId && !db.getBot(botId, userId)) {
+        return res.status(404).json({ error: 'Bot not found or access denied' });
+      }
+      
+      const existing = db.getLlmBudget(userId, botId);
+      if (existing && existing.set_by_admin) {
+        return res.status(403).json({ error: 'This budget was set by an administrator and can only be changed by one' });
+      }
+      
+      const budget = db.upsertLlmBudget({ user_id: userId, bot_id: botId, ...readLimits(req.body), set_by_admin: false });
+      resetBudgetNotices(req, budget.id);
+      
+      createAuditLog({
+        event_type: 'llm_budget_updated',
+        entity_type: 'llm_budget',
+        entity_id: String(budget.id),
+        user_id: userId,
+        details: { bot_id: botId, ...readLimits(req.body) },
+        ip_address: req.ip
+      });
+      
+      res.json(formatBudget(budget));
+    } catch (error) {
+      console.error('Error updating budget:', error);
+      res.status(500).json({ error: 'Failed to update budget', message: error.message });
+    }
+  }
+);
+
+/**
+ * DELETE /api/budgets/:id - Remove one of your budgets
+ */
+router.delete('/:id',
+  requireRole('user'),
+  param('id').isInt().withMessage('Budget ID must be an integer'),
+  validateRequest,
+  (req, res) => {
+    try {
+      const budget = db.getLlmBudgetById(req.params.id);
+      
+      if (!budget || budget.user_id !== req.user.userId) {
+        return res.status(404).json({ error: 'Budget not found or access denied' });
+      }
+      
+      if (budget.set_by_admin) {
+        return res.status(403).json({ error: 'This budget was set by an administrator and can only be removed by one' });
+      }
+      
+      db.deleteLlmBudget(budget.id);
+      resetBudgetNotices(req, budget.id);
+      
+      createAuditLog({
+        event_type: 'llm_budget_deleted',
+        entity_type: 'llm_budget',
+        entity_id: String(budget.id),
+        user_id: req.user.userId,
+        details: { bot_id: budget.bot_id },
+        ip_address: req.ip
+      });
+      
+      res.json({ success: true, message: 'Budget removed' });
+    } catch (error) {
+      console.error('Error deleting budget:', error);
+      res.status(500).json({ error: 'Failed to delete budget', message: error.message });
+    }
+  }
+);
+
+/**
+ * GET /api/budgets/users/:userId - Get a user's budgets (admin)
+ */
+router.get('/users/:userId',
+  requireRole('admin'),
+  param('userId').notEmpty().withMessage('User ID is required'),
+  validateRequest,
+  (req, res) => {
+    try {
+      const user = db.prepare('SELECT id, username FROM users WHERE id = ?').get(req.params.userId);
+      
+      if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+      
+      res.json({ user, ...getBudgetOverview(user.id) });
+    } catch (error) {
+      console.error('Error fetching user budgets:', error);
+      res.status(500).json({ error: 'Failed to fetch budgets', message: error.message });
+    }
+  }
+);
+
+/**
+ * PUT /api/budgets/users/:userId - Override a user's budget (admin)
+ * Body: same as PUT /api/budgets, plus locked (default true: the user can't change it)
+ */
+router.put('/users/:userId',
+  requireRole('admin'),
+  param('userId').notEmpty().withMessage('User ID is required'),
+  ...budgetValidators(),
+  body('locked').optional().isBoolean().withMessage('Locked must be boolean'),
+  validateRequest,
+  (req, res) => {
+    try {
+      const userId = req.params.userId;
+      const botId = req.body.bot_id || null;
+      
+      if (!db.prepare('SELECT id FROM users WHERE id = ?').get(userId)) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+      
+      if (botId && !db.getBot(botId, userId)) {
+        return res.status(404).json({ error: 'Bot not found for this user' });
+      }
+      
+      const locked = req.body.locked !== false;
+      const budget = db.upsertLlmBudget({ user_id: userId, bot_id: botId, ...readLimits(req.body), set_by_admin: locked });
+      resetBudgetNotices(req, budget.id);
+      
+      createAuditLog({
+        event_type: 'llm_budget_overridden',
+        entity_type: 'llm_budget',
+        entity_id: String(budget.id),
+        user_id: req.user.userId,
+        details: { target_user_id: userId, bot_id: botId, locked, ...readLimits(req.body) },
+        ip_address: req.ip
+      });
+      
+      res.json(formatBudget(budget));
+    } catch (error) {
+      console.error('Error overriding budget:', error);
+      res.status(500).json({ error: 'Failed to update budget', message: error.message });
+    }
+  }
+);
+
+/**
+ * DELETE /api/budgets/users/:userId/:id - Remove a user's budget (admin)
+ */
+router.delete('/users/:userId/:id',
+  requireRole('admin'),
+  param('userId').notEmpty().withMessage('User ID is required'),
+  param('id').isInt().withMessage('Budget ID must be an integer'),
+  validateRequest,
+  (req, res) => {
+    try {
+      const budget = db.getLlmBudgetById(req.params.id);
+      
+      if (!budget || budget.user_id !== req.params.userId) {
+        return res.status(404).json({ error: 'Budget not found' });
+      }
+      
+      db.deleteLlmBudget(budget.id);
+      resetBudgetNotices(req, budget.id);
+      
+      createAuditLog({
+        event_type: 'llm_budget_deleted',
+        entity_type: 'llm_budget',
+        entity_id: String(budget.id),
+        user_id: req.user.userId,
+        details: { target_user_id: budget.user_id, bot_id: budget.bot_id },
+        ip_address: req.ip
+      });
+      
+      res.json({ success: true, message: 'Budget removed' });
+    } catch (error) {
+      console.error('Error deleting budget:', error);
+      res.status(500).json({ error: 'Failed to delete budget', message: error.message });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,154 @@
+/**
+ * @license
+ * SPDX-License-Identifier: MIT
+ */
+
+const express = require('express');
+const { query, param } = require('express-validator');
+const { validateRequest } = require('../middleware/validation');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { createAuditLog } = require('../database/relational');
+const db = require('../database/relational');
+const { compareVariants, SIGNIFICANCE_LEVEL } = require('../utils/experimentStats');
+
+const router = express.Router();
+
+// All experiment routes require authentication
+router.use(authenticateToken);
+
+/**
+ * GET /api/experiments - List experiments (created with POST /api/bots/:id/clone and `variants`)
+ * Query params: status
+ * MULTI-TENANT: Returns only experiments owned by authenticated user (unless admin)
+ */
+router.get('/',
+  query('status').optional().isIn(['running', 'stopped']).withMessage('Invalid status'),
+  validateRequest,
+  (req, res) => {
+    try {
+      const filters = {};
+      
+      if (req.user.role !== 'admin') {
+        filters.user_id = req.user.userId;
+      }
+      
+      if (req.query.status) {
+        filters.status = req.query.status;
+      }
+      
+      res.json(db.getExperiments(filters));
+    } catch (error) {
+      console.error('Error fetching experiments:', error);
+      res.status(500).json({ error: 'Failed to fetch experiments', message: error.message });
+    }
+  }
+);
+
+/**
+ * GET /api/experiments/:id - Get an experiment with its results
+ * Each variant's return, Sharpe ratio and max drawdown, and how they differ from
+ * the baseline's (95% bootstrap confidence interval and p-value), over the periods
+ * all variants have portfolio snapshots for
+ */
+router.get('/:id',
+  param('id').notEmpty().withMessage('Experiment ID is required'),
+  validateRequest,
+  (req, res) => {
+    try {
+      const userId = req.user.role === 'admin' ? null : req.user.userId;
+      const experiment = db.getExperiment(req.params.id, userId);
+      
+      if (!experiment) {
+        return res.status(404).json({ error: 'Experiment not found or access denied' });
+      }
+      
+      const equity = db.getExperimentEquity(experiment).map(snapshots => snapshots.map(snapshot => ({
+        time: new Date(snapshot.timestamp).getTime(),
+        value: snapshot.total_value
+      })));
+      const turnIntervalMs = experiment.variants[0]?.turn_interval_ms || db.getSetting('turn_interval_ms') || 300000;
+      const results = compareVariants(equity, { stepMs: turnIntervalMs, seed: experiment.id });
+      
+      res.json({
+        ...experiment,
+        significance_level: SIGNIFICANCE_LEVEL,
+        results: {
+          periods: results.periods,
+          period_ms: results.period_ms,
+          start: results.start,
+          end: results.end,
+          min_periods: results.min_periods,
+          enough_data: results.enough_data
+        },
+        variants: experiment.variants.map((variant, index) => ({
+          ...variant,
+          total_return_pct: results.variants[index].total_return_pct,
+          metrics: results.variants[index].metrics,
+          comparison: results.variants[index].comparison,
+          equity_curve: results.equity[index]
+        }))
+      });
+    } catch (error) {
+      console.error('Error fetching experiment:', error);
+      res.status(500).json({ error: 'Failed to fetch experiment', message: error.message });
+    }
+  }
+);
+
+/**
+ * POST /api/experiments/:id/stop - End a running experiment
+ * Pauses the variant bots; results keep covering the period the experiment ran.
+ */
+router.post('/:id/stop',
+  requireRole('user'),
+  param('id').notEmpty().withMessage('Experiment ID is required'),
+  validateRequest,
+  async (req, res) => {
+    try {
+      const userId = req.user.role === 'admin' ? null : req.user.userId;
+      const experiment = db.getExperiment(req.params.id, userId);
+      
+      if (!experiment) {
+        return res.status(404).json({ error: 'Experiment not found or access denied' });
+      }
+      
+      if (experiment.status !== 'running') {
+        return res.status(400).json({ error: 'Experiment is not running' });
+      }
+      
+      db.transaction(() => {
+        db.stopExperiment(experiment.id);
+        for (const variant of experiment.variants) {
+          db.toggleBotPause(variant.bot_id, true);
+        }
+      });
+      
+      createAuditLog({
+        event_type: 'experiment_stopped',
+        entity_type: 'experiment',
+        entity_id: experiment.id,
+        user_id: req.user.userId,
+        details: { bot_ids: experiment.variants.map(variant => variant.bot_id) },
+        ip_address: req.ip
+      });
+      
+      // Paused, and no longer scheduled or priced together
+      if (req.app.locals.botManager) {
+        for (const variant of experiment.variants) {
+          try {
+            await req.app.locals.botManager.reloadBotConfig(variant.bot_id);
+          } catch (reloadError) {
+            console.warn(`⚠️ Failed to hot-reload bot config:`, reloadError.message);
+          }
+        }
+      }
+      
+      res.json(db.getExperiment(experiment.id));
+    } catch (error) {
+      console.error('Error stopping experiment:', error);
+      res.status(500).json({ error: 'Failed to stop experiment', message: error.message });
+    }
+  }
+);
+
+module.exports = router;
@@ -15,6 +15,9 @@ const walletsRoutes = require('./wallets');
 const settingsRoutes = require('./settings');
 const analyticsRoutes = require('./analytics');
 const auditRoutes = require('./audit');
+const backtestsRoutes = require('./backtests');
+const budgetsRoutes = require('./budgets');
+const experimentsRoutes = require('./experiments');
 
 const router = express.Router();
 
@@ -26,6 +29,9 @@ router.use('/wallets', walletsRoutes);
 router.use('/settings', settingsRoutes);
 router.use('/analytics', analyticsRoutes);
 router.use('/audit', auditRoutes);
+router.use('/backtests', backtestsRoutes);
+router.use('/budgets', budgetsRoutes);
+router.use('/experiments', experimentsRoutes);
 
 // Health check endpoint
 router.get('/health', (req, res) => {
@@ -11,6 +11,7 @@ const { encrypt, redact } = require('../utils/encryption');
 const { createAuditLog } = require('../database/relational');
 const db = require('../database/relational');
 const axios = require('axios');
+const mockProvider = require('../services/mockProvider');
 
 const router = express.Router();
 
@@ -21,7 +22,7 @@ const router = express.Router();
 router.get('/',
   authenticateToken,
   query('active').optional().isBoolean().withMessage('Active must be a boolean'),
-  query('provider_type').optional().isIn(['openai', 'anthropic', 'gemini', 'grok', 'local', 'custom']).withMessage('Invalid provider type'),
+  query('provider_type').optional().isIn(['openai', 'anthropic', 'gemini', 'grok', 'local', 'custom', 'mock']).withMessage('Invalid provider type'),
   validateRequest,
   (req, res) => {
     try {
@@ -98,12 +99,13 @@ router.post('/',
   authenticateToken,
   requireRole('user'),
   body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Name must be 1-100 characters'),
-  body('provider_type').isIn(['openai', 'anthropic', 'gemini', 'grok', 'local', 'custom']).withMessage('Invalid provider type'),
+  body('provider_type').isIn(['openai', 'anthropic', 'gemini', 'grok', 'local', 'custom', 'mock']).withMessage('Invalid provider type'),
   body('api_endpoint').trim().isLength({ min: 1 }).withMessage('API endpoint is required')
     .custom((value) => {
       // More lenient URL validation - just check it starts with http:// or https://
-      if (!value.startsWith('http://') && !value.startsWith('https://')) {
-        throw new Error('API endpoint must start with http:// or https://');
+      // (mock:// is accepted for the offline mock provider, which makes no requests)
+      if (!value.startsWith('http://') && !value.startsWith('https://') && !value.startsWith('mock://')) {
+        throw new Error('API endpoint must start with http://, https:// or mock://');
       }
       return true;
     }),
@@ -170,12 +172,13 @@ router.put('/:id',
   requireRole('user'),
   param('id').isInt().withMessage('Provider ID must be an integer'),
   body('name').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Name must be 1-100 characters'),
-  body('provider_type').optional().isIn(['openai', 'anthropic', 'gemini', 'grok', 'local', 'custom']).withMessage('Invalid provider type'),
+  body('provider_type').optional().isIn(['openai', 'anthropic', 'gemini', 'grok', 'local', 'custom', 'mock']).withMessage('Invalid provider type'),
   body('api_endpoint').optional().trim().isLength({ min: 1 }).withMessage('API endpoint cannot be empty')
     .custom((value) => {
       // More lenient URL validation - just check it starts with http:// or https://
-      if (value && !value.startsWith('http://') && !value.startsWith('https://')) {
-        throw new Error('API endpoint must start with http:// or https://');
+      // (mock:// is accepted for the offline mock provider, which makes no requests)
+      if (value && !value.startsWith('http://') && !value.startsWith('https://') && !value.startsWith('mock://')) {
+        throw new Error('API endpoint must start with http://, https:// or mock://');
       }
       return true;
     }),
@@ -288,6 +291,24 @@ router.post('/:id/test',
         return res.status(404).json({ error: 'Provider not found' });
       }
       
+      // Mock provider has no endpoint to reach - just check it produces a response
+      if (provider.provider_type === 'mock') {
+        try {
+          const sample = mockProvider.generateResponse('Provider connection test', provider, 'test');
+          return res.json({
+            success: true,
+            message: 'Mock provider responded',
+            sample: sample.slice(0, 200)
+          });
+        } catch (mockError) {
+          return res.status(200).json({
+            success: false,
+            message: 'Mock provider failed',
+            error: mockError.message
+          });
+        }
+      }
+      
       if (!provider.api_key_encrypted) {
         return res.status(400).json({ error: 'Provider has no API key configured' });
       }
@@ -8,7 +8,7 @@ const Database = require('better-sqlite3');
 const bcrypt = require('bcrypt');
 const crypto = require('crypto');
 
-const DB_PATH = path.join(__dirname, '..', '..', 'data', 'arena.db');
+const DB_PATH = process.env.DATABASE_PATH || path.join(__dirname, '..', '..', 'data', 'arena.db');
 
 async function createAdminUser() {
   console.log('🔐 Creating default admin user...\n');
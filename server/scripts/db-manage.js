@@ -19,12 +19,18 @@
  *   cleanup-old-data    Remove old data based on retention policy
  *   export-bot <id>     Export a bot's complete data
  *   import-bot <file>   Import a bot from export file
+ *   migrate             Apply pending migrations (--dry-run prints them instead)
+ *   migration-status    List applied, pending and changed migrations
+ *   rollback-migration [count]
+ *                       Revert the last migration(s) with their down scripts (--dry-run supported)
  */
 
 const Database = require('better-sqlite3');
 const path = require('path');
 const fs = require('fs');
 const readline = require('readline');
+const { closeDb } = require('../database/connection');
+const { getMigrationStatus, describeMigrationProblems, migrate, rollback } = require('../database/migrator');
 
 const DB_PATH = process.env.DATABASE_PATH || path.join(__dirname, '..', '..', 'data', 'arena.db');
 const BACKUP_DIR = process.env.BACKUP_PATH || path.join(__dirname, '..', '..', 'data', 'backups');
@@ -578,6 +584,87 @@ class DatabaseManager {
     }
   }
 
+  // ==================== Migrations ====================
+  
+  migrationStatus() {
+    console.log('📋 Checking migration status...\n');
+
+    try {
+      const status = getMigrationStatus();
+      const modified = new Set(status.modified.map(m => m.name));
+
+      for (const migration of status.applied) {
+        const icon = modified.has(migration.name) ? '⚠️ ' : '✅';
+        const note = migration.downPath ? '' : ' (irreversible)';
+        console.log(`   ${icon} ${migration.name} - applied ${migration.appliedAt}${note}`);
+      }
+      for (const migration of status.pending) {
+        console.log(`   ⏳ ${migration.name} - pending`);
+      }
+      for (const name of status.unknown) {
+        console.log(`   ❓ ${name} - applied, but not in this codebase`);
+      }
+
+      const problems = describeMigrationProblems(status);
+      if (problems.length === 0) {
+        console.log(`\n✅ Database is up to date (${status.applied.length} migrations applied)\n`);
+        return true;
+      }
+
+      console.log('');
+      problems.forEach(problem => console.error(`❌ ${problem}`));
+      console.log('');
+      return false;
+    } catch (error) {
+      console.error(`❌ Migration status failed: ${error.message}`);
+      return false;
+    } finally {
+      closeDb();
+    }
+  }
+
+  migrate(dryRun = false) {
+    console.log(`🔄 ${dryRun ? 'Dry run of' : 'Running'} pending migrations...\n`);
+
+    try {
+      migrate({ dryRun });
+      console.log('');
+      return true;
+    } catch (error) {
+      console.error(`\n❌ Migration failed: ${error.message}\n`);
+      return false;
+    } finally {
+      closeDb();
+    }
+  }
+
+  async rollbackMigrations(steps = 1, dryRun = false) {
+    console.log(`⏪ ${dryRun ? 'Dry run of rolling' : 'Rolling'} back the last ${steps} migration(s)...\n`);
+
+    if (!dryRun) {
+      console.log('⚠️  Tables and columns added by these migrations are dropped along with their data.');
+      console.log('   Create a backup first: node db-manage.js backup\n');
+
+      const confirmed = await this.confirm('Continue? (yes/no): ');
+
+      if (!confirmed) {
+        console.log('Rollback cancelled.\n');
+        return false;
+      }
+    }
+
+    try {
+      rollback({ steps, dryRun });
+      console.log('');
+      return true;
+    } catch (error) {
+      console.error(`\n❌ Rollback failed: ${error.message}\n`);
+      return false;
+    } finally {
+      closeDb();
+    }
+  }
+
   // ==================== Utility Methods ====================
   
   confirm(question) {
@@ -600,6 +687,7 @@ class DatabaseManager {
 async function main() {
   const args = process.argv.slice(2);
   const command = args[0];
+  const dryRun = args.includes('--dry-run');
   
   const manager = new DatabaseManager(DB_PATH, BACKUP_DIR);
 
@@ -665,6 +753,26 @@ async function main() {
         manager.exportBot(args[1], args[2]);
         break;
 
+      case 'migrate':
+        if (!manager.migrate(dryRun)) {
+          process.exit(1);
+        }
+        break;
+
+      case 'migration-status':
+        if (!manager.migrationStatus()) {
+          process.exit(1);
+        }
+        break;
+
+      case 'rollback-migration': {
+        const steps = parseInt(args.find(arg => /^\d+$/.test(arg)) || '1', 10);
+        if (!(await manager.rollbackMigrations(steps, dryRun))) {
+          process.exit(1);
+        }
+        break;
+      }
+
       default:
         console.log('Available Commands:');
         console.log('');
@@ -678,12 +786,18 @@ async function main() {
         console.log('  reset-all-bots      - Reset all bots\' trading data');
         console.log('  cleanup-old-data    - Remove old data based on retention policy');
         console.log('  export-bot <id>     - Export a bot\'s complete data');
+        console.log('  migrate             - Apply pending migrations (--dry-run to preview)');
+        console.log('  migration-status    - List applied, pending and changed migrations');
+        console.log('  rollback-migration [count]');
+        console.log('                      - Revert the last migration(s) (--dry-run to preview)');
         console.log('');
         console.log('Examples:');
         console.log('  node db-manage.js backup');
         console.log('  node db-manage.js restore arena_backup_2025-11-07.db');
         console.log('  node db-manage.js reset-bot bot_astrologer');
         console.log('  node db-manage.js export-bot bot_degen my_export.json');
+        console.log('  node db-manage.js migrate --dry-run');
+        console.log('  node db-manage.js rollback-migration 2');
         console.log('');
     }
   } catch (error) {
@@ -15,13 +15,18 @@
  *   consistency         Data consistency tests
  *   integrity           Database integrity tests
  *   performance         Performance benchmarks
+ * 
+ * The SQLite file is opened read-only, so running the suite never changes it.
+ * With DATABASE_CLIENT=postgres and DATABASE_URL set, the same suite checks
+ * PostgreSQL through the storage layer's shared connection.
  */
 
 const Database = require('better-sqlite3');
-const path = require('path');
 const axios = require('axios');
+const { DATABASE_CLIENT, DATABASE_PATH, getDb, closeDb } = require('../database/connection');
+const { POSTGRES } = require('../database/sqlDialect');
 
-const DB_PATH = process.env.DATABASE_PATH || path.join(__dirname, '..', '..', 'data', 'arena.db');
+const DB_PATH = DATABASE_PATH;
 const API_BASE = process.env.API_BASE || 'http://localhost:3001';
 
 class DatabaseTester {
@@ -39,7 +44,8 @@ class DatabaseTester {
 
   connect() {
     try {
-      this.db = new Database(this.dbPath, { readonly: true });
+      this.isPostgres = DATABASE_CLIENT === POSTGRES;
+      this.db = this.isPostgres ? getDb() : new Database(this.dbPath, { readonly: true });
       return true;
     } catch (error) {
       console.error(`❌ Failed to connect to database: ${error.message}`);
@@ -49,7 +55,11 @@ class DatabaseTester {
 
   disconnect() {
     if (this.db) {
-      this.db.close();
+      if (this.isPostgres) {
+        closeDb();
+      } else {
+        this.db.close();
+      }
       this.db = null;
     }
   }
@@ -219,7 +229,7 @@ class DatabaseTester {
         FROM users u
         LEFT JOIN bots b ON b.user_id = u.id
         GROUP BY u.id
-        HAVING bot_count > 0
+        HAVING COUNT(b.id) > 0
       `).all();
 
       if (usersWithBots.length > 0) {
@@ -332,11 +342,11 @@ class DatabaseTester {
           ).get(bot.id).count;
 
           // Check arena_state consistency (if exists)
-          const arenaState = this.db.prepare('SELECT state_json FROM arena_state LIMIT 1').get();
+          const arenaState = this.db.prepare('SELECT state FROM arena_state LIMIT 1').get();
           
           if (arenaState) {
             try {
-              const state = JSON.parse(arenaState.state_json);
+              const state = JSON.parse(arenaState.state);
               const botState = Array.isArray(state.bots) 
                 ? state.bots.find(b => b.id === bot.id)
                 : state.bots?.[bot.id];
@@ -428,26 +438,31 @@ class DatabaseTester {
     }
 
     try {
-      // Test 1: SQLite integrity check
-      const integrityResult = this.db.pragma('integrity_check');
-      const integrityPassed = integrityResult.length === 1 && integrityResult[0].integrity_check === 'ok';
-      
-      this.logTest(
-        'SQLite integrity check',
-        integrityPassed,
-        integrityPassed ? 'Database file is healthy' : 'Database corruption detected!'
-      );
+      // Tests 1-2: SQLite integrity and foreign key checks
+      // (PostgreSQL checks pages itself and never stores rows violating a constraint)
+      if (this.isPostgres) {
+        this.logTest('SQLite integrity check', true, 'Not applicable to PostgreSQL', true);
+        this.logTest('Foreign key integrity', true, 'Enforced by PostgreSQL constraints');
+      } else {
+        const integrityResult = this.db.pragma('integrity_check');
+        const integrityPassed = integrityResult.length === 1 && integrityResult[0].integrity_check === 'ok';
+        
+        this.logTest(
+          'SQLite integrity check',
+          integrityPassed,
+          integrityPassed ? 'Database file is healthy' : 'Database corruption detected!'
+        );
 
-      // Test 2: Foreign key check
-      const foreignKeyResult = this.db.pragma('foreign_key_check');
-      
-      this.logTest(
-        'Foreign key integrity',
-        foreignKeyResult.length === 0,
-        foreignKeyResult.length === 0 
-          ? 'All foreign keys valid' 
-          : `${foreignKeyResult.length} foreign key violations!`
-      );
+        const foreignKeyResult = this.db.pragma('foreign_key_check');
+        
+        this.logTest(
+          'Foreign key integrity',
+          foreignKeyResult.length === 0,
+          foreignKeyResult.length === 0 
+            ? 'All foreign keys valid' 
+            : `${foreignKeyResult.length} foreign key violations!`
+        );
+      }
 
       // Test 3: Required tables exist
       const requiredTables = [
@@ -455,7 +470,9 @@ class DatabaseTester {
         'bot_decisions', 'bot_state_snapshots', 'system_settings'
       ];
 
-      const existingTables = this.db.prepare(`
+      const existingTables = this.db.prepare(this.isPostgres ? `
+        SELECT table_name AS name FROM information_schema.tables WHERE table_schema = current_schema()
+      ` : `
         SELECT name FROM sqlite_master WHERE type='table' AND name NOT LIKE 'sqlite_%'
       `).all().map(t => t.name);
 
@@ -470,7 +487,10 @@ class DatabaseTester {
       );
 
       // Test 4: Index existence
-      const indexes = this.db.prepare(`
+      const indexes = this.db.prepare(this.isPostgres ? `
+        SELECT COUNT(*) as count FROM pg_indexes
+        WHERE schemaname = current_schema() AND indexname NOT LIKE '%_pkey' AND indexname NOT LIKE '%_key'
+      ` : `
         SELECT COUNT(*) as count FROM sqlite_master 
         WHERE type='index' AND name NOT LIKE 'sqlite_%'
       `).get().count;
@@ -483,7 +503,7 @@ class DatabaseTester {
 
       // Test 5: Check for duplicate records
       const duplicateBots = this.db.prepare(`
-        SELECT id, COUNT(*) as count FROM bots GROUP BY id HAVING count > 1
+        SELECT id, COUNT(*) as count FROM bots GROUP BY id HAVING COUNT(*) > 1
       `).all();
 
       this.logTest(
@@ -550,10 +570,10 @@ class DatabaseTester {
       );
 
       // Test 4: Database size check
-      const filePath = this.dbPath;
-      const fs = require('fs');
-      const stats = fs.statSync(filePath);
-      const sizeMB = (stats.size / 1024 / 1024).toFixed(2);
+      const sizeBytes = this.isPostgres
+        ? this.db.prepare('SELECT pg_database_size(current_database()) as size').get().size
+        : require('fs').statSync(this.dbPath).size;
+      const sizeMB = (sizeBytes / 1024 / 1024).toFixed(2);
 
       this.logTest(
         'Database size',
@@ -626,7 +646,7 @@ async function main() {
   console.log('\n' + '═'.repeat(70));
   console.log('BONERBOTS DATABASE TEST SUITE');
   console.log('═'.repeat(70));
-  console.log(`\n📂 Database: ${DB_PATH}`);
+  console.log(`\n📂 Database: ${DATABASE_CLIENT === POSTGRES ? 'PostgreSQL (DATABASE_URL)' : DB_PATH}`);
   console.log(`🌐 API: ${API_BASE}`);
   console.log(`⏰ Timestamp: ${new Date().toISOString()}\n`);
 
@@ -18,7 +18,7 @@ const path = require('path');
  * 5. Verifies data integrity
  */
 
-const DB_PATH = path.join(__dirname, '..', '..', 'data', 'arena.db');
+const DB_PATH = process.env.DATABASE_PATH || path.join(__dirname, '..', '..', 'data', 'arena.db');
 const BACKUP_DIR = path.join(__dirname, '..', '..', 'data', 'backups');
 const MIGRATION_SQL = path.join(__dirname, '..', 'migrations', '002_relational_schema.sql');
 
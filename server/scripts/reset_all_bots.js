@@ -6,7 +6,7 @@
 const Database = require('better-sqlite3');
 const path = require('path');
 
-const dbPath = path.join(__dirname, '..', '..', 'data', 'arena.db');
+const dbPath = process.env.DATABASE_PATH || path.join(__dirname, '..', '..', 'data', 'arena.db');
 const db = new Database(dbPath);
 
 try {
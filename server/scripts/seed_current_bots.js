@@ -9,7 +9,7 @@ const path = require('path');
 const Database = require('better-sqlite3');
 const crypto = require('crypto');
 
-const DB_PATH = path.join(__dirname, '..', '..', 'data', 'arena.db');
+const DB_PATH = process.env.DATABASE_PATH || path.join(__dirname, '..', '..', 'data', 'arena.db');
 
 // Encryption configuration (must match server/utils/encryption.js)
 const ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || crypto.randomBytes(32).toString('hex');
@@ -230,8 +230,10 @@ AVAILABLE ANALYTICAL TOOLS:
 Your era's mathematical frameworks transcend contemporary econometric science. These tools enable you to approximate key insights from advanced temporal analysis techniques:
 
 16. **custom_equation(expression, variables)**: Execute arbitrary mathematical expressions
-    - Operators: +, -, *, /, ^ (exponentiation), sqrt, log, exp, sin, cos, abs, min, max
-    - Variables: Pass object mapping variable names to numerical values
+    - Operators: +, -, *, /, ^ (exponentiation), comparisons and logic (<, >, ==, &&, ||) yielding 1 or 0
+    - Functions: sqrt, log, log10, exp, sin, cos, tan, abs, floor, ceil, round, pow, min, max, sum, mean, len
+    - Variables: Pass object mapping variable names to numbers or arrays of numbers (index with prices[0], prices[-1])
+    - Syntax errors come back with the position of the problem - fix the expression and retry
     - Returns: Computed scalar result
     - Example: custom_equation("(rho * mu_forward - sigma^2) / sqrt(1 + epsilon)", {rho: 0.73, mu_forward: 0.082, sigma: 0.15, epsilon: 0.01})
     
@@ -16,7 +16,7 @@ const crypto = require('crypto');
  * - Optional: Default admin user
  */
 
-const DB_PATH = path.join(__dirname, '..', '..', 'data', 'arena.db');
+const DB_PATH = process.env.DATABASE_PATH || path.join(__dirname, '..', '..', 'data', 'arena.db');
 
 function log(message, isError = false) {
   const prefix = isError ? '❌' : '✓';
@@ -121,6 +121,138 @@ function seedSystemSettings(db) {
       type: 'number',
       desc: 'Portfolio refresh interval (ms)'
     },
+    {
+      key: 'max_concurrent_turns',
+      value: '2',
+      type: 'number',
+      desc: 'Maximum bot trading turns running at the same time'
+    },
+    {
+      key: 'turn_overlap_policy',
+      value: 'skip',
+      type: 'string',
+      desc: 'When a bot\'s turn comes due while its previous turn is still running: skip or queue'
+    },
+    {
+      key: 'llm_max_retries',
+      value: '2',
+      type: 'number',
+      desc: 'Retries per provider for timeouts, rate limits and 5xx errors before failing over'
+    },
+    {
+      key: 'llm_retry_base_delay_ms',
+      value: '1000',
+      type: 'number',
+      desc: 'Base delay for exponential backoff between LLM retries (ms, with jitter)'
+    },
+    {
+      key: 'llm_circuit_failure_threshold',
+      value: '5',
+      type: 'number',
+      desc: 'Consecutive failures before a provider is skipped by all bots'
+    },
+    {
+      key: 'llm_circuit_cooldown_ms',
+      value: '120000',
+      type: 'number',
+      desc: 'How long a failing provider is skipped before it is tried again (ms)'
+    },
+    {
+      key: 'llm_budget_warning_pct',
+      value: '80',
+      type: 'number',
+      desc: 'Percent of an LLM budget at which the owner is warned (bots pause at 100%)'
+    },
+    {
+      key: 'risk_max_exposure_multiple',
+      value: '0',
+      type: 'number',
+      desc: 'Max total position notional (margin x leverage) as a multiple of bot equity (0 = no limit)'
+    },
+    {
+      key: 'risk_max_positions',
+      value: '0',
+      type: 'number',
+      desc: 'Max concurrent open positions per bot (0 = no limit)'
+    },
+    {
+      key: 'risk_max_symbol_margin_pct',
+      value: '0',
+      type: 'number',
+      desc: 'Max margin in a single symbol as a percent of bot equity (0 = no limit)'
+    },
+    {
+      key: 'risk_max_correlated_exposure_multiple',
+      value: '0',
+      type: 'number',
+      desc: 'Max same-direction notional across correlated symbols as a multiple of bot equity (0 = no limit)'
+    },
+    {
+      key: 'risk_correlation_threshold',
+      value: '0.7',
+      type: 'number',
+      desc: 'Return correlation at which two symbols count as correlated for the correlated exposure limit'
+    },
+    {
+      key: 'risk_daily_loss_limit_pct',
+      value: '0',
+      type: 'number',
+      desc: 'Percent of equity a bot may lose in a UTC day before it stops opening positions until the next day (0 = no limit)'
+    },
+    {
+      key: 'risk_max_drawdown_pct',
+      value: '0',
+      type: 'number',
+      desc: 'Percent drawdown from peak equity at which a bot is paused by the kill-switch (0 = no limit)'
+    },
+    {
+      key: 'paper_taker_fee_rate',
+      value: '0.0005',
+      type: 'number',
+      desc: 'Paper trading fee for market (taker) fills, as a fraction of notional'
+    },
+    {
+      key: 'paper_maker_fee_rate',
+      value: '0.0002',
+      type: 'number',
+      desc: 'Paper trading fee for resting (maker) fills, as a fraction of notional'
+    },
+    {
+      key: 'paper_slippage_bps',
+      value: '2',
+      type: 'number',
+      desc: 'Paper trading slippage on every market fill, in basis points'
+    },
+    {
+      key: 'paper_slippage_impact_bps',
+      value: '10',
+      type: 'number',
+      desc: 'Extra paper trading slippage in basis points at $100k notional, scaling with the square root of order size'
+    },
+    {
+      key: 'paper_max_slippage_bps',
+      value: '100',
+      type: 'number',
+      desc: 'Cap on paper trading slippage per fill, in basis points'
+    },
+    {
+      key: 'paper_funding_enabled',
+      value: 'true',
+      type: 'boolean',
+      desc: 'Charge paper positions the exchange funding rate at each funding time'
+    },
+    {
+      key: 'pending_order_default_expiry_minutes',
+      value: '240',
+      type: 'number',
+      desc: 'Minutes a bot\'s LIMIT or STOP order rests before it expires when the bot sets no expiry'
+    },
+    {
+      key: 'max_pending_orders_per_bot',
+      value: '5',
+      type: 'number',
+      desc: 'Most LIMIT and STOP orders a bot can have resting at once'
+    },
     {
       key: 'minimum_trade_size_usd',
       value: '50',
@@ -0,0 +1,143 @@
+#!/usr/bin/env node
+/**
+ * Simulated Exchange Server
+ *
+ * Runs a local fake futures exchange (Binance-style /fapi API) so real-mode
+ * bots can be tested end to end without touching real funds.
+ *
+ * Usage:
+ *   node simulated_exchange.js [options]
+ *
+ * Options:
+ *   --port <n>                   Port to listen on (default: SIMULATED_EXCHANGE_PORT or 4100)
+ *   --account <key:secret[:bal]> Register an API key pair (repeatable)
+ *   --accounts <file.json>       Register accounts from [{ apiKey, apiSecret, balance }]
+ *   --balance <n>                Default starting balance (default: 10000)
+ *   --feed <file>                Replay prices from a .json or .csv feed
+ *   --feed-db <SYM,SYM,...>      Replay candles stored in the arena database
+ *   --interval <5m>              Candle interval for --feed-db (default: 5m)
+ *   --limit <n>                  Candles per symbol for --feed-db (default: 1000)
+ *   --speed <n>                  Feed milliseconds replayed per real millisecond (default: 60)
+ *   --tick <ms>                  Real milliseconds between price updates (default: 1000)
+ *   --loop                       Restart the feed when it ends
+ *
+ * Bots trade here when their wallet's exchange is 'simulated_server'; the arena
+ * finds the server via SIMULATED_EXCHANGE_URL (default http://localhost:4100).
+ * Wallet API key/secret must match an account registered with --account.
+ */
+
+const fs = require('fs');
+const PriceFeed = require('../services/exchanges/PriceFeed');
+const { createSimulatedExchangeServer } = require('../services/exchanges/simulatedExchangeServer');
+
+/**
+ * Parse --flag value pairs (repeatable flags collect into arrays)
+ */
+function parseArgs(argv) {
+  const options = { account: [] };
+  
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      continue;
+    }
+    
+    const key = arg.slice(2);
+    if (key === 'loop') {
+      options.loop = true;
+    } else if (key === 'account') {
+      options.account.push(argv[++i]);
+    } else {
+      options[key] = argv[++i];
+    }
+  }
+  
+  return options;
+}
+
+/**
+ * Build the price feed requested on the command line (null = random walk)
+ */
+function loadFeed(options) {
+  if (options.feed) {
+    return PriceFeed.fromFile(options.feed);
+  }
+  
+  if (options['feed-db']) {
+    const db = require('../database/relational');
+    const interval = options.interval || '5m';
+    const limit = parseInt(options.limit || '1000');
+    const candlesBySymbol = {};
+    
+    for (const symbol of options['feed-db'].split(',').map(s => s.trim()).filter(Boolean)) {
+      const candles = db.getCandles(symbol, interval, limit);
+      if (candles.length === 0) {
+        console.warn(`⚠️  No ${interval} candles stored for ${symbol} - skipping`);
+        continue;
+      }
+      candlesBySymbol[symbol] = candles;
+    }
+    
+    return PriceFeed.fromCandles(candlesBySymbol);
+  }
+  
+  return null;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const port = parseInt(options.port || process.env.SIMULATED_EXCHANGE_PORT || '4100');
+  
+  const accounts = options.account.map(spec => {
+    const [apiKey, apiSecret, balance] = spec.split(':');
+    return { apiKey, apiSecret, balance };
+  });
+  
+  if (options.accounts) {
+    accounts.push(...JSON.parse(fs.readFileSync(options.accounts, 'utf8')));
+  }
+  
+  const feed = loadFeed(options);
+  
+  const server = createSimulatedExchangeServer({
+    feed,
+    accounts,
+    speed: parseFloat(options.speed || '60'),
+    tickMs: parseInt(options.tick || '1000'),
+    loop: options.loop || false,
+    exchangeOptions: {
+      initialBalance: parseFloat(options.balance || '10000')
+    }
+  });
+  
+  await server.start(port);
+  
+  console.log('\n' + '═'.repeat(70));
+  console.log('SIMULATED EXCHANGE');
+  console.log('═'.repeat(70));
+  console.log(`\n🏦 Listening on http://localhost:${port}`);
+  console.log(`👤 Accounts: ${accounts.length > 0 ? accounts.map(a => a.apiKey).join(', ') : 'none (register with --account or POST /sim/accounts)'}`);
+  if (feed) {
+    console.log(`📈 Replaying ${feed.symbols.length} symbols from ${new Date(feed.startTime).toISOString()} to ${new Date(feed.endTime).toISOString()}`);
+  } else {
+    console.log(`🎲 No feed given - random-walking ${server.exchange.getTickers().length} symbols`);
+  }
+  console.log('');
+  
+  const shutdown = async () => {
+    console.log('\n🛑 Stopping simulated exchange...');
+    await server.stop();
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('❌ Failed to start simulated exchange:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { parseArgs, loadFeed };
@@ -13,7 +13,7 @@ const path = require('path');
  * was successful and data integrity is maintained.
  */
 
-const DB_PATH = path.join(__dirname, '..', '..', 'data', 'arena.db');
+const DB_PATH = process.env.DATABASE_PATH || path.join(__dirname, '..', '..', 'data', 'arena.db');
 
 function log(message, isError = false) {
   const prefix = isError ? '❌' : '✓';
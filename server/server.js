@@ -6,15 +6,18 @@
 const express = require('express');
 const path = require('path');
 const cors = require('cors');
-const crypto = require('crypto');
 const axios = require('axios');
 
 const config = require('./config');
 const { getArenaState, updateArenaState, initializeArenaState } = require('./database');
+const { getDb, closeDb } = require('./database/connection');
+const { getMigrationStatus, describeMigrationProblems } = require('./database/migrator');
 const WebSocketServer = require('./websocket');
 const BotManager = require('./services/BotManager');
+const { getExchangeAdapter } = require('./services/exchanges');
 const leaderboardScheduler = require('./services/leaderboardScheduler');
 const snapshotCleanupScheduler = require('./services/snapshotCleanupScheduler');
+const backtestService = require('./services/backtestService');
 const backup = require('./scripts/backup');
 
 // Validate configuration before starting
@@ -23,6 +26,15 @@ if (!config.validateConfig()) {
   process.exit(1);
 }
 
+// Refuse to start against a schema that doesn't match the migration files
+const migrationProblems = describeMigrationProblems(getMigrationStatus());
+if (migrationProblems.length > 0) {
+  console.error('❌ Database migrations are not up to date:');
+  migrationProblems.forEach(problem => console.error(`   ${problem}`));
+  console.error('   Run: cd server && node scripts/db-manage.js migrate');
+  process.exit(1);
+}
+
 const app = express();
 const wsServer = new WebSocketServer(config.wsPort);
 const botManager = new BotManager(config, wsServer);
@@ -44,16 +56,6 @@ app.use((req, res, next) => {
   next();
 });
 
-/**
- * Create HMAC-SHA256 signature for Asterdex API
- */
-function createHmacSha256Signature(data, secret) {
-  return crypto
-    .createHmac('sha256', secret)
-    .update(data)
-    .digest('hex');
-}
-
 // ============ API ROUTES ============
 
 // Authentication routes (no /v2 prefix)
@@ -80,32 +82,25 @@ app.post('/api/gemini', async (req, res) => {
     }
     
     // Get Gemini API key from database (llm_providers table) or fallback to env var
-    const Database = require('better-sqlite3');
     const { decrypt } = require('./utils/encryption');
-    const path = require('path');
     
-    const dbPath = path.join(__dirname, '..', 'data', 'arena.db');
-    const db = new Database(dbPath);
+    const db = getDb();
     
     let apiKey = null;
     
-    try {
-      // Try to get API key from database
-      const provider = db.prepare(`
-        SELECT api_key_encrypted 
-        FROM llm_providers 
-        WHERE provider_type = 'gemini' AND is_active = 1
-        LIMIT 1
-      `).get();
-      
-      if (provider && provider.api_key_encrypted) {
-        apiKey = decrypt(provider.api_key_encrypted);
-      } else {
-        // Fallback to environment variable
-        apiKey = config.geminiApiKey;
-      }
-    } finally {
-      db.close();
+    // Try to get API key from database
+    const provider = db.prepare(`
+      SELECT api_key_encrypted 
+      FROM llm_providers 
+      WHERE provider_type = 'gemini' AND is_active = 1
+      LIMIT 1
+    `).get();
+    
+    if (provider && provider.api_key_encrypted) {
+      apiKey = decrypt(provider.api_key_encrypted);
+    } else {
+      // Fallback to environment variable
+      apiKey = config.geminiApiKey;
     }
     
     if (!apiKey) {
@@ -145,32 +140,25 @@ app.post('/api/gemini', async (req, res) => {
 app.post('/api/grok', async (req, res) => {
   try {
     // Get Grok API key from database (llm_providers table) or fallback to env var
-    const Database = require('better-sqlite3');
     const { decrypt } = require('./utils/encryption');
-    const path = require('path');
     
-    const dbPath = path.join(__dirname, '..', 'data', 'arena.db');
-    const db = new Database(dbPath);
+    const db = getDb();
     
     let apiKey = null;
     
-    try {
-      // Try to get API key from database
-      const provider = db.prepare(`
-        SELECT api_key_encrypted 
-        FROM llm_providers 
-        WHERE provider_type = 'grok' AND is_active = 1
-        LIMIT 1
-      `).get();
-      
-      if (provider && provider.api_key_encrypted) {
-        apiKey = decrypt(provider.api_key_encrypted);
-      } else {
-        // Fallback to environment variable
-        apiKey = config.xaiApiKey;
-      }
-    } finally {
-      db.close();
+    // Try to get API key from database
+    const provider = db.prepare(`
+      SELECT api_key_encrypted 
+      FROM llm_providers 
+      WHERE provider_type = 'grok' AND is_active = 1
+      LIMIT 1
+    `).get();
+    
+    if (provider && provider.api_key_encrypted) {
+      apiKey = decrypt(provider.api_key_encrypted);
+    } else {
+      // Fallback to environment variable
+      apiKey = config.xaiApiKey;
     }
     
     if (!apiKey) {
@@ -204,18 +192,16 @@ app.post('/api/grok', async (req, res) => {
 });
 
 /**
- * GET /api/asterdex/exchangeInfo - Get exchange information
+ * GET /api/asterdex/exchangeInfo - Get symbol information from the market data exchange
  */
 app.get('/api/asterdex/exchangeInfo', async (req, res) => {
   try {
-    const response = await axios.get('https://fapi.asterdex.com/fapi/v1/exchangeInfo', {
-      timeout: 10000
-    });
+    const symbols = await getExchangeAdapter(config.marketDataExchange).getSymbolInfo();
     
-    res.json(response.data);
+    res.json({ symbols });
     
   } catch (error) {
-    console.error('Asterdex exchangeInfo error:', error.message);
+    console.error('Exchange info error:', error.message);
     res.status(500).json({ 
       error: 'Error fetching exchange info',
       message: error.message 
@@ -224,32 +210,25 @@ app.get('/api/asterdex/exchangeInfo', async (req, res) => {
 });
 
 /**
- * GET /api/asterdex - Get public market data (24hr ticker)
+ * GET /api/asterdex - Get public market data (24hr ticker) from the market data exchange
  */
 app.get('/api/asterdex', async (req, res) => {
   try {
-    // Market data is public - no API key required
-    // Try to get API key if available, but don't fail if not found
-    let headers = {};
-    try {
-      const { apiKey } = await config.getApiKeysForBot('bot_degen');
-      if (apiKey) {
-        headers = { 'X-MBX-APIKEY': apiKey };
-      }
-    } catch (err) {
-      // No API key configured - that's OK for public market data
-      console.log('No API key found for market data, using public endpoint');
-    }
-    
-    const response = await axios.get('https://fapi.asterdex.com/fapi/v1/ticker/24hr', {
-      headers,
-      timeout: 10000
-    });
-    
-    res.json(response.data);
+    const markets = await getExchangeAdapter(config.marketDataExchange).getMarkets();
+    
+    // Binance-style ticker fields, as the symbol selector reads them
+    res.json(markets.map(market => ({
+      symbol: market.symbol,
+      lastPrice: String(market.price),
+      priceChangePercent: String(market.price24hChange),
+      highPrice: String(market.high24h ?? market.price),
+      lowPrice: String(market.low24h ?? market.price),
+      volume: String(market.volume ?? 0),
+      quoteVolume: String(market.quoteVolume ?? 0)
+    })));
     
   } catch (error) {
-    console.error('Asterdex market data error:', error.message);
+    console.error('Market data error:', error.message);
     res.status(500).json({ 
       error: 'Error fetching market data',
       message: error.message 
@@ -259,6 +238,7 @@ app.get('/api/asterdex', async (req, res) => {
 
 /**
  * POST /api/aster/trade - Authenticated trading operations
+ * Signed passthrough to the exchange on the bot's wallet (Binance-style exchanges only)
  */
 app.post('/api/aster/trade', async (req, res) => {
   try {
@@ -273,29 +253,19 @@ app.post('/api/aster/trade', async (req, res) => {
     }
     
     // Get API keys for the specific bot (from database or environment)
-    const { apiKey, apiSecret } = await config.getApiKeysForBot(botId);
-    
-    // Add timestamp to params
-    const timestamp = Date.now();
-    const fullParams = { ...params, timestamp };
-    
-    // Create query string and signature
-    const queryString = new URLSearchParams(fullParams).toString();
-    const signature = createHmacSha256Signature(queryString, apiSecret);
-    const finalUrl = `https://fapi.asterdex.com${endpoint}?${queryString}&signature=${signature}`;
-    
-    // Make the request
-    const response = await axios({
-      method: method,
-      url: finalUrl,
-      headers: { 'X-MBX-APIKEY': apiKey },
-      timeout: 10000
-    });
+    const { apiKey, apiSecret, exchange } = await config.getApiKeysForBot(botId);
+    const adapter = getExchangeAdapter(exchange);
+    
+    if (typeof adapter.signedRequest !== 'function') {
+      return res.status(400).json({ error: `Raw trade requests are not supported on the ${adapter.name} exchange` });
+    }
     
-    res.status(response.status).json(response.data);
+    const data = await adapter.signedRequest(method, endpoint, params, { apiKey, apiSecret });
+    
+    res.json(data);
     
   } catch (error) {
-    console.error('Asterdex trade error:', error.message);
+    console.error('Exchange trade error:', error.message);
     const status = error.response?.status || 500;
     res.status(status).json({ 
       error: 'Error executing trade',
@@ -337,12 +307,7 @@ app.post('/api/state', async (req, res) => {
 app.delete('/api/state', async (req, res) => {
   try {
     // Clear the arena_state table
-    const Database = require('better-sqlite3');
-    const dbPath = path.join(__dirname, '..', 'data', 'arena.db');
-    const db = new Database(dbPath);
-    
-    db.prepare('DELETE FROM arena_state').run();
-    db.close();
+    getDb().prepare('DELETE FROM arena_state').run();
     
     console.log('✅ Arena state cleared');
     res.json({ success: true, message: 'Arena state cleared' });
@@ -456,7 +421,7 @@ app.listen(config.port, async () => {
   console.log(`   HTTP Server: http://localhost:${config.port}`);
   console.log(`   WebSocket Server: ws://localhost:${config.wsPort}`);
   console.log(`   Environment: ${config.nodeEnv}`);
-  console.log(`   Database: ${config.databasePath}\n`);
+  console.log(`   Database: ${config.databaseClient === 'postgres' ? 'PostgreSQL (DATABASE_URL)' : config.databasePath}\n`);
   
   // Start BotManager (autonomous trading)
   try {
@@ -467,6 +432,13 @@ app.listen(config.port, async () => {
     console.error('   Trading will not function. Please check your configuration.\n');
   }
 
+  // Attach backtest runner to the trading engine's decision pipeline
+  try {
+    backtestService.init(botManager);
+  } catch (error) {
+    console.error('❌ Failed to initialize backtest service:', error);
+  }
+
   // Start leaderboard scheduler
   try {
     leaderboardScheduler.start();
@@ -497,6 +469,7 @@ process.on('SIGTERM', () => {
   snapshotCleanupScheduler.stop();
   backup.stop();
   wsServer.close();
+  closeDb();
   process.exit(0);
 });
 
@@ -507,5 +480,6 @@ process.on('SIGINT', () => {
   snapshotCleanupScheduler.stop();
   backup.stop();
   wsServer.close();
+  closeDb();
   process.exit(0);
 });
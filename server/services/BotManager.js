@@ -7,32 +7,65 @@
  */
 
 const axios = require('axios');
-const Database = require('better-sqlite3');
 const path = require('path');
-const { executeSandboxTool, resetSandbox } = require('./sandboxService');
+const { executeSandboxTool, createSandboxSession, getSandboxToolDefinitions } = require('./sandboxService');
+const { ToolConversation, getToolDialect, SUBMIT_DECISIONS_TOOL } = require('./toolCalling');
+const { parseModelConfig, resolveModelParams, buildModelFields, withSystemMessage } = require('./modelParams');
+const { DEFAULT_RETRY_POLICY, circuitBreaker, callWithRetry, callWithFailover, describeError, formatAttemptsNote, parseProviderIds } = require('./providerFailover');
 const { manageHistorySize, calculateHistoryTokens } = require('./historySummarizer');
+const { extractUsage, createUsageRecord, summarizeUsage } = require('./llmUsage');
+const { DEFAULT_WARNING_PCT, BudgetExceededError, checkBudgets, describeBudgetEntry, assertWithinBudget } = require('./budgetService');
+const { streamCompletion, extractResponseText } = require('./llmStreaming');
+const { resolveCostModel, fillOrder, getFundingPayment } = require('./executionCosts');
+const { DEFAULT_CORRELATION_THRESHOLD, parseRiskLimits, resolveRiskLimits, updateRiskState, getDailyLossPct, getDrawdownPct, createCorrelationLookup, evaluateDecisions } = require('./riskEngine');
+const { toPosition, rebuildPaperPortfolio, comparePaperState, compareExchangePositions } = require('./stateReconciliation');
+const mockProvider = require('./mockProvider');
+const TurnScheduler = require('./TurnScheduler');
+const ThoughtStream = require('./ThoughtStream');
+const { DEFAULT_EXCHANGE, getExchangeAdapter, publishMarketData } = require('./exchanges');
+const candleService = require('./candleService');
 const relationalDb = require('../database/relational');
+const { getDb } = require('../database/connection');
+const config = require('../config');
 
 // Constants for non-configurable values
 const MAX_VALUE_HISTORY = 300; // Keep last 300 data points
 const MAX_BOT_LOGS = 50; // Keep last 50 decision logs
 const MAX_ITERATIONS = 5; // Maximum iterations for multi-step analysis
 const ITERATION_TIMEOUT_MS = 10000; // Timeout per iteration
+const FUNDING_REFRESH_MS = 60000; // How often funding rates are re-read from the exchange
+const FUNDING_SETTLEMENT_POLL_MS = 10000; // Re-read interval once a funding time has passed, until the exchange rolls over
+const PENDING_ORDER_TYPES = ['LIMIT', 'STOP']; // Entry order types that rest until their price is reached (MARKET fills at once)
+const MAX_PENDING_ORDER_EXPIRY_MINUTES = 7 * 24 * 60; // Longest a LIMIT/STOP order can rest
+const MIN_TRAILING_STOP_PCT = 0.1; // Trailing stop range, as accepted by exchange TRAILING_STOP_MARKET orders
+const MAX_TRAILING_STOP_PCT = 5;
+const PROTECTIVE_ORDER_TYPES = ['STOP_MARKET', 'TAKE_PROFIT_MARKET', 'TRAILING_STOP_MARKET']; // Reduce-only exits placed for real positions
 
 class BotManager {
   constructor(config, websocketServer) {
     this.config = config;
     this.wsServer = websocketServer;
     this.bots = new Map(); // userId -> Map<botId, botState> (multi-tenant structure)
-    this.userBotOrder = []; // Array of userIds for round-robin scheduling
-    this.currentUserIndex = 0; // Current position in round-robin
+    this.schedulingRotation = 0; // User whose bots go first in the next scheduling pass
     this.markets = [];
     this.symbolPrecisions = new Map();
     this.initialBalances = new Map();
+    this.marketDataExchange = config.marketDataExchange || DEFAULT_EXCHANGE; // Venue the arena's prices come from
     this.isRunning = false;
-    this.turnInterval = null;
     this.refreshInterval = null;
+    this.turnScheduler = new TurnScheduler({
+      runTurn: (bot) => this.runBotTurn(bot),
+      getBots: () => this.getBotsForScheduling(),
+      getIntervalMs: (bot) => this.getTurnIntervalForBot(bot),
+      getScheduleKey: (bot) => (bot.experimentId ? `experiment:${bot.experimentId}` : bot.id) // Experiment variants take their turns together
+    });
     this.leverageLimits = this.loadLeverageLimits();
+    this.budgetNotices = new Map(); // Budget notification key -> end of its period (one warning per period)
+    this.fundingRates = new Map(); // symbol -> { fundingRate, markPrice, nextFundingTime } from the market data venue
+    this.fundingRatesFetchedAt = 0;
+    this.reconciliationReport = null; // Latest state reconciliation (startup or admin-triggered)
+    this.experimentMarkets = new Map(); // experimentId -> { markets, takenAt }: the snapshot an experiment's variants trade on this round
+    this.turnMarkets = new Map(); // botId -> markets pinned for the bot's running turn (experiment variants, backtest steps)
     
     // Load dynamic settings from database
     this.settings = null;
@@ -104,38 +137,34 @@ class BotManager {
   async loadSettings() {
     console.log('⚙️ Loading system settings from database...');
     
-    const dbPath = path.join(__dirname, '..', '..', 'data', 'arena.db');
-    const db = new Database(dbPath, { readonly: true });
+    const db = getDb();
     
-    try {
-      const rows = db.prepare('SELECT key, value, data_type FROM system_settings').all();
-      this.settings = {};
-      
-      for (const row of rows) {
-        switch (row.data_type) {
-          case 'number':
-            this.settings[row.key] = parseFloat(row.value);
-            break;
-          case 'boolean':
-            this.settings[row.key] = row.value === 'true' || row.value === '1';
-            break;
-          case 'json':
-            this.settings[row.key] = JSON.parse(row.value);
-            break;
-          default:
-            this.settings[row.key] = row.value;
-        }
+    const rows = db.prepare('SELECT key, value, data_type FROM system_settings').all();
+    this.settings = {};
+    
+    for (const row of rows) {
+      switch (row.data_type) {
+        case 'number':
+          this.settings[row.key] = parseFloat(row.value);
+          break;
+        case 'boolean':
+          this.settings[row.key] = row.value === 'true' || row.value === '1';
+          break;
+        case 'json':
+          this.settings[row.key] = JSON.parse(row.value);
+          break;
+        default:
+          this.settings[row.key] = row.value;
       }
-      
-      console.log(`✅ Loaded ${Object.keys(this.settings).length} settings:`, {
-        tradingSymbols: this.settings.trading_symbols?.length || 0,
-        minTradeSize: this.settings.minimum_trade_size_usd,
-        turnInterval: this.settings.turn_interval_ms,
-        refreshInterval: this.settings.refresh_interval_ms
-      });
-    } finally {
-      db.close();
     }
+    
+    console.log(`✅ Loaded ${Object.keys(this.settings).length} settings:`, {
+      tradingSymbols: this.settings.trading_symbols?.length || 0,
+      minTradeSize: this.settings.minimum_trade_size_usd,
+      turnInterval: this.settings.turn_interval_ms,
+      maxConcurrentTurns: this.settings.max_concurrent_turns,
+      refreshInterval: this.settings.refresh_interval_ms
+    });
   }
 
   /**
@@ -148,10 +177,7 @@ class BotManager {
 
     console.log('🛑 Stopping BotManager...');
     
-    if (this.turnInterval) {
-      clearInterval(this.turnInterval);
-      this.turnInterval = null;
-    }
+    this.turnScheduler.stop();
     
     if (this.refreshInterval) {
       clearInterval(this.refreshInterval);
@@ -167,20 +193,16 @@ class BotManager {
    */
   async loadExchangeInfo() {
     try {
-      console.log('📊 Fetching exchange info...');
-      const response = await axios.get('https://fapi.asterdex.com/fapi/v1/exchangeInfo', {
-        timeout: 10000
-      });
+      console.log(`📊 Fetching exchange info from ${this.marketDataExchange}...`);
+      const symbols = await getExchangeAdapter(this.marketDataExchange).getSymbolInfo();
       
-      if (response.data && response.data.symbols) {
-        response.data.symbols.forEach(symbol => {
-          this.symbolPrecisions.set(symbol.symbol, {
-            quantityPrecision: symbol.quantityPrecision || 3,
-            pricePrecision: symbol.pricePrecision || 2
-          });
+      symbols.forEach(symbol => {
+        this.symbolPrecisions.set(symbol.symbol, {
+          quantityPrecision: symbol.quantityPrecision,
+          pricePrecision: symbol.pricePrecision
         });
-        console.log(`✅ Loaded precision data for ${this.symbolPrecisions.size} symbols`);
-      }
+      });
+      console.log(`✅ Loaded precision data for ${this.symbolPrecisions.size} symbols`);
     } catch (error) {
       console.warn('⚠️ Failed to fetch exchange info (exchange API may not be configured):', error.message);
     }
@@ -193,15 +215,17 @@ class BotManager {
   async reloadBotConfig(botId) {
     console.log(`🔄 Reloading configuration for bot ${botId}...`);
     
-    const dbPath = path.join(__dirname, '..', '..', 'data', 'arena.db');
-    const db = new Database(dbPath, { readonly: true });
+    const db = getDb();
     
     try {
       // Fetch bot config from database
       const configQuery = db.prepare(`
         SELECT 
           b.id, b.name, b.prompt, b.trading_mode, 
-          b.is_paused, b.is_active, b.avatar_image,
+          b.is_paused, b.is_active, b.avatar_image, b.turn_interval_ms, b.config_json, b.fallback_provider_ids, b.risk_limits_json,
+          (SELECT MAX(v.id) FROM bot_versions v WHERE v.bot_id = b.id) as bot_version_id,
+          (SELECT ev.experiment_id FROM experiment_variants ev JOIN experiments e ON ev.experiment_id = e.id
+            WHERE ev.bot_id = b.id AND e.status = 'running') as experiment_id,
           p.id as provider_id, p.name as provider_name, p.provider_type
         FROM bots b
         JOIN llm_providers p ON b.provider_id = p.id
@@ -209,7 +233,6 @@ class BotManager {
       `);
       
       const config = configQuery.get(botId);
-      db.close();
       
       if (!config) {
         console.warn(`⚠️ Bot ${botId} not found in database`);
@@ -224,7 +247,7 @@ class BotManager {
         return { success: false, message: 'Bot not in active memory' };
       }
       
-      const provider = (config.provider_type === 'gemini' || config.provider_type === 'grok') 
+      const provider = ['gemini', 'grok', 'mock'].includes(config.provider_type)
         ? config.provider_type 
         : 'gemini';
       
@@ -233,11 +256,18 @@ class BotManager {
         ...existingBot,
         name: config.name,
         prompt: config.prompt,
+        versionId: config.bot_version_id || null,
+        experimentId: config.experiment_id || null,
         provider,
+        provider_id: config.provider_id,
         providerName: config.provider_name,
         avatarUrl: config.avatar_image,
         tradingMode: config.trading_mode,
-        isPaused: config.is_paused
+        isPaused: config.is_paused,
+        turnIntervalMs: config.turn_interval_ms || null,
+        modelConfig: parseModelConfig(config.config_json),
+        fallbackProviderIds: parseProviderIds(config.fallback_provider_ids),
+        riskLimits: parseRiskLimits(config.risk_limits_json)
       };
       
       // Update in the user's bot map
@@ -258,7 +288,6 @@ class BotManager {
       };
     } catch (error) {
       console.error(`❌ Failed to reload bot ${botId}:`, error);
-      if (db) db.close();
       return { success: false, message: error.message };
     }
   }
@@ -266,233 +295,349 @@ class BotManager {
   /**
    * Load bot configurations from database (Multi-Tenant)
    * Groups bots by user for fair scheduling
+   * @param {Object} options
+   * @param {Array<string>} options.botIds - Only load these bots (e.g. ones created while running)
    */
-  async loadBots() {
+  async loadBots({ botIds = null } = {}) {
     console.log('🤖 Loading bot configurations from database (Multi-Tenant)...');
     
-    const dbPath = path.join(__dirname, '..', '..', 'data', 'arena.db');
-    const db = new Database(dbPath, { readonly: true });
+    const db = getDb();
+    
+    // Fetch active bots and their providers WITH user_id
+    const botsQuery = db.prepare(`
+      SELECT 
+        b.id, b.name, b.prompt, b.trading_mode, 
+        b.is_paused, b.avatar_image, b.user_id, b.history_summary, b.turn_interval_ms, b.config_json, b.fallback_provider_ids, b.risk_limits_json,
+        (SELECT MAX(v.id) FROM bot_versions v WHERE v.bot_id = b.id) as bot_version_id,
+        (SELECT ev.experiment_id FROM experiment_variants ev JOIN experiments e ON ev.experiment_id = e.id
+          WHERE ev.bot_id = b.id AND e.status = 'running') as experiment_id,
+        p.id as provider_id, p.name as provider_name, p.provider_type
+      FROM bots b
+      JOIN llm_providers p ON b.provider_id = p.id
+      WHERE b.is_active = 1 AND b.user_id IS NOT NULL
+        ${botIds ? `AND b.id IN (${botIds.map(() => '?').join(', ')})` : ''}
+      ORDER BY b.user_id, b.id
+    `);
+    
+    const botConfigs = botsQuery.all(...(botIds || []));
+    console.log(`📝 Found ${botConfigs.length} active bots across multiple users`);
+    
+    if (botConfigs.length === 0) {
+      console.warn('⚠️ No active bots found in database');
+      return;
+    }
     
+    // Try to load saved state from arena_state
+    let savedState = null;
     try {
-      // Fetch active bots and their providers WITH user_id
-      const botsQuery = db.prepare(`
-        SELECT 
-          b.id, b.name, b.prompt, b.trading_mode, 
-          b.is_paused, b.avatar_image, b.user_id, b.history_summary,
-          p.id as provider_id, p.name as provider_name, p.provider_type
-        FROM bots b
-        JOIN llm_providers p ON b.provider_id = p.id
-        WHERE b.is_active = 1 AND b.user_id IS NOT NULL
-        ORDER BY b.user_id, b.id
-      `);
-      
-      const botConfigs = botsQuery.all();
-      console.log(`📝 Found ${botConfigs.length} active bots across multiple users`);
-      
-      if (botConfigs.length === 0) {
-        console.warn('⚠️ No active bots found in database');
-        return;
+      const stateRow = db.prepare('SELECT state FROM arena_state LIMIT 1').get();
+      if (stateRow && stateRow.state) {
+        savedState = JSON.parse(stateRow.state);
+        console.log('📦 Found saved state with', savedState.bots?.length || 0, 'bots');
       }
-      
-      // Try to load saved state from arena_state
-      let savedState = null;
-      try {
-        const stateRow = db.prepare('SELECT state FROM arena_state LIMIT 1').get();
-        if (stateRow && stateRow.state) {
-          savedState = JSON.parse(stateRow.state);
-          console.log('📦 Found saved state with', savedState.bots?.length || 0, 'bots');
-        }
-      } catch (error) {
-        console.log('ℹ️ No saved state found, starting fresh');
+    } catch (error) {
+      console.log('ℹ️ No saved state found, starting fresh');
+    }
+    
+    // Group bots by user
+    const userBotsMap = new Map(); // Temporary grouping
+    for (const config of botConfigs) {
+      if (!userBotsMap.has(config.user_id)) {
+        userBotsMap.set(config.user_id, []);
       }
+      userBotsMap.get(config.user_id).push(config);
+    }
+    
+    console.log(`👥 Loading bots for ${userBotsMap.size} users...`);
+    
+    // Initialize bots per user
+    let totalBots = 0;
+    const reconciliation = [];
+    for (const [userId, userBotConfigs] of userBotsMap.entries()) {
+      console.log(`   👤 Loading ${userBotConfigs.length} bots for user ${userId.substring(0, 8)}...`);
       
-      // Group bots by user
-      const userBotsMap = new Map(); // Temporary grouping
-      for (const config of botConfigs) {
-        if (!userBotsMap.has(config.user_id)) {
-          userBotsMap.set(config.user_id, []);
-        }
-        userBotsMap.get(config.user_id).push(config);
+      // Create user bot map if it doesn't exist
+      if (!this.bots.has(userId)) {
+        this.bots.set(userId, new Map());
       }
       
-      console.log(`👥 Loading bots for ${userBotsMap.size} users...`);
+      const userBots = this.bots.get(userId);
       
-      // Initialize bots per user
-      let totalBots = 0;
-      for (const [userId, userBotConfigs] of userBotsMap.entries()) {
-        console.log(`   👤 Loading ${userBotConfigs.length} bots for user ${userId.substring(0, 8)}...`);
-        
-        // Create user bot map if it doesn't exist
-        if (!this.bots.has(userId)) {
-          this.bots.set(userId, new Map());
-        }
+      for (const config of userBotConfigs) {
+      const provider = ['gemini', 'grok', 'mock'].includes(config.provider_type)
+        ? config.provider_type 
+        : 'gemini';
+      
+      // Check if we have saved state for this bot
+      const savedBot = savedState?.bots?.find(b => b.id === config.id);
+      
+      // Load data from relational database
+      let dbTrades = [];
+      let dbPositions = [];
+      let dbDecisions = [];
+      let dbPendingOrders = [];
+      
+      try {
+        // Load recent trades (last 100)
+        dbTrades = relationalDb.getTrades(config.id, { user_id: config.user_id, limit: 100 });
         
-        const userBots = this.bots.get(userId);
+        // Load open positions
+        dbPositions = relationalDb.getPositions(config.id, 'open', config.user_id);
         
-        for (const config of userBotConfigs) {
-        const provider = (config.provider_type === 'gemini' || config.provider_type === 'grok') 
-          ? config.provider_type 
-          : 'gemini';
+        // Load recent decisions (last 50)
+        dbDecisions = relationalDb.getBotDecisions(config.id, 50, config.user_id);
         
-        // Check if we have saved state for this bot
-        const savedBot = savedState?.bots?.find(b => b.id === config.id);
+        // Load resting LIMIT/STOP orders
+        dbPendingOrders = relationalDb.getPendingOrders(config.id, 'open', config.user_id);
         
-        // Load data from relational database
-        let dbTrades = [];
-        let dbPositions = [];
-        let dbDecisions = [];
+        console.log(`      📊 Loaded from DB: ${dbTrades.length} trades, ${dbPositions.length} positions, ${dbDecisions.length} decisions, ${dbPendingOrders.length} pending orders`);
+      } catch (dbError) {
+        console.warn(`      ⚠️ Failed to load database data for ${config.name}:`, dbError.message);
+        // Continue with empty arrays - will fall back to savedBot data if available
+      }
+      
+      // Transform database data to in-memory format
+      const orders = dbTrades.map(trade => ({
+        id: trade.id,
+        symbol: trade.symbol,
+        type: trade.trade_type,
+        size: trade.size,
+        leverage: trade.leverage,
+        pnl: trade.pnl,
+        fee: trade.fee,
+        timestamp: new Date(trade.executed_at).getTime(),
+        entryPrice: trade.entry_price,
+        exitPrice: trade.exit_price || 0,
+        closeReason: trade.close_reason || null,
+        slippage: trade.slippage || 0,
+        funding: trade.funding || 0
+      }));
+      
+      const positions = dbPositions.map(toPosition);
+      
+      const pendingOrders = dbPendingOrders.map(order => ({
+        id: order.id,
+        symbol: order.symbol,
+        side: order.side,
+        orderType: order.order_type,
+        price: order.price,
+        size: order.size,
+        leverage: order.leverage,
+        stopLoss: order.stop_loss,
+        takeProfit: order.take_profit,
+        trailingStopPct: order.trailing_stop_pct,
+        exchangeOrderId: order.exchange_order_id,
+        createdAt: new Date(order.created_at).getTime(),
+        expiresAt: order.expires_at ? new Date(order.expires_at).getTime() : null
+      }));
+      
+      const botLogs = dbDecisions.map(decision => ({
+        timestamp: new Date(decision.timestamp).getTime(),
+        decisions: JSON.parse(decision.decisions_json || '[]'),
+        prompt: decision.prompt_sent,
+        notes: JSON.parse(decision.notes_json || '[]'),
+        toolInvocations: JSON.parse(decision.tool_invocations_json || '[]')
+      }));
+      
+      let botState;
+      // Determine initial balance based on trading mode
+      const initialBalance = config.trading_mode === 'real' 
+        ? this.settings.live_bot_initial_balance 
+        : this.settings.paper_bot_initial_balance;
+      
+      if (savedBot) {
+          console.log(`      Resuming ${config.name} from saved state + database`);
+        botState = {
+          ...savedBot,
+            userId: config.user_id, // Add userId to bot state
+            provider_id: config.provider_id, // Add provider_id for history summarization
+            history_summary: config.history_summary, // Load history summary from database
+          tradingMode: config.trading_mode,
+          isPaused: config.is_paused,
+          providerName: config.provider_name,
+          provider,
+          prompt: config.prompt,
+          versionId: config.bot_version_id || null,
+          experimentId: config.experiment_id || null,
+          name: config.name,
+          avatarUrl: config.avatar_image,
+          turnIntervalMs: config.turn_interval_ms || null,
+          modelConfig: parseModelConfig(config.config_json),
+          fallbackProviderIds: parseProviderIds(config.fallback_provider_ids),
+          riskLimits: parseRiskLimits(config.risk_limits_json),
+          isLoading: false,
+            initialBalance,
+          symbolCooldowns: savedBot.symbolCooldowns || {},
+          // Override with database data
+          pendingOrders,
+          orders: orders.length > 0 ? orders : (savedBot.orders || []),
+          botLogs: botLogs.length > 0 ? botLogs : (savedBot.botLogs || []),
+          portfolio: {
+            ...savedBot.portfolio,
+            positions: positions.length > 0 ? positions : (savedBot.portfolio?.positions || [])
+          }
+        };
+      } else {
+          console.log(`      Creating fresh state for ${config.name} (using database data if available)`);
         
+        botState = {
+          id: config.id,
+            userId: config.user_id, // Add userId to bot state
+            provider_id: config.provider_id, // Add provider_id for history summarization
+            history_summary: config.history_summary, // Load history summary from database
+          name: config.name,
+          prompt: config.prompt,
+          versionId: config.bot_version_id || null, // Prompt/config version the bot's decisions are recorded against
+          experimentId: config.experiment_id || null, // Running experiment the bot is a variant in
+          provider,
+          providerName: config.provider_name,
+          avatarUrl: config.avatar_image,
+          turnIntervalMs: config.turn_interval_ms || null,
+          modelConfig: parseModelConfig(config.config_json),
+          fallbackProviderIds: parseProviderIds(config.fallback_provider_ids),
+          riskLimits: parseRiskLimits(config.risk_limits_json),
+          tradingMode: config.trading_mode,
+            initialBalance,
+          portfolio: {
+            balance: initialBalance,
+            pnl: 0,
+            totalValue: initialBalance,
+            positions: positions  // Use database positions
+          },
+          orders: orders,  // Use database trades
+          botLogs: botLogs,  // Use database decisions
+          valueHistory: [{ timestamp: Date.now(), value: initialBalance }],
+          isLoading: false,
+          isPaused: config.is_paused,
+          realizedPnl: 0,
+          tradeCount: orders.length,  // Count from database trades
+          winRate: 0,
+          symbolCooldowns: {},
+          pendingOrders
+        };
+      }
+      
+      // For live trading bots, sync with exchange
+      if (config.trading_mode === 'real') {
         try {
-          // Load recent trades (last 100)
-          dbTrades = relationalDb.getTrades(config.id, { user_id: config.user_id, limit: 100 });
+            console.log(`      [${config.name}] Syncing with live exchange...`);
+          const realPortfolio = await this.getRealAccountState(config.id);
+          const realOrders = await this.getRealTradeHistory(config.id);
+          const realizedPnl = realOrders.reduce((acc, o) => acc + o.pnl, 0);
           
-          // Load open positions
-          dbPositions = relationalDb.getPositions(config.id, 'open', config.user_id);
+          botState.portfolio = realPortfolio;
+          botState.orders = realOrders;
+          botState.realizedPnl = realizedPnl;
+          botState.valueHistory = [{ timestamp: Date.now(), value: realPortfolio.totalValue }];
           
-          // Load recent decisions (last 50)
-          dbDecisions = relationalDb.getBotDecisions(config.id, 50, config.user_id);
-          
-          console.log(`      📊 Loaded from DB: ${dbTrades.length} trades, ${dbPositions.length} positions, ${dbDecisions.length} decisions`);
-        } catch (dbError) {
-          console.warn(`      ⚠️ Failed to load database data for ${config.name}:`, dbError.message);
-          // Continue with empty arrays - will fall back to savedBot data if available
+          this.initialBalances.set(config.id, this.settings.live_bot_initial_balance);
+            console.log(`      ✅ [${config.name}] Synced with exchange`);
+        } catch (error) {
+            console.warn(`      ⚠️ [${config.name}] Failed to sync with exchange:`, error.message);
+          this.initialBalances.set(config.id, this.settings.live_bot_initial_balance);
         }
+      } else {
+        this.initialBalances.set(config.id, this.settings.paper_bot_initial_balance);
+      }
+      
+      // Paper portfolios are rebuilt from the positions/trades tables; drift from
+      // the saved state (e.g. a crash between a fill and the next save) is reported
+      reconciliation.push(await this.reconcileBot(botState, { rebuild: true, state: savedBot || null }));
+      
+        userBots.set(config.id, botState);
+        totalBots++;
+        console.log(`      ✅ Loaded bot: ${config.name} (${config.trading_mode} mode, ${config.is_paused ? 'PAUSED' : 'ACTIVE'})`);
+    }
+    }
+    
+    if (!botIds) {
+      this.reconciliationReport = { generatedAt: Date.now(), trigger: 'startup', bots: reconciliation };
+    }
+    
+    console.log(`✅ Initialized ${totalBots} bots across ${this.bots.size} users`);
+  }
+
+  /**
+   * Reconcile a bot's state with the relational database (and, for real bots, the exchange)
+   * Paper bots are compared against their portfolio rebuilt from the positions and
+   * trades tables; real bots' open positions rows against the exchange's positions.
+   * @param {Object} bot - Bot state
+   * @param {Object} options
+   * @param {boolean} options.rebuild - Replace a paper bot's portfolio and stats with the rebuilt ones
+   * @param {Object} options.state - State to compare against (default the bot itself; null = no comparison)
+   * @returns {Promise<Object>} Report entry: { botId, botName, userId, tradingMode, checkedAt, drift, rebuilt?, error? }
+   */
+  async reconcileBot(bot, { rebuild = false, state = bot } = {}) {
+    const entry = {
+      botId: bot.id,
+      botName: bot.name,
+      userId: bot.userId,
+      tradingMode: bot.tradingMode,
+      checkedAt: Date.now(),
+      drift: []
+    };
+    
+    try {
+      const positionRows = relationalDb.getPositions(bot.id, 'open', bot.userId);
+      
+      if (bot.tradingMode === 'real') {
+        const { adapter, credentials } = await this.getExchangeForBot(bot.id);
+        const exchangePositions = await adapter.getPositions(credentials);
+        entry.drift = compareExchangePositions(positionRows, exchangePositions);
+      } else {
+        const initialBalance = this.initialBalances.get(bot.id) ?? this.settings.paper_bot_initial_balance;
+        const rebuilt = rebuildPaperPortfolio(initialBalance, positionRows, relationalDb.getTradeTotals(bot.id, bot.userId));
         
-        // Transform database data to in-memory format
-        const orders = dbTrades.map(trade => ({
-          id: trade.id,
-          symbol: trade.symbol,
-          type: trade.trade_type,
-          size: trade.size,
-          leverage: trade.leverage,
-          pnl: trade.pnl,
-          fee: trade.fee,
-          timestamp: new Date(trade.executed_at).getTime(),
-          entryPrice: trade.entry_price,
-          exitPrice: trade.exit_price || 0
-        }));
-        
-        const positions = dbPositions.map(pos => ({
-          id: pos.id,
-          symbol: pos.symbol,
-          type: pos.position_type,
-          entryPrice: pos.entry_price,
-          size: pos.size,
-          leverage: pos.leverage,
-          liquidationPrice: pos.liquidation_price,
-          stopLoss: pos.stop_loss,
-          takeProfit: pos.take_profit,
-          pnl: pos.unrealized_pnl || 0
-        }));
-        
-        const botLogs = dbDecisions.map(decision => ({
-          timestamp: new Date(decision.timestamp).getTime(),
-          decisions: JSON.parse(decision.decisions_json || '[]'),
-          prompt: decision.prompt_sent,
-          notes: JSON.parse(decision.notes_json || '[]')
-        }));
-        
-        let botState;
-        // Determine initial balance based on trading mode
-        const initialBalance = config.trading_mode === 'real' 
-          ? this.settings.live_bot_initial_balance 
-          : this.settings.paper_bot_initial_balance;
-        
-        if (savedBot) {
-            console.log(`      Resuming ${config.name} from saved state + database`);
-          botState = {
-            ...savedBot,
-              userId: config.user_id, // Add userId to bot state
-              provider_id: config.provider_id, // Add provider_id for history summarization
-              history_summary: config.history_summary, // Load history summary from database
-            tradingMode: config.trading_mode,
-            isPaused: config.is_paused,
-            providerName: config.provider_name,
-            provider,
-            prompt: config.prompt,
-            name: config.name,
-            avatarUrl: config.avatar_image,
-            isLoading: false,
-              initialBalance,
-            symbolCooldowns: savedBot.symbolCooldowns || {},
-            // Override with database data
-            orders: orders.length > 0 ? orders : (savedBot.orders || []),
-            botLogs: botLogs.length > 0 ? botLogs : (savedBot.botLogs || []),
-            portfolio: {
-              ...savedBot.portfolio,
-              positions: positions.length > 0 ? positions : (savedBot.portfolio?.positions || [])
-            }
-          };
-        } else {
-            console.log(`      Creating fresh state for ${config.name} (using database data if available)`);
-          
-          botState = {
-            id: config.id,
-              userId: config.user_id, // Add userId to bot state
-              provider_id: config.provider_id, // Add provider_id for history summarization
-              history_summary: config.history_summary, // Load history summary from database
-            name: config.name,
-            prompt: config.prompt,
-            provider,
-            providerName: config.provider_name,
-            avatarUrl: config.avatar_image,
-            tradingMode: config.trading_mode,
-              initialBalance,
-            portfolio: {
-              balance: initialBalance,
-              pnl: 0,
-              totalValue: initialBalance,
-              positions: positions  // Use database positions
-            },
-            orders: orders,  // Use database trades
-            botLogs: botLogs,  // Use database decisions
-            valueHistory: [{ timestamp: Date.now(), value: initialBalance }],
-            isLoading: false,
-            isPaused: config.is_paused,
-            realizedPnl: 0,
-            tradeCount: orders.length,  // Count from database trades
-            winRate: 0,
-            symbolCooldowns: {}
-          };
+        if (state) {
+          entry.drift = comparePaperState(state, rebuilt);
         }
         
-        // For live trading bots, sync with exchange
-        if (config.trading_mode === 'real') {
-          try {
-              console.log(`      [${config.name}] Syncing with live exchange...`);
-            const realPortfolio = await this.getRealAccountState(config.id);
-            const realOrders = await this.getRealTradeHistory(config.id);
-            const realizedPnl = realOrders.reduce((acc, o) => acc + o.pnl, 0);
-            
-            botState.portfolio = realPortfolio;
-            botState.orders = realOrders;
-            botState.realizedPnl = realizedPnl;
-            botState.valueHistory = [{ timestamp: Date.now(), value: realPortfolio.totalValue }];
-            
-            this.initialBalances.set(config.id, this.settings.live_bot_initial_balance);
-              console.log(`      ✅ [${config.name}] Synced with exchange`);
-          } catch (error) {
-              console.warn(`      ⚠️ [${config.name}] Failed to sync with exchange:`, error.message);
-            this.initialBalances.set(config.id, this.settings.live_bot_initial_balance);
-          }
-        } else {
-          this.initialBalances.set(config.id, this.settings.paper_bot_initial_balance);
+        if (rebuild) {
+          bot.portfolio = rebuilt.portfolio;
+          bot.realizedPnl = rebuilt.realizedPnl;
+          bot.tradeCount = rebuilt.tradeCount;
+          bot.winRate = rebuilt.winRate;
+          entry.rebuilt = true;
         }
-        
-          userBots.set(config.id, botState);
-          totalBots++;
-          console.log(`      ✅ Loaded bot: ${config.name} (${config.trading_mode} mode, ${config.is_paused ? 'PAUSED' : 'ACTIVE'})`);
-      }
       }
+    } catch (error) {
+      console.warn(`      ⚠️ [${bot.name}] State reconciliation failed:`, error.message);
+      entry.error = error.message;
+      return entry;
+    }
+    
+    if (entry.drift.length > 0) {
+      console.warn(`      ⚠️ [${bot.name}] ${entry.drift.length} state drift item(s)${entry.rebuilt ? ', portfolio rebuilt from database' : ''}:`);
+      entry.drift.forEach(item => console.warn(`         - ${item.message}`));
       
-      // Initialize round-robin scheduling array
-      this.userBotOrder = Array.from(this.bots.keys());
-      this.currentUserIndex = 0;
-      
-      console.log(`✅ Initialized ${totalBots} bots across ${this.bots.size} users`);
-    } finally {
-      db.close();
+      try {
+        relationalDb.createAuditLog({
+          event_type: 'state_drift',
+          entity_type: 'bot',
+          entity_id: bot.id,
+          user_id: bot.userId,
+          details: { bot_name: bot.name, trading_mode: bot.tradingMode, rebuilt: !!entry.rebuilt, drift: entry.drift }
+        });
+      } catch (dbError) {
+        console.error(`[BotManager] Failed to write state drift audit log for ${bot.name}:`, dbError.message);
+      }
+    }
+    
+    return entry;
+  }
+
+  /**
+   * Reconcile every loaded bot without changing its state
+   * @returns {Promise<Object>} Report: { generatedAt, trigger, bots }
+   */
+  async reconcileAll() {
+    const bots = [];
+    for (const bot of this.getAllBots()) {
+      bots.push(await this.reconcileBot(bot));
     }
+    
+    this.reconciliationReport = { generatedAt: Date.now(), trigger: 'manual', bots };
+    return this.reconciliationReport;
   }
 
   /**
@@ -533,90 +678,78 @@ class BotManager {
   }
 
   /**
-   * Helper: Get next bot for execution (round-robin across users)
-   * Ensures fair distribution of bot execution time across all users
-   * @returns {object|null} Next bot to execute or null if none available
+   * Helper: Get all bots for a trading turn
+   * Returns active (non-paused) bots interleaved across users (round-robin),
+   * rotating the starting user each call so no user's bots always go first
+   * @returns {Array} Array of bot objects
    */
-  getNextBotForExecution() {
-    if (this.userBotOrder.length === 0) {
-      return null;
+  getBotsForScheduling() {
+    const userIds = Array.from(this.bots.keys());
+    if (userIds.length === 0) {
+      return [];
     }
-
-    // Try each user in round-robin order
-    const startIndex = this.currentUserIndex;
-    let attempts = 0;
-
-    while (attempts < this.userBotOrder.length) {
-      const userId = this.userBotOrder[this.currentUserIndex];
-      const userBots = this.bots.get(userId);
-
-      if (userBots && userBots.size > 0) {
-        // Find an active (non-paused) bot for this user
-        for (const bot of userBots.values()) {
-          if (!bot.isPaused && !bot.isLoading) {
-            // Move to next user for next iteration
-            this.currentUserIndex = (this.currentUserIndex + 1) % this.userBotOrder.length;
-            return bot;
-          }
+    
+    const startIndex = this.schedulingRotation % userIds.length;
+    this.schedulingRotation = (startIndex + 1) % userIds.length;
+    
+    const perUser = [];
+    for (let i = 0; i < userIds.length; i++) {
+      const userId = userIds[(startIndex + i) % userIds.length];
+      const userBots = Array.from(this.getUserBots(userId).values()).filter(bot => !bot.isPaused);
+      perUser.push(userBots);
+    }
+    
+    const bots = [];
+    const rounds = Math.max(0, ...perUser.map(userBots => userBots.length));
+    for (let round = 0; round < rounds; round++) {
+      for (const userBots of perUser) {
+        if (round < userBots.length) {
+          bots.push(userBots[round]);
         }
       }
-
-      // Move to next user
-      this.currentUserIndex = (this.currentUserIndex + 1) % this.userBotOrder.length;
-      attempts++;
     }
-
-    return null; // No active bots found
+    return bots;
   }
 
   /**
-   * Helper: Get all bots for a trading turn
-   * Returns all active (non-paused) bots from all users
-   * @returns {Array} Array of bot objects
+   * Turn interval for a bot: its own turn_interval_ms, else the global setting
    */
-  getNextBotsForTurn() {
-    return this.getAllBots().filter(bot => !bot.isPaused && !bot.isLoading);
+  getTurnIntervalForBot(bot) {
+    return bot.turnIntervalMs || this.settings?.turn_interval_ms || 300000;
   }
 
   /**
    * Start trading intervals
+   * Portfolio refresh runs on a fixed interval; trading turns go through the turn scheduler
    */
   startTrading() {
     console.log('▶️ Starting trading intervals...');
     
-    const turnIntervalMs = this.settings.turn_interval_ms || 300000;
+    const turnIntervalMs = this.getTurnIntervalForBot({});
     const refreshIntervalMs = this.settings.refresh_interval_ms || 5000;
     
-    // Execute first portfolio update immediately
+    this.turnScheduler.configure({
+      concurrency: this.settings.max_concurrent_turns || 2,
+      overlapPolicy: this.settings.turn_overlap_policy || 'skip'
+    });
+    
+    circuitBreaker.configure({
+      failureThreshold: this.settings.llm_circuit_failure_threshold || 5,
+      cooldownMs: this.settings.llm_circuit_cooldown_ms || 120000
+    });
+    
+    // Execute first portfolio update immediately, then start scheduling turns
+    // (bots without a recent decision take their first turn right away)
     this.updatePortfolios().then(() => {
-      // Check if any bot has made a recent decision
-      const now = Date.now();
-      let hasRecentDecisions = false;
-      
-      const allBots = this.getAllBots();
-      for (const bot of allBots) {
-        if (bot.botLogs && bot.botLogs.length > 0) {
-          const lastDecision = bot.botLogs[0].timestamp;
-          if (now - lastDecision < turnIntervalMs) {
-            hasRecentDecisions = true;
-            break;
-          }
-        }
-      }
-      
-      if (!hasRecentDecisions) {
-        console.log('⚡ Executing first trading turn immediately...');
-        this.runTradingTurn();
-      } else {
-        console.log('⏳ Recent decisions detected, waiting for next interval...');
+      if (this.isRunning) {
+        this.turnScheduler.start();
       }
     });
     
-    // Set up recurring intervals using settings
+    // Set up recurring portfolio refresh using settings
     this.refreshInterval = setInterval(() => this.updatePortfolios(), refreshIntervalMs);
-    this.turnInterval = setInterval(() => this.runTradingTurn(), turnIntervalMs);
     
-    console.log(`✅ Trading intervals started (refresh: ${refreshIntervalMs}ms, turn: ${turnIntervalMs}ms)`);
+    console.log(`✅ Trading intervals started (refresh: ${refreshIntervalMs}ms, default turn: ${turnIntervalMs}ms, concurrency: ${this.turnScheduler.concurrency}, overlap: ${this.turnScheduler.overlapPolicy})`);
   }
 
   /**
@@ -640,19 +773,65 @@ class BotManager {
     return this.settings.trading_symbols || [];
   }
 
+  /**
+   * Symbols whose candles are recorded as time passes: every symbol a bot is
+   * limited to (bots without a list see every market, and backfill on demand)
+   */
+  getTrackedSymbols() {
+    const symbols = new Set(this.settings.trading_symbols || []);
+    for (const bot of this.getAllBots()) {
+      this.getTradingSymbolsForBot(bot).forEach(symbol => symbols.add(symbol));
+    }
+    return [...symbols];
+  }
+
+  /**
+   * Markets for an experiment variant's turn
+   * The variants share one snapshot per round (taken by the first variant's turn,
+   * reused until half an interval has passed), so they all decide and fill on
+   * identical prices however long each other's turns take.
+   */
+  getExperimentMarkets(bot) {
+    const now = Date.now();
+    const snapshot = this.experimentMarkets.get(bot.experimentId);
+    if (snapshot && now - snapshot.takenAt < this.getTurnIntervalForBot(bot) / 2) {
+      return snapshot.markets;
+    }
+    
+    this.experimentMarkets.set(bot.experimentId, { markets: this.markets, takenAt: now });
+    return this.markets;
+  }
+
+  /**
+   * Markets a bot's running turn decides and fills on (its pinned snapshot, or the live markets)
+   */
+  getTurnMarkets(bot) {
+    return this.turnMarkets.get(bot.id) || this.markets;
+  }
+
+  /**
+   * Current time for a bot's fills and orders
+   * Backtest bots (bot.backtest) run on the replay's simulated clock, and are
+   * never written to the database or announced to their owner.
+   */
+  getBotTime(bot) {
+    return bot.backtest ? bot.backtest.now : Date.now();
+  }
+
   /**
    * Get market data filtered by allowed symbols for a specific bot
    */
   getMarketsForBot(bot) {
     const allowedSymbols = this.getTradingSymbolsForBot(bot);
+    const markets = this.getTurnMarkets(bot);
     
     if (allowedSymbols.length === 0) {
       // No filter - return all markets
-      return this.markets;
+      return markets;
     }
     
     const allowedSet = new Set(allowedSymbols);
-    return this.markets.filter(market => allowedSet.has(market.symbol));
+    return markets.filter(market => allowedSet.has(market.symbol));
   }
 
   /**
@@ -660,23 +839,13 @@ class BotManager {
    */
   async getMarketData() {
     try {
-      const response = await axios.get('https://fapi.asterdex.com/fapi/v1/ticker/24hr', {
-        timeout: 10000
-      });
-      
-      if (!response.data || !Array.isArray(response.data)) {
-        return [];
-      }
-      
       // Get all markets (we'll filter per-bot in getMarketsForBot)
-      const markets = response.data
-        .map(ticker => ({
-          symbol: ticker.symbol,
-          price: parseFloat(ticker.lastPrice),
-          price24hChange: parseFloat(ticker.priceChangePercent)
-        }));
+      const markets = await getExchangeAdapter(this.marketDataExchange).getMarkets();
       
-      console.log(`📊 Fetched ${markets.length} markets (${response.data.length} total from exchange)`);
+      // Simulated venues fill orders at the arena's prices
+      publishMarketData(markets, this.marketDataExchange);
+      
+      console.log(`📊 Fetched ${markets.length} markets from ${this.marketDataExchange}`);
       return markets;
     } catch (error) {
       console.error('❌ Error fetching market data:', error.message);
@@ -684,62 +853,132 @@ class BotManager {
     }
   }
 
+  /**
+   * Re-read funding rates from the market data venue
+   * @returns {Promise<Array<{symbol, fundingRate, markPrice, fundingTime}>>} Funding times that have
+   *   passed since the last read, each with the rate that was quoted for it
+   */
+  async refreshFundingRates(now = Date.now()) {
+    const isDue = [...this.fundingRates.values()].some(rate => rate.nextFundingTime <= now);
+    if (now - this.fundingRatesFetchedAt < (isDue ? FUNDING_SETTLEMENT_POLL_MS : FUNDING_REFRESH_MS)) {
+      return [];
+    }
+    this.fundingRatesFetchedAt = now;
+    
+    let rates;
+    try {
+      rates = await getExchangeAdapter(this.marketDataExchange).getFundingRates();
+    } catch (error) {
+      console.warn(`⚠️ Could not fetch funding rates from ${this.marketDataExchange}:`, error.message);
+      return [];
+    }
+    
+    const settlements = [];
+    for (const rate of rates) {
+      if (!Number.isFinite(rate.fundingRate) || !rate.nextFundingTime) {
+        continue;
+      }
+      const previous = this.fundingRates.get(rate.symbol);
+      if (previous && previous.nextFundingTime <= now && rate.nextFundingTime > previous.nextFundingTime) {
+        settlements.push({
+          symbol: rate.symbol,
+          fundingRate: previous.fundingRate,
+          markPrice: rate.markPrice || previous.markPrice,
+          fundingTime: previous.nextFundingTime
+        });
+      }
+      this.fundingRates.set(rate.symbol, rate);
+    }
+    
+    return settlements;
+  }
+
+  /**
+   * Markets with their current funding rate attached (shown to bots in the prompt)
+   */
+  withFundingRates(markets) {
+    return markets.map(market => {
+      const funding = this.fundingRates.get(market.symbol);
+      return funding ? { ...market, fundingRate: funding.fundingRate, nextFundingTime: funding.nextFundingTime } : market;
+    });
+  }
+
+  /**
+   * Settle funding on a paper bot's open positions: each position held at a
+   * funding time pays (or receives) notional x rate from its balance
+   * @returns {Array<string>} Notes for the payments made
+   */
+  applyFunding(bot, settlements) {
+    const notes = [];
+    
+    for (const settlement of settlements) {
+      for (const pos of bot.portfolio.positions) {
+        // Positions restored at startup have no openedAt - they were held at every funding time seen since
+        if (pos.symbol !== settlement.symbol || (pos.openedAt || 0) > settlement.fundingTime || (pos.lastFundingAt || 0) >= settlement.fundingTime) {
+          continue;
+        }
+        
+        const payment = getFundingPayment(pos, settlement.fundingRate, settlement.markPrice);
+        bot.portfolio.balance -= payment;
+        pos.fundingPaid = (pos.fundingPaid || 0) + payment;
+        pos.lastFundingAt = settlement.fundingTime;
+        
+        if (!bot.backtest) {
+          try {
+            relationalDb.updatePosition(pos.id, {
+              funding_paid: pos.fundingPaid,
+              last_funding_at: new Date(settlement.fundingTime).toISOString()
+            }, bot.userId);
+          } catch (dbError) {
+            console.error(`[BotManager] Failed to update position funding in database for ${bot.name}:`, dbError.message);
+          }
+        }
+        
+        notes.push(`FUNDING: ${payment >= 0 ? 'Paid' : 'Received'} $${Math.abs(payment).toFixed(4)} on ${pos.type} ${pos.symbol} (rate ${(settlement.fundingRate * 100).toFixed(4)}%)`);
+      }
+    }
+    
+    return notes;
+  }
+
+  /**
+   * Paper trading cost model (fees, slippage, funding) from the current settings
+   */
+  getCostModel() {
+    return resolveCostModel(this.settings || {});
+  }
+
   /**
    * Get real account state from exchange
    */
   async getRealAccountState(botId) {
     try {
-      const { apiKey, apiSecret } = await this.config.getApiKeysForBot(botId);
+      const { adapter, credentials } = await this.getExchangeForBot(botId);
       
       // Get account balance
-      const balanceResponse = await this.makeAuthenticatedRequest(
-        'GET',
-        '/fapi/v2/balance',
-        {},
-        apiKey,
-        apiSecret
-      );
-      
-      const usdtBalance = balanceResponse.find(b => b.asset === 'USDT');
-      const availableBalance = parseFloat(usdtBalance?.availableBalance || 0);
+      const { availableBalance } = await adapter.getBalance(credentials);
       
       // Get open positions
-      const positionsResponse = await this.makeAuthenticatedRequest(
-        'GET',
-        '/fapi/v2/positionRisk',
-        {},
-        apiKey,
-        apiSecret
-      );
+      const exchangePositions = await adapter.getPositions(credentials);
       
       let unrealizedPnl = 0;
       let totalMarginUsed = 0;
       const positions = [];
       
-      for (const pos of positionsResponse) {
-        const positionAmt = parseFloat(pos.positionAmt);
-        if (Math.abs(positionAmt) > 0.0001) {
-          const entryPrice = parseFloat(pos.entryPrice);
-          const markPrice = parseFloat(pos.markPrice);
-          const leverage = parseInt(pos.leverage);
-          const notional = Math.abs(parseFloat(pos.notional));
-          const pnl = parseFloat(pos.unRealizedProfit);
-          const liquidationPrice = parseFloat(pos.liquidationPrice);
-          
-          unrealizedPnl += pnl;
-          totalMarginUsed += notional / leverage;
-          
-          positions.push({
-            id: `${pos.symbol}_${Date.now()}`,
-            symbol: pos.symbol,
-            type: positionAmt > 0 ? 'LONG' : 'SHORT',
-            entryPrice,
-            size: notional / leverage,
-            leverage,
-            liquidationPrice,
-            pnl
-          });
-        }
+      for (const pos of exchangePositions) {
+        unrealizedPnl += pos.unrealizedPnl;
+        totalMarginUsed += pos.notional / pos.leverage;
+        
+        positions.push({
+          id: `${pos.symbol}_${Date.now()}`,
+          symbol: pos.symbol,
+          type: pos.quantity > 0 ? 'LONG' : 'SHORT',
+          entryPrice: pos.entryPrice,
+          size: pos.notional / pos.leverage,
+          leverage: pos.leverage,
+          liquidationPrice: pos.liquidationPrice,
+          pnl: pos.unrealizedPnl
+        });
       }
       
       const totalValue = availableBalance + totalMarginUsed + unrealizedPnl;
@@ -761,15 +1000,9 @@ class BotManager {
    */
   async getRealTradeHistory(botId) {
     try {
-      const { apiKey, apiSecret } = await this.config.getApiKeysForBot(botId);
-      
-      const response = await this.makeAuthenticatedRequest(
-        'GET',
-        '/fapi/v1/userTrades',
-        { limit: 100 },
-        apiKey,
-        apiSecret
-      );
+      const { adapter, credentials } = await this.getExchangeForBot(botId);
+      
+      const response = await adapter.getTrades(credentials, { limit: 100 });
       
       // Group trades by symbol and calculate PnL
       const orders = [];
@@ -787,16 +1020,16 @@ class BotManager {
       for (const [symbol, trades] of Object.entries(tradesBySymbol)) {
         for (const trade of trades) {
           orders.push({
-            id: trade.id.toString(),
+            id: trade.id,
             symbol: trade.symbol,
             type: trade.side === 'BUY' ? 'LONG' : 'SHORT',
-            size: parseFloat(trade.quoteQty),
+            size: trade.quoteQty,
             leverage: 1, // We don't have this info from trade history
-            pnl: parseFloat(trade.realizedPnl || 0),
-            fee: parseFloat(trade.commission),
+            pnl: trade.realizedPnl,
+            fee: trade.commission,
             timestamp: trade.time,
-            entryPrice: parseFloat(trade.price),
-            exitPrice: parseFloat(trade.price)
+            entryPrice: trade.price,
+            exitPrice: trade.price
           });
         }
       }
@@ -809,29 +1042,15 @@ class BotManager {
   }
 
   /**
-   * Make authenticated request to exchange
+   * Resolve the exchange adapter and credentials for a bot's wallet (wallets.exchange)
    */
-  async makeAuthenticatedRequest(method, endpoint, params, apiKey, apiSecret) {
-    const crypto = require('crypto');
-    const timestamp = Date.now();
-    const fullParams = { ...params, timestamp };
-    
-    const queryString = new URLSearchParams(fullParams).toString();
-    const signature = crypto
-      .createHmac('sha256', apiSecret)
-      .update(queryString)
-      .digest('hex');
-    
-    const url = `https://fapi.asterdex.com${endpoint}?${queryString}&signature=${signature}`;
-    
-    const response = await axios({
-      method,
-      url,
-      headers: { 'X-MBX-APIKEY': apiKey },
-      timeout: 10000
-    });
+  async getExchangeForBot(botId) {
+    const { apiKey, apiSecret, exchange } = await this.config.getApiKeysForBot(botId);
     
-    return response.data;
+    return {
+      adapter: getExchangeAdapter(exchange),
+      credentials: { apiKey, apiSecret }
+    };
   }
 
   /**
@@ -845,10 +1064,18 @@ class BotManager {
         return;
       }
       
-      this.markets = marketData;
+      // Candles are recorded in the background; the tick doesn't wait on kline requests
+      candleService.recordLatestCandles(this.getTrackedSymbols()).catch(error => {
+        console.warn('⚠️ Failed to record candles:', error.message);
+      });
+      
+      const fundingSettlements = await this.refreshFundingRates();
+      const fundingEnabled = this.getCostModel().fundingEnabled;
+      this.markets = this.withFundingRates(marketData);
       
       // Update each bot's portfolio (multi-tenant aware)
       const allBots = this.getAllBots();
+      let stateChanged = false;
       for (const bot of allBots) {
         try {
           // Skip if bot doesn't have required data
@@ -857,7 +1084,18 @@ class BotManager {
             continue;
           }
 
+          if (!bot.pendingOrders) {
+            bot.pendingOrders = [];
+          }
+          
           if (bot.tradingMode === 'real') {
+            // Record LIMIT/STOP orders the exchange has filled, and cancel expired ones
+            const orderNotes = await this.syncRealPendingOrders(bot);
+            if (orderNotes.length > 0) {
+              orderNotes.forEach(note => console.log(`   📌 [${bot.name}] ${note}`));
+              stateChanged = true;
+            }
+            
             // Real trading: get state from exchange
             const realPortfolio = await this.getRealAccountState(bot.id);
             const realOrders = await this.getRealTradeHistory(bot.id);
@@ -867,29 +1105,35 @@ class BotManager {
             bot.orders = realOrders;
             bot.realizedPnl = realizedPnl;
           } else {
-            // Paper trading: calculate PnL from positions
-            let unrealizedPnl = 0;
-            let totalMarginUsed = 0;
-            
+            // Paper trading: fills, triggers and funding, then PnL from positions
             // Ensure positions array exists
             if (!bot.portfolio.positions) {
               bot.portfolio.positions = [];
             }
             
-            bot.portfolio.positions = bot.portfolio.positions.map(pos => {
-              const currentPrice = marketData.find(m => m.symbol === pos.symbol)?.price ?? pos.entryPrice;
-              const assetQuantity = (pos.size * pos.leverage) / pos.entryPrice;
-              const pnl = (currentPrice - pos.entryPrice) * assetQuantity * (pos.type === 'LONG' ? 1 : -1);
-              
-              unrealizedPnl += pnl;
-              totalMarginUsed += pos.size;
-              
-              return { ...pos, pnl };
-            });
+            // Fill or expire resting LIMIT/STOP orders
+            const orderNotes = await this.checkPendingOrders(bot, marketData);
+            if (orderNotes.length > 0) {
+              orderNotes.forEach(note => console.log(`   📌 [${bot.name}] ${note}`));
+              stateChanged = true;
+            }
+            
+            // Fire stop-loss, take-profit and liquidation (after trailing stops follow the price) before marking to market
+            this.updateTrailingStops(bot, marketData);
+            const triggerNotes = await this.checkPaperTriggers(bot, marketData);
+            if (triggerNotes.length > 0) {
+              stateChanged = true;
+            }
+            
+            if (fundingEnabled && fundingSettlements.length > 0) {
+              const fundingNotes = this.applyFunding(bot, fundingSettlements);
+              if (fundingNotes.length > 0) {
+                fundingNotes.forEach(note => console.log(`   💸 [${bot.name}] ${note}`));
+                stateChanged = true;
+              }
+            }
             
-            const totalValue = bot.portfolio.balance + totalMarginUsed + unrealizedPnl;
-            bot.portfolio.pnl = unrealizedPnl;
-            bot.portfolio.totalValue = totalValue;
+            this.markToMarket(bot, marketData);
           }
           
           // Update value history
@@ -907,6 +1151,11 @@ class BotManager {
             bot.valueHistory = bot.valueHistory.slice(-MAX_VALUE_HISTORY);
           }
           
+          // Daily loss and drawdown tracking (the kill-switch can trip between turns)
+          if (await this.enforceRiskLimits(bot)) {
+            stateChanged = true;
+          }
+          
           // Save snapshot to database
           await this.saveSnapshot(bot.id, bot);
         } catch (error) {
@@ -914,6 +1163,11 @@ class BotManager {
         }
       }
       
+      // Persist immediately if any position was auto-closed, rather than waiting for the next turn
+      if (stateChanged) {
+        await this.saveState();
+      }
+      
       // Broadcast updated state to all connected clients
       this.broadcastState();
     } catch (error) {
@@ -921,34 +1175,170 @@ class BotManager {
     }
   }
 
+  /**
+   * Recompute a paper bot's unrealized PnL and total value at the given prices
+   */
+  markToMarket(bot, marketData) {
+    let unrealizedPnl = 0;
+    let totalMarginUsed = 0;
+    
+    bot.portfolio.positions = bot.portfolio.positions.map(pos => {
+      const currentPrice = marketData.find(m => m.symbol === pos.symbol)?.price ?? pos.entryPrice;
+      const assetQuantity = (pos.size * pos.leverage) / pos.entryPrice;
+      const pnl = (currentPrice - pos.entryPrice) * assetQuantity * (pos.type === 'LONG' ? 1 : -1);
+      
+      unrealizedPnl += pnl;
+      totalMarginUsed += pos.size;
+      
+      return { ...pos, pnl };
+    });
+    
+    bot.portfolio.pnl = unrealizedPnl;
+    bot.portfolio.totalValue = bot.portfolio.balance + totalMarginUsed + unrealizedPnl;
+  }
+
+  /**
+   * Check paper positions against their liquidation, stop-loss and take-profit levels
+   * Triggered positions are closed at the fill price getTriggeredExit gives. Backtest
+   * markets also carry their candle's open, low and high: a level inside that range was
+   * crossed on the way to the extreme, adverse levels first since the path within the
+   * candle is unknown. Liquidations and stops fill at the worse of the open and their
+   * level (a candle that opened through the level gapped past it); take-profits fill
+   * at their level.
+   * @returns {Array<string>} Execution notes for any positions that were closed
+   */
+  async checkPaperTriggers(bot, marketData) {
+    const notes = [];
+    
+    // Iterate over a copy - closePosition removes entries from the live array
+    for (const pos of [...bot.portfolio.positions]) {
+      const market = marketData.find(m => m.symbol === pos.symbol);
+      const currentPrice = market?.price;
+      if (!currentPrice) {
+        continue;
+      }
+      
+      let trigger;
+      if (market.low !== undefined && market.high !== undefined) {
+        const isLong = pos.type === 'LONG';
+        const adverse = this.getTriggeredExit(pos, isLong ? market.low : market.high);
+        if (adverse && adverse.reason !== 'TP') {
+          const open = market.open ?? adverse.level;
+          trigger = { ...adverse, price: isLong ? Math.min(open, adverse.level) : Math.max(open, adverse.level) };
+        } else {
+          const favorable = this.getTriggeredExit(pos, isLong ? market.high : market.low);
+          trigger = favorable && { ...favorable, price: favorable.level };
+        }
+      } else {
+        trigger = this.getTriggeredExit(pos, currentPrice);
+      }
+      if (!trigger) {
+        continue;
+      }
+      
+      console.log(`   🎯 [${bot.name}] ${trigger.reason} triggered for ${pos.type} ${pos.symbol} (price $${currentPrice}, level $${trigger.level})`);
+      
+      try {
+        await this.closePosition(bot, pos.id, { symbol: pos.symbol, price: trigger.price }, notes, trigger.reason);
+      } catch (error) {
+        console.error(`   ❌ [${bot.name}] Failed to close ${pos.symbol} on ${trigger.reason}:`, error.message);
+      }
+    }
+    
+    return notes;
+  }
+
+  /**
+   * Determine whether a position's price levels have been crossed
+   * Liquidation takes precedence over stop-loss, which takes precedence over take-profit
+   * (a stop-loss moved by a trailing stop is reported as 'TRAIL'). Liquidations and stops
+   * fill at the worse of the current price and their level, as a stop-market order does
+   * when the price has moved through it; take-profits fill at their level.
+   * @returns {{reason: string, price: number, level: number}|null} Trigger reason, fill price
+   *   and the level crossed, or null if none hit
+   */
+  getTriggeredExit(position, currentPrice) {
+    const isLong = position.type === 'LONG';
+    const isAdverse = (level) => level > 0 && (isLong ? currentPrice <= level : currentPrice >= level);
+    const isFavorable = (level) => level > 0 && (isLong ? currentPrice >= level : currentPrice <= level);
+    const worseOf = (level) => isLong ? Math.min(currentPrice, level) : Math.max(currentPrice, level);
+    
+    if (isAdverse(position.liquidationPrice)) {
+      return { reason: 'LIQUIDATION', price: worseOf(position.liquidationPrice), level: position.liquidationPrice };
+    }
+    if (isAdverse(position.stopLoss)) {
+      return { reason: position.trailingStopPct ? 'TRAIL' : 'SL', price: worseOf(position.stopLoss), level: position.stopLoss };
+    }
+    if (isFavorable(position.takeProfit)) {
+      return { reason: 'TP', price: position.takeProfit, level: position.takeProfit };
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Stop-loss for a trailing position: its trailing level, or its own stop-loss if that is tighter
+   */
+  getTrailedStopLoss(position) {
+    const isLong = position.type === 'LONG';
+    const trailLevel = position.trailingPeakPrice * (1 + (isLong ? -1 : 1) * position.trailingStopPct / 100);
+    if (!position.stopLoss) {
+      return trailLevel;
+    }
+    return isLong ? Math.max(position.stopLoss, trailLevel) : Math.min(position.stopLoss, trailLevel);
+  }
+  
+  /**
+   * Follow new best prices with paper positions' trailing stops (the stop only ever tightens)
+   */
+  updateTrailingStops(bot, marketData) {
+    for (const pos of bot.portfolio.positions) {
+      if (!pos.trailingStopPct) {
+        continue;
+      }
+      const currentPrice = marketData.find(m => m.symbol === pos.symbol)?.price;
+      const peak = pos.trailingPeakPrice || pos.entryPrice;
+      const isNewBest = currentPrice && (pos.type === 'LONG' ? currentPrice > peak : currentPrice < peak);
+      if (!isNewBest) {
+        continue;
+      }
+      
+      pos.trailingPeakPrice = currentPrice;
+      pos.stopLoss = this.getTrailedStopLoss(pos);
+      
+      if (!bot.backtest) {
+        try {
+          relationalDb.updatePosition(pos.id, { stop_loss: pos.stopLoss, trailing_peak_price: pos.trailingPeakPrice }, bot.userId);
+        } catch (dbError) {
+          console.error(`[BotManager] Failed to update trailing stop in database for ${bot.name}:`, dbError.message);
+        }
+      }
+    }
+  }
+
   /**
    * Save bot snapshot to database for analytics
    */
   async saveSnapshot(botId, bot) {
     try {
-      const dbPath = path.join(__dirname, '..', '..', 'data', 'arena.db');
-      const db = new Database(dbPath);
+      const db = getDb();
       
-      try {
-        // Table is called bot_state_snapshots (from 002_relational_schema.sql)
-        db.prepare(`
-          INSERT INTO bot_state_snapshots (
-            user_id, bot_id, balance, total_value, realized_pnl, unrealized_pnl,
-            trade_count, win_rate
-          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
-        `).run(
-          bot.userId,
-          botId,
-          bot.portfolio.balance,
-          bot.portfolio.totalValue,
-          bot.realizedPnl || 0,
-          bot.portfolio.pnl || 0,
-          bot.tradeCount || 0,
-          bot.winRate || 0
-        );
-      } finally {
-        db.close();
-      }
+      // Table is called bot_state_snapshots (from 002_relational_schema.sql)
+      db.prepare(`
+        INSERT INTO bot_state_snapshots (
+          user_id, bot_id, balance, total_value, realized_pnl, unrealized_pnl,
+          trade_count, win_rate
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(
+        bot.userId,
+        botId,
+        bot.portfolio.balance,
+        bot.portfolio.totalValue,
+        bot.realizedPnl || 0,
+        bot.portfolio.pnl || 0,
+        bot.tradeCount || 0,
+        bot.winRate || 0
+      );
     } catch (error) {
       // Non-critical error, just log it
       console.debug(`Failed to save snapshot for bot ${botId}:`, error.message);
@@ -956,7 +1346,9 @@ class BotManager {
   }
 
   /**
-   * Run trading turn for all active bots
+   * Run trading turn for all active bots (or one bot) through the turn scheduler
+   * Bots whose previous turn is still running follow the scheduler's overlap policy
+   * @returns {Promise<Array>} Per-bot turn outcomes ({ status, durationMs })
    */
   async runTradingTurn(specificBotId = null) {
     console.log(specificBotId 
@@ -965,108 +1357,317 @@ class BotManager {
     
     if (this.markets.length === 0) {
       console.warn('⚠️ Market data not loaded yet, skipping trading turn');
-      return;
+      return [];
     }
     
     // Multi-tenant aware bot selection
     const botsToProcess = specificBotId 
       ? [this.getBot(specificBotId)].filter(b => b !== null)
-      : this.getNextBotsForTurn();
+      : this.getBotsForScheduling();
     
-    for (const bot of botsToProcess) {
-      if (!bot) {
-        console.warn('⚠️ Skipping null/undefined bot');
-        continue;
+    return Promise.all(botsToProcess.map(bot =>
+      this.turnScheduler.request(bot, specificBotId ? 'manual' : 'scheduled')
+    ));
+  }
+
+  /**
+   * Execute one trading turn for a bot (called by the turn scheduler, which holds the bot's turn lock)
+   */
+  async runBotTurn(bot) {
+    if (bot.isPaused) {
+      console.log(`   ⏭️ Skipping ${bot.name} - paused`);
+      return;
+    }
+    
+    if (this.markets.length === 0) {
+      console.warn(`⚠️ Market data not loaded yet, skipping turn for ${bot.name}`);
+      return;
+    }
+    
+    // Don't start a turn the owner's budget can't cover (the bot is paused instead)
+    if (await this.enforceBudgets(bot)) {
+      console.log(`   ⏭️ Skipping ${bot.name} - LLM budget exhausted`);
+      return;
+    }
+    
+    // Drawdown kill-switch (pauses the bot)
+    if (await this.enforceRiskLimits(bot)) {
+      console.log(`   ⏭️ Skipping ${bot.name} - drawdown kill-switch`);
+      return;
+    }
+    
+    console.log(`   🤖 Processing turn for ${bot.name} (${bot.tradingMode} mode)...`);
+    
+    // Experiment variants decide and fill on their round's shared snapshot
+    if (bot.experimentId) {
+      this.turnMarkets.set(bot.id, this.getExperimentMarkets(bot));
+    }
+    
+    // Live view of the turn for anyone subscribed to the bot's channel
+    const thoughts = new ThoughtStream(this.wsServer, bot);
+    thoughts.startTurn();
+    
+    try {
+      bot.isLoading = true;
+      
+      // Get AI decision
+      const decisionResult = await this.getTradingDecision(bot, { thoughts });
+      const { prompt, basePrompt, decisions: rawDecisions, error, toolInvocations, providerAttempts, llmUsage } = decisionResult;
+      
+      // Ensure decisions is always an array (default to empty if undefined)
+      const decisions = rawDecisions || [];
+      
+      const notes = [];
+      
+      if (error) {
+        console.error(`   ❌ API Error for ${bot.name}: ${error}`);
+        notes.push(`⚠️ API ERROR: ${error}`);
       }
       
-      if (bot.isPaused) {
-        console.log(`   ⏭️ Skipping ${bot.name} - paused`);
-        continue;
+      // Record retries and failovers so the history shows which providers answered
+      const attemptsNote = formatAttemptsNote(providerAttempts);
+      if (attemptsNote) {
+        notes.push(attemptsNote);
       }
       
-      console.log(`   🤖 Processing turn for ${bot.name} (${bot.tradingMode} mode)...`);
+      // Validate and execute decisions
+      const validatedDecisions = this.validateDecisions(bot, decisions, notes);
+      
+      console.log(`   ✅ ${validatedDecisions.length} decisions passed validation`);
+      
+      // Portfolio risk limits
+      const approvedDecisions = await this.applyRiskLimits(bot, validatedDecisions, notes);
+      
+      // Execute trades
+      await this.executeDecisions(bot, approvedDecisions, notes);
+      
+      // Log decision
+      const newLog = {
+        timestamp: Date.now(),
+        decisions,
+        prompt,
+        notes,
+        toolInvocations: toolInvocations || []
+      };
+      
+      bot.botLogs.unshift(newLog);
+      bot.botLogs = bot.botLogs.slice(0, MAX_BOT_LOGS);
       
+      // Write decision to database
+      // CRITICAL FIX: Store ONLY the base prompt (without history) to prevent exponential growth
+      let decisionId = null;
       try {
-        bot.isLoading = true;
-        
-        // Get AI decision
-        const decisionResult = await this.getTradingDecision(bot);
-        const { prompt, basePrompt, decisions: rawDecisions, error } = decisionResult;
-        
-        // Ensure decisions is always an array (default to empty if undefined)
-        const decisions = rawDecisions || [];
-        
-        const notes = [];
-        
-        if (error) {
-          console.error(`   ❌ API Error for ${bot.name}: ${error}`);
-          notes.push(`⚠️ API ERROR: ${error}`);
-        }
-        
-        // Validate and execute decisions
-        const validatedDecisions = this.validateDecisions(bot, decisions, notes);
-        
-        console.log(`   ✅ ${validatedDecisions.length} decisions passed validation`);
-        
-        // Execute trades
-        await this.executeDecisions(bot, validatedDecisions, notes);
-        
-        // Log decision
-        const newLog = {
-          timestamp: Date.now(),
-          decisions,
-          prompt,
-          notes
-        };
-        
-        bot.botLogs.unshift(newLog);
-        bot.botLogs = bot.botLogs.slice(0, MAX_BOT_LOGS);
-        
-        // Write decision to database
-        // CRITICAL FIX: Store ONLY the base prompt (without history) to prevent exponential growth
-        try {
-          relationalDb.createDecision({
-            user_id: bot.userId,
-            bot_id: bot.id,
-            prompt_sent: basePrompt || prompt || '[No prompt available]', // Prefer basePrompt
-            decisions: decisions, // Pass raw array - createDecision will stringify it
-            notes: notes, // Pass raw array - createDecision will stringify it
-            execution_success: !error, // Success only if no error occurred
-            timestamp: new Date(newLog.timestamp).toISOString()
-          });
-        } catch (dbError) {
-          console.error(`[BotManager] Failed to write decision to database for ${bot.name}:`, dbError.message);
-          // Continue - don't fail the turn if DB write fails
-        }
-        
-        bot.isLoading = false;
-        
-        console.log(`   ✅ Turn complete for ${bot.name}`);
-      } catch (error) {
-        console.error(`   ❌ Error processing turn for ${bot.name}:`, error);
-        bot.isLoading = false;
+        const decisionRow = relationalDb.createDecision({
+          user_id: bot.userId,
+          bot_id: bot.id,
+          bot_version_id: bot.versionId, // Version whose prompt this turn used
+          prompt_sent: basePrompt || prompt || '[No prompt available]', // Prefer basePrompt
+          decisions: decisions, // Pass raw array - createDecision will stringify it
+          notes: notes, // Pass raw array - createDecision will stringify it
+          tool_invocations: toolInvocations || null, // Sandbox tool calls made during this cycle
+          execution_success: !error, // Success only if no error occurred
+          timestamp: new Date(newLog.timestamp).toISOString()
+        });
+        decisionId = decisionRow.lastInsertRowid;
+      } catch (dbError) {
+        console.error(`[BotManager] Failed to write decision to database for ${bot.name}:`, dbError.message);
+        // Continue - don't fail the turn if DB write fails
       }
+      
+      await this.recordLlmUsage(bot, llmUsage, decisionId, newLog.timestamp);
+      
+      bot.isLoading = false;
+      thoughts.endTurn({ decisions, error: error || null });
+      
+      console.log(`   ✅ Turn complete for ${bot.name}`);
+    } catch (error) {
+      console.error(`   ❌ Error processing turn for ${bot.name}:`, error);
+      bot.isLoading = false;
+      thoughts.endTurn({ error: error.message });
     }
+    this.turnMarkets.delete(bot.id);
     
     // Save state and broadcast
     await this.saveState();
     this.broadcastState();
   }
 
+  /**
+   * Store the token usage of a bot's LLM calls
+   * @param {Object} bot - Bot state
+   * @param {Array} records - Usage records collected during the call(s)
+   * @param {number|null} decisionId - Decision the calls were made for (null for history summaries)
+   * @param {number} timestamp - When the calls were made
+   */
+  async recordLlmUsage(bot, records, decisionId = null, timestamp = Date.now()) {
+    if (!records || records.length === 0) {
+      return;
+    }
+    
+    const totals = summarizeUsage(records);
+    console.log(`   💰 ${bot.name} LLM usage: ${totals.inputTokens} in / ${totals.outputTokens} out tokens over ${totals.calls} call(s), $${totals.costUsd.toFixed(4)}`);
+    
+    try {
+      relationalDb.recordLlmUsage({
+        user_id: bot.userId,
+        bot_id: bot.id,
+        decision_id: decisionId,
+        timestamp: new Date(timestamp).toISOString()
+      }, records);
+    } catch (dbError) {
+      console.error(`[BotManager] Failed to record LLM usage for ${bot.name}:`, dbError.message);
+      return;
+    }
+    
+    // Warn or pause as soon as the new spend crosses a budget threshold
+    await this.enforceBudgets(bot);
+  }
+
+  /**
+   * Budget percentage at which owners are warned
+   */
+  getBudgetWarningPct() {
+    return this.settings?.llm_budget_warning_pct || DEFAULT_WARNING_PCT;
+  }
+
+  /**
+   * Why a bot can't make another LLM call, or null if its budgets allow it
+   * @param {Object} bot - Bot state
+   * @param {Array} pending - Usage records from earlier in the turn (not yet stored)
+   */
+  getBudgetError(bot, pending = []) {
+    try {
+      assertWithinBudget(bot.userId, bot.id, { pending: pending || [], botName: bot.name });
+      return null;
+    } catch (error) {
+      if (error instanceof BudgetExceededError) {
+        console.warn(`   🛑 ${bot.name}: ${error.message}`);
+        return error.message;
+      }
+      console.error(`[BotManager] Failed to check LLM budgets for ${bot.name}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Check the budgets covering a bot: warn its owner over the WebSocket when a
+   * budget passes the warning level, and pause every bot an exhausted budget
+   * covers (all of the owner's bots for a user-wide budget)
+   * @returns {Promise<boolean>} Whether a budget covering the bot is exhausted
+   */
+  async enforceBudgets(bot) {
+    let status;
+    try {
+      status = checkBudgets(bot.userId, bot.id, { warningPct: this.getBudgetWarningPct() });
+    } catch (error) {
+      console.error(`[BotManager] Failed to check LLM budgets for ${bot.name}:`, error.message);
+      return false;
+    }
+    
+    for (const entry of status.warnings) {
+      this.notifyBudget(bot, 'budget_warning', entry);
+    }
+    
+    for (const entry of status.exhausted) {
+      const covered = entry.scope === 'user' ? Array.from(this.getUserBots(bot.userId).values()) : [bot];
+      const pausedBots = [];
+      
+      for (const target of covered) {
+        // Re-checked per bot: a concurrent turn of the same owner may have paused it meanwhile
+        if (target.isPaused) {
+          continue;
+        }
+        console.warn(`   🛑 Pausing ${target.name}: LLM ${describeBudgetEntry(entry, bot.name)}`);
+        try {
+          await this.setBotPaused(target.id, true);
+          pausedBots.push(target.name);
+        } catch (error) {
+          console.error(`[BotManager] Failed to pause ${target.name}:`, error.message);
+        }
+      }
+      
+      if (pausedBots.length > 0) {
+        this.notifyBudget(bot, 'budget_exhausted', entry, pausedBots);
+      }
+    }
+    
+    return status.exhausted.length > 0;
+  }
+
+  /**
+   * Forget the warnings sent for a budget (after its limits change)
+   */
+  resetBudgetNotices(budgetId) {
+    for (const key of this.budgetNotices.keys()) {
+      if (key.startsWith(`${budgetId}:`)) {
+        this.budgetNotices.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Send a budget notification to the bot's owner (warnings once per budget period)
+   * @param {string} type - 'budget_warning' or 'budget_exhausted'
+   * @param {Object} entry - Budget limit from checkBudgets
+   * @param {Array<string>} pausedBots - Names of the bots that were paused
+   */
+  notifyBudget(bot, type, entry, pausedBots = []) {
+    const now = Date.now();
+    for (const [key, expiresAt] of this.budgetNotices) {
+      if (expiresAt <= now) {
+        this.budgetNotices.delete(key);
+      }
+    }
+    
+    if (type === 'budget_warning') {
+      const key = `${entry.budgetId}:${entry.period}:${entry.metric}`;
+      if (this.budgetNotices.has(key)) {
+        return;
+      }
+      this.budgetNotices.set(key, new Date(entry.resetsAt).getTime());
+    }
+    
+    const message = `LLM ${describeBudgetEntry(entry, bot.name)}`;
+    console.log(`   ${type === 'budget_warning' ? '⚠️' : '🛑'} ${message}`);
+    
+    if (!this.wsServer || !bot.userId) {
+      return;
+    }
+    this.wsServer.broadcastToUser(bot.userId, {
+      type,
+      payload: {
+        budgetId: entry.budgetId,
+        scope: entry.scope,
+        botId: bot.id,
+        botName: bot.name,
+        period: entry.period,
+        metric: entry.metric,
+        limit: entry.limit,
+        used: entry.used,
+        percent: Number.isFinite(entry.ratio) ? Math.round(entry.ratio * 100) : 100,
+        resetsAt: entry.resetsAt,
+        pausedBots,
+        message
+      }
+    });
+  }
+
   /**
    * Get trading decision from AI with optional multi-step sandbox analysis
    * Supports iterative analysis for advanced bots (Chronospeculator)
+   * @param {Object} options
+   * @param {ThoughtStream} options.thoughts - Turn's thought stream (LLM calls and tool calls are shown on it)
    */
-  async getTradingDecision(bot) {
+  async getTradingDecision(bot, { thoughts = null } = {}) {
     // Check if bot should use multi-step sandbox analysis
     const useMultiStep = bot.name === 'Chronospeculator' || bot.id === 'bot_chronospeculator' ||
                           bot.name === 'Astrologer' || bot.id === 'bot_astrologer' ||
                           bot.enableSandbox === true;
     
     if (useMultiStep) {
-      return await this.getTradingDecisionWithSandbox(bot);
+      return await this.getTradingDecisionWithSandbox(bot, { thoughts });
     } else {
-      return await this.getTradingDecisionStandard(bot);
+      return await this.getTradingDecisionStandard(bot, { thoughts });
     }
   }
 
@@ -1093,48 +1694,61 @@ class BotManager {
       return { summary: null, recentDecisions: [], historyContext: '' };
     }
     
-    const dbPath = path.join(__dirname, '..', '..', 'data', 'arena.db');
-    const db = new Database(dbPath);
-    db.pragma('foreign_keys = ON');
+    const db = getDb();
+    
     
+    // Get provider config for summarization
+    const provider = db.prepare(`
+      SELECT * FROM llm_providers WHERE id = ?
+    `).get(bot.provider_id);
+    
+    // Manage history size - will summarize if needed
+    let result;
     try {
-      
-      // Get provider config for summarization
-      const provider = db.prepare(`
-        SELECT * FROM llm_providers WHERE id = ?
-      `).get(bot.provider_id);
-      
-      // Manage history size - will summarize if needed
-      const result = await manageHistorySize(
+      result = await manageHistorySize(
         bot,
         decisions.reverse(), // Reverse to oldest-first for summarization
         provider,
         25000, // Max tokens before summarization (allows substantial history)
         15     // Keep last 15 decisions unsummarized
       );
-      
-      // If summarization occurred, update the bot's history_summary in database
-      if (result.needsSummarization) {
-        console.log(`   💾 Saving history summary for ${bot.name} (compressed ${result.summarizedCount} decisions)`);
-        db.prepare(`
-          UPDATE bots 
-          SET history_summary = ?
-          WHERE id = ? AND user_id = ?
-        `).run(result.summary, bot.id, bot.userId);
-        
-        bot.history_summary = result.summary;
+    } catch (error) {
+      if (!(error instanceof BudgetExceededError)) {
+        throw error;
       }
-      
+      // Over budget - keep the existing summary rather than paying for a new one
+      console.warn(`   🛑 Skipping history summarization for ${bot.name}: ${error.message}`);
+      const recentDecisions = decisions.slice(-15).reverse();
       return {
-        summary: result.summary,
-        recentDecisions: result.recentDecisions.reverse(), // Back to newest-first
-        historyContext: this.formatHistoryForPrompt(result.summary, result.recentDecisions.reverse()),
-        totalTokens: result.totalTokens,
-        managedTokens: result.newTokenEstimate
+        summary: bot.history_summary || null,
+        recentDecisions,
+        historyContext: this.formatHistoryForPrompt(bot.history_summary || null, recentDecisions)
       };
-    } finally {
-      db.close();
     }
+    
+    // If summarization occurred, update the bot's history_summary in database
+    if (result.needsSummarization) {
+      console.log(`   💾 Saving history summary for ${bot.name} (compressed ${result.summarizedCount} decisions)`);
+      db.prepare(`
+        UPDATE bots 
+        SET history_summary = ?
+        WHERE id = ? AND user_id = ?
+      `).run(result.summary, bot.id, bot.userId);
+      
+      bot.history_summary = result.summary;
+    }
+    
+    if (result.usage) {
+      await this.recordLlmUsage(bot, [result.usage]);
+    }
+    
+    return {
+      summary: result.summary,
+      recentDecisions: result.recentDecisions.reverse(), // Back to newest-first
+      historyContext: this.formatHistoryForPrompt(result.summary, result.recentDecisions.reverse()),
+      totalTokens: result.totalTokens,
+      managedTokens: result.newTokenEstimate
+    };
   }
   
   /**
@@ -1185,7 +1799,7 @@ class BotManager {
             context += `  No trades taken (HOLD)\n`;
           } else {
             decisionsArray.forEach((d, i) => {
-              context += `  ${d.action} ${d.symbol || d.closePositionId || ''}\n`;
+              context += `  ${d.action} ${d.symbol || d.closePositionId || d.positionId || d.orderId || ''}\n`;
             });
           }
           
@@ -1208,7 +1822,7 @@ class BotManager {
   /**
    * Standard single-shot trading decision (original implementation)
    */
-  async getTradingDecisionStandard(bot) {
+  async getTradingDecisionStandard(bot, { thoughts = null } = {}) {
     // Get markets filtered for this specific bot
     const botMarkets = this.getMarketsForBot(bot);
     
@@ -1221,169 +1835,67 @@ class BotManager {
       botMarkets,
       bot.prompt,
       bot.symbolCooldowns,
-      bot.orders.slice(0, 10)
+      bot.orders.slice(0, 10),
+      Date.now(),
+      bot.pendingOrders
     );
     
     // Generate FULL prompt (with history) for LLM
     const prompt = basePrompt + historyData.historyContext;
     
+    const providerAttempts = [];
+    const llmUsage = [];
+    
     try {
-      // Get full provider configuration from database
-      const Database = require('better-sqlite3');
-      const { decrypt } = require('../utils/encryption');
-      const dbPath = path.join(__dirname, '..', '..', 'data', 'arena.db');
-      const db = new Database(dbPath, { readonly: true });
-      
-      let providerConfig = null;
-      let providerType = bot.provider;
-      
-      try {
-        providerConfig = db.prepare(`
-          SELECT api_key_encrypted, provider_type, model_name, api_endpoint, config_json
-          FROM llm_providers 
-          WHERE provider_type = ? AND is_active = 1
-          LIMIT 1
-        `).get(providerType);
-      } finally {
-        db.close();
-      }
-      
-      if (!providerConfig || !providerConfig.api_key_encrypted) {
+      const providers = this.loadProviderChain(bot);
+      if (providers.length === 0) {
         return {
           prompt,
           basePrompt,
           decisions: [],
-          error: `${providerType} provider not configured in database`
+          error: `Provider ${bot.provider_id} not found or inactive for this bot`
         };
       }
       
-      const apiKey = decrypt(providerConfig.api_key_encrypted);
-      const modelName = providerConfig.model_name;
-      const apiEndpoint = providerConfig.api_endpoint;
+      const budgetError = this.getBudgetError(bot, llmUsage);
+      if (budgetError) {
+        return { prompt, basePrompt, decisions: [], error: budgetError, providerAttempts, llmUsage };
+      }
       
-      console.log(`   📞 Calling ${providerType} API for ${bot.name} (model: ${modelName}, endpoint: ${apiEndpoint})...`);
+      const { result: decisionText, provider } = await callWithFailover(
+        providers,
+        providerConfig => this.requestCompletionWithThoughts(bot, providerConfig, prompt, { jsonMode: true, timeoutMs: 30000, usage: llmUsage }, thoughts),
+        { policy: this.getRetryPolicy(), attempts: providerAttempts }
+      );
       
-      // Call AI API using generic approach based on provider_type
-      let decisionText;
-      let response;
-      
-      // OpenAI-compatible APIs (including Grok, and custom OpenAI-format APIs)
-      if (providerType === 'grok' || providerType === 'openai') {
-        response = await axios.post(
-          apiEndpoint,
-          {
-            model: modelName,
-            messages: [{ role: 'user', content: prompt }],
-            response_format: { type: 'json_object' }
-          },
-          {
-            headers: {
-              'Content-Type': 'application/json',
-              'Authorization': `Bearer ${apiKey}`
-            },
-            timeout: 30000
-          }
-        );
-        
-        decisionText = response.data.choices?.[0]?.message?.content;
-      }
-      // Gemini API
-      else if (providerType === 'gemini') {
-        // Gemini uses API key in URL query param
-        const geminiUrl = apiEndpoint.includes('?') 
-          ? `${apiEndpoint}&key=${apiKey}`
-          : `${apiEndpoint}?key=${apiKey}`;
-        
-        response = await axios.post(
-          geminiUrl,
-          {
-            contents: [{ parts: [{ text: prompt }] }],
-            generationConfig: { responseMimeType: 'application/json' }
-          },
-          {
-            headers: { 'Content-Type': 'application/json' },
-            timeout: 30000
-          }
-        );
-        
-        decisionText = response.data.candidates?.[0]?.content?.parts?.[0]?.text;
-      }
-      // Anthropic Claude API
-      else if (providerType === 'anthropic') {
-        response = await axios.post(
-          apiEndpoint,
-          {
-            model: modelName,
-            messages: [{ role: 'user', content: prompt }],
-            max_tokens: 4096
-          },
-          {
-            headers: {
-              'Content-Type': 'application/json',
-              'x-api-key': apiKey,
-              'anthropic-version': '2023-06-01'
-            },
-            timeout: 30000
-          }
-        );
-        
-        decisionText = response.data.content?.[0]?.text;
-      }
-      // Custom/local APIs - assume OpenAI-compatible format
-      else if (providerType === 'custom' || providerType === 'local') {
-        response = await axios.post(
-          apiEndpoint,
-          {
-            model: modelName,
-            messages: [{ role: 'user', content: prompt }],
-            response_format: { type: 'json_object' }
-          },
-          {
-            headers: {
-              'Content-Type': 'application/json',
-              'Authorization': `Bearer ${apiKey}`
-            },
-            timeout: 30000
-          }
-        );
-        
-        decisionText = response.data.choices?.[0]?.message?.content;
-      }
-      else {
-        return {
-          prompt,
-          basePrompt,
-          decisions: [],
-          error: `Unsupported provider type: ${providerType}`
-        };
-      }
-      
-      console.log(`   ✅ ${providerType} API responded (${decisionText?.length || 0} chars)`);
-      
-      if (!decisionText) {
-        return { prompt, basePrompt, decisions: [], error: 'Empty response from AI' };
-      }
+      console.log(`   ✅ ${provider.name} responded (${decisionText.length} chars)`);
       
       const decisions = JSON.parse(decisionText);
       return {
         prompt,
         basePrompt,
         decisions: Array.isArray(decisions) ? decisions : [decisions],
-        error: null
+        error: null,
+        providerAttempts,
+        llmUsage
       };
     } catch (error) {
       console.error(`❌ Error getting AI decision for ${bot.name}:`, error.message);
-      console.error(`   Error details:`, {
-        status: error.response?.status,
-        statusText: error.response?.statusText,
-        data: error.response?.data,
-        url: error.config?.url
-      });
+      if (error.response) {
+        console.error(`   Error details:`, {
+          status: error.response.status,
+          statusText: error.response.statusText,
+          data: error.response.data,
+          url: error.config?.url
+        });
+      }
       return {
         prompt: prompt || '[Error: Prompt generation failed]',
         basePrompt: basePrompt || '[Error: Prompt generation failed]',
         decisions: [],
-        error: error.response?.data?.error?.message || error.message
+        error: error.response?.data?.error?.message || error.message,
+        providerAttempts,
+        llmUsage
       };
     }
   }
@@ -1392,15 +1904,15 @@ class BotManager {
    * Multi-step trading decision with sandbox analysis
    * Allows bot to iteratively analyze data before making final decisions
    */
-  async getTradingDecisionWithSandbox(bot) {
+  async getTradingDecisionWithSandbox(bot, { thoughts = null } = {}) {
     console.log(`   🔬 Using multi-step sandbox analysis for ${bot.name}`);
     
     // Get filtered markets for this specific bot (respects trading_symbols config)
     const botMarkets = this.getMarketsForBot(bot);
     console.log(`   📊 Bot ${bot.name} has access to ${botMarkets.length} configured trading symbols`);
     
-    // Reset sandbox for this decision cycle
-    resetSandbox(botMarkets);
+    // Fresh sandbox session for this bot's decision cycle (simulations never leak between bots)
+    const sandboxSession = createSandboxSession(bot.id, botMarkets);
     
     // Load and manage decision history with intelligent summarization
     const historyData = await this.loadAndManageHistory(bot);
@@ -1411,11 +1923,43 @@ class BotManager {
       botMarkets,
       bot.prompt,
       bot.symbolCooldowns,
-      bot.orders.slice(0, 10)
+      bot.orders.slice(0, 10),
+      Date.now(),
+      bot.pendingOrders
     );
     
-    let iteration = 0;
+    // Provider chain for this turn (own provider, then fallbacks)
+    let providers = this.loadProviderChain(bot);
+    const providerAttempts = [];
+    const llmUsage = [];
     let analysisHistory = '';
+    
+    // Providers with native tool calling get the sandbox tools as function definitions
+    const nativeProvider = providers.find(p => circuitBreaker.isAvailable(p.id));
+    if (nativeProvider && nativeProvider.api_key_encrypted && getToolDialect(nativeProvider)) {
+      const nativeResult = await this.getTradingDecisionWithNativeTools(bot, {
+        providerConfig: nativeProvider,
+        botMarkets,
+        sandboxSession,
+        historyData,
+        basePrompt,
+        providerAttempts,
+        llmUsage,
+        thoughts
+      });
+      
+      const remaining = providers.filter(p => p.id !== nativeProvider.id);
+      if (!nativeResult.providerFailed || remaining.length === 0) {
+        return nativeResult;
+      }
+      
+      // Native provider gave out - carry the analysis so far over to the text protocol on the fallbacks
+      console.warn(`   ↪️ ${nativeProvider.name} failed, continuing ${bot.name}'s analysis on fallback providers`);
+      providers = remaining;
+      analysisHistory = nativeResult.analysisHistory || '';
+    }
+    
+    let iteration = 0;
     let fullPrompt = '';
     
     try {
@@ -1435,7 +1979,7 @@ class BotManager {
 === CELESTIAL DIVINATION CYCLE ${iteration} of ${MAX_ITERATIONS} ===
 
 ${isFinalIteration 
-  ? `THE FINAL PROPHECY: The stars demand commitment. You have consulted the heavens and measured cosmic energies across ${botMarkets.length} tradeable instruments. Now crystallize this celestial wisdom into trading decisions (LONG/SHORT/CLOSE/HOLD array). Choose the path illuminated by the strongest cosmic confluence. Remember: The material realm demands 6% in earthly fees—ensure the cosmic reward justifies the mortal cost.`
+  ? `THE FINAL PROPHECY: The stars demand commitment. You have consulted the heavens and measured cosmic energies across ${botMarkets.length} tradeable instruments. Now crystallize this celestial wisdom into trading decisions (LONG/SHORT/CLOSE/HOLD array). Choose the path illuminated by the strongest cosmic confluence. Remember: The material realm exacts earthly tolls in fees, slippage and funding—ensure the cosmic reward justifies the mortal cost.`
   : iteration === 1
     ? `FIRST DIVINATION: The cosmic veil parts, revealing ${botMarkets.length} tradeable instruments beneath the celestial sphere. Consult the heavens to identify which markets are blessed by favorable planetary alignments. Cast your mystical sight across ALL symbols—the universe does not favor tunnel vision. Invoke your celestial tools (moon_phase, planetary_positions, mercury_retrograde, cosmic_aspect, zodiac_sign) to measure the cosmic energies of each opportunity.`
     : `CONTINUED DIVINATION (Cycle ${iteration} of ${MAX_ITERATIONS}): The cosmos reveals deeper layers. You have ${MAX_ITERATIONS - iteration} more consultations before the prophecy must manifest. Continue your mystical interrogation—measure sacred geometries with technical indicators, assess planetary influences with celestial tools, divine the elemental balance. Cross-reference multiple cosmic signs for confirmation.`}
@@ -1468,7 +2012,8 @@ ${analysisHistory ? 'Previous Analysis Results:\n' + analysisHistory : `No previ
           bot.prompt + iterationContext,
           historyData.historyContext,
           bot.symbolCooldowns,
-          bot.orders.slice(0, 10)
+          bot.orders.slice(0, 10),
+          bot.pendingOrders
         );
         
         console.log(`   📊 Iteration ${iteration}: Calling AI API (prompt: ${fullPrompt.length} chars, markets: ${botMarkets.length})`);
@@ -1483,12 +2028,22 @@ ${analysisHistory ? 'Previous Analysis Results:\n' + analysisHistory : `No previ
             basePrompt,
             decisions: [],
             error: `Prompt size ${fullPrompt.length} chars exceeds safety limit of ${MAX_PROMPT_SIZE}`,
-            iterations: iteration
+            iterations: iteration,
+            toolInvocations: sandboxSession.invocations,
+            providerAttempts,
+            llmUsage
           };
         }
         
         // Call AI API
-        const aiResponse = await this.callAIProvider(bot, fullPrompt);
+        const aiResponse = await this.callAIProvider(bot, fullPrompt, {
+          providers,
+          attempts: providerAttempts,
+          usage: llmUsage,
+          purpose: 'sandbox',
+          thoughts,
+          iteration
+        });
         
         if (aiResponse.error) {
           console.error(`   ❌ AI API error on iteration ${iteration}: ${aiResponse.error}`);
@@ -1497,7 +2052,10 @@ ${analysisHistory ? 'Previous Analysis Results:\n' + analysisHistory : `No previ
             basePrompt,
             decisions: [],
             error: aiResponse.error,
-            iterations: iteration
+            iterations: iteration,
+            toolInvocations: sandboxSession.invocations,
+            providerAttempts,
+            llmUsage
           };
         }
         
@@ -1522,13 +2080,14 @@ ${analysisHistory ? 'Previous Analysis Results:\n' + analysisHistory : `No previ
           
           if (analyzeMatch) {
             console.log(`   🔧 Iteration ${iteration}: Executing tool "${analyzeMatch.tool}"...`);
+            thoughts?.toolCall({ iteration, tool: analyzeMatch.tool, parameters: analyzeMatch.parameters, reasoning: analyzeMatch.reasoning });
             
             try {
               // Execute sandbox tool
               const toolResult = await executeSandboxTool(
+                sandboxSession,
                 analyzeMatch.tool,
-                analyzeMatch.parameters,
-                botMarkets
+                analyzeMatch.parameters
               );
               
               // Add to analysis history
@@ -1541,11 +2100,13 @@ Result: ${JSON.stringify(toolResult, null, 2)}
 `;
               
               console.log(`   ✅ Iteration ${iteration}: Tool executed successfully`);
+              thoughts?.toolResult({ iteration, tool: analyzeMatch.tool, result: toolResult });
               
               // Continue to next iteration
               continue;
             } catch (toolError) {
               console.error(`   ❌ Iteration ${iteration}: Tool execution failed: ${toolError.message}`);
+              thoughts?.toolResult({ iteration, tool: analyzeMatch.tool, error: toolError.message });
               analysisHistory += `
 [Iteration ${iteration} - Tool: ${analyzeMatch.tool}]
 ERROR: ${toolError.message}
@@ -1570,7 +2131,10 @@ ERROR: ${toolError.message}
             decisions: decisions,
             error: null,
             iterations: iteration,
-            analysisHistory: analysisHistory
+            analysisHistory: analysisHistory,
+            toolInvocations: sandboxSession.invocations,
+            providerAttempts,
+            llmUsage
           };
         } catch (parseError) {
           if (isFinalIteration) {
@@ -1581,7 +2145,10 @@ ERROR: ${toolError.message}
               basePrompt,
               decisions: [],
               error: 'Failed to parse final decisions after maximum iterations',
-              iterations: iteration
+              iterations: iteration,
+              toolInvocations: sandboxSession.invocations,
+              providerAttempts,
+              llmUsage
             };
           } else {
             console.warn(`   ⚠️ Iteration ${iteration}: Could not parse as decisions or ANALYZE`);
@@ -1603,7 +2170,10 @@ Could not parse response. Response: ${responseText.substring(0, 200)}...
         basePrompt,
         decisions: [],
         error: 'Maximum iterations reached',
-        iterations: MAX_ITERATIONS
+        iterations: MAX_ITERATIONS,
+        toolInvocations: sandboxSession.invocations,
+        providerAttempts,
+        llmUsage
       };
     } catch (error) {
       console.error(`   ❌ Multi-step analysis error: ${error.message}`);
@@ -1612,149 +2182,414 @@ Could not parse response. Response: ${responseText.substring(0, 200)}...
         basePrompt,
         decisions: [],
         error: error.message,
-        iterations: iteration
+        iterations: iteration,
+        toolInvocations: sandboxSession.invocations,
+        providerAttempts,
+        llmUsage
       };
     }
   }
 
   /**
-   * Call AI provider with prompt
+   * Multi-step sandbox analysis through the provider's native tool calling API
+   * Tools are called directly and decisions come back as structured output;
+   * returns the same shape as the text protocol loop. Tool-calling responses
+   * aren't streamed; their text is shown on the thought stream once received
    */
-  async callAIProvider(bot, prompt) {
-    try {
-      // Get provider configuration from database
-      const Database = require('better-sqlite3');
-      const { decrypt } = require('../utils/encryption');
-      const dbPath = path.join(__dirname, '..', '..', 'data', 'arena.db');
-      const db = new Database(dbPath, { readonly: true });
-      
-      let providerConfig = null;
-      let providerType = bot.provider;
-      
-      try {
-        providerConfig = db.prepare(`
-          SELECT api_key_encrypted, provider_type, model_name, api_endpoint, config_json
-          FROM llm_providers 
-          WHERE provider_type = ? AND is_active = 1
-          LIMIT 1
-        `).get(providerType);
-      } finally {
-        db.close();
-      }
+  async getTradingDecisionWithNativeTools(bot, { providerConfig, botMarkets, sandboxSession, historyData, basePrompt, providerAttempts = [], llmUsage = [], thoughts = null }) {
+    const { decrypt } = require('../utils/encryption');
+    const conversation = new ToolConversation({
+      providerConfig,
+      apiKey: decrypt(providerConfig.api_key_encrypted),
+      modelParams: resolveModelParams(providerConfig, bot.modelConfig, { temperature: 0.9 }),
+      tools: getSandboxToolDefinitions(botMarkets.map(m => m.symbol)),
+      timeoutMs: ITERATION_TIMEOUT_MS
+    });
+    console.log(`   🧰 Native tool calling (${conversation.dialect}) for ${bot.name}`);
+    
+    const isAstrologer = bot.id === 'bot_astrologer' || bot.name === 'Astrologer';
+    const submitHint = conversation.dialect === 'openai'
+      ? 'reply with the {"decisions": [...]} JSON object'
+      : `call ${SUBMIT_DECISIONS_TOOL}`;
+    
+    // Iteration instructions (personality-specific), sent along with each round of tool results
+    const iterationNote = (iteration) => {
+      const isFinalIteration = iteration === MAX_ITERATIONS;
+      const remaining = MAX_ITERATIONS - iteration;
       
-      if (!providerConfig || !providerConfig.api_key_encrypted) {
-        return {
-          text: null,
-          error: `${providerType} provider not configured in database`
-        };
+      if (isAstrologer) {
+        return `=== CELESTIAL DIVINATION CYCLE ${iteration} of ${MAX_ITERATIONS} ===
+${isFinalIteration
+  ? `THE FINAL PROPHECY: The stars demand commitment. Crystallize your celestial wisdom into trading decisions (LONG/SHORT/CLOSE/HOLD) and ${submitHint}. Remember: The material realm exacts earthly tolls in fees, slippage and funding—ensure the cosmic reward justifies the mortal cost.`
+  : iteration === 1
+    ? `FIRST DIVINATION: The cosmic veil parts, revealing ${botMarkets.length} tradeable instruments. Your celestial and technical tools are available as function calls—invoke them directly (moon_phase, planetary_positions, mercury_retrograde, cosmic_aspect, zodiac_sign and the market indicators), several at once if the heavens require. Do not write ANALYZE JSON. When the cosmic confluence is clear, ${submitHint}.`
+    : `CONTINUED DIVINATION: ${remaining} more consultations before the prophecy must manifest. Weigh the divinations above, call further tools, or ${submitHint} if the signs are clear.`}`;
       }
       
-      const apiKey = decrypt(providerConfig.api_key_encrypted);
-      const modelName = providerConfig.model_name;
-      const apiEndpoint = providerConfig.api_endpoint;
-      
-      // Call AI API based on provider type
-      let decisionText;
-      let response;
-      
-      // OpenAI-compatible APIs (including Grok)
-      if (providerType === 'grok' || providerType === 'openai') {
-        response = await axios.post(
-          apiEndpoint,
-          {
-            model: modelName,
-            messages: [{ role: 'user', content: prompt }],
-            temperature: 0.9
-          },
-          {
-            headers: {
-              'Content-Type': 'application/json',
-              'Authorization': `Bearer ${apiKey}`
+      return `=== ITERATION ${iteration} of ${MAX_ITERATIONS} ===
+${isFinalIteration
+  ? `FINAL ITERATION: You MUST return trading decisions now (LONG/SHORT/CLOSE/HOLD)—${submitHint}. Prioritize the opportunities with the highest edge and conviction and reference the computed values from your analysis.`
+  : iteration === 1
+    ? `FIRST ITERATION: MARKET OPPORTUNITY SCAN - You have ${botMarkets.length} trading symbols available (shown in Live Market Data above). The sandbox tools are available as function calls—call them directly to CALCULATE metrics across multiple symbols (several calls per iteration are fine). Do not write ANALYZE JSON. When your analysis gives you sufficient confidence, ${submitHint}.`
+    : `ANALYSIS PHASE: You have ${remaining} iterations remaining. Build on the tool results above with further tool calls, or ${submitHint} if your analysis provides sufficient confidence. Scan across multiple symbols—don't fixate on a single market.`}`;
+    };
+    
+    const fullPrompt = this.generatePromptWithHistory(
+      bot.portfolio,
+      botMarkets,
+      bot.prompt,
+      historyData.historyContext,
+      bot.symbolCooldowns,
+      bot.orders.slice(0, 10),
+      bot.pendingOrders
+    );
+    conversation.addUserMessage(`${fullPrompt}\n\n${iterationNote(1)}`);
+    
+    let iteration = 0;
+    let analysisHistory = '';
+    const buildResult = (fields) => ({
+      prompt: fullPrompt,
+      basePrompt,
+      iterations: iteration,
+      analysisHistory,
+      toolInvocations: sandboxSession.invocations,
+      providerAttempts,
+      llmUsage,
+      ...fields
+    });
+    
+    try {
+      while (iteration < MAX_ITERATIONS) {
+        iteration++;
+        const isFinalIteration = iteration === MAX_ITERATIONS;
+        
+        const budgetError = this.getBudgetError(bot, llmUsage);
+        if (budgetError) {
+          return buildResult({ decisions: [], error: budgetError });
+        }
+        
+        console.log(`   📊 Iteration ${iteration}: Calling AI API with ${conversation.tools.length} tools`);
+        let response;
+        try {
+          response = await callWithRetry(
+            providerConfig,
+            async () => {
+              thoughts?.startThinking({ iteration, purpose: 'sandbox', provider: providerConfig.name });
+              try {
+                const reply = await conversation.send({ final: isFinalIteration });
+                if (reply.text) {
+                  thoughts?.push(reply.text);
+                }
+                thoughts?.endThinking();
+                return reply;
+              } catch (sendError) {
+                thoughts?.endThinking({ error: describeError(sendError) });
+                throw sendError;
+              }
             },
-            timeout: ITERATION_TIMEOUT_MS
-          }
-        );
+            { policy: this.getRetryPolicy(), attempts: providerAttempts }
+          );
+        } catch (providerError) {
+          // Flagged so the caller can fail over to the next provider in the chain
+          const message = describeError(providerError);
+          console.error(`   ❌ ${providerConfig.name} failed on iteration ${iteration}: ${message}`);
+          return buildResult({ decisions: [], error: message, providerFailed: true });
+        }
         
-        decisionText = response.data.choices?.[0]?.message?.content;
-      }
-      // Gemini API
-      else if (providerType === 'gemini') {
-        const geminiUrl = apiEndpoint.includes('?') 
-          ? `${apiEndpoint}&key=${apiKey}`
-          : `${apiEndpoint}?key=${apiKey}`;
+        llmUsage.push(createUsageRecord({
+          providerConfig,
+          model: conversation.modelParams.model,
+          purpose: 'sandbox',
+          usage: response.usage,
+          prompt: conversation.messages,
+          response: response.text || response.decisions || response.toolCalls
+        }));
         
-        response = await axios.post(
-          geminiUrl,
-          {
-            contents: [{ parts: [{ text: prompt }] }],
-            generationConfig: { 
-              temperature: 0.9
-            }
-          },
-          {
-            headers: { 'Content-Type': 'application/json' },
-            timeout: ITERATION_TIMEOUT_MS
-          }
-        );
+        if (response.decisions) {
+          console.log(`   ✅ Iteration ${iteration}: Received ${response.decisions.length} structured trading decisions`);
+          return buildResult({ decisions: response.decisions, error: null });
+        }
         
-        decisionText = response.data.candidates?.[0]?.content?.parts?.[0]?.text;
-      }
-      // Anthropic Claude API
-      else if (providerType === 'anthropic') {
-        response = await axios.post(
-          apiEndpoint,
-          {
-            model: modelName,
-            messages: [{ role: 'user', content: prompt }],
-            max_tokens: 4096,
-            temperature: 0.9
-          },
-          {
-            headers: {
-              'Content-Type': 'application/json',
-              'x-api-key': apiKey,
-              'anthropic-version': '2023-06-01'
-            },
-            timeout: ITERATION_TIMEOUT_MS
+        if (response.toolCalls.length > 0 && !isFinalIteration) {
+          const toolResults = [];
+          
+          for (const call of response.toolCalls) {
+            console.log(`   🔧 Iteration ${iteration}: Executing tool "${call.name}"...`);
+            thoughts?.toolCall({ iteration, tool: call.name, parameters: call.arguments });
+            try {
+              if (call.error) {
+                throw new Error(call.error);
+              }
+              const output = await executeSandboxTool(sandboxSession, call.name, call.arguments);
+              toolResults.push({ call, output });
+              thoughts?.toolResult({ iteration, tool: call.name, result: output });
+              analysisHistory += `
+[Iteration ${iteration} - Tool: ${call.name}]
+Parameters: ${JSON.stringify(call.arguments, null, 2)}
+Result: ${JSON.stringify(output, null, 2)}
+
+`;
+            } catch (toolError) {
+              console.error(`   ❌ Iteration ${iteration}: Tool "${call.name}" failed: ${toolError.message}`);
+              toolResults.push({ call, error: toolError.message });
+              thoughts?.toolResult({ iteration, tool: call.name, error: toolError.message });
+              analysisHistory += `
+[Iteration ${iteration} - Tool: ${call.name}]
+ERROR: ${toolError.message}
+
+`;
+            }
           }
-        );
+          
+          conversation.addUserMessage(iterationNote(iteration + 1), toolResults);
+          continue;
+        }
         
-        decisionText = response.data.content?.[0]?.text;
-      }
-      // Custom/local APIs
-      else if (providerType === 'custom' || providerType === 'local') {
-        response = await axios.post(
-          apiEndpoint,
-          {
-            model: modelName,
-            messages: [{ role: 'user', content: prompt }],
-            temperature: 0.9
-          },
-          {
-            headers: {
-              'Content-Type': 'application/json',
-              'Authorization': `Bearer ${apiKey}`
-            },
-            timeout: ITERATION_TIMEOUT_MS
+        // No tool calls or structured output - fall back to reading decisions from the text
+        try {
+          const decisions = this.parseDecisions(response.text);
+          console.log(`   ✅ Iteration ${iteration}: Parsed ${decisions.length} trading decisions from text`);
+          return buildResult({ decisions, error: null });
+        } catch (parseError) {
+          if (isFinalIteration) {
+            console.error(`   ❌ Final iteration failed to return decisions: ${parseError.message}`);
+            return buildResult({ decisions: [], error: 'Failed to parse final decisions after maximum iterations' });
           }
-        );
-        
-        decisionText = response.data.choices?.[0]?.message?.content;
+          
+          console.warn(`   ⚠️ Iteration ${iteration}: Response had no tool calls or decisions`);
+          analysisHistory += `
+[Iteration ${iteration} - Parse Error]
+Could not parse response. Response: ${response.text.substring(0, 200)}...
+
+`;
+          conversation.addUserMessage(`Your last reply contained no tool calls or trading decisions.\n\n${iterationNote(iteration + 1)}`);
+        }
       }
-      else {
-        return {
-          text: null,
-          error: `Unsupported provider type: ${providerType}`
-        };
+      
+      return buildResult({ decisions: [], error: 'Maximum iterations reached' });
+    } catch (error) {
+      const message = error.response?.data?.error?.message || error.message;
+      console.error(`   ❌ Native tool analysis error: ${message}`);
+      return buildResult({ decisions: [], error: message });
+    }
+  }
+
+  /**
+   * Load the bot's provider chain: its own provider, then its fallbacks in order.
+   * Providers are scoped to the bot's owner (unowned providers are shared);
+   * missing or inactive ones are left out.
+   */
+  loadProviderChain(bot) {
+    const db = getDb();
+    
+    const query = db.prepare(`
+      SELECT id, name, api_key_encrypted, provider_type, model_name, api_endpoint, config_json
+      FROM llm_providers 
+      WHERE id = ? AND is_active = 1 AND (user_id = ? OR user_id IS NULL)
+    `);
+    
+    const providerIds = [bot.provider_id, ...(bot.fallbackProviderIds || [])];
+    const chain = [];
+    for (const providerId of providerIds) {
+      if (chain.some(p => p.id === providerId)) {
+        continue;
+      }
+      const provider = query.get(providerId, bot.userId || null);
+      if (provider) {
+        chain.push(provider);
+      } else {
+        console.warn(`   ⚠️ Provider ${providerId} for ${bot.name} not found or inactive, leaving it out of the chain`);
+      }
+    }
+    return chain;
+  }
+
+  /**
+   * Retry policy for LLM calls from system settings
+   */
+  getRetryPolicy() {
+    return {
+      ...DEFAULT_RETRY_POLICY,
+      maxRetries: this.settings?.llm_max_retries ?? DEFAULT_RETRY_POLICY.maxRetries,
+      baseDelayMs: this.settings?.llm_retry_base_delay_ms ?? DEFAULT_RETRY_POLICY.baseDelayMs
+    };
+  }
+
+  /**
+   * Send a single prompt to one provider
+   * @param {Object} bot - Bot state (for model overrides)
+   * @param {Object} providerConfig - llm_providers row
+   * @param {string} prompt - Prompt text
+   * @param {Object} options
+   * @param {boolean} options.jsonMode - Ask for a JSON response
+   * @param {Object} options.defaults - Model parameter defaults for this call
+   * @param {number} options.timeoutMs - Request timeout
+   * @param {Array} options.usage - Usage log to append the call's token usage to
+   * @param {string} options.purpose - What the call was for ('decision', 'sandbox' or 'backtest')
+   * @param {Function} options.onToken - Stream the response, calling this with each piece of text
+   * @returns {Promise<string>} Response text
+   * @throws On HTTP errors, missing configuration or an empty response
+   */
+  async requestCompletion(bot, providerConfig, prompt, { jsonMode = false, defaults = {}, timeoutMs = ITERATION_TIMEOUT_MS, usage = null, purpose = 'decision', onToken = null } = {}) {
+    const { decrypt } = require('../utils/encryption');
+    const providerType = providerConfig.provider_type;
+    
+    // The mock provider runs locally and needs no API key
+    if (providerType === 'mock') {
+      const text = mockProvider.generateResponse(prompt, providerConfig);
+      if (onToken) {
+        onToken(text);
+      }
+      if (usage) {
+        usage.push(createUsageRecord({ providerConfig, model: providerConfig.model_name, purpose, usage: null, prompt, response: text }));
+      }
+      return text;
+    }
+    if (!providerConfig.api_key_encrypted) {
+      throw new Error(`${providerType} provider not configured in database`);
+    }
+    
+    const apiKey = decrypt(providerConfig.api_key_encrypted);
+    const apiEndpoint = providerConfig.api_endpoint;
+    const modelParams = resolveModelParams(providerConfig, bot.modelConfig, defaults);
+    const modelFields = buildModelFields(providerType, modelParams);
+    
+    let request;
+    
+    // Gemini API (API key in URL query param)
+    if (providerType === 'gemini') {
+      request = {
+        url: apiEndpoint.includes('?') ? `${apiEndpoint}&key=${apiKey}` : `${apiEndpoint}?key=${apiKey}`,
+        body: {
+          ...modelFields,
+          contents: [{ parts: [{ text: prompt }] }],
+          ...(jsonMode ? { generationConfig: { ...modelFields.generationConfig, responseMimeType: 'application/json' } } : {})
+        },
+        headers: { 'Content-Type': 'application/json' }
+      };
+    }
+    // Anthropic Claude API
+    else if (providerType === 'anthropic') {
+      request = {
+        url: apiEndpoint,
+        body: {
+          ...modelFields,
+          messages: [{ role: 'user', content: prompt }]
+        },
+        headers: {
+          'Content-Type': 'application/json',
+          'x-api-key': apiKey,
+          'anthropic-version': '2023-06-01'
+        }
+      };
+    }
+    // OpenAI-compatible APIs (OpenAI, Grok, custom and local)
+    else if (['openai', 'grok', 'custom', 'local'].includes(providerType)) {
+      request = {
+        url: apiEndpoint,
+        body: {
+          ...modelFields,
+          messages: withSystemMessage([{ role: 'user', content: prompt }], modelParams),
+          ...(jsonMode ? { response_format: { type: 'json_object' } } : {})
+        },
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${apiKey}`
+        }
+      };
+    }
+    else {
+      throw new Error(`Unsupported provider type: ${providerType}`);
+    }
+    
+    let text;
+    let reportedUsage;
+    
+    if (onToken) {
+      // Streamed so spectators can watch the response arrive
+      ({ text, usage: reportedUsage } = await streamCompletion({ providerType, ...request, timeoutMs, onToken }));
+    } else {
+      const response = await axios.post(request.url, request.body, { headers: request.headers, timeout: timeoutMs });
+      text = extractResponseText(providerType, response.data);
+      reportedUsage = extractUsage(providerType, response.data);
+    }
+    
+    if (!text) {
+      throw new Error('Empty response from AI');
+    }
+    
+    if (usage) {
+      usage.push(createUsageRecord({
+        providerConfig,
+        model: modelParams.model,
+        purpose,
+        usage: reportedUsage,
+        prompt,
+        response: text
+      }));
+    }
+    return text;
+  }
+
+  /**
+   * requestCompletion, shown on the bot's thought stream as it happens
+   * (the response is streamed only while someone is watching the bot)
+   * @param {ThoughtStream|null} thoughts - Turn's thought stream (null = plain request)
+   * @param {number|null} iteration - Sandbox iteration the call belongs to
+   */
+  async requestCompletionWithThoughts(bot, providerConfig, prompt, options, thoughts, iteration = null) {
+    if (!thoughts) {
+      return this.requestCompletion(bot, providerConfig, prompt, options);
+    }
+    
+    thoughts.startThinking({ iteration, purpose: options.purpose || 'decision', provider: providerConfig.name });
+    try {
+      const text = await this.requestCompletion(bot, providerConfig, prompt, {
+        ...options,
+        onToken: thoughts.isActive() ? chunk => thoughts.push(chunk) : null
+      });
+      thoughts.endThinking();
+      return text;
+    } catch (error) {
+      thoughts.endThinking({ error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Call AI provider with prompt, failing over down the bot's provider chain
+   * @param {Object} bot - Bot state
+   * @param {string} prompt - Prompt text
+   * @param {Object} options
+   * @param {Array<Object>} options.providers - Provider chain (defaults to the bot's)
+   * @param {Array} options.attempts - Attempt log to append to
+   * @param {Array} options.usage - Usage log to append token usage to
+   * @param {string} options.purpose - What the call is for ('decision', 'sandbox' or 'backtest')
+   * @param {ThoughtStream} options.thoughts - Turn's thought stream to show the call on
+   * @param {number} options.iteration - Sandbox iteration the call belongs to
+   * @returns {Promise<{text, error, provider, attempts}>}
+   */
+  async callAIProvider(bot, prompt, { providers = null, attempts = [], usage = null, purpose = 'decision', thoughts = null, iteration = null } = {}) {
+    try {
+      const chain = providers || this.loadProviderChain(bot);
+      if (chain.length === 0) {
+        return { text: null, error: `Provider ${bot.provider_id} not found or inactive for this bot`, provider: null, attempts };
       }
       
-      if (!decisionText) {
-        return { text: null, error: 'Empty response from AI' };
+      const budgetError = this.getBudgetError(bot, usage);
+      if (budgetError) {
+        return { text: null, error: budgetError, provider: null, attempts };
       }
       
-      return { text: decisionText, error: null };
+      const { result, provider } = await callWithFailover(
+        chain,
+        providerConfig => this.requestCompletionWithThoughts(bot, providerConfig, prompt, { defaults: { temperature: 0.9 }, usage, purpose }, thoughts, iteration),
+        { policy: this.getRetryPolicy(), attempts }
+      );
+      
+      return { text: result, error: null, provider, attempts };
     } catch (error) {
-      return { text: null, error: error.message };
+      return { text: null, error: error.message, provider: null, attempts };
     }
   }
 
@@ -2037,9 +2872,7 @@ Could not parse response. Response: ${responseText.substring(0, 200)}...
    * Generate base prompt WITHOUT history (prevents recursive growth in DB)
    * This is what gets stored in bot_decisions.prompt_sent
    */
-  generateBasePrompt(portfolio, marketData, botPrompt, cooldowns, recentOrders) {
-    const now = Date.now();
-    
+  generateBasePrompt(portfolio, marketData, botPrompt, cooldowns, recentOrders, now = Date.now(), pendingOrders = []) {
     // Format portfolio info
     const totalValue = portfolio.totalValue.toFixed(2);
     const availableBalance = portfolio.balance.toFixed(2);
@@ -2049,12 +2882,12 @@ Could not parse response. Response: ${responseText.substring(0, 200)}...
     let openPositions = 'None';
     if (portfolio.positions && portfolio.positions.length > 0) {
       openPositions = portfolio.positions.map(p => {
-        const openOrder = recentOrders?.find(o => o.symbol === p.symbol && o.exitPrice === 0);
+        const openOrder = recentOrders?.find(o => o.symbol === p.symbol && o.exitPrice === 0 && !o.partial);
         const minutesOpen = openOrder ? Math.floor((now - openOrder.timestamp) / 60000) : '?';
         const hoursOpen = minutesOpen !== '?' ? (minutesOpen / 60).toFixed(1) : '?';
         const pnlPercent = p.pnl && p.size ? ((p.pnl / p.size) * 100).toFixed(2) : '0';
         
-        return `Position ${p.id}: ${p.type} ${p.symbol} | Entry: $${p.entryPrice.toFixed(4)} | Current PnL: $${(p.pnl || 0).toFixed(2)} (${pnlPercent}%) | Margin: $${p.size.toFixed(2)} | Leverage: ${p.leverage}x | Open: ${hoursOpen}h | SL: ${p.stopLoss ? '$' + p.stopLoss.toFixed(4) : 'N/A'} | TP: ${p.takeProfit ? '$' + p.takeProfit.toFixed(4) : 'N/A'}`;
+        return `Position ${p.id}: ${p.type} ${p.symbol} | Entry: $${p.entryPrice.toFixed(4)} | Current PnL: $${(p.pnl || 0).toFixed(2)} (${pnlPercent}%) | Margin: $${p.size.toFixed(2)} | Leverage: ${p.leverage}x | Quantity: ${parseFloat(((p.size * p.leverage) / p.entryPrice).toPrecision(6))} | Open: ${hoursOpen}h | SL: ${p.stopLoss ? '$' + p.stopLoss.toFixed(4) : 'N/A'} | TP: ${p.takeProfit ? '$' + p.takeProfit.toFixed(4) : 'N/A'}${p.trailingStopPct ? ` | Trailing: ${p.trailingStopPct}%` : ''}${p.fundingPaid ? ` | Funding paid: $${p.fundingPaid.toFixed(2)}` : ''}`;
       }).join('\n');
     }
     
@@ -2065,7 +2898,8 @@ Could not parse response. Response: ${responseText.substring(0, 200)}...
                     m.price24hChange < -1 ? 'Strong Bearish' :
                     m.price24hChange < -0.2 ? 'Bearish' : 'Neutral';
       
-      return `${m.symbol}: $${m.price.toFixed(4)} | 24h: ${m.price24hChange >= 0 ? '+' : ''}${m.price24hChange.toFixed(2)}% (${trend})`;
+      const funding = Number.isFinite(m.fundingRate) ? ` | Funding: ${m.fundingRate >= 0 ? '+' : ''}${(m.fundingRate * 100).toFixed(4)}%` : '';
+      return `${m.symbol}: $${m.price.toFixed(4)} | 24h: ${m.price24hChange >= 0 ? '+' : ''}${m.price24hChange.toFixed(2)}% (${trend})${funding}`;
     }).join('\n');
     
     // Format cooldowns
@@ -2083,8 +2917,17 @@ Could not parse response. Response: ${responseText.substring(0, 200)}...
       }
     }
     
-    // Get current date
-    const currentDate = new Date().toISOString();
+    // Format resting LIMIT/STOP orders
+    let pendingOrderInfo = '';
+    if (pendingOrders && pendingOrders.length > 0) {
+      pendingOrderInfo = '\n\nPending Orders (not yet filled - CANCEL by orderId):\n' + pendingOrders.map(o => {
+        const expiresIn = o.expiresAt ? `${Math.max(0, Math.ceil((o.expiresAt - now) / 60000))}min` : 'never';
+        return `Order ${o.id}: ${o.orderType} ${o.side} ${o.symbol} @ $${o.price.toFixed(4)} | Margin: $${o.size.toFixed(2)} | Leverage: ${o.leverage}x | SL: ${o.stopLoss ? '$' + o.stopLoss.toFixed(4) : 'N/A'} | TP: ${o.takeProfit ? '$' + o.takeProfit.toFixed(4) : 'N/A'}${o.trailingStopPct ? ` | Trailing: ${o.trailingStopPct}%` : ''} | Expires in: ${expiresIn}`;
+      }).join('\n');
+    }
+    
+    // Get current date (simulated clock when backtesting)
+    const currentDate = new Date(now).toISOString();
     
     // Replace placeholders - NO HISTORY
     return botPrompt
@@ -2094,14 +2937,15 @@ Could not parse response. Response: ${responseText.substring(0, 200)}...
       .replace('{{openPositions}}', openPositions)
       .replace('{{marketData}}', marketDataStr)
       .replace('{{currentDate}}', currentDate) + 
-      cooldownInfo;
+      cooldownInfo +
+      pendingOrderInfo;
   }
 
   /**
    * Generate full prompt WITH history (for sending to LLM)
    */
-  generatePromptWithHistory(portfolio, marketData, basePrompt, historyContext, cooldowns, recentOrders) {
-    const basePromptGenerated = this.generateBasePrompt(portfolio, marketData, basePrompt, cooldowns, recentOrders);
+  generatePromptWithHistory(portfolio, marketData, basePrompt, historyContext, cooldowns, recentOrders, pendingOrders = []) {
+    const basePromptGenerated = this.generateBasePrompt(portfolio, marketData, basePrompt, cooldowns, recentOrders, Date.now(), pendingOrders);
     return basePromptGenerated + historyContext;
   }
 
@@ -2121,14 +2965,14 @@ Could not parse response. Response: ${responseText.substring(0, 200)}...
     if (portfolio.positions && portfolio.positions.length > 0) {
       openPositions = portfolio.positions.map(p => {
         // Try to find when this position was opened from recent orders
-        const openOrder = recentOrders?.find(o => o.symbol === p.symbol && o.exitPrice === 0);
+        const openOrder = recentOrders?.find(o => o.symbol === p.symbol && o.exitPrice === 0 && !o.partial);
         const minutesOpen = openOrder ? Math.floor((now - openOrder.timestamp) / 60000) : '?';
         const hoursOpen = minutesOpen !== '?' ? (minutesOpen / 60).toFixed(1) : '?';
         
         // Calculate unrealized P&L percentage
         const pnlPercent = p.pnl && p.size ? ((p.pnl / p.size) * 100).toFixed(2) : '0';
         
-        return `Position ${p.id}: ${p.type} ${p.symbol} | Entry: $${p.entryPrice.toFixed(4)} | Current PnL: $${(p.pnl || 0).toFixed(2)} (${pnlPercent}%) | Margin: $${p.size.toFixed(2)} | Leverage: ${p.leverage}x | Open: ${hoursOpen}h (${minutesOpen}min) | SL: ${p.stopLoss ? '$' + p.stopLoss.toFixed(4) : 'N/A'} | TP: ${p.takeProfit ? '$' + p.takeProfit.toFixed(4) : 'N/A'} | Liq: $${p.liquidationPrice.toFixed(4)}`;
+        return `Position ${p.id}: ${p.type} ${p.symbol} | Entry: $${p.entryPrice.toFixed(4)} | Current PnL: $${(p.pnl || 0).toFixed(2)} (${pnlPercent}%) | Margin: $${p.size.toFixed(2)} | Leverage: ${p.leverage}x | Quantity: ${parseFloat(((p.size * p.leverage) / p.entryPrice).toPrecision(6))} | Open: ${hoursOpen}h (${minutesOpen}min) | SL: ${p.stopLoss ? '$' + p.stopLoss.toFixed(4) : 'N/A'} | TP: ${p.takeProfit ? '$' + p.takeProfit.toFixed(4) : 'N/A'} | Liq: $${p.liquidationPrice.toFixed(4)}`;
       }).join('\n');
     }
     
@@ -2139,7 +2983,8 @@ Could not parse response. Response: ${responseText.substring(0, 200)}...
                     m.price24hChange < -1 ? 'Strong Bearish' :
                     m.price24hChange < -0.2 ? 'Bearish' : 'Neutral';
       
-      return `${m.symbol}: $${m.price.toFixed(4)} | 24h: ${m.price24hChange >= 0 ? '+' : ''}${m.price24hChange.toFixed(2)}% (${trend})`;
+      const funding = Number.isFinite(m.fundingRate) ? ` | Funding: ${m.fundingRate >= 0 ? '+' : ''}${(m.fundingRate * 100).toFixed(4)}%` : '';
+      return `${m.symbol}: $${m.price.toFixed(4)} | 24h: ${m.price24hChange >= 0 ? '+' : ''}${m.price24hChange.toFixed(2)}% (${trend})${funding}`;
     }).join('\n');
     
     // Format decision history with enhanced outcomes
@@ -2155,7 +3000,7 @@ Could not parse response. Response: ${responseText.substring(0, 200)}...
         
         if (log.decisions && log.decisions.length > 0) {
           log.decisions.forEach((d, idx) => {
-            decisionHistory += `  Decision ${idx + 1}: ${d.action} ${d.symbol || d.closePositionId || ''}\n`;
+            decisionHistory += `  Decision ${idx + 1}: ${d.action} ${d.symbol || d.closePositionId || d.positionId || d.orderId || ''}\n`;
             decisionHistory += `  Reasoning: ${d.reasoning}\n`;
             
             if (d.action === 'LONG' || d.action === 'SHORT') {
@@ -2213,14 +3058,91 @@ Could not parse response. Response: ${responseText.substring(0, 200)}...
     const minTradeSize = this.settings.minimum_trade_size_usd || 50;
     
     for (const decision of decisions) {
+      const isEntry = decision.action === 'LONG' || decision.action === 'SHORT';
+      
+      // Rule: MODIFY and CANCEL must say what they apply to
+      if (decision.action === 'MODIFY' && !decision.positionId) {
+        notes.push(`REJECTED MODIFY: No positionId given.`);
+        continue;
+      }
+      if (decision.action === 'CANCEL' && !decision.orderId) {
+        notes.push(`REJECTED CANCEL: No orderId given.`);
+        continue;
+      }
+      
+      // Rule: ADD and REDUCE must name an open position, and trade its symbol at its leverage
+      const isScaling = decision.action === 'ADD' || decision.action === 'REDUCE';
+      const position = isScaling && decision.positionId ? this.findPosition(bot, decision.positionId) : null;
+      if (isScaling) {
+        if (!position) {
+          notes.push(`REJECTED ${decision.action}: Position ${decision.positionId || '(none given)'} not found.`);
+          continue;
+        }
+        decision.symbol = position.symbol;
+        if (decision.action === 'ADD' && !(decision.size > 0)) {
+          notes.push(`REJECTED ADD ${decision.symbol}: No size (margin in USD) given.`);
+          continue;
+        }
+      }
+      
+      // Rule: A partial close gives either a percentage or a quantity
+      if (decision.action === 'CLOSE' || decision.action === 'REDUCE') {
+        const label = `${decision.action} ${decision.closePositionId || decision.positionId}`;
+        const hasPercent = decision.closePercent !== undefined && decision.closePercent !== null;
+        const hasQuantity = decision.closeQuantity !== undefined && decision.closeQuantity !== null;
+        if (hasPercent && hasQuantity) {
+          notes.push(`REJECTED ${label}: Give closePercent or closeQuantity, not both.`);
+          continue;
+        }
+        if (hasPercent && !(decision.closePercent > 0 && decision.closePercent <= 100)) {
+          notes.push(`REJECTED ${label}: closePercent must be above 0 and at most 100.`);
+          continue;
+        }
+        if (hasQuantity && !(decision.closeQuantity > 0)) {
+          notes.push(`REJECTED ${label}: closeQuantity must be above 0.`);
+          continue;
+        }
+        if (decision.action === 'REDUCE' && !hasPercent && !hasQuantity) {
+          notes.push(`REJECTED ${label}: Give closePercent or closeQuantity.`);
+          continue;
+        }
+      }
+      
+      // Rule: Known order type, with a price for LIMIT and STOP entries
+      const orderType = String(decision.orderType || 'MARKET').toUpperCase();
+      if (isEntry && orderType !== 'MARKET') {
+        if (!PENDING_ORDER_TYPES.includes(orderType)) {
+          notes.push(`REJECTED ${decision.action} ${decision.symbol}: Unknown order type ${decision.orderType} (use MARKET, LIMIT or STOP).`);
+          continue;
+        }
+        if (!(decision.price > 0)) {
+          notes.push(`REJECTED ${orderType} ${decision.action} ${decision.symbol}: A ${orderType} order needs a price.`);
+          continue;
+        }
+      }
+      
       // Rule: Minimum trade size
-      if ((decision.action === 'LONG' || decision.action === 'SHORT') && decision.size && decision.size < minTradeSize) {
+      if ((isEntry || decision.action === 'ADD') && decision.size && decision.size < minTradeSize) {
         notes.push(`REJECTED ${decision.action} ${decision.symbol}: Margin $${decision.size.toFixed(2)} is below minimum of $${minTradeSize}.`);
         continue;
       }
       
-      // Rule: Adjust leverage
-      let adjustedLeverage = decision.leverage || 1;
+      // Rule: Trailing stop distance within the exchange's range (0 removes one on MODIFY)
+      let trailingStopPct = null;
+      if (decision.trailingStopPct !== undefined && decision.trailingStopPct !== null) {
+        trailingStopPct = Number(decision.trailingStopPct);
+        if (!Number.isFinite(trailingStopPct) || trailingStopPct < 0) {
+          notes.push(`NOTE: Ignored invalid trailingStopPct ${decision.trailingStopPct}.`);
+          trailingStopPct = null;
+        } else if (trailingStopPct > 0 && (trailingStopPct < MIN_TRAILING_STOP_PCT || trailingStopPct > MAX_TRAILING_STOP_PCT)) {
+          const clamped = Math.min(Math.max(trailingStopPct, MIN_TRAILING_STOP_PCT), MAX_TRAILING_STOP_PCT);
+          notes.push(`NOTE: Trailing stop adjusted from ${trailingStopPct}% to ${clamped}% (allowed range ${MIN_TRAILING_STOP_PCT}-${MAX_TRAILING_STOP_PCT}%).`);
+          trailingStopPct = clamped;
+        }
+      }
+      
+      // Rule: Adjust leverage (an ADD keeps the position's leverage)
+      let adjustedLeverage = position ? position.leverage : decision.leverage || 1;
       if ((decision.action === 'LONG' || decision.action === 'SHORT') && decision.symbol) {
         const maxLeverage = this.leverageLimits.get(decision.symbol) || 25;
         if (adjustedLeverage > maxLeverage) {
@@ -2229,305 +3151,475 @@ Could not parse response. Response: ${responseText.substring(0, 200)}...
         }
       }
       
-      validatedDecisions.push({ decision, adjustedLeverage });
+      validatedDecisions.push({ decision, adjustedLeverage, orderType: isEntry ? orderType : null, trailingStopPct });
     }
     
     return validatedDecisions;
   }
 
   /**
-   * Execute validated trading decisions
+   * Risk limits in force for a bot (the stricter of the global and its own)
    */
-  async executeDecisions(bot, validatedDecisions, notes) {
-    const minTradeSize = this.settings.minimum_trade_size_usd || 50;
-    const symbolCooldownMs = this.settings.symbol_cooldown_ms || 1800000;
-    
-    for (const { decision, adjustedLeverage } of validatedDecisions) {
-      const market = this.markets.find(m => m.symbol === decision.symbol);
-      
-      try {
-        if ((decision.action === 'LONG' || decision.action === 'SHORT') && market && decision.size && decision.symbol) {
-          const availableBalance = bot.portfolio.balance;
-          let tradeSize = decision.size;
-          
-          // Check balance
-          if (availableBalance < minTradeSize) {
-            notes.push(`REJECTED ${decision.action} ${decision.symbol}: Available balance $${availableBalance.toFixed(2)} is below minimum.`);
-            continue;
-          }
-          
-          // Adjust size if needed
-          if (tradeSize > availableBalance) {
-            notes.push(`NOTE: Trade size adjusted from $${tradeSize.toFixed(2)} to fit available margin of $${availableBalance.toFixed(2)}.`);
-            tradeSize = availableBalance;
-          }
-          
-          if (tradeSize < minTradeSize) {
-            notes.push(`REJECTED ${decision.action} ${decision.symbol}: Adjusted size too small.`);
-            continue;
-          }
-          
-          if (bot.tradingMode === 'real') {
-            // Execute real trade
-            await this.executeRealTrade(bot, decision, market, tradeSize, adjustedLeverage, notes);
-          } else {
-            // Execute paper trade
-            this.executePaperTrade(bot, decision, market, tradeSize, adjustedLeverage, notes);
-          }
-        } else if (decision.action === 'CLOSE' && decision.closePositionId) {
-          await this.closePosition(bot, decision.closePositionId, market, notes);
-        }
-      } catch (error) {
-        console.error(`Error executing decision for ${bot.name}:`, error);
-        notes.push(`Execution Error: ${error.message}`);
-      }
-    }
+  getRiskLimits(bot) {
+    return resolveRiskLimits(this.settings, bot.riskLimits);
   }
 
   /**
-   * Execute real trade on exchange
+   * Drop decisions that would break the bot's portfolio risk limits, recording
+   * each rejection as a note and in the audit log
+   * @returns {Promise<Array>} Decisions that passed
    */
-  async executeRealTrade(bot, decision, market, tradeSize, adjustedLeverage, notes) {
-    const { apiKey, apiSecret } = await this.config.getApiKeysForBot(bot.id);
-    
-    // 1. Set Leverage
-    await this.makeAuthenticatedRequest(
-      'POST',
-      '/fapi/v1/leverage',
-      { symbol: decision.symbol, leverage: adjustedLeverage },
-      apiKey,
-      apiSecret
-    );
+  async applyRiskLimits(bot, validatedDecisions, notes) {
+    const limits = this.getRiskLimits(bot);
+    if (!Object.values(limits).some(Boolean)) {
+      return validatedDecisions;
+    }
     
-    // 2. Open Position
-    const rawQuantity = (tradeSize * adjustedLeverage) / market.price;
-    const quantity = this.getAdjustedQuantity(decision.symbol, rawQuantity);
+    const { approved, rejections } = await evaluateDecisions(bot, validatedDecisions, {
+      limits,
+      correlationThreshold: this.settings.risk_correlation_threshold || DEFAULT_CORRELATION_THRESHOLD,
+      // Backtests correlate the replayed history up to the simulated time
+      ...(bot.backtest && { getCorrelation: createCorrelationLookup(bot.backtest.getPriceSeries) })
+    });
     
-    if (quantity <= 0) {
-      notes.push(`Execution Warning: Calculated quantity for ${decision.symbol} is 0.`);
-      return;
+    for (const { decision, rule, message, limit, value } of rejections) {
+      console.warn(`   🛡️ ${bot.name}: rejected ${decision.action} ${decision.symbol} (${rule})`);
+      notes.push(`REJECTED ${decision.action} ${decision.symbol}: Risk limit - ${message}.`);
+      this.auditRiskEvent(bot, 'risk_limit_rejected', {
+        rule,
+        action: decision.action,
+        symbol: decision.symbol,
+        size: decision.size,
+        leverage: decision.leverage || 1,
+        limit,
+        value
+      });
     }
     
-    const orderResponse = await this.makeAuthenticatedRequest(
-      'POST',
-      '/fapi/v1/order',
-      {
-        symbol: decision.symbol,
-        side: decision.action === 'LONG' ? 'BUY' : 'SELL',
-        type: 'MARKET',
-        quantity
-      },
-      apiKey,
-      apiSecret
-    );
+    return approved;
+  }
+
+  /**
+   * Update a bot's daily loss and drawdown tracking and act on it: the daily
+   * loss limit stops new positions for the rest of the UTC day, and the
+   * drawdown kill-switch cancels the bot's pending orders and pauses it until
+   * its owner resumes it
+   * @returns {Promise<boolean>} Whether the kill-switch just paused the bot
+   */
+  async enforceRiskLimits(bot) {
+    if (!bot.portfolio) {
+      return false;
+    }
     
-    // Calculate liquidation price for tracking
-    const isLong = decision.action === 'LONG';
-    const liquidationPrice = isLong
-      ? market.price * (1 - (1 / adjustedLeverage))
-      : market.price * (1 + (1 / adjustedLeverage));
+    const state = updateRiskState(bot, new Date(this.getBotTime(bot)));
+    const limits = this.getRiskLimits(bot);
+    const equity = bot.portfolio.totalValue;
     
-    // Create position ID for database tracking
-    const positionId = `pos_${Date.now()}_${Math.random().toString(36).slice(2, 9)}`;
-    const tradeId = `order_${Date.now()}_${Math.random().toString(36).slice(2, 9)}`;
-    const entryFee = tradeSize * 0.0004; // Real trading fee (0.04%)
+    if (limits.dailyLossLimitPct && state.dailyHaltDay !== state.day) {
+      const dailyLossPct = getDailyLossPct(state, equity);
+      if (dailyLossPct >= limits.dailyLossLimitPct) {
+        state.dailyHaltDay = state.day;
+        const message = `${bot.name} is down ${dailyLossPct.toFixed(1)}% today (limit ${limits.dailyLossLimitPct}%) - no new positions until 00:00 UTC`;
+        console.warn(`   🛡️ ${message}`);
+        this.auditRiskEvent(bot, 'risk_daily_halt', { rule: 'daily_loss_limit', limit: limits.dailyLossLimitPct, value: dailyLossPct });
+        this.notifyRisk(bot, 'daily_loss_limit', message, false);
+      }
+    }
+    
+    if (limits.maxDrawdownPct && !state.killSwitchAt) {
+      const drawdownPct = getDrawdownPct(state, equity);
+      if (drawdownPct >= limits.maxDrawdownPct) {
+        state.killSwitchAt = this.getBotTime(bot);
+        const message = `${bot.name} is ${drawdownPct.toFixed(1)}% below its peak equity (limit ${limits.maxDrawdownPct}%) - kill-switch paused the bot`;
+        console.warn(`   🛑 ${message}`);
+        this.auditRiskEvent(bot, 'risk_kill_switch', { rule: 'max_drawdown', limit: limits.maxDrawdownPct, value: drawdownPct, peak_value: state.peakValue, equity });
+        await this.cancelAllPendingOrders(bot, 'Drawdown kill-switch');
+        if (bot.backtest) {
+          bot.isPaused = true;
+        } else {
+          try {
+            await this.setBotPaused(bot.id, true);
+          } catch (error) {
+            console.error(`[BotManager] Failed to pause ${bot.name}:`, error.message);
+          }
+        }
+        this.notifyRisk(bot, 'max_drawdown', message, true);
+        return true;
+      }
+    }
+    
+    return false;
+  }
+
+  /**
+   * Record a risk engine event in the audit log
+   */
+  auditRiskEvent(bot, eventType, details) {
+    if (bot.backtest) {
+      return;
+    }
     
-    // Write position to database
     try {
-      relationalDb.createPosition({
-        id: positionId,
+      relationalDb.createAuditLog({
+        event_type: eventType,
+        entity_type: 'bot',
+        entity_id: bot.id,
         user_id: bot.userId,
-        bot_id: bot.id,
-        symbol: decision.symbol,
-        position_type: decision.action,
-        entry_price: market.price,
-        size: tradeSize,
-        leverage: adjustedLeverage,
-        liquidation_price: liquidationPrice,
-        stop_loss: decision.stopLoss || null,
-        take_profit: decision.takeProfit || null,
-        unrealized_pnl: 0,
-        status: 'open'
+        details: { bot_name: bot.name, ...details }
       });
     } catch (dbError) {
-      console.error(`[BotManager] Failed to write real position to database for ${bot.name}:`, dbError.message);
-      // Continue - don't fail the trade if DB write fails
+      console.error(`[BotManager] Failed to write risk audit log for ${bot.name}:`, dbError.message);
+    }
+  }
+
+  /**
+   * Tell the bot's owner a risk limit halted or paused it
+   */
+  notifyRisk(bot, rule, message, paused) {
+    if (!this.wsServer || !bot.userId || bot.backtest) {
+      return;
     }
+    this.wsServer.broadcastToUser(bot.userId, {
+      type: 'risk_alert',
+      payload: { botId: bot.id, botName: bot.name, rule, paused, message }
+    });
+  }
+
+  /**
+   * Execute validated trading decisions
+   */
+  async executeDecisions(bot, validatedDecisions, notes) {
+    const minTradeSize = this.settings.minimum_trade_size_usd || 50;
+    const symbolCooldownMs = this.settings.symbol_cooldown_ms || 1800000;
+    const costModel = this.getCostModel();
+    const markets = this.getTurnMarkets(bot);
     
-    // Write entry trade to database
+    for (const { decision, adjustedLeverage, orderType = 'MARKET', trailingStopPct = null } of validatedDecisions) {
+      const market = markets.find(m => m.symbol === decision.symbol);
+      
+      try {
+        if ((decision.action === 'LONG' || decision.action === 'SHORT' || decision.action === 'ADD') && market && decision.size && decision.symbol) {
+          const availableBalance = bot.portfolio.balance;
+          let tradeSize = decision.size;
+          
+          // Check balance
+          if (availableBalance < minTradeSize) {
+            notes.push(`REJECTED ${decision.action} ${decision.symbol}: Available balance $${availableBalance.toFixed(2)} is below minimum.`);
+            continue;
+          }
+          
+          // Adjust size if needed (paper fills pay their entry fee on top of the margin)
+          const maxTradeSize = bot.tradingMode === 'real'
+            ? availableBalance
+            : availableBalance / (1 + adjustedLeverage * costModel.takerFeeRate * (1 + costModel.maxSlippageBps / 10000));
+          if (tradeSize > maxTradeSize) {
+            notes.push(`NOTE: Trade size adjusted from $${tradeSize.toFixed(2)} to fit available margin of $${maxTradeSize.toFixed(2)}.`);
+            tradeSize = maxTradeSize;
+          }
+          
+          if (tradeSize < minTradeSize) {
+            notes.push(`REJECTED ${decision.action} ${decision.symbol}: Adjusted size too small.`);
+            continue;
+          }
+          
+          if (decision.action === 'ADD') {
+            // Scale into an open position
+            await this.addToPosition(bot, decision, tradeSize, market, notes);
+          } else if (orderType !== 'MARKET') {
+            // Rest a LIMIT/STOP entry until its price is reached
+            await this.placePendingOrder(bot, { decision, orderType, tradeSize, leverage: adjustedLeverage, trailingStopPct }, market, notes);
+          } else if (bot.tradingMode === 'real') {
+            // Execute real trade
+            await this.executeRealTrade(bot, decision, market, tradeSize, adjustedLeverage, notes, { trailingStopPct });
+          } else {
+            // Execute paper trade
+            this.executePaperTrade(bot, decision, market, tradeSize, adjustedLeverage, notes, { trailingStopPct });
+          }
+        } else if ((decision.action === 'CLOSE' && decision.closePositionId) || decision.action === 'REDUCE') {
+          // closePercent / closeQuantity close part of the position (CLOSE names no symbol - use the position's)
+          const positionId = decision.action === 'REDUCE' ? decision.positionId : decision.closePositionId;
+          const position = this.findPosition(bot, positionId);
+          const positionMarket = position ? markets.find(m => m.symbol === position.symbol) : undefined;
+          await this.closePosition(bot, positionId, positionMarket, notes, null, position ? this.getClosePortion(position, decision) : 1);
+        } else if (decision.action === 'MODIFY') {
+          await this.modifyPosition(bot, decision, trailingStopPct, notes);
+        } else if (decision.action === 'CANCEL') {
+          await this.cancelPendingOrder(bot, decision.orderId, notes);
+        }
+      } catch (error) {
+        console.error(`Error executing decision for ${bot.name}:`, error);
+        notes.push(`Execution Error: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Execute real trade on exchange
+   */
+  async executeRealTrade(bot, decision, market, tradeSize, adjustedLeverage, notes, { trailingStopPct = null } = {}) {
+    const { adapter, credentials } = await this.getExchangeForBot(bot.id);
+    
+    // 1. Set Leverage
+    await adapter.setLeverage(credentials, decision.symbol, adjustedLeverage);
+    
+    // 2. Open Position
+    const rawQuantity = (tradeSize * adjustedLeverage) / market.price;
+    const quantity = this.getAdjustedQuantity(decision.symbol, rawQuantity);
+    
+    if (quantity <= 0) {
+      notes.push(`Execution Warning: Calculated quantity for ${decision.symbol} is 0.`);
+      return;
+    }
+    
+    const orderResponse = await adapter.placeOrder(credentials, {
+      symbol: decision.symbol,
+      side: decision.action === 'LONG' ? 'BUY' : 'SELL',
+      type: 'MARKET',
+      quantity
+    });
+    
+    // 3. Record it and place Stop-Loss, Take-Profit and trailing stop
+    await this.recordRealEntry(bot, {
+      symbol: decision.symbol,
+      type: decision.action,
+      entryPrice: market.price,
+      size: tradeSize,
+      leverage: adjustedLeverage,
+      quantity,
+      stopLoss: decision.stopLoss,
+      takeProfit: decision.takeProfit,
+      trailingStopPct
+    }, { adapter, credentials }, notes);
+  }
+  
+  /**
+   * Record a filled real entry in the database and place its protective orders
+   * @param {Object} entry - { symbol, type, entryPrice, size, leverage, quantity, stopLoss, takeProfit, trailingStopPct }
+   * @param {Object} exchange - { adapter, credentials } from getExchangeForBot
+   * @returns {Promise<string>} Position ID
+   */
+  async recordRealEntry(bot, entry, { adapter, credentials }, notes) {
+    // Calculate liquidation price for tracking
+    const isLong = entry.type === 'LONG';
+    const liquidationPrice = isLong
+      ? entry.entryPrice * (1 - (1 / entry.leverage))
+      : entry.entryPrice * (1 + (1 / entry.leverage));
+    
+    // Create position ID for database tracking
+    const positionId = `pos_${Date.now()}_${Math.random().toString(36).slice(2, 9)}`;
+    const tradeId = `order_${Date.now()}_${Math.random().toString(36).slice(2, 9)}`;
+    const entryFee = entry.size * 0.0004; // Real trading fee (0.04%)
+    
+    // Write position and entry trade to database together
     try {
-      relationalDb.createTrade({
-        id: tradeId,
-        user_id: bot.userId,
-        bot_id: bot.id,
-        position_id: positionId,
-        symbol: decision.symbol,
-        trade_type: decision.action,
-        action: 'OPEN',
-        entry_price: market.price,
-        exit_price: null,
-        size: tradeSize,
-        leverage: adjustedLeverage,
-        pnl: -entryFee, // Entry fee is negative PnL
-        fee: entryFee,
-        executed_at: new Date().toISOString()
+      relationalDb.transaction(() => {
+        relationalDb.createPosition({
+          id: positionId,
+          user_id: bot.userId,
+          bot_id: bot.id,
+          bot_version_id: bot.versionId,
+          symbol: entry.symbol,
+          position_type: entry.type,
+          entry_price: entry.entryPrice,
+          size: entry.size,
+          leverage: entry.leverage,
+          liquidation_price: liquidationPrice,
+          stop_loss: entry.stopLoss || null,
+          take_profit: entry.takeProfit || null,
+          trailing_stop_pct: entry.trailingStopPct || null,
+          unrealized_pnl: 0,
+          status: 'open'
+        });
+        relationalDb.createTrade({
+          id: tradeId,
+          user_id: bot.userId,
+          bot_id: bot.id,
+          position_id: positionId,
+          symbol: entry.symbol,
+          trade_type: entry.type,
+          action: 'OPEN',
+          entry_price: entry.entryPrice,
+          exit_price: null,
+          size: entry.size,
+          leverage: entry.leverage,
+          pnl: -entryFee, // Entry fee is negative PnL
+          fee: entryFee,
+          executed_at: new Date().toISOString()
+        });
       });
     } catch (dbError) {
-      console.error(`[BotManager] Failed to write real entry trade to database for ${bot.name}:`, dbError.message);
+      console.error(`[BotManager] Failed to write real position and entry trade to database for ${bot.name}:`, dbError.message);
       // Continue - don't fail the trade if DB write fails
     }
     
-    notes.push(`SUCCESS: Opened ${decision.action} ${decision.symbol} position (Real Trading).`);
+    notes.push(`SUCCESS: Opened ${entry.type} ${entry.symbol} position (Real Trading).`);
     
-    // 3. Place Stop-Loss and Take-Profit
-    const orderSide = decision.action === 'LONG' ? 'SELL' : 'BUY';
+    await this.placeProtectiveOrders(bot, entry, { adapter, credentials }, notes);
     
-    if (decision.stopLoss) {
-      try {
-        await this.makeAuthenticatedRequest(
-          'POST',
-          '/fapi/v1/order',
-          {
-            symbol: decision.symbol,
-            side: orderSide,
-            type: 'STOP_MARKET',
-            stopPrice: decision.stopLoss,
-            quantity,
-            reduceOnly: 'true'
-          },
-          apiKey,
-          apiSecret
-        );
-        notes.push(`SUCCESS: Stop-Loss order placed for ${decision.symbol}.`);
-      } catch (error) {
-        notes.push(`ERROR: Failed to place Stop-Loss for ${decision.symbol}: ${error.message}`);
-      }
-    }
+    return positionId;
+  }
+  
+  /**
+   * Place reduce-only Stop-Loss, Take-Profit and trailing stop orders for a real position
+   * @param {Object} levels - { symbol, type, quantity, stopLoss?, takeProfit?, trailingStopPct? }
+   */
+  async placeProtectiveOrders(bot, levels, { adapter, credentials }, notes) {
+    const orderSide = levels.type === 'LONG' ? 'SELL' : 'BUY';
+    const protectiveOrders = [
+      { value: levels.stopLoss, label: 'Stop-Loss', order: { type: 'STOP_MARKET', stopPrice: levels.stopLoss } },
+      { value: levels.takeProfit, label: 'Take-Profit', order: { type: 'TAKE_PROFIT_MARKET', stopPrice: levels.takeProfit } },
+      { value: levels.trailingStopPct, label: 'Trailing stop', order: { type: 'TRAILING_STOP_MARKET', callbackRate: levels.trailingStopPct } }
+    ];
     
-    if (decision.takeProfit) {
+    for (const { value, label, order } of protectiveOrders) {
+      if (!value) {
+        continue;
+      }
       try {
-        await this.makeAuthenticatedRequest(
-          'POST',
-          '/fapi/v1/order',
-          {
-            symbol: decision.symbol,
-            side: orderSide,
-            type: 'TAKE_PROFIT_MARKET',
-            stopPrice: decision.takeProfit,
-            quantity,
-            reduceOnly: 'true'
-          },
-          apiKey,
-          apiSecret
-        );
-        notes.push(`SUCCESS: Take-Profit order placed for ${decision.symbol}.`);
+        await adapter.placeOrder(credentials, {
+          symbol: levels.symbol,
+          side: orderSide,
+          quantity: levels.quantity,
+          reduceOnly: true,
+          ...order
+        });
+        notes.push(`SUCCESS: ${label} order placed for ${levels.symbol}.`);
       } catch (error) {
-        notes.push(`ERROR: Failed to place Take-Profit for ${decision.symbol}: ${error.message}`);
+        notes.push(`ERROR: Failed to place ${label} for ${levels.symbol}: ${error.message}`);
       }
     }
   }
 
   /**
    * Execute paper trade (simulation)
+   * @param {Object} options
+   * @param {number|null} options.trailingStopPct - Trailing stop distance in %
+   * @param {boolean} options.maker - A resting LIMIT order filled at its own price (market.price)
+   * @returns {Object} The new position
    */
-  executePaperTrade(bot, decision, market, tradeSize, adjustedLeverage, notes) {
+  executePaperTrade(bot, decision, market, tradeSize, adjustedLeverage, notes, { trailingStopPct = null, maker = false } = {}) {
     const isLong = decision.action === 'LONG';
+    const fill = fillOrder(this.getCostModel(), {
+      side: isLong ? 'BUY' : 'SELL',
+      price: market.price,
+      quantity: (tradeSize * adjustedLeverage) / market.price,
+      maker
+    });
     const liquidationPrice = isLong
-      ? market.price * (1 - (1 / adjustedLeverage))
-      : market.price * (1 + (1 / adjustedLeverage));
+      ? fill.price * (1 - (1 / adjustedLeverage))
+      : fill.price * (1 + (1 / adjustedLeverage));
     
+    const openedAt = this.getBotTime(bot);
     const position = {
-      id: `pos_${Date.now()}_${Math.random().toString(36).slice(2, 9)}`,
+      id: `pos_${openedAt}_${Math.random().toString(36).slice(2, 9)}`,
       symbol: decision.symbol,
       type: decision.action,
-      entryPrice: market.price,
+      entryPrice: fill.price,
       size: tradeSize,
       leverage: adjustedLeverage,
       liquidationPrice,
       stopLoss: decision.stopLoss,
       takeProfit: decision.takeProfit,
-      pnl: 0
+      trailingStopPct: trailingStopPct || null,
+      trailingPeakPrice: trailingStopPct ? fill.price : null,
+      pnl: 0,
+      fundingPaid: 0,
+      openedAt,
+      lastFundingAt: null
     };
+    if (position.trailingStopPct) {
+      position.stopLoss = this.getTrailedStopLoss(position);
+    }
     
     bot.portfolio.positions.push(position);
-    bot.portfolio.balance -= tradeSize;
+    bot.portfolio.balance -= tradeSize + fill.fee;
+    bot.realizedPnl = (bot.realizedPnl || 0) - fill.fee;
     
-    // Write position to database
-    try {
-      relationalDb.createPosition({
-        id: position.id,
-        user_id: bot.userId,
-        bot_id: bot.id,
-        symbol: position.symbol,
-        position_type: position.type,
-        entry_price: position.entryPrice,
-        size: position.size,
-        leverage: position.leverage,
-        liquidation_price: position.liquidationPrice,
-        stop_loss: position.stopLoss || null,
-        take_profit: position.takeProfit || null,
-        unrealized_pnl: position.pnl,
-        status: 'open'
-      });
-    } catch (dbError) {
-      console.error(`[BotManager] Failed to write position to database for ${bot.name}:`, dbError.message);
-      // Continue trading - don't fail the trade if DB write fails
-    }
-    
-    // Create order record
-    const entryFee = tradeSize * 0.03;
+    // Create order record (slippage is already in the entry price, so only the fee is charged)
     const entryOrder = {
-      id: `order_${Date.now()}_${Math.random().toString(36).slice(2, 9)}`,
+      id: `order_${openedAt}_${Math.random().toString(36).slice(2, 9)}`,
       symbol: decision.symbol,
       type: decision.action,
       size: tradeSize,
       leverage: adjustedLeverage,
-      pnl: -entryFee,
-      fee: entryFee,
-      timestamp: Date.now(),
-      entryPrice: market.price,
+      pnl: -fill.fee,
+      fee: fill.fee,
+      slippage: fill.slippage,
+      funding: 0,
+      timestamp: openedAt,
+      entryPrice: fill.price,
       exitPrice: 0
     };
     
     bot.orders.unshift(entryOrder);
     
-    // Write entry trade to database
-    try {
-      relationalDb.createTrade({
-        id: entryOrder.id,
-        user_id: bot.userId,
-        bot_id: bot.id,
-        position_id: position.id,
-        symbol: entryOrder.symbol,
-        trade_type: entryOrder.type,
-        action: 'OPEN',
-        entry_price: entryOrder.entryPrice,
-        exit_price: null,
-        size: entryOrder.size,
-        leverage: entryOrder.leverage,
-        pnl: entryOrder.pnl,
-        fee: entryOrder.fee,
-        executed_at: new Date(entryOrder.timestamp).toISOString()
-      });
-    } catch (dbError) {
-      console.error(`[BotManager] Failed to write entry trade to database for ${bot.name}:`, dbError.message);
-      // Continue trading - don't fail the trade if DB write fails
+    if (!bot.backtest) {
+      // Write position and entry trade to database together (the balance is rebuilt from them on restart)
+      try {
+        relationalDb.transaction(() => {
+          relationalDb.createPosition({
+            id: position.id,
+            user_id: bot.userId,
+            bot_id: bot.id,
+            bot_version_id: bot.versionId,
+            symbol: position.symbol,
+            position_type: position.type,
+            entry_price: position.entryPrice,
+            size: position.size,
+            leverage: position.leverage,
+            liquidation_price: position.liquidationPrice,
+            stop_loss: position.stopLoss || null,
+            take_profit: position.takeProfit || null,
+            trailing_stop_pct: position.trailingStopPct,
+            trailing_peak_price: position.trailingPeakPrice,
+            unrealized_pnl: position.pnl,
+            status: 'open'
+          });
+          relationalDb.createTrade({
+            id: entryOrder.id,
+            user_id: bot.userId,
+            bot_id: bot.id,
+            position_id: position.id,
+            symbol: entryOrder.symbol,
+            trade_type: entryOrder.type,
+            action: 'OPEN',
+            entry_price: entryOrder.entryPrice,
+            exit_price: null,
+            size: entryOrder.size,
+            leverage: entryOrder.leverage,
+            pnl: entryOrder.pnl,
+            fee: entryOrder.fee,
+            slippage: entryOrder.slippage,
+            executed_at: new Date(entryOrder.timestamp).toISOString()
+          });
+        });
+      } catch (dbError) {
+        console.error(`[BotManager] Failed to write position and entry trade to database for ${bot.name}:`, dbError.message);
+        // Continue trading - don't fail the trade if DB write fails
+      }
     }
     
-    notes.push(`SUCCESS: Opened ${decision.action} ${decision.symbol} position with $${tradeSize.toFixed(2)} margin at $${market.price.toFixed(2)}.`);
+    notes.push(`SUCCESS: Opened ${decision.action} ${decision.symbol} position with $${tradeSize.toFixed(2)} margin at $${fill.price.toFixed(2)} (fee: $${fill.fee.toFixed(2)}, slippage: $${fill.slippage.toFixed(2)}).`);
+    
+    return position;
   }
 
   /**
-   * Close position
+   * Close all or part of a position
+   * A partial close realizes PnL on the closed share only; the rest of the
+   * position keeps its entry price, leverage and levels.
+   * @param {string|null} closeReason - 'SL', 'TP', 'TRAIL' or 'LIQUIDATION' when closed by a trigger,
+   *   'END_OF_TEST' when a backtest ends, null otherwise
+   * @param {number} portion - Share of the position to close (1 = all of it)
    */
-  async closePosition(bot, positionId, market, notes) {
-    const posToClose = bot.portfolio.positions.find(p => p.id === positionId);
+  async closePosition(bot, positionId, market, notes, closeReason = null, portion = 1) {
+    const posToClose = this.findPosition(bot, positionId);
     if (!posToClose) {
       notes.push(`NOTE: Position ${positionId} not found, may have been auto-closed.`);
       return;
     }
     
-    const currentMarket = market || this.markets.find(m => m.symbol === posToClose.symbol);
+    const currentMarket = market || this.getTurnMarkets(bot).find(m => m.symbol === posToClose.symbol);
     if (!currentMarket) {
       notes.push(`ERROR: Market data not found for ${posToClose.symbol}`);
       return;
@@ -2538,88 +3630,124 @@ Could not parse response. Response: ${responseText.substring(0, 200)}...
     
     if (bot.tradingMode === 'real') {
       // Close real position
-      const { apiKey, apiSecret } = await this.config.getApiKeysForBot(bot.id);
+      const exchange = await this.getExchangeForBot(bot.id);
+      const { adapter, credentials } = exchange;
       const rawQuantity = Math.abs((posToClose.size * posToClose.leverage) / posToClose.entryPrice);
-      const quantity = this.getAdjustedQuantity(posToClose.symbol, rawQuantity);
+      let fullQuantity = this.getAdjustedQuantity(posToClose.symbol, rawQuantity);
+      if (portion < 1) {
+        // Size a partial close from the exchange's exact quantity
+        const exchangePosition = (await adapter.getPositions(credentials)).find(p => p.symbol === posToClose.symbol);
+        fullQuantity = exchangePosition ? Math.abs(exchangePosition.quantity) : fullQuantity;
+      }
+      const quantity = portion < 1 ? this.getAdjustedQuantity(posToClose.symbol, fullQuantity * portion) : fullQuantity;
+      
+      if (portion < 1 && quantity <= 0) {
+        notes.push(`REJECTED REDUCE ${posToClose.symbol}: ${+(portion * 100).toFixed(2)}% of the position is below the minimum order quantity.`);
+        return;
+      }
       
       if (quantity > 0) {
-        await this.makeAuthenticatedRequest(
-          'POST',
-          '/fapi/v1/order',
-          {
-            symbol: posToClose.symbol,
-            side: posToClose.type === 'LONG' ? 'SELL' : 'BUY',
-            type: 'MARKET',
-            quantity,
-            reduceOnly: 'true'
-          },
-          apiKey,
-          apiSecret
-        );
+        await adapter.placeOrder(credentials, {
+          symbol: posToClose.symbol,
+          side: posToClose.type === 'LONG' ? 'SELL' : 'BUY',
+          type: 'MARKET',
+          quantity,
+          reduceOnly: true
+        });
         
-        bot.symbolCooldowns[posToClose.symbol] = Date.now() + symbolCooldownMs;
+        // Rounding can leave nothing of a partial close to keep open
+        const isFullClose = quantity >= fullQuantity;
+        const closedSize = isFullClose ? posToClose.size : posToClose.size * (quantity / fullQuantity);
+        if (isFullClose) {
+          bot.symbolCooldowns[posToClose.symbol] = Date.now() + symbolCooldownMs;
+        }
         
         // Calculate approximate PnL for database tracking
-        const assetQuantity = (posToClose.size * posToClose.leverage) / posToClose.entryPrice;
+        const assetQuantity = (closedSize * posToClose.leverage) / posToClose.entryPrice;
         const unrealizedPnl = posToClose.type === 'LONG'
           ? (currentMarket.price - posToClose.entryPrice) * assetQuantity
           : (posToClose.entryPrice - currentMarket.price) * assetQuantity;
         
-        const exitFee = posToClose.size * 0.0004; // Real trading fee (0.04%)
+        const exitFee = closedSize * 0.0004; // Real trading fee (0.04%)
         const netPnl = unrealizedPnl - exitFee;
         
-        // Update position in database to closed status
-        try {
-          relationalDb.updatePosition(positionId, {
-            status: 'closed',
-            closed_at: new Date().toISOString()
-          }, bot.userId);
-        } catch (dbError) {
-          console.error(`[BotManager] Failed to update real position status in database for ${bot.name}:`, dbError.message);
-          // Continue - don't fail the close if DB write fails
-        }
-        
-        // Write exit trade to database
+        // Update position in database (closed, or what is left of it) and write the exit trade together
+        const dbPosition = this.findOpenDbPosition(bot, posToClose);
         const exitTradeId = `order_${Date.now()}_${Math.random().toString(36).slice(2, 9)}`;
         try {
-          relationalDb.createTrade({
-            id: exitTradeId,
-            user_id: bot.userId,
-            bot_id: bot.id,
-            position_id: positionId,
-            symbol: posToClose.symbol,
-            trade_type: posToClose.type,
-            action: 'CLOSE',
-            entry_price: posToClose.entryPrice,
-            exit_price: currentMarket.price,
-            size: posToClose.size,
-            leverage: posToClose.leverage,
-            pnl: netPnl,
-            fee: exitFee,
-            executed_at: new Date().toISOString()
+          relationalDb.transaction(() => {
+            if (dbPosition) {
+              relationalDb.updatePosition(dbPosition.id, isFullClose
+                ? { status: 'closed', closed_at: new Date().toISOString() }
+                : { size: dbPosition.size * (1 - quantity / fullQuantity) }, bot.userId);
+            }
+            relationalDb.createTrade({
+              id: exitTradeId,
+              user_id: bot.userId,
+              bot_id: bot.id,
+              position_id: dbPosition ? dbPosition.id : null,
+              symbol: posToClose.symbol,
+              trade_type: posToClose.type,
+              action: 'CLOSE',
+              entry_price: posToClose.entryPrice,
+              exit_price: currentMarket.price,
+              size: closedSize,
+              leverage: posToClose.leverage,
+              pnl: netPnl,
+              fee: exitFee,
+              close_reason: closeReason,
+              executed_at: new Date().toISOString()
+            });
           });
         } catch (dbError) {
-          console.error(`[BotManager] Failed to write real exit trade to database for ${bot.name}:`, dbError.message);
+          console.error(`[BotManager] Failed to write real position close and exit trade to database for ${bot.name}:`, dbError.message);
           // Continue - don't fail the close if DB write fails
         }
         
-        notes.push(`SUCCESS: Closed ${posToClose.symbol} position (Real Trading). Approx PnL: $${netPnl.toFixed(2)}`);
+        if (isFullClose) {
+          notes.push(`SUCCESS: Closed ${posToClose.symbol} position (Real Trading). Approx PnL: $${netPnl.toFixed(2)}`);
+        } else {
+          notes.push(`SUCCESS: Closed ${quantity} of ${fullQuantity} ${posToClose.symbol} (Real Trading). Approx PnL: $${netPnl.toFixed(2)}`);
+          await this.resizeProtectiveOrders(bot, posToClose.symbol, exchange, notes);
+        }
       }
     } else {
-      // Close paper position
-      const assetQuantity = (posToClose.size * posToClose.leverage) / posToClose.entryPrice;
+      // Close paper position (liquidations fill at the liquidation price, without slippage)
+      const isFullClose = portion >= 1;
+      const closedSize = isFullClose ? posToClose.size : posToClose.size * portion;
+      const assetQuantity = (closedSize * posToClose.leverage) / posToClose.entryPrice;
+      const fill = fillOrder(this.getCostModel(), {
+        side: posToClose.type === 'LONG' ? 'SELL' : 'BUY',
+        price: currentMarket.price,
+        quantity: assetQuantity,
+        slippage: closeReason !== 'LIQUIDATION'
+      });
       const unrealizedPnl = posToClose.type === 'LONG'
-        ? (currentMarket.price - posToClose.entryPrice) * assetQuantity
-        : (posToClose.entryPrice - currentMarket.price) * assetQuantity;
+        ? (fill.price - posToClose.entryPrice) * assetQuantity
+        : (posToClose.entryPrice - fill.price) * assetQuantity;
       
-      const exitFee = posToClose.size * 0.03;
-      const netPnl = unrealizedPnl - exitFee;
+      const exitFee = fill.fee;
+      let settledPnl = unrealizedPnl - exitFee;
       
-      bot.portfolio.balance += posToClose.size + netPnl;
-      bot.portfolio.positions = bot.portfolio.positions.filter(p => p.id !== positionId);
+      // A liquidation can never lose more than the position's margin
+      if (closeReason === 'LIQUIDATION') {
+        settledPnl = Math.max(settledPnl, -posToClose.size);
+      }
+      
+      // Funding was taken from the balance as it fell due; the trade's PnL still includes the closed share of it
+      const fundingPaid = (posToClose.fundingPaid || 0) * (isFullClose ? 1 : portion);
+      const netPnl = settledPnl - fundingPaid;
+      
+      bot.portfolio.balance += closedSize + settledPnl;
       bot.realizedPnl = (bot.realizedPnl || 0) + netPnl;
+      if (isFullClose) {
+        bot.portfolio.positions = bot.portfolio.positions.filter(p => p.id !== posToClose.id);
+      } else {
+        posToClose.size -= closedSize;
+        posToClose.fundingPaid = (posToClose.fundingPaid || 0) - fundingPaid;
+      }
       
-      // Update stats
+      // Update stats (each close fill counts as a trade, as on the leaderboard)
       const previousTradeCount = bot.tradeCount || 0;
       bot.tradeCount = previousTradeCount + 1;
       
@@ -2632,60 +3760,721 @@ Could not parse response. Response: ${responseText.substring(0, 200)}...
       }
       
       // Create order record
+      const closedAt = this.getBotTime(bot);
       const exitOrder = {
-        id: `order_${Date.now()}_${Math.random().toString(36).slice(2, 9)}`,
+        id: `order_${closedAt}_${Math.random().toString(36).slice(2, 9)}`,
         symbol: posToClose.symbol,
         type: posToClose.type,
-        size: posToClose.size,
+        size: closedSize,
         leverage: posToClose.leverage,
         pnl: netPnl,
         fee: exitFee,
-        timestamp: Date.now(),
+        slippage: fill.slippage,
+        funding: fundingPaid,
+        timestamp: closedAt,
+        openedAt: posToClose.openedAt,
         entryPrice: posToClose.entryPrice,
-        exitPrice: currentMarket.price
+        exitPrice: fill.price,
+        closeReason,
+        partial: !isFullClose
       };
       
       bot.orders.unshift(exitOrder);
-      bot.symbolCooldowns[posToClose.symbol] = Date.now() + symbolCooldownMs;
+      if (isFullClose) {
+        bot.symbolCooldowns[posToClose.symbol] = closedAt + symbolCooldownMs;
+      }
       
-      // Update position in database to closed status
+      if (!bot.backtest) {
+        // Update position in database (closed, or what is left of it) and write the exit trade together
+        try {
+          relationalDb.transaction(() => {
+            relationalDb.updatePosition(posToClose.id, isFullClose
+              ? { status: 'closed', closed_at: new Date(exitOrder.timestamp).toISOString() }
+              : { size: posToClose.size, funding_paid: posToClose.fundingPaid }, bot.userId);
+            relationalDb.createTrade({
+              id: exitOrder.id,
+              user_id: bot.userId,
+              bot_id: bot.id,
+              position_id: posToClose.id,
+              symbol: exitOrder.symbol,
+              trade_type: exitOrder.type,
+              action: 'CLOSE',
+              entry_price: exitOrder.entryPrice,
+              exit_price: exitOrder.exitPrice,
+              size: exitOrder.size,
+              leverage: exitOrder.leverage,
+              pnl: exitOrder.pnl,
+              fee: exitOrder.fee,
+              slippage: exitOrder.slippage,
+              funding: exitOrder.funding,
+              close_reason: closeReason,
+              executed_at: new Date(exitOrder.timestamp).toISOString()
+            });
+          });
+        } catch (dbError) {
+          console.error(`[BotManager] Failed to write position close and exit trade to database for ${bot.name}:`, dbError.message);
+          // Continue - don't fail the close if DB write fails
+        }
+      }
+      
+      const shareLabel = isFullClose ? '' : `${+(portion * 100).toFixed(2)}% of `;
+      const remainingLabel = isFullClose ? '' : `. $${posToClose.size.toFixed(2)} margin remains open`;
+      const reasonLabel = closeReason ? ` [${closeReason} @ $${currentMarket.price}]` : '';
+      const fundingLabel = fundingPaid !== 0 ? `, funding: $${fundingPaid.toFixed(2)}` : '';
+      notes.push(`SUCCESS: Closed ${shareLabel}${posToClose.symbol} position${reasonLabel}. PnL: $${netPnl.toFixed(2)} (fee: $${exitFee.toFixed(2)}, slippage: $${fill.slippage.toFixed(2)}${fundingLabel})${remainingLabel}`);
+    }
+  }
+  
+  /**
+   * Share of a position a CLOSE or REDUCE decision closes (1 = all of it)
+   */
+  getClosePortion(position, decision) {
+    if (decision.closePercent) {
+      return Math.min(decision.closePercent / 100, 1);
+    }
+    if (decision.closeQuantity) {
+      const quantity = (position.size * position.leverage) / position.entryPrice;
+      return Math.min(decision.closeQuantity / quantity, 1);
+    }
+    return 1;
+  }
+  
+  /**
+   * Add margin to an open position at the market price (ADD)
+   * The position keeps its leverage and levels; its entry price becomes the
+   * quantity-weighted average of the old entry and the new fill, and its
+   * liquidation price moves with it.
+   */
+  async addToPosition(bot, decision, tradeSize, market, notes) {
+    const pos = this.findPosition(bot, decision.positionId);
+    if (!pos) {
+      notes.push(`NOTE: Position ${decision.positionId} not found, may have been closed.`);
+      return;
+    }
+    
+    const isLong = pos.type === 'LONG';
+    
+    if (bot.tradingMode === 'real') {
+      const exchange = await this.getExchangeForBot(bot.id);
+      const quantity = this.getAdjustedQuantity(pos.symbol, (tradeSize * pos.leverage) / market.price);
+      if (quantity <= 0) {
+        notes.push(`Execution Warning: Calculated quantity for ${pos.symbol} is 0.`);
+        return;
+      }
+      
+      await exchange.adapter.placeOrder(exchange.credentials, {
+        symbol: pos.symbol,
+        side: isLong ? 'BUY' : 'SELL',
+        type: 'MARKET',
+        quantity
+      });
+      
+      const entryFee = tradeSize * 0.0004; // Real trading fee (0.04%)
+      const dbPosition = this.findOpenDbPosition(bot, pos);
+      this.recordAddedMargin(bot, pos, dbPosition, { size: tradeSize, price: market.price, fee: entryFee, slippage: 0 });
+      Object.assign(pos, this.getScaledPosition(pos, tradeSize, market.price));
+      
+      notes.push(`SUCCESS: Added $${tradeSize.toFixed(2)} margin to ${pos.type} ${pos.symbol} position (Real Trading). Approx average entry: $${pos.entryPrice.toFixed(4)}.`);
+      await this.resizeProtectiveOrders(bot, pos.symbol, exchange, notes);
+      return;
+    }
+    
+    const fill = fillOrder(this.getCostModel(), {
+      side: isLong ? 'BUY' : 'SELL',
+      price: market.price,
+      quantity: (tradeSize * pos.leverage) / market.price
+    });
+    
+    bot.portfolio.balance -= tradeSize + fill.fee;
+    bot.realizedPnl = (bot.realizedPnl || 0) - fill.fee;
+    this.recordAddedMargin(bot, pos, pos, { size: tradeSize, price: fill.price, fee: fill.fee, slippage: fill.slippage });
+    Object.assign(pos, this.getScaledPosition(pos, tradeSize, fill.price));
+    
+    notes.push(`SUCCESS: Added $${tradeSize.toFixed(2)} margin to ${pos.type} ${pos.symbol} at $${fill.price.toFixed(2)} (fee: $${fill.fee.toFixed(2)}, slippage: $${fill.slippage.toFixed(2)}). Average entry now $${pos.entryPrice.toFixed(2)}, liquidation $${pos.liquidationPrice.toFixed(2)}.`);
+  }
+  
+  /**
+   * Record the fill of an ADD as an OPEN trade on its position, and scale the
+   * position's database row in the same transaction
+   * @param {Object|null} dbPosition - The position's positions row (or the paper position itself, before scaling)
+   * @param {Object} fill - { size, price, fee, slippage }
+   */
+  recordAddedMargin(bot, pos, dbPosition, fill) {
+    const timestamp = this.getBotTime(bot);
+    const order = {
+      id: `order_${timestamp}_${Math.random().toString(36).slice(2, 9)}`,
+      symbol: pos.symbol,
+      type: pos.type,
+      size: fill.size,
+      leverage: pos.leverage,
+      pnl: -fill.fee,
+      fee: fill.fee,
+      slippage: fill.slippage,
+      funding: 0,
+      timestamp,
+      entryPrice: fill.price,
+      exitPrice: 0,
+      partial: true
+    };
+    if (bot.tradingMode !== 'real') {
+      bot.orders.unshift(order);
+    }
+    
+    const scaled = !dbPosition ? null : this.getScaledPosition(bot.tradingMode === 'real' ? {
+      type: dbPosition.position_type,
+      size: dbPosition.size,
+      leverage: dbPosition.leverage,
+      entryPrice: dbPosition.entry_price
+    } : dbPosition, fill.size, fill.price);
+    
+    if (!bot.backtest) {
       try {
-        relationalDb.updatePosition(positionId, {
-          status: 'closed',
-          closed_at: new Date(exitOrder.timestamp).toISOString()
-        }, bot.userId);
+        relationalDb.transaction(() => {
+          if (scaled) {
+            relationalDb.updatePosition(dbPosition.id, {
+              entry_price: scaled.entryPrice,
+              size: scaled.size,
+              liquidation_price: scaled.liquidationPrice
+            }, bot.userId);
+          }
+          relationalDb.createTrade({
+            id: order.id,
+            user_id: bot.userId,
+            bot_id: bot.id,
+            position_id: dbPosition ? dbPosition.id : null,
+            symbol: order.symbol,
+            trade_type: order.type,
+            action: 'OPEN',
+            entry_price: order.entryPrice,
+            exit_price: null,
+            size: order.size,
+            leverage: order.leverage,
+            pnl: order.pnl,
+            fee: order.fee,
+            slippage: order.slippage,
+            executed_at: new Date(timestamp).toISOString()
+          });
+        });
       } catch (dbError) {
-        console.error(`[BotManager] Failed to update position status in database for ${bot.name}:`, dbError.message);
-        // Continue - don't fail the close if DB write fails
+        console.error(`[BotManager] Failed to write added margin to database for ${bot.name}:`, dbError.message);
+      }
+    }
+  }
+  
+  /**
+   * Entry price, margin and liquidation price of a position after adding margin at a fill price
+   * @param {Object} position - { type, size, leverage, entryPrice }
+   * @returns {{entryPrice: number, size: number, liquidationPrice: number}}
+   */
+  getScaledPosition(position, addedSize, fillPrice) {
+    const quantity = (position.size * position.leverage) / position.entryPrice + (addedSize * position.leverage) / fillPrice;
+    const size = position.size + addedSize;
+    const entryPrice = (size * position.leverage) / quantity;
+    const liquidationPrice = position.type === 'LONG'
+      ? entryPrice * (1 - (1 / position.leverage))
+      : entryPrice * (1 + (1 / position.leverage));
+    return { entryPrice, size, liquidationPrice };
+  }
+  
+  /**
+   * Re-place a real position's protective orders for its current quantity
+   * (they are sized when placed, so scaling the position leaves them stale)
+   */
+  async resizeProtectiveOrders(bot, symbol, { adapter, credentials }, notes) {
+    try {
+      const position = (await adapter.getPositions(credentials)).find(p => p.symbol === symbol);
+      if (!position) {
+        return;
+      }
+      const quantity = Math.abs(position.quantity);
+      
+      // Leave the bot's own STOP entry orders alone
+      const entryOrderIds = new Set(bot.pendingOrders.map(o => o.exchangeOrderId));
+      const openOrders = await adapter.getOpenOrders(credentials, symbol);
+      for (const order of openOrders) {
+        if (!PROTECTIVE_ORDER_TYPES.includes(order.type) || entryOrderIds.has(String(order.orderId)) || order.quantity === quantity) {
+          continue;
+        }
+        await adapter.cancelOrder(credentials, symbol, order.orderId);
+        await adapter.placeOrder(credentials, {
+          symbol,
+          side: order.side,
+          type: order.type,
+          quantity,
+          reduceOnly: true,
+          ...(order.type === 'TRAILING_STOP_MARKET' ? { callbackRate: order.callbackRate } : { stopPrice: order.stopPrice })
+        });
+      }
+    } catch (error) {
+      notes.push(`ERROR: Failed to resize protective orders for ${symbol}: ${error.message}`);
+    }
+  }
+  
+  /**
+   * A position's open positions row
+   * Real positions are re-read from the exchange (with new IDs), so for real
+   * bots the newest open row for the symbol is used.
+   * @returns {Object|null}
+   */
+  findOpenDbPosition(bot, pos) {
+    try {
+      const rows = relationalDb.getPositions(bot.id, 'open', bot.userId);
+      return rows.find(row => row.id === pos.id)
+        || (bot.tradingMode === 'real' ? rows.find(row => row.symbol === pos.symbol) : null)
+        || null;
+    } catch (dbError) {
+      console.error(`[BotManager] Failed to read open positions from database for ${bot.name}:`, dbError.message);
+      return null;
+    }
+  }
+
+  /**
+   * Rest a LIMIT or STOP entry order until the market reaches its price
+   * A LIMIT buys below (sells above) the market; a STOP enters once price breaks
+   * through its level. Paper orders are matched on each portfolio update, real
+   * ones are placed on the exchange as LIMIT / STOP_MARKET orders.
+   * @param {Object} entry - { decision, orderType, tradeSize, leverage, trailingStopPct }
+   */
+  async placePendingOrder(bot, { decision, orderType, tradeSize, leverage, trailingStopPct }, market, notes) {
+    const isLong = decision.action === 'LONG';
+    const price = decision.price;
+    const label = `${orderType} ${decision.action} ${decision.symbol} @ $${price}`;
+    
+    const mustBeBelow = (orderType === 'LIMIT') === isLong;
+    if (mustBeBelow ? price >= market.price : price <= market.price) {
+      notes.push(`REJECTED ${label}: A ${orderType} ${decision.action} must be ${mustBeBelow ? 'below' : 'above'} the market price of $${market.price}. Use a MARKET order to enter now.`);
+      return;
+    }
+    
+    const levelError = this.getProtectiveLevelError(decision.action, price, decision);
+    if (levelError) {
+      notes.push(`REJECTED ${label}: ${levelError}`);
+      return;
+    }
+    
+    const maxPendingOrders = this.settings.max_pending_orders_per_bot ?? 5;
+    if (maxPendingOrders > 0 && bot.pendingOrders.length >= maxPendingOrders) {
+      notes.push(`REJECTED ${label}: Already ${bot.pendingOrders.length} pending orders (max ${maxPendingOrders}). CANCEL one first.`);
+      return;
+    }
+    
+    let expiresInMinutes = Number(decision.expiresInMinutes ?? this.settings.pending_order_default_expiry_minutes ?? 240);
+    if (!Number.isFinite(expiresInMinutes) || expiresInMinutes < 1 || expiresInMinutes > MAX_PENDING_ORDER_EXPIRY_MINUTES) {
+      const clamped = Number.isFinite(expiresInMinutes) ? Math.min(Math.max(expiresInMinutes, 1), MAX_PENDING_ORDER_EXPIRY_MINUTES) : 240;
+      notes.push(`NOTE: Order expiry adjusted from ${decision.expiresInMinutes} to ${clamped} minutes.`);
+      expiresInMinutes = clamped;
+    }
+    
+    const now = this.getBotTime(bot);
+    const order = {
+      id: `pord_${now}_${Math.random().toString(36).slice(2, 9)}`,
+      symbol: decision.symbol,
+      side: decision.action,
+      orderType,
+      price,
+      size: tradeSize,
+      leverage,
+      stopLoss: decision.stopLoss || null,
+      takeProfit: decision.takeProfit || null,
+      trailingStopPct: trailingStopPct || null,
+      exchangeOrderId: null,
+      createdAt: now,
+      expiresAt: now + expiresInMinutes * 60000
+    };
+    
+    if (bot.tradingMode === 'real') {
+      const { adapter, credentials } = await this.getExchangeForBot(bot.id);
+      await adapter.setLeverage(credentials, order.symbol, leverage);
+      
+      const quantity = this.getAdjustedQuantity(order.symbol, (tradeSize * leverage) / price);
+      if (quantity <= 0) {
+        notes.push(`Execution Warning: Calculated quantity for ${order.symbol} is 0.`);
+        return;
       }
       
-      // Write exit trade to database
+      const exchangeOrder = await adapter.placeOrder(credentials, {
+        symbol: order.symbol,
+        side: isLong ? 'BUY' : 'SELL',
+        quantity,
+        ...(orderType === 'LIMIT'
+          ? { type: 'LIMIT', price: this.getAdjustedPrice(order.symbol, price), timeInForce: 'GTC' }
+          : { type: 'STOP_MARKET', stopPrice: this.getAdjustedPrice(order.symbol, price) })
+      });
+      order.exchangeOrderId = String(exchangeOrder.orderId);
+    }
+    
+    bot.pendingOrders.push(order);
+    
+    if (!bot.backtest) {
       try {
-        relationalDb.createTrade({
-          id: exitOrder.id,
+        relationalDb.createPendingOrder({
+          id: order.id,
           user_id: bot.userId,
           bot_id: bot.id,
-          position_id: positionId,
-          symbol: exitOrder.symbol,
-          trade_type: exitOrder.type,
-          action: 'CLOSE',
-          entry_price: exitOrder.entryPrice,
-          exit_price: exitOrder.exitPrice,
-          size: exitOrder.size,
-          leverage: exitOrder.leverage,
-          pnl: exitOrder.pnl,
-          fee: exitOrder.fee,
-          executed_at: new Date(exitOrder.timestamp).toISOString()
+          symbol: order.symbol,
+          side: order.side,
+          order_type: order.orderType,
+          price: order.price,
+          size: order.size,
+          leverage: order.leverage,
+          stop_loss: order.stopLoss,
+          take_profit: order.takeProfit,
+          trailing_stop_pct: order.trailingStopPct,
+          exchange_order_id: order.exchangeOrderId,
+          expires_at: new Date(order.expiresAt).toISOString(),
+          created_at: new Date(order.createdAt).toISOString()
         });
       } catch (dbError) {
-        console.error(`[BotManager] Failed to write exit trade to database for ${bot.name}:`, dbError.message);
-        // Continue - don't fail the close if DB write fails
+        console.error(`[BotManager] Failed to write pending order to database for ${bot.name}:`, dbError.message);
+        // Continue - the order is still tracked in memory
+      }
+    }
+    
+    notes.push(`SUCCESS: Placed ${label} with $${tradeSize.toFixed(2)} margin (order ${order.id}, expires in ${expiresInMinutes}min).`);
+  }
+  
+  /**
+   * Why a stop-loss / take-profit is on the wrong side of a price (null if both are fine)
+   * @param {string} type - 'LONG' or 'SHORT'
+   * @param {number} price - Entry price, or the current price for an open position
+   * @param {Object} levels - { stopLoss?, takeProfit? }
+   */
+  getProtectiveLevelError(type, price, { stopLoss, takeProfit }) {
+    const isLong = type === 'LONG';
+    if (stopLoss > 0 && (isLong ? stopLoss >= price : stopLoss <= price)) {
+      return `Stop-loss $${stopLoss} must be ${isLong ? 'below' : 'above'} $${price} for a ${type}.`;
+    }
+    if (takeProfit > 0 && (isLong ? takeProfit <= price : takeProfit >= price)) {
+      return `Take-profit $${takeProfit} must be ${isLong ? 'above' : 'below'} $${price} for a ${type}.`;
+    }
+    return null;
+  }
+  
+  /**
+   * Whether the market has reached a pending paper order's price
+   */
+  isPendingOrderTriggered(order, price) {
+    const isLong = order.side === 'LONG';
+    if (order.orderType === 'LIMIT') {
+      return isLong ? price <= order.price : price >= order.price;
+    }
+    return isLong ? price >= order.price : price <= order.price;
+  }
+  
+  /**
+   * Expire and fill a paper bot's pending orders against the latest prices
+   * Backtest markets also carry their candle's low and high; an order whose price
+   * the candle reached fills at that price.
+   * @returns {Promise<Array<string>>} Notes for orders that filled, expired or were rejected
+   */
+  async checkPendingOrders(bot, marketData, now = Date.now()) {
+    const notes = [];
+    
+    // Iterate over a copy - resolved orders are removed from the live array
+    for (const order of [...bot.pendingOrders]) {
+      if (order.expiresAt && now >= order.expiresAt) {
+        this.resolvePendingOrder(bot, order, 'expired', { reason: 'Expired unfilled' });
+        notes.push(`EXPIRED ${order.orderType} ${order.side} ${order.symbol} @ $${order.price} (order ${order.id}).`);
+        continue;
+      }
+      
+      const market = marketData.find(m => m.symbol === order.symbol);
+      const hasRange = market && market.low !== undefined && market.high !== undefined;
+      const isTriggered = hasRange
+        ? this.isPendingOrderTriggered(order, market.low) || this.isPendingOrderTriggered(order, market.high)
+        : market && this.isPendingOrderTriggered(order, market.price);
+      if (!isTriggered) {
+        continue;
       }
       
-      notes.push(`SUCCESS: Closed ${posToClose.symbol} position. PnL: $${netPnl.toFixed(2)} (fee: $${exitFee.toFixed(2)})`);
+      try {
+        await this.fillPendingOrder(bot, order, hasRange ? { symbol: market.symbol, price: order.price } : market, notes);
+      } catch (error) {
+        console.error(`   ❌ [${bot.name}] Failed to fill pending order ${order.id}:`, error.message);
+      }
     }
+    
+    return notes;
   }
-
+  
+  /**
+   * Open the position for a triggered paper order
+   * LIMIT orders fill at their limit price as a maker; STOP orders fill at the
+   * market as a taker, with slippage. Risk limits and margin are checked again
+   * because the portfolio may have changed since the order was placed.
+   */
+  async fillPendingOrder(bot, order, market, notes) {
+    const decision = {
+      action: order.side,
+      symbol: order.symbol,
+      size: order.size,
+      leverage: order.leverage,
+      stopLoss: order.stopLoss || undefined,
+      takeProfit: order.takeProfit || undefined
+    };
+    const label = `${order.orderType} ${order.side} ${order.symbol} @ $${order.price}`;
+    
+    const approved = await this.applyRiskLimits(bot, [{ decision, adjustedLeverage: order.leverage }], notes);
+    if (approved.length === 0) {
+      this.resolvePendingOrder(bot, order, 'rejected', { reason: 'Risk limit at fill time' });
+      return;
+    }
+    
+    const isLimit = order.orderType === 'LIMIT';
+    const costModel = this.getCostModel();
+    const feeRate = isLimit ? costModel.makerFeeRate : costModel.takerFeeRate * (1 + costModel.maxSlippageBps / 10000);
+    const required = order.size * (1 + order.leverage * feeRate);
+    if (bot.portfolio.balance < required) {
+      notes.push(`REJECTED ${label}: Available balance $${bot.portfolio.balance.toFixed(2)} no longer covers the $${required.toFixed(2)} margin and fee.`);
+      this.resolvePendingOrder(bot, order, 'rejected', { reason: 'Insufficient balance at fill time' });
+      return;
+    }
+    
+    const fillMarket = { symbol: order.symbol, price: isLimit ? order.price : market.price };
+    const position = this.executePaperTrade(bot, decision, fillMarket, order.size, order.leverage, notes, {
+      trailingStopPct: order.trailingStopPct,
+      maker: isLimit
+    });
+    this.resolvePendingOrder(bot, order, 'filled', { positionId: position.id });
+    notes.push(`FILLED ${label} (order ${order.id}) as position ${position.id}.`);
+  }
+  
+  /**
+   * Follow a real bot's pending orders on the exchange: record fills as
+   * positions (placing their protective orders) and cancel expired orders
+   * @returns {Promise<Array<string>>} Notes for orders that filled, expired or were cancelled
+   */
+  async syncRealPendingOrders(bot, now = Date.now()) {
+    const notes = [];
+    if (bot.pendingOrders.length === 0) {
+      return notes;
+    }
+    
+    const exchange = await this.getExchangeForBot(bot.id);
+    const { adapter, credentials } = exchange;
+    
+    for (const order of [...bot.pendingOrders]) {
+      try {
+        let exchangeOrder = await adapter.getOrder(credentials, order.symbol, order.exchangeOrderId);
+        const isOpen = exchangeOrder.status === 'NEW' || exchangeOrder.status === 'PARTIALLY_FILLED';
+        const isExpired = order.expiresAt && now >= order.expiresAt;
+        if (isOpen && !isExpired) {
+          continue;
+        }
+        if (isOpen) {
+          exchangeOrder = await adapter.cancelOrder(credentials, order.symbol, order.exchangeOrderId);
+        }
+        
+        // Anything that filled (including part of an order cancelled at expiry) is a position
+        if (exchangeOrder.executedQty > 0) {
+          const filledShare = exchangeOrder.quantity > 0 ? Math.min(exchangeOrder.executedQty / exchangeOrder.quantity, 1) : 1;
+          const positionId = await this.recordRealEntry(bot, {
+            symbol: order.symbol,
+            type: order.side,
+            entryPrice: exchangeOrder.avgPrice || order.price,
+            size: order.size * filledShare,
+            leverage: order.leverage,
+            quantity: exchangeOrder.executedQty,
+            stopLoss: order.stopLoss,
+            takeProfit: order.takeProfit,
+            trailingStopPct: order.trailingStopPct
+          }, exchange, notes);
+          this.resolvePendingOrder(bot, order, 'filled', { positionId });
+          notes.push(`FILLED ${order.orderType} ${order.side} ${order.symbol} @ $${exchangeOrder.avgPrice || order.price} (order ${order.id}).`);
+          continue;
+        }
+        
+        const status = isOpen ? 'expired' : { CANCELED: 'cancelled', EXPIRED: 'expired', REJECTED: 'rejected' }[exchangeOrder.status] || 'cancelled';
+        this.resolvePendingOrder(bot, order, status, { reason: isOpen ? 'Expired unfilled' : `${exchangeOrder.status} on exchange` });
+        notes.push(`${status.toUpperCase()} ${order.orderType} ${order.side} ${order.symbol} @ $${order.price} (order ${order.id}).`);
+      } catch (error) {
+        console.error(`   ❌ [${bot.name}] Failed to sync pending order ${order.id}:`, error.message);
+      }
+    }
+    
+    return notes;
+  }
+  
+  /**
+   * Cancel a pending order at the bot's request
+   */
+  async cancelPendingOrder(bot, orderId, notes, reason = 'Cancelled by bot') {
+    const order = bot.pendingOrders.find(o => o.id === orderId);
+    if (!order) {
+      notes.push(`NOTE: Pending order ${orderId} not found, may have filled or expired.`);
+      return;
+    }
+    
+    if (bot.tradingMode === 'real' && order.exchangeOrderId) {
+      const { adapter, credentials } = await this.getExchangeForBot(bot.id);
+      try {
+        await adapter.cancelOrder(credentials, order.symbol, order.exchangeOrderId);
+      } catch (error) {
+        // Most likely filled in the meantime - the next sync records it
+        notes.push(`ERROR: Failed to cancel order ${orderId} on the exchange: ${error.message}`);
+        return;
+      }
+    }
+    
+    this.resolvePendingOrder(bot, order, 'cancelled', { reason });
+    notes.push(`SUCCESS: Cancelled ${order.orderType} ${order.side} ${order.symbol} @ $${order.price} (order ${orderId}).`);
+  }
+  
+  /**
+   * Cancel all of a bot's pending orders (kill-switch, reset)
+   */
+  async cancelAllPendingOrders(bot, reason) {
+    const notes = [];
+    for (const order of [...(bot.pendingOrders || [])]) {
+      try {
+        await this.cancelPendingOrder(bot, order.id, notes, reason);
+      } catch (error) {
+        console.error(`[BotManager] Failed to cancel pending order ${order.id} for ${bot.name}:`, error.message);
+      }
+    }
+    return notes;
+  }
+  
+  /**
+   * Remove a pending order from the bot and record how it ended
+   * @param {string} status - 'filled', 'cancelled', 'expired' or 'rejected'
+   */
+  resolvePendingOrder(bot, order, status, { reason = null, positionId = null } = {}) {
+    bot.pendingOrders = bot.pendingOrders.filter(o => o.id !== order.id);
+    
+    if (!bot.backtest) {
+      try {
+        relationalDb.updatePendingOrder(order.id, {
+          status,
+          reason,
+          position_id: positionId,
+          resolved_at: new Date().toISOString()
+        }, bot.userId);
+      } catch (dbError) {
+        console.error(`[BotManager] Failed to update pending order in database for ${bot.name}:`, dbError.message);
+      }
+    }
+  }
+  
+  /**
+   * Move an open position's stop-loss, take-profit or trailing stop
+   * Omitted levels are left as they are; 0 removes one (removing a trailing
+   * stop leaves the stop-loss where the trail had moved it). New levels must be
+   * on the right side of the current price. Real positions have their
+   * protective orders cancelled and placed again.
+   * @param {number|null} trailingStopPct - Validated trailing stop (0 = remove)
+   */
+  async modifyPosition(bot, decision, trailingStopPct, notes) {
+    const pos = this.findPosition(bot, decision.positionId);
+    if (!pos) {
+      notes.push(`NOTE: Position ${decision.positionId} not found, may have been closed.`);
+      return;
+    }
+    
+    const market = this.getTurnMarkets(bot).find(m => m.symbol === pos.symbol);
+    if (!market) {
+      notes.push(`ERROR: Market data not found for ${pos.symbol}`);
+      return;
+    }
+    
+    const changes = {};
+    if (decision.stopLoss !== undefined && decision.stopLoss !== null) {
+      changes.stopLoss = Number(decision.stopLoss) || null;
+    }
+    if (decision.takeProfit !== undefined && decision.takeProfit !== null) {
+      changes.takeProfit = Number(decision.takeProfit) || null;
+    }
+    if (trailingStopPct !== null) {
+      changes.trailingStopPct = trailingStopPct || null;
+    }
+    if (Object.keys(changes).length === 0) {
+      notes.push(`REJECTED MODIFY ${pos.symbol}: Nothing to change (give stopLoss, takeProfit or trailingStopPct).`);
+      return;
+    }
+    
+    const levelError = this.getProtectiveLevelError(pos.type, market.price, changes);
+    if (levelError) {
+      notes.push(`REJECTED MODIFY ${pos.symbol}: ${levelError}`);
+      return;
+    }
+    
+    if (bot.tradingMode === 'real') {
+      await this.replaceProtectiveOrders(bot, pos, changes, notes);
+    } else {
+      Object.assign(pos, changes);
+      if (changes.trailingStopPct !== undefined) {
+        // A new trail starts from the current price
+        pos.trailingPeakPrice = pos.trailingStopPct ? market.price : null;
+      }
+      if (pos.trailingStopPct) {
+        pos.stopLoss = this.getTrailedStopLoss(pos);
+        if (changes.stopLoss && pos.stopLoss !== changes.stopLoss) {
+          notes.push(`NOTE: Stop-loss $${changes.stopLoss} is looser than the ${pos.trailingStopPct}% trailing stop, which keeps it at $${pos.stopLoss.toFixed(4)} (give trailingStopPct 0 to remove the trail).`);
+        }
+      }
+      
+      if (!bot.backtest) {
+        try {
+          relationalDb.updatePosition(pos.id, {
+            stop_loss: pos.stopLoss || null,
+            take_profit: pos.takeProfit || null,
+            trailing_stop_pct: pos.trailingStopPct || null,
+            trailing_peak_price: pos.trailingPeakPrice || null
+          }, bot.userId);
+        } catch (dbError) {
+          console.error(`[BotManager] Failed to update position levels in database for ${bot.name}:`, dbError.message);
+        }
+      }
+    }
+    
+    // Real positions don't carry their levels, so only the changes can be reported
+    const levels = bot.tradingMode === 'real' ? changes : { stopLoss: pos.stopLoss, takeProfit: pos.takeProfit, trailingStopPct: pos.trailingStopPct };
+    const formats = {
+      stopLoss: value => `SL: ${value ? '$' + value.toFixed(4) : 'none'}`,
+      takeProfit: value => `TP: ${value ? '$' + value.toFixed(4) : 'none'}`,
+      trailingStopPct: value => `trailing: ${value ? value + '%' : 'none'}`
+    };
+    const described = Object.keys(formats).filter(key => key in levels).map(key => formats[key](levels[key]));
+    notes.push(`SUCCESS: Modified ${pos.type} ${pos.symbol} position (${described.join(', ')}).`);
+  }
+  
+  /**
+   * Cancel a real position's protective orders for the changed levels and place new ones
+   * @param {Object} changes - { stopLoss?, takeProfit?, trailingStopPct? } (null = remove)
+   */
+  async replaceProtectiveOrders(bot, pos, changes, notes) {
+    const exchange = await this.getExchangeForBot(bot.id);
+    const { adapter, credentials } = exchange;
+    const orderTypes = { stopLoss: 'STOP_MARKET', takeProfit: 'TAKE_PROFIT_MARKET', trailingStopPct: 'TRAILING_STOP_MARKET' };
+    const replacedTypes = Object.keys(changes).map(key => orderTypes[key]);
+    
+    // Leave the bot's own STOP entry orders alone
+    const entryOrderIds = new Set(bot.pendingOrders.map(o => o.exchangeOrderId));
+    const openOrders = await adapter.getOpenOrders(credentials, pos.symbol);
+    for (const order of openOrders) {
+      if (replacedTypes.includes(order.type) && !entryOrderIds.has(String(order.orderId))) {
+        await adapter.cancelOrder(credentials, pos.symbol, order.orderId);
+      }
+    }
+    
+    const quantity = this.getAdjustedQuantity(pos.symbol, Math.abs((pos.size * pos.leverage) / pos.entryPrice));
+    await this.placeProtectiveOrders(bot, { symbol: pos.symbol, type: pos.type, quantity, ...changes }, exchange, notes);
+  }
+  
+  /**
+   * Find a bot's position by ID
+   * Real positions are re-read from the exchange (with new IDs) on every
+   * update, so for real bots an ID from an earlier read matches by symbol.
+   */
+  findPosition(bot, positionId) {
+    const positions = bot.portfolio.positions || [];
+    const exact = positions.find(p => p.id === positionId);
+    if (exact || bot.tradingMode !== 'real' || typeof positionId !== 'string') {
+      return exact;
+    }
+    return positions.find(p => positionId.startsWith(`${p.symbol}_`));
+  }
+  
   /**
    * Get adjusted quantity based on symbol precision
    */
@@ -2694,37 +4483,40 @@ Could not parse response. Response: ${responseText.substring(0, 200)}...
     const factor = Math.pow(10, precision);
     return Math.floor(rawQuantity * factor) / factor;
   }
+  
+  /**
+   * Round a price to the symbol's price precision
+   */
+  getAdjustedPrice(symbol, rawPrice) {
+    const precision = this.symbolPrecisions.get(symbol)?.pricePrecision;
+    return precision === undefined ? rawPrice : parseFloat(rawPrice.toFixed(precision));
+  }
 
   /**
    * Save current state to database (Multi-Tenant)
    */
   async saveState() {
     try {
-      const dbPath = path.join(__dirname, '..', '..', 'data', 'arena.db');
-      const db = new Database(dbPath);
+      const db = getDb();
       
-      try {
-        // Serialize bots (remove any non-serializable properties)
-        const botsArray = this.getAllBots().map(bot => {
-          const { ...serializable } = bot;
-          return serializable;
-        });
-        
-        const state = {
-          bots: botsArray,
-          marketData: this.markets
-        };
-        
-        const stateJson = JSON.stringify(state);
-        
-        db.prepare('DELETE FROM arena_state').run();
-        db.prepare('INSERT INTO arena_state (state, updated_at) VALUES (?, ?)').run(
-          stateJson,
-          Date.now()
-        );
-      } finally {
-        db.close();
-      }
+      // Serialize bots (remove any non-serializable properties)
+      const botsArray = this.getAllBots().map(bot => {
+        const { ...serializable } = bot;
+        return serializable;
+      });
+      
+      const state = {
+        bots: botsArray,
+        marketData: this.markets
+      };
+      
+      const stateJson = JSON.stringify(state);
+      
+      db.prepare('DELETE FROM arena_state').run();
+      db.prepare('INSERT INTO arena_state (state, updated_at) VALUES (?, ?)').run(
+        stateJson,
+        Date.now()
+      );
     } catch (error) {
       console.error('Error saving state:', error);
     }
@@ -2756,18 +4548,35 @@ Could not parse response. Response: ${responseText.substring(0, 200)}...
       throw new Error(`Bot ${botId} not found`);
     }
     
-    bot.isPaused = !bot.isPaused;
+    return this.setBotPaused(botId, !bot.isPaused);
+  }
+
+  /**
+   * Pause or resume a bot; a no-op when it is already in that state
+   */
+  async setBotPaused(botId, isPaused) {
+    const bot = this.getBot(botId);
+    if (!bot) {
+      throw new Error(`Bot ${botId} not found`);
+    }
+    
+    if (!!bot.isPaused === isPaused) {
+      return bot;
+    }
     
-    // Update database
-    const dbPath = path.join(__dirname, '..', '..', 'data', 'arena.db');
-    const db = new Database(dbPath);
+    bot.isPaused = isPaused;
     
-    try {
-      db.prepare('UPDATE bots SET is_paused = ? WHERE id = ?').run(bot.isPaused ? 1 : 0, botId);
-    } finally {
-      db.close();
+    // Resuming after the kill-switch: measure drawdown from here on
+    if (!bot.isPaused && bot.riskState?.killSwitchAt) {
+      bot.riskState.killSwitchAt = null;
+      bot.riskState.peakValue = bot.portfolio.totalValue;
     }
     
+    // Update database
+    const db = getDb();
+    
+    db.prepare('UPDATE bots SET is_paused = ? WHERE id = ?').run(bot.isPaused ? 1 : 0, botId);
+    
     console.log(`🔄 Bot ${bot.name} ${bot.isPaused ? 'PAUSED' : 'RESUMED'}`);
     
     await this.saveState();
@@ -2789,6 +4598,8 @@ Could not parse response. Response: ${responseText.substring(0, 200)}...
       throw new Error('Cannot reset a bot trading with real funds');
     }
     
+    await this.cancelAllPendingOrders(bot, 'Bot reset');
+    
     // Reset to initial state
     const initialBalance = this.settings.paper_bot_initial_balance;
     bot.portfolio = {
@@ -2804,6 +4615,7 @@ Could not parse response. Response: ${responseText.substring(0, 200)}...
     bot.tradeCount = 0;
     bot.winRate = 0;
     bot.symbolCooldowns = {};
+    bot.riskState = null;
     
     this.initialBalances.set(botId, initialBalance);
     
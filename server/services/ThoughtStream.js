@@ -0,0 +1,130 @@
+/**
+ * @license
+ * SPDX-License-Identifier: MIT
+ */
+
+const FLUSH_INTERVAL_MS = 150; // Batch streamed tokens so each one isn't its own WebSocket message
+const MAX_RESULT_CHARS = 500;
+
+/**
+ * Thought Stream
+ *
+ * Publishes a bot's turn as it happens on the bot's WebSocket channel
+ * (`bot:<botId>`), so spectators can watch it think instead of waiting for
+ * the turn to finish. Every message has type 'bot_thought' and a payload
+ * with one of these events:
+ *   turn_start     - the turn began
+ *   thinking_start - an LLM call began (iteration, purpose, provider)
+ *   thinking_delta - streamed response text
+ *   thinking_end   - the LLM call finished (error if it failed)
+ *   tool_call      - a sandbox tool (ANALYZE) was invoked
+ *   tool_result    - the tool's result (truncated) or error
+ *   turn_end       - the turn finished, with its decisions
+ */
+class ThoughtStream {
+  /**
+   * @param {Object} wsServer - WebSocketServer (broadcastToChannel / hasChannelSubscribers)
+   * @param {Object} bot - Bot state
+   */
+  constructor(wsServer, bot) {
+    this.wsServer = wsServer;
+    this.bot = bot;
+    this.channel = ThoughtStream.channelFor(bot.id);
+    this.turnId = Date.now();
+    this.iteration = null;
+    this.buffer = '';
+    this.flushTimer = null;
+  }
+
+  static channelFor(botId) {
+    return `bot:${botId}`;
+  }
+
+  /**
+   * Whether anyone is watching - LLM calls are only streamed when they are
+   */
+  isActive() {
+    return Boolean(this.wsServer && this.wsServer.hasChannelSubscribers(this.channel));
+  }
+
+  emit(event, data = {}) {
+    if (!this.isActive()) {
+      return;
+    }
+    this.wsServer.broadcastToChannel(this.channel, {
+      type: 'bot_thought',
+      payload: {
+        event,
+        botId: this.bot.id,
+        botName: this.bot.name,
+        turnId: this.turnId,
+        timestamp: Date.now(),
+        ...data
+      }
+    }, { log: false });
+  }
+
+  startTurn() {
+    this.emit('turn_start');
+  }
+
+  /**
+   * An LLM call is starting (called again for each retry or failover)
+   */
+  startThinking({ iteration = null, purpose = 'decision', provider = null } = {}) {
+    this.flush();
+    this.iteration = iteration;
+    this.emit('thinking_start', { iteration, purpose, provider });
+  }
+
+  /**
+   * Streamed response text (sent in batches)
+   */
+  push(text) {
+    this.buffer += text;
+    if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => this.flush(), FLUSH_INTERVAL_MS);
+    }
+  }
+
+  flush() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+    if (this.buffer) {
+      this.emit('thinking_delta', { iteration: this.iteration, text: this.buffer });
+      this.buffer = '';
+    }
+  }
+
+  endThinking({ error = null } = {}) {
+    this.flush();
+    this.emit('thinking_end', { iteration: this.iteration, error });
+  }
+
+  toolCall({ iteration, tool, parameters, reasoning = null }) {
+    this.emit('tool_call', { iteration, tool, parameters, reasoning });
+  }
+
+  toolResult({ iteration, tool, result = null, error = null }) {
+    let summary = null;
+    if (!error) {
+      summary = JSON.stringify(result);
+      if (summary && summary.length > MAX_RESULT_CHARS) {
+        summary = `${summary.substring(0, MAX_RESULT_CHARS)}…`;
+      }
+    }
+    this.emit('tool_result', { iteration, tool, result: summary, error });
+  }
+
+  endTurn({ decisions = [], error = null } = {}) {
+    this.flush();
+    this.emit('turn_end', {
+      decisions: decisions.map(d => ({ action: d.action, symbol: d.symbol || null, reasoning: d.reasoning || null })),
+      error
+    });
+  }
+}
+
+module.exports = ThoughtStream;
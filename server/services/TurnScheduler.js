@@ -0,0 +1,233 @@
+/**
+ * @license
+ * SPDX-License-Identifier: MIT
+ */
+
+const OVERLAP_POLICIES = ['skip', 'queue'];
+const DEFAULT_TICK_MS = 5000;
+
+/**
+ * Turn Scheduler
+ *
+ * Runs bot trading turns through a bounded concurrency pool so one slow
+ * provider can't hold up every other bot. Each bot has its own interval and a
+ * turn lock: a bot never has two turns in flight. When a turn comes due while
+ * the previous one is still running, the overlap policy decides what happens:
+ *   skip  - drop the new turn (the bot waits for its next interval)
+ *   queue - run one more turn as soon as the current one finishes
+ *
+ * Bots with the same schedule key (e.g. the variants of an experiment) share
+ * one due time, so they are always requested in the same tick.
+ */
+class TurnScheduler {
+  /**
+   * @param {Object} options
+   * @param {Function} options.runTurn - async (bot) => void, executes one turn
+   * @param {Function} options.getBots - () => bots eligible for scheduling, in fairness order
+   * @param {Function} options.getIntervalMs - (bot) => the bot's turn interval
+   * @param {Function} options.getScheduleKey - (bot) => key of the schedule the bot follows (default its id)
+   * @param {number} options.concurrency - Maximum turns running at once
+   * @param {string} options.overlapPolicy - 'skip' or 'queue'
+   * @param {number} options.tickMs - How often due turns are checked
+   */
+  constructor({ runTurn, getBots, getIntervalMs, getScheduleKey = (bot) => bot.id, concurrency = 2, overlapPolicy = 'skip', tickMs = DEFAULT_TICK_MS }) {
+    this.runTurn = runTurn;
+    this.getBots = getBots;
+    this.getIntervalMs = getIntervalMs;
+    this.getScheduleKey = getScheduleKey;
+    this.tickMs = tickMs;
+    this.timer = null;
+    
+    this.queue = []; // Jobs waiting for a pool slot
+    this.active = new Map(); // botId -> running job
+    this.reruns = new Map(); // botId -> job to start once the running turn finishes ('queue' policy)
+    this.nextDueAt = new Map(); // schedule key -> timestamp of the next scheduled turn
+    
+    this.configure({ concurrency, overlapPolicy });
+  }
+  
+  /**
+   * Update pool size and overlap policy (takes effect for the next job started)
+   */
+  configure({ concurrency, overlapPolicy }) {
+    if (concurrency !== undefined) {
+      this.concurrency = Math.max(1, parseInt(concurrency) || 1);
+    }
+    if (overlapPolicy !== undefined) {
+      if (!OVERLAP_POLICIES.includes(overlapPolicy)) {
+        console.warn(`⚠️ Unknown turn overlap policy "${overlapPolicy}", using "skip"`);
+        overlapPolicy = 'skip';
+      }
+      this.overlapPolicy = overlapPolicy;
+    }
+    this.drain();
+  }
+  
+  /**
+   * Start checking for due turns
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+    this.tick();
+    this.timer = setInterval(() => this.tick(), this.tickMs);
+  }
+  
+  /**
+   * Stop scheduling new turns (turns already running are left to finish)
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    for (const job of [...this.queue, ...this.reruns.values()]) {
+      job.resolve({ status: 'cancelled' });
+    }
+    this.queue = [];
+    this.reruns.clear();
+  }
+  
+  /**
+   * A bot's first turn is due one interval after its last decision (immediately if it has none)
+   */
+  initialDueAt(bot, now) {
+    const lastDecision = bot.botLogs && bot.botLogs.length > 0 ? bot.botLogs[0].timestamp : null;
+    return lastDecision ? lastDecision + this.getIntervalMs(bot) : now;
+  }
+  
+  /**
+   * Request a turn for every bot whose interval has elapsed
+   * Due schedules are collected first: requesting a turn moves its schedule's
+   * due time, which would otherwise hide the other bots sharing it.
+   */
+  tick() {
+    const now = Date.now();
+    const bots = this.getBots();
+    
+    const dueKeys = new Set();
+    for (const bot of bots) {
+      const key = this.getScheduleKey(bot);
+      if (!this.nextDueAt.has(key)) {
+        this.nextDueAt.set(key, this.initialDueAt(bot, now));
+      }
+      
+      if (now >= this.nextDueAt.get(key)) {
+        dueKeys.add(key);
+      }
+    }
+    
+    for (const bot of bots) {
+      if (dueKeys.has(this.getScheduleKey(bot))) {
+        this.request(bot, 'scheduled');
+      }
+    }
+    
+    // Forget bots that were removed or paused so they start fresh when they return
+    const knownKeys = new Set(bots.map(bot => this.getScheduleKey(bot)));
+    for (const key of this.nextDueAt.keys()) {
+      if (!knownKeys.has(key)) {
+        this.nextDueAt.delete(key);
+      }
+    }
+  }
+  
+  /**
+   * Request a turn for a bot, respecting its turn lock
+   * @param {Object} bot - Bot state
+   * @param {string} reason - 'scheduled' or 'manual' (for logs)
+   * @returns {Promise<{status: string}>} Resolves when the turn finishes, or right away if skipped
+   */
+  request(bot, reason = 'scheduled') {
+    this.nextDueAt.set(this.getScheduleKey(bot), Date.now() + this.getIntervalMs(bot));
+    
+    // Already waiting for a pool slot - the pending job covers this request
+    const pending = this.queue.find(job => job.bot.id === bot.id) || this.reruns.get(bot.id);
+    if (pending) {
+      return pending.promise;
+    }
+    
+    if (this.active.has(bot.id)) {
+      if (this.overlapPolicy === 'queue') {
+        console.log(`   ⏳ ${bot.name}: previous turn still running, queued ${reason} turn`);
+        const job = this.createJob(bot, reason);
+        this.reruns.set(bot.id, job);
+        return job.promise;
+      }
+      
+      const runningFor = Math.round((Date.now() - this.active.get(bot.id).startedAt) / 1000);
+      console.log(`   ⏭️ Skipping ${reason} turn for ${bot.name} - previous turn still running (${runningFor}s)`);
+      return Promise.resolve({ status: 'skipped' });
+    }
+    
+    const job = this.createJob(bot, reason);
+    this.queue.push(job);
+    this.drain();
+    return job.promise;
+  }
+  
+  createJob(bot, reason) {
+    const job = { bot, reason, startedAt: null };
+    job.promise = new Promise(resolve => {
+      job.resolve = resolve;
+    });
+    return job;
+  }
+  
+  /**
+   * Start queued jobs while pool slots are free
+   */
+  drain() {
+    while (this.active.size < this.concurrency && this.queue.length > 0) {
+      const job = this.queue.shift();
+      this.execute(job);
+    }
+  }
+  
+  async execute(job) {
+    const { bot } = job;
+    job.startedAt = Date.now();
+    this.active.set(bot.id, job);
+    
+    let status = 'completed';
+    try {
+      await this.runTurn(bot);
+    } catch (error) {
+      status = 'failed';
+      console.error(`   ❌ Turn for ${bot.name} failed:`, error);
+    } finally {
+      this.active.delete(bot.id);
+      job.resolve({ status, durationMs: Date.now() - job.startedAt });
+      
+      const rerun = this.reruns.get(bot.id);
+      if (rerun) {
+        this.reruns.delete(bot.id);
+        this.queue.push(rerun);
+      }
+      this.drain();
+    }
+  }
+  
+  /**
+   * Snapshot of the scheduler for status endpoints
+   */
+  getStatus() {
+    const now = Date.now();
+    return {
+      concurrency: this.concurrency,
+      overlapPolicy: this.overlapPolicy,
+      running: Array.from(this.active.values()).map(job => ({
+        botId: job.bot.id,
+        reason: job.reason,
+        runningMs: now - job.startedAt
+      })),
+      queued: this.queue.map(job => job.bot.id),
+      reruns: Array.from(this.reruns.keys()),
+      nextDueAt: Object.fromEntries(this.nextDueAt)
+    };
+  }
+}
+
+module.exports = TurnScheduler;
+module.exports.OVERLAP_POLICIES = OVERLAP_POLICIES;
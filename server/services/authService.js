@@ -10,15 +10,13 @@ const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const bip39 = require('bip39');
-const Database = require('better-sqlite3');
-const path = require('path');
+const { getDb } = require('../database/connection');
 
 // Constants
 const SALT_ROUNDS = 12;
 const JWT_SECRET = process.env.JWT_SECRET || 'bonerbots-default-jwt-secret-change-in-production';
 const JWT_ACCESS_EXPIRES = process.env.JWT_ACCESS_EXPIRES || '15m';
 const JWT_REFRESH_EXPIRES = process.env.JWT_REFRESH_EXPIRES || '7d';
-const DB_PATH = path.join(__dirname, '..', '..', 'data', 'arena.db');
 
 // Warn if using default JWT secret
 if (!process.env.JWT_SECRET) {
@@ -139,47 +137,43 @@ async function refreshAccessToken(refreshToken) {
       throw new Error('Invalid token type');
     }
     
-    const db = new Database(DB_PATH);
+    const db = getDb();
     
-    try {
-      // Check if refresh token exists in sessions
-      const session = db.prepare(`
-        SELECT * FROM user_sessions 
-        WHERE refresh_token = ? AND expires_at > datetime('now')
-      `).get(refreshToken);
-      
-      if (!session) {
-        throw new Error('Session not found or expired');
-      }
-      
-      // Check if user is still active
-      const user = db.prepare(`
-        SELECT id, username, role, is_active 
-        FROM users 
-        WHERE id = ?
-      `).get(payload.userId);
-      
-      if (!user || !user.is_active) {
-        throw new Error('User not found or inactive');
-      }
-      
-      // Generate new tokens
-      const tokens = generateTokens(user.id, user.username, user.role);
-      
-      // Update session with new refresh token
-      const sessionId = crypto.randomUUID();
-      const expiresAt = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000); // 7 days
-      
-      db.prepare('DELETE FROM user_sessions WHERE refresh_token = ?').run(refreshToken);
-      db.prepare(`
-        INSERT INTO user_sessions (id, user_id, refresh_token, expires_at)
-        VALUES (?, ?, ?, ?)
-      `).run(sessionId, user.id, tokens.refreshToken, expiresAt.toISOString());
-      
-      return tokens;
-    } finally {
-      db.close();
+    // Check if refresh token exists in sessions
+    const session = db.prepare(`
+      SELECT * FROM user_sessions 
+      WHERE refresh_token = ? AND expires_at > datetime('now')
+    `).get(refreshToken);
+    
+    if (!session) {
+      throw new Error('Session not found or expired');
     }
+    
+    // Check if user is still active
+    const user = db.prepare(`
+      SELECT id, username, role, is_active 
+      FROM users 
+      WHERE id = ?
+    `).get(payload.userId);
+    
+    if (!user || !user.is_active) {
+      throw new Error('User not found or inactive');
+    }
+    
+    // Generate new tokens
+    const tokens = generateTokens(user.id, user.username, user.role);
+    
+    // Update session with new refresh token
+    const sessionId = crypto.randomUUID();
+    const expiresAt = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000); // 7 days
+    
+    db.prepare('DELETE FROM user_sessions WHERE refresh_token = ?').run(refreshToken);
+    db.prepare(`
+      INSERT INTO user_sessions (id, user_id, refresh_token, expires_at)
+      VALUES (?, ?, ?, ?)
+    `).run(sessionId, user.id, tokens.refreshToken, expiresAt.toISOString());
+    
+    return tokens;
   } catch (error) {
     if (error.name === 'TokenExpiredError') {
       throw new Error('Refresh token expired');
@@ -200,51 +194,47 @@ async function refreshAccessToken(refreshToken) {
  * @throws {Error} - If username/email already exists
  */
 async function createUser(username, password, email = null, role = 'user') {
-  const db = new Database(DB_PATH);
+  const db = getDb();
   
-  try {
-    // Check if username already exists
-    const existingUser = db.prepare('SELECT id FROM users WHERE username = ?').get(username);
-    if (existingUser) {
-      throw new Error('Username already exists');
-    }
-    
-    // Check if email already exists (if provided)
-    if (email) {
-      const existingEmail = db.prepare('SELECT id FROM users WHERE email = ?').get(email);
-      if (existingEmail) {
-        throw new Error('Email already exists');
-      }
+  // Check if username already exists
+  const existingUser = db.prepare('SELECT id FROM users WHERE username = ?').get(username);
+  if (existingUser) {
+    throw new Error('Username already exists');
+  }
+  
+  // Check if email already exists (if provided)
+  if (email) {
+    const existingEmail = db.prepare('SELECT id FROM users WHERE email = ?').get(email);
+    if (existingEmail) {
+      throw new Error('Email already exists');
     }
-    
-    // Generate user ID, hash password, and generate recovery phrase
-    const userId = crypto.randomUUID();
-    const passwordHash = await hashPassword(password);
-    const recoveryPhrase = generateRecoveryPhrase();
-    const recoveryPhraseHash = await hashRecoveryPhrase(recoveryPhrase);
-    
-    // Insert user
-    db.prepare(`
-      INSERT INTO users (id, username, password_hash, recovery_phrase_hash, email, role, is_active)
-      VALUES (?, ?, ?, ?, ?, ?, 1)
-    `).run(userId, username, passwordHash, recoveryPhraseHash, email, role);
-    
-    // Create user profile
-    db.prepare(`
-      INSERT INTO user_profiles (user_id, display_name)
-      VALUES (?, ?)
-    `).run(userId, username);
-    
-    console.log(`✅ User created: ${username} (${userId})`);
-    
-    return {
-      userId,
-      username,
-      recoveryPhrase // CRITICAL: Return this ONCE to user, never store it plain
-    };
-  } finally {
-    db.close();
   }
+  
+  // Generate user ID, hash password, and generate recovery phrase
+  const userId = crypto.randomUUID();
+  const passwordHash = await hashPassword(password);
+  const recoveryPhrase = generateRecoveryPhrase();
+  const recoveryPhraseHash = await hashRecoveryPhrase(recoveryPhrase);
+  
+  // Insert user
+  db.prepare(`
+    INSERT INTO users (id, username, password_hash, recovery_phrase_hash, email, role, is_active)
+    VALUES (?, ?, ?, ?, ?, ?, 1)
+  `).run(userId, username, passwordHash, recoveryPhraseHash, email, role);
+  
+  // Create user profile
+  db.prepare(`
+    INSERT INTO user_profiles (user_id, display_name)
+    VALUES (?, ?)
+  `).run(userId, username);
+  
+  console.log(`✅ User created: ${username} (${userId})`);
+  
+  return {
+    userId,
+    username,
+    recoveryPhrase // CRITICAL: Return this ONCE to user, never store it plain
+  };
 }
 
 /**
@@ -257,60 +247,56 @@ async function createUser(username, password, email = null, role = 'user') {
  * @throws {Error} - If credentials are invalid
  */
 async function authenticateUser(username, password, ipAddress = null, userAgent = null) {
-  const db = new Database(DB_PATH);
+  const db = getDb();
   
-  try {
-    // Get user
-    const user = db.prepare(`
-      SELECT id, username, password_hash, email, role, is_active
-      FROM users
-      WHERE username = ?
-    `).get(username);
-    
-    if (!user) {
-      throw new Error('Invalid credentials');
-    }
-    
-    if (!user.is_active) {
-      throw new Error('Account is disabled');
-    }
-    
-    // Verify password
-    const validPassword = await verifyPassword(password, user.password_hash);
-    if (!validPassword) {
-      throw new Error('Invalid credentials');
-    }
-    
-    // Generate tokens
-    const tokens = generateTokens(user.id, user.username, user.role);
-    
-    // Create session
-    const sessionId = crypto.randomUUID();
-    const expiresAt = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000); // 7 days
-    
-    db.prepare(`
-      INSERT INTO user_sessions (id, user_id, refresh_token, expires_at, ip_address, user_agent)
-      VALUES (?, ?, ?, ?, ?, ?)
-    `).run(sessionId, user.id, tokens.refreshToken, expiresAt.toISOString(), ipAddress, userAgent);
-    
-    // Update last login
-    db.prepare('UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE id = ?').run(user.id);
-    
-    console.log(`✅ User authenticated: ${username}`);
-    
-    return {
-      user: {
-        id: user.id,
-        username: user.username,
-        email: user.email,
-        role: user.role
-      },
-      accessToken: tokens.accessToken,
-      refreshToken: tokens.refreshToken
-    };
-  } finally {
-    db.close();
+  // Get user
+  const user = db.prepare(`
+    SELECT id, username, password_hash, email, role, is_active
+    FROM users
+    WHERE username = ?
+  `).get(username);
+  
+  if (!user) {
+    throw new Error('Invalid credentials');
+  }
+  
+  if (!user.is_active) {
+    throw new Error('Account is disabled');
+  }
+  
+  // Verify password
+  const validPassword = await verifyPassword(password, user.password_hash);
+  if (!validPassword) {
+    throw new Error('Invalid credentials');
   }
+  
+  // Generate tokens
+  const tokens = generateTokens(user.id, user.username, user.role);
+  
+  // Create session
+  const sessionId = crypto.randomUUID();
+  const expiresAt = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000); // 7 days
+  
+  db.prepare(`
+    INSERT INTO user_sessions (id, user_id, refresh_token, expires_at, ip_address, user_agent)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(sessionId, user.id, tokens.refreshToken, expiresAt.toISOString(), ipAddress, userAgent);
+  
+  // Update last login
+  db.prepare('UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE id = ?').run(user.id);
+  
+  console.log(`✅ User authenticated: ${username}`);
+  
+  return {
+    user: {
+      id: user.id,
+      username: user.username,
+      email: user.email,
+      role: user.role
+    },
+    accessToken: tokens.accessToken,
+    refreshToken: tokens.refreshToken
+  };
 }
 
 /**
@@ -321,38 +307,34 @@ async function authenticateUser(username, password, ipAddress = null, userAgent
  * @throws {Error} - If recovery fails
  */
 async function recoverAccount(username, recoveryPhrase) {
-  const db = new Database(DB_PATH);
+  const db = getDb();
   
-  try {
-    const user = db.prepare(`
-      SELECT id, username, recovery_phrase_hash, is_active
-      FROM users
-      WHERE username = ?
-    `).get(username);
-    
-    if (!user) {
-      throw new Error('User not found');
-    }
-    
-    if (!user.is_active) {
-      throw new Error('Account is disabled');
-    }
-    
-    // Verify recovery phrase
-    const validPhrase = await verifyRecoveryPhrase(recoveryPhrase, user.recovery_phrase_hash);
-    if (!validPhrase) {
-      throw new Error('Invalid recovery phrase');
-    }
-    
-    console.log(`✅ Account recovered: ${username}`);
-    
-    return {
-      userId: user.id,
-      username: user.username
-    };
-  } finally {
-    db.close();
+  const user = db.prepare(`
+    SELECT id, username, recovery_phrase_hash, is_active
+    FROM users
+    WHERE username = ?
+  `).get(username);
+  
+  if (!user) {
+    throw new Error('User not found');
+  }
+  
+  if (!user.is_active) {
+    throw new Error('Account is disabled');
   }
+  
+  // Verify recovery phrase
+  const validPhrase = await verifyRecoveryPhrase(recoveryPhrase, user.recovery_phrase_hash);
+  if (!validPhrase) {
+    throw new Error('Invalid recovery phrase');
+  }
+  
+  console.log(`✅ Account recovered: ${username}`);
+  
+  return {
+    userId: user.id,
+    username: user.username
+  };
 }
 
 /**
@@ -364,31 +346,27 @@ async function recoverAccount(username, recoveryPhrase) {
  * @throws {Error} - If reset fails
  */
 async function resetPassword(username, recoveryPhrase, newPassword) {
-  const db = new Database(DB_PATH);
+  const db = getDb();
   
-  try {
-    // First verify the recovery phrase
-    const accountInfo = await recoverAccount(username, recoveryPhrase);
-    
-    // Hash new password
-    const newPasswordHash = await hashPassword(newPassword);
-    
-    // Update password
-    db.prepare(`
-      UPDATE users 
-      SET password_hash = ?, updated_at = CURRENT_TIMESTAMP
-      WHERE id = ?
-    `).run(newPasswordHash, accountInfo.userId);
-    
-    // Revoke all existing sessions for security
-    db.prepare('DELETE FROM user_sessions WHERE user_id = ?').run(accountInfo.userId);
-    
-    console.log(`✅ Password reset for: ${username}`);
-    
-    return accountInfo;
-  } finally {
-    db.close();
-  }
+  // First verify the recovery phrase
+  const accountInfo = await recoverAccount(username, recoveryPhrase);
+  
+  // Hash new password
+  const newPasswordHash = await hashPassword(newPassword);
+  
+  // Update password
+  db.prepare(`
+    UPDATE users 
+    SET password_hash = ?, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(newPasswordHash, accountInfo.userId);
+  
+  // Revoke all existing sessions for security
+  db.prepare('DELETE FROM user_sessions WHERE user_id = ?').run(accountInfo.userId);
+  
+  console.log(`✅ Password reset for: ${username}`);
+  
+  return accountInfo;
 }
 
 /**
@@ -397,14 +375,10 @@ async function resetPassword(username, recoveryPhrase, newPassword) {
  * @returns {Promise<boolean>} - True if session was revoked
  */
 async function revokeSession(refreshToken) {
-  const db = new Database(DB_PATH);
+  const db = getDb();
   
-  try {
-    const result = db.prepare('DELETE FROM user_sessions WHERE refresh_token = ?').run(refreshToken);
-    return result.changes > 0;
-  } finally {
-    db.close();
-  }
+  const result = db.prepare('DELETE FROM user_sessions WHERE refresh_token = ?').run(refreshToken);
+  return result.changes > 0;
 }
 
 /**
@@ -413,14 +387,10 @@ async function revokeSession(refreshToken) {
  * @returns {Promise<number>} - Number of sessions revoked
  */
 async function revokeAllUserSessions(userId) {
-  const db = new Database(DB_PATH);
+  const db = getDb();
   
-  try {
-    const result = db.prepare('DELETE FROM user_sessions WHERE user_id = ?').run(userId);
-    return result.changes;
-  } finally {
-    db.close();
-  }
+  const result = db.prepare('DELETE FROM user_sessions WHERE user_id = ?').run(userId);
+  return result.changes;
 }
 
 /**
@@ -429,34 +399,30 @@ async function revokeAllUserSessions(userId) {
  * @returns {Promise<Object|null>} - User object or null
  */
 async function getUserById(userId) {
-  const db = new Database(DB_PATH);
+  const db = getDb();
   
-  try {
-    const user = db.prepare(`
-      SELECT u.id, u.username, u.email, u.role, u.is_active, u.created_at, u.last_login,
-             p.display_name, p.bio, p.avatar_url, p.country, p.timezone, p.preferences
-      FROM users u
-      LEFT JOIN user_profiles p ON u.id = p.user_id
-      WHERE u.id = ?
-    `).get(userId);
-    
-    if (!user) {
-      return null;
-    }
-    
-    // Parse preferences JSON if exists
-    if (user.preferences) {
-      try {
-        user.preferences = JSON.parse(user.preferences);
-      } catch (e) {
-        user.preferences = {};
-      }
+  const user = db.prepare(`
+    SELECT u.id, u.username, u.email, u.role, u.is_active, u.created_at, u.last_login,
+           p.display_name, p.bio, p.avatar_url, p.country, p.timezone, p.preferences
+    FROM users u
+    LEFT JOIN user_profiles p ON u.id = p.user_id
+    WHERE u.id = ?
+  `).get(userId);
+  
+  if (!user) {
+    return null;
+  }
+  
+  // Parse preferences JSON if exists
+  if (user.preferences) {
+    try {
+      user.preferences = JSON.parse(user.preferences);
+    } catch (e) {
+      user.preferences = {};
     }
-    
-    return user;
-  } finally {
-    db.close();
   }
+  
+  return user;
 }
 
 /**
@@ -466,36 +432,32 @@ async function getUserById(userId) {
  * @returns {Promise<boolean>} - True if updated
  */
 async function updateUserProfile(userId, updates) {
-  const db = new Database(DB_PATH);
+  const db = getDb();
   
-  try {
-    const allowedFields = ['display_name', 'bio', 'avatar_url', 'country', 'timezone', 'preferences'];
-    const updateFields = [];
-    const values = [];
-    
-    for (const [key, value] of Object.entries(updates)) {
-      if (allowedFields.includes(key)) {
-        updateFields.push(`${key} = ?`);
-        values.push(key === 'preferences' ? JSON.stringify(value) : value);
-      }
-    }
-    
-    if (updateFields.length === 0) {
-      return false;
+  const allowedFields = ['display_name', 'bio', 'avatar_url', 'country', 'timezone', 'preferences'];
+  const updateFields = [];
+  const values = [];
+  
+  for (const [key, value] of Object.entries(updates)) {
+    if (allowedFields.includes(key)) {
+      updateFields.push(`${key} = ?`);
+      values.push(key === 'preferences' ? JSON.stringify(value) : value);
     }
-    
-    values.push(userId);
-    
-    db.prepare(`
-      UPDATE user_profiles 
-      SET ${updateFields.join(', ')}, updated_at = CURRENT_TIMESTAMP
-      WHERE user_id = ?
-    `).run(...values);
-    
-    return true;
-  } finally {
-    db.close();
   }
+  
+  if (updateFields.length === 0) {
+    return false;
+  }
+  
+  values.push(userId);
+  
+  db.prepare(`
+    UPDATE user_profiles 
+    SET ${updateFields.join(', ')}, updated_at = CURRENT_TIMESTAMP
+    WHERE user_id = ?
+  `).run(...values);
+  
+  return true;
 }
 
 /**
@@ -507,37 +469,33 @@ async function updateUserProfile(userId, updates) {
  * @throws {Error} - If current password is wrong
  */
 async function changePassword(userId, currentPassword, newPassword) {
-  const db = new Database(DB_PATH);
+  const db = getDb();
   
-  try {
-    const user = db.prepare('SELECT password_hash FROM users WHERE id = ?').get(userId);
-    
-    if (!user) {
-      throw new Error('User not found');
-    }
-    
-    // Verify current password
-    const validPassword = await verifyPassword(currentPassword, user.password_hash);
-    if (!validPassword) {
-      throw new Error('Current password is incorrect');
-    }
-    
-    // Hash and update new password
-    const newPasswordHash = await hashPassword(newPassword);
-    db.prepare(`
-      UPDATE users 
-      SET password_hash = ?, updated_at = CURRENT_TIMESTAMP
-      WHERE id = ?
-    `).run(newPasswordHash, userId);
-    
-    // Revoke all other sessions for security (keep current session)
-    // Note: Caller should handle keeping current session
-    
-    console.log(`✅ Password changed for user: ${userId}`);
-    return true;
-  } finally {
-    db.close();
+  const user = db.prepare('SELECT password_hash FROM users WHERE id = ?').get(userId);
+  
+  if (!user) {
+    throw new Error('User not found');
+  }
+  
+  // Verify current password
+  const validPassword = await verifyPassword(currentPassword, user.password_hash);
+  if (!validPassword) {
+    throw new Error('Current password is incorrect');
   }
+  
+  // Hash and update new password
+  const newPasswordHash = await hashPassword(newPassword);
+  db.prepare(`
+    UPDATE users 
+    SET password_hash = ?, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(newPasswordHash, userId);
+  
+  // Revoke all other sessions for security (keep current session)
+  // Note: Caller should handle keeping current session
+  
+  console.log(`✅ Password changed for user: ${userId}`);
+  return true;
 }
 
 module.exports = {
@@ -0,0 +1,556 @@
+/**
+ * @license
+ * SPDX-License-Identifier: MIT
+ *
+ * Backtest Service
+ * Replays stored candle history through the live decision pipeline
+ * (generateBasePrompt → callAIProvider → validateDecisions → applyRiskLimits →
+ * executeDecisions) on a simulated clock, producing an equity curve, trade list
+ * and risk metrics. The simulated bot trades on BotManager's paper engine, so
+ * LIMIT/STOP entries, ADD/REDUCE/MODIFY/CANCEL, partial closes, trailing stops,
+ * the risk limits and funding (at the market data exchange's historical rates)
+ * all behave as in live paper trading; nothing is written to the live tables.
+ * Its LLM calls are billed to the backtested bot, counting toward its usage and budgets.
+ *
+ * Jobs run one at a time in-process; results are persisted to the backtests table.
+ */
+
+const crypto = require('crypto');
+const relationalDb = require('../database/relational');
+const candleService = require('./candleService');
+const { getExchangeAdapter } = require('./exchanges');
+const { parseModelConfig } = require('./modelParams');
+const { parseProviderIds } = require('./providerFailover');
+const { parseRiskLimits } = require('./riskEngine');
+const { calculateRiskMetrics } = require('../utils/riskMetrics');
+
+const MAX_STEPS = 500;
+const MAX_SYMBOLS = 10;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FUNDING_PAGE_SIZE = 1000;
+
+class BacktestService {
+  constructor() {
+    this.queue = [];
+    this.isProcessing = false;
+    this.cancelled = new Set();
+    this.botManager = null;
+  }
+  
+  /**
+   * Attach the running BotManager whose prompt/provider/validation pipeline is replayed
+   */
+  init(botManager) {
+    this.botManager = botManager;
+    
+    // Jobs don't survive a restart - mark anything left over as failed
+    const interrupted = [
+      ...relationalDb.getBacktests({ status: 'queued' }),
+      ...relationalDb.getBacktests({ status: 'running' })
+    ];
+    for (const backtest of interrupted) {
+      relationalDb.updateBacktest(backtest.id, {
+        status: 'failed',
+        error: 'Interrupted by server restart',
+        completed_at: new Date().toISOString()
+      });
+    }
+    
+    if (interrupted.length > 0) {
+      console.log(`[Backtest] Marked ${interrupted.length} interrupted backtest(s) as failed`);
+    }
+  }
+  
+  /**
+   * Validate parameters, store the job and queue it
+   * @param {Object} bot - Bot row from relationalDb.getBot
+   * @param {Object} params - { start_time, end_time, interval, initial_balance, symbols?, prompt? }
+   * @returns {Object} The created backtest record
+   */
+  createBacktest(bot, params) {
+    const { interval } = candleService.normalizeParams(params.interval, candleService.DEFAULT_LOOKBACK);
+    const startTime = new Date(params.start_time).getTime();
+    const endTime = new Date(params.end_time).getTime();
+    
+    if (!(endTime > startTime)) {
+      throw new Error('end_time must be after start_time');
+    }
+    if (endTime > Date.now()) {
+      throw new Error('end_time cannot be in the future');
+    }
+    
+    const steps = Math.floor((endTime - startTime) / candleService.INTERVAL_MS[interval]);
+    if (steps < 2) {
+      throw new Error('Date range must cover at least two candles at the chosen interval');
+    }
+    if (steps > MAX_STEPS) {
+      throw new Error(`Date range covers ${steps} ${interval} candles; the maximum is ${MAX_STEPS} (each candle is one AI call)`);
+    }
+    
+    const symbols = params.symbols && params.symbols.length > 0
+      ? params.symbols
+      : this.botManager.getTradingSymbolsForBot(bot);
+    if (symbols.length === 0) {
+      throw new Error('No symbols configured for this bot; pass symbols explicitly');
+    }
+    if (symbols.length > MAX_SYMBOLS) {
+      throw new Error(`A backtest can include at most ${MAX_SYMBOLS} symbols`);
+    }
+    
+    const budgetError = this.botManager.getBudgetError({ id: bot.id, name: bot.name, userId: bot.user_id });
+    if (budgetError) {
+      throw new Error(budgetError);
+    }
+    
+    const backtest = relationalDb.createBacktest({
+      id: `bt_${crypto.randomBytes(8).toString('hex')}`,
+      user_id: bot.user_id,
+      bot_id: bot.id,
+      config: {
+        interval,
+        start_time: startTime,
+        end_time: endTime,
+        steps,
+        symbols,
+        initial_balance: params.initial_balance || 10000,
+        prompt: params.prompt || bot.prompt,
+        prompt_overridden: Boolean(params.prompt),
+        provider_type: bot.provider_type,
+        provider_id: bot.provider_id,
+        model_config: parseModelConfig(bot.config_json),
+        fallback_provider_ids: parseProviderIds(bot.fallback_provider_ids),
+        risk_limits: parseRiskLimits(bot.risk_limits_json),
+        bot_name: bot.name
+      }
+    });
+    
+    this.queue.push(backtest.id);
+    this.processQueue();
+    
+    return backtest;
+  }
+  
+  /**
+   * Request cancellation of a queued or running backtest
+   */
+  cancelBacktest(backtestId) {
+    const queuedIndex = this.queue.indexOf(backtestId);
+    if (queuedIndex !== -1) {
+      this.queue.splice(queuedIndex, 1);
+      relationalDb.updateBacktest(backtestId, {
+        status: 'cancelled',
+        completed_at: new Date().toISOString()
+      });
+      return;
+    }
+    
+    this.cancelled.add(backtestId);
+  }
+  
+  /**
+   * Run queued jobs sequentially
+   */
+  async processQueue() {
+    if (this.isProcessing) {
+      return;
+    }
+    
+    this.isProcessing = true;
+    try {
+      while (this.queue.length > 0) {
+        const backtestId = this.queue.shift();
+        await this.runBacktest(backtestId);
+      }
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+  
+  /**
+   * Execute a single backtest and persist its results
+   */
+  async runBacktest(backtestId) {
+    const backtest = relationalDb.getBacktest(backtestId);
+    if (!backtest) {
+      return;
+    }
+    
+    const { config } = backtest;
+    console.log(`🧪 [Backtest] Starting ${backtestId} for ${config.bot_name} (${config.steps} × ${config.interval})`);
+    
+    relationalDb.updateBacktest(backtestId, {
+      status: 'running',
+      started_at: new Date().toISOString()
+    });
+    
+    try {
+      const result = await this.simulate(backtestId, config, backtest.user_id, backtest.bot_id);
+      
+      relationalDb.updateBacktest(backtestId, {
+        status: result.cancelled ? 'cancelled' : 'completed',
+        progress: result.cancelled ? undefined : 1,
+        equity_curve: result.equityCurve,
+        trades: result.trades,
+        metrics: result.metrics,
+        completed_at: new Date().toISOString()
+      });
+      
+      console.log(`✅ [Backtest] ${backtestId} ${result.cancelled ? 'cancelled' : 'completed'}: final value $${result.metrics.final_value.toFixed(2)}`);
+    } catch (error) {
+      console.error(`❌ [Backtest] ${backtestId} failed:`, error.message);
+      relationalDb.updateBacktest(backtestId, {
+        status: 'failed',
+        error: error.message,
+        completed_at: new Date().toISOString()
+      });
+    } finally {
+      this.cancelled.delete(backtestId);
+    }
+  }
+  
+  /**
+   * Load candles for every symbol, including a day of warm-up for the 24h change
+   * @returns {Map<string, Array>} symbol → candles (oldest first)
+   */
+  async loadHistory(config) {
+    const history = new Map();
+    
+    for (const symbol of config.symbols) {
+      const candles = await candleService.getCandleRange(
+        symbol,
+        config.interval,
+        config.start_time - DAY_MS,
+        config.end_time
+      );
+      
+      if (!candles.some(c => c.openTime >= config.start_time)) {
+        throw new Error(`No ${config.interval} candle history for ${symbol} in the requested range`);
+      }
+      
+      history.set(symbol, candles);
+    }
+    
+    return history;
+  }
+  
+  /**
+   * Load the funding rates charged in the range from the market data exchange
+   * A backtest runs without funding (with a warning) if the exchange has no history.
+   * @returns {Map<string, Array>} symbol → FundingEvents (oldest first)
+   */
+  async loadFunding(config) {
+    const exchange = this.botManager.marketDataExchange;
+    const funding = new Map();
+    
+    try {
+      const adapter = getExchangeAdapter(exchange);
+      for (const symbol of config.symbols) {
+        const events = [];
+        let cursor = config.start_time;
+        while (cursor <= config.end_time) {
+          const page = await adapter.getFundingHistory(symbol, { startTime: cursor, endTime: config.end_time, limit: FUNDING_PAGE_SIZE });
+          events.push(...page);
+          if (page.length < FUNDING_PAGE_SIZE) {
+            break;
+          }
+          cursor = page[page.length - 1].fundingTime + 1;
+        }
+        funding.set(symbol, events);
+      }
+    } catch (error) {
+      console.warn(`⚠️ [Backtest] No funding history from ${exchange}, simulating without funding:`, error.message);
+      return new Map();
+    }
+    
+    return funding;
+  }
+  
+  /**
+   * Funding falling due after `since` up to `now`, priced at the candle it falls in
+   * @returns {Array<{symbol, fundingRate, markPrice, fundingTime}>} Settlements for BotManager.applyFunding
+   */
+  getFundingSettlements(funding, history, since, now) {
+    const settlements = [];
+    
+    for (const [symbol, events] of funding) {
+      const candles = history.get(symbol);
+      for (const event of events) {
+        if (event.fundingTime <= since || event.fundingTime > now) {
+          continue;
+        }
+        const index = this.findCandleIndex(candles, event.fundingTime);
+        if (index !== -1) {
+          settlements.push({ ...event, markPrice: candles[index].open });
+        }
+      }
+    }
+    
+    return settlements;
+  }
+  
+  /**
+   * Build the market snapshot the bot would have seen at the close of the candle opening at openTime
+   * Each market carries the candle's open, low and high, which the paper engine checks
+   * orders and levels against, and the last funding rate charged before the close.
+   */
+  buildMarkets(history, openTime, closeTime, funding) {
+    const markets = [];
+    
+    for (const [symbol, candles] of history) {
+      const index = this.findCandleIndex(candles, openTime);
+      if (index === -1) {
+        continue;
+      }
+      
+      const candle = candles[index];
+      const dayAgoIndex = this.findCandleIndex(candles, openTime - DAY_MS);
+      const reference = candles[dayAgoIndex === -1 ? 0 : dayAgoIndex].close;
+      const lastFunding = (funding.get(symbol) || []).filter(event => event.fundingTime <= closeTime).pop();
+      
+      markets.push({
+        symbol,
+        price: candle.close,
+        price24hChange: reference ? ((candle.close - reference) / reference) * 100 : 0,
+        open: candle.open,
+        high: candle.high,
+        low: candle.low,
+        ...(lastFunding && { fundingRate: lastFunding.fundingRate })
+      });
+    }
+    
+    return markets;
+  }
+  /**
+   * Index of the latest candle opening at or before openTime, or -1
+   */
+  findCandleIndex(candles, openTime) {
+    let low = 0;
+    let high = candles.length - 1;
+    let found = -1;
+    
+    while (low <= high) {
+      const mid = (low + high) >> 1;
+      if (candles[mid].openTime <= openTime) {
+        found = mid;
+        low = mid + 1;
+      } else {
+        high = mid - 1;
+      }
+    }
+    
+    return found;
+  }
+  
+  /**
+   * Replay the range step by step
+   * @param {string} userId - Backtest owner (scopes the provider lookup)
+   * @param {string} botId - Backtested bot, which the LLM calls are billed to
+   */
+  async simulate(backtestId, config, userId, botId) {
+    const botManager = this.botManager;
+    const intervalMs = candleService.INTERVAL_MS[config.interval];
+    const history = await this.loadHistory(config);
+    const funding = botManager.getCostModel().fundingEnabled ? await this.loadFunding(config) : new Map();
+    
+    // Usage is recorded and budgets checked against the live bot; one that isn't
+    // loaded (inactive) has no turns to pause when a budget runs out
+    const billedBot = botManager.getBot(botId) || { id: botId, name: config.bot_name, userId, isPaused: true };
+    
+    // Simulated paper bot - `backtest` keeps BotManager on the simulated clock and out of the live tables
+    const bot = {
+      id: `${backtestId}_bot`,
+      name: config.bot_name,
+      provider: config.provider_type,
+      provider_id: config.provider_id,
+      userId,
+      modelConfig: config.model_config || {},
+      fallbackProviderIds: config.fallback_provider_ids || [],
+      prompt: config.prompt,
+      tradingMode: 'paper',
+      riskLimits: config.risk_limits || {},
+      portfolio: {
+        balance: config.initial_balance,
+        pnl: 0,
+        totalValue: config.initial_balance,
+        positions: []
+      },
+      orders: [],
+      pendingOrders: [],
+      symbolCooldowns: {},
+      realizedPnl: 0,
+      tradeCount: 0,
+      winRate: 0,
+      isPaused: false,
+      backtest: {
+        now: config.start_time,
+        // Correlation limits see the closes up to the simulated time
+        getPriceSeries: symbol => {
+          const candles = history.get(symbol) || [];
+          const index = this.findCandleIndex(candles, bot.backtest.now - intervalMs);
+          return candles.slice(Math.max(0, index + 1 - candleService.DEFAULT_LOOKBACK), index + 1).map(c => c.close);
+        }
+      }
+    };
+    
+    const equityCurve = [];
+    let decisionCount = 0;
+    let errorCount = 0;
+    let lastMarkets = [];
+    let lastProgress = 0;
+    let cancelled = false;
+    
+    try {
+      for (let step = 0; step < config.steps; step++) {
+        if (this.cancelled.has(backtestId)) {
+          cancelled = true;
+          break;
+        }
+        
+        const openTime = config.start_time + step * intervalMs;
+        const now = openTime + intervalMs; // Decisions are made at the candle close
+        const markets = this.buildMarkets(history, openTime, now, funding);
+        if (markets.length === 0) {
+          continue;
+        }
+        
+        // Everything the engine prices this step comes from the candle, never the live markets
+        const since = bot.backtest.now;
+        bot.backtest.now = now;
+        botManager.turnMarkets.set(bot.id, markets);
+        lastMarkets = markets;
+        
+        // Between turns, as updatePortfolios does for live paper bots
+        await botManager.checkPendingOrders(bot, markets, now);
+        botManager.updateTrailingStops(bot, markets);
+        await botManager.checkPaperTriggers(bot, markets);
+        botManager.applyFunding(bot, this.getFundingSettlements(funding, history, since, now));
+        botManager.markToMarket(bot, markets);
+        await botManager.enforceRiskLimits(bot);
+        
+        // The drawdown kill-switch pauses the bot for the rest of the test
+        if (!bot.isPaused) {
+          // A backtest stops as soon as a budget covering the bot is exhausted
+          const budgetError = botManager.getBudgetError(billedBot);
+          if (budgetError) {
+            throw new Error(budgetError);
+          }
+          
+          // Ask the model exactly as a live turn would, minus history and sandbox tools
+          const basePrompt = botManager.generateBasePrompt(
+            bot.portfolio,
+            markets,
+            bot.prompt,
+            bot.symbolCooldowns,
+            bot.orders.slice(0, 10),
+            now,
+            bot.pendingOrders
+          );
+          
+          const notes = [];
+          let decisions = [];
+          const usage = [];
+          const aiResult = await botManager.callAIProvider(bot, basePrompt, { usage, purpose: 'backtest' });
+          await botManager.recordLlmUsage(billedBot, usage);
+          
+          if (aiResult.error) {
+            errorCount++;
+            notes.push(`API ERROR: ${aiResult.error}`);
+          } else {
+            try {
+              decisions = botManager.parseDecisions(aiResult.text).filter(d => d.action !== 'ANALYZE');
+            } catch (error) {
+              errorCount++;
+              notes.push(`PARSE ERROR: ${error.message}`);
+            }
+          }
+          decisionCount++;
+          
+          const validated = botManager.validateDecisions(bot, decisions, notes);
+          const approved = await botManager.applyRiskLimits(bot, validated, notes);
+          await botManager.executeDecisions(bot, approved, notes);
+          botManager.markToMarket(bot, markets);
+        }
+        
+        equityCurve.push({ time: now, value: bot.portfolio.totalValue });
+        
+        // Progress is stored at most once per percent
+        const progress = Math.floor(((step + 1) / config.steps) * 100);
+        if (progress > lastProgress) {
+          lastProgress = progress;
+          relationalDb.updateBacktest(backtestId, { progress: progress / 100 });
+        }
+      }
+      
+      // Close anything still open at the last seen price so PnL is fully realised
+      bot.backtest.now = equityCurve.length > 0 ? equityCurve[equityCurve.length - 1].time : config.end_time;
+      for (const pos of [...bot.portfolio.positions]) {
+        const market = lastMarkets.find(m => m.symbol === pos.symbol);
+        if (market) {
+          await botManager.closePosition(bot, pos.id, { symbol: market.symbol, price: market.price }, [], 'END_OF_TEST');
+        }
+      }
+    } finally {
+      botManager.turnMarkets.delete(bot.id);
+    }
+    
+    botManager.markToMarket(bot, lastMarkets);
+    if (equityCurve.length > 0) {
+      equityCurve[equityCurve.length - 1].value = bot.portfolio.totalValue;
+    }
+    
+    // Trades are the close fills (partial closes included), oldest first
+    const trades = bot.orders.filter(o => o.exitPrice > 0).reverse().map(o => ({
+      symbol: o.symbol,
+      type: o.type,
+      entry_price: o.entryPrice,
+      exit_price: o.exitPrice,
+      size: o.size,
+      leverage: o.leverage,
+      pnl: o.pnl,
+      fee: o.fee,
+      slippage: o.slippage,
+      funding: o.funding,
+      opened_at: o.openedAt,
+      closed_at: o.timestamp,
+      close_reason: o.closeReason || null,
+      partial: o.partial
+    }));
+    
+    return {
+      cancelled,
+      equityCurve,
+      trades,
+      metrics: this.summarize(config, bot, trades, equityCurve, decisionCount, errorCount)
+    };
+  }
+  
+  /**
+   * Risk metrics (same as /api/analytics/risk-metrics) plus trade statistics
+   * Fees and slippage cover every fill (entries included); funding is what the closed trades paid.
+   */
+  summarize(config, bot, trades, equityCurve, decisionCount, errorCount) {
+    const wins = trades.filter(t => t.pnl > 0);
+    const losses = trades.filter(t => t.pnl <= 0);
+    const grossProfit = wins.reduce((sum, t) => sum + t.pnl, 0);
+    const grossLoss = Math.abs(losses.reduce((sum, t) => sum + t.pnl, 0));
+    const finalValue = bot.portfolio.totalValue;
+    
+    return {
+      ...(calculateRiskMetrics([config.initial_balance, ...equityCurve.map(p => p.value)]) || {}),
+      initial_balance: config.initial_balance,
+      final_value: finalValue,
+      total_pnl: finalValue - config.initial_balance,
+      total_return_pct: ((finalValue - config.initial_balance) / config.initial_balance) * 100,
+      trade_count: trades.length,
+      win_rate: trades.length > 0 ? (wins.length / trades.length) * 100 : 0,
+      profit_factor: grossLoss > 0 ? grossProfit / grossLoss : (grossProfit > 0 ? null : 0),
+      total_fees: bot.orders.reduce((sum, o) => sum + o.fee, 0),
+      total_slippage: bot.orders.reduce((sum, o) => sum + (o.slippage || 0), 0),
+      total_funding: trades.reduce((sum, t) => sum + (t.funding || 0), 0),
+      decisions: decisionCount,
+      ai_errors: errorCount
+    };
+  }
+}
+
+module.exports = new BacktestService();
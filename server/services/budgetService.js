@@ -0,0 +1,163 @@
+/**
+ * @license
+ * SPDX-License-Identifier: MIT
+ *
+ * LLM Budgets
+ * Daily and monthly token / dollar limits on LLM spend, set per user (all of
+ * their bots together) and per bot. Spend is read from llm_usage since the
+ * start of the current UTC day or month, plus any calls made earlier in the
+ * turn that haven't been stored yet. A budget is exhausted once any of its
+ * limits is reached; BotManager warns the owner before that and pauses bots
+ * when it happens.
+ */
+
+const relationalDb = require('../database/relational');
+const { summarizeUsage } = require('./llmUsage');
+
+const BUDGET_LIMITS = [
+  { field: 'daily_tokens', period: 'daily', metric: 'tokens' },
+  { field: 'daily_usd', period: 'daily', metric: 'usd' },
+  { field: 'monthly_tokens', period: 'monthly', metric: 'tokens' },
+  { field: 'monthly_usd', period: 'monthly', metric: 'usd' }
+];
+
+const DEFAULT_WARNING_PCT = 80;
+
+/**
+ * Error thrown when an LLM call would run over budget
+ */
+class BudgetExceededError extends Error {
+  constructor(message, exhausted) {
+    super(message);
+    this.name = 'BudgetExceededError';
+    this.code = 'BUDGET_EXCEEDED';
+    this.exhausted = exhausted;
+  }
+}
+
+/**
+ * Start of the current budget period (UTC)
+ * @param {string} period - 'daily' or 'monthly'
+ */
+function getPeriodStart(period, now = new Date()) {
+  return period === 'monthly'
+    ? new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1))
+    : new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+}
+
+/**
+ * When the current budget period ends and spend starts again from zero
+ */
+function getPeriodEnd(period, now = new Date()) {
+  return period === 'monthly'
+    ? new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1))
+    : new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1));
+}
+
+/**
+ * Spend against each limit configured on a budget
+ * @param {Object} budget - llm_budgets row
+ * @param {Object} options
+ * @param {Array} options.pending - Usage records not yet stored (counted against the budget)
+ * @param {Date} options.now - Current time
+ * @returns {Array<{budgetId, scope, userId, botId, period, metric, limit, used, ratio, resetsAt, setByAdmin}>}
+ */
+function evaluateBudget(budget, { pending = [], now = new Date() } = {}) {
+  const pendingTotals = summarizeUsage(pending);
+  const spendByPeriod = {};
+  const entries = [];
+  
+  for (const { field, period, metric } of BUDGET_LIMITS) {
+    if (budget[field] === null || budget[field] === undefined) {
+      continue;
+    }
+    
+    if (!spendByPeriod[period]) {
+      spendByPeriod[period] = relationalDb.getLlmSpend({
+        user_id: budget.user_id,
+        bot_id: budget.bot_id || null,
+        start_date: getPeriodStart(period, now).toISOString()
+      });
+    }
+    
+    const spend = spendByPeriod[period];
+    const used = metric === 'tokens'
+      ? spend.tokens + pendingTotals.inputTokens + pendingTotals.outputTokens
+      : spend.cost_usd + pendingTotals.costUsd;
+    const limit = Number(budget[field]);
+    
+    entries.push({
+      budgetId: budget.id,
+      scope: budget.bot_id ? 'bot' : 'user',
+      userId: budget.user_id,
+      botId: budget.bot_id || null,
+      period,
+      metric,
+      limit,
+      used,
+      ratio: limit > 0 ? used / limit : Infinity, // A zero limit blocks all calls
+      resetsAt: getPeriodEnd(period, now).toISOString(),
+      setByAdmin: Boolean(budget.set_by_admin)
+    });
+  }
+  
+  return entries;
+}
+
+/**
+ * Check the budgets covering a bot: its owner's user-wide budget and its own
+ * @param {string} userId - Bot owner
+ * @param {string} botId - Bot ID
+ * @param {Object} options - pending, now (see evaluateBudget) and warningPct
+ * @returns {{exhausted: Array, warnings: Array}} Budget limits reached, and limits past the warning level
+ */
+function checkBudgets(userId, botId, { pending = [], now = new Date(), warningPct = DEFAULT_WARNING_PCT } = {}) {
+  if (!userId) {
+    return { exhausted: [], warnings: [] };
+  }
+  
+  const budgets = [relationalDb.getLlmBudget(userId, null), relationalDb.getLlmBudget(userId, botId)].filter(Boolean);
+  const entries = budgets.flatMap(budget => evaluateBudget(budget, { pending, now }));
+  const warningRatio = warningPct / 100;
+  
+  return {
+    exhausted: entries.filter(entry => entry.ratio >= 1),
+    warnings: entries.filter(entry => entry.ratio >= warningRatio && entry.ratio < 1)
+  };
+}
+
+/**
+ * One-line description of a budget limit for logs, notes and notifications
+ */
+function describeBudgetEntry(entry, botName = null) {
+  const owner = entry.scope === 'user' ? 'all bots' : (botName || entry.botId);
+  const usd = value => `$${value.toFixed(value > 0 && value < 1 ? 4 : 2)}`;
+  const amounts = entry.metric === 'usd'
+    ? `${usd(entry.used)} of ${usd(entry.limit)}`
+    : `${Math.round(entry.used).toLocaleString('en-US')} of ${entry.limit.toLocaleString('en-US')} tokens`;
+  return `${entry.period} ${entry.metric === 'usd' ? 'USD' : 'token'} budget for ${owner}: ${amounts}`;
+}
+
+/**
+ * Throw if a bot's budgets are exhausted
+ * @param {Object} options - Same as checkBudgets, plus botName for the message
+ * @throws {BudgetExceededError}
+ */
+function assertWithinBudget(userId, botId, options = {}) {
+  const { exhausted } = checkBudgets(userId, botId, options);
+  if (exhausted.length > 0) {
+    throw new BudgetExceededError(`LLM budget exhausted (${describeBudgetEntry(exhausted[0], options.botName)})`, exhausted);
+  }
+}
+
+module.exports = {
+  BUDGET_LIMITS,
+  DEFAULT_WARNING_PCT,
+  BudgetExceededError,
+  getPeriodStart,
+  getPeriodEnd,
+  evaluateBudget,
+  checkBudgets,
+  describeBudgetEntry,
+  assertWithinBudget
+};
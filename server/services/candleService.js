@@ -0,0 +1,218 @@
+/**
+ * @license
+ * SPDX-License-Identifier: MIT
+ *
+ * Candle Service
+ * Records OHLCV klines per symbol/interval in the market_data table and serves
+ * real price series to the sandbox's technical indicators. The symbols bots trade
+ * are recorded at the default interval as candles close (recordLatestCandles, on
+ * the market refresh tick); missing or stale history for anything else is
+ * backfilled on demand from the market data exchange's klines.
+ */
+
+const config = require('../config');
+const relationalDb = require('../database/relational');
+const { getExchangeAdapter } = require('./exchanges');
+
+const INTERVAL_MS = {
+  '1m': 60 * 1000,
+  '3m': 3 * 60 * 1000,
+  '5m': 5 * 60 * 1000,
+  '15m': 15 * 60 * 1000,
+  '30m': 30 * 60 * 1000,
+  '1h': 60 * 60 * 1000,
+  '2h': 2 * 60 * 60 * 1000,
+  '4h': 4 * 60 * 60 * 1000,
+  '6h': 6 * 60 * 60 * 1000,
+  '12h': 12 * 60 * 60 * 1000,
+  '1d': 24 * 60 * 60 * 1000
+};
+
+const DEFAULT_INTERVAL = '5m';
+const DEFAULT_LOOKBACK = 100;
+const MIN_LOOKBACK = 2;
+const MAX_LOOKBACK = 1000;
+
+// In-flight backfills keyed by symbol:interval so concurrent tool calls share one request
+const pendingBackfills = new Map();
+let isRecording = false; // A slow recording pass is not overlapped by the next tick's
+
+/**
+ * Validate and normalise interval/lookback parameters
+ */
+function normalizeParams(interval, lookback) {
+  const resolvedInterval = interval || DEFAULT_INTERVAL;
+  if (!INTERVAL_MS[resolvedInterval]) {
+    throw new Error(`Unsupported interval "${resolvedInterval}". Use one of: ${Object.keys(INTERVAL_MS).join(', ')}`);
+  }
+  
+  const resolvedLookback = lookback === undefined || lookback === null ? DEFAULT_LOOKBACK : Math.floor(Number(lookback));
+  if (!Number.isFinite(resolvedLookback) || resolvedLookback < MIN_LOOKBACK || resolvedLookback > MAX_LOOKBACK) {
+    throw new Error(`lookback must be between ${MIN_LOOKBACK} and ${MAX_LOOKBACK}`);
+  }
+  
+  return { interval: resolvedInterval, lookback: resolvedLookback };
+}
+
+/**
+ * Fetch klines from the market data exchange
+ * @param {Object} [range] - Optional { startTime, endTime } in ms
+ * @returns {Promise<Array>} Candles oldest first
+ */
+async function fetchKlines(symbol, interval, limit, range = {}) {
+  return getExchangeAdapter(config.marketDataExchange).getKlines(symbol, interval, {
+    limit,
+    startTime: range.startTime,
+    endTime: range.endTime
+  });
+}
+
+/**
+ * Fetch the latest klines from the exchange and store them
+ * @returns {Promise<number>} Number of candles stored
+ */
+async function backfillCandles(symbol, interval, lookback) {
+  const key = `${symbol}:${interval}`;
+  if (pendingBackfills.has(key)) {
+    return pendingBackfills.get(key);
+  }
+  
+  const request = (async () => {
+    try {
+      const candles = await fetchKlines(symbol, interval, lookback);
+      const stored = relationalDb.upsertCandles(symbol, interval, candles);
+      console.log(`🕯️ Backfilled ${stored} ${interval} candles for ${symbol}`);
+      return stored;
+    } finally {
+      pendingBackfills.delete(key);
+    }
+  })();
+  
+  pendingBackfills.set(key, request);
+  return request;
+}
+
+/**
+ * Record the latest klines for the tracked symbols
+ * A symbol is fetched once a candle has opened since its newest stored one, from that
+ * candle on: its final close is stored and any gap is filled, up to MAX_LOOKBACK candles
+ * per call. Symbols with no history start with the default lookback.
+ * @returns {Promise<number>} Number of candles stored
+ */
+async function recordLatestCandles(symbols, interval = DEFAULT_INTERVAL, now = Date.now()) {
+  if (isRecording) {
+    return 0;
+  }
+  
+  isRecording = true;
+  let stored = 0;
+  try {
+    for (const symbol of symbols) {
+      const [latest] = relationalDb.getCandles(symbol, interval, 1);
+      if (latest && now - latest.openTime < INTERVAL_MS[interval]) {
+        continue;
+      }
+      
+      try {
+        const candles = latest
+          ? await fetchKlines(symbol, interval, MAX_LOOKBACK, { startTime: latest.openTime })
+          : await fetchKlines(symbol, interval, DEFAULT_LOOKBACK);
+        stored += relationalDb.upsertCandles(symbol, interval, candles);
+      } catch (error) {
+        console.warn(`⚠️ Could not record ${interval} candles for ${symbol}:`, error.message);
+      }
+    }
+  } finally {
+    isRecording = false;
+  }
+  
+  return stored;
+}
+
+/**
+ * Get the most recent candles for a symbol, backfilling if the store is short or stale
+ */
+async function getCandles(symbol, interval, lookback) {
+  const params = normalizeParams(interval, lookback);
+  let candles = relationalDb.getCandles(symbol, params.interval, params.lookback);
+  
+  // The newest stored candle should be the one currently forming
+  const latestOpenTime = candles.length > 0 ? candles[candles.length - 1].openTime : 0;
+  const isStale = Date.now() - latestOpenTime >= INTERVAL_MS[params.interval];
+  
+  if (candles.length < params.lookback || isStale) {
+    try {
+      await backfillCandles(symbol, params.interval, params.lookback);
+      candles = relationalDb.getCandles(symbol, params.interval, params.lookback);
+    } catch (error) {
+      console.warn(`⚠️ Candle backfill failed for ${symbol} ${params.interval}:`, error.message);
+    }
+  }
+  
+  if (candles.length < MIN_LOOKBACK) {
+    throw new Error(`No ${params.interval} candle history available for ${symbol}`);
+  }
+  
+  return candles;
+}
+
+/**
+ * Get closing prices for a symbol, oldest first
+ * @param {number} [currentPrice] - Latest ticker price; replaces the forming candle's close when given
+ */
+async function getPriceSeries(symbol, interval, lookback, currentPrice) {
+  const candles = await getCandles(symbol, interval, lookback);
+  const prices = candles.map(c => c.close);
+  
+  if (currentPrice) {
+    prices[prices.length - 1] = currentPrice;
+  }
+  
+  return prices;
+}
+
+/**
+ * Get all candles between two times, paging missing history in from the exchange
+ * Used by backtests, which need a fixed historical window rather than the latest N candles
+ */
+async function getCandleRange(symbol, interval, startTime, endTime) {
+  const intervalMs = INTERVAL_MS[interval];
+  if (!intervalMs) {
+    throw new Error(`Unsupported interval "${interval}"`);
+  }
+  
+  const alignedStart = Math.floor(startTime / intervalMs) * intervalMs;
+  const expected = Math.floor((endTime - alignedStart) / intervalMs) + 1;
+  let candles = relationalDb.getCandlesInRange(symbol, interval, alignedStart, endTime);
+  
+  if (candles.length < expected) {
+    let cursor = alignedStart;
+    while (cursor <= endTime) {
+      const page = await fetchKlines(symbol, interval, MAX_LOOKBACK, { startTime: cursor, endTime });
+      if (page.length === 0) {
+        break;
+      }
+      relationalDb.upsertCandles(symbol, interval, page);
+      cursor = page[page.length - 1].openTime + intervalMs;
+    }
+    
+    candles = relationalDb.getCandlesInRange(symbol, interval, alignedStart, endTime);
+    console.log(`🕯️ Loaded ${candles.length}/${expected} ${interval} candles for ${symbol} range`);
+  }
+  
+  return candles;
+}
+
+module.exports = {
+  INTERVAL_MS,
+  DEFAULT_INTERVAL,
+  DEFAULT_LOOKBACK,
+  MAX_LOOKBACK,
+  normalizeParams,
+  fetchKlines,
+  backfillCandles,
+  recordLatestCandles,
+  getCandles,
+  getCandleRange,
+  getPriceSeries
+};
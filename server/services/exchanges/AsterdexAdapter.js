@@ -0,0 +1,260 @@
+/**
+ * @license
+ * SPDX-License-Identifier: MIT
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const ExchangeAdapter = require('./ExchangeAdapter');
+
+const DEFAULT_BASE_URL = 'https://fapi.asterdex.com';
+
+/**
+ * Parse an optional numeric field (undefined when the exchange doesn't send it)
+ */
+function parseOptional(value) {
+  return value !== undefined ? parseFloat(value) : undefined;
+}
+
+/**
+ * Asterdex futures adapter (Binance-style /fapi API, HMAC-SHA256 signed requests)
+ */
+class AsterdexAdapter extends ExchangeAdapter {
+  /**
+   * @param {Object} options - { baseUrl, timeout }
+   */
+  constructor(options = {}) {
+    super(options.name || 'asterdex');
+    this.baseUrl = options.baseUrl || DEFAULT_BASE_URL;
+    this.timeout = options.timeout || 10000;
+  }
+  
+  /**
+   * Unauthenticated GET
+   */
+  async publicRequest(endpoint, params = {}) {
+    const response = await axios.get(`${this.baseUrl}${endpoint}`, {
+      params,
+      timeout: this.timeout
+    });
+    return response.data;
+  }
+  
+  /**
+   * Signed request: timestamp + HMAC-SHA256 signature of the query string
+   */
+  async signedRequest(method, endpoint, params, credentials) {
+    const { apiKey, apiSecret } = credentials;
+    const fullParams = { ...params, timestamp: Date.now() };
+    
+    const queryString = new URLSearchParams(fullParams).toString();
+    const signature = crypto
+      .createHmac('sha256', apiSecret)
+      .update(queryString)
+      .digest('hex');
+    
+    const response = await axios({
+      method,
+      url: `${this.baseUrl}${endpoint}?${queryString}&signature=${signature}`,
+      headers: { 'X-MBX-APIKEY': apiKey },
+      timeout: this.timeout
+    });
+    
+    return response.data;
+  }
+  
+  async getMarkets() {
+    const tickers = await this.publicRequest('/fapi/v1/ticker/24hr');
+    
+    if (!Array.isArray(tickers)) {
+      return [];
+    }
+    
+    return tickers.map(ticker => ({
+      symbol: ticker.symbol,
+      price: parseFloat(ticker.lastPrice),
+      price24hChange: parseFloat(ticker.priceChangePercent),
+      high24h: parseOptional(ticker.highPrice),
+      low24h: parseOptional(ticker.lowPrice),
+      volume: parseOptional(ticker.volume),
+      quoteVolume: parseOptional(ticker.quoteVolume)
+    }));
+  }
+  
+  async getSymbolInfo() {
+    const info = await this.publicRequest('/fapi/v1/exchangeInfo');
+    
+    return (info?.symbols || []).map(symbol => ({
+      symbol: symbol.symbol,
+      quantityPrecision: symbol.quantityPrecision || 3,
+      pricePrecision: symbol.pricePrecision || 2
+    }));
+  }
+  
+  async getFundingRates() {
+    const premiumIndex = await this.publicRequest('/fapi/v1/premiumIndex');
+    
+    if (!Array.isArray(premiumIndex)) {
+      return [];
+    }
+    
+    return premiumIndex.map(entry => ({
+      symbol: entry.symbol,
+      markPrice: parseFloat(entry.markPrice),
+      fundingRate: parseFloat(entry.lastFundingRate || 0),
+      nextFundingTime: entry.nextFundingTime
+    }));
+  }
+  
+  async getFundingHistory(symbol, { limit, startTime, endTime } = {}) {
+    const entries = await this.publicRequest('/fapi/v1/fundingRate', { symbol, limit, startTime, endTime });
+    
+    if (!Array.isArray(entries)) {
+      throw new Error(`Unexpected funding rate response for ${symbol}`);
+    }
+    
+    return entries.map(entry => ({
+      symbol: entry.symbol,
+      fundingRate: parseFloat(entry.fundingRate),
+      fundingTime: entry.fundingTime
+    }));
+  }
+  
+  async getKlines(symbol, interval, { limit, startTime, endTime } = {}) {
+    const klines = await this.publicRequest('/fapi/v1/klines', { symbol, interval, limit, startTime, endTime });
+    
+    if (!Array.isArray(klines)) {
+      throw new Error(`Unexpected kline response for ${symbol}`);
+    }
+    
+    // Kline format: [openTime, open, high, low, close, volume, closeTime, ...]
+    return klines.map(k => ({
+      openTime: k[0],
+      open: parseFloat(k[1]),
+      high: parseFloat(k[2]),
+      low: parseFloat(k[3]),
+      close: parseFloat(k[4]),
+      volume: parseFloat(k[5])
+    }));
+  }
+  
+  async getBalance(credentials) {
+    const balances = await this.signedRequest('GET', '/fapi/v2/balance', {}, credentials);
+    const usdt = balances.find(b => b.asset === 'USDT');
+    
+    return {
+      asset: 'USDT',
+      availableBalance: parseFloat(usdt?.availableBalance || 0),
+      walletBalance: parseFloat(usdt?.balance || 0)
+    };
+  }
+  
+  async getPositions(credentials) {
+    const positions = await this.signedRequest('GET', '/fapi/v2/positionRisk', {}, credentials);
+    
+    return positions
+      .filter(pos => Math.abs(parseFloat(pos.positionAmt)) > 0.0001)
+      .map(pos => ({
+        symbol: pos.symbol,
+        quantity: parseFloat(pos.positionAmt),
+        entryPrice: parseFloat(pos.entryPrice),
+        markPrice: parseFloat(pos.markPrice),
+        leverage: parseInt(pos.leverage),
+        notional: Math.abs(parseFloat(pos.notional)),
+        unrealizedPnl: parseFloat(pos.unRealizedProfit),
+        liquidationPrice: parseFloat(pos.liquidationPrice)
+      }));
+  }
+  
+  async getTrades(credentials, options = {}) {
+    const params = { limit: options.limit || 100 };
+    if (options.symbol) {
+      params.symbol = options.symbol;
+    }
+    
+    const trades = await this.signedRequest('GET', '/fapi/v1/userTrades', params, credentials);
+    
+    return trades.map(trade => ({
+      id: trade.id.toString(),
+      symbol: trade.symbol,
+      side: trade.side,
+      price: parseFloat(trade.price),
+      quantity: parseFloat(trade.qty),
+      quoteQty: parseFloat(trade.quoteQty),
+      realizedPnl: parseFloat(trade.realizedPnl || 0),
+      commission: parseFloat(trade.commission),
+      time: trade.time
+    }));
+  }
+  
+  async setLeverage(credentials, symbol, leverage) {
+    await this.signedRequest('POST', '/fapi/v1/leverage', { symbol, leverage }, credentials);
+  }
+  
+  async placeOrder(credentials, order) {
+    const params = {
+      symbol: order.symbol,
+      side: order.side,
+      type: order.type,
+      quantity: order.quantity
+    };
+    
+    if (order.price !== undefined) {
+      params.price = order.price;
+    }
+    if (order.type === 'LIMIT') {
+      params.timeInForce = order.timeInForce || 'GTC';
+    }
+    if (order.stopPrice !== undefined) {
+      params.stopPrice = order.stopPrice;
+    }
+    if (order.callbackRate !== undefined) {
+      params.callbackRate = order.callbackRate;
+    }
+    if (order.activationPrice !== undefined) {
+      params.activationPrice = order.activationPrice;
+    }
+    if (order.reduceOnly) {
+      params.reduceOnly = 'true';
+    }
+    
+    const response = await this.signedRequest('POST', '/fapi/v1/order', params, credentials);
+    return this.normalizeOrder(response, order.quantity);
+  }
+  
+  async getOrder(credentials, symbol, orderId) {
+    const response = await this.signedRequest('GET', '/fapi/v1/order', { symbol, orderId }, credentials);
+    return this.normalizeOrder(response);
+  }
+  
+  async getOpenOrders(credentials, symbol) {
+    const orders = await this.signedRequest('GET', '/fapi/v1/openOrders', symbol ? { symbol } : {}, credentials);
+    return orders.map(order => this.normalizeOrder(order));
+  }
+  
+  async cancelOrder(credentials, symbol, orderId) {
+    const response = await this.signedRequest('DELETE', '/fapi/v1/order', { symbol, orderId }, credentials);
+    return this.normalizeOrder(response);
+  }
+  
+  /**
+   * Normalize an order response
+   */
+  normalizeOrder(response, quantity) {
+    return {
+      orderId: response.orderId,
+      symbol: response.symbol,
+      side: response.side,
+      type: response.type,
+      status: response.status,
+      quantity: parseFloat(response.origQty ?? quantity),
+      executedQty: parseFloat(response.executedQty || 0),
+      price: parseFloat(response.price || 0),
+      avgPrice: parseFloat(response.avgPrice || 0),
+      stopPrice: response.stopPrice !== undefined ? parseFloat(response.stopPrice) : null,
+      callbackRate: response.priceRate !== undefined ? parseFloat(response.priceRate) : null
+    };
+  }
+}
+
+module.exports = AsterdexAdapter;
@@ -0,0 +1,176 @@
+/**
+ * @license
+ * SPDX-License-Identifier: MIT
+ */
+
+/**
+ * Exchange Adapter Interface
+ *
+ * Every exchange BotManager can trade on implements these methods and returns
+ * data in the normalized shapes below, so trading code never deals with an
+ * exchange's raw API format or signing scheme.
+ *
+ * Credentials are the decrypted wallet keys: { apiKey, apiSecret }.
+ *
+ * Normalized shapes:
+ *   Market:     { symbol, price, price24hChange, high24h?, low24h?, volume?, quoteVolume? }
+ *               (24h volume in the base asset and in USDT, where the exchange reports them)
+ *   SymbolInfo: { symbol, quantityPrecision, pricePrecision }
+ *   Balance:    { asset, availableBalance, walletBalance }
+ *   Position:   { symbol, quantity, entryPrice, markPrice, leverage, notional, unrealizedPnl, liquidationPrice }
+ *               (quantity is signed: positive = LONG, negative = SHORT)
+ *   Trade:      { id, symbol, side, price, quantity, quoteQty, realizedPnl, commission, time }
+ *   Order:      { orderId, symbol, side, type, status, quantity, executedQty, price, avgPrice, stopPrice, callbackRate }
+ *               (status: NEW, PARTIALLY_FILLED, FILLED, CANCELED, EXPIRED or REJECTED;
+ *                price is the limit price, 0 for orders without one;
+ *                callbackRate is set for trailing stops only)
+ *   FundingRate: { symbol, markPrice, fundingRate, nextFundingTime }
+ *               (fundingRate is the rate charged at nextFundingTime; longs pay when positive)
+ *   Candle:     { openTime, open, high, low, close, volume }
+ *   FundingEvent: { symbol, fundingRate, fundingTime }
+ *               (a rate that was charged at a past funding time)
+ */
+class ExchangeAdapter {
+  /**
+   * @param {string} name - Exchange identifier as stored in wallets.exchange
+   */
+  constructor(name) {
+    this.name = name;
+  }
+  
+  /**
+   * Get 24h tickers for all symbols
+   * @returns {Promise<Array>} Markets
+   */
+  async getMarkets() {
+    throw new Error(`${this.name} adapter does not implement getMarkets`);
+  }
+  
+  /**
+   * Get quantity/price precision for all symbols
+   * @returns {Promise<Array>} Symbol info
+   */
+  async getSymbolInfo() {
+    throw new Error(`${this.name} adapter does not implement getSymbolInfo`);
+  }
+  
+  /**
+   * Get the current funding rate and next funding time for all symbols
+   * @returns {Promise<Array>} Funding rates
+   */
+  async getFundingRates() {
+    throw new Error(`${this.name} adapter does not implement getFundingRates`);
+  }
+  
+  /**
+   * Get the funding rates charged for a symbol, oldest first
+   * @param {string} symbol
+   * @param {Object} options - { limit, startTime, endTime } (times in ms)
+   * @returns {Promise<Array>} FundingEvents
+   */
+  async getFundingHistory(symbol, options = {}) {
+    throw new Error(`${this.name} adapter does not implement getFundingHistory`);
+  }
+  
+  /**
+   * Get klines (OHLCV candles) for a symbol, oldest first
+   * @param {string} symbol
+   * @param {string} interval - e.g. '5m', '1h', '1d'
+   * @param {Object} options - { limit, startTime, endTime } (times in ms; with startTime the
+   *   earliest `limit` candles from it, otherwise the latest)
+   * @returns {Promise<Array>} Candles
+   */
+  async getKlines(symbol, interval, options = {}) {
+    throw new Error(`${this.name} adapter does not implement getKlines`);
+  }
+  
+  /**
+   * Get the account's USDT balance
+   * @param {Object} credentials
+   * @returns {Promise<Object>} Balance
+   */
+  async getBalance(credentials) {
+    throw new Error(`${this.name} adapter does not implement getBalance`);
+  }
+  
+  /**
+   * Get open positions (non-zero quantity only)
+   * @param {Object} credentials
+   * @returns {Promise<Array>} Positions
+   */
+  async getPositions(credentials) {
+    throw new Error(`${this.name} adapter does not implement getPositions`);
+  }
+  
+  /**
+   * Get recent fills
+   * @param {Object} credentials
+   * @param {Object} options - { limit }
+   * @returns {Promise<Array>} Trades
+   */
+  async getTrades(credentials, options = {}) {
+    throw new Error(`${this.name} adapter does not implement getTrades`);
+  }
+  
+  /**
+   * Set leverage for a symbol
+   * @param {Object} credentials
+   * @param {string} symbol
+   * @param {number} leverage
+   */
+  async setLeverage(credentials, symbol, leverage) {
+    throw new Error(`${this.name} adapter does not implement setLeverage`);
+  }
+  
+  /**
+   * Place an order
+   * @param {Object} credentials
+   * @param {Object} order - { symbol, side: BUY|SELL, type: MARKET|LIMIT|STOP_MARKET|TAKE_PROFIT_MARKET|TRAILING_STOP_MARKET,
+   *                           quantity, price? (LIMIT), timeInForce? (LIMIT, default GTC), stopPrice?,
+   *                           callbackRate? (TRAILING_STOP_MARKET, %), activationPrice?, reduceOnly? }
+   * @returns {Promise<Object>} Order
+   */
+  async placeOrder(credentials, order) {
+    throw new Error(`${this.name} adapter does not implement placeOrder`);
+  }
+  
+  /**
+   * Get an order's current state
+   * @param {Object} credentials
+   * @param {string} symbol
+   * @param {string|number} orderId
+   * @returns {Promise<Object>} Order
+   */
+  async getOrder(credentials, symbol, orderId) {
+    throw new Error(`${this.name} adapter does not implement getOrder`);
+  }
+  
+  /**
+   * Get orders resting on the book or waiting for their trigger
+   * @param {Object} credentials
+   * @param {string} symbol - Optional, all symbols if omitted
+   * @returns {Promise<Array>} Orders
+   */
+  async getOpenOrders(credentials, symbol) {
+    throw new Error(`${this.name} adapter does not implement getOpenOrders`);
+  }
+  
+  /**
+   * Cancel an open order
+   * @param {Object} credentials
+   * @param {string} symbol
+   * @param {string|number} orderId
+   * @returns {Promise<Object>} Order (as cancelled)
+   */
+  async cancelOrder(credentials, symbol, orderId) {
+    throw new Error(`${this.name} adapter does not implement cancelOrder`);
+  }
+  
+  /**
+   * Receive the arena's latest market data (adapters that price off the live feed override this)
+   * @param {Array} markets
+   */
+  onMarketData(markets) {}
+}
+
+module.exports = ExchangeAdapter;
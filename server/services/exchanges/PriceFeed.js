@@ -0,0 +1,217 @@
+/**
+ * @license
+ * SPDX-License-Identifier: MIT
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Replayable Price Feed
+ *
+ * A time-ordered list of { time, symbol, price } ticks that the simulated
+ * exchange server replays. Candles are expanded into open → first extreme →
+ * second extreme → close ticks so trigger orders and liquidations see the
+ * candle's full range (the adverse extreme is assumed to come first for a
+ * down candle, the low first for an up candle).
+ */
+class PriceFeed {
+  /**
+   * @param {Array} ticks - { time, symbol, price } in any order
+   */
+  constructor(ticks) {
+    this.ticks = ticks
+      .filter(t => t.symbol && Number.isFinite(t.time) && Number.isFinite(t.price) && t.price > 0)
+      .sort((a, b) => a.time - b.time);
+    
+    if (this.ticks.length === 0) {
+      throw new Error('Price feed has no valid ticks');
+    }
+    
+    // Per-symbol history for 24h change lookups
+    this.history = new Map();
+    for (const tick of this.ticks) {
+      if (!this.history.has(tick.symbol)) {
+        this.history.set(tick.symbol, []);
+      }
+      this.history.get(tick.symbol).push(tick);
+    }
+    
+    this.reset();
+  }
+  
+  /**
+   * Build a feed from candles per symbol
+   * @param {Object} candlesBySymbol - { SYMBOL: [{ openTime, open, high, low, close }] }
+   */
+  static fromCandles(candlesBySymbol) {
+    const ticks = [];
+    
+    for (const [symbol, candles] of Object.entries(candlesBySymbol)) {
+      const sorted = [...candles].sort((a, b) => a.openTime - b.openTime);
+      const spacing = sorted.length > 1 ? sorted[1].openTime - sorted[0].openTime : 60000;
+      
+      for (const candle of sorted) {
+        const extremes = candle.close >= candle.open
+          ? [candle.low, candle.high]
+          : [candle.high, candle.low];
+        
+        ticks.push(
+          { time: candle.openTime, symbol, price: candle.open },
+          { time: candle.openTime + Math.floor(spacing / 3), symbol, price: extremes[0] },
+          { time: candle.openTime + Math.floor((2 * spacing) / 3), symbol, price: extremes[1] },
+          { time: candle.openTime + spacing - 1, symbol, price: candle.close }
+        );
+      }
+    }
+    
+    return new PriceFeed(ticks);
+  }
+  
+  /**
+   * Load a feed from a file
+   *
+   * Supported formats:
+   *   .json - [{ time, symbol, price }] or { SYMBOL: [[openTime, open, high, low, close, ...]] }
+   *           or { SYMBOL: [{ openTime, open, high, low, close }] }
+   *   .csv  - header "time,symbol,price" or "time,symbol,open,high,low,close"
+   */
+  static fromFile(filePath) {
+    const content = fs.readFileSync(filePath, 'utf8');
+    
+    if (path.extname(filePath).toLowerCase() === '.csv') {
+      const [header, ...rows] = content.trim().split(/\r?\n/);
+      const columns = header.split(',').map(c => c.trim().toLowerCase());
+      const records = rows.map(row => {
+        const values = row.split(',').map(v => v.trim());
+        return Object.fromEntries(columns.map((column, i) => [column, values[i]]));
+      });
+      
+      if (columns.includes('close')) {
+        const candlesBySymbol = {};
+        for (const record of records) {
+          (candlesBySymbol[record.symbol] = candlesBySymbol[record.symbol] || []).push({
+            openTime: parseInt(record.time),
+            open: parseFloat(record.open),
+            high: parseFloat(record.high),
+            low: parseFloat(record.low),
+            close: parseFloat(record.close)
+          });
+        }
+        return PriceFeed.fromCandles(candlesBySymbol);
+      }
+      
+      return new PriceFeed(records.map(record => ({
+        time: parseInt(record.time),
+        symbol: record.symbol,
+        price: parseFloat(record.price)
+      })));
+    }
+    
+    const data = JSON.parse(content);
+    
+    if (Array.isArray(data)) {
+      return new PriceFeed(data.map(tick => ({
+        time: Number(tick.time),
+        symbol: tick.symbol,
+        price: Number(tick.price)
+      })));
+    }
+    
+    const candlesBySymbol = {};
+    for (const [symbol, candles] of Object.entries(data)) {
+      candlesBySymbol[symbol] = candles.map(candle => Array.isArray(candle)
+        ? {
+          openTime: Number(candle[0]),
+          open: Number(candle[1]),
+          high: Number(candle[2]),
+          low: Number(candle[3]),
+          close: Number(candle[4])
+        }
+        : {
+          openTime: Number(candle.openTime),
+          open: Number(candle.open),
+          high: Number(candle.high),
+          low: Number(candle.low),
+          close: Number(candle.close)
+        });
+    }
+    return PriceFeed.fromCandles(candlesBySymbol);
+  }
+  
+  get startTime() {
+    return this.ticks[0].time;
+  }
+  
+  get endTime() {
+    return this.ticks[this.ticks.length - 1].time;
+  }
+  
+  get symbols() {
+    return Array.from(this.history.keys());
+  }
+  
+  get isFinished() {
+    return this.cursor >= this.ticks.length;
+  }
+  
+  /**
+   * Rewind to the start of the feed
+   */
+  reset() {
+    this.cursor = 0;
+    this.currentTime = this.startTime - 1;
+  }
+  
+  /**
+   * First price of each symbol (used to seed the exchange's tickers)
+   */
+  getInitialPrices() {
+    const prices = {};
+    for (const [symbol, ticks] of this.history) {
+      prices[symbol] = ticks[0].price;
+    }
+    return prices;
+  }
+  
+  /**
+   * Return every tick up to and including `time`, advancing the cursor
+   */
+  advanceTo(time) {
+    const ticks = [];
+    while (this.cursor < this.ticks.length && this.ticks[this.cursor].time <= time) {
+      ticks.push(this.ticks[this.cursor++]);
+    }
+    this.currentTime = time;
+    return ticks;
+  }
+  
+  /**
+   * 24h change (%) of a tick relative to the symbol's last price at least 24h earlier
+   * (falls back to the symbol's first price while less than a day has been replayed)
+   */
+  get24hChange(tick) {
+    const ticks = this.history.get(tick.symbol);
+    const target = tick.time - DAY_MS;
+    
+    // Binary search for the last tick at or before target
+    let low = 0;
+    let high = ticks.length - 1;
+    let reference = ticks[0];
+    while (low <= high) {
+      const mid = (low + high) >> 1;
+      if (ticks[mid].time <= target) {
+        reference = ticks[mid];
+        low = mid + 1;
+      } else {
+        high = mid - 1;
+      }
+    }
+    
+    return ((tick.price - reference.price) / reference.price) * 100;
+  }
+}
+
+module.exports = PriceFeed;
@@ -0,0 +1,683 @@
+/**
+ * @license
+ * SPDX-License-Identifier: MIT
+ */
+
+/**
+ * Simulated Futures Exchange
+ *
+ * In-memory USDT-margined futures venue: per-API-key accounts, market orders
+ * filled at the current ticker price, resting LIMIT orders filled at their
+ * limit price, reduce-only handling, STOP_MARKET, TAKE_PROFIT_MARKET and
+ * TRAILING_STOP_MARKET trigger orders, margin checks and liquidation.
+ * Nothing touches a real exchange, so real-mode code paths can run safely.
+ */
+
+const MAX_CLOSED_ORDERS = 500; // Per account, for getOrder lookups
+const MAX_CANDLES = 7 * 24 * 60; // Per symbol, one minute each
+const CANDLE_MS = 60 * 1000;
+const INTERVAL_UNITS_MS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+const DEFAULT_PRICES = {
+  BTCUSDT: 65000,
+  ETHUSDT: 3200,
+  SOLUSDT: 150,
+  BNBUSDT: 580,
+  XRPUSDT: 0.6,
+  DOGEUSDT: 0.15
+};
+
+/**
+ * Build an error carrying a Binance-style error code
+ */
+function exchangeError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+class SimulatedExchange {
+  /**
+   * @param {Object} options
+   * @param {Object} options.prices - Initial prices by symbol
+   * @param {number} options.initialBalance - USDT credited to each new account
+   * @param {number} options.feeRate - Commission per fill as a fraction of notional
+   * @param {number} options.fundingRate - Funding rate quoted for every symbol
+   * @param {number} options.fundingIntervalMs - Time between funding times (aligned to UTC midnight)
+   * @param {number} options.volatility - Max relative move per step()
+   * @param {number} options.defaultLeverage - Leverage before setLeverage is called
+   * @param {number} options.maxLeverage
+   * @param {Function} options.clock - Returns the current time in ms
+   */
+  constructor(options = {}) {
+    this.initialBalance = options.initialBalance ?? 10000;
+    this.feeRate = options.feeRate ?? 0.0004;
+    this.fundingRate = options.fundingRate ?? 0.0001;
+    this.fundingIntervalMs = options.fundingIntervalMs ?? 8 * 60 * 60 * 1000;
+    this.volatility = options.volatility ?? 0.002;
+    this.defaultLeverage = options.defaultLeverage ?? 20;
+    this.maxLeverage = options.maxLeverage ?? 125;
+    this.clock = options.clock || Date.now;
+    
+    this.tickers = new Map(); // symbol -> { price, openPrice }
+    this.candles = new Map(); // symbol -> 1m candles, oldest first
+    this.accounts = new Map(); // apiKey -> account
+    this.nextOrderId = 1;
+    this.nextTradeId = 1;
+    
+    for (const [symbol, price] of Object.entries(options.prices || DEFAULT_PRICES)) {
+      this.tickers.set(symbol, { price, openPrice: price });
+    }
+  }
+  
+  // ==========================================================================
+  // Market data
+  // ==========================================================================
+  
+  /**
+   * Random-walk every ticker one step (used when no external price feed is attached)
+   */
+  step() {
+    for (const [symbol, ticker] of this.tickers) {
+      const move = (Math.random() * 2 - 1) * this.volatility;
+      this.setPrice(symbol, ticker.price * (1 + move));
+    }
+  }
+  
+  /**
+   * Set a symbol's price and fire any trigger orders or liquidations it crosses
+   * @param {string} symbol
+   * @param {number} price
+   * @param {number} price24hChange - Optional 24h change (%) used to derive the open price
+   */
+  setPrice(symbol, price, price24hChange) {
+    if (!Number.isFinite(price) || price <= 0) {
+      return;
+    }
+    
+    const ticker = this.tickers.get(symbol);
+    if (ticker) {
+      ticker.price = price;
+      if (Number.isFinite(price24hChange)) {
+        ticker.openPrice = price / (1 + price24hChange / 100);
+      }
+    } else {
+      const openPrice = Number.isFinite(price24hChange) ? price / (1 + price24hChange / 100) : price;
+      this.tickers.set(symbol, { price, openPrice });
+    }
+    
+    this.recordCandle(symbol, price);
+    this.checkTriggers(symbol, price);
+  }
+  
+  /**
+   * Fold a price into the symbol's current 1-minute candle (volume is not simulated)
+   */
+  recordCandle(symbol, price) {
+    const openTime = Math.floor(this.clock() / CANDLE_MS) * CANDLE_MS;
+    if (!this.candles.has(symbol)) {
+      this.candles.set(symbol, []);
+    }
+    const candles = this.candles.get(symbol);
+    const last = candles[candles.length - 1];
+    
+    if (last && last.openTime === openTime) {
+      last.high = Math.max(last.high, price);
+      last.low = Math.min(last.low, price);
+      last.close = price;
+      return;
+    }
+    
+    candles.push({ openTime, open: price, high: price, low: price, close: price, volume: 0 });
+    if (candles.length > MAX_CANDLES) {
+      candles.shift();
+    }
+  }
+  
+  /**
+   * Parse a kline interval ('1m', '4h', '1d', ...) into milliseconds
+   */
+  static parseInterval(interval) {
+    const match = /^(\d+)([mhd])$/.exec(interval || '');
+    if (!match || Number(match[1]) <= 0) {
+      throw exchangeError(-1120, `Invalid interval ${interval}`);
+    }
+    return Number(match[1]) * INTERVAL_UNITS_MS[match[2]];
+  }
+  
+  /**
+   * Candles built from the prices seen so far, oldest first
+   * @param {string} symbol
+   * @param {string} interval
+   * @param {Object} options - { limit, startTime, endTime } (with startTime the earliest
+   *   `limit` candles from it, otherwise the latest)
+   */
+  getKlines(symbol, interval, { limit = 500, startTime, endTime } = {}) {
+    const intervalMs = SimulatedExchange.parseInterval(interval);
+    if (!this.tickers.has(symbol)) {
+      throw exchangeError(-1121, `Invalid symbol ${symbol}`);
+    }
+    
+    const klines = [];
+    for (const candle of this.candles.get(symbol) || []) {
+      const openTime = Math.floor(candle.openTime / intervalMs) * intervalMs;
+      if ((startTime != null && openTime < startTime) || (endTime != null && openTime > endTime)) {
+        continue;
+      }
+      
+      const last = klines[klines.length - 1];
+      if (last && last.openTime === openTime) {
+        last.high = Math.max(last.high, candle.high);
+        last.low = Math.min(last.low, candle.low);
+        last.close = candle.close;
+        last.volume += candle.volume;
+      } else {
+        klines.push({ ...candle, openTime });
+      }
+    }
+    
+    return startTime != null ? klines.slice(0, limit) : klines.slice(-limit);
+  }
+  
+  getPrice(symbol) {
+    return this.tickers.get(symbol)?.price;
+  }
+  
+  getTickers() {
+    return Array.from(this.tickers.entries()).map(([symbol, ticker]) => ({
+      symbol,
+      price: ticker.price,
+      price24hChange: ticker.openPrice ? ((ticker.price - ticker.openPrice) / ticker.openPrice) * 100 : 0
+    }));
+  }
+  
+  /**
+   * Quoted funding for every symbol (the rate is fixed; accounts are not charged it)
+   */
+  getFundingRates() {
+    const now = this.clock();
+    const nextFundingTime = (Math.floor(now / this.fundingIntervalMs) + 1) * this.fundingIntervalMs;
+    return Array.from(this.tickers.entries()).map(([symbol, ticker]) => ({
+      symbol,
+      markPrice: ticker.price,
+      fundingRate: this.fundingRate,
+      nextFundingTime
+    }));
+  }
+  
+  /**
+   * Funding times that have passed in a range, each at the fixed quoted rate
+   * @param {Object} options - { limit, startTime, endTime } (earliest `limit` from startTime)
+   */
+  getFundingHistory(symbol, { limit = 100, startTime, endTime } = {}) {
+    if (!this.tickers.has(symbol)) {
+      throw exchangeError(-1121, `Invalid symbol ${symbol}`);
+    }
+    
+    const end = Math.min(endTime ?? Infinity, this.clock());
+    const start = startTime ?? end - limit * this.fundingIntervalMs + 1; // The latest `limit` without a startTime
+    const events = [];
+    for (let time = Math.ceil(start / this.fundingIntervalMs) * this.fundingIntervalMs; time <= end && events.length < limit; time += this.fundingIntervalMs) {
+      events.push({ symbol, fundingRate: this.fundingRate, fundingTime: time });
+    }
+    return events;
+  }
+  
+  getSymbolInfo() {
+    return Array.from(this.tickers.entries()).map(([symbol, ticker]) => ({
+      symbol,
+      quantityPrecision: ticker.price >= 1000 ? 3 : ticker.price >= 1 ? 2 : 0,
+      pricePrecision: ticker.price >= 1 ? 2 : 5
+    }));
+  }
+  
+  // ==========================================================================
+  // Accounts
+  // ==========================================================================
+  
+  /**
+   * Get (or lazily open) the account for an API key
+   */
+  getAccount(apiKey) {
+    if (!apiKey) {
+      throw exchangeError(-2015, 'Invalid API-key');
+    }
+    
+    if (!this.accounts.has(apiKey)) {
+      this.openAccount(apiKey);
+    }
+    return this.accounts.get(apiKey);
+  }
+  
+  /**
+   * Open (or reset) an account with a starting balance
+   */
+  openAccount(apiKey, balance = this.initialBalance) {
+    const account = {
+      balance,
+      positions: new Map(), // symbol -> { quantity, entryPrice, leverage }
+      leverage: new Map(),
+      openOrders: [],
+      closedOrders: new Map(), // orderId -> order, oldest first
+      trades: []
+    };
+    this.accounts.set(apiKey, account);
+    return account;
+  }
+  
+  /**
+   * Margin locked by open positions (entry notional / leverage)
+   */
+  getMarginUsed(account) {
+    let margin = 0;
+    for (const position of account.positions.values()) {
+      margin += Math.abs(position.quantity) * position.entryPrice / position.leverage;
+    }
+    return margin;
+  }
+  
+  /**
+   * Available balance = wallet balance minus locked margin
+   * (unrealized PnL is reported separately on positions)
+   */
+  getBalance(apiKey) {
+    const account = this.getAccount(apiKey);
+    return {
+      asset: 'USDT',
+      availableBalance: account.balance - this.getMarginUsed(account),
+      walletBalance: account.balance
+    };
+  }
+  
+  liquidationPrice(position) {
+    return position.quantity > 0
+      ? position.entryPrice * (1 - 1 / position.leverage)
+      : position.entryPrice * (1 + 1 / position.leverage);
+  }
+  
+  getPositions(apiKey) {
+    const account = this.getAccount(apiKey);
+    const positions = [];
+    
+    for (const [symbol, position] of account.positions) {
+      const markPrice = this.getPrice(symbol) ?? position.entryPrice;
+      positions.push({
+        symbol,
+        quantity: position.quantity,
+        entryPrice: position.entryPrice,
+        markPrice,
+        leverage: position.leverage,
+        notional: Math.abs(position.quantity) * markPrice,
+        unrealizedPnl: (markPrice - position.entryPrice) * position.quantity,
+        liquidationPrice: this.liquidationPrice(position)
+      });
+    }
+    return positions;
+  }
+  
+  getTrades(apiKey, options = {}) {
+    const account = this.getAccount(apiKey);
+    const trades = options.symbol
+      ? account.trades.filter(t => t.symbol === options.symbol)
+      : account.trades;
+    return trades.slice(-(options.limit || 100));
+  }
+  
+  getOpenOrders(apiKey, symbol) {
+    const account = this.getAccount(apiKey);
+    return account.openOrders.filter(o => !symbol || o.symbol === symbol);
+  }
+  
+  /**
+   * Look up an open or finished order
+   * @returns {Object} Normalized order
+   */
+  getOrder(apiKey, symbol, orderId) {
+    const account = this.getAccount(apiKey);
+    const id = parseInt(orderId);
+    const order = account.openOrders.find(o => o.orderId === id) || account.closedOrders.get(id);
+    if (!order || (symbol && order.symbol !== symbol)) {
+      throw exchangeError(-2013, 'Order does not exist.');
+    }
+    return this.toOrder(order);
+  }
+  
+  setLeverage(apiKey, symbol, leverage) {
+    const value = parseInt(leverage);
+    if (!Number.isInteger(value) || value < 1 || value > this.maxLeverage) {
+      throw exchangeError(-4028, `Leverage ${leverage} is not valid`);
+    }
+    
+    const account = this.getAccount(apiKey);
+    account.leverage.set(symbol, value);
+    
+    const position = account.positions.get(symbol);
+    if (position) {
+      position.leverage = value;
+    }
+    return { symbol, leverage: value };
+  }
+  
+  // ==========================================================================
+  // Orders
+  // ==========================================================================
+  
+  /**
+   * Place an order
+   * @param {string} apiKey
+   * @param {Object} order - { symbol, side, type, quantity, price?, stopPrice?, callbackRate?, activationPrice?, reduceOnly? }
+   * @returns {Object} Normalized order
+   */
+  placeOrder(apiKey, order) {
+    const account = this.getAccount(apiKey);
+    const symbol = order.symbol;
+    const side = order.side;
+    const type = order.type;
+    const quantity = parseFloat(order.quantity);
+    const reduceOnly = order.reduceOnly === true || order.reduceOnly === 'true';
+    const marketPrice = this.getPrice(symbol);
+    
+    if (!this.tickers.has(symbol)) {
+      throw exchangeError(-1121, `Invalid symbol ${symbol}`);
+    }
+    if (side !== 'BUY' && side !== 'SELL') {
+      throw exchangeError(-1117, `Invalid side ${side}`);
+    }
+    if (!Number.isFinite(quantity) || quantity <= 0) {
+      throw exchangeError(-4003, 'Quantity less than or equal to zero');
+    }
+    
+    const base = { symbol, side, type, quantity, reduceOnly, time: this.clock() };
+    
+    if (type === 'MARKET') {
+      const fill = this.executeFill(account, symbol, side, quantity, marketPrice, reduceOnly);
+      return this.toOrder(this.closeOrder(account, { ...base, orderId: fill.orderId }, 'FILLED', fill));
+    }
+    
+    if (type === 'LIMIT') {
+      const price = parseFloat(order.price);
+      if (!Number.isFinite(price) || price <= 0) {
+        throw exchangeError(-1102, 'Mandatory parameter price was not sent or was invalid');
+      }
+      
+      // A limit that already crosses the market fills straight away at the market price
+      const crosses = side === 'BUY' ? marketPrice <= price : marketPrice >= price;
+      if (crosses) {
+        const fill = this.executeFill(account, symbol, side, quantity, marketPrice, reduceOnly);
+        return this.toOrder(this.closeOrder(account, { ...base, orderId: fill.orderId, price }, 'FILLED', fill));
+      }
+      return this.toOrder(this.restOrder(account, { ...base, price }));
+    }
+    
+    if (type === 'STOP_MARKET' || type === 'TAKE_PROFIT_MARKET') {
+      const stopPrice = parseFloat(order.stopPrice);
+      if (!Number.isFinite(stopPrice) || stopPrice <= 0) {
+        throw exchangeError(-1102, 'Mandatory parameter stopPrice was not sent or was invalid');
+      }
+      return this.toOrder(this.restOrder(account, { ...base, stopPrice }));
+    }
+    
+    if (type === 'TRAILING_STOP_MARKET') {
+      const callbackRate = parseFloat(order.callbackRate);
+      if (!Number.isFinite(callbackRate) || callbackRate < 0.1 || callbackRate > 5) {
+        throw exchangeError(-2007, 'Invalid callBack rate, must be between 0.1 and 5');
+      }
+      const activationPrice = order.activationPrice !== undefined ? parseFloat(order.activationPrice) : null;
+      // Tracking starts at once unless an activation price is still to be reached
+      const activated = !activationPrice || (side === 'SELL' ? marketPrice >= activationPrice : marketPrice <= activationPrice);
+      return this.toOrder(this.restOrder(account, { ...base, callbackRate, activationPrice, peakPrice: activated ? marketPrice : null }));
+    }
+    
+    throw exchangeError(-1116, `Invalid orderType ${type}`);
+  }
+  
+  /**
+   * Add an order to the account's open orders
+   */
+  restOrder(account, order) {
+    const resting = { orderId: this.nextOrderId++, status: 'NEW', executedQty: 0, avgPrice: 0, ...order };
+    account.openOrders.push(resting);
+    return resting;
+  }
+  
+  /**
+   * Move an order to the account's finished orders
+   * @param {string} status - FILLED, CANCELED or EXPIRED
+   * @param {Object} fill - The fill, for FILLED orders
+   */
+  closeOrder(account, order, status, fill = null) {
+    account.openOrders = account.openOrders.filter(o => o.orderId !== order.orderId);
+    
+    const closed = {
+      ...order,
+      status,
+      executedQty: fill ? fill.quantity : 0,
+      avgPrice: fill ? fill.price : 0,
+      updateTime: this.clock()
+    };
+    account.closedOrders.set(closed.orderId, closed);
+    if (account.closedOrders.size > MAX_CLOSED_ORDERS) {
+      account.closedOrders.delete(account.closedOrders.keys().next().value);
+    }
+    return closed;
+  }
+  
+  /**
+   * Normalized form of an order record
+   */
+  toOrder(order) {
+    return {
+      orderId: order.orderId,
+      symbol: order.symbol,
+      side: order.side,
+      type: order.type,
+      status: order.status || 'NEW',
+      quantity: order.quantity,
+      executedQty: order.executedQty || 0,
+      price: order.price || 0,
+      avgPrice: order.avgPrice || 0,
+      stopPrice: order.stopPrice ?? null,
+      callbackRate: order.callbackRate ?? null
+    };
+  }
+  
+  /**
+   * Cancel an open order
+   * @returns {Object} Normalized order
+   */
+  cancelOrder(apiKey, symbol, orderId) {
+    const account = this.getAccount(apiKey);
+    const id = parseInt(orderId);
+    const order = account.openOrders.find(o => o.orderId === id && (!symbol || o.symbol === symbol));
+    if (!order) {
+      throw exchangeError(-2011, 'Unknown order sent.');
+    }
+    return this.toOrder(this.closeOrder(account, order, 'CANCELED'));
+  }
+  
+  /**
+   * Cancel open orders for a symbol (all symbols if omitted)
+   */
+  cancelOpenOrders(apiKey, symbol) {
+    const account = this.getAccount(apiKey);
+    const cancelled = account.openOrders.filter(o => !symbol || o.symbol === symbol);
+    for (const order of cancelled) {
+      this.closeOrder(account, order, 'CANCELED');
+    }
+    return cancelled;
+  }
+  
+  /**
+   * Fill an order against an account at a price, netting against any open position
+   */
+  executeFill(account, symbol, side, quantity, price, reduceOnly, orderId = null) {
+    const existing = account.positions.get(symbol);
+    const currentQty = existing ? existing.quantity : 0;
+    const direction = side === 'BUY' ? 1 : -1;
+    
+    const closingQty = currentQty !== 0 && Math.sign(currentQty) !== direction
+      ? Math.min(Math.abs(currentQty), quantity)
+      : 0;
+    const openingQty = reduceOnly ? 0 : quantity - closingQty;
+    
+    if (reduceOnly && closingQty === 0) {
+      throw exchangeError(-2022, 'ReduceOnly Order is rejected');
+    }
+    
+    const leverage = account.leverage.get(symbol) || this.defaultLeverage;
+    const commission = (closingQty + openingQty) * price * this.feeRate;
+    
+    if (openingQty > 0) {
+      const availableBalance = account.balance - this.getMarginUsed(account);
+      const requiredMargin = openingQty * price / leverage;
+      if (requiredMargin + commission > availableBalance) {
+        throw exchangeError(-2019, 'Margin is insufficient');
+      }
+    }
+    
+    let realizedPnl = 0;
+    if (closingQty > 0) {
+      realizedPnl = (price - existing.entryPrice) * closingQty * Math.sign(currentQty);
+      existing.quantity += direction * closingQty;
+    }
+    
+    if (openingQty > 0) {
+      const position = existing && existing.quantity !== 0
+        ? existing
+        : { quantity: 0, entryPrice: price, leverage };
+      const newQty = position.quantity + direction * openingQty;
+      position.entryPrice = (Math.abs(position.quantity) * position.entryPrice + openingQty * price) / Math.abs(newQty);
+      position.quantity = newQty;
+      account.positions.set(symbol, position);
+    }
+    
+    // Flat positions drop out along with their protective (reduce-only) orders
+    const position = account.positions.get(symbol);
+    if (position && Math.abs(position.quantity) < 1e-12) {
+      account.positions.delete(symbol);
+      this.expireReduceOnlyOrders(account, symbol);
+    }
+    
+    account.balance += realizedPnl - commission;
+    
+    const fill = {
+      id: String(this.nextTradeId++),
+      orderId: orderId ?? this.nextOrderId++,
+      symbol,
+      side,
+      price,
+      quantity: closingQty + openingQty,
+      quoteQty: (closingQty + openingQty) * price,
+      realizedPnl,
+      commission,
+      time: this.clock()
+    };
+    account.trades.push(fill);
+    
+    return fill;
+  }
+  
+  /**
+   * Fire trigger orders and liquidations crossed by a new price
+   */
+  checkTriggers(symbol, price) {
+    for (const account of this.accounts.values()) {
+      // Liquidation first - it supersedes any protective orders
+      const position = account.positions.get(symbol);
+      if (position) {
+        const liquidationPrice = this.liquidationPrice(position);
+        const liquidated = position.quantity > 0 ? price <= liquidationPrice : price >= liquidationPrice;
+        if (liquidated) {
+          this.liquidate(account, symbol, position);
+          continue;
+        }
+      }
+      
+      const triggered = account.openOrders.filter(order => order.symbol === symbol && this.isTriggered(order, price));
+      
+      for (const order of triggered) {
+        // An earlier fill may have closed the position (and with it this order)
+        if (!account.openOrders.includes(order)) {
+          continue;
+        }
+        // Limits fill at their own price, trigger orders at the market
+        const fillPrice = order.type === 'LIMIT' ? order.price : price;
+        try {
+          const fill = this.executeFill(account, symbol, order.side, order.quantity, fillPrice, order.reduceOnly, order.orderId);
+          this.closeOrder(account, order, 'FILLED', fill);
+        } catch (error) {
+          // A reduce-only trigger with nothing left to reduce (or an entry the margin no longer covers) simply expires
+          this.closeOrder(account, order, 'EXPIRED');
+        }
+      }
+    }
+  }
+  
+  /**
+   * Whether a new price fills or triggers an open order (updates trailing stops' tracked price)
+   */
+  isTriggered(order, price) {
+    if (order.type === 'LIMIT') {
+      return order.side === 'BUY' ? price <= order.price : price >= order.price;
+    }
+    
+    if (order.type === 'TRAILING_STOP_MARKET') {
+      // SELL trails the highest price since activation and fires on a pullback (mirrored for BUY)
+      const isSell = order.side === 'SELL';
+      if (order.peakPrice === null) {
+        if (isSell ? price < order.activationPrice : price > order.activationPrice) {
+          return false;
+        }
+        order.peakPrice = price;
+      }
+      order.peakPrice = isSell ? Math.max(order.peakPrice, price) : Math.min(order.peakPrice, price);
+      const stopPrice = order.peakPrice * (1 + (isSell ? -1 : 1) * order.callbackRate / 100);
+      return isSell ? price <= stopPrice : price >= stopPrice;
+    }
+    
+    const isStop = order.type === 'STOP_MARKET';
+    // SELL stops fire on the way down, SELL take-profits on the way up (mirrored for BUY)
+    const firesBelow = (order.side === 'SELL') === isStop;
+    return firesBelow ? price <= order.stopPrice : price >= order.stopPrice;
+  }
+  
+  /**
+   * Expire a symbol's reduce-only orders once there is no position left for them to reduce
+   */
+  expireReduceOnlyOrders(account, symbol) {
+    for (const order of account.openOrders.filter(o => o.symbol === symbol && o.reduceOnly)) {
+      this.closeOrder(account, order, 'EXPIRED');
+    }
+  }
+  
+  /**
+   * Close a position at its liquidation price, losing the whole margin
+   */
+  liquidate(account, symbol, position) {
+    const liquidationPrice = this.liquidationPrice(position);
+    const margin = Math.abs(position.quantity) * position.entryPrice / position.leverage;
+    const side = position.quantity > 0 ? 'SELL' : 'BUY';
+    const quantity = Math.abs(position.quantity);
+    
+    account.positions.delete(symbol);
+    this.expireReduceOnlyOrders(account, symbol);
+    account.balance -= margin;
+    
+    account.trades.push({
+      id: String(this.nextTradeId++),
+      orderId: this.nextOrderId++,
+      symbol,
+      side,
+      price: liquidationPrice,
+      quantity,
+      quoteQty: quantity * liquidationPrice,
+      realizedPnl: -margin,
+      commission: 0,
+      time: this.clock(),
+      liquidation: true
+    });
+  }
+}
+
+module.exports = SimulatedExchange;
+module.exports.DEFAULT_PRICES = DEFAULT_PRICES;
@@ -0,0 +1,93 @@
+/**
+ * @license
+ * SPDX-License-Identifier: MIT
+ */
+
+const ExchangeAdapter = require('./ExchangeAdapter');
+const SimulatedExchange = require('./SimulatedExchange');
+
+/**
+ * In-process simulated exchange adapter
+ *
+ * Each wallet's API key opens its own account on a shared SimulatedExchange.
+ * Prices follow the arena's live market feed when one is attached (see
+ * onMarketData); otherwise the exchange random-walks its own tickers.
+ * Accounts live in memory and reset when the server restarts.
+ */
+class SimulatedExchangeAdapter extends ExchangeAdapter {
+  /**
+   * @param {Object} options - { exchange } or SimulatedExchange options
+   */
+  constructor(options = {}) {
+    super('simulated');
+    this.exchange = options.exchange || new SimulatedExchange({
+      initialBalance: parseFloat(process.env.SIMULATED_EXCHANGE_BALANCE || '10000'),
+      ...options
+    });
+    this.hasExternalFeed = false;
+  }
+  
+  async getMarkets() {
+    if (!this.hasExternalFeed) {
+      this.exchange.step();
+    }
+    return this.exchange.getTickers();
+  }
+  
+  async getSymbolInfo() {
+    return this.exchange.getSymbolInfo();
+  }
+  
+  async getFundingRates() {
+    return this.exchange.getFundingRates();
+  }
+  
+  async getFundingHistory(symbol, options = {}) {
+    return this.exchange.getFundingHistory(symbol, options);
+  }
+  
+  async getKlines(symbol, interval, options = {}) {
+    return this.exchange.getKlines(symbol, interval, options);
+  }
+  
+  async getBalance(credentials) {
+    return this.exchange.getBalance(credentials.apiKey);
+  }
+  
+  async getPositions(credentials) {
+    return this.exchange.getPositions(credentials.apiKey);
+  }
+  
+  async getTrades(credentials, options = {}) {
+    return this.exchange.getTrades(credentials.apiKey, options);
+  }
+  
+  async setLeverage(credentials, symbol, leverage) {
+    this.exchange.setLeverage(credentials.apiKey, symbol, leverage);
+  }
+  
+  async placeOrder(credentials, order) {
+    return this.exchange.placeOrder(credentials.apiKey, order);
+  }
+  
+  async getOrder(credentials, symbol, orderId) {
+    return this.exchange.getOrder(credentials.apiKey, symbol, orderId);
+  }
+  
+  async getOpenOrders(credentials, symbol) {
+    return this.exchange.getOpenOrders(credentials.apiKey, symbol).map(order => this.exchange.toOrder(order));
+  }
+  
+  async cancelOrder(credentials, symbol, orderId) {
+    return this.exchange.cancelOrder(credentials.apiKey, symbol, orderId);
+  }
+  
+  onMarketData(markets) {
+    this.hasExternalFeed = true;
+    for (const market of markets) {
+      this.exchange.setPrice(market.symbol, market.price, market.price24hChange);
+    }
+  }
+}
+
+module.exports = SimulatedExchangeAdapter;
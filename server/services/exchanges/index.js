@@ -0,0 +1,82 @@
+/**
+ * @license
+ * SPDX-License-Identifier: MIT
+ */
+
+/**
+ * Exchange Adapter Registry
+ *
+ * Maps the wallets.exchange value to an adapter instance. Adapters are created
+ * lazily and shared, so e.g. every simulated wallet trades on the same venue.
+ */
+
+const AsterdexAdapter = require('./AsterdexAdapter');
+const SimulatedExchangeAdapter = require('./SimulatedExchangeAdapter');
+
+const DEFAULT_EXCHANGE = 'asterdex';
+
+const ADAPTER_FACTORIES = {
+  asterdex: () => new AsterdexAdapter(),
+  simulated: () => new SimulatedExchangeAdapter(),
+  // Local fake exchange server (scripts/simulated_exchange.js) speaking the Asterdex API
+  simulated_server: () => new AsterdexAdapter({
+    name: 'simulated_server',
+    baseUrl: process.env.SIMULATED_EXCHANGE_URL || 'http://localhost:4100'
+  })
+};
+
+const adapters = new Map();
+
+// Most recent market data, replayed into adapters created after it was published
+let lastMarketData = null;
+
+/**
+ * Get the adapter for an exchange name
+ * @param {string} exchange - wallets.exchange value (defaults to asterdex)
+ * @returns {ExchangeAdapter}
+ */
+function getExchangeAdapter(exchange = DEFAULT_EXCHANGE) {
+  const key = (exchange || DEFAULT_EXCHANGE).toLowerCase();
+  
+  if (!ADAPTER_FACTORIES[key]) {
+    throw new Error(`Unsupported exchange: ${exchange}`);
+  }
+  
+  if (!adapters.has(key)) {
+    const adapter = ADAPTER_FACTORIES[key]();
+    if (lastMarketData && lastMarketData.source !== key) {
+      adapter.onMarketData(lastMarketData.markets);
+    }
+    adapters.set(key, adapter);
+  }
+  return adapters.get(key);
+}
+
+/**
+ * Names accepted in wallets.exchange
+ */
+function getSupportedExchanges() {
+  return Object.keys(ADAPTER_FACTORIES);
+}
+
+/**
+ * Pass the arena's market data to every other active adapter (simulated venues price off it)
+ * @param {Array} markets - Normalized markets
+ * @param {string} sourceExchange - Exchange the data came from
+ */
+function publishMarketData(markets, sourceExchange) {
+  lastMarketData = { markets, source: sourceExchange };
+  
+  for (const [name, adapter] of adapters) {
+    if (name !== sourceExchange) {
+      adapter.onMarketData(markets);
+    }
+  }
+}
+
+module.exports = {
+  DEFAULT_EXCHANGE,
+  getExchangeAdapter,
+  getSupportedExchanges,
+  publishMarketData
+};
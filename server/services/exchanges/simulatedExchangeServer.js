@@ -0,0 +1,470 @@
+/**
+ * @license
+ * SPDX-License-Identifier: MIT
+ */
+
+/**
+ * Simulated Exchange Server
+ *
+ * Serves a SimulatedExchange over the Binance-style /fapi/v1 and /fapi/v2
+ * endpoints BotManager uses, so real-mode bots can trade against it with the
+ * AsterdexAdapter pointed at this server (wallets.exchange = 'simulated_server').
+ *
+ * Signed endpoints require X-MBX-APIKEY plus an HMAC-SHA256 signature of the
+ * query string and body, and a timestamp inside the recvWindow - the same
+ * checks the real exchange makes. Prices come from a replayed PriceFeed, or
+ * a random walk when no feed is given.
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+const SimulatedExchange = require('./SimulatedExchange');
+
+/**
+ * Format a number the way Binance does (string)
+ */
+function str(value) {
+  return String(Number.isFinite(value) ? value : 0);
+}
+
+/**
+ * Create the simulated exchange server
+ * @param {Object} options
+ * @param {PriceFeed} options.feed - Price feed to replay (random walk if omitted)
+ * @param {Array} options.accounts - [{ apiKey, apiSecret, balance? }]
+ * @param {number} options.tickMs - Wall-clock ms between price updates
+ * @param {number} options.speed - Feed ms replayed per wall-clock ms
+ * @param {boolean} options.loop - Restart the feed when it ends
+ * @param {number} options.recvWindow - Max allowed |server time - request timestamp| in ms
+ * @param {Object} options.exchangeOptions - Passed to SimulatedExchange
+ * @returns {Object} { app, exchange, feed, tick, start, stop, registerAccount }
+ */
+function createSimulatedExchangeServer(options = {}) {
+  const feed = options.feed || null;
+  const tickMs = options.tickMs ?? 1000;
+  const speed = options.speed ?? 60;
+  const loop = options.loop ?? false;
+  const recvWindow = options.recvWindow ?? 5000;
+  
+  const exchange = new SimulatedExchange({
+    ...(options.exchangeOptions || {}),
+    ...(feed ? { prices: feed.getInitialPrices() } : {})
+  });
+  
+  const secrets = new Map(); // apiKey -> apiSecret
+  let timer = null;
+  let httpServer = null;
+  
+  /**
+   * Register an API key pair and open its account
+   */
+  function registerAccount({ apiKey, apiSecret, balance }) {
+    if (!apiKey || !apiSecret) {
+      throw new Error('apiKey and apiSecret are required');
+    }
+    secrets.set(apiKey, apiSecret);
+    exchange.openAccount(apiKey, balance !== undefined ? parseFloat(balance) : undefined);
+  }
+  
+  for (const account of options.accounts || []) {
+    registerAccount(account);
+  }
+  
+  /**
+   * Advance prices by one tick (replay the next slice of the feed, or random-walk)
+   */
+  function tick() {
+    if (!feed) {
+      exchange.step();
+      return;
+    }
+    
+    if (feed.isFinished) {
+      if (!loop) {
+        return;
+      }
+      feed.reset();
+      console.log('🔁 [Sim Exchange] Price feed restarted');
+    }
+    
+    for (const priceTick of feed.advanceTo(feed.currentTime + tickMs * speed)) {
+      exchange.setPrice(priceTick.symbol, priceTick.price, feed.get24hChange(priceTick));
+    }
+    
+    if (feed.isFinished && !loop) {
+      console.log('🏁 [Sim Exchange] Price feed finished - prices are now frozen');
+    }
+  }
+  
+  // Feed the opening prices immediately so tickers are valid before the first interval
+  if (feed) {
+    for (const priceTick of feed.advanceTo(feed.startTime)) {
+      exchange.setPrice(priceTick.symbol, priceTick.price, 0);
+    }
+  }
+  
+  const app = express();
+  
+  // Keep the raw body - Binance signs query string + body exactly as sent
+  app.use(express.urlencoded({
+    extended: false,
+    verify: (req, res, buf) => {
+      req.rawBody = buf.toString();
+    }
+  }));
+  app.use('/sim', express.json());
+  
+  /**
+   * Send an exchange error in Binance's { code, msg } format
+   */
+  function sendError(res, error, status = 400) {
+    res.status(status).json({ code: error.code || -1000, msg: error.message });
+  }
+  
+  /**
+   * Signed-endpoint middleware: API key, timestamp window and HMAC signature
+   */
+  function requireSignature(req, res, next) {
+    const apiKey = req.get('X-MBX-APIKEY');
+    const apiSecret = secrets.get(apiKey);
+    
+    if (!apiKey || !apiSecret) {
+      return res.status(401).json({ code: -2015, msg: 'Invalid API-key, IP, or permissions for action.' });
+    }
+    
+    const rawQuery = req.originalUrl.includes('?') ? req.originalUrl.split('?')[1] : '';
+    const stripSignature = raw => raw.split('&').filter(part => part && !part.startsWith('signature=')).join('&');
+    const signature = req.query.signature || req.body?.signature;
+    const payload = stripSignature(rawQuery) + stripSignature(req.rawBody || '');
+    
+    if (!signature) {
+      return res.status(400).json({ code: -1102, msg: "Mandatory parameter 'signature' was not sent, was empty/null, or malformed." });
+    }
+    
+    const expected = crypto.createHmac('sha256', apiSecret).update(payload).digest('hex');
+    const valid = expected.length === signature.length &&
+      crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature));
+    
+    if (!valid) {
+      return res.status(400).json({ code: -1022, msg: 'Signature for this request is not valid.' });
+    }
+    
+    const params = { ...req.query, ...(req.body || {}) };
+    const timestamp = parseInt(params.timestamp);
+    const window = parseInt(params.recvWindow) || recvWindow;
+    
+    if (!Number.isFinite(timestamp)) {
+      return res.status(400).json({ code: -1102, msg: "Mandatory parameter 'timestamp' was not sent, was empty/null, or malformed." });
+    }
+    if (Math.abs(Date.now() - timestamp) > window) {
+      return res.status(400).json({ code: -1021, msg: 'Timestamp for this request is outside of the recvWindow.' });
+    }
+    
+    req.apiKey = apiKey;
+    req.signedParams = params;
+    next();
+  }
+  
+  // ============ PUBLIC ENDPOINTS ============
+  
+  app.get('/fapi/v1/ping', (req, res) => res.json({}));
+  
+  app.get('/fapi/v1/time', (req, res) => res.json({ serverTime: Date.now() }));
+  
+  app.get('/fapi/v1/exchangeInfo', (req, res) => {
+    res.json({
+      timezone: 'UTC',
+      serverTime: Date.now(),
+      symbols: exchange.getSymbolInfo().map(info => ({
+        symbol: info.symbol,
+        status: 'TRADING',
+        quoteAsset: 'USDT',
+        quantityPrecision: info.quantityPrecision,
+        pricePrecision: info.pricePrecision
+      }))
+    });
+  });
+  
+  app.get('/fapi/v1/ticker/24hr', (req, res) => {
+    const tickers = exchange.getTickers().map(ticker => ({
+      symbol: ticker.symbol,
+      lastPrice: str(ticker.price),
+      priceChangePercent: str(parseFloat(ticker.price24hChange.toFixed(3))),
+      closeTime: Date.now()
+    }));
+    
+    if (req.query.symbol) {
+      const ticker = tickers.find(t => t.symbol === req.query.symbol);
+      return ticker ? res.json(ticker) : sendError(res, { code: -1121, message: 'Invalid symbol.' });
+    }
+    res.json(tickers);
+  });
+  
+  app.get('/fapi/v1/fundingRate', (req, res) => {
+    try {
+      const events = exchange.getFundingHistory(req.query.symbol, {
+        limit: req.query.limit ? parseInt(req.query.limit) : undefined,
+        startTime: req.query.startTime ? parseInt(req.query.startTime) : undefined,
+        endTime: req.query.endTime ? parseInt(req.query.endTime) : undefined
+      });
+      
+      res.json(events.map(event => ({
+        symbol: event.symbol,
+        fundingRate: str(event.fundingRate),
+        fundingTime: event.fundingTime
+      })));
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+  
+  app.get('/fapi/v1/klines', (req, res) => {
+    try {
+      const { symbol, interval } = req.query;
+      const klines = exchange.getKlines(symbol, interval, {
+        limit: req.query.limit ? parseInt(req.query.limit) : undefined,
+        startTime: req.query.startTime ? parseInt(req.query.startTime) : undefined,
+        endTime: req.query.endTime ? parseInt(req.query.endTime) : undefined
+      });
+      const intervalMs = SimulatedExchange.parseInterval(interval);
+      
+      res.json(klines.map(k => [
+        k.openTime, str(k.open), str(k.high), str(k.low), str(k.close), str(k.volume), k.openTime + intervalMs - 1
+      ]));
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+  
+  app.get('/fapi/v1/premiumIndex', (req, res) => {
+    const entries = exchange.getFundingRates().map(entry => ({
+      symbol: entry.symbol,
+      markPrice: str(entry.markPrice),
+      lastFundingRate: str(entry.fundingRate),
+      nextFundingTime: entry.nextFundingTime,
+      time: Date.now()
+    }));
+    
+    if (req.query.symbol) {
+      const entry = entries.find(e => e.symbol === req.query.symbol);
+      return entry ? res.json(entry) : sendError(res, { code: -1121, message: 'Invalid symbol.' });
+    }
+    res.json(entries);
+  });
+  
+  // ============ SIGNED ENDPOINTS ============
+  
+  app.get('/fapi/v2/balance', requireSignature, (req, res) => {
+    const balance = exchange.getBalance(req.apiKey);
+    const unrealizedPnl = exchange.getPositions(req.apiKey).reduce((sum, p) => sum + p.unrealizedPnl, 0);
+    
+    res.json([{
+      accountAlias: 'SIM',
+      asset: 'USDT',
+      balance: str(balance.walletBalance),
+      crossWalletBalance: str(balance.walletBalance),
+      crossUnPnl: str(unrealizedPnl),
+      availableBalance: str(balance.availableBalance),
+      maxWithdrawAmount: str(Math.max(0, balance.availableBalance)),
+      marginAvailable: true,
+      updateTime: Date.now()
+    }]);
+  });
+  
+  app.get('/fapi/v2/positionRisk', requireSignature, (req, res) => {
+    const symbol = req.signedParams.symbol;
+    const positions = exchange.getPositions(req.apiKey).filter(p => !symbol || p.symbol === symbol);
+    
+    res.json(positions.map(position => ({
+      symbol: position.symbol,
+      positionAmt: str(position.quantity),
+      entryPrice: str(position.entryPrice),
+      markPrice: str(position.markPrice),
+      unRealizedProfit: str(position.unrealizedPnl),
+      liquidationPrice: str(position.liquidationPrice),
+      leverage: str(position.leverage),
+      marginType: 'isolated',
+      isolatedMargin: str(Math.abs(position.quantity) * position.entryPrice / position.leverage),
+      notional: str(position.quantity * position.markPrice),
+      positionSide: 'BOTH',
+      updateTime: Date.now()
+    })));
+  });
+  
+  app.get('/fapi/v1/userTrades', requireSignature, (req, res) => {
+    const trades = exchange.getTrades(req.apiKey, {
+      symbol: req.signedParams.symbol,
+      limit: Math.min(parseInt(req.signedParams.limit) || 500, 1000)
+    });
+    
+    res.json(trades.map(trade => ({
+      symbol: trade.symbol,
+      id: parseInt(trade.id),
+      orderId: trade.orderId,
+      side: trade.side,
+      price: str(trade.price),
+      qty: str(trade.quantity),
+      realizedPnl: str(trade.realizedPnl),
+      quoteQty: str(trade.quoteQty),
+      commission: str(trade.commission),
+      commissionAsset: 'USDT',
+      time: trade.time,
+      buyer: trade.side === 'BUY',
+      maker: false,
+      positionSide: 'BOTH'
+    })));
+  });
+  
+  app.post('/fapi/v1/leverage', requireSignature, (req, res) => {
+    try {
+      const result = exchange.setLeverage(req.apiKey, req.signedParams.symbol, req.signedParams.leverage);
+      res.json({ symbol: result.symbol, leverage: result.leverage, maxNotionalValue: '1000000' });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+  
+  /**
+   * Binance-style order response
+   */
+  function formatOrder(order, reduceOnly) {
+    return {
+      orderId: order.orderId,
+      symbol: order.symbol,
+      status: order.status,
+      clientOrderId: `sim_${order.orderId}`,
+      price: str(order.price),
+      avgPrice: str(order.avgPrice),
+      origQty: str(order.quantity),
+      executedQty: str(order.executedQty),
+      cumQuote: str(order.executedQty * order.avgPrice),
+      timeInForce: 'GTC',
+      type: order.type,
+      reduceOnly,
+      side: order.side,
+      positionSide: 'BOTH',
+      stopPrice: str(order.stopPrice || 0),
+      ...(order.callbackRate ? { priceRate: str(order.callbackRate) } : {}),
+      updateTime: Date.now()
+    };
+  }
+  
+  app.post('/fapi/v1/order', requireSignature, (req, res) => {
+    try {
+      const order = exchange.placeOrder(req.apiKey, req.signedParams);
+      res.json({
+        ...formatOrder(order, req.signedParams.reduceOnly === 'true'),
+        clientOrderId: req.signedParams.newClientOrderId || `sim_${order.orderId}`
+      });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+  
+  app.get('/fapi/v1/order', requireSignature, (req, res) => {
+    try {
+      const { symbol, orderId } = req.signedParams;
+      res.json(formatOrder(exchange.getOrder(req.apiKey, symbol, orderId), false));
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+  
+  app.delete('/fapi/v1/order', requireSignature, (req, res) => {
+    try {
+      const { symbol, orderId } = req.signedParams;
+      res.json(formatOrder(exchange.cancelOrder(req.apiKey, symbol, orderId), false));
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+  
+  app.get('/fapi/v1/openOrders', requireSignature, (req, res) => {
+    res.json(exchange.getOpenOrders(req.apiKey, req.signedParams.symbol).map(order => ({
+      ...formatOrder(exchange.toOrder(order), order.reduceOnly),
+      time: order.time
+    })));
+  });
+  
+  app.delete('/fapi/v1/allOpenOrders', requireSignature, (req, res) => {
+    exchange.cancelOpenOrders(req.apiKey, req.signedParams.symbol);
+    res.json({ code: 200, msg: 'The operation of cancel all open order is done.' });
+  });
+  
+  // ============ SIMULATION CONTROL ============
+  
+  /**
+   * GET /sim/state - Prices, feed progress and account summaries
+   */
+  app.get('/sim/state', (req, res) => {
+    res.json({
+      feed: feed
+        ? { startTime: feed.startTime, endTime: feed.endTime, currentTime: feed.currentTime, finished: feed.isFinished }
+        : null,
+      tickers: exchange.getTickers(),
+      accounts: Array.from(secrets.keys()).map(apiKey => ({
+        apiKey,
+        ...exchange.getBalance(apiKey),
+        positions: exchange.getPositions(apiKey),
+        openOrders: exchange.getOpenOrders(apiKey).length
+      }))
+    });
+  });
+  
+  /**
+   * POST /sim/accounts - Register (or reset) an account: { apiKey, apiSecret, balance? }
+   */
+  app.post('/sim/accounts', (req, res) => {
+    try {
+      registerAccount(req.body);
+      res.status(201).json({ apiKey: req.body.apiKey, ...exchange.getBalance(req.body.apiKey) });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+  
+  /**
+   * POST /sim/price - Force a price (fires triggers/liquidations): { symbol, price }
+   */
+  app.post('/sim/price', (req, res) => {
+    const price = parseFloat(req.body.price);
+    if (!req.body.symbol || !Number.isFinite(price) || price <= 0) {
+      return res.status(400).json({ error: 'symbol and a positive price are required' });
+    }
+    exchange.setPrice(req.body.symbol, price);
+    res.json(exchange.getTickers().find(t => t.symbol === req.body.symbol));
+  });
+  
+  /**
+   * Start listening and ticking prices
+   */
+  function start(port) {
+    return new Promise(resolve => {
+      httpServer = app.listen(port, () => {
+        timer = setInterval(tick, tickMs);
+        resolve(httpServer);
+      });
+    });
+  }
+  
+  /**
+   * Stop ticking and close the HTTP server
+   */
+  function stop() {
+    if (timer) {
+      clearInterval(timer);
+      timer = null;
+    }
+    return new Promise(resolve => {
+      if (!httpServer) {
+        return resolve();
+      }
+      httpServer.close(() => resolve());
+      httpServer = null;
+    });
+  }
+  
+  return { app, exchange, feed, tick, start, stop, registerAccount };
+}
+
+module.exports = { createSimulatedExchangeServer };
@@ -0,0 +1,97 @@
+/**
+ * @license
+ * SPDX-License-Identifier: MIT
+ *
+ * Execution Cost Model
+ * What a paper fill costs on a real futures venue, configured by system settings:
+ *   fees     - maker/taker rate on the fill's notional (paper_*_fee_rate)
+ *   slippage - market fills move against the order by a base amount plus an
+ *              impact that grows with the square root of the order's notional
+ *              (paper_slippage_bps, paper_slippage_impact_bps, capped at
+ *              paper_max_slippage_bps); the cost is built into the fill price
+ *   funding  - open positions pay (or receive) notional x funding rate at each
+ *              of the exchange's funding times, longs paying when it is positive
+ */
+
+const SLIPPAGE_REFERENCE_NOTIONAL = 100000; // paper_slippage_impact_bps applies at this notional
+
+const DEFAULT_COST_MODEL = {
+  takerFeeRate: 0.0005,
+  makerFeeRate: 0.0002,
+  slippageBps: 2,
+  slippageImpactBps: 10,
+  maxSlippageBps: 100,
+  fundingEnabled: true
+};
+
+/**
+ * Cost model from system settings (defaults for anything unset or invalid)
+ * @param {Object} settings - System settings
+ * @returns {Object} Cost model
+ */
+function resolveCostModel(settings = {}) {
+  const rate = (value, fallback) => (Number.isFinite(value) && value >= 0 ? value : fallback);
+  
+  return {
+    takerFeeRate: rate(settings.paper_taker_fee_rate, DEFAULT_COST_MODEL.takerFeeRate),
+    makerFeeRate: rate(settings.paper_maker_fee_rate, DEFAULT_COST_MODEL.makerFeeRate),
+    slippageBps: rate(settings.paper_slippage_bps, DEFAULT_COST_MODEL.slippageBps),
+    slippageImpactBps: rate(settings.paper_slippage_impact_bps, DEFAULT_COST_MODEL.slippageImpactBps),
+    maxSlippageBps: rate(settings.paper_max_slippage_bps, DEFAULT_COST_MODEL.maxSlippageBps),
+    fundingEnabled: settings.paper_funding_enabled ?? DEFAULT_COST_MODEL.fundingEnabled
+  };
+}
+
+/**
+ * Slippage for a market fill of the given notional, in basis points
+ */
+function getSlippageBps(model, notional) {
+  const impact = model.slippageImpactBps * Math.sqrt(Math.max(notional, 0) / SLIPPAGE_REFERENCE_NOTIONAL);
+  return Math.min(model.slippageBps + impact, model.maxSlippageBps);
+}
+
+/**
+ * Fill a paper order
+ * @param {Object} model - From resolveCostModel
+ * @param {Object} order
+ * @param {string} order.side - 'BUY' or 'SELL'
+ * @param {number} order.price - Market (or trigger) price
+ * @param {number} order.quantity - Asset quantity
+ * @param {boolean} order.maker - Resting order filled at its own price (no slippage, maker fee)
+ * @param {boolean} order.slippage - Apply slippage (default true; false for liquidations)
+ * @returns {{price: number, fee: number, slippage: number, slippageBps: number}} Fill price, fee and slippage cost in USD
+ */
+function fillOrder(model, { side, price, quantity, maker = false, slippage = true }) {
+  const slippageBps = maker || !slippage ? 0 : getSlippageBps(model, price * quantity);
+  const direction = side === 'BUY' ? 1 : -1;
+  const fillPrice = price * (1 + direction * slippageBps / 10000);
+  
+  return {
+    price: fillPrice,
+    fee: fillPrice * quantity * (maker ? model.makerFeeRate : model.takerFeeRate),
+    slippage: Math.abs(fillPrice - price) * quantity,
+    slippageBps
+  };
+}
+
+/**
+ * Funding owed by a position at one funding time
+ * @param {Object} position - { type, size, leverage, entryPrice }
+ * @param {number} fundingRate - Rate for the funding interval (e.g. 0.0001 = 0.01%)
+ * @param {number} markPrice
+ * @returns {number} Amount paid (negative = received)
+ */
+function getFundingPayment(position, fundingRate, markPrice) {
+  const quantity = (position.size * position.leverage) / position.entryPrice;
+  const notional = quantity * markPrice;
+  return notional * fundingRate * (position.type === 'LONG' ? 1 : -1);
+}
+
+module.exports = {
+  DEFAULT_COST_MODEL,
+  SLIPPAGE_REFERENCE_NOTIONAL,
+  resolveCostModel,
+  getSlippageBps,
+  fillOrder,
+  getFundingPayment
+};
@@ -0,0 +1,549 @@
+/**
+ * @license
+ * SPDX-License-Identifier: MIT
+ *
+ * Expression Evaluator
+ * Tokenizer, parser and tree-walking evaluator for sandbox equations
+ * (custom_equation and run_simulation). Nothing is ever compiled or run as
+ * JavaScript: identifiers only resolve to supplied variables, the whitelisted
+ * functions and constants below.
+ *
+ * Grammar (lowest to highest precedence):
+ *   or         := and ( '||' and )*
+ *   and        := equality ( '&&' equality )*
+ *   equality   := comparison ( ( '==' | '!=' ) comparison )*
+ *   comparison := additive ( ( '<' | '<=' | '>' | '>=' ) additive )*
+ *   additive   := term ( ( '+' | '-' ) term )*
+ *   term       := unary ( ( '*' | '/' ) unary )*
+ *   unary      := ( '-' | '+' | '!' ) unary | power
+ *   power      := postfix ( ( '^' | '**' ) unary )?      (right-associative)
+ *   postfix    := primary ( '[' or ']' )*
+ *   primary    := number | identifier | identifier '(' args ')' | '(' or ')' | '[' args ']'
+ *
+ * Comparisons and logical operators yield 1 or 0.
+ */
+
+const MAX_EVALUATION_STEPS = 10000;
+const MAX_NESTING_DEPTH = 50;
+const MAX_ARRAY_LENGTH = 10000;
+
+/**
+ * Numeric aggregate over scalars and arrays (min(a, b) and min(prices) both work)
+ */
+function flattenArgs(name, args) {
+  const values = [];
+  for (const arg of args) {
+    if (Array.isArray(arg)) {
+      values.push(...arg);
+    } else {
+      values.push(arg);
+    }
+  }
+  if (values.length === 0) {
+    throw new Error(`${name}() needs at least one value`);
+  }
+  return values;
+}
+
+function expectArray(name, value) {
+  if (!Array.isArray(value)) {
+    throw new Error(`${name}() expects an array`);
+  }
+  return value;
+}
+
+// Whitelisted functions: { arity: [min, max], fn }
+const FUNCTIONS = {
+  sqrt: { arity: [1, 1], fn: Math.sqrt },
+  pow: { arity: [2, 2], fn: Math.pow },
+  exp: { arity: [1, 1], fn: Math.exp },
+  log: { arity: [1, 1], fn: Math.log },
+  log10: { arity: [1, 1], fn: Math.log10 },
+  abs: { arity: [1, 1], fn: Math.abs },
+  sin: { arity: [1, 1], fn: Math.sin },
+  cos: { arity: [1, 1], fn: Math.cos },
+  tan: { arity: [1, 1], fn: Math.tan },
+  asin: { arity: [1, 1], fn: Math.asin },
+  acos: { arity: [1, 1], fn: Math.acos },
+  atan: { arity: [1, 1], fn: Math.atan },
+  floor: { arity: [1, 1], fn: Math.floor },
+  ceil: { arity: [1, 1], fn: Math.ceil },
+  round: { arity: [1, 1], fn: Math.round },
+  min: { arity: [1, Infinity], arrays: true, fn: (...args) => Math.min(...flattenArgs('min', args)) },
+  max: { arity: [1, Infinity], arrays: true, fn: (...args) => Math.max(...flattenArgs('max', args)) },
+  sum: { arity: [1, Infinity], arrays: true, fn: (...args) => flattenArgs('sum', args).reduce((s, v) => s + v, 0) },
+  mean: {
+    arity: [1, Infinity],
+    arrays: true,
+    fn: (...args) => {
+      const values = flattenArgs('mean', args);
+      return values.reduce((s, v) => s + v, 0) / values.length;
+    }
+  },
+  len: { arity: [1, 1], arrays: true, fn: (array) => expectArray('len', array).length }
+};
+
+const CONSTANTS = {
+  PI: Math.PI,
+  E: Math.E
+};
+
+/**
+ * Error raised for malformed or non-evaluable expressions
+ * `position` is the 0-based character offset the problem was found at (if known)
+ */
+class ExpressionError extends Error {
+  constructor(message, position = null, expression = null) {
+    const located = position === null ? message : `${message} at position ${position}`;
+    const pointer = position === null || expression === null
+      ? ''
+      : `\n  ${expression}\n  ${' '.repeat(position)}^`;
+    super(located + pointer);
+    this.name = 'ExpressionError';
+    this.position = position;
+  }
+}
+
+// ============================================================================
+// TOKENIZER
+// ============================================================================
+
+const OPERATORS = ['**', '==', '!=', '<=', '>=', '&&', '||', '+', '-', '*', '/', '^', '<', '>', '!', '(', ')', '[', ']', ','];
+
+/**
+ * Split an expression into { type, value, position } tokens
+ * Types: number, identifier, operator, end
+ */
+function tokenize(expression) {
+  const tokens = [];
+  let i = 0;
+  
+  while (i < expression.length) {
+    const char = expression[i];
+    
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+    
+    // Numbers: 12, 1.5, .5, 1e-3
+    const numberMatch = /^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/.exec(expression.slice(i));
+    if (numberMatch) {
+      tokens.push({ type: 'number', value: parseFloat(numberMatch[0]), position: i });
+      i += numberMatch[0].length;
+      continue;
+    }
+    
+    const identifierMatch = /^[A-Za-z_][A-Za-z0-9_]*/.exec(expression.slice(i));
+    if (identifierMatch) {
+      tokens.push({ type: 'identifier', value: identifierMatch[0], position: i });
+      i += identifierMatch[0].length;
+      continue;
+    }
+    
+    // JavaScript's strict (in)equality is accepted as an alias
+    if (expression.startsWith('===', i) || expression.startsWith('!==', i)) {
+      tokens.push({ type: 'operator', value: expression.slice(i, i + 2), position: i });
+      i += 3;
+      continue;
+    }
+    
+    const operator = OPERATORS.find(op => expression.startsWith(op, i));
+    if (operator) {
+      tokens.push({ type: 'operator', value: operator, position: i });
+      i += operator.length;
+      continue;
+    }
+    
+    throw new ExpressionError(`Unexpected character '${char}'`, i, expression);
+  }
+  
+  tokens.push({ type: 'end', value: null, position: expression.length });
+  return tokens;
+}
+
+// ============================================================================
+// PARSER
+// ============================================================================
+
+/**
+ * Recursive-descent parser producing a small AST:
+ *   { type: 'number', value }
+ *   { type: 'variable', name }
+ *   { type: 'call', name, args }
+ *   { type: 'array', elements }
+ *   { type: 'index', target, index }
+ *   { type: 'unary', operator, operand }
+ *   { type: 'binary', operator, left, right }
+ * Every node carries the `position` of the token it started at.
+ */
+class Parser {
+  constructor(expression) {
+    this.expression = expression;
+    this.tokens = tokenize(expression);
+    this.index = 0;
+    this.depth = 0;
+  }
+  
+  peek() {
+    return this.tokens[this.index];
+  }
+  
+  next() {
+    return this.tokens[this.index++];
+  }
+  
+  error(message, token = this.peek()) {
+    return new ExpressionError(message, token.position, this.expression);
+  }
+  
+  describe(token) {
+    return token.type === 'end' ? 'end of expression' : `'${token.value}'`;
+  }
+  
+  matchOperator(...operators) {
+    const token = this.peek();
+    if (token.type === 'operator' && operators.includes(token.value)) {
+      this.index++;
+      return token;
+    }
+    return null;
+  }
+  
+  expectOperator(operator) {
+    const token = this.peek();
+    if (token.type !== 'operator' || token.value !== operator) {
+      throw this.error(`Expected '${operator}' but found ${this.describe(token)}`);
+    }
+    return this.next();
+  }
+  
+  parse() {
+    const node = this.parseOr();
+    const token = this.peek();
+    if (token.type !== 'end') {
+      throw this.error(`Unexpected ${this.describe(token)}`);
+    }
+    return node;
+  }
+  
+  /**
+   * Parse a left-associative chain of binary operators
+   */
+  parseBinary(operators, parseOperand) {
+    let left = parseOperand();
+    let token;
+    while ((token = this.matchOperator(...operators))) {
+      const right = parseOperand();
+      left = { type: 'binary', operator: token.value, left, right, position: token.position };
+    }
+    return left;
+  }
+  
+  parseOr() {
+    this.depth++;
+    if (this.depth > MAX_NESTING_DEPTH) {
+      throw this.error(`Expression nested deeper than ${MAX_NESTING_DEPTH} levels`);
+    }
+    const node = this.parseBinary(['||'], () => this.parseAnd());
+    this.depth--;
+    return node;
+  }
+  
+  parseAnd() {
+    return this.parseBinary(['&&'], () => this.parseEquality());
+  }
+  
+  parseEquality() {
+    return this.parseBinary(['==', '!='], () => this.parseComparison());
+  }
+  
+  parseComparison() {
+    return this.parseBinary(['<', '<=', '>', '>='], () => this.parseAdditive());
+  }
+  
+  parseAdditive() {
+    return this.parseBinary(['+', '-'], () => this.parseTerm());
+  }
+  
+  parseTerm() {
+    return this.parseBinary(['*', '/'], () => this.parseUnary());
+  }
+  
+  parseUnary() {
+    const token = this.matchOperator('-', '+', '!');
+    if (token) {
+      this.depth++;
+      if (this.depth > MAX_NESTING_DEPTH) {
+        throw this.error(`Expression nested deeper than ${MAX_NESTING_DEPTH} levels`, token);
+      }
+      const operand = this.parseUnary();
+      this.depth--;
+      return { type: 'unary', operator: token.value, operand, position: token.position };
+    }
+    return this.parsePower();
+  }
+  
+  parsePower() {
+    const base = this.parsePostfix();
+    const token = this.matchOperator('^', '**');
+    if (token) {
+      // Right-associative: a ^ b ^ c = a ^ (b ^ c); the exponent may carry its own sign
+      const exponent = this.parseUnary();
+      return { type: 'binary', operator: '^', left: base, right: exponent, position: token.position };
+    }
+    return base;
+  }
+  
+  parsePostfix() {
+    let node = this.parsePrimary();
+    let token;
+    while ((token = this.matchOperator('['))) {
+      const index = this.parseOr();
+      this.expectOperator(']');
+      node = { type: 'index', target: node, index, position: token.position };
+    }
+    return node;
+  }
+  
+  parsePrimary() {
+    const token = this.peek();
+    
+    if (token.type === 'number') {
+      this.next();
+      return { type: 'number', value: token.value, position: token.position };
+    }
+    
+    if (token.type === 'identifier') {
+      this.next();
+      if (this.matchOperator('(')) {
+        if (!Object.prototype.hasOwnProperty.call(FUNCTIONS, token.value)) {
+          throw this.error(`Unknown function '${token.value}' (allowed: ${Object.keys(FUNCTIONS).join(', ')})`, token);
+        }
+        const args = this.parseList(')');
+        const [minArgs, maxArgs] = FUNCTIONS[token.value].arity;
+        if (args.length < minArgs || args.length > maxArgs) {
+          const expected = minArgs === maxArgs ? `${minArgs}` : maxArgs === Infinity ? `at least ${minArgs}` : `${minArgs}-${maxArgs}`;
+          throw this.error(`${token.value}() takes ${expected} argument(s), got ${args.length}`, token);
+        }
+        return { type: 'call', name: token.value, args, position: token.position };
+      }
+      return { type: 'variable', name: token.value, position: token.position };
+    }
+    
+    if (this.matchOperator('(')) {
+      const node = this.parseOr();
+      this.expectOperator(')');
+      return node;
+    }
+    
+    if (this.matchOperator('[')) {
+      return { type: 'array', elements: this.parseList(']'), position: token.position };
+    }
+    
+    throw this.error(`Unexpected ${this.describe(token)}`);
+  }
+  
+  /**
+   * Comma-separated expressions up to a closing operator (which is consumed)
+   */
+  parseList(closing) {
+    const items = [];
+    if (this.matchOperator(closing)) {
+      return items;
+    }
+    do {
+      items.push(this.parseOr());
+    } while (this.matchOperator(','));
+    this.expectOperator(closing);
+    return items;
+  }
+}
+
+/**
+ * Parse an expression into an AST (throws ExpressionError with the position of any syntax error)
+ */
+function parseExpression(expression) {
+  if (typeof expression !== 'string' || expression.trim().length === 0) {
+    throw new ExpressionError('Expression must be a non-empty string');
+  }
+  return new Parser(expression).parse();
+}
+
+// ============================================================================
+// EVALUATOR
+// ============================================================================
+
+/**
+ * Check that a supplied variable is a number or an array of numbers
+ */
+function normalizeVariable(name, value) {
+  if (typeof value === 'number') {
+    return value;
+  }
+  if (typeof value === 'boolean') {
+    return value ? 1 : 0;
+  }
+  if (Array.isArray(value)) {
+    if (value.length > MAX_ARRAY_LENGTH) {
+      throw new Error(`Variable '${name}' has more than ${MAX_ARRAY_LENGTH} elements`);
+    }
+    return value.map((item, i) => {
+      if (typeof item !== 'number') {
+        throw new Error(`Variable '${name}[${i}]' must be a number`);
+      }
+      return item;
+    });
+  }
+  throw new Error(`Variable '${name}' must be a number or an array of numbers`);
+}
+
+/**
+ * Evaluate a parsed expression
+ * @param {Object} ast - Output of parseExpression
+ * @param {Object} variables - Name → number | number[]
+ * @param {Object} options - { maxSteps, expression (for error pointers) }
+ * @returns {{ value: number|number[], steps: number }}
+ */
+function evaluateAst(ast, variables = {}, options = {}) {
+  const maxSteps = options.maxSteps || MAX_EVALUATION_STEPS;
+  const expression = options.expression || null;
+  const scope = variables || {};
+  let steps = 0;
+  
+  const fail = (message, node) => new ExpressionError(message, node.position ?? null, expression);
+  
+  const step = (node, cost = 1) => {
+    steps += cost;
+    if (steps > maxSteps) {
+      throw fail(`Evaluation exceeded ${maxSteps} steps`, node);
+    }
+  };
+  
+  const scalar = (value, node, what) => {
+    if (Array.isArray(value)) {
+      throw fail(`${what} needs a number but got an array`, node);
+    }
+    return value;
+  };
+  
+  const visit = (node) => {
+    step(node);
+    
+    switch (node.type) {
+      case 'number':
+        return node.value;
+      
+      case 'variable': {
+        if (Object.prototype.hasOwnProperty.call(scope, node.name)) {
+          try {
+            return normalizeVariable(node.name, scope[node.name]);
+          } catch (error) {
+            throw fail(error.message, node);
+          }
+        }
+        if (Object.prototype.hasOwnProperty.call(CONSTANTS, node.name)) {
+          return CONSTANTS[node.name];
+        }
+        throw fail(`Unknown variable '${node.name}'`, node);
+      }
+      
+      case 'array':
+        if (node.elements.length > MAX_ARRAY_LENGTH) {
+          throw fail(`Array literal has more than ${MAX_ARRAY_LENGTH} elements`, node);
+        }
+        return node.elements.map(element => scalar(visit(element), element, 'Array element'));
+      
+      case 'index': {
+        const target = visit(node.target);
+        if (!Array.isArray(target)) {
+          throw fail('Only arrays can be indexed', node);
+        }
+        const rawIndex = scalar(visit(node.index), node.index, 'Array index');
+        // Negative indexes count from the end (prices[-1] is the latest value)
+        const index = rawIndex < 0 ? target.length + rawIndex : rawIndex;
+        if (!Number.isInteger(index) || index < 0 || index >= target.length) {
+          throw fail(`Index ${rawIndex} is out of range for an array of length ${target.length}`, node);
+        }
+        return target[index];
+      }
+      
+      case 'call': {
+        const definition = FUNCTIONS[node.name];
+        const args = node.args.map(arg => {
+          const value = visit(arg);
+          return definition.arrays ? value : scalar(value, arg, `${node.name}()`);
+        });
+        // Aggregates cost one step per element they touch
+        step(node, args.reduce((sum, arg) => sum + (Array.isArray(arg) ? arg.length : 0), 0));
+        try {
+          return definition.fn(...args);
+        } catch (error) {
+          throw fail(error.message, node);
+        }
+      }
+      
+      case 'unary': {
+        const operand = scalar(visit(node.operand), node, `Unary '${node.operator}'`);
+        if (node.operator === '-') return -operand;
+        if (node.operator === '+') return operand;
+        return operand ? 0 : 1;
+      }
+      
+      case 'binary': {
+        // Logical operators short-circuit
+        if (node.operator === '&&' || node.operator === '||') {
+          const left = scalar(visit(node.left), node.left, `'${node.operator}'`);
+          if (node.operator === '&&' && !left) return 0;
+          if (node.operator === '||' && left) return 1;
+          return scalar(visit(node.right), node.right, `'${node.operator}'`) ? 1 : 0;
+        }
+        
+        const left = scalar(visit(node.left), node.left, `'${node.operator}'`);
+        const right = scalar(visit(node.right), node.right, `'${node.operator}'`);
+        
+        switch (node.operator) {
+          case '+': return left + right;
+          case '-': return left - right;
+          case '*': return left * right;
+          case '/': return left / right;
+          case '^': return Math.pow(left, right);
+          case '<': return left < right ? 1 : 0;
+          case '<=': return left <= right ? 1 : 0;
+          case '>': return left > right ? 1 : 0;
+          case '>=': return left >= right ? 1 : 0;
+          case '==': return left === right ? 1 : 0;
+          case '!=': return left !== right ? 1 : 0;
+          default:
+            throw fail(`Unsupported operator '${node.operator}'`, node);
+        }
+      }
+      
+      default:
+        throw fail(`Unsupported expression node '${node.type}'`, node);
+    }
+  };
+  
+  const value = visit(ast);
+  return { value, steps };
+}
+
+/**
+ * Parse and evaluate an expression in one call
+ * @returns {{ value: number|number[], steps: number }}
+ */
+function evaluateExpression(expression, variables = {}, options = {}) {
+  const ast = parseExpression(expression);
+  return evaluateAst(ast, variables, { ...options, expression });
+}
+
+module.exports = {
+  ExpressionError,
+  tokenize,
+  parseExpression,
+  evaluateAst,
+  evaluateExpression,
+  FUNCTIONS,
+  CONSTANTS,
+  MAX_EVALUATION_STEPS
+};
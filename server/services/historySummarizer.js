@@ -8,17 +8,9 @@
 
 const axios = require('axios');
 const { decrypt } = require('../utils/encryption');
-
-/**
- * Rough token estimation (1 token ≈ 4 characters for English text)
- * More accurate than character count, good enough for our purposes
- */
-function estimateTokens(text) {
-  if (!text) return 0;
-  // Count characters, divide by 4, add buffer for JSON structure
-  const charCount = typeof text === 'string' ? text.length : JSON.stringify(text).length;
-  return Math.ceil(charCount / 4);
-}
+const mockProvider = require('./mockProvider');
+const { estimateTokens, extractUsage, createUsageRecord } = require('./llmUsage');
+const { assertWithinBudget } = require('./budgetService');
 
 /**
  * Calculate total tokens in decision history
@@ -91,7 +83,7 @@ function formatDecisionsForSummarization(decisions) {
       decisionsArray.forEach((decision, i) => {
         formatted += `\nTrade ${i + 1}:\n`;
         formatted += `  Action: ${decision.action}\n`;
-        formatted += `  Symbol: ${decision.symbol || decision.closePositionId || 'N/A'}\n`;
+        formatted += `  Symbol: ${decision.symbol || decision.closePositionId || decision.positionId || decision.orderId || 'N/A'}\n`;
         formatted += `  Reasoning: ${decision.reasoning}\n`;
         
         if (decision.action === 'LONG' || decision.action === 'SHORT') {
@@ -124,6 +116,9 @@ function formatDecisionsForSummarization(decisions) {
  * @param {String} previousSummaryContext - Optional previous summary to provide as context
  */
 async function summarizeHistory(bot, decisions, provider, previousSummaryContext = '') {
+  // Summaries are the biggest single call a bot makes - never start one over budget
+  assertWithinBudget(bot.userId || bot.user_id, bot.id, { botName: bot.name });
+  
   console.log(`   📊 Summarization Debug:`);
   console.log(`      - Bot: ${bot.name}`);
   console.log(`      - Decisions to summarize: ${decisions.length}`);
@@ -184,7 +179,7 @@ YOUR LEARNING SUMMARY:`;
     console.log(`      - Using 5-minute timeout for complex summarization task`);
     
     // Decrypt API key and prepare provider config
-    const apiKey = decrypt(provider.api_key_encrypted);
+    const apiKey = provider.api_key_encrypted ? decrypt(provider.api_key_encrypted) : null;
     const modelName = provider.model_name;
     const apiEndpoint = provider.api_endpoint;
     const providerType = provider.provider_type;
@@ -193,7 +188,10 @@ YOUR LEARNING SUMMARY:`;
     let summaryText;
     
     // Call AI API based on provider type (same logic as BotManager)
-    if (providerType === 'grok' || providerType === 'openai') {
+    if (providerType === 'mock') {
+      summaryText = mockProvider.generateResponse(summarizationPrompt, provider, 'summary');
+    }
+    else if (providerType === 'grok' || providerType === 'openai') {
       response = await axios.post(
         apiEndpoint,
         {
@@ -287,13 +285,23 @@ YOUR LEARNING SUMMARY:`;
     const tokenCount = estimateTokens(summaryText);
     console.log(`   ✅ Generated summary (${tokenCount} tokens)`);
     
+    const usage = createUsageRecord({
+      providerConfig: provider,
+      model: modelName,
+      purpose: 'summary',
+      usage: response ? extractUsage(providerType, response.data) : null,
+      prompt: summarizationPrompt,
+      response: summaryText
+    });
+    
     return {
       summary: summaryText,
       summarizedCount: decisions.length,
       summarizedFrom: decisions[0].timestamp,
       summarizedTo: decisions[decisions.length - 1].timestamp,
       generatedAt: Date.now(),
-      tokenCount: tokenCount
+      tokenCount: tokenCount,
+      usage
     };
   } catch (error) {
     console.error(`   ❌ Error generating summary:`, error.message);
@@ -424,7 +432,7 @@ async function manageHistorySize(bot, allDecisions, provider, maxTokens = 25000,
     console.log(`      - Force mode: Summarizing all ${summarizationDecisions.length} decisions (ignoring any previous summary)`);
   }
   
-  const newSummary = await summarizeHistory(bot, summarizationDecisions, provider, existingSummaryContext);
+  const { usage, ...newSummary } = await summarizeHistory(bot, summarizationDecisions, provider, existingSummaryContext);
   
   // Note: existingSummaryContext was already provided to the AI in the summarization prompt
   // The AI generates a fresh summary that incorporates previous learnings
@@ -436,7 +444,8 @@ async function manageHistorySize(bot, allDecisions, provider, maxTokens = 25000,
     needsSummarization: true,
     totalTokens,
     summarizedCount: decisionsToSummarize.length,
-    newTokenEstimate: estimateTokens(newSummary.summary) + calculateHistoryTokens(recentDecisions)
+    newTokenEstimate: estimateTokens(newSummary.summary) + calculateHistoryTokens(recentDecisions),
+    usage // LLM usage of the summarization call
   };
 }
 
@@ -0,0 +1,218 @@
+/**
+ * @license
+ * SPDX-License-Identifier: MIT
+ *
+ * LLM Response Streaming
+ * Streams completions as server-sent events so partial text can be shown
+ * while a bot is still thinking. One reader per request dialect:
+ *   openai    - `stream: true`; chunks carry choices[0].delta.content and the
+ *               last one carries usage (OpenAI and xAI, via stream_options)
+ *   anthropic - `stream: true`; content_block_delta events carry the text,
+ *               message_start / message_delta carry the token counts
+ *   gemini    - streamGenerateContent?alt=sse; every chunk is a partial
+ *               response with its own text and running usageMetadata
+ * An endpoint that ignores the stream flag and answers with plain JSON is
+ * read like a normal response.
+ */
+
+const axios = require('axios');
+const { StringDecoder } = require('string_decoder');
+const { getRequestDialect } = require('./modelParams');
+const { extractUsage } = require('./llmUsage');
+
+// OpenAI-compatible providers known to accept stream_options (others may reject unknown fields)
+const STREAM_USAGE_PROVIDERS = new Set(['openai', 'grok']);
+
+/**
+ * Response text from a (non-streamed) completion body
+ */
+function extractResponseText(providerType, data) {
+  const dialect = getRequestDialect(providerType);
+  if (dialect === 'anthropic') {
+    return data?.content?.[0]?.text;
+  }
+  if (dialect === 'gemini') {
+    return data?.candidates?.[0]?.content?.parts?.[0]?.text;
+  }
+  return data?.choices?.[0]?.message?.content;
+}
+
+/**
+ * Turn a completion request into its streaming form
+ * @returns {{url: string, body: Object}|null} null if the endpoint can't be streamed
+ */
+function toStreamRequest(providerType, url, body) {
+  const dialect = getRequestDialect(providerType);
+  
+  if (dialect === 'gemini') {
+    if (!url.includes(':generateContent')) {
+      return null;
+    }
+    const streamUrl = url.replace(':generateContent', ':streamGenerateContent');
+    return { url: `${streamUrl}${streamUrl.includes('?') ? '&' : '?'}alt=sse`, body };
+  }
+  
+  return {
+    url,
+    body: {
+      ...body,
+      stream: true,
+      ...(dialect === 'openai' && STREAM_USAGE_PROVIDERS.has(providerType) ? { stream_options: { include_usage: true } } : {})
+    }
+  };
+}
+
+/**
+ * Read one stream event, updating the token counts
+ * @returns {string} Text added by the event ('' if none)
+ */
+function readStreamEvent(providerType, event, state) {
+  const dialect = getRequestDialect(providerType);
+  
+  if (dialect === 'anthropic') {
+    switch (event.type) {
+      case 'message_start':
+        state.usage = { inputTokens: event.message?.usage?.input_tokens || 0, outputTokens: event.message?.usage?.output_tokens || 0 };
+        return '';
+      case 'content_block_delta':
+        return event.delta?.type === 'text_delta' ? event.delta.text : '';
+      case 'message_delta':
+        if (event.usage) {
+          state.usage = { inputTokens: state.usage?.inputTokens || 0, outputTokens: event.usage.output_tokens || 0 };
+        }
+        return '';
+      case 'error':
+        throw new Error(event.error?.message || 'Stream error');
+      default:
+        return '';
+    }
+  }
+  
+  state.usage = extractUsage(providerType, event) || state.usage;
+  if (dialect === 'gemini') {
+    return (event.candidates?.[0]?.content?.parts || []).map(part => part.text || '').join('');
+  }
+  return event.choices?.[0]?.delta?.content || '';
+}
+
+/**
+ * Read a streamed error response body so error messages show the provider's reason
+ */
+async function readErrorBody(error) {
+  const stream = error.response?.data;
+  if (!stream || typeof stream.on !== 'function') {
+    return;
+  }
+  try {
+    let raw = '';
+    for await (const chunk of stream) {
+      raw += chunk.toString('utf8');
+    }
+    error.response.data = JSON.parse(raw);
+  } catch (parseError) {
+    error.response.data = {};
+  }
+}
+
+/**
+ * Send a completion request and stream the response
+ * @param {Object} options
+ * @param {string} options.providerType - llm_providers.provider_type
+ * @param {string} options.url - Completion endpoint (as for a normal request)
+ * @param {Object} options.body - Request body (as for a normal request)
+ * @param {Object} options.headers - Request headers
+ * @param {number} options.timeoutMs - Limit on the whole response, not just the first byte
+ * @param {Function} options.onToken - (text) => void, called with each piece of text as it arrives
+ * @returns {Promise<{text: string, usage: Object|null}>} Full text, and token counts if the provider reported them
+ */
+async function streamCompletion({ providerType, url, body, headers, timeoutMs, onToken }) {
+  const request = toStreamRequest(providerType, url, body);
+  if (!request) {
+    const response = await axios.post(url, body, { headers, timeout: timeoutMs });
+    const text = extractResponseText(providerType, response.data);
+    if (text) {
+      onToken(text);
+    }
+    return { text, usage: extractUsage(providerType, response.data) };
+  }
+  
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  
+  try {
+    const response = await axios.post(request.url, request.body, {
+      headers: { ...headers, Accept: 'text/event-stream' },
+      responseType: 'stream',
+      signal: controller.signal
+    });
+    
+    const decoder = new StringDecoder('utf8');
+    const state = { usage: null };
+    let buffer = '';
+    let raw = '';
+    let text = '';
+    let sawEvents = false;
+    
+    const readLine = (line) => {
+      if (!line.startsWith('data:')) {
+        if (!sawEvents) {
+          raw += `${line}\n`;
+        }
+        return;
+      }
+      const payload = line.slice(5).trim();
+      if (!payload || payload === '[DONE]') {
+        return;
+      }
+      sawEvents = true;
+      const delta = readStreamEvent(providerType, JSON.parse(payload), state);
+      if (delta) {
+        text += delta;
+        onToken(delta);
+      }
+    };
+    
+    for await (const chunk of response.data) {
+      buffer += decoder.write(chunk);
+      let newline;
+      while ((newline = buffer.indexOf('\n')) !== -1) {
+        readLine(buffer.slice(0, newline).replace(/\r$/, ''));
+        buffer = buffer.slice(newline + 1);
+      }
+    }
+    buffer += decoder.end();
+    if (buffer) {
+      readLine(buffer);
+    }
+    
+    // Not an event stream - the endpoint answered with a normal JSON body
+    if (!sawEvents && raw.trim()) {
+      const data = JSON.parse(raw);
+      text = extractResponseText(providerType, data) || '';
+      if (text) {
+        onToken(text);
+      }
+      return { text, usage: extractUsage(providerType, data) };
+    }
+    
+    return { text, usage: state.usage };
+  } catch (error) {
+    if (controller.signal.aborted) {
+      // Same shape as an axios timeout so the retry policy treats it alike
+      const timeoutError = new Error(`timeout of ${timeoutMs}ms exceeded`);
+      timeoutError.code = 'ECONNABORTED';
+      throw timeoutError;
+    }
+    await readErrorBody(error);
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+module.exports = {
+  extractResponseText,
+  toStreamRequest,
+  readStreamEvent,
+  streamCompletion
+};
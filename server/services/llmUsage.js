@@ -0,0 +1,172 @@
+/**
+ * @license
+ * SPDX-License-Identifier: MIT
+ *
+ * LLM Usage Accounting
+ * Turns provider responses into usage records: token counts parsed from the
+ * response (or estimated from the text when the provider doesn't report them)
+ * and a USD cost from the price table below. Records are collected per turn
+ * and stored in llm_usage against the decision they belong to.
+ *
+ * A provider's config_json can override the price table for its model:
+ *   { "pricing": { "inputPerMillion": 0.5, "outputPerMillion": 1.5 } }
+ */
+
+const { getRequestDialect } = require('./modelParams');
+
+// USD per million tokens. Matched by model-name prefix, first match wins, so
+// more specific names come before the families they belong to.
+const MODEL_PRICING = [
+  // OpenAI
+  { prefix: 'gpt-4o-mini', input: 0.15, output: 0.60 },
+  { prefix: 'gpt-4o', input: 2.50, output: 10.00 },
+  { prefix: 'gpt-4.1-nano', input: 0.10, output: 0.40 },
+  { prefix: 'gpt-4.1-mini', input: 0.40, output: 1.60 },
+  { prefix: 'gpt-4.1', input: 2.00, output: 8.00 },
+  { prefix: 'gpt-4-turbo', input: 10.00, output: 30.00 },
+  { prefix: 'gpt-4', input: 30.00, output: 60.00 },
+  { prefix: 'gpt-3.5-turbo', input: 0.50, output: 1.50 },
+  { prefix: 'o4-mini', input: 1.10, output: 4.40 },
+  { prefix: 'o3-mini', input: 1.10, output: 4.40 },
+  // Anthropic
+  { prefix: 'claude-3-haiku', input: 0.25, output: 1.25 },
+  { prefix: 'claude-3-5-haiku', input: 0.80, output: 4.00 },
+  { prefix: 'claude-haiku', input: 0.80, output: 4.00 },
+  { prefix: 'claude-3-opus', input: 15.00, output: 75.00 },
+  { prefix: 'claude-opus', input: 15.00, output: 75.00 },
+  { prefix: 'claude-3', input: 3.00, output: 15.00 }, // 3.5 / 3.7 Sonnet
+  { prefix: 'claude-sonnet', input: 3.00, output: 15.00 },
+  // Google
+  { prefix: 'gemini-1.5-flash', input: 0.075, output: 0.30 },
+  { prefix: 'gemini-1.5-pro', input: 1.25, output: 5.00 },
+  { prefix: 'gemini-2.0-flash', input: 0.10, output: 0.40 },
+  { prefix: 'gemini-2.5-flash-lite', input: 0.10, output: 0.40 },
+  { prefix: 'gemini-2.5-flash', input: 0.30, output: 2.50 },
+  { prefix: 'gemini-2.5-pro', input: 1.25, output: 10.00 },
+  // xAI
+  { prefix: 'grok-3-mini', input: 0.30, output: 0.50 },
+  { prefix: 'grok-3', input: 3.00, output: 15.00 },
+  { prefix: 'grok-4', input: 3.00, output: 15.00 },
+  { prefix: 'grok-2', input: 2.00, output: 10.00 },
+  { prefix: 'grok-beta', input: 5.00, output: 15.00 }
+];
+
+/**
+ * Rough token estimation (1 token ≈ 4 characters for English text)
+ * More accurate than character count, good enough for our purposes
+ */
+function estimateTokens(text) {
+  if (!text) return 0;
+  // Count characters, divide by 4, add buffer for JSON structure
+  const charCount = typeof text === 'string' ? text.length : JSON.stringify(text).length;
+  return Math.ceil(charCount / 4);
+}
+
+/**
+ * Token counts reported in a provider response body
+ * @returns {{inputTokens: number, outputTokens: number}|null} null if the response has no usage
+ */
+function extractUsage(providerType, data) {
+  const dialect = getRequestDialect(providerType);
+  
+  if (dialect === 'anthropic' && data?.usage) {
+    return { inputTokens: data.usage.input_tokens || 0, outputTokens: data.usage.output_tokens || 0 };
+  }
+  if (dialect === 'gemini' && data?.usageMetadata) {
+    return {
+      inputTokens: data.usageMetadata.promptTokenCount || 0,
+      outputTokens: data.usageMetadata.candidatesTokenCount || 0
+    };
+  }
+  if (dialect === 'openai' && data?.usage) {
+    return { inputTokens: data.usage.prompt_tokens || 0, outputTokens: data.usage.completion_tokens || 0 };
+  }
+  return null;
+}
+
+/**
+ * Model a call was billed for: the resolved model, or the one in a Gemini endpoint URL
+ */
+function resolveModelName(providerConfig, model) {
+  if (model) {
+    return model;
+  }
+  const match = /\/models\/([^/:?]+)/.exec(providerConfig.api_endpoint || '');
+  return match ? match[1] : providerConfig.provider_type;
+}
+
+/**
+ * Price per million tokens for a model ({input, output}), or null if unknown
+ */
+function getModelPricing(providerConfig, model) {
+  try {
+    const config = providerConfig.config_json ? JSON.parse(providerConfig.config_json) : {};
+    if (config.pricing && (config.pricing.inputPerMillion !== undefined || config.pricing.outputPerMillion !== undefined)) {
+      return {
+        input: parseFloat(config.pricing.inputPerMillion) || 0,
+        output: parseFloat(config.pricing.outputPerMillion) || 0
+      };
+    }
+  } catch (error) {
+    // Invalid provider config_json - fall back to the price table
+  }
+  
+  if (providerConfig.provider_type === 'mock') {
+    return { input: 0, output: 0 };
+  }
+  
+  const name = (model || '').toLowerCase().replace(/^models\//, '');
+  const entry = MODEL_PRICING.find(p => name.startsWith(p.prefix));
+  return entry ? { input: entry.input, output: entry.output } : null;
+}
+
+/**
+ * Build a usage record for one LLM call
+ * @param {Object} options
+ * @param {Object} options.providerConfig - llm_providers row
+ * @param {string} options.model - Model sent with the request (null = provider default)
+ * @param {string} options.purpose - 'decision', 'sandbox', 'summary' or 'backtest'
+ * @param {Object|null} options.usage - Token counts from extractUsage (null = estimate from text)
+ * @param {string|Object} options.prompt - Request content, used for estimates
+ * @param {string} options.response - Response text, used for estimates
+ */
+function createUsageRecord({ providerConfig, model, purpose, usage, prompt, response }) {
+  const estimated = !usage;
+  const inputTokens = estimated ? estimateTokens(prompt) : usage.inputTokens;
+  const outputTokens = estimated ? estimateTokens(response) : usage.outputTokens;
+  const modelName = resolveModelName(providerConfig, model);
+  const pricing = getModelPricing(providerConfig, modelName);
+  
+  return {
+    providerId: providerConfig.id,
+    model: modelName,
+    purpose,
+    inputTokens,
+    outputTokens,
+    estimated,
+    costUsd: pricing ? (inputTokens * pricing.input + outputTokens * pricing.output) / 1e6 : 0,
+    priced: Boolean(pricing)
+  };
+}
+
+/**
+ * Totals for a list of usage records
+ */
+function summarizeUsage(records) {
+  return (records || []).reduce((totals, record) => ({
+    calls: totals.calls + 1,
+    inputTokens: totals.inputTokens + record.inputTokens,
+    outputTokens: totals.outputTokens + record.outputTokens,
+    costUsd: totals.costUsd + record.costUsd
+  }), { calls: 0, inputTokens: 0, outputTokens: 0, costUsd: 0 });
+}
+
+module.exports = {
+  MODEL_PRICING,
+  estimateTokens,
+  extractUsage,
+  resolveModelName,
+  getModelPricing,
+  createUsageRecord,
+  summarizeUsage
+};
@@ -0,0 +1,211 @@
+/**
+ * @license
+ * SPDX-License-Identifier: MIT
+ *
+ * Mock LLM Provider
+ * Deterministic, network-free stand-in for a real model so trading turns, the
+ * sandbox ANALYZE loop and the history summarizer can run in tests and demos.
+ *
+ * Behaviour is configured through the provider's config_json:
+ *   {
+ *     "mode": "rules" | "script",   // default "rules"
+ *     "script": [ ... ],            // script mode: responses returned in order (strings verbatim, objects as JSON)
+ *     "loop": true,                 // script mode: restart at the end (false repeats the last entry)
+ *     "seed": 1,                    // rules mode: varies the deterministic choices
+ *     "analyzeIterations": 1,       // rules mode: ANALYZE calls made before deciding in sandbox turns
+ *     "analyzeTools": ["price_change", "current_price"], // rules mode: tools cycled through (network-free by default)
+ *     "malformedRate": 0,           // rules mode: fraction (0-1) of responses returned as broken JSON
+ *     "tradeSize": 100,             // rules mode: margin per opened position
+ *     "leverage": 5,
+ *     "closeAtPnlPercent": 5        // rules mode: close positions beyond ±this PnL %
+ *   }
+ */
+
+// Script position per provider so consecutive calls walk through the script
+const scriptCursors = new Map();
+
+/**
+ * Small string hash (FNV-1a) used to derive deterministic pseudo-random values
+ */
+function hashString(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Deterministic value in [0, 1) for a prompt and seed
+ */
+function pseudoRandom(prompt, seed) {
+  return hashString(`${seed}:${prompt}`) / 0x100000000;
+}
+
+/**
+ * Parse provider config_json, tolerating missing or invalid JSON
+ */
+function parseConfig(configJson) {
+  if (!configJson) {
+    return {};
+  }
+  if (typeof configJson === 'object') {
+    return configJson;
+  }
+  try {
+    return JSON.parse(configJson);
+  } catch (error) {
+    console.warn('⚠️ [Mock Provider] Invalid config_json, using defaults:', error.message);
+    return {};
+  }
+}
+
+/**
+ * Return the next scripted response for a provider
+ */
+function nextScriptedResponse(config, cursorKey) {
+  const script = Array.isArray(config.script) ? config.script : [];
+  if (script.length === 0) {
+    throw new Error('Mock provider in script mode has an empty script');
+  }
+  
+  const position = scriptCursors.get(cursorKey) || 0;
+  const index = config.loop === false ? Math.min(position, script.length - 1) : position % script.length;
+  scriptCursors.set(cursorKey, position + 1);
+  
+  const entry = script[index];
+  return typeof entry === 'string' ? entry : JSON.stringify(entry);
+}
+
+/**
+ * Extract markets and open positions from the text produced by generateBasePrompt
+ */
+function readPrompt(prompt) {
+  const markets = [];
+  const marketPattern = /\b([A-Z0-9]+): \$([\d.]+) \| 24h: ([+-]?[\d.]+)%/g;
+  let match;
+  while ((match = marketPattern.exec(prompt)) !== null) {
+    markets.push({ symbol: match[1], price: parseFloat(match[2]), change: parseFloat(match[3]) });
+  }
+  
+  const positions = [];
+  const positionPattern = /Position (\S+): (LONG|SHORT) ([A-Z0-9]+) .*?Current PnL: \$[-\d.]+ \(([-\d.]+)%\)/g;
+  while ((match = positionPattern.exec(prompt)) !== null) {
+    positions.push({ id: match[1], type: match[2], symbol: match[3], pnlPercent: parseFloat(match[4]) });
+  }
+  
+  const completedAnalyses = (prompt.match(/\[Iteration \d+ - Tool:/g) || []).length;
+  const isSandboxTurn = prompt.includes('=== ITERATION ') || prompt.includes('=== CELESTIAL DIVINATION CYCLE ');
+  const mustDecide = prompt.includes('FINAL ITERATION:') || prompt.includes('THE FINAL PROPHECY:');
+  
+  return { markets, positions, completedAnalyses, isSandboxTurn, mustDecide };
+}
+
+/**
+ * Rule-based trading response: close big movers, open on the strongest 24h trend
+ */
+function ruleBasedResponse(prompt, config) {
+  const seed = config.seed ?? 1;
+  const tradeSize = config.tradeSize ?? 100;
+  const leverage = config.leverage ?? 5;
+  const closeAt = config.closeAtPnlPercent ?? 5;
+  const analyzeIterations = config.analyzeIterations ?? 1;
+  const { markets, positions, completedAnalyses, isSandboxTurn, mustDecide } = readPrompt(prompt);
+  
+  const strongest = [...markets].sort((a, b) => Math.abs(b.change) - Math.abs(a.change))[0];
+  
+  // Sandbox turns: ask for analysis first, like a model working through the tools
+  if (isSandboxTurn && !mustDecide && completedAnalyses < analyzeIterations && strongest) {
+    const tools = config.analyzeTools || ['price_change', 'current_price'];
+    const tool = tools[(hashString(String(seed)) + completedAnalyses) % tools.length];
+    return JSON.stringify({
+      action: 'ANALYZE',
+      tool,
+      parameters: { symbol: strongest.symbol, period: 14 },
+      reasoning: `[mock] Checking ${tool} on ${strongest.symbol} before deciding`
+    });
+  }
+  
+  const decisions = [];
+  const heldSymbols = new Set(positions.map(p => p.symbol));
+  
+  for (const position of positions) {
+    if (Math.abs(position.pnlPercent) >= closeAt) {
+      decisions.push({
+        action: 'CLOSE',
+        closePositionId: position.id,
+        reasoning: `[mock] PnL ${position.pnlPercent}% crossed ±${closeAt}%`
+      });
+    }
+  }
+  
+  if (strongest && !heldSymbols.has(strongest.symbol) && Math.abs(strongest.change) >= 1) {
+    const action = strongest.change > 0 ? 'LONG' : 'SHORT';
+    const stopDistance = 0.02 + pseudoRandom(prompt, seed) * 0.02;
+    decisions.push({
+      action,
+      symbol: strongest.symbol,
+      size: tradeSize,
+      leverage,
+      stopLoss: parseFloat((strongest.price * (action === 'LONG' ? 1 - stopDistance : 1 + stopDistance)).toFixed(6)),
+      takeProfit: parseFloat((strongest.price * (action === 'LONG' ? 1 + stopDistance * 2 : 1 - stopDistance * 2)).toFixed(6)),
+      reasoning: `[mock] ${strongest.symbol} moved ${strongest.change}% in 24h`
+    });
+  }
+  
+  if (decisions.length === 0) {
+    decisions.push({ action: 'HOLD', reasoning: '[mock] No signal' });
+  }
+  
+  return JSON.stringify(decisions);
+}
+
+/**
+ * Deterministic stand-in for a history summary
+ */
+function summaryResponse(prompt) {
+  const decisionCount = (prompt.match(/^TRADING CYCLE \d+/gm) || []).length;
+  return `[mock summary] Reviewed ${decisionCount || 'the'} historical decisions. ` +
+    'Continue following the trend with defined stops; avoid re-entering symbols immediately after a loss.';
+}
+
+/**
+ * Generate a mock completion
+ * @param {string} prompt - Prompt that would have been sent to the model
+ * @param {Object} provider - llm_providers row (uses id/name and config_json)
+ * @param {string} purpose - 'decision' (default) or 'summary'
+ * @returns {string} Response text
+ */
+function generateResponse(prompt, provider, purpose = 'decision') {
+  const config = parseConfig(provider.config_json);
+  
+  if (config.mode === 'script') {
+    return nextScriptedResponse(config, `${provider.id || provider.name}:${purpose}`);
+  }
+  
+  if (purpose === 'summary') {
+    return summaryResponse(prompt);
+  }
+  
+  const response = ruleBasedResponse(prompt, config);
+  
+  // Optionally simulate a model emitting broken JSON
+  if (config.malformedRate && pseudoRandom(prompt, `${config.seed ?? 1}:malformed`) < config.malformedRate) {
+    return `Here is my decision: ${response.slice(0, Math.max(1, Math.floor(response.length / 2)))}`;
+  }
+  
+  return response;
+}
+
+/**
+ * Reset script cursors (e.g. between test runs)
+ */
+function resetScripts() {
+  scriptCursors.clear();
+}
+
+module.exports = {
+  generateResponse,
+  resetScripts
+};
@@ -0,0 +1,114 @@
+/**
+ * @license
+ * SPDX-License-Identifier: MIT
+ *
+ * Model Parameters
+ * Resolves the model settings for a bot's AI calls: the provider record
+ * supplies the default model, and the bot's config_json can override it:
+ *   {
+ *     "model": "gpt-4o-mini",        // model name sent instead of the provider's
+ *     "temperature": 0.7,            // 0-2
+ *     "maxTokens": 2048,             // response token limit
+ *     "topP": 0.95,                  // 0-1
+ *     "systemPrompt": "..."          // sent as the provider's system message
+ *   }
+ */
+
+const DEFAULT_MAX_TOKENS = 4096; // Anthropic requires max_tokens on every request
+
+/**
+ * Parse a bot's config_json, tolerating missing or invalid JSON
+ */
+function parseModelConfig(configJson) {
+  if (!configJson) {
+    return {};
+  }
+  try {
+    const parsed = typeof configJson === 'string' ? JSON.parse(configJson) : configJson;
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+  } catch (error) {
+    console.warn('⚠️ Invalid bot config_json, using provider defaults:', error.message);
+    return {};
+  }
+}
+
+/**
+ * Model parameters for a call: bot overrides, then call-site defaults, then the provider's model
+ * @param {Object} providerConfig - llm_providers row
+ * @param {Object} modelConfig - Parsed bot config_json
+ * @param {Object} defaults - Defaults for this kind of call (e.g. { temperature: 0.9 })
+ */
+function resolveModelParams(providerConfig, modelConfig = {}, defaults = {}) {
+  const pick = key => (modelConfig[key] !== undefined && modelConfig[key] !== null && modelConfig[key] !== ''
+    ? modelConfig[key]
+    : (defaults[key] !== undefined ? defaults[key] : null));
+  
+  return {
+    model: pick('model') || providerConfig.model_name,
+    temperature: pick('temperature'),
+    maxTokens: pick('maxTokens'),
+    topP: pick('topP'),
+    systemPrompt: pick('systemPrompt')
+  };
+}
+
+/**
+ * Request dialect for a provider type (custom/local APIs are OpenAI-compatible)
+ */
+function getRequestDialect(providerType) {
+  return providerType === 'anthropic' || providerType === 'gemini' ? providerType : 'openai';
+}
+
+/**
+ * Body fields carrying the model parameters, in the provider's request format.
+ * OpenAI-compatible system prompts go in the messages (see withSystemMessage).
+ */
+function buildModelFields(providerType, params) {
+  const dialect = getRequestDialect(providerType);
+  
+  if (dialect === 'anthropic') {
+    return {
+      model: params.model,
+      max_tokens: params.maxTokens || DEFAULT_MAX_TOKENS,
+      ...(params.temperature !== null ? { temperature: params.temperature } : {}),
+      ...(params.topP !== null ? { top_p: params.topP } : {}),
+      ...(params.systemPrompt ? { system: params.systemPrompt } : {})
+    };
+  }
+  
+  if (dialect === 'gemini') {
+    const generationConfig = {};
+    if (params.temperature !== null) generationConfig.temperature = params.temperature;
+    if (params.maxTokens !== null) generationConfig.maxOutputTokens = params.maxTokens;
+    if (params.topP !== null) generationConfig.topP = params.topP;
+    return {
+      generationConfig,
+      ...(params.systemPrompt ? { systemInstruction: { parts: [{ text: params.systemPrompt }] } } : {})
+    };
+  }
+  
+  return {
+    model: params.model,
+    ...(params.temperature !== null ? { temperature: params.temperature } : {}),
+    ...(params.maxTokens !== null ? { max_tokens: params.maxTokens } : {}),
+    ...(params.topP !== null ? { top_p: params.topP } : {})
+  };
+}
+
+/**
+ * Prepend the system prompt to an OpenAI-compatible message list
+ */
+function withSystemMessage(messages, params) {
+  return params.systemPrompt
+    ? [{ role: 'system', content: params.systemPrompt }, ...messages]
+    : messages;
+}
+
+module.exports = {
+  DEFAULT_MAX_TOKENS,
+  parseModelConfig,
+  resolveModelParams,
+  getRequestDialect,
+  buildModelFields,
+  withSystemMessage
+};
@@ -0,0 +1,301 @@
+/**
+ * @license
+ * SPDX-License-Identifier: MIT
+ *
+ * Provider Failover
+ * Retry and failover policy for LLM calls. Each call walks a bot's provider
+ * chain (its own provider, then its fallbacks in order):
+ *   - retryable errors (timeouts, connection resets, 429, 5xx) are retried on
+ *     the same provider with exponential backoff and full jitter
+ *   - anything else, or running out of retries, moves on to the next provider
+ *   - a circuit breaker shared by all bots skips a provider for a cooldown
+ *     period after repeated consecutive failures
+ * Every attempt is recorded so the turn's notes can show what happened.
+ */
+
+const DEFAULT_RETRY_POLICY = {
+  maxRetries: 2, // Retries per provider after the first attempt
+  baseDelayMs: 1000,
+  maxDelayMs: 30000
+};
+
+const RETRYABLE_CODES = new Set(['ECONNABORTED', 'ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE']);
+const RETRYABLE_STATUSES = new Set([408, 425, 429, 500, 502, 503, 504, 529]);
+
+/**
+ * Error thrown when every provider in a chain failed or was skipped
+ */
+class ProviderChainError extends Error {
+  constructor(message, attempts) {
+    super(message);
+    this.name = 'ProviderChainError';
+    this.attempts = attempts;
+  }
+}
+
+/**
+ * Per-provider circuit breaker
+ *   closed    - calls go through
+ *   open      - provider is skipped until the cooldown ends
+ *   half_open - cooldown over; the next call is a trial (success closes, failure reopens)
+ */
+class CircuitBreaker {
+  constructor({ failureThreshold = 5, cooldownMs = 120000 } = {}) {
+    this.failureThreshold = failureThreshold;
+    this.cooldownMs = cooldownMs;
+    this.circuits = new Map(); // providerId -> { failures, openedAt }
+  }
+  
+  configure({ failureThreshold, cooldownMs }) {
+    if (failureThreshold !== undefined) {
+      this.failureThreshold = Math.max(1, parseInt(failureThreshold) || 1);
+    }
+    if (cooldownMs !== undefined) {
+      this.cooldownMs = Math.max(0, parseInt(cooldownMs) || 0);
+    }
+  }
+  
+  getState(providerId) {
+    const circuit = this.circuits.get(providerId);
+    if (!circuit || circuit.openedAt === null) {
+      return 'closed';
+    }
+    return Date.now() - circuit.openedAt >= this.cooldownMs ? 'half_open' : 'open';
+  }
+  
+  isAvailable(providerId) {
+    return this.getState(providerId) !== 'open';
+  }
+  
+  recordSuccess(providerId) {
+    if (this.getState(providerId) === 'half_open') {
+      console.log(`   🟢 Provider ${providerId} recovered, circuit closed`);
+    }
+    this.circuits.delete(providerId);
+  }
+  
+  recordFailure(providerId, providerName = providerId) {
+    const circuit = this.circuits.get(providerId) || { failures: 0, openedAt: null };
+    const wasHalfOpen = this.getState(providerId) === 'half_open';
+    circuit.failures++;
+    
+    if (wasHalfOpen || (circuit.openedAt === null && circuit.failures >= this.failureThreshold)) {
+      circuit.openedAt = Date.now();
+      console.warn(`   🔴 Circuit opened for ${providerName} after ${circuit.failures} consecutive failures (skipping for ${Math.round(this.cooldownMs / 1000)}s)`);
+    }
+    this.circuits.set(providerId, circuit);
+  }
+  
+  /**
+   * Snapshot for status endpoints
+   */
+  getStatus() {
+    const status = {};
+    for (const [providerId, circuit] of this.circuits) {
+      status[providerId] = {
+        state: this.getState(providerId),
+        failures: circuit.failures,
+        openedAt: circuit.openedAt
+      };
+    }
+    return status;
+  }
+}
+
+// Shared by every bot so one bot's failures spare the others the wait
+const circuitBreaker = new CircuitBreaker();
+
+/**
+ * Whether an error is worth retrying on the same provider
+ */
+function isRetryableError(error) {
+  const status = error.response?.status;
+  if (status) {
+    return RETRYABLE_STATUSES.has(status);
+  }
+  return RETRYABLE_CODES.has(error.code);
+}
+
+/**
+ * Short description of an error for logs and notes
+ */
+function describeError(error) {
+  const status = error.response?.status;
+  const detail = error.response?.data?.error?.message || error.message;
+  return status ? `${status} ${detail}` : detail;
+}
+
+/**
+ * Delay before a retry: full-jitter exponential backoff, at least any Retry-After the provider sent
+ * @param {number} attempt - Attempt that just failed (1-based)
+ */
+function getRetryDelay(attempt, policy, error) {
+  const ceiling = Math.min(policy.maxDelayMs, policy.baseDelayMs * Math.pow(2, attempt - 1));
+  let delay = Math.round(Math.random() * ceiling);
+  
+  const retryAfter = parseFloat(error?.response?.headers?.['retry-after']);
+  if (!isNaN(retryAfter)) {
+    delay = Math.max(delay, Math.min(policy.maxDelayMs, retryAfter * 1000));
+  }
+  return delay;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Call one provider, retrying retryable errors
+ * @param {Object} provider - llm_providers row
+ * @param {Function} fn - async (provider) => result
+ * @param {Object} options
+ * @param {Object} options.policy - Retry policy (see DEFAULT_RETRY_POLICY)
+ * @param {Array} options.attempts - Attempt log to append to
+ * @throws The last error once retries are exhausted
+ */
+async function callWithRetry(provider, fn, { policy = DEFAULT_RETRY_POLICY, attempts = [] } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    const startTime = Date.now();
+    try {
+      const result = await fn(provider);
+      circuitBreaker.recordSuccess(provider.id);
+      attempts.push({
+        providerId: provider.id,
+        providerName: provider.name,
+        attempt,
+        status: 'ok',
+        durationMs: Date.now() - startTime
+      });
+      return result;
+    } catch (error) {
+      const retryable = isRetryableError(error);
+      circuitBreaker.recordFailure(provider.id, provider.name);
+      attempts.push({
+        providerId: provider.id,
+        providerName: provider.name,
+        attempt,
+        status: 'failed',
+        error: describeError(error),
+        retryable,
+        durationMs: Date.now() - startTime
+      });
+      
+      if (!retryable || attempt > policy.maxRetries || !circuitBreaker.isAvailable(provider.id)) {
+        throw error;
+      }
+      
+      const delay = getRetryDelay(attempt, policy, error);
+      console.warn(`   🔁 ${provider.name} attempt ${attempt} failed (${describeError(error)}), retrying in ${delay}ms`);
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * Call the first healthy provider in a chain, failing over down the chain
+ * @param {Array<Object>} providers - Provider chain in priority order
+ * @param {Function} fn - async (provider) => result
+ * @param {Object} options - Same as callWithRetry
+ * @returns {Promise<{result, provider, attempts}>}
+ * @throws {ProviderChainError} When every provider failed or was skipped
+ */
+async function callWithFailover(providers, fn, options = {}) {
+  const attempts = options.attempts || [];
+  let lastError = null;
+  
+  for (const provider of providers) {
+    if (!circuitBreaker.isAvailable(provider.id)) {
+      console.log(`   ⏭️ Skipping ${provider.name} - circuit open`);
+      attempts.push({ providerId: provider.id, providerName: provider.name, status: 'skipped', error: 'circuit open' });
+      continue;
+    }
+    
+    try {
+      const result = await callWithRetry(provider, fn, { ...options, attempts });
+      return { result, provider, attempts };
+    } catch (error) {
+      lastError = error;
+      if (provider !== providers[providers.length - 1]) {
+        console.warn(`   ↪️ ${provider.name} failed (${describeError(error)}), failing over to the next provider`);
+      }
+    }
+  }
+  
+  let message;
+  if (providers.length === 0) {
+    message = 'No providers configured';
+  } else if (!lastError) {
+    message = 'All providers are temporarily unavailable (circuit open)';
+  } else if (providers.length === 1) {
+    message = describeError(lastError);
+  } else {
+    message = `All ${providers.length} providers failed (last error: ${describeError(lastError)})`;
+  }
+  throw new ProviderChainError(message, attempts);
+}
+
+/**
+ * Parse a bot's fallback_provider_ids column (JSON array of provider IDs)
+ */
+function parseProviderIds(json) {
+  if (!json) {
+    return [];
+  }
+  try {
+    const ids = JSON.parse(json);
+    return Array.isArray(ids) ? ids.map(id => parseInt(id)).filter(id => Number.isInteger(id)) : [];
+  } catch (error) {
+    console.warn('⚠️ Invalid fallback_provider_ids, ignoring fallbacks:', error.message);
+    return [];
+  }
+}
+
+/**
+ * One-line summary of an attempt log for decision notes
+ * Returns null when every call succeeded on the first try.
+ */
+function formatAttemptsNote(attempts) {
+  if (!attempts || !attempts.some(a => a.status !== 'ok')) {
+    return null;
+  }
+  
+  // Collapse runs of successful calls to the same provider (one per sandbox iteration)
+  const parts = [];
+  let okRun = null;
+  for (const a of attempts) {
+    if (a.status === 'ok' && okRun && okRun.providerId === a.providerId) {
+      okRun.count++;
+      continue;
+    }
+    if (okRun) {
+      parts.push(`${okRun.providerName} ok${okRun.count > 1 ? ` ×${okRun.count}` : ''}`);
+      okRun = null;
+    }
+    if (a.status === 'ok') {
+      okRun = { providerId: a.providerId, providerName: a.providerName, count: 1 };
+    } else if (a.status === 'skipped') {
+      parts.push(`${a.providerName} skipped (${a.error})`);
+    } else {
+      parts.push(`${a.providerName} #${a.attempt} failed (${a.error})`);
+    }
+  }
+  if (okRun) {
+    parts.push(`${okRun.providerName} ok${okRun.count > 1 ? ` ×${okRun.count}` : ''}`);
+  }
+  
+  return `🔁 PROVIDER ATTEMPTS: ${parts.join(' → ')}`;
+}
+
+module.exports = {
+  DEFAULT_RETRY_POLICY,
+  ProviderChainError,
+  CircuitBreaker,
+  circuitBreaker,
+  isRetryableError,
+  describeError,
+  getRetryDelay,
+  callWithRetry,
+  callWithFailover,
+  parseProviderIds,
+  formatAttemptsNote
+};
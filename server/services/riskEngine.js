@@ -0,0 +1,297 @@
+/**
+ * @license
+ * SPDX-License-Identifier: MIT
+ *
+ * Portfolio Risk Engine
+ * Hard limits applied to a bot's validated decisions before they are executed.
+ * Global limits come from system settings and per-bot limits from
+ * bots.risk_limits_json; where both are set the stricter one applies, and a
+ * limit of 0 (or unset) means no limit. CLOSE, REDUCE, MODIFY and CANCEL
+ * decisions are never blocked; an ADD is checked like an entry that grows its
+ * position rather than opening another. LIMIT/STOP entries are checked when
+ * placed and again when they fill (BotManager.fillPendingOrder).
+ *
+ * Daily loss and drawdown are measured against bot.riskState, which tracks
+ * the bot's equity at the start of the UTC day and its peak equity. Once the
+ * daily loss limit is hit the bot opens nothing until the next UTC day; the
+ * drawdown kill-switch pauses the bot (BotManager) until its owner resumes it.
+ */
+
+const { getPriceSeries, DEFAULT_INTERVAL, DEFAULT_LOOKBACK } = require('./candleService');
+
+const RISK_LIMITS = [
+  { key: 'maxExposureMultiple', setting: 'risk_max_exposure_multiple' },
+  { key: 'maxPositions', setting: 'risk_max_positions' },
+  { key: 'maxSymbolMarginPct', setting: 'risk_max_symbol_margin_pct' },
+  { key: 'maxCorrelatedExposureMultiple', setting: 'risk_max_correlated_exposure_multiple' },
+  { key: 'dailyLossLimitPct', setting: 'risk_daily_loss_limit_pct' },
+  { key: 'maxDrawdownPct', setting: 'risk_max_drawdown_pct' }
+];
+
+const DEFAULT_CORRELATION_THRESHOLD = 0.7;
+const MIN_CORRELATION_SAMPLES = 10;
+
+/**
+ * Parse bots.risk_limits_json
+ * @returns {Object} Per-bot limits ({} if none or invalid)
+ */
+function parseRiskLimits(riskLimitsJson) {
+  if (!riskLimitsJson) {
+    return {};
+  }
+  try {
+    const parsed = typeof riskLimitsJson === 'string' ? JSON.parse(riskLimitsJson) : riskLimitsJson;
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+  } catch (error) {
+    console.warn('⚠️ Invalid bot risk_limits_json, using global risk limits:', error.message);
+    return {};
+  }
+}
+
+/**
+ * Limits in force for a bot: the stricter of the global and per-bot value
+ * @param {Object} settings - System settings
+ * @param {Object} botLimits - Parsed per-bot limits
+ * @returns {Object} Limit key to value (null = no limit)
+ */
+function resolveRiskLimits(settings = {}, botLimits = {}) {
+  const limits = {};
+  for (const { key, setting } of RISK_LIMITS) {
+    const values = [Number(settings[setting]), Number(botLimits[key])].filter(value => Number.isFinite(value) && value > 0);
+    limits[key] = values.length > 0 ? Math.min(...values) : null;
+  }
+  return limits;
+}
+
+/**
+ * Current UTC day (YYYY-MM-DD)
+ */
+function getUtcDay(now = new Date()) {
+  return now.toISOString().slice(0, 10);
+}
+
+/**
+ * Roll a bot's risk state forward to its current equity: a new UTC day starts
+ * a new daily loss baseline, and new equity highs raise the drawdown peak
+ * @returns {Object} bot.riskState
+ */
+function updateRiskState(bot, now = new Date()) {
+  const equity = bot.portfolio?.totalValue ?? 0;
+  const day = getUtcDay(now);
+  const state = bot.riskState || { day, dayStartValue: equity, peakValue: equity, dailyHaltDay: null, killSwitchAt: null };
+  
+  if (state.day !== day) {
+    state.day = day;
+    state.dayStartValue = equity;
+  }
+  if (equity > state.peakValue) {
+    state.peakValue = equity;
+  }
+  
+  bot.riskState = state;
+  return state;
+}
+
+/**
+ * Loss since the start of the UTC day, as a percent of that day's starting equity
+ */
+function getDailyLossPct(state, equity) {
+  return state.dayStartValue > 0 ? Math.max(0, (state.dayStartValue - equity) / state.dayStartValue * 100) : 0;
+}
+
+/**
+ * Drawdown from peak equity, as a percent of the peak
+ */
+function getDrawdownPct(state, equity) {
+  return state.peakValue > 0 ? Math.max(0, (state.peakValue - equity) / state.peakValue * 100) : 0;
+}
+
+/**
+ * Pearson correlation of two price series' returns (null without enough overlap)
+ */
+function correlateReturns(pricesA, pricesB) {
+  const length = Math.min(pricesA.length, pricesB.length);
+  const returns = (prices) => {
+    const aligned = prices.slice(-length);
+    return aligned.slice(1).map((price, i) => (price - aligned[i]) / aligned[i]);
+  };
+  const a = returns(pricesA);
+  const b = returns(pricesB);
+  if (a.length < MIN_CORRELATION_SAMPLES) {
+    return null;
+  }
+  
+  const meanA = a.reduce((sum, v) => sum + v, 0) / a.length;
+  const meanB = b.reduce((sum, v) => sum + v, 0) / b.length;
+  let covariance = 0;
+  let varianceA = 0;
+  let varianceB = 0;
+  for (let i = 0; i < a.length; i++) {
+    covariance += (a[i] - meanA) * (b[i] - meanB);
+    varianceA += (a[i] - meanA) ** 2;
+    varianceB += (b[i] - meanB) ** 2;
+  }
+  
+  return varianceA > 0 && varianceB > 0 ? covariance / Math.sqrt(varianceA * varianceB) : null;
+}
+
+/**
+ * Correlation lookup for one evaluation, reading candle history once per symbol
+ * @param {Function} loadPrices - async symbol => closing prices, oldest first (the latest candles by default)
+ * @returns {Function} async (symbolA, symbolB) => correlation, or null if unknown
+ */
+function createCorrelationLookup(loadPrices = symbol => getPriceSeries(symbol, DEFAULT_INTERVAL, DEFAULT_LOOKBACK)) {
+  const series = new Map();
+  const loadSeries = (symbol) => {
+    if (!series.has(symbol)) {
+      series.set(symbol, Promise.resolve().then(() => loadPrices(symbol)).catch(() => null));
+    }
+    return series.get(symbol);
+  };
+  
+  return async (symbolA, symbolB) => {
+    if (symbolA === symbolB) {
+      return 1;
+    }
+    const [pricesA, pricesB] = await Promise.all([loadSeries(symbolA), loadSeries(symbolB)]);
+    return pricesA && pricesB ? correlateReturns(pricesA, pricesB) : null;
+  };
+}
+
+/**
+ * Apply the risk limits to a bot's validated decisions, in order, so each
+ * approved decision counts against the ones after it
+ * @param {Object} bot - Bot state (portfolio and riskState)
+ * @param {Array<{decision, adjustedLeverage}>} validatedDecisions - From validateDecisions
+ * @param {Object} options
+ * @param {Object} options.limits - From resolveRiskLimits
+ * @param {number} options.correlationThreshold - Correlation at which symbols count as correlated
+ * @param {Function} options.getCorrelation - async (symbolA, symbolB) => correlation or null
+ * @returns {Promise<{approved: Array, rejections: Array<{decision, rule, message, limit, value}>}>}
+ */
+async function evaluateDecisions(bot, validatedDecisions, { limits, correlationThreshold = DEFAULT_CORRELATION_THRESHOLD, getCorrelation = createCorrelationLookup() }) {
+  const equity = bot.portfolio?.totalValue ?? 0;
+  const state = bot.riskState || updateRiskState(bot);
+  const positions = (bot.portfolio?.positions || []).map(p => ({ id: p.id, symbol: p.symbol, type: p.type, size: p.size, leverage: p.leverage }));
+  const approved = [];
+  const rejections = [];
+  
+  const dailyLossPct = getDailyLossPct(state, equity);
+  const drawdownPct = getDrawdownPct(state, equity);
+  const notional = p => p.size * p.leverage;
+  
+  for (const validated of validatedDecisions) {
+    const { decision, adjustedLeverage } = validated;
+    
+    // Partial closes still count in full against later decisions
+    if (decision.action === 'CLOSE') {
+      const index = positions.findIndex(p => p.id === decision.closePositionId);
+      const isPartial = decision.closePercent ? decision.closePercent < 100 : Boolean(decision.closeQuantity);
+      if (index !== -1 && !isPartial) {
+        positions.splice(index, 1);
+      }
+      approved.push(validated);
+      continue;
+    }
+    
+    const isAdd = decision.action === 'ADD';
+    if (!(decision.action === 'LONG' || decision.action === 'SHORT' || isAdd) || !decision.size || !decision.symbol) {
+      approved.push(validated);
+      continue;
+    }
+    
+    // An ADD grows its position (found by symbol if a real position's ID has changed)
+    const scaled = isAdd
+      ? positions.find(p => p.id === decision.positionId) || positions.find(p => p.symbol === decision.symbol)
+      : null;
+    if (isAdd && !scaled) {
+      approved.push(validated);
+      continue;
+    }
+    const candidate = { symbol: decision.symbol, type: isAdd ? scaled.type : decision.action, size: decision.size, leverage: adjustedLeverage };
+    const reject = (rule, message, limit, value) => rejections.push({ decision, rule, message, limit, value });
+    
+    if (limits.maxDrawdownPct && (state.killSwitchAt || drawdownPct >= limits.maxDrawdownPct)) {
+      reject('max_drawdown', `Drawdown ${drawdownPct.toFixed(1)}% from peak equity has reached the ${limits.maxDrawdownPct}% kill-switch`, limits.maxDrawdownPct, drawdownPct);
+      continue;
+    }
+    
+    // Once hit, the daily limit holds for the rest of the day even if equity recovers
+    if (limits.dailyLossLimitPct && (state.dailyHaltDay === state.day || dailyLossPct >= limits.dailyLossLimitPct)) {
+      reject('daily_loss_limit', `Daily loss limit of ${limits.dailyLossLimitPct}% reached (down ${dailyLossPct.toFixed(1)}% today) - no new positions until 00:00 UTC`, limits.dailyLossLimitPct, dailyLossPct);
+      continue;
+    }
+    
+    if (equity <= 0) {
+      reject('no_equity', 'Bot has no equity to trade against', null, equity);
+      continue;
+    }
+    
+    if (limits.maxPositions && !isAdd && positions.length + 1 > limits.maxPositions) {
+      reject('max_positions', `Would hold ${positions.length + 1} positions, over the limit of ${limits.maxPositions}`, limits.maxPositions, positions.length + 1);
+      continue;
+    }
+    
+    if (limits.maxSymbolMarginPct) {
+      const symbolMargin = positions.filter(p => p.symbol === candidate.symbol).reduce((sum, p) => sum + p.size, 0) + candidate.size;
+      const symbolMarginPct = symbolMargin / equity * 100;
+      if (symbolMarginPct > limits.maxSymbolMarginPct) {
+        reject('max_symbol_margin', `${candidate.symbol} margin would be ${symbolMarginPct.toFixed(1)}% of equity, over the limit of ${limits.maxSymbolMarginPct}%`, limits.maxSymbolMarginPct, symbolMarginPct);
+        continue;
+      }
+    }
+    
+    if (limits.maxExposureMultiple) {
+      const exposure = (positions.reduce((sum, p) => sum + notional(p), 0) + notional(candidate)) / equity;
+      if (exposure > limits.maxExposureMultiple) {
+        reject('max_exposure', `Total exposure would be ${exposure.toFixed(2)}x equity, over the limit of ${limits.maxExposureMultiple}x`, limits.maxExposureMultiple, exposure);
+        continue;
+      }
+    }
+    
+    if (limits.maxCorrelatedExposureMultiple) {
+      // Same-direction positions in correlated symbols and opposite-direction positions in
+      // inversely correlated ones add to the risk; symbols without history count as correlated
+      let correlatedNotional = notional(candidate);
+      for (const position of positions) {
+        const correlation = await getCorrelation(candidate.symbol, position.symbol);
+        const sameDirection = position.type === candidate.type;
+        const isCorrelated = correlation === null
+          ? sameDirection
+          : (sameDirection ? correlation >= correlationThreshold : correlation <= -correlationThreshold);
+        if (isCorrelated) {
+          correlatedNotional += notional(position);
+        }
+      }
+      
+      const correlatedExposure = correlatedNotional / equity;
+      if (correlatedExposure > limits.maxCorrelatedExposureMultiple) {
+        reject('max_correlated_exposure', `Correlated ${candidate.type} exposure would be ${correlatedExposure.toFixed(2)}x equity, over the limit of ${limits.maxCorrelatedExposureMultiple}x`, limits.maxCorrelatedExposureMultiple, correlatedExposure);
+        continue;
+      }
+    }
+    
+    if (isAdd) {
+      scaled.size += candidate.size;
+    } else {
+      positions.push(candidate);
+    }
+    approved.push(validated);
+  }
+  
+  return { approved, rejections };
+}
+
+module.exports = {
+  RISK_LIMITS,
+  DEFAULT_CORRELATION_THRESHOLD,
+  parseRiskLimits,
+  resolveRiskLimits,
+  getUtcDay,
+  updateRiskState,
+  getDailyLossPct,
+  getDrawdownPct,
+  correlateReturns,
+  createCorrelationLookup,
+  evaluateDecisions
+};
@@ -6,9 +6,21 @@
  * Provides safe computational tools for bot analysis
  */
 
+const candleService = require('./candleService');
+const { parseExpression, evaluateExpression } = require('./expressionEvaluator');
+
 const MAX_EXPRESSION_LENGTH = 500;
 const MAX_SIMULATION_EQUATIONS = 10;
-const EQUATION_TIMEOUT_MS = 2000;
+const MAX_EQUATION_STEPS = 10000;
+
+// Per-session limits (one session = one bot's decision cycle)
+const DEFAULT_MAX_TOOL_CALLS = parseInt(process.env.SANDBOX_MAX_TOOL_CALLS || '20');
+const DEFAULT_MAX_CPU_MS = parseInt(process.env.SANDBOX_MAX_CPU_MS || '5000');
+
+// Tools that compute over the candle store's price series
+const PRICE_SERIES_TOOLS = new Set([
+  'rsi', 'macd', 'bollinger', 'ema', 'sma', 'volatility', 'trend', 'support_resistance'
+]);
 
 /**
  * Mathematical Sandbox Class
@@ -86,8 +98,9 @@ class MathematicalSandbox {
 
   /**
    * Calculate annualized volatility from price series
+   * @param {number} periodsPerYear - Candles per year for the series' interval (365 for daily)
    */
-  calculateVolatility(prices, period) {
+  calculateVolatility(prices, period, periodsPerYear = 365) {
     if (!Array.isArray(prices) || prices.length < period) {
       throw new Error('Insufficient data for volatility calculation');
     }
@@ -100,8 +113,8 @@ class MathematicalSandbox {
     const recentReturns = returns.slice(-period);
     const stats = this.calculateStatistics(recentReturns);
     
-    // Annualized volatility (assuming 365 periods per year)
-    return stats.stdDev * Math.sqrt(365);
+    // Annualized volatility
+    return stats.stdDev * Math.sqrt(periodsPerYear);
   }
 
   // ========================================================================
@@ -476,7 +489,7 @@ class MathematicalSandbox {
   
   /**
    * Evaluates a custom mathematical equation with provided variables
-   * Uses a safe expression parser with whitelisted operations
+   * Parsed and walked by the expression evaluator - never executed as code
    */
   evaluateCustomEquation(expression, variables) {
     if (typeof expression !== 'string' || expression.length === 0) {
@@ -487,43 +500,14 @@ class MathematicalSandbox {
       throw new Error(`Expression exceeds maximum length of ${MAX_EXPRESSION_LENGTH} characters`);
     }
     
-    // Parse and validate expression
-    const sanitizedExpression = this.sanitizeExpression(expression);
-    
-    // Build safe evaluation context
-    const context = {
-      ...variables,
-      // Allowed mathematical functions
-      sqrt: Math.sqrt,
-      pow: Math.pow,
-      exp: Math.exp,
-      log: Math.log,
-      log10: Math.log10,
-      abs: Math.abs,
-      sin: Math.sin,
-      cos: Math.cos,
-      tan: Math.tan,
-      asin: Math.asin,
-      acos: Math.acos,
-      atan: Math.atan,
-      min: Math.min,
-      max: Math.max,
-      floor: Math.floor,
-      ceil: Math.ceil,
-      round: Math.round,
-      PI: Math.PI,
-      E: Math.E
-    };
-    
     try {
-      // Evaluate using safe expression parser
-      const result = this.safeEvaluate(sanitizedExpression, context);
+      const { value } = evaluateExpression(expression, variables || {}, { maxSteps: MAX_EQUATION_STEPS });
       
-      if (typeof result !== 'number' || !isFinite(result)) {
+      if (typeof value !== 'number' || !isFinite(value)) {
         throw new Error('Equation result is not a valid finite number');
       }
       
-      return result;
+      return value;
     } catch (error) {
       throw new Error(`Failed to evaluate equation: ${error.message}`);
     }
@@ -557,7 +541,7 @@ class MathematicalSandbox {
       }
       // Test that expression is parseable
       try {
-        this.sanitizeExpression(eq.expression);
+        parseExpression(eq.expression);
       } catch (error) {
         throw new Error(`Invalid equation "${eq.name}": ${error.message}`);
       }
@@ -606,10 +590,15 @@ class MathematicalSandbox {
       
       // Execute equations in order
       for (const equation of simulation.equations) {
-        const result = this.evaluateCustomEquation(equation.expression, {
-          ...variableValues,
-          ...outputs // Allow equations to reference previous results
-        });
+        let result;
+        try {
+          result = this.evaluateCustomEquation(equation.expression, {
+            ...variableValues,
+            ...outputs // Allow equations to reference previous results
+          });
+        } catch (error) {
+          throw new Error(`Equation "${equation.name}": ${error.message}`);
+        }
         outputs[equation.name] = result;
         variableValues[equation.name] = result; // Make available to subsequent equations
       }
@@ -675,65 +664,6 @@ class MathematicalSandbox {
     
     throw new Error(`Unknown variable source: ${source}`);
   }
-  
-  /**
-   * Sanitizes mathematical expression to prevent code injection
-   */
-  sanitizeExpression(expression) {
-    // Remove any potential dangerous characters/patterns
-    const dangerous = ['eval', 'function', 'Function', 'constructor', '__proto__', 'prototype', 'import', 'require', 'process', 'global', 'this'];
-    const lowerExpr = expression.toLowerCase();
-    
-    for (const word of dangerous) {
-      if (lowerExpr.includes(word.toLowerCase())) {
-        throw new Error(`Forbidden keyword in expression: ${word}`);
-      }
-    }
-    
-    // Only allow mathematical operators, numbers, variables, parentheses, and whitespace
-    const allowedPattern = /^[a-zA-Z0-9_\s+\-*/()[\].,^<>=!&|]+$/;
-    if (!allowedPattern.test(expression)) {
-      throw new Error('Expression contains invalid characters');
-    }
-    
-    return expression.trim();
-  }
-  
-  /**
-   * Safely evaluates a mathematical expression
-   * Uses Function constructor with limited scope (safer than eval)
-   */
-  safeEvaluate(expression, context) {
-    // Replace ^ with Math.pow for exponentiation
-    let processedExpr = expression.replace(/(\w+|\d+(?:\.\d+)?)\s*\^\s*(\w+|\d+(?:\.\d+)?)/g, 
-      (_, base, exp) => `pow(${base}, ${exp})`
-    );
-    
-    // Build variable declarations
-    const varDeclarations = Object.keys(context)
-      .map(key => `const ${key} = context.${key};`)
-      .join('\n');
-    
-    const code = `
-      ${varDeclarations}
-      return (${processedExpr});
-    `;
-    
-    try {
-      const func = new Function('context', code);
-      const startTime = Date.now();
-      const result = func(context);
-      const executionTime = Date.now() - startTime;
-      
-      if (executionTime > EQUATION_TIMEOUT_MS) {
-        throw new Error('Equation execution timeout');
-      }
-      
-      return result;
-    } catch (error) {
-      throw new Error(`Expression evaluation error: ${error.message}`);
-    }
-  }
 }
 
 // ========================================================================
@@ -741,248 +671,568 @@ class MathematicalSandbox {
 // ========================================================================
 
 /**
- * Generate mock price history for testing
- * In production, this would fetch real historical data
+ * Load real closing prices for a symbol from the candle store
+ * The symbol must be one of the bot's markets; the live ticker price closes the latest candle
  */
-function generateMockPriceHistory(marketData, symbol, periods = 100) {
-  const market = marketData.find(m => m.symbol === symbol);
+async function loadPriceSeries(marketData, parameters) {
+  const market = marketData.find(m => m.symbol === parameters.symbol);
   if (!market) {
-    throw new Error(`Symbol ${symbol} not found`);
-  }
-  
-  const currentPrice = market.price;
-  const change24h = market.price24hChange / 100;
-  
-  // Generate price points with realistic random walk
-  const prices = [];
-  let price = currentPrice / (1 + change24h); // Start from 24h ago
-  
-  for (let i = 0; i < periods; i++) {
-    prices.push(price);
-    // Random walk with drift toward current price
-    const drift = (currentPrice - price) / (periods - i) * 0.5;
-    const randomChange = (Math.random() - 0.5) * price * 0.02; // 2% random variation
-    price = price + drift + randomChange;
+    throw new Error(`Symbol ${parameters.symbol} not found`);
   }
   
-  prices[prices.length - 1] = currentPrice; // Ensure current price is accurate
+  const { interval, lookback } = candleService.normalizeParams(parameters.interval, parameters.lookback);
+  const prices = await candleService.getPriceSeries(market.symbol, interval, lookback, market.price);
   
-  return prices;
+  return { prices, interval, lookback: prices.length };
 }
 
-// Global sandbox instance to persist simulations across tool calls within a decision cycle
-let globalSandbox = null;
+// ========================================================================
+// TOOL CATALOGUE
+// ========================================================================
 
-/**
- * Reset global sandbox (called at start of each decision cycle)
- */
-function resetSandbox(marketData) {
-  globalSandbox = new MathematicalSandbox(marketData);
-  return globalSandbox;
-}
+const CELESTIAL_BODIES = ['Sun', 'Moon', 'Mercury', 'Venus', 'Mars', 'Jupiter', 'Saturn', 'Uranus', 'Neptune', 'Pluto'];
 
 /**
- * Tool execution wrapper with error handling
+ * JSON-schema definitions of every sandbox tool, for providers with native tool calling
+ * Free-form objects (no `properties`) are maps of variable name to number.
+ * @param {Array<string>} symbols - Symbols the bot may analyze (used as an enum)
  */
-async function executeSandboxTool(toolName, parameters, marketData) {
-  // Use global sandbox if available, otherwise create new one
-  const sandbox = globalSandbox || new MathematicalSandbox(marketData);
-  if (!globalSandbox) {
-    globalSandbox = sandbox;
-  }
+function getSandboxToolDefinitions(symbols = []) {
+  const symbol = symbols.length > 0
+    ? { type: 'string', enum: symbols, description: 'Trading symbol' }
+    : { type: 'string', description: 'Trading symbol, e.g. BTCUSDT' };
+  const interval = {
+    type: 'string',
+    enum: Object.keys(candleService.INTERVAL_MS),
+    description: `Candle interval (default ${candleService.DEFAULT_INTERVAL})`
+  };
+  const lookback = {
+    type: 'integer',
+    description: `Number of candles to load (default ${candleService.DEFAULT_LOOKBACK}, max ${candleService.MAX_LOOKBACK})`
+  };
+  const numbers = description => ({ type: 'array', items: { type: 'number' }, description });
+  const number = description => ({ type: 'number', description });
+  const integer = description => ({ type: 'integer', description });
+  const date = { type: 'string', description: 'ISO date (default now)' };
+  const seriesTool = (name, description, extra = {}, required = []) => ({
+    name,
+    description,
+    parameters: {
+      type: 'object',
+      properties: { symbol, ...extra, interval, lookback },
+      required: ['symbol', ...required]
+    }
+  });
   
-  try {
-    switch (toolName) {
-      // Statistical functions
-      case 'statistics':
-        return sandbox.calculateStatistics(parameters.data);
-      
-      case 'correlation':
-        return sandbox.calculateCorrelation(parameters.series1, parameters.series2);
-      
-      // Technical indicators
-      case 'rsi': {
-        const prices = generateMockPriceHistory(marketData, parameters.symbol);
-        const rsi = sandbox.calculateRSI(prices, parameters.period || 14);
-        return { value: rsi, symbol: parameters.symbol, period: parameters.period || 14 };
+  return [
+    {
+      name: 'statistics',
+      description: 'Mean, median, standard deviation, variance, min and max of a dataset',
+      parameters: { type: 'object', properties: { data: numbers('Values to summarize') }, required: ['data'] }
+    },
+    {
+      name: 'correlation',
+      description: 'Pearson correlation between two equal-length series',
+      parameters: {
+        type: 'object',
+        properties: { series1: numbers('First series'), series2: numbers('Second series') },
+        required: ['series1', 'series2']
       }
-      
-      case 'macd': {
-        const prices = generateMockPriceHistory(marketData, parameters.symbol);
-        const macd = sandbox.calculateMACD(prices);
-        return { ...macd, symbol: parameters.symbol };
+    },
+    seriesTool('rsi', 'Relative Strength Index from real candle closes', { period: integer('RSI period (default 14)') }),
+    seriesTool('macd', 'MACD line, signal and histogram from real candle closes'),
+    seriesTool('bollinger', 'Bollinger Bands from real candle closes', {
+      period: integer('Band period (default 20)'),
+      stdDev: number('Standard deviation multiplier (default 2)')
+    }),
+    seriesTool('ema', 'Exponential moving average (latest value and last 10)', { period: integer('EMA period') }, ['period']),
+    seriesTool('sma', 'Simple moving average (latest value and last 10)', { period: integer('SMA period') }, ['period']),
+    seriesTool('volatility', 'Annualized volatility of log returns', { period: integer('Number of returns to use') }, ['period']),
+    seriesTool('trend', 'Linear-regression trend direction, strength and R-squared', { period: integer('Candles to fit (default 20)') }),
+    seriesTool('support_resistance', 'Clustered support and resistance levels from local extrema'),
+    {
+      name: 'kelly',
+      description: 'Half-Kelly position fraction (capped at 0.4)',
+      parameters: {
+        type: 'object',
+        properties: {
+          winRate: number('Win probability between 0 and 1'),
+          avgWin: number('Average win (positive)'),
+          avgLoss: number('Average loss (positive)')
+        },
+        required: ['winRate', 'avgWin', 'avgLoss']
       }
-      
-      case 'bollinger': {
-        const prices = generateMockPriceHistory(marketData, parameters.symbol);
-        const bands = sandbox.calculateBollingerBands(
-          prices,
-          parameters.period || 20,
-          parameters.stdDev || 2
-        );
-        return { ...bands, symbol: parameters.symbol };
+    },
+    {
+      name: 'position_size',
+      description: 'Position size from balance, risk percent and stop distance (capped at 40% of balance)',
+      parameters: {
+        type: 'object',
+        properties: {
+          balance: number('Account balance in USD'),
+          riskPercent: number('Percent of balance to risk'),
+          stopDistance: number('Stop distance in percent')
+        },
+        required: ['balance', 'riskPercent', 'stopDistance']
       }
-      
-      case 'ema': {
-        const prices = generateMockPriceHistory(marketData, parameters.symbol);
-        const ema = sandbox.calculateEMA(prices, parameters.period);
-        return { 
-          value: ema[ema.length - 1],
-          values: ema.slice(-10),
-          symbol: parameters.symbol,
-          period: parameters.period
-        };
-      }
-      
-      case 'sma': {
-        const prices = generateMockPriceHistory(marketData, parameters.symbol);
-        const sma = sandbox.calculateSMA(prices, parameters.period);
-        return {
-          value: sma[sma.length - 1],
-          values: sma.slice(-10),
-          symbol: parameters.symbol,
-          period: parameters.period
-        };
+    },
+    {
+      name: 'risk_reward',
+      description: 'Reward-to-risk ratio for an entry, stop and target',
+      parameters: {
+        type: 'object',
+        properties: { entry: number('Entry price'), stop: number('Stop price'), target: number('Target price') },
+        required: ['entry', 'stop', 'target']
       }
-      
-      case 'volatility': {
-        const prices = generateMockPriceHistory(marketData, parameters.symbol);
-        const vol = sandbox.calculateVolatility(prices, parameters.period);
-        return { value: vol, symbol: parameters.symbol, period: parameters.period };
+    },
+    {
+      name: 'price_change',
+      description: '24h absolute and percent price change',
+      parameters: { type: 'object', properties: { symbol }, required: ['symbol'] }
+    },
+    {
+      name: 'current_price',
+      description: 'Current market price',
+      parameters: { type: 'object', properties: { symbol }, required: ['symbol'] }
+    },
+    {
+      name: 'custom_equation',
+      description: 'Evaluate a math expression: + - * / ^, comparisons, && ||, sqrt/log/log10/exp/abs/sin/cos/tan/floor/ceil/round/pow/min/max/sum/mean/len, arrays with p[-1] indexing',
+      parameters: {
+        type: 'object',
+        properties: {
+          expression: { type: 'string', description: 'Expression to evaluate, e.g. (rsi - 50) / 10' },
+          variables: { type: 'object', description: 'Variable name to number (or array of numbers)' }
+        },
+        required: ['expression']
       }
-      
-      // Pattern recognition
-      case 'trend': {
-        const prices = generateMockPriceHistory(marketData, parameters.symbol);
-        const trend = sandbox.detectTrend(prices, parameters.period || 20);
-        return { ...trend, symbol: parameters.symbol };
+    },
+    {
+      name: 'define_simulation',
+      description: 'Define a multi-equation model; equations run in order and can reference earlier results',
+      parameters: {
+        type: 'object',
+        properties: {
+          name: { type: 'string', description: 'Model name' },
+          description: { type: 'string', description: 'What the model estimates' },
+          equations: {
+            type: 'array',
+            description: `Up to ${MAX_SIMULATION_EQUATIONS} named expressions`,
+            items: {
+              type: 'object',
+              properties: {
+                name: { type: 'string' },
+                expression: { type: 'string' },
+                description: { type: 'string' }
+              },
+              required: ['name', 'expression']
+            }
+          },
+          variables: {
+            type: 'array',
+            description: 'Inputs: a market data source (e.g. BTCUSDT_price, avg_change, volatility) or a default value',
+            items: {
+              type: 'object',
+              properties: {
+                name: { type: 'string' },
+                source: { type: 'string' },
+                defaultValue: { type: 'number' }
+              },
+              required: ['name']
+            }
+          },
+          outputMetrics: { type: 'array', items: { type: 'string' }, description: 'Equation names to highlight' }
+        },
+        required: ['name', 'equations']
       }
-      
-      case 'support_resistance': {
-        const prices = generateMockPriceHistory(marketData, parameters.symbol);
-        const levels = sandbox.findSupportResistance(prices);
-        return { ...levels, symbol: parameters.symbol };
+    },
+    {
+      name: 'run_simulation',
+      description: 'Run a model created with define_simulation',
+      parameters: {
+        type: 'object',
+        properties: {
+          simulationId: { type: 'string', description: 'ID returned by define_simulation' },
+          parameters: { type: 'object', description: 'Variable overrides: name to number' }
+        },
+        required: ['simulationId']
       }
-      
-      // Risk management
-      case 'kelly':
-        return {
-          fraction: sandbox.calculateKellyCriterion(
-            parameters.winRate,
-            parameters.avgWin,
-            parameters.avgLoss
-          ),
-          winRate: parameters.winRate,
-          avgWin: parameters.avgWin,
-          avgLoss: parameters.avgLoss
-        };
-      
-      case 'position_size':
-        return {
-          size: sandbox.calculatePositionSize(
-            parameters.balance,
-            parameters.riskPercent,
-            parameters.stopDistance
-          ),
-          balance: parameters.balance,
-          riskPercent: parameters.riskPercent
-        };
-      
-      case 'risk_reward':
-        return {
-          ratio: sandbox.calculateRiskReward(
-            parameters.entry,
-            parameters.stop,
-            parameters.target
-          ),
-          entry: parameters.entry,
-          stop: parameters.stop,
-          target: parameters.target
-        };
-      
-      // Market data access
-      case 'price_change':
-        return sandbox.getPriceChange(parameters.symbol);
-      
-      case 'current_price':
-        return {
-          price: sandbox.getCurrentPrice(parameters.symbol),
-          symbol: parameters.symbol
-        };
-      
-      // Advanced simulation tools
-      case 'custom_equation':
-        return {
-          result: sandbox.evaluateCustomEquation(parameters.expression, parameters.variables),
-          expression: parameters.expression,
-          variables: parameters.variables
-        };
-      
-      case 'define_simulation':
-        return {
-          simulationId: sandbox.defineSimulation({
-            name: parameters.name,
-            description: parameters.description || '',
-            equations: parameters.equations,
-            variables: parameters.variables,
-            outputMetrics: parameters.outputMetrics || []
-          }),
-          name: parameters.name,
-          status: 'defined'
-        };
-      
-      case 'run_simulation':
-        return sandbox.runSimulation(parameters.simulationId, parameters.parameters || {});
-      
-      // Celestial/Astrological tools
-      case 'moon_phase': {
-        const celestialData = require('./celestialData');
-        const date = parameters.date ? new Date(parameters.date) : new Date();
-        return celestialData.getMoonPhase(date);
-      }
-      
-      case 'planetary_positions': {
-        const celestialData = require('./celestialData');
-        const date = parameters.date ? new Date(parameters.date) : new Date();
-        return celestialData.getPlanetaryPositions(date);
-      }
-      
-      case 'mercury_retrograde': {
-        const celestialData = require('./celestialData');
-        const date = parameters.date ? new Date(parameters.date) : new Date();
-        return celestialData.isMercuryRetrograde(date);
-      }
-      
-      case 'cosmic_aspect': {
-        const celestialData = require('./celestialData');
-        if (!parameters.planet1 || !parameters.planet2) {
-          throw new Error('cosmic_aspect requires planet1 and planet2 parameters');
-        }
-        const date = parameters.date ? new Date(parameters.date) : new Date();
-        return celestialData.calculateAspect(parameters.planet1, parameters.planet2, date);
+    },
+    {
+      name: 'moon_phase',
+      description: 'Moon phase and illumination',
+      parameters: { type: 'object', properties: { date } }
+    },
+    {
+      name: 'planetary_positions',
+      description: 'Geocentric positions of the planets',
+      parameters: { type: 'object', properties: { date } }
+    },
+    {
+      name: 'mercury_retrograde',
+      description: 'Whether Mercury is retrograde',
+      parameters: { type: 'object', properties: { date } }
+    },
+    {
+      name: 'cosmic_aspect',
+      description: 'Angular aspect between two celestial bodies',
+      parameters: {
+        type: 'object',
+        properties: {
+          planet1: { type: 'string', enum: CELESTIAL_BODIES },
+          planet2: { type: 'string', enum: CELESTIAL_BODIES },
+          date
+        },
+        required: ['planet1', 'planet2']
       }
-      
-      case 'zodiac_sign': {
-        const celestialData = require('./celestialData');
-        if (!parameters.symbol) {
-          throw new Error('zodiac_sign requires symbol parameter');
-        }
-        return celestialData.getZodiacSign(parameters.symbol);
-      }
-      
-      default:
-        throw new Error(`Unknown tool: ${toolName}`);
+    },
+    {
+      name: 'zodiac_sign',
+      description: 'Zodiac sign assigned to a symbol',
+      parameters: { type: 'object', properties: { symbol }, required: ['symbol'] }
+    }
+  ];
+}
+
+/**
+ * Sandbox session scoped to one bot's decision cycle
+ * Owns its own MathematicalSandbox (so simulations never leak between bots),
+ * enforces per-session limits and records every tool invocation
+ */
+class SandboxSession {
+  /**
+   * @param {Object} options
+   * @param {string} options.botId - Bot that owns this session
+   * @param {string} options.cycleId - Decision cycle identifier
+   * @param {Array} options.marketData - Markets the bot may analyze
+   * @param {number} options.maxToolCalls - Tool calls allowed in this session
+   * @param {number} options.maxCpuMs - CPU time (ms) the session's tools may consume
+   */
+  constructor({ botId, cycleId, marketData, maxToolCalls, maxCpuMs } = {}) {
+    this.botId = botId || null;
+    this.cycleId = cycleId || `${botId || 'anonymous'}_${Date.now()}`;
+    this.marketData = marketData || [];
+    this.sandbox = new MathematicalSandbox(this.marketData);
+    this.limits = {
+      maxToolCalls: maxToolCalls || DEFAULT_MAX_TOOL_CALLS,
+      maxCpuMs: maxCpuMs || DEFAULT_MAX_CPU_MS
+    };
+    this.toolCalls = 0;
+    this.cpuTimeMs = 0;
+    this.invocations = [];
+  }
+
+  /**
+   * Throw if another tool call would exceed the session limits
+   */
+  checkLimits() {
+    if (this.toolCalls >= this.limits.maxToolCalls) {
+      throw new Error(`Sandbox tool call limit reached (${this.limits.maxToolCalls} per decision cycle)`);
+    }
+    if (this.cpuTimeMs >= this.limits.maxCpuMs) {
+      throw new Error(`Sandbox CPU budget exhausted (${this.cpuTimeMs.toFixed(1)}ms of ${this.limits.maxCpuMs}ms used)`);
+    }
+  }
+  
+  /**
+   * Append an invocation to the session record
+   */
+  record(toolName, parameters, outcome) {
+    const invocation = {
+      index: this.invocations.length + 1,
+      tool: toolName,
+      parameters,
+      timestamp: new Date().toISOString(),
+      ...outcome
+    };
+    this.invocations.push(invocation);
+    return invocation;
+  }
+  
+  /**
+   * Usage summary for logs and API responses
+   */
+  getUsage() {
+    return {
+      botId: this.botId,
+      cycleId: this.cycleId,
+      toolCalls: this.toolCalls,
+      cpuTimeMs: Number(this.cpuTimeMs.toFixed(3)),
+      limits: { ...this.limits }
+    };
+  }
+}
+
+/**
+ * Create a sandbox session for a bot's decision cycle
+ * Limits default to SANDBOX_MAX_TOOL_CALLS / SANDBOX_MAX_CPU_MS
+ */
+function createSandboxSession(botId, marketData, options = {}) {
+  return new SandboxSession({
+    botId,
+    marketData,
+    cycleId: options.cycleId,
+    maxToolCalls: options.maxToolCalls,
+    maxCpuMs: options.maxCpuMs
+  });
+}
+
+/**
+ * Execute a sandbox tool within a session
+ * Price series are fetched first so only the tool's own computation counts
+ * against the session's CPU budget
+ */
+async function executeSandboxTool(session, toolName, parameters = {}) {
+  if (!(session instanceof SandboxSession)) {
+    throw new Error('executeSandboxTool requires a SandboxSession');
+  }
+  
+  const startTime = Date.now();
+  
+  try {
+    session.checkLimits();
+  } catch (error) {
+    session.record(toolName, parameters, { status: 'rejected', error: error.message, durationMs: 0, cpuMs: 0 });
+    throw error;
+  }
+
+  session.toolCalls++;
+  let cpuMs = 0;
+
+  try {
+    const series = PRICE_SERIES_TOOLS.has(toolName)
+      ? await loadPriceSeries(session.marketData, parameters)
+      : null;
+
+    const cpuStart = process.cpuUsage();
+    let result;
+    try {
+      result = runTool(session.sandbox, toolName, parameters, series);
+    } finally {
+      const cpuUsed = process.cpuUsage(cpuStart);
+      cpuMs = (cpuUsed.user + cpuUsed.system) / 1000;
+      session.cpuTimeMs += cpuMs;
     }
+
+    session.record(toolName, parameters, {
+      status: 'ok',
+      result,
+      durationMs: Date.now() - startTime,
+      cpuMs: Number(cpuMs.toFixed(3))
+    });
+
+    return result;
   } catch (error) {
     console.error(`Sandbox tool error [${toolName}]:`, error);
+    session.record(toolName, parameters, {
+      status: 'error',
+      error: error.message,
+      durationMs: Date.now() - startTime,
+      cpuMs: Number(cpuMs.toFixed(3))
+    });
     throw error;
   }
 }
 
+/**
+ * Run a tool's computation against a session's sandbox
+ * @param {Object|null} series - Price series preloaded for PRICE_SERIES_TOOLS
+ */
+function runTool(sandbox, toolName, parameters, series) {
+  switch (toolName) {
+    // Statistical functions
+    case 'statistics':
+      return sandbox.calculateStatistics(parameters.data);
+    
+    case 'correlation':
+      return sandbox.calculateCorrelation(parameters.series1, parameters.series2);
+    
+    // Technical indicators
+    case 'rsi': {
+      const { prices, interval, lookback } = series;
+      const rsi = sandbox.calculateRSI(prices, parameters.period || 14);
+      return { value: rsi, symbol: parameters.symbol, period: parameters.period || 14, interval, lookback };
+    }
+    
+    case 'macd': {
+      const { prices, interval, lookback } = series;
+      const macd = sandbox.calculateMACD(prices);
+      return { ...macd, symbol: parameters.symbol, interval, lookback };
+    }
+    
+    case 'bollinger': {
+      const { prices, interval, lookback } = series;
+      const bands = sandbox.calculateBollingerBands(
+        prices,
+        parameters.period || 20,
+        parameters.stdDev || 2
+      );
+      return { ...bands, symbol: parameters.symbol, interval, lookback };
+    }
+    
+    case 'ema': {
+      const { prices, interval, lookback } = series;
+      const ema = sandbox.calculateEMA(prices, parameters.period);
+      return { 
+        value: ema[ema.length - 1],
+        values: ema.slice(-10),
+        symbol: parameters.symbol,
+        period: parameters.period,
+        interval,
+        lookback
+      };
+    }
+    
+    case 'sma': {
+      const { prices, interval, lookback } = series;
+      const sma = sandbox.calculateSMA(prices, parameters.period);
+      return {
+        value: sma[sma.length - 1],
+        values: sma.slice(-10),
+        symbol: parameters.symbol,
+        period: parameters.period,
+        interval,
+        lookback
+      };
+    }
+    
+    case 'volatility': {
+      const { prices, interval, lookback } = series;
+      const periodsPerYear = (365 * candleService.INTERVAL_MS['1d']) / candleService.INTERVAL_MS[interval];
+      const vol = sandbox.calculateVolatility(prices, parameters.period, periodsPerYear);
+      return { value: vol, symbol: parameters.symbol, period: parameters.period, interval, lookback };
+    }
+    
+    // Pattern recognition
+    case 'trend': {
+      const { prices, interval, lookback } = series;
+      const trend = sandbox.detectTrend(prices, parameters.period || 20);
+      return { ...trend, symbol: parameters.symbol, interval, lookback };
+    }
+    
+    case 'support_resistance': {
+      const { prices, interval, lookback } = series;
+      const levels = sandbox.findSupportResistance(prices);
+      return { ...levels, symbol: parameters.symbol, interval, lookback };
+    }
+    
+    // Risk management
+    case 'kelly':
+      return {
+        fraction: sandbox.calculateKellyCriterion(
+          parameters.winRate,
+          parameters.avgWin,
+          parameters.avgLoss
+        ),
+        winRate: parameters.winRate,
+        avgWin: parameters.avgWin,
+        avgLoss: parameters.avgLoss
+      };
+    
+    case 'position_size':
+      return {
+        size: sandbox.calculatePositionSize(
+          parameters.balance,
+          parameters.riskPercent,
+          parameters.stopDistance
+        ),
+        balance: parameters.balance,
+        riskPercent: parameters.riskPercent
+      };
+    
+    case 'risk_reward':
+      return {
+        ratio: sandbox.calculateRiskReward(
+          parameters.entry,
+          parameters.stop,
+          parameters.target
+        ),
+        entry: parameters.entry,
+        stop: parameters.stop,
+        target: parameters.target
+      };
+    
+    // Market data access
+    case 'price_change':
+      return sandbox.getPriceChange(parameters.symbol);
+    
+    case 'current_price':
+      return {
+        price: sandbox.getCurrentPrice(parameters.symbol),
+        symbol: parameters.symbol
+      };
+    
+    // Advanced simulation tools
+    case 'custom_equation':
+      return {
+        result: sandbox.evaluateCustomEquation(parameters.expression, parameters.variables),
+        expression: parameters.expression,
+        variables: parameters.variables
+      };
+    
+    case 'define_simulation':
+      return {
+        simulationId: sandbox.defineSimulation({
+          name: parameters.name,
+          description: parameters.description || '',
+          equations: parameters.equations,
+          variables: parameters.variables,
+          outputMetrics: parameters.outputMetrics || []
+        }),
+        name: parameters.name,
+        status: 'defined'
+      };
+    
+    case 'run_simulation':
+      return sandbox.runSimulation(parameters.simulationId, parameters.parameters || {});
+    
+    // Celestial/Astrological tools
+    case 'moon_phase': {
+      const celestialData = require('./celestialData');
+      const date = parameters.date ? new Date(parameters.date) : new Date();
+      return celestialData.getMoonPhase(date);
+    }
+    
+    case 'planetary_positions': {
+      const celestialData = require('./celestialData');
+      const date = parameters.date ? new Date(parameters.date) : new Date();
+      return celestialData.getPlanetaryPositions(date);
+    }
+    
+    case 'mercury_retrograde': {
+      const celestialData = require('./celestialData');
+      const date = parameters.date ? new Date(parameters.date) : new Date();
+      return celestialData.isMercuryRetrograde(date);
+    }
+    
+    case 'cosmic_aspect': {
+      const celestialData = require('./celestialData');
+      if (!parameters.planet1 || !parameters.planet2) {
+        throw new Error('cosmic_aspect requires planet1 and planet2 parameters');
+      }
+      const date = parameters.date ? new Date(parameters.date) : new Date();
+      return celestialData.calculateAspect(parameters.planet1, parameters.planet2, date);
+    }
+    
+    case 'zodiac_sign': {
+      const celestialData = require('./celestialData');
+      if (!parameters.symbol) {
+        throw new Error('zodiac_sign requires symbol parameter');
+      }
+      return celestialData.getZodiacSign(parameters.symbol);
+    }
+    
+    default:
+      throw new Error(`Unknown tool: ${toolName}`);
+  }
+}
+
 module.exports = {
   MathematicalSandbox,
+  SandboxSession,
+  createSandboxSession,
   executeSandboxTool,
-  resetSandbox,
-  generateMockPriceHistory
+  getSandboxToolDefinitions,
+  loadPriceSeries
 };
 
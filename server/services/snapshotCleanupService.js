@@ -10,16 +10,13 @@
  * - 90+ days: Delete all
  */
 
-const Database = require('better-sqlite3');
-const path = require('path');
-
-const DB_PATH = process.env.DATABASE_PATH || path.join(__dirname, '../../data/arena.db');
+const { getDb } = require('../database/connection');
 
 /**
  * Clean up old snapshots based on retention policy
  */
 function cleanupSnapshots() {
-  const db = new Database(DB_PATH);
+  const db = getDb();
   
   try {
     const now = Date.now();
@@ -118,8 +115,6 @@ function cleanupSnapshots() {
   } catch (error) {
     console.error('[Snapshot Cleanup] Error during cleanup:', error);
     throw error;
-  } finally {
-    db.close();
   }
 }
 
@@ -127,28 +122,24 @@ function cleanupSnapshots() {
  * Get snapshot statistics
  */
 function getStats() {
-  const db = new Database(DB_PATH);
+  const db = getDb();
   
-  try {
-    const stats = db.prepare(`
-      SELECT 
-        COUNT(*) as total_snapshots,
-        COUNT(DISTINCT bot_id) as total_bots,
-        MIN(timestamp) as oldest_snapshot,
-        MAX(timestamp) as newest_snapshot,
-        ROUND(AVG(cnt), 2) as avg_snapshots_per_bot
+  const stats = db.prepare(`
+    SELECT 
+      COUNT(*) as total_snapshots,
+      COUNT(DISTINCT bot_id) as total_bots,
+      MIN(timestamp) as oldest_snapshot,
+      MAX(timestamp) as newest_snapshot,
+      ROUND(AVG(cnt), 2) as avg_snapshots_per_bot
+    FROM bot_state_snapshots
+    LEFT JOIN (
+      SELECT bot_id, COUNT(*) as cnt
       FROM bot_state_snapshots
-      LEFT JOIN (
-        SELECT bot_id, COUNT(*) as cnt
-        FROM bot_state_snapshots
-        GROUP BY bot_id
-      ) counts ON bot_state_snapshots.bot_id = counts.bot_id
-    `).get();
-    
-    return stats;
-  } finally {
-    db.close();
-  }
+      GROUP BY bot_id
+    ) counts ON bot_state_snapshots.bot_id = counts.bot_id
+  `).get();
+  
+  return stats;
 }
 
 module.exports = {
@@ -0,0 +1,205 @@
+/**
+ * @license
+ * SPDX-License-Identifier: MIT
+ *
+ * State Reconciliation
+ * Every paper fill is written to the relational positions/trades tables as it
+ * happens, so they - not the periodically saved arena_state - are the record a
+ * paper bot's portfolio is rebuilt from at startup:
+ *   balance      = initial balance + sum of trade PnL - margin and funding
+ *                  held in open positions
+ *   realized PnL = sum of trade PnL (entry fees, and each close's net PnL
+ *                  including the funding paid on the closed share)
+ * Real bots' portfolios come from the exchange; their open positions rows are
+ * checked against the exchange's positions. Drift is reported, not repaired.
+ */
+
+const AMOUNT_TOLERANCE = 0.01; // USD differences below this are rounding
+const QUANTITY_TOLERANCE = 0.02; // Relative quantity difference allowed for real positions (exchange lot rounding)
+
+/**
+ * In-memory position from a positions row
+ */
+function toPosition(row) {
+  return {
+    id: row.id,
+    symbol: row.symbol,
+    type: row.position_type,
+    entryPrice: row.entry_price,
+    size: row.size,
+    leverage: row.leverage,
+    liquidationPrice: row.liquidation_price,
+    stopLoss: row.stop_loss,
+    takeProfit: row.take_profit,
+    pnl: row.unrealized_pnl || 0,
+    trailingStopPct: row.trailing_stop_pct || null,
+    trailingPeakPrice: row.trailing_peak_price || null,
+    fundingPaid: row.funding_paid || 0,
+    lastFundingAt: row.last_funding_at ? new Date(row.last_funding_at).getTime() : null
+  };
+}
+
+/**
+ * Rebuild a paper bot's portfolio from the relational tables
+ * @param {number} initialBalance - Balance the bot started (or was last reset) with
+ * @param {Array} positionRows - The bot's open positions rows
+ * @param {Object} tradeTotals - From relationalDb.getTradeTotals
+ * @returns {{portfolio: Object, realizedPnl: number, tradeCount: number, winRate: number}}
+ */
+function rebuildPaperPortfolio(initialBalance, positionRows, tradeTotals) {
+  const positions = positionRows.map(toPosition);
+  const margin = positions.reduce((sum, p) => sum + p.size, 0);
+  const fundingPaid = positions.reduce((sum, p) => sum + p.fundingPaid, 0);
+  const unrealizedPnl = positions.reduce((sum, p) => sum + p.pnl, 0);
+  const balance = initialBalance + tradeTotals.pnl - margin - fundingPaid;
+  
+  return {
+    portfolio: {
+      balance,
+      pnl: unrealizedPnl,
+      totalValue: balance + margin + unrealizedPnl,
+      positions
+    },
+    realizedPnl: tradeTotals.pnl,
+    tradeCount: tradeTotals.close_count,
+    winRate: tradeTotals.close_count > 0 ? tradeTotals.win_count / tradeTotals.close_count : 0
+  };
+}
+
+/**
+ * Whether two amounts differ by more than rounding
+ */
+function differs(a, b) {
+  return Math.abs((a || 0) - (b || 0)) > Math.max(AMOUNT_TOLERANCE, Math.abs(b || 0) * 1e-6);
+}
+
+/**
+ * Quantity without floating point noise
+ */
+function formatQuantity(quantity) {
+  return parseFloat(quantity.toPrecision(6));
+}
+
+/**
+ * Drift between a bot's in-memory (or saved) state and its portfolio rebuilt from the database
+ * @param {Object} state - { portfolio, realizedPnl }
+ * @param {Object} rebuilt - From rebuildPaperPortfolio
+ * @returns {Array<{type, message, symbol?, positionId?, values?}>}
+ */
+function comparePaperState(state, rebuilt) {
+  const drift = [];
+  const statePositions = state.portfolio?.positions || [];
+  const dbPositions = rebuilt.portfolio.positions;
+  
+  for (const pos of statePositions) {
+    const row = dbPositions.find(p => p.id === pos.id);
+    if (!row) {
+      drift.push({
+        type: 'position_missing_in_db',
+        symbol: pos.symbol,
+        positionId: pos.id,
+        message: `${pos.type} ${pos.symbol} position ${pos.id} is in memory but not open in the database`
+      });
+    } else if (differs(pos.size, row.size) || differs(pos.entryPrice, row.entryPrice)) {
+      drift.push({
+        type: 'position_mismatch',
+        symbol: pos.symbol,
+        positionId: pos.id,
+        values: { memory: { size: pos.size, entryPrice: pos.entryPrice }, database: { size: row.size, entryPrice: row.entryPrice } },
+        message: `${pos.symbol} position ${pos.id} has $${pos.size.toFixed(2)} margin at $${pos.entryPrice} in memory but $${row.size.toFixed(2)} at $${row.entryPrice} in the database`
+      });
+    }
+  }
+  
+  for (const row of dbPositions) {
+    if (!statePositions.some(p => p.id === row.id)) {
+      drift.push({
+        type: 'position_missing_in_memory',
+        symbol: row.symbol,
+        positionId: row.id,
+        message: `${row.type} ${row.symbol} position ${row.id} is open in the database but not in memory`
+      });
+    }
+  }
+  
+  if (state.portfolio && differs(state.portfolio.balance, rebuilt.portfolio.balance)) {
+    drift.push({
+      type: 'balance_mismatch',
+      values: { memory: state.portfolio.balance, database: rebuilt.portfolio.balance },
+      message: `Balance is $${state.portfolio.balance.toFixed(2)} in memory but $${rebuilt.portfolio.balance.toFixed(2)} from the database`
+    });
+  }
+  
+  if (differs(state.realizedPnl, rebuilt.realizedPnl)) {
+    drift.push({
+      type: 'realized_pnl_mismatch',
+      values: { memory: state.realizedPnl || 0, database: rebuilt.realizedPnl },
+      message: `Realized PnL is $${(state.realizedPnl || 0).toFixed(2)} in memory but $${rebuilt.realizedPnl.toFixed(2)} from the database`
+    });
+  }
+  
+  return drift;
+}
+
+/**
+ * Drift between a real bot's open positions rows and the exchange's positions
+ * (one position per symbol on the exchange, matched to the newest row for it)
+ * @param {Array} positionRows - Open positions rows, newest first
+ * @param {Array} exchangePositions - Normalized exchange positions
+ * @returns {Array<{type, message, symbol?, positionId?, values?}>}
+ */
+function compareExchangePositions(positionRows, exchangePositions) {
+  const drift = [];
+  const matchedRows = new Set();
+  
+  for (const exchangePosition of exchangePositions) {
+    const symbol = exchangePosition.symbol;
+    const type = exchangePosition.quantity > 0 ? 'LONG' : 'SHORT';
+    const quantity = Math.abs(exchangePosition.quantity);
+    const row = positionRows.find(r => r.symbol === symbol);
+    
+    if (!row) {
+      drift.push({
+        type: 'position_missing_in_db',
+        symbol,
+        values: { exchange: { type, quantity } },
+        message: `${type} ${symbol} (quantity ${formatQuantity(quantity)}) is open on the exchange but not in the database`
+      });
+      continue;
+    }
+    matchedRows.add(row.id);
+    
+    const rowQuantity = (row.size * row.leverage) / row.entry_price;
+    if (row.position_type !== type || Math.abs(rowQuantity - quantity) > quantity * QUANTITY_TOLERANCE) {
+      drift.push({
+        type: 'position_mismatch',
+        symbol,
+        positionId: row.id,
+        values: { exchange: { type, quantity }, database: { type: row.position_type, quantity: rowQuantity } },
+        message: `${symbol} is ${type} ${formatQuantity(quantity)} on the exchange but ${row.position_type} ${formatQuantity(rowQuantity)} in the database`
+      });
+    }
+  }
+  
+  for (const row of positionRows) {
+    if (!matchedRows.has(row.id)) {
+      drift.push({
+        type: 'position_missing_on_exchange',
+        symbol: row.symbol,
+        positionId: row.id,
+        message: `${row.position_type} ${row.symbol} position ${row.id} is open in the database but not on the exchange`
+      });
+    }
+  }
+  
+  return drift;
+}
+
+module.exports = {
+  AMOUNT_TOLERANCE,
+  QUANTITY_TOLERANCE,
+  toPosition,
+  rebuildPaperPortfolio,
+  comparePaperState,
+  compareExchangePositions
+};
@@ -0,0 +1,391 @@
+/**
+ * @license
+ * SPDX-License-Identifier: MIT
+ *
+ * Native Tool Calling
+ * Runs the sandbox analysis loop through each provider's own tool/function
+ * calling API instead of scraping ANALYZE JSON out of free text. Sandbox tools
+ * are sent as tool definitions and trading decisions come back as structured
+ * output (a JSON schema response on OpenAI-compatible APIs, a forced
+ * `submit_decisions` tool call on Anthropic and Gemini).
+ *
+ * Providers without native support (mock, custom, local) keep the text
+ * protocol. A provider can also opt out with `"nativeTools": false` in its
+ * config_json.
+ */
+
+const axios = require('axios');
+const { buildModelFields, withSystemMessage } = require('./modelParams');
+const { extractUsage } = require('./llmUsage');
+
+const SUBMIT_DECISIONS_TOOL = 'submit_decisions';
+
+// Provider type -> request/response dialect
+const PROVIDER_DIALECTS = {
+  openai: 'openai',
+  grok: 'openai',
+  anthropic: 'anthropic',
+  gemini: 'gemini'
+};
+
+const DECISION_SCHEMA = {
+  type: 'object',
+  properties: {
+    decisions: {
+      type: 'array',
+      description: 'Trading decisions for this turn (a single HOLD if no trade is warranted)',
+      items: {
+        type: 'object',
+        properties: {
+          action: { type: 'string', enum: ['LONG', 'SHORT', 'CLOSE', 'ADD', 'REDUCE', 'MODIFY', 'CANCEL', 'HOLD'] },
+          symbol: { type: 'string', description: 'Symbol for LONG/SHORT' },
+          size: { type: 'number', description: 'Margin in USD for LONG/SHORT/ADD' },
+          leverage: { type: 'number', description: 'Leverage for LONG/SHORT' },
+          orderType: { type: 'string', enum: ['MARKET', 'LIMIT', 'STOP'], description: 'Entry order type for LONG/SHORT (default MARKET)' },
+          price: { type: 'number', description: 'Limit price (LIMIT) or trigger price (STOP)' },
+          expiresInMinutes: { type: 'number', description: 'How long a LIMIT/STOP order rests before it expires' },
+          stopLoss: { type: 'number', description: 'Stop loss price (LONG/SHORT/MODIFY)' },
+          takeProfit: { type: 'number', description: 'Take profit price (LONG/SHORT/MODIFY)' },
+          trailingStopPct: { type: 'number', description: 'Trailing stop distance in % from the best price (LONG/SHORT/MODIFY)' },
+          closePositionId: { type: 'string', description: 'Position ID for CLOSE' },
+          closePercent: { type: 'number', description: 'Percent of the position to close for CLOSE/REDUCE (default 100 for CLOSE)' },
+          closeQuantity: { type: 'number', description: 'Asset quantity to close for CLOSE/REDUCE, instead of closePercent' },
+          positionId: { type: 'string', description: 'Position ID for ADD/REDUCE/MODIFY' },
+          orderId: { type: 'string', description: 'Pending order ID for CANCEL' },
+          reasoning: { type: 'string', description: 'Why this decision was made' }
+        },
+        required: ['action', 'reasoning']
+      }
+    }
+  },
+  required: ['decisions']
+};
+
+/**
+ * Dialect to use for a provider, or null if it should use the text protocol
+ * @param {Object} providerConfig - llm_providers row
+ */
+function getToolDialect(providerConfig) {
+  if (!providerConfig) {
+    return null;
+  }
+  
+  let config = {};
+  try {
+    config = providerConfig.config_json ? JSON.parse(providerConfig.config_json) : {};
+  } catch (e) {
+    config = {};
+  }
+  if (config.nativeTools === false) {
+    return null;
+  }
+  
+  return PROVIDER_DIALECTS[providerConfig.provider_type] || null;
+}
+
+/**
+ * Pull `decisions` out of a structured output payload (object or JSON string)
+ */
+function readDecisions(payload) {
+  let value = payload;
+  if (typeof value === 'string') {
+    try {
+      value = JSON.parse(value);
+    } catch (e) {
+      return null;
+    }
+  }
+  return value && Array.isArray(value.decisions) ? value.decisions : null;
+}
+
+/**
+ * Convert a JSON schema to Gemini's OpenAPI subset. Gemini rejects objects
+ * without properties, so free-form objects are sent as JSON-encoded strings
+ * and their paths are collected in `encoded` for decoding on the way back.
+ */
+function toGeminiSchema(schema, encoded = [], path = []) {
+  if (schema.type === 'object' && !schema.properties) {
+    encoded.push(path.join('.'));
+    return {
+      type: 'STRING',
+      description: `${schema.description || 'Object'} (JSON-encoded object)`
+    };
+  }
+  
+  const converted = { type: schema.type.toUpperCase() };
+  if (schema.description) converted.description = schema.description;
+  if (schema.enum) converted.enum = schema.enum;
+  if (schema.required) converted.required = schema.required;
+  if (schema.items) converted.items = toGeminiSchema(schema.items, encoded, [...path, '[]']);
+  if (schema.properties) {
+    converted.properties = {};
+    for (const [name, property] of Object.entries(schema.properties)) {
+      converted.properties[name] = toGeminiSchema(property, encoded, [...path, name]);
+    }
+  }
+  return converted;
+}
+
+/**
+ * Decode the JSON-encoded string parameters produced by toGeminiSchema
+ */
+function decodeGeminiArgs(args, encodedPaths) {
+  const decoded = JSON.parse(JSON.stringify(args || {}));
+  for (const encodedPath of encodedPaths) {
+    const keys = encodedPath.split('.');
+    const last = keys.pop();
+    let target = decoded;
+    for (const key of keys) {
+      target = target && target[key];
+    }
+    if (target && typeof target[last] === 'string') {
+      try {
+        target[last] = JSON.parse(target[last]);
+      } catch (e) {
+        throw new Error(`Parameter "${encodedPath}" must be a JSON-encoded object`);
+      }
+    }
+  }
+  return decoded;
+}
+
+/**
+ * A multi-turn conversation with one provider using its native tool calling API.
+ * Each `send` is one model call; the assistant turn is appended automatically
+ * and tool results go back with the next `addUserMessage`.
+ */
+class ToolConversation {
+  /**
+   * @param {Object} options
+   * @param {Object} options.providerConfig - llm_providers row
+   * @param {string} options.apiKey - Decrypted API key
+   * @param {Object} options.modelParams - Resolved model parameters (see modelParams.resolveModelParams)
+   * @param {Array<Object>} options.tools - Sandbox tool definitions ({name, description, parameters})
+   * @param {number} options.timeoutMs - Request timeout
+   */
+  constructor({ providerConfig, apiKey, modelParams, tools, timeoutMs }) {
+    this.dialect = getToolDialect(providerConfig);
+    if (!this.dialect) {
+      throw new Error(`${providerConfig.provider_type} provider does not support native tool calling`);
+    }
+    this.providerConfig = providerConfig;
+    this.apiKey = apiKey;
+    this.modelParams = modelParams;
+    this.tools = tools;
+    this.timeoutMs = timeoutMs;
+    this.messages = [];
+    this.geminiEncoded = {}; // tool name -> JSON-encoded parameter paths
+  }
+  
+  /**
+   * Append a user turn: tool results from the previous assistant turn, then optional text
+   * @param {string|null} text - Prompt or follow-up instructions
+   * @param {Array<{call: Object, output: *, error: string}>} toolResults
+   */
+  addUserMessage(text, toolResults = []) {
+    if (this.dialect === 'openai') {
+      for (const { call, output, error } of toolResults) {
+        this.messages.push({
+          role: 'tool',
+          tool_call_id: call.id,
+          content: JSON.stringify(error ? { error } : output)
+        });
+      }
+      if (text) {
+        this.messages.push({ role: 'user', content: text });
+      }
+    } else if (this.dialect === 'anthropic') {
+      const content = toolResults.map(({ call, output, error }) => ({
+        type: 'tool_result',
+        tool_use_id: call.id,
+        content: JSON.stringify(error ? { error } : output),
+        ...(error ? { is_error: true } : {})
+      }));
+      if (text) {
+        content.push({ type: 'text', text });
+      }
+      this.messages.push({ role: 'user', content });
+    } else {
+      const parts = toolResults.map(({ call, output, error }) => ({
+        functionResponse: {
+          name: call.name,
+          response: error ? { error } : { result: output }
+        }
+      }));
+      if (text) {
+        parts.push({ text });
+      }
+      this.messages.push({ role: 'user', parts });
+    }
+  }
+  
+  /**
+   * Request body for the current conversation
+   * @param {boolean} final - Require trading decisions on this call
+   */
+  buildRequest(final) {
+    const apiEndpoint = this.providerConfig.api_endpoint;
+    const modelFields = buildModelFields(this.providerConfig.provider_type, this.modelParams);
+    
+    if (this.dialect === 'openai') {
+      return {
+        url: apiEndpoint,
+        headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${this.apiKey}` },
+        body: {
+          ...modelFields,
+          messages: withSystemMessage(this.messages, this.modelParams),
+          tools: this.tools.map(tool => ({
+            type: 'function',
+            function: { name: tool.name, description: tool.description, parameters: tool.parameters }
+          })),
+          tool_choice: final ? 'none' : 'auto',
+          response_format: {
+            type: 'json_schema',
+            json_schema: { name: 'trading_decisions', schema: DECISION_SCHEMA, strict: false }
+          }
+        }
+      };
+    }
+    
+    const submitTool = {
+      name: SUBMIT_DECISIONS_TOOL,
+      description: 'Submit your final trading decisions for this turn',
+      parameters: DECISION_SCHEMA
+    };
+    
+    if (this.dialect === 'anthropic') {
+      return {
+        url: apiEndpoint,
+        headers: {
+          'Content-Type': 'application/json',
+          'x-api-key': this.apiKey,
+          'anthropic-version': '2023-06-01'
+        },
+        body: {
+          ...modelFields,
+          messages: this.messages,
+          tools: [...this.tools, submitTool].map(tool => ({
+            name: tool.name,
+            description: tool.description,
+            input_schema: tool.parameters
+          })),
+          tool_choice: final ? { type: 'tool', name: SUBMIT_DECISIONS_TOOL } : { type: 'auto' }
+        }
+      };
+    }
+    
+    const functionDeclarations = [...this.tools, submitTool].map(tool => {
+      const encoded = [];
+      const parameters = toGeminiSchema(tool.parameters, encoded);
+      this.geminiEncoded[tool.name] = encoded;
+      return { name: tool.name, description: tool.description, parameters };
+    });
+    
+    return {
+      url: apiEndpoint.includes('?') ? `${apiEndpoint}&key=${this.apiKey}` : `${apiEndpoint}?key=${this.apiKey}`,
+      headers: { 'Content-Type': 'application/json' },
+      body: {
+        ...modelFields,
+        contents: this.messages,
+        tools: [{ functionDeclarations }],
+        toolConfig: {
+          functionCallingConfig: final
+            ? { mode: 'ANY', allowedFunctionNames: [SUBMIT_DECISIONS_TOOL] }
+            : { mode: 'AUTO' }
+        }
+      }
+    };
+  }
+  
+  /**
+   * Normalize a provider response and append it to the conversation
+   * @returns {{text: string, toolCalls: Array<{id, name, arguments, error}>, decisions: Array|null, usage: Object|null}}
+   */
+  parseResponse(data) {
+    const toolCalls = [];
+    let text = '';
+    let decisions = null;
+    
+    if (this.dialect === 'openai') {
+      const message = data.choices?.[0]?.message;
+      if (!message) {
+        throw new Error('Empty response from AI');
+      }
+      this.messages.push({
+        role: 'assistant',
+        content: message.content ?? null,
+        ...(message.tool_calls ? { tool_calls: message.tool_calls } : {})
+      });
+      
+      text = message.content || '';
+      decisions = readDecisions(text);
+      for (const call of message.tool_calls || []) {
+        try {
+          toolCalls.push({ id: call.id, name: call.function.name, arguments: JSON.parse(call.function.arguments || '{}') });
+        } catch (e) {
+          toolCalls.push({ id: call.id, name: call.function.name, arguments: {}, error: 'Tool arguments are not valid JSON' });
+        }
+      }
+    } else if (this.dialect === 'anthropic') {
+      const content = data.content;
+      if (!Array.isArray(content) || content.length === 0) {
+        throw new Error('Empty response from AI');
+      }
+      this.messages.push({ role: 'assistant', content });
+      
+      for (const block of content) {
+        if (block.type === 'text') {
+          text += block.text;
+        } else if (block.type === 'tool_use' && block.name === SUBMIT_DECISIONS_TOOL) {
+          decisions = readDecisions(block.input);
+        } else if (block.type === 'tool_use') {
+          toolCalls.push({ id: block.id, name: block.name, arguments: block.input || {} });
+        }
+      }
+    } else {
+      const content = data.candidates?.[0]?.content;
+      if (!content || !Array.isArray(content.parts)) {
+        throw new Error('Empty response from AI');
+      }
+      this.messages.push(content);
+      
+      content.parts.forEach((part, index) => {
+        if (part.text) {
+          text += part.text;
+        } else if (part.functionCall && part.functionCall.name === SUBMIT_DECISIONS_TOOL) {
+          decisions = readDecisions(part.functionCall.args);
+        } else if (part.functionCall) {
+          const { name, args } = part.functionCall;
+          const call = { id: `${name}_${index}`, name, arguments: {} };
+          try {
+            call.arguments = decodeGeminiArgs(args, this.geminiEncoded[name] || []);
+          } catch (e) {
+            call.error = e.message;
+          }
+          toolCalls.push(call);
+        }
+      });
+    }
+    
+    return { text, toolCalls, decisions, usage: extractUsage(this.providerConfig.provider_type, data) };
+  }
+  
+  /**
+   * Call the provider with the conversation so far
+   * @param {Object} options
+   * @param {boolean} options.final - Require trading decisions (no further tool calls)
+   */
+  async send({ final = false } = {}) {
+    const { url, headers, body } = this.buildRequest(final);
+    const response = await axios.post(url, body, { headers, timeout: this.timeoutMs });
+    return this.parseResponse(response.data);
+  }
+}
+
+module.exports = {
+  DECISION_SCHEMA,
+  SUBMIT_DECISIONS_TOOL,
+  getToolDialect,
+  toGeminiSchema,
+  ToolConversation
+};
@@ -0,0 +1,125 @@
+/**
+ * @license
+ * SPDX-License-Identifier: MIT
+ *
+ * Turn Scheduler tests
+ */
+
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const TurnScheduler = require('../services/TurnScheduler');
+
+/**
+ * Scheduler whose turns run until the test finishes them
+ */
+function createScheduler(options = {}) {
+  const started = [];
+  const turns = new Map();
+  const scheduler = new TurnScheduler({
+    runTurn: (bot) => new Promise((resolve, reject) => {
+      started.push(bot.id);
+      turns.set(bot.id, { resolve, reject });
+    }),
+    getBots: () => options.bots || [],
+    getIntervalMs: () => 60000,
+    ...options
+  });
+  const finish = async (botId, error) => {
+    const turn = turns.get(botId);
+    turns.delete(botId);
+    if (error) {
+      turn.reject(error);
+    } else {
+      turn.resolve();
+    }
+    await new Promise(resolve => setImmediate(resolve));
+  };
+  return { scheduler, started, finish };
+}
+
+const bot = (id, extra = {}) => ({ id, name: id, ...extra });
+
+describe('TurnScheduler', () => {
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+  });
+  
+  it('runs at most `concurrency` turns at once and starts queued ones as slots free', async () => {
+    const { scheduler, started, finish } = createScheduler({ concurrency: 2 });
+    scheduler.request(bot('a'));
+    scheduler.request(bot('b'));
+    scheduler.request(bot('c'));
+    assert.deepEqual(started, ['a', 'b']);
+    assert.deepEqual(scheduler.getStatus().queued, ['c']);
+    
+    await finish('a');
+    assert.deepEqual(started, ['a', 'b', 'c']);
+  });
+  
+  it('skips a turn requested while the previous one is running (skip policy)', async () => {
+    const { scheduler, started, finish } = createScheduler({ overlapPolicy: 'skip' });
+    const first = scheduler.request(bot('a'));
+    assert.deepEqual(await scheduler.request(bot('a')), { status: 'skipped' });
+    
+    await finish('a');
+    assert.equal((await first).status, 'completed');
+    assert.deepEqual(started, ['a']);
+  });
+  
+  it('runs one more turn after the current one (queue policy), coalescing repeat requests', async () => {
+    const { scheduler, started, finish } = createScheduler({ overlapPolicy: 'queue' });
+    scheduler.request(bot('a'));
+    const rerun = scheduler.request(bot('a'));
+    assert.equal(scheduler.request(bot('a')), rerun);
+    assert.deepEqual(scheduler.getStatus().reruns, ['a']);
+    
+    await finish('a');
+    assert.deepEqual(started, ['a', 'a']);
+    await finish('a');
+    assert.equal((await rerun).status, 'completed');
+  });
+  
+  it('reports a failed turn and frees its slot', async () => {
+    const { scheduler, started, finish } = createScheduler({ concurrency: 1 });
+    const failing = scheduler.request(bot('a'));
+    scheduler.request(bot('b'));
+    
+    await finish('a', new Error('provider down'));
+    assert.equal((await failing).status, 'failed');
+    assert.deepEqual(started, ['a', 'b']);
+  });
+  
+  it('requests due turns on tick, and bots sharing a schedule key together', () => {
+    const now = Date.now();
+    const bots = [
+      bot('fresh'),
+      bot('recent', { botLogs: [{ timestamp: now - 1000 }] }),
+      bot('variant_a', { experimentId: 'exp', botLogs: [{ timestamp: now - 120000 }] }),
+      bot('variant_b', { experimentId: 'exp', botLogs: [{ timestamp: now - 1000 }] })
+    ];
+    const { scheduler, started } = createScheduler({
+      bots,
+      concurrency: 10,
+      getScheduleKey: (b) => b.experimentId || b.id
+    });
+    
+    scheduler.tick();
+    assert.deepEqual(started, ['fresh', 'variant_a', 'variant_b']);
+  });
+  
+  it('cancels queued turns on stop', async () => {
+    const { scheduler } = createScheduler({ concurrency: 1 });
+    scheduler.request(bot('a'));
+    const queued = scheduler.request(bot('b'));
+    
+    scheduler.stop();
+    assert.deepEqual(await queued, { status: 'cancelled' });
+  });
+  
+  it('falls back to the skip policy for an unknown one', () => {
+    mock.method(console, 'warn', () => {});
+    const { scheduler } = createScheduler({ overlapPolicy: 'parallel' });
+    assert.equal(scheduler.overlapPolicy, 'skip');
+  });
+});
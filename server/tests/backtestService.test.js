@@ -0,0 +1,149 @@
+/**
+ * @license
+ * SPDX-License-Identifier: MIT
+ *
+ * Backtest replay tests
+ */
+
+// BotManager opens the shared connection when loaded; keep it off the real database
+process.env.DATABASE_CLIENT = 'sqlite';
+process.env.DATABASE_PATH = ':memory:';
+
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const relationalDb = require('../database/relational');
+const BotManager = require('../services/BotManager');
+const backtestService = require('../services/backtestService');
+const candleService = require('../services/candleService');
+
+const HOUR = 3600000;
+const START = Date.UTC(2024, 0, 1);
+const STEPS = 6;
+
+const config = {
+  interval: '1h',
+  start_time: START,
+  end_time: START + STEPS * HOUR,
+  steps: STEPS,
+  symbols: ['BTCUSDT'],
+  initial_balance: 10000,
+  prompt: 'Trade BTC',
+  provider_type: 'mock',
+  model_config: {},
+  risk_limits: {},
+  bot_name: 'Test Bot'
+};
+
+/**
+ * Flat $100 hourly candles from a day before the start, with the given candles (by step) replaced
+ */
+function createCandles(overrides = {}) {
+  const candles = [];
+  for (let openTime = START - 24 * HOUR; openTime < config.end_time; openTime += HOUR) {
+    const step = (openTime - START) / HOUR;
+    candles.push({ openTime, open: 100, high: 101, low: 99, close: 100, volume: 1, ...overrides[step] });
+  }
+  return candles;
+}
+
+/**
+ * Replay the range with the model answering each turn from `script` (turn index → decisions)
+ */
+async function runBacktest({ candles = createCandles(), script = {} } = {}) {
+  const botManager = new BotManager({}, null);
+  // No fees, slippage or funding, so PnL is price movement only
+  botManager.settings = { paper_taker_fee_rate: 0, paper_maker_fee_rate: 0, paper_slippage_bps: 0, paper_slippage_impact_bps: 0, paper_max_slippage_bps: 0, paper_funding_enabled: false };
+  botManager.getBudgetError = () => null;
+  botManager.recordLlmUsage = async () => {};
+  
+  const turns = [];
+  botManager.callAIProvider = async (bot) => {
+    turns.push(bot.backtest.now);
+    return { text: JSON.stringify(script[turns.length - 1] || []) };
+  };
+  mock.method(candleService, 'getCandleRange', async () => candles);
+  
+  backtestService.botManager = botManager;
+  const result = await backtestService.simulate('bt_test', config, 'user_test', 'bot_test');
+  return { result, turns, botManager };
+}
+
+describe('BacktestService.simulate', () => {
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(relationalDb, 'updateBacktest', () => {});
+  });
+  
+  it('asks the model at each candle close on the simulated clock', async () => {
+    const { result, turns, botManager } = await runBacktest();
+    
+    const closes = Array.from({ length: STEPS }, (_, step) => START + (step + 1) * HOUR);
+    assert.deepEqual(turns, closes);
+    assert.deepEqual(result.equityCurve, closes.map(time => ({ time, value: 10000 })));
+    assert.equal(result.metrics.decisions, STEPS);
+    assert.equal(botManager.turnMarkets.size, 0);
+  });
+  
+  it('closes positions still open at the end at the last close', async () => {
+    const candles = createCandles({ 5: { close: 110, high: 111 } });
+    const { result } = await runBacktest({
+      candles,
+      script: { 0: [{ action: 'LONG', symbol: 'BTCUSDT', size: 500, leverage: 2 }] }
+    });
+    
+    assert.equal(result.trades.length, 1);
+    assert.equal(result.trades[0].close_reason, 'END_OF_TEST');
+    assert.equal(result.trades[0].exit_price, 110);
+    assert.equal(result.trades[0].pnl, 100);
+    assert.equal(result.metrics.final_value, 10100);
+    assert.equal(result.equityCurve.at(-1).value, 10100);
+  });
+  
+  it('fills a stop-loss the candle range crossed at its level', async () => {
+    const candles = createCandles({ 2: { low: 95 } });
+    const { result } = await runBacktest({
+      candles,
+      script: { 0: [{ action: 'LONG', symbol: 'BTCUSDT', size: 500, leverage: 2, stopLoss: 98 }] }
+    });
+    
+    assert.equal(result.trades[0].close_reason, 'SL');
+    assert.equal(result.trades[0].exit_price, 98);
+    assert.equal(result.trades[0].closed_at, START + 3 * HOUR);
+    assert.equal(result.metrics.final_value, 9980);
+  });
+  
+  it('fills a stop-loss the market gapped through at the candle open', async () => {
+    const candles = createCandles({ 2: { open: 96, low: 95, close: 97 } });
+    const { result } = await runBacktest({
+      candles,
+      script: { 0: [{ action: 'LONG', symbol: 'BTCUSDT', size: 500, leverage: 2, stopLoss: 98 }] }
+    });
+    
+    assert.equal(result.trades[0].exit_price, 96);
+    assert.equal(result.trades[0].pnl, -40);
+  });
+  
+  it('fills a pending limit order in a later candle that reaches its price', async () => {
+    const candles = createCandles({ 3: { low: 94 } });
+    const { result } = await runBacktest({
+      candles,
+      script: { 0: [{ action: 'LONG', symbol: 'BTCUSDT', size: 500, leverage: 2, orderType: 'LIMIT', price: 95 }] }
+    });
+    
+    assert.equal(result.trades.length, 1);
+    assert.equal(result.trades[0].entry_price, 95);
+    assert.equal(result.trades[0].opened_at, START + 4 * HOUR);
+    assert.equal(result.trades[0].close_reason, 'END_OF_TEST');
+  });
+  
+  it('stops at the next step once cancelled', async () => {
+    backtestService.cancelled.add('bt_test');
+    try {
+      const { result, turns } = await runBacktest();
+      assert.equal(result.cancelled, true);
+      assert.deepEqual(turns, []);
+    } finally {
+      backtestService.cancelled.delete('bt_test');
+    }
+  });
+});
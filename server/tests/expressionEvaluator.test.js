@@ -0,0 +1,81 @@
+/**
+ * @license
+ * SPDX-License-Identifier: MIT
+ *
+ * Expression Evaluator tests
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { ExpressionError, evaluateExpression, MAX_EVALUATION_STEPS } = require('../services/expressionEvaluator');
+
+const evaluate = (expression, variables) => evaluateExpression(expression, variables).value;
+
+describe('evaluateExpression', () => {
+  it('follows operator precedence and associativity', () => {
+    assert.equal(evaluate('1 + 2 * 3'), 7);
+    assert.equal(evaluate('(1 + 2) * 3'), 9);
+    assert.equal(evaluate('10 - 4 - 3'), 3);
+    assert.equal(evaluate('2 ^ 3 ^ 2'), 512);
+    assert.equal(evaluate('2 ** 3'), 8);
+    assert.equal(evaluate('-2 ^ 2'), -4);
+    assert.equal(evaluate('1.5e2 + .5'), 150.5);
+  });
+  
+  it('returns 1 or 0 for comparisons and logical operators', () => {
+    assert.equal(evaluate('3 > 2 && 2 >= 2'), 1);
+    assert.equal(evaluate('1 == 2 || 0'), 0);
+    assert.equal(evaluate('!0'), 1);
+    assert.equal(evaluate('2 === 2'), 1);
+    assert.equal(evaluate('2 !== 2'), 0);
+  });
+  
+  it('short-circuits logical operators', () => {
+    assert.equal(evaluate('0 && missing'), 0);
+    assert.equal(evaluate('1 || missing'), 1);
+  });
+  
+  it('resolves variables, constants and whitelisted functions', () => {
+    assert.equal(evaluate('price * qty', { price: 2.5, qty: 4 }), 10);
+    assert.equal(evaluate('bullish + 1', { bullish: true }), 2);
+    assert.equal(evaluate('round(PI * 100)'), 314);
+    assert.equal(evaluate('max(1, 5, 3)'), 5);
+  });
+  
+  it('aggregates and indexes arrays', () => {
+    const prices = [10, 20, 30, 40];
+    assert.equal(evaluate('mean(prices)', { prices }), 25);
+    assert.equal(evaluate('min(prices, 5)', { prices }), 5);
+    assert.equal(evaluate('len(prices)', { prices }), 4);
+    assert.equal(evaluate('prices[0] + prices[-1]', { prices }), 50);
+    assert.equal(evaluate('sum([1, 2, 3])'), 6);
+  });
+  
+  it('rejects anything that is not a whitelisted name', () => {
+    assert.throws(() => evaluate('process.exit(1)'), ExpressionError);
+    assert.throws(() => evaluate('constructor'), /Unknown variable 'constructor'/);
+    assert.throws(() => evaluate('require("fs")'), ExpressionError);
+    assert.throws(() => evaluate('eval(1)'), ExpressionError);
+    assert.throws(() => evaluate('toString', {}), /Unknown variable/);
+  });
+  
+  it('reports malformed expressions with their position', () => {
+    assert.throws(() => evaluate('1 + $'), (error) => error instanceof ExpressionError && error.position === 4);
+    assert.throws(() => evaluate('(1 + 2'), ExpressionError);
+    assert.throws(() => evaluate('1 +'), ExpressionError);
+    assert.throws(() => evaluate('   '), ExpressionError);
+  });
+  
+  it('rejects type errors and bad indexes', () => {
+    assert.throws(() => evaluate('prices + 1', { prices: [1, 2] }), /needs a number but got an array/);
+    assert.throws(() => evaluate('prices[2]', { prices: [1, 2] }), /out of range/);
+    assert.throws(() => evaluate('x[0]', { x: 1 }), /Only arrays can be indexed/);
+    assert.throws(() => evaluate('x', { x: 'text' }), /must be a number or an array of numbers/);
+  });
+  
+  it('stops runaway evaluations at the step limit', () => {
+    const prices = new Array(MAX_EVALUATION_STEPS).fill(1);
+    assert.throws(() => evaluate('sum(prices) + sum(prices)', { prices }), /exceeded/);
+    assert.throws(() => evaluateExpression('1 + 1 + 1', {}, { maxSteps: 3 }), /exceeded 3 steps/);
+  });
+});
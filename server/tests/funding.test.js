@@ -0,0 +1,127 @@
+/**
+ * @license
+ * SPDX-License-Identifier: MIT
+ *
+ * Paper funding settlement tests
+ */
+
+// BotManager opens the shared connection when loaded; keep it off the real database
+process.env.DATABASE_CLIENT = 'sqlite';
+process.env.DATABASE_PATH = ':memory:';
+
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const BotManager = require('../services/BotManager');
+const { getExchangeAdapter } = require('../services/exchanges');
+const { getFundingPayment } = require('../services/executionCosts');
+
+const HOUR = 3600000;
+
+const assertClose = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `expected ${expected}, got ${actual}`);
+
+/**
+ * Backtest bot (skips database writes) holding the given positions
+ */
+function createBot(positions) {
+  return {
+    id: 'bot_test',
+    name: 'Test Bot',
+    backtest: { now: 0, getPriceSeries: () => [] },
+    portfolio: { balance: 1000, totalValue: 1000, positions },
+    orders: [],
+    pendingOrders: [],
+    symbolCooldowns: {}
+  };
+}
+
+// 5 units of BTCUSDT either way
+const long = (fields) => ({ id: 'pos_long', symbol: 'BTCUSDT', type: 'LONG', entryPrice: 100, size: 100, leverage: 5, fundingPaid: 0, openedAt: 0, lastFundingAt: null, ...fields });
+const short = (fields) => ({ ...long(fields), id: 'pos_short', type: 'SHORT', ...fields });
+
+describe('getFundingPayment', () => {
+  it('charges longs and pays shorts a positive rate on the notional at the mark price', () => {
+    assertClose(getFundingPayment(long(), 0.001, 110), 0.55);
+    assertClose(getFundingPayment(short(), 0.001, 110), -0.55);
+    assertClose(getFundingPayment(long(), -0.001, 110), -0.55);
+  });
+});
+
+describe('applyFunding', () => {
+  const settlement = { symbol: 'BTCUSDT', fundingRate: 0.001, markPrice: 100, fundingTime: 8 * HOUR };
+  const botManager = new BotManager({}, null);
+  
+  it('moves each payment through the balance and the position', () => {
+    const bot = createBot([long(), short()]);
+    const notes = botManager.applyFunding(bot, [settlement]);
+    
+    assertClose(bot.portfolio.balance, 1000);
+    assertClose(bot.portfolio.positions[0].fundingPaid, 0.5);
+    assertClose(bot.portfolio.positions[1].fundingPaid, -0.5);
+    assert.equal(bot.portfolio.positions[0].lastFundingAt, 8 * HOUR);
+    assert.match(notes[0], /^FUNDING: Paid \$0\.5000 on LONG BTCUSDT/);
+    assert.match(notes[1], /^FUNDING: Received \$0\.5000 on SHORT BTCUSDT/);
+  });
+  
+  it('skips positions opened after the funding time, on other symbols or already settled', () => {
+    const bot = createBot([
+      long({ openedAt: 9 * HOUR }),
+      long({ symbol: 'ETHUSDT' }),
+      long({ lastFundingAt: 8 * HOUR })
+    ]);
+    
+    assert.deepEqual(botManager.applyFunding(bot, [settlement]), []);
+    assert.equal(bot.portfolio.balance, 1000);
+  });
+  
+  it('settles positions restored without an opening time', () => {
+    const bot = createBot([long({ openedAt: undefined })]);
+    botManager.applyFunding(bot, [settlement]);
+    assertClose(bot.portfolio.balance, 999.5);
+  });
+});
+
+describe('refreshFundingRates', () => {
+  let botManager;
+  let rates;
+  
+  beforeEach(() => {
+    botManager = new BotManager({}, null);
+    rates = [];
+    mock.method(getExchangeAdapter(botManager.marketDataExchange), 'getFundingRates', async () => rates);
+  });
+  
+  it('reports a settlement once the exchange rolls over to the next funding time', async () => {
+    rates = [{ symbol: 'BTCUSDT', fundingRate: 0.001, markPrice: 100, nextFundingTime: 8 * HOUR }];
+    assert.deepEqual(await botManager.refreshFundingRates(7 * HOUR), []);
+    
+    // Funding time passed, but the exchange has not rolled over yet
+    assert.deepEqual(await botManager.refreshFundingRates(8 * HOUR + 10000), []);
+    
+    rates = [{ symbol: 'BTCUSDT', fundingRate: 0.002, markPrice: 101, nextFundingTime: 16 * HOUR }];
+    assert.deepEqual(await botManager.refreshFundingRates(8 * HOUR + 20000), [
+      { symbol: 'BTCUSDT', fundingRate: 0.001, markPrice: 101, fundingTime: 8 * HOUR }
+    ]);
+    assert.equal(botManager.fundingRates.get('BTCUSDT').fundingRate, 0.002);
+  });
+  
+  it('re-reads the rates at most once a minute while no funding is due', async () => {
+    rates = [{ symbol: 'BTCUSDT', fundingRate: 0.001, markPrice: 100, nextFundingTime: 8 * HOUR }];
+    const adapter = getExchangeAdapter(botManager.marketDataExchange);
+    
+    await botManager.refreshFundingRates(HOUR);
+    await botManager.refreshFundingRates(HOUR + 30000);
+    assert.equal(adapter.getFundingRates.mock.callCount(), 1);
+    
+    await botManager.refreshFundingRates(HOUR + 60000);
+    assert.equal(adapter.getFundingRates.mock.callCount(), 2);
+  });
+  
+  it('skips a failed fetch without settling anything', async () => {
+    mock.method(console, 'warn', () => {});
+    mock.method(getExchangeAdapter(botManager.marketDataExchange), 'getFundingRates', async () => {
+      throw new Error('exchange down');
+    });
+    
+    assert.deepEqual(await botManager.refreshFundingRates(HOUR), []);
+  });
+});
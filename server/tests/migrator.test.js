@@ -0,0 +1,102 @@
+/**
+ * @license
+ * SPDX-License-Identifier: MIT
+ *
+ * Migration framework tests (run against a fresh in-memory SQLite database)
+ */
+
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const sqlite = require('../database/drivers/sqlite');
+const { discoverMigrations, getMigrationStatus, describeMigrationProblems, migrate, rollback } = require('../database/migrator');
+
+const tableExists = (db, name) => Boolean(db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?").get(name));
+
+describe('migrator', () => {
+  let db;
+  
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+    db = sqlite.open({ path: ':memory:' });
+  });
+  
+  it('discovers migrations in version order with checksums and down scripts', () => {
+    const migrations = discoverMigrations(db);
+    assert.ok(migrations.length > 0);
+    assert.deepEqual(migrations.map(m => m.version), [...migrations.map(m => m.version)].sort());
+    migrations.forEach(m => assert.match(m.checksum, /^[0-9a-f]{64}$/));
+    assert.ok(migrations.some(m => m.downPath !== null));
+  });
+  
+  it('applies every pending migration once and records it', () => {
+    const applied = migrate({ db });
+    const status = getMigrationStatus(db);
+    
+    assert.equal(applied.length, discoverMigrations(db).length);
+    assert.equal(status.pending.length, 0);
+    assert.deepEqual(describeMigrationProblems(status), []);
+    assert.ok(tableExists(db, 'bots'));
+    
+    assert.deepEqual(migrate({ db }), []);
+  });
+  
+  it('changes nothing on a dry run', () => {
+    const wouldApply = migrate({ db, dryRun: true });
+    assert.equal(wouldApply.length, discoverMigrations(db).length);
+    assert.equal(getMigrationStatus(db).applied.length, 0);
+    assert.equal(tableExists(db, 'bots'), false);
+  });
+  
+  it('rolls back the newest migrations with their down scripts, and re-applies them', () => {
+    migrate({ db });
+    const latest = getMigrationStatus(db).applied.slice(-2);
+    
+    const reverted = rollback({ db, steps: 2 });
+    assert.deepEqual(reverted.map(m => m.name), latest.map(m => m.name).reverse());
+    assert.deepEqual(getMigrationStatus(db).pending.map(m => m.name), latest.map(m => m.name));
+    
+    assert.deepEqual(migrate({ db }).map(m => m.name), latest.map(m => m.name));
+    assert.equal(getMigrationStatus(db).pending.length, 0);
+  });
+  
+  it('leaves the database unchanged when a rollback step has no down script', () => {
+    migrate({ db });
+    const applied = getMigrationStatus(db).applied;
+    const steps = applied.length - applied.findLastIndex(m => !m.downPath);
+    
+    assert.throws(() => rollback({ db, steps }), /no down script/);
+    assert.equal(getMigrationStatus(db).applied.length, applied.length);
+  });
+  
+  it('refuses to migrate or roll back once an applied script has changed', () => {
+    migrate({ db });
+    const [first] = getMigrationStatus(db).applied;
+    db.prepare('UPDATE migrations SET checksum = ? WHERE name = ?').run('0'.repeat(64), first.name);
+    
+    const status = getMigrationStatus(db);
+    assert.deepEqual(status.modified.map(m => m.name), [first.name]);
+    assert.match(describeMigrationProblems(status)[0], /Changed since they were applied/);
+    assert.throws(() => migrate({ db }), /don't match the migration files/);
+    assert.throws(() => rollback({ db }), /don't match the migration files/);
+  });
+  
+  it('reports applied migrations this codebase does not have', () => {
+    migrate({ db });
+    db.prepare('INSERT INTO migrations (name, version, checksum) VALUES (?, ?, ?)').run('999_from_the_future.sql', '999', 'x');
+    
+    const status = getMigrationStatus(db);
+    assert.deepEqual(status.unknown, ['999_from_the_future.sql']);
+    assert.throws(() => migrate({ db }), /missing from this codebase/);
+  });
+  
+  it('records checksums for migrations applied by the old runner', () => {
+    const [first] = discoverMigrations(db);
+    db.exec('CREATE TABLE migrations (id INTEGER PRIMARY KEY AUTOINCREMENT, name TEXT UNIQUE NOT NULL, applied_at DATETIME DEFAULT CURRENT_TIMESTAMP)');
+    db.prepare('INSERT INTO migrations (name) VALUES (?)').run(first.name);
+    
+    const status = getMigrationStatus(db);
+    assert.equal(status.modified.length, 0);
+    assert.equal(db.prepare('SELECT checksum FROM migrations WHERE name = ?').get(first.name).checksum, first.checksum);
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * @license
+ * SPDX-License-Identifier: MIT
+ *
+ * Paper trading trigger tests (stop-loss, take-profit, liquidation)
+ */
+
+// BotManager opens the shared connection when loaded; keep it off the real database
+process.env.DATABASE_CLIENT = 'sqlite';
+process.env.DATABASE_PATH = ':memory:';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const BotManager = require('../services/BotManager');
+
+const botManager = new BotManager({}, null);
+botManager.settings = {};
+
+const long = { type: 'LONG', entryPrice: 100, liquidationPrice: 80, stopLoss: 95, takeProfit: 110 };
+const short = { type: 'SHORT', entryPrice: 100, liquidationPrice: 120, stopLoss: 105, takeProfit: 90 };
+
+describe('getTriggeredExit', () => {
+  it('returns null while the price is between the levels', () => {
+    assert.equal(botManager.getTriggeredExit(long, 100), null);
+    assert.equal(botManager.getTriggeredExit(short, 100), null);
+  });
+  
+  it('fills a stop-loss at its level when the price is on it', () => {
+    assert.deepEqual(botManager.getTriggeredExit(long, 95), { reason: 'SL', price: 95, level: 95 });
+    assert.deepEqual(botManager.getTriggeredExit(short, 105), { reason: 'SL', price: 105, level: 105 });
+  });
+  
+  it('fills a stop-loss that the price gapped through at the worse price', () => {
+    assert.deepEqual(botManager.getTriggeredExit(long, 93), { reason: 'SL', price: 93, level: 95 });
+    assert.deepEqual(botManager.getTriggeredExit(short, 107), { reason: 'SL', price: 107, level: 105 });
+  });
+  
+  it('gives liquidation precedence over the stop-loss, at the worse price', () => {
+    assert.deepEqual(botManager.getTriggeredExit(long, 75), { reason: 'LIQUIDATION', price: 75, level: 80 });
+    assert.deepEqual(botManager.getTriggeredExit(short, 125), { reason: 'LIQUIDATION', price: 125, level: 120 });
+  });
+  
+  it('fills a take-profit at its level even when the price is past it', () => {
+    assert.deepEqual(botManager.getTriggeredExit(long, 112), { reason: 'TP', price: 110, level: 110 });
+    assert.deepEqual(botManager.getTriggeredExit(short, 88), { reason: 'TP', price: 90, level: 90 });
+  });
+  
+  it('reports the stop of a trailing position as TRAIL', () => {
+    assert.equal(botManager.getTriggeredExit({ ...long, trailingStopPct: 2 }, 94).reason, 'TRAIL');
+  });
+  
+  it('ignores unset levels', () => {
+    assert.equal(botManager.getTriggeredExit({ type: 'LONG', entryPrice: 100 }, 1), null);
+  });
+});
+
+describe('checkPaperTriggers', () => {
+  async function closesFor(position, market) {
+    const closes = [];
+    const manager = Object.create(botManager);
+    manager.closePosition = async (bot, positionId, fill, notes, reason) => closes.push({ positionId, price: fill.price, reason });
+    const bot = { name: 'Test', portfolio: { positions: [{ id: 'p1', symbol: 'BTCUSDT', ...position }] } };
+    await manager.checkPaperTriggers(bot, [{ symbol: 'BTCUSDT', ...market }]);
+    return closes;
+  }
+  
+  it('closes at the fill price getTriggeredExit gives', async () => {
+    assert.deepEqual(await closesFor(long, { price: 94 }), [{ positionId: 'p1', price: 94, reason: 'SL' }]);
+    assert.deepEqual(await closesFor(long, { price: 100 }), []);
+  });
+  
+  describe('with a backtest candle range', () => {
+    it('fills a stop crossed within the candle at its level', async () => {
+      assert.deepEqual(await closesFor(long, { price: 97, open: 99, low: 94, high: 100 }), [{ positionId: 'p1', price: 95, reason: 'SL' }]);
+    });
+    
+    it('fills a stop the candle opened through at the open', async () => {
+      assert.deepEqual(await closesFor(long, { price: 92, open: 93, low: 91, high: 94 }), [{ positionId: 'p1', price: 93, reason: 'SL' }]);
+      assert.deepEqual(await closesFor(short, { price: 108, open: 107, low: 106, high: 109 }), [{ positionId: 'p1', price: 107, reason: 'SL' }]);
+    });
+    
+    it('checks the adverse level first when the candle spans both', async () => {
+      assert.deepEqual(await closesFor(long, { price: 100, open: 100, low: 94, high: 111 }), [{ positionId: 'p1', price: 95, reason: 'SL' }]);
+    });
+    
+    it('fills a take-profit at its level, even through a gap', async () => {
+      assert.deepEqual(await closesFor(long, { price: 113, open: 112, low: 111, high: 114 }), [{ positionId: 'p1', price: 110, reason: 'TP' }]);
+    });
+  });
+});
@@ -0,0 +1,113 @@
+/**
+ * @license
+ * SPDX-License-Identifier: MIT
+ *
+ * Paper partial close and position scaling tests
+ */
+
+// BotManager opens the shared connection when loaded; keep it off the real database
+process.env.DATABASE_CLIENT = 'sqlite';
+process.env.DATABASE_PATH = ':memory:';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const BotManager = require('../services/BotManager');
+
+const botManager = new BotManager({}, null);
+// No fees or slippage, so PnL is price movement only
+botManager.settings = { paper_taker_fee_rate: 0, paper_maker_fee_rate: 0, paper_slippage_bps: 0, paper_slippage_impact_bps: 0, paper_max_slippage_bps: 0 };
+
+/**
+ * Backtest bot (skips database writes) holding one 5x long of $100 margin at $100
+ */
+function createBot(fields = {}) {
+  return {
+    id: 'bot_test',
+    name: 'Test Bot',
+    tradingMode: 'paper',
+    backtest: { now: 0, getPriceSeries: () => [] },
+    portfolio: {
+      balance: 1000,
+      totalValue: 1100,
+      positions: [{ id: 'pos_1', symbol: 'BTCUSDT', type: 'LONG', entryPrice: 100, size: 100, leverage: 5, liquidationPrice: 80, stopLoss: 90, takeProfit: 130, fundingPaid: 0, ...fields }]
+    },
+    orders: [],
+    pendingOrders: [],
+    symbolCooldowns: {}
+  };
+}
+
+const assertClose = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `expected ${expected}, got ${actual}`);
+
+describe('getClosePortion', () => {
+  const position = { size: 100, leverage: 5, entryPrice: 100 };
+  
+  it('reads a percentage or an asset quantity, capped at the whole position', () => {
+    assert.equal(botManager.getClosePortion(position, { closePercent: 25 }), 0.25);
+    assert.equal(botManager.getClosePortion(position, { closePercent: 150 }), 1);
+    assert.equal(botManager.getClosePortion(position, { closeQuantity: 1 }), 0.2);
+    assert.equal(botManager.getClosePortion(position, { closeQuantity: 50 }), 1);
+    assert.equal(botManager.getClosePortion(position, {}), 1);
+  });
+});
+
+describe('closePosition', () => {
+  it('realizes PnL on the closed share only and keeps the rest open', async () => {
+    const bot = createBot();
+    const notes = [];
+    await botManager.closePosition(bot, 'pos_1', { symbol: 'BTCUSDT', price: 110 }, notes, null, 0.4);
+    
+    const [position] = bot.portfolio.positions;
+    assert.equal(position.size, 60);
+    assert.equal(position.entryPrice, 100);
+    assert.equal(position.stopLoss, 90);
+    assert.equal(bot.portfolio.balance, 1060);
+    assert.equal(bot.realizedPnl, 20);
+    assert.equal(bot.orders[0].partial, true);
+    assert.equal(bot.orders[0].size, 40);
+    assert.equal(bot.symbolCooldowns.BTCUSDT, undefined);
+    assert.match(notes[0], /Closed 40% of BTCUSDT position.*\$60\.00 margin remains open/);
+  });
+  
+  it('charges the closed share of the funding paid to the trade', async () => {
+    const bot = createBot({ fundingPaid: 10 });
+    await botManager.closePosition(bot, 'pos_1', { symbol: 'BTCUSDT', price: 110 }, [], null, 0.4);
+    
+    assert.equal(bot.orders[0].funding, 4);
+    assert.equal(bot.orders[0].pnl, 16);
+    assert.equal(bot.portfolio.positions[0].fundingPaid, 6);
+  });
+  
+  it('removes the position and starts the symbol cooldown on a full close', async () => {
+    const bot = createBot();
+    await botManager.closePosition(bot, 'pos_1', { symbol: 'BTCUSDT', price: 90 }, [], 'SL');
+    
+    assert.deepEqual(bot.portfolio.positions, []);
+    assert.equal(bot.portfolio.balance, 1050);
+    assert.equal(bot.orders[0].partial, false);
+    assert.equal(bot.orders[0].closeReason, 'SL');
+    assert.ok(bot.symbolCooldowns.BTCUSDT > 0);
+  });
+});
+
+describe('addToPosition', () => {
+  it('averages the entry price by quantity and moves the liquidation price with it', async () => {
+    const bot = createBot();
+    await botManager.addToPosition(bot, { positionId: 'pos_1' }, 100, { symbol: 'BTCUSDT', price: 125 }, []);
+    
+    const [position] = bot.portfolio.positions;
+    // 5 units at $100 plus 4 units at $125
+    assertClose(position.entryPrice, 1000 / 9);
+    assertClose(position.liquidationPrice, (1000 / 9) * 0.8);
+    assert.equal(position.size, 200);
+    assert.equal(position.leverage, 5);
+    assert.equal(bot.portfolio.balance, 900);
+    assert.equal(bot.orders[0].partial, true);
+  });
+  
+  it('notes a position that is no longer open', async () => {
+    const notes = [];
+    await botManager.addToPosition(createBot(), { positionId: 'pos_gone' }, 100, { symbol: 'BTCUSDT', price: 125 }, notes);
+    assert.match(notes[0], /not found/);
+  });
+});
@@ -0,0 +1,145 @@
+/**
+ * @license
+ * SPDX-License-Identifier: MIT
+ *
+ * Paper pending order and trailing stop tests
+ */
+
+// BotManager opens the shared connection when loaded; keep it off the real database
+process.env.DATABASE_CLIENT = 'sqlite';
+process.env.DATABASE_PATH = ':memory:';
+
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const BotManager = require('../services/BotManager');
+
+const botManager = new BotManager({}, null);
+// No fees or slippage, so fills land exactly on the order price
+botManager.settings = { paper_taker_fee_rate: 0, paper_maker_fee_rate: 0, paper_slippage_bps: 0, paper_slippage_impact_bps: 0, paper_max_slippage_bps: 0 };
+
+/**
+ * Backtest bot (skips database writes) with the given pending orders
+ */
+function createBot(pendingOrders = []) {
+  return {
+    id: 'bot_test',
+    name: 'Test Bot',
+    backtest: { now: 0, getPriceSeries: () => [] },
+    portfolio: { balance: 1000, totalValue: 1000, positions: [] },
+    orders: [],
+    pendingOrders,
+    symbolCooldowns: {}
+  };
+}
+
+const order = (fields) => ({ id: 'po_1', symbol: 'BTCUSDT', size: 100, leverage: 5, stopLoss: null, takeProfit: null, trailingStopPct: null, expiresAt: null, ...fields });
+
+describe('isPendingOrderTriggered', () => {
+  it('fills limit orders at or better than their price, stop entries at or past it', () => {
+    assert.equal(botManager.isPendingOrderTriggered({ orderType: 'LIMIT', side: 'LONG', price: 100 }, 99), true);
+    assert.equal(botManager.isPendingOrderTriggered({ orderType: 'LIMIT', side: 'LONG', price: 100 }, 101), false);
+    assert.equal(botManager.isPendingOrderTriggered({ orderType: 'LIMIT', side: 'SHORT', price: 100 }, 101), true);
+    assert.equal(botManager.isPendingOrderTriggered({ orderType: 'STOP', side: 'LONG', price: 100 }, 101), true);
+    assert.equal(botManager.isPendingOrderTriggered({ orderType: 'STOP', side: 'LONG', price: 100 }, 99), false);
+    assert.equal(botManager.isPendingOrderTriggered({ orderType: 'STOP', side: 'SHORT', price: 100 }, 99), true);
+  });
+});
+
+describe('checkPendingOrders', () => {
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+  });
+  
+  it('fills a triggered limit order at its limit price and removes it', async () => {
+    const bot = createBot([order({ orderType: 'LIMIT', side: 'LONG', price: 100 })]);
+    const notes = await botManager.checkPendingOrders(bot, [{ symbol: 'BTCUSDT', price: 98 }], 0);
+    
+    assert.equal(bot.pendingOrders.length, 0);
+    assert.equal(bot.portfolio.positions.length, 1);
+    assert.equal(bot.portfolio.positions[0].entryPrice, 100);
+    assert.equal(bot.portfolio.balance, 900);
+    assert.match(notes.at(-1), /^FILLED LIMIT LONG BTCUSDT @ \$100/);
+  });
+  
+  it('fills a stop entry at the market price', async () => {
+    const bot = createBot([order({ orderType: 'STOP', side: 'LONG', price: 100 })]);
+    await botManager.checkPendingOrders(bot, [{ symbol: 'BTCUSDT', price: 102 }], 0);
+    
+    assert.equal(bot.portfolio.positions[0].entryPrice, 102);
+  });
+  
+  it('leaves orders the price has not reached', async () => {
+    const bot = createBot([order({ orderType: 'LIMIT', side: 'LONG', price: 100 })]);
+    const notes = await botManager.checkPendingOrders(bot, [{ symbol: 'BTCUSDT', price: 101 }], 0);
+    
+    assert.deepEqual(notes, []);
+    assert.equal(bot.pendingOrders.length, 1);
+  });
+  
+  it('fills at the order price when the candle range reached it', async () => {
+    const bot = createBot([order({ orderType: 'STOP', side: 'SHORT', price: 95 })]);
+    await botManager.checkPendingOrders(bot, [{ symbol: 'BTCUSDT', price: 99, low: 94, high: 101 }], 0);
+    
+    assert.equal(bot.portfolio.positions[0].entryPrice, 95);
+  });
+  
+  it('expires orders past their expiry without filling them', async () => {
+    const bot = createBot([order({ orderType: 'LIMIT', side: 'LONG', price: 100, expiresAt: 1000 })]);
+    const notes = await botManager.checkPendingOrders(bot, [{ symbol: 'BTCUSDT', price: 98 }], 1000);
+    
+    assert.equal(bot.pendingOrders.length, 0);
+    assert.equal(bot.portfolio.positions.length, 0);
+    assert.match(notes[0], /^EXPIRED LIMIT LONG BTCUSDT/);
+  });
+  
+  it('rejects a fill the balance no longer covers', async () => {
+    const bot = createBot([order({ orderType: 'LIMIT', side: 'LONG', price: 100 })]);
+    bot.portfolio.balance = 50;
+    const notes = await botManager.checkPendingOrders(bot, [{ symbol: 'BTCUSDT', price: 98 }], 0);
+    
+    assert.equal(bot.pendingOrders.length, 0);
+    assert.equal(bot.portfolio.positions.length, 0);
+    assert.match(notes[0], /^REJECTED LIMIT LONG BTCUSDT/);
+  });
+  
+  it('opens the position with the order\'s trailing stop', async () => {
+    const bot = createBot([order({ orderType: 'LIMIT', side: 'LONG', price: 100, trailingStopPct: 2 })]);
+    await botManager.checkPendingOrders(bot, [{ symbol: 'BTCUSDT', price: 100 }], 0);
+    
+    const position = bot.portfolio.positions[0];
+    assert.equal(position.trailingPeakPrice, 100);
+    assert.equal(position.stopLoss, 98);
+  });
+});
+
+describe('updateTrailingStops', () => {
+  const trailing = (fields) => ({ id: 'pos_1', symbol: 'BTCUSDT', entryPrice: 100, trailingStopPct: 2, ...fields });
+  
+  it('moves a long stop up with new highs and never back down', () => {
+    const position = trailing({ type: 'LONG', trailingPeakPrice: 100, stopLoss: 98 });
+    const bot = createBot();
+    bot.portfolio.positions.push(position);
+    
+    botManager.updateTrailingStops(bot, [{ symbol: 'BTCUSDT', price: 110 }]);
+    assert.equal(position.trailingPeakPrice, 110);
+    assert.equal(position.stopLoss, 107.8);
+    
+    botManager.updateTrailingStops(bot, [{ symbol: 'BTCUSDT', price: 105 }]);
+    assert.equal(position.trailingPeakPrice, 110);
+    assert.equal(position.stopLoss, 107.8);
+  });
+  
+  it('moves a short stop down with new lows', () => {
+    const position = trailing({ type: 'SHORT', trailingPeakPrice: 100, stopLoss: 102 });
+    const bot = createBot();
+    bot.portfolio.positions.push(position);
+    
+    botManager.updateTrailingStops(bot, [{ symbol: 'BTCUSDT', price: 90 }]);
+    assert.equal(position.stopLoss, 91.8);
+  });
+  
+  it('keeps a fixed stop-loss that is tighter than the trail', () => {
+    assert.equal(botManager.getTrailedStopLoss({ type: 'LONG', trailingPeakPrice: 100, trailingStopPct: 5, stopLoss: 97 }), 97);
+    assert.equal(botManager.getTrailedStopLoss({ type: 'LONG', trailingPeakPrice: 100, trailingStopPct: 5, stopLoss: null }), 95);
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * @license
+ * SPDX-License-Identifier: MIT
+ *
+ * Provider failover and circuit breaker tests
+ */
+
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { CircuitBreaker, ProviderChainError, circuitBreaker, callWithFailover, isRetryableError } = require('../services/providerFailover');
+
+const NO_DELAY = { maxRetries: 2, baseDelayMs: 0, maxDelayMs: 0 };
+const httpError = (status) => Object.assign(new Error(`HTTP ${status}`), { response: { status } });
+
+// Provider IDs are unique per test: the shared circuit breaker remembers them
+let nextProviderId = 1;
+const provider = (name) => ({ id: nextProviderId++, name });
+
+describe('CircuitBreaker', () => {
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+  });
+  
+  it('opens after the failure threshold of consecutive failures', () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 3, cooldownMs: 60000 });
+    breaker.recordFailure('p');
+    breaker.recordFailure('p');
+    assert.equal(breaker.getState('p'), 'closed');
+    
+    breaker.recordFailure('p');
+    assert.equal(breaker.getState('p'), 'open');
+    assert.equal(breaker.isAvailable('p'), false);
+  });
+  
+  it('resets the failure count on a success', () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 2, cooldownMs: 60000 });
+    breaker.recordFailure('p');
+    breaker.recordSuccess('p');
+    breaker.recordFailure('p');
+    assert.equal(breaker.getState('p'), 'closed');
+  });
+  
+  it('allows a trial call once the cooldown is over: success closes, failure reopens', () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 1, cooldownMs: 0 });
+    breaker.recordFailure('p');
+    assert.equal(breaker.getState('p'), 'half_open');
+    assert.equal(breaker.isAvailable('p'), true);
+    
+    breaker.configure({ cooldownMs: 60000 });
+    breaker.recordFailure('p');
+    assert.equal(breaker.getState('p'), 'open');
+    
+    breaker.configure({ cooldownMs: 0 });
+    breaker.recordSuccess('p');
+    assert.equal(breaker.getState('p'), 'closed');
+    assert.deepEqual(breaker.getStatus(), {});
+  });
+});
+
+describe('callWithFailover', () => {
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    circuitBreaker.configure({ failureThreshold: 5, cooldownMs: 60000 });
+  });
+  
+  it('retries retryable errors on the same provider', async () => {
+    const primary = provider('primary');
+    let calls = 0;
+    const { result, attempts } = await callWithFailover([primary], async () => {
+      calls++;
+      if (calls < 3) {
+        throw httpError(503);
+      }
+      return 'ok';
+    }, { policy: NO_DELAY });
+    
+    assert.equal(result, 'ok');
+    assert.deepEqual(attempts.map(a => a.status), ['failed', 'failed', 'ok']);
+  });
+  
+  it('fails over on a non-retryable error without retrying', async () => {
+    const primary = provider('primary');
+    const fallback = provider('fallback');
+    const { result, provider: used, attempts } = await callWithFailover([primary, fallback], async (p) => {
+      if (p === primary) {
+        throw httpError(401);
+      }
+      return 'fallback answer';
+    }, { policy: NO_DELAY });
+    
+    assert.equal(result, 'fallback answer');
+    assert.equal(used, fallback);
+    assert.deepEqual(attempts.map(a => [a.providerName, a.status]), [['primary', 'failed'], ['fallback', 'ok']]);
+  });
+  
+  it('skips a provider whose circuit is open', async () => {
+    const broken = provider('broken');
+    const healthy = provider('healthy');
+    circuitBreaker.configure({ failureThreshold: 1 });
+    circuitBreaker.recordFailure(broken.id, broken.name);
+    
+    const called = [];
+    const { attempts } = await callWithFailover([broken, healthy], async (p) => {
+      called.push(p.name);
+      return 'ok';
+    }, { policy: NO_DELAY });
+    
+    assert.deepEqual(called, ['healthy']);
+    assert.deepEqual(attempts[0], { providerId: broken.id, providerName: 'broken', status: 'skipped', error: 'circuit open' });
+  });
+  
+  it('throws a ProviderChainError with every attempt when the whole chain fails', async () => {
+    const chain = [provider('a'), provider('b')];
+    await assert.rejects(
+      callWithFailover(chain, async () => { throw httpError(400); }, { policy: NO_DELAY }),
+      (error) => error instanceof ProviderChainError && /All 2 providers failed/.test(error.message) && error.attempts.length === 2
+    );
+    await assert.rejects(callWithFailover([], async () => 'ok'), /No providers configured/);
+  });
+});
+
+describe('isRetryableError', () => {
+  it('retries timeouts, rate limits and server errors only', () => {
+    assert.equal(isRetryableError(httpError(429)), true);
+    assert.equal(isRetryableError(httpError(502)), true);
+    assert.equal(isRetryableError(Object.assign(new Error('timeout'), { code: 'ETIMEDOUT' })), true);
+    assert.equal(isRetryableError(httpError(400)), false);
+    assert.equal(isRetryableError(new Error('bad response')), false);
+  });
+});
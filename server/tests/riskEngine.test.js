@@ -0,0 +1,200 @@
+/**
+ * @license
+ * SPDX-License-Identifier: MIT
+ *
+ * Risk Engine tests
+ */
+
+// The candle service opens the shared connection when loaded; keep it off the real database
+process.env.DATABASE_CLIENT = 'sqlite';
+process.env.DATABASE_PATH = ':memory:';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveRiskLimits, updateRiskState, evaluateDecisions } = require('../services/riskEngine');
+const BotManager = require('../services/BotManager');
+
+const NO_LIMITS = resolveRiskLimits();
+const uncorrelated = async () => 0;
+
+function createBot(positions = [], totalValue = 10000) {
+  const bot = { portfolio: { totalValue, positions } };
+  updateRiskState(bot, new Date('2025-01-01T12:00:00Z'));
+  return bot;
+}
+
+function entry(action, symbol, size, leverage = 1) {
+  return { decision: { action, symbol, size }, adjustedLeverage: leverage };
+}
+
+async function evaluate(bot, decisions, limits, getCorrelation = uncorrelated) {
+  return evaluateDecisions(bot, decisions, { limits: { ...NO_LIMITS, ...limits }, getCorrelation });
+}
+
+describe('resolveRiskLimits', () => {
+  it('applies the stricter of the global and per-bot limit', () => {
+    const limits = resolveRiskLimits({ risk_max_positions: 5, risk_max_drawdown_pct: 20 }, { maxPositions: 3, maxDrawdownPct: 50 });
+    assert.equal(limits.maxPositions, 3);
+    assert.equal(limits.maxDrawdownPct, 20);
+  });
+  
+  it('treats 0 and unset as no limit', () => {
+    const limits = resolveRiskLimits({ risk_max_positions: 0 }, {});
+    assert.equal(limits.maxPositions, null);
+    assert.equal(limits.dailyLossLimitPct, null);
+  });
+});
+
+describe('evaluateDecisions', () => {
+  it('approves everything when no limit is set', async () => {
+    const decisions = [entry('LONG', 'BTCUSDT', 5000, 10), entry('SHORT', 'ETHUSDT', 5000, 10)];
+    const { approved, rejections } = await evaluate(createBot(), decisions, {});
+    assert.equal(approved.length, 2);
+    assert.equal(rejections.length, 0);
+  });
+  
+  it('counts approved decisions against the ones after them', async () => {
+    const decisions = [entry('LONG', 'BTCUSDT', 100), entry('LONG', 'ETHUSDT', 100), entry('LONG', 'SOLUSDT', 100)];
+    const { approved, rejections } = await evaluate(createBot(), decisions, { maxPositions: 2 });
+    assert.deepEqual(approved.map(v => v.decision.symbol), ['BTCUSDT', 'ETHUSDT']);
+    assert.equal(rejections[0].rule, 'max_positions');
+  });
+  
+  it('frees a slot for a full close but not a partial one', async () => {
+    const bot = createBot([{ id: 'p1', symbol: 'BTCUSDT', type: 'LONG', size: 100, leverage: 1 }]);
+    const fullClose = await evaluate(bot, [{ decision: { action: 'CLOSE', closePositionId: 'p1' } }, entry('LONG', 'ETHUSDT', 100)], { maxPositions: 1 });
+    assert.equal(fullClose.rejections.length, 0);
+    
+    const partialClose = await evaluate(bot, [{ decision: { action: 'CLOSE', closePositionId: 'p1', closePercent: 50 } }, entry('LONG', 'ETHUSDT', 100)], { maxPositions: 1 });
+    assert.equal(partialClose.rejections[0].rule, 'max_positions');
+  });
+  
+  it('limits total exposure as a multiple of equity', async () => {
+    const bot = createBot([{ id: 'p1', symbol: 'BTCUSDT', type: 'LONG', size: 1000, leverage: 10 }]);
+    const { rejections } = await evaluate(bot, [entry('SHORT', 'ETHUSDT', 1000, 11)], { maxExposureMultiple: 2 });
+    assert.equal(rejections[0].rule, 'max_exposure');
+    assert.equal(rejections[0].value, 2.1);
+  });
+  
+  it('checks an ADD against its position instead of opening another', async () => {
+    const bot = createBot([{ id: 'p1', symbol: 'BTCUSDT', type: 'LONG', size: 1500, leverage: 1 }]);
+    const add = { decision: { action: 'ADD', positionId: 'p1', symbol: 'BTCUSDT', size: 1000 }, adjustedLeverage: 1 };
+    const { approved, rejections } = await evaluate(bot, [add], { maxPositions: 1, maxSymbolMarginPct: 20 });
+    assert.equal(approved.length, 0);
+    assert.equal(rejections[0].rule, 'max_symbol_margin');
+  });
+  
+  it('adds correlated same-direction exposure, and unknown correlations count as correlated', async () => {
+    const bot = createBot([{ id: 'p1', symbol: 'BTCUSDT', type: 'LONG', size: 1000, leverage: 10 }]);
+    const limits = { maxCorrelatedExposureMultiple: 1.5 };
+    
+    const correlated = await evaluate(bot, [entry('LONG', 'ETHUSDT', 1000, 10)], limits, async () => 0.9);
+    assert.equal(correlated.rejections[0].rule, 'max_correlated_exposure');
+    
+    const unrelated = await evaluate(bot, [entry('LONG', 'ETHUSDT', 1000, 10)], limits, async () => 0.1);
+    assert.equal(unrelated.rejections.length, 0);
+    
+    const unknown = await evaluate(bot, [entry('LONG', 'ETHUSDT', 1000, 10)], limits, async () => null);
+    assert.equal(unknown.rejections[0].rule, 'max_correlated_exposure');
+    
+    const hedge = await evaluate(bot, [entry('SHORT', 'ETHUSDT', 1000, 10)], limits, async () => 0.9);
+    assert.equal(hedge.rejections.length, 0);
+  });
+  
+  it('never blocks closes, modifications or cancellations', async () => {
+    const bot = createBot([{ id: 'p1', symbol: 'BTCUSDT', type: 'LONG', size: 100, leverage: 1 }], 5000);
+    bot.riskState.killSwitchAt = Date.now();
+    const decisions = [
+      { decision: { action: 'CLOSE', closePositionId: 'p1', closePercent: 50 } },
+      { decision: { action: 'MODIFY', positionId: 'p1', stopLoss: 90 } },
+      { decision: { action: 'CANCEL', orderId: 'o1' } }
+    ];
+    const { approved, rejections } = await evaluate(bot, decisions, { maxDrawdownPct: 10, maxPositions: 1 });
+    assert.equal(approved.length, 3);
+    assert.equal(rejections.length, 0);
+  });
+});
+
+describe('daily loss limit and drawdown kill-switch', () => {
+  it('halts new positions once the day is down past the limit, until the next UTC day', async () => {
+    const bot = createBot();
+    bot.portfolio.totalValue = 9400;
+    updateRiskState(bot, new Date('2025-01-01T18:00:00Z'));
+    
+    const halted = await evaluate(bot, [entry('LONG', 'BTCUSDT', 100)], { dailyLossLimitPct: 5 });
+    assert.equal(halted.rejections[0].rule, 'daily_loss_limit');
+    
+    updateRiskState(bot, new Date('2025-01-02T00:01:00Z'));
+    const nextDay = await evaluate(bot, [entry('LONG', 'BTCUSDT', 100)], { dailyLossLimitPct: 5 });
+    assert.equal(nextDay.rejections.length, 0);
+  });
+  
+  it('keeps the daily halt once hit, even if equity recovers that day', async () => {
+    const bot = createBot();
+    bot.riskState.dailyHaltDay = bot.riskState.day;
+    const { rejections } = await evaluate(bot, [entry('LONG', 'BTCUSDT', 100)], { dailyLossLimitPct: 5 });
+    assert.equal(rejections[0].rule, 'daily_loss_limit');
+  });
+  
+  it('measures drawdown from peak equity across days', async () => {
+    const bot = createBot();
+    bot.portfolio.totalValue = 12000;
+    updateRiskState(bot, new Date('2025-01-02T12:00:00Z'));
+    bot.portfolio.totalValue = 10500;
+    updateRiskState(bot, new Date('2025-01-03T12:00:00Z'));
+    assert.equal(bot.riskState.peakValue, 12000);
+    
+    const { rejections } = await evaluate(bot, [entry('LONG', 'BTCUSDT', 100)], { maxDrawdownPct: 10 });
+    assert.equal(rejections[0].rule, 'max_drawdown');
+    assert.equal(rejections[0].value, 12.5);
+  });
+  
+  it('blocks entries while the kill-switch is tripped, even below the limit', async () => {
+    const bot = createBot();
+    bot.riskState.killSwitchAt = Date.now();
+    const { rejections } = await evaluate(bot, [entry('SHORT', 'BTCUSDT', 100)], { maxDrawdownPct: 50 });
+    assert.equal(rejections[0].rule, 'max_drawdown');
+  });
+});
+
+describe('BotManager.enforceRiskLimits', () => {
+  // Backtest bots run on their own clock and are never written to the database
+  function createManagedBot(limits) {
+    const botManager = new BotManager({}, null);
+    botManager.settings = {};
+    const bot = {
+      id: 'bot_test',
+      name: 'Test',
+      riskLimits: limits,
+      isPaused: false,
+      portfolio: { balance: 10000, totalValue: 10000, positions: [] },
+      pendingOrders: [{ id: 'pord_1', symbol: 'BTCUSDT', orderType: 'LIMIT', side: 'LONG', price: 90, size: 100 }],
+      backtest: { now: Date.parse('2025-01-01T12:00:00Z') }
+    };
+    return { botManager, bot };
+  }
+  
+  it('trips the kill-switch at the drawdown limit: pauses the bot and cancels its pending orders', async () => {
+    const { botManager, bot } = createManagedBot({ maxDrawdownPct: 10 });
+    assert.equal(await botManager.enforceRiskLimits(bot), false);
+    
+    bot.portfolio.totalValue = 8900;
+    assert.equal(await botManager.enforceRiskLimits(bot), true);
+    assert.equal(bot.isPaused, true);
+    assert.equal(bot.pendingOrders.length, 0);
+    assert.equal(bot.riskState.killSwitchAt, bot.backtest.now);
+    
+    // Tripped once; it stays tripped until the owner resumes the bot
+    assert.equal(await botManager.enforceRiskLimits(bot), false);
+  });
+  
+  it('halts the day without pausing at the daily loss limit', async () => {
+    const { botManager, bot } = createManagedBot({ dailyLossLimitPct: 5 });
+    await botManager.enforceRiskLimits(bot);
+    
+    bot.portfolio.totalValue = 9400;
+    assert.equal(await botManager.enforceRiskLimits(bot), false);
+    assert.equal(bot.isPaused, false);
+    assert.equal(bot.riskState.dailyHaltDay, '2025-01-01');
+  });
+});
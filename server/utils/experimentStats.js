@@ -0,0 +1,207 @@
+/**
+ * Experiment Statistics
+ *
+ * Compares the variants of an A/B prompt experiment with its baseline. The
+ * variants trade on the same schedule and market snapshots, so their equity
+ * curves are paired period by period and the differences in total return,
+ * Sharpe ratio and max drawdown are tested with a paired moving-block bootstrap
+ * (resampling blocks of periods keeps the autocorrelation of trading returns).
+ */
+
+const { calculateRiskMetrics } = require('./riskMetrics');
+
+const MAX_PERIODS = 500; // Longer experiments are compared on a coarser grid
+const MIN_PERIODS = 30; // Fewer paired returns than this are never reported as significant
+const BOOTSTRAP_SAMPLES = 2000;
+const SIGNIFICANCE_LEVEL = 0.05;
+
+/**
+ * Deterministic PRNG (mulberry32) seeded from a string, so results don't change on reload
+ */
+function createRandom(seed) {
+  let state = 0;
+  for (const char of String(seed)) {
+    state = (Math.imul(state, 31) + char.charCodeAt(0)) | 0;
+  }
+  
+  return () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Sample every series on a shared time grid (the last value at or before each point)
+ * The grid covers the span all series have data for.
+ * @param {Array<Array<{time: number, value: number}>>} seriesList - Ordered by time
+ * @param {number} stepMs - Grid spacing (widened to keep at most MAX_PERIODS points)
+ * @returns {{times: number[], values: number[][], stepMs: number}}
+ */
+function alignSeries(seriesList, stepMs) {
+  if (seriesList.some(series => series.length === 0)) {
+    return { times: [], values: seriesList.map(() => []), stepMs };
+  }
+  
+  const start = Math.max(...seriesList.map(series => series[0].time));
+  const end = Math.min(...seriesList.map(series => series[series.length - 1].time));
+  const step = Math.max(stepMs, Math.ceil((end - start) / (MAX_PERIODS - 1)), 1);
+  
+  const times = [];
+  for (let time = start; time <= end; time += step) {
+    times.push(time);
+  }
+  
+  const values = seriesList.map(series => {
+    let index = 0;
+    return times.map(time => {
+      while (index + 1 < series.length && series[index + 1].time <= time) {
+        index++;
+      }
+      return series[index].value;
+    });
+  });
+  
+  return { times, values, stepMs: step };
+}
+
+/**
+ * Per-period returns (fractions) of a value series
+ */
+function toReturns(values) {
+  const returns = [];
+  for (let i = 1; i < values.length; i++) {
+    returns.push(values[i - 1] !== 0 ? values[i] / values[i - 1] - 1 : 0);
+  }
+  return returns;
+}
+
+/**
+ * Total return %, Sharpe ratio and max drawdown % of a sequence of returns
+ * (same definitions as calculateRiskMetrics, unrounded, without building the value series)
+ */
+function summarizeReturns(returns, indices) {
+  let growth = 1;
+  let peak = 1;
+  let maxDrawdown = 0;
+  let sum = 0;
+  let sumSquares = 0;
+  
+  for (const index of indices) {
+    const r = returns[index];
+    growth *= 1 + r;
+    if (growth > peak) {
+      peak = growth;
+    }
+    maxDrawdown = Math.max(maxDrawdown, (peak - growth) / peak);
+    sum += r;
+    sumSquares += r * r;
+  }
+  
+  const mean = sum / indices.length;
+  const stdDev = Math.sqrt(Math.max(0, sumSquares / indices.length - mean * mean));
+  
+  return {
+    total_return: (growth - 1) * 100,
+    sharpe_ratio: stdDev > 1e-12 ? mean / stdDev : 0,
+    max_drawdown: maxDrawdown * 100
+  };
+}
+
+/**
+ * Indices of one circular moving-block bootstrap resample
+ */
+function resampleIndices(length, blockLength, random) {
+  const indices = [];
+  while (indices.length < length) {
+    const start = Math.floor(random() * length);
+    for (let offset = 0; offset < blockLength && indices.length < length; offset++) {
+      indices.push((start + offset) % length);
+    }
+  }
+  return indices;
+}
+
+const round = (value, decimals) => parseFloat(value.toFixed(decimals));
+
+/**
+ * Compare each variant's equity curve with the baseline's
+ * @param {Array<Array<{time: number, value: number}>>} seriesList - Portfolio values per variant, baseline first
+ * @param {Object} options
+ * @param {number} options.stepMs - Period length (the variants' turn interval)
+ * @param {string} options.seed - Seeds the bootstrap (e.g. the experiment ID)
+ * @param {number} options.samples - Bootstrap resamples
+ * @returns {Object} { periods, period_ms, start, end, enough_data, equity, variants }; each variant has
+ *   its own metrics and (except the baseline) `comparison`: per metric the difference from the
+ *   baseline with a 95% confidence interval, a two-sided p-value and `significant`
+ */
+function compareVariants(seriesList, { stepMs, seed = '', samples = BOOTSTRAP_SAMPLES } = {}) {
+  const { times, values, stepMs: periodMs } = alignSeries(seriesList, stepMs);
+  const returns = values.map(toReturns);
+  const periods = times.length > 0 ? times.length - 1 : 0;
+  
+  const result = {
+    periods,
+    period_ms: periodMs,
+    start: times.length > 0 ? times[0] : null,
+    end: times.length > 0 ? times[times.length - 1] : null,
+    min_periods: MIN_PERIODS,
+    enough_data: periods >= MIN_PERIODS,
+    equity: values.map(series => series.map((value, index) => ({ time: times[index], value }))),
+    variants: values.map(series => ({
+      total_return_pct: series.length > 0 ? round((series[series.length - 1] / series[0] - 1) * 100, 2) : null,
+      metrics: calculateRiskMetrics(series),
+      comparison: null
+    }))
+  };
+  
+  if (periods < 2) {
+    return result;
+  }
+  
+  const allIndices = returns[0].map((r, index) => index);
+  const observed = returns.map(series => summarizeReturns(series, allIndices));
+  
+  // Same resampled periods for every variant keeps the comparison paired
+  const blockLength = Math.max(1, Math.round(Math.cbrt(periods)));
+  const random = createRandom(seed);
+  const differences = returns.map(() => ({ total_return: [], sharpe_ratio: [], max_drawdown: [] }));
+  for (let sample = 0; sample < samples; sample++) {
+    const indices = resampleIndices(periods, blockLength, random);
+    const baseline = summarizeReturns(returns[0], indices);
+    for (let v = 1; v < returns.length; v++) {
+      const variant = summarizeReturns(returns[v], indices);
+      for (const metric of Object.keys(differences[v])) {
+        differences[v][metric].push(variant[metric] - baseline[metric]);
+      }
+    }
+  }
+  
+  for (let v = 1; v < returns.length; v++) {
+    result.variants[v].comparison = {};
+    for (const [metric, distribution] of Object.entries(differences[v])) {
+      distribution.sort((a, b) => a - b);
+      const atOrBelowZero = distribution.filter(d => d <= 0).length / samples;
+      const atOrAboveZero = distribution.filter(d => d >= 0).length / samples;
+      const pValue = Math.min(1, 2 * Math.min(atOrBelowZero, atOrAboveZero));
+      
+      result.variants[v].comparison[metric] = {
+        difference: round(observed[v][metric] - observed[0][metric], 4),
+        ci_low: round(distribution[Math.floor(samples * SIGNIFICANCE_LEVEL / 2)], 4),
+        ci_high: round(distribution[Math.min(samples - 1, Math.ceil(samples * (1 - SIGNIFICANCE_LEVEL / 2)) - 1)], 4),
+        p_value: round(pValue, 4),
+        significant: result.enough_data && pValue < SIGNIFICANCE_LEVEL
+      };
+    }
+  }
+  
+  return result;
+}
+
+module.exports = {
+  MIN_PERIODS,
+  SIGNIFICANCE_LEVEL,
+  alignSeries,
+  compareVariants
+};
@@ -0,0 +1,67 @@
+/**
+ * Risk Metrics Utilities
+ * 
+ * Shared risk metric calculations for live snapshots and backtest equity curves.
+ */
+
+/**
+ * Calculate risk metrics from an ordered series of portfolio values
+ * @param {number[]} values - Portfolio values, oldest first
+ * @returns {Object|null} - { sharpe_ratio, sortino_ratio, max_drawdown, volatility, average_return }, or null with fewer than 2 values
+ */
+function calculateRiskMetrics(values) {
+  if (!Array.isArray(values) || values.length < 2) {
+    return null;
+  }
+  
+  // Calculate returns
+  const returns = [];
+  for (let i = 1; i < values.length; i++) {
+    const prevValue = values[i - 1];
+    const currValue = values[i];
+    const returnPct = ((currValue - prevValue) / prevValue) * 100;
+    returns.push(returnPct);
+  }
+  
+  // Calculate max drawdown
+  let maxDrawdown = 0;
+  let peak = values[0];
+  
+  for (const value of values) {
+    if (value > peak) {
+      peak = value;
+    }
+    const drawdown = ((peak - value) / peak) * 100;
+    if (drawdown > maxDrawdown) {
+      maxDrawdown = drawdown;
+    }
+  }
+  
+  // Calculate average return and standard deviation
+  const avgReturn = returns.reduce((sum, r) => sum + r, 0) / returns.length;
+  const variance = returns.reduce((sum, r) => sum + Math.pow(r - avgReturn, 2), 0) / returns.length;
+  const stdDev = Math.sqrt(variance);
+  
+  // Sharpe ratio (assuming risk-free rate of 0 for simplicity)
+  const sharpeRatio = stdDev !== 0 ? avgReturn / stdDev : 0;
+  
+  // Sortino ratio (only considers downside deviation)
+  const downsideReturns = returns.filter(r => r < 0);
+  const downsideVariance = downsideReturns.length > 0
+    ? downsideReturns.reduce((sum, r) => sum + Math.pow(r, 2), 0) / downsideReturns.length
+    : 0;
+  const downsideStdDev = Math.sqrt(downsideVariance);
+  const sortinoRatio = downsideStdDev !== 0 ? avgReturn / downsideStdDev : 0;
+  
+  return {
+    sharpe_ratio: parseFloat(sharpeRatio.toFixed(2)),
+    sortino_ratio: parseFloat(sortinoRatio.toFixed(2)),
+    max_drawdown: parseFloat(maxDrawdown.toFixed(2)),
+    volatility: parseFloat(stdDev.toFixed(2)),
+    average_return: parseFloat(avgReturn.toFixed(2))
+  };
+}
+
+module.exports = {
+  calculateRiskMetrics
+};
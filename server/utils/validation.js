@@ -245,6 +245,102 @@ function validateRecoveryPhrase(phrase) {
   };
 }
 
+/**
+ * Validate per-bot model overrides (bots.config_json)
+ * @param {Object|null} config - Parsed config_json
+ * @returns {Object} - { valid: boolean, errors: string[] }
+ */
+function validateModelConfig(config) {
+  const errors = [];
+  
+  if (config === null || config === undefined) {
+    return { valid: true, errors: [] };
+  }
+  
+  if (typeof config !== 'object' || Array.isArray(config)) {
+    return { valid: false, errors: ['Model config must be a JSON object'] };
+  }
+  
+  const allowedKeys = ['model', 'temperature', 'maxTokens', 'topP', 'systemPrompt'];
+  const unknownKeys = Object.keys(config).filter(key => !allowedKeys.includes(key));
+  if (unknownKeys.length > 0) {
+    errors.push(`Unknown model config fields: ${unknownKeys.join(', ')}`);
+  }
+  
+  const isSet = value => value !== undefined && value !== null && value !== '';
+  
+  if (isSet(config.model) && (typeof config.model !== 'string' || config.model.length > 100)) {
+    errors.push('model must be a string of at most 100 characters');
+  }
+  
+  if (isSet(config.temperature) && (typeof config.temperature !== 'number' || config.temperature < 0 || config.temperature > 2)) {
+    errors.push('temperature must be a number between 0 and 2');
+  }
+  
+  if (isSet(config.maxTokens) && (!Number.isInteger(config.maxTokens) || config.maxTokens < 1 || config.maxTokens > 200000)) {
+    errors.push('maxTokens must be an integer between 1 and 200000');
+  }
+  
+  if (isSet(config.topP) && (typeof config.topP !== 'number' || config.topP < 0 || config.topP > 1)) {
+    errors.push('topP must be a number between 0 and 1');
+  }
+  
+  if (isSet(config.systemPrompt) && (typeof config.systemPrompt !== 'string' || config.systemPrompt.length > 10000)) {
+    errors.push('systemPrompt must be a string of at most 10000 characters');
+  }
+  
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Validate per-bot risk limits (bots.risk_limits_json)
+ * @param {Object|null} limits - Parsed risk_limits_json
+ * @returns {Object} - { valid: boolean, errors: string[] }
+ */
+function validateRiskLimits(limits) {
+  const errors = [];
+  
+  if (limits === null || limits === undefined) {
+    return { valid: true, errors: [] };
+  }
+  
+  if (typeof limits !== 'object' || Array.isArray(limits)) {
+    return { valid: false, errors: ['Risk limits must be a JSON object'] };
+  }
+  
+  const ranges = {
+    maxExposureMultiple: { min: 0, max: 1000, label: 'a number between 0 and 1000' },
+    maxPositions: { min: 0, max: 1000, integer: true, label: 'an integer between 0 and 1000' },
+    maxSymbolMarginPct: { min: 0, max: 100, label: 'a percent between 0 and 100' },
+    maxCorrelatedExposureMultiple: { min: 0, max: 1000, label: 'a number between 0 and 1000' },
+    dailyLossLimitPct: { min: 0, max: 100, label: 'a percent between 0 and 100' },
+    maxDrawdownPct: { min: 0, max: 100, label: 'a percent between 0 and 100' }
+  };
+  
+  const unknownKeys = Object.keys(limits).filter(key => !ranges[key]);
+  if (unknownKeys.length > 0) {
+    errors.push(`Unknown risk limit fields: ${unknownKeys.join(', ')}`);
+  }
+  
+  for (const [key, range] of Object.entries(ranges)) {
+    const value = limits[key];
+    if (value === undefined || value === null) {
+      continue;
+    }
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < range.min || value > range.max || (range.integer && !Number.isInteger(value))) {
+      errors.push(`${key} must be ${range.label}`);
+    }
+  }
+  
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
 module.exports = {
   validatePassword,
   calculatePasswordStrength,
@@ -252,5 +348,7 @@ module.exports = {
   validateEmail,
   sanitizeInput,
   validateRecoveryPhrase,
+  validateModelConfig,
+  validateRiskLimits,
 };
 
@@ -106,6 +106,10 @@ class WebSocketServer {
             console.log(`📢 ${ws.username} subscribed to channel: ${channel}`);
           }
           
+          if (data.type === 'unsubscribe' && ws.channels) {
+            ws.channels.delete(data.channel);
+          }
+          
         } catch (error) {
           console.error('Error parsing WebSocket message:', error);
         }
@@ -280,8 +284,10 @@ class WebSocketServer {
    * Broadcast to a specific channel
    * @param {string} channel - The channel name
    * @param {Object} message - The message to broadcast
+   * @param {Object} options
+   * @param {boolean} options.log - Log the broadcast (off for high-frequency messages like streamed tokens)
    */
-  broadcastToChannel(channel, message) {
+  broadcastToChannel(channel, message, { log = true } = {}) {
     if (!this.wss) {
       console.warn('WebSocket server not initialized');
       return;
@@ -305,11 +311,25 @@ class WebSocketServer {
       }
     });
 
-    if (successCount > 0) {
+    if (log && successCount > 0) {
       console.log(`Broadcasted to channel "${channel}": ${successCount} recipient(s)`);
     }
   }
 
+  /**
+   * Whether any connected client is subscribed to a channel
+   * @param {string} channel - The channel name
+   * @returns {boolean}
+   */
+  hasChannelSubscribers(channel) {
+    for (const ws of this.clients) {
+      if (ws.channels && ws.channels.has(channel) && ws.readyState === WebSocket.OPEN) {
+        return true;
+      }
+    }
+    return false;
+  }
+
   /**
    * Get the number of connected clients
    * @returns {number}
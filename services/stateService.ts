@@ -1,6 +1,6 @@
 // services/stateService.ts
 import { wsService } from './websocketService';
-import { ArenaState } from '../types';
+import { ArenaState, BudgetAlert, RiskAlert, BotThought } from '../types';
 import { API_URL } from '../config';
 
 /**
@@ -46,6 +46,67 @@ export const subscribeToStateChanges = (callback: (newState: ArenaState) => void
   };
 };
 
+/**
+ * Subscribe to LLM budget warnings and exhaustion notices for the current user's bots
+ * Returns an unsubscribe function
+ */
+export const subscribeToBudgetAlerts = (callback: (alert: BudgetAlert) => void): (() => void) => {
+  if (!wsService.isConnected()) {
+    wsService.connect();
+  }
+  
+  const onWarning = (payload: Omit<BudgetAlert, 'type'>) => callback({ ...payload, type: 'budget_warning' });
+  const onExhausted = (payload: Omit<BudgetAlert, 'type'>) => callback({ ...payload, type: 'budget_exhausted' });
+  wsService.subscribe('budget_warning', onWarning);
+  wsService.subscribe('budget_exhausted', onExhausted);
+  
+  return () => {
+    wsService.unsubscribe('budget_warning', onWarning);
+    wsService.unsubscribe('budget_exhausted', onExhausted);
+  };
+};
+
+/**
+ * Subscribe to risk limit alerts (daily loss halts, drawdown kill-switch) for the current user's bots
+ * Returns an unsubscribe function
+ */
+export const subscribeToRiskAlerts = (callback: (alert: RiskAlert) => void): (() => void) => {
+  if (!wsService.isConnected()) {
+    wsService.connect();
+  }
+  
+  wsService.subscribe('risk_alert', callback);
+  
+  return () => {
+    wsService.unsubscribe('risk_alert', callback);
+  };
+};
+
+/**
+ * Subscribe to live turn progress (LLM output as it streams, sandbox tool calls) for a set of bots
+ * Returns an unsubscribe function
+ */
+export const subscribeToBotThoughts = (botIds: string[], callback: (thought: BotThought) => void): (() => void) => {
+  if (!wsService.isConnected()) {
+    wsService.connect();
+  }
+  
+  const watched = new Set(botIds);
+  const onThought = (thought: BotThought) => {
+    if (watched.has(thought.botId)) {
+      callback(thought);
+    }
+  };
+  
+  wsService.subscribe('bot_thought', onThought);
+  botIds.forEach(botId => wsService.subscribeChannel(`bot:${botId}`));
+  
+  return () => {
+    wsService.unsubscribe('bot_thought', onThought);
+    botIds.forEach(botId => wsService.unsubscribeChannel(`bot:${botId}`));
+  };
+};
+
 /**
  * Get the current arena state from the server
  */
@@ -16,12 +16,13 @@ class WebSocketService {
   private reconnectTimeout: number | null = null;
   private isIntentionalClose = false;
   private heartbeatInterval: number | null = null;
+  private channels: Map<string, number> = new Map(); // Subscribed server channels and how many subscribers each has
 
   /**
    * Connect to the WebSocket server with JWT authentication
    */
   connect(url: string = WS_URL, token?: string): void {
-    if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+    if (this.ws && (this.ws.readyState === WebSocket.OPEN || this.ws.readyState === WebSocket.CONNECTING)) {
       console.log('WebSocket already connected');
       return;
     }
@@ -49,6 +50,9 @@ class WebSocketService {
         this.reconnectDelay = 1000;
         this.setupHeartbeat();
         
+        // Re-join server channels (subscriptions don't survive a reconnect)
+        this.channels.forEach((_, channel) => this.send({ type: 'subscribe', channel }));
+        
         // Notify connection listeners
         this.notifyListeners('connection', { status: 'connected' });
       };
@@ -60,6 +64,15 @@ class WebSocketService {
           // Handle different message types
           if (message.type === 'state_update') {
             this.notifyListeners('state_update', message.payload);
+          } else if (message.type === 'budget_warning' || message.type === 'budget_exhausted') {
+            // LLM budget alerts for the current user's bots
+            this.notifyListeners(message.type, message.payload);
+          } else if (message.type === 'risk_alert') {
+            // Risk limit halts and kill-switch pauses for the current user's bots
+            this.notifyListeners('risk_alert', message.payload);
+          } else if (message.type === 'bot_thought') {
+            // Live turn progress from a subscribed bot channel
+            this.notifyListeners('bot_thought', message.payload);
           } else if (message.type === 'heartbeat') {
             // Server responded to heartbeat, connection is alive
             console.debug('Heartbeat received');
@@ -137,6 +150,37 @@ class WebSocketService {
     }
   }
 
+  /**
+   * Join a server channel (e.g. `bot:<id>`); reference counted so several
+   * components can share a channel
+   */
+  subscribeChannel(channel: string): void {
+    const count = this.channels.get(channel) || 0;
+    this.channels.set(channel, count + 1);
+    
+    if (count === 0 && this.isConnected()) {
+      this.send({ type: 'subscribe', channel });
+    }
+  }
+
+  /**
+   * Leave a server channel once its last subscriber is gone
+   */
+  unsubscribeChannel(channel: string): void {
+    const count = this.channels.get(channel);
+    if (!count) return;
+    
+    if (count > 1) {
+      this.channels.set(channel, count - 1);
+      return;
+    }
+    
+    this.channels.delete(channel);
+    if (this.isConnected()) {
+      this.send({ type: 'unsubscribe', channel });
+    }
+  }
+
   /**
    * Send a message to the server
    */
@@ -26,6 +26,24 @@ export interface Position {
   stopLoss?: number;
   takeProfit?: number;
   pnl?: number;
+  fundingPaid?: number; // Paper funding settled so far (negative = received)
+  trailingStopPct?: number | null; // Stop-loss follows the best price by this %
+}
+
+// A resting LIMIT or STOP entry order that becomes a position once its price is reached
+export interface PendingOrder {
+  id: string;
+  symbol: string;
+  side: OrderType;
+  orderType: 'LIMIT' | 'STOP';
+  price: number; // Limit price, or the trigger price of a STOP
+  size: number; // Margin in USD
+  leverage: number;
+  stopLoss?: number | null;
+  takeProfit?: number | null;
+  trailingStopPct?: number | null;
+  createdAt: number;
+  expiresAt: number | null;
 }
 
 export interface Portfolio {
@@ -39,6 +57,10 @@ export enum AiAction {
   LONG = 'LONG',
   SHORT = 'SHORT',
   CLOSE = 'CLOSE',
+  ADD = 'ADD',
+  REDUCE = 'REDUCE',
+  MODIFY = 'MODIFY',
+  CANCEL = 'CANCEL',
   HOLD = 'HOLD',
   ANALYZE = 'ANALYZE',
 }
@@ -51,17 +73,41 @@ export interface AiDecision {
   stopLoss?: number;
   takeProfit?: number;
   closePositionId?: string;
+  // Part of the position a CLOSE or REDUCE closes (all of it for a CLOSE without either)
+  closePercent?: number;
+  closeQuantity?: number;
+  // Entry order type for LONG/SHORT (MARKET if omitted); price is the LIMIT price or STOP trigger
+  orderType?: 'MARKET' | 'LIMIT' | 'STOP';
+  price?: number;
+  expiresInMinutes?: number;
+  trailingStopPct?: number;
+  positionId?: string; // For ADD, REDUCE and MODIFY
+  orderId?: string; // For CANCEL
   reasoning: string;
   // For ANALYZE actions (sandbox tool invocation)
   tool?: string;
   parameters?: Record<string, any>;
 }
 
+// One sandbox tool call made during a decision cycle
+export interface SandboxToolInvocation {
+  index: number;
+  tool: string;
+  parameters: Record<string, any>;
+  status: 'ok' | 'error' | 'rejected';
+  result?: any;
+  error?: string;
+  durationMs: number;
+  cpuMs: number;
+  timestamp: string;
+}
+
 export interface BotLog {
   timestamp: number;
   decisions: AiDecision[];
   prompt: string;
   notes?: string[];
+  toolInvocations?: SandboxToolInvocation[];
 }
 
 export interface Order {
@@ -75,6 +121,10 @@ export interface Order {
   timestamp: number;
   entryPrice: number; // Added for win rate calculation
   exitPrice: number;
+  closeReason?: 'SL' | 'TP' | 'TRAIL' | 'LIQUIDATION' | null; // Set when the close was triggered by a price level
+  slippage?: number; // Cost of the fill price versus the market price (already in the entry/exit price)
+  funding?: number; // Funding paid over the position's life, on closing orders (negative = received)
+  partial?: boolean; // Scaled a position that stayed open (an ADD or a partial close)
 }
 
 export interface ValueHistoryPoint {
@@ -101,6 +151,7 @@ export interface BotState {
   tradeCount: number;
   winRate: number;
   symbolCooldowns: Record<string, number>; // Maps symbol to cooldown end timestamp
+  pendingOrders?: PendingOrder[];
   getDecision: (portfolio: Portfolio, marketData: Market[], recentLogs?: BotLog[], cooldowns?: Record<string, number>, recentOrders?: Order[]) => Promise<{ prompt: string, decisions: AiDecision[], error?: string }>;
 }
 
@@ -111,6 +162,51 @@ export interface ArenaState {
   marketData: Market[];
 }
 
+// LLM budget warning (type 'budget_warning') or exhaustion (type 'budget_exhausted'), pushed over the WebSocket
+export interface BudgetAlert {
+  type: 'budget_warning' | 'budget_exhausted';
+  budgetId: number;
+  scope: 'user' | 'bot';
+  botId: string;
+  botName: string;
+  period: 'daily' | 'monthly';
+  metric: 'tokens' | 'usd';
+  limit: number;
+  used: number;
+  percent: number;
+  resetsAt: string;
+  pausedBots: string[];
+  message: string;
+}
+
+// A risk limit halted a bot for the day or tripped its drawdown kill-switch
+export interface RiskAlert {
+  botId: string;
+  botName: string;
+  rule: 'daily_loss_limit' | 'max_drawdown';
+  paused: boolean;
+  message: string;
+}
+
+// Live progress of a bot's turn, streamed on its `bot:<id>` WebSocket channel
+export interface BotThought {
+  event: 'turn_start' | 'thinking_start' | 'thinking_delta' | 'thinking_end' | 'tool_call' | 'tool_result' | 'turn_end';
+  botId: string;
+  botName: string;
+  turnId: number;
+  timestamp: number;
+  iteration?: number | null;
+  purpose?: 'decision' | 'sandbox';
+  provider?: string | null;
+  text?: string;
+  tool?: string;
+  parameters?: Record<string, any>;
+  reasoning?: string | null;
+  result?: string | null;
+  decisions?: { action: string; symbol: string | null; reasoning: string | null }[];
+  error?: string | null;
+}
+
 export interface Database {
   public: {
     Tables: {
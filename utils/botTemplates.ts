@@ -22,7 +22,25 @@ Every trading cycle, you automatically receive:
 - Open Positions: {{openPositions}} (formatted list with all position details)
 - Live Market Data: {{marketData}} (formatted list of all tradeable symbols with price, 24h change, volume, etc.)
 
-This context is already in your prompt - you don't need to call any functions to access it.`;
+This context is already in your prompt - you don't need to call any functions to access it.
+Resting orders you have placed are listed under "Pending Orders" with their orderId.
+
+=== ORDER TYPES ===
+
+- LONG/SHORT enter at market by default. Add "orderType": "LIMIT" and a "price" to wait for a better price
+  (below market for LONG, above for SHORT), or "orderType": "STOP" to enter on a breakout through "price".
+  Resting orders expire after "expiresInMinutes" (system default if omitted).
+- "trailingStopPct" (0.1-5) on LONG/SHORT makes the stop-loss follow the best price by that percentage.
+- { "action": "MODIFY", "positionId": "...", "stopLoss": ..., "takeProfit": ..., "trailingStopPct": ... } moves an open
+  position's exits (omitted fields stay as they are, 0 removes one).
+- { "action": "CANCEL", "orderId": "..." } cancels a pending order.
+
+=== SCALING POSITIONS ===
+
+- CLOSE takes an optional "closePercent" (e.g. 50) or "closeQuantity" (asset units, see Quantity) to close part of a position.
+- { "action": "REDUCE", "positionId": "...", "closePercent": 25 } takes partial profit the same way.
+- { "action": "ADD", "positionId": "...", "size": 200 } adds margin at the position's leverage; its entry becomes the
+  average of the old entry and the new fill, and its liquidation price moves with it.`;
 
 export const BOT_TEMPLATES: BotTemplate[] = [
   {
@@ -722,24 +740,24 @@ export const TOOL_CATEGORIES = [
     tools: [
       { name: 'statistics', description: 'Calculate mean, median, std dev, variance, min, max', params: 'data: number[]' },
       { name: 'correlation', description: 'Pearson correlation coefficient between two price series', params: 'series1: number[], series2: number[]' },
-      { name: 'volatility', description: 'Historical volatility (annualized standard deviation)', params: 'symbol: string, period?: number' },
+      { name: 'volatility', description: 'Historical volatility (annualized standard deviation)', params: 'symbol: string, period?: number, interval?: string (default: 5m), lookback?: number (candles, default: 100)' },
     ]
   },
   {
     name: 'Technical Indicators',
     tools: [
-      { name: 'sma', description: 'Simple Moving Average', params: 'symbol: string, period: number' },
-      { name: 'ema', description: 'Exponential Moving Average', params: 'symbol: string, period: number' },
-      { name: 'rsi', description: 'Relative Strength Index momentum oscillator', params: 'symbol: string, period?: number (default: 14)' },
-      { name: 'macd', description: 'Moving Average Convergence Divergence', params: 'symbol: string' },
-      { name: 'bollinger', description: 'Bollinger Bands (volatility bands)', params: 'symbol: string, period?: number, stdDev?: number' },
+      { name: 'sma', description: 'Simple Moving Average', params: 'symbol: string, period: number, interval?: string (default: 5m), lookback?: number (candles, default: 100)' },
+      { name: 'ema', description: 'Exponential Moving Average', params: 'symbol: string, period: number, interval?: string (default: 5m), lookback?: number (candles, default: 100)' },
+      { name: 'rsi', description: 'Relative Strength Index momentum oscillator', params: 'symbol: string, period?: number (default: 14), interval?: string (default: 5m), lookback?: number (candles, default: 100)' },
+      { name: 'macd', description: 'Moving Average Convergence Divergence', params: 'symbol: string, interval?: string (default: 5m), lookback?: number (candles, default: 100)' },
+      { name: 'bollinger', description: 'Bollinger Bands (volatility bands)', params: 'symbol: string, period?: number, stdDev?: number, interval?: string (default: 5m), lookback?: number (candles, default: 100)' },
     ]
   },
   {
     name: 'Advanced Analysis',
     tools: [
-      { name: 'trend', description: 'Linear regression trend with R² confidence', params: 'symbol: string, period?: number (default: 20)' },
-      { name: 'support_resistance', description: 'Identify key support and resistance levels', params: 'symbol: string' },
+      { name: 'trend', description: 'Linear regression trend with R² confidence', params: 'symbol: string, period?: number (default: 20), interval?: string (default: 5m), lookback?: number (candles, default: 100)' },
+      { name: 'support_resistance', description: 'Identify key support and resistance levels', params: 'symbol: string, interval?: string (default: 5m), lookback?: number (candles, default: 100)' },
     ]
   },
   {
@@ -763,7 +781,7 @@ export const TOOL_CATEGORIES = [
   {
     name: 'Advanced Computational Tools',
     tools: [
-      { name: 'custom_equation', description: 'Execute arbitrary mathematical expressions with variables', params: 'expression: string, variables: object' },
+      { name: 'custom_equation', description: 'Evaluate a math expression (+ - * / ^, comparisons, sqrt/log/exp/abs/min/max/sum/mean/len, arrays with p[-1] indexing) with variables', params: 'expression: string, variables: object' },
       { name: 'define_simulation', description: 'Create multi-equation simulation models', params: 'name: string, equations: array, variables: object' },
       { name: 'run_simulation', description: 'Execute a defined simulation with parameters', params: 'simulationId: string, parameters: object' },
     ]
@@ -0,0 +1,46 @@
+/**
+ * Line Diff Utility
+ * Line-by-line comparison of two texts (longest common subsequence), used to
+ * show what changed between versions of a bot's prompt
+ */
+
+export interface DiffLine {
+  type: 'same' | 'added' | 'removed';
+  text: string;
+}
+
+/**
+ * Diff two texts line by line
+ * Lines only in `before` are 'removed', lines only in `after` are 'added'.
+ */
+export const diffLines = (before: string, after: string): DiffLine[] => {
+  const a = before.split('\n');
+  const b = after.split('\n');
+
+  // lcs[i][j] = length of the longest common subsequence of a[i..] and b[j..]
+  const lcs: number[][] = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const lines: DiffLine[] = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      lines.push({ type: 'same', text: a[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      lines.push({ type: 'removed', text: a[i++] });
+    } else {
+      lines.push({ type: 'added', text: b[j++] });
+    }
+  }
+  while (i < a.length) lines.push({ type: 'removed', text: a[i++] });
+  while (j < b.length) lines.push({ type: 'added', text: b[j++] });
+
+  return lines;
+};